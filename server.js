@@ -19,6 +19,9 @@ try {
 const app = express();
 const serverConfig = config.getServerConfig();
 
+// Take the client address from X-Forwarded-For when behind nginx, for IP allowlists and request metadata
+app.set('trust proxy', serverConfig.trustProxy);
+
 // Configure multer for file uploads
 const upload = multer({
   storage: multer.memoryStorage(),
@@ -41,8 +44,8 @@ const upload = multer({
 const corsOptions = {
   origin: process.env.ALLOWED_ORIGINS ? process.env.ALLOWED_ORIGINS.split(',') : '*',
   methods: ['GET', 'POST'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key'],
-  exposedHeaders: ['X-RateLimit-Limit', 'X-RateLimit-Remaining', 'X-RateLimit-Reset', 'X-RateLimit-Daily-Limit', 'X-RateLimit-Daily-Remaining'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key', 'X-Organization-Id', 'Idempotency-Key'],
+  exposedHeaders: ['X-RateLimit-Limit', 'X-RateLimit-Remaining', 'X-RateLimit-Reset', 'X-RateLimit-Daily-Limit', 'X-RateLimit-Daily-Remaining', 'X-RateLimit-Cost', 'Retry-After', 'Sunset', 'X-API-Key-Replaced-By', 'Idempotent-Replayed'],
   maxAge: 86400 // 24 hours
 };
 
@@ -151,10 +154,17 @@ const oauthController = require('./src/controllers/oauthController');
 const jobController = require('./src/controllers/jobController');
 const batchController = require('./src/controllers/batchController');
 const videoEditingController = require('./src/controllers/videoEditingController');
+const organizationController = require('./src/controllers/organizationController');
+const planController = require('./src/controllers/planController');
+const creditController = require('./src/controllers/creditController');
+const costController = require('./src/controllers/costController');
+const spendCapController = require('./src/controllers/spendCapController');
 
 // Import middleware
 const AuthMiddleware = require('./src/middleware/authMiddleware');
 const OAuthMiddleware = require('./src/middleware/oauthMiddleware');
+const RateLimitMiddleware = require('./src/middleware/rateLimitMiddleware');
+const IdempotencyMiddleware = require('./src/middleware/idempotencyMiddleware');
 
 /**
  * @swagger
@@ -189,11 +199,29 @@ app.get('/api', (req, res) => {
     endpoints: {
       health: '/health',
       generate: 'POST /api/v1/ugc/generate',
+      quote: 'POST /api/v1/ugc/quote',
+      structureBrief: 'POST /api/v1/ugc/briefs/structure',
       download: 'POST /api/v1/ugc/download',
       status: 'GET /api/v1/ugc/status/:operationId',
+      resume: 'POST /api/v1/ugc/operations/:operationId/resume',
+      video: 'GET /api/v1/ugc/operations/:operationId/video',
+      variants: 'GET/POST /api/v1/ugc/operations/:operationId/variants',
+      segments: 'GET /api/v1/ugc/operations/:operationId/segments',
+      regenerateSegment: 'POST /api/v1/ugc/operations/:operationId/segments/:segmentKey/regenerate',
+      rollbackSegment: 'POST /api/v1/ugc/operations/:operationId/segments/:segmentKey/rollback',
+      script: 'GET /api/v1/ugc/operations/:operationId/script',
+      editScriptSegment: 'PATCH /api/v1/ugc/operations/:operationId/script/segments/:segmentKey',
+      rewriteScript: 'POST /api/v1/ugc/operations/:operationId/script/rewrite',
+      scriptRevisions: 'GET /api/v1/ugc/operations/:operationId/script/revisions',
+      approve: 'POST /api/v1/ugc/operations/:operationId/approve',
+      reject: 'POST /api/v1/ugc/operations/:operationId/reject',
+      remix: 'POST /api/v1/ugc/operations/:operationId/remix',
       auth: {
         keys: 'GET/POST /api/v1/auth/keys',
         keyDetails: 'GET /api/v1/auth/keys/:keyId',
+        rotateKey: 'POST /api/v1/auth/keys/:keyId/rotate',
+        keyCredits: 'POST /api/v1/auth/keys/:keyId/credits',
+        keySpendCaps: 'GET/PUT /api/v1/auth/keys/:keyId/spend-caps',
         analytics: 'GET /api/v1/auth/analytics',
         me: 'GET /api/v1/auth/me'
       },
@@ -202,9 +230,36 @@ app.get('/api', (req, res) => {
         refresh: 'POST /api/v1/oauth/refresh',
         revoke: 'POST /api/v1/oauth/revoke',
         profile: 'GET /api/v1/oauth/profile',
+        sessions: 'GET /api/v1/oauth/sessions',
+        revokeSession: 'DELETE /api/v1/oauth/sessions/:sessionId',
         users: 'GET /api/v1/oauth/users',
         stats: 'GET /api/v1/oauth/stats'
       },
+      organizations: {
+        organizations: 'GET/POST /api/v1/orgs',
+        details: 'GET /api/v1/orgs/:orgId',
+        activate: 'POST /api/v1/orgs/:orgId/activate',
+        activatePersonal: 'POST /api/v1/orgs/personal/activate',
+        members: 'POST /api/v1/orgs/:orgId/members',
+        member: 'PATCH/DELETE /api/v1/orgs/:orgId/members/:userId',
+        keys: 'POST /api/v1/orgs/:orgId/keys',
+        plan: 'PUT /api/v1/orgs/:orgId/plan',
+        credits: 'POST /api/v1/orgs/:orgId/credits',
+        spendCaps: 'GET/PUT /api/v1/orgs/:orgId/spend-caps'
+      },
+      plans: {
+        list: 'GET /api/v1/plans',
+        assignUser: 'PUT /api/v1/oauth/users/:userId/plan'
+      },
+      credits: {
+        balance: 'GET /api/v1/credits/balance',
+        ledger: 'GET /api/v1/credits/ledger',
+        topUpUser: 'POST /api/v1/oauth/users/:userId/credits'
+      },
+      costs: {
+        spend: 'GET /api/v1/costs/spend',
+        operation: 'GET /api/v1/costs/operations/:operationId'
+      },
       jobs: {
         dashboard: 'GET /api/v1/jobs/dashboard',
         health: 'GET /api/v1/jobs/health',
@@ -214,6 +269,7 @@ app.get('/api', (req, res) => {
       },
       batch: {
         create: 'POST /api/v1/batch/generate',
+        quote: 'POST /api/v1/batch/quote',
         createOptimized: 'POST /api/v1/batch/generate-optimized',
         createWithFiles: 'POST /api/v1/batch/generate-with-files',
         status: 'GET /api/v1/batch/:batchId/status',
@@ -264,11 +320,17 @@ app.get('/api', (req, res) => {
  *                   enum: [ugc:generate, cache:read, cache:write, analytics:read, "*"]
  *                 description: Permissions for the API key
  *                 example: ["ugc:generate", "analytics:read"]
- *               expiresIn:
+ *               expiresAt:
  *                 type: string
- *                 description: Expiration time (e.g., "30d", "1y", "never")
- *                 default: "never"
- *                 example: "30d"
+ *                 format: date-time
+ *                 description: When the key stops working. Omit for a key that never expires.
+ *                 example: "2026-12-31T23:59:59Z"
+ *               allowedIps:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: CIDR ranges the key may be used from. Empty allows any address.
+ *                 example: ["203.0.113.0/24", "2001:db8::/32"]
  *     responses:
  *       201:
  *         description: API key generated successfully
@@ -341,13 +403,167 @@ app.get('/api/v1/auth/keys', AuthMiddleware.requirePermissions(['analytics:read'
 app.get('/api/v1/auth/keys/:keyId', AuthMiddleware.requirePermissions(['analytics:read']), apiKeyController.getApiKeyDetails.bind(apiKeyController));
 app.post('/api/v1/auth/keys/:keyId/deactivate', AuthMiddleware.requirePermissions(['analytics:read']), apiKeyController.deactivateApiKey.bind(apiKeyController));
 app.post('/api/v1/auth/keys/:keyId/reactivate', AuthMiddleware.requirePermissions(['analytics:read']), apiKeyController.reactivateApiKey.bind(apiKeyController));
+
+/**
+ * @swagger
+ * /api/v1/auth/keys/{keyId}/rotate:
+ *   post:
+ *     summary: Rotate API key
+ *     description: |
+ *       Issue a successor key with the same name, permissions and rate limits. The old key keeps
+ *       working until its grace period ends (responses carry Sunset and X-API-Key-Replaced-By
+ *       headers), after which it is rejected with API_KEY_ROTATED.
+ *     tags: [Authentication]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: keyId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               gracePeriodMs:
+ *                 type: integer
+ *                 description: How long the old key keeps working. Defaults to API_KEY_ROTATION_GRACE_PERIOD (max 30 days).
+ *                 example: 3600000
+ *               expiresAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Expiry for the successor key
+ *               allowedIps:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Allowlist for the successor key. Defaults to the old key's allowlist.
+ *     responses:
+ *       201:
+ *         description: Successor key issued (the key is only shown once)
+ *       400:
+ *         description: Invalid grace period, expiry or allowlist
+ *       404:
+ *         description: API key not found
+ *       409:
+ *         description: Key already rotated (KEY_ALREADY_ROTATED) or inactive/expired (KEY_NOT_ROTATABLE)
+ */
+app.post('/api/v1/auth/keys/:keyId/rotate', AuthMiddleware.requirePermissions(['analytics:read']), apiKeyController.rotateApiKey.bind(apiKeyController));
+/**
+ * @swagger
+ * /api/v1/auth/keys/{keyId}/credits:
+ *   post:
+ *     summary: Add credits to an API key
+ *     description: Top up the prepaid credit balance of an API key that acts outside any organization (admin only)
+ *     tags: [Credits]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: keyId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - amount
+ *             properties:
+ *               amount:
+ *                 type: integer
+ *                 minimum: 1
+ *                 example: 500
+ *               description:
+ *                 type: string
+ *                 maxLength: 500
+ *                 example: "Invoice 2025-0042"
+ *     responses:
+ *       201:
+ *         description: Credits added
+ *       400:
+ *         description: Invalid amount or description
+ *       403:
+ *         description: Admin permissions required
+ *       404:
+ *         description: API key not found
+ */
+app.post('/api/v1/auth/keys/:keyId/credits', OAuthMiddleware.requirePermissions(['*']), creditController.topUpApiKey.bind(creditController));
+
+/**
+ * @swagger
+ * /api/v1/auth/keys/{keyId}/spend-caps:
+ *   get:
+ *     summary: Get API key spend caps
+ *     description: Get the daily and monthly provider spend caps of an API key and what it has spent against them
+ *     tags: [Costs]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: keyId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Spend caps and spend
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/SpendCapStatus'
+ *       404:
+ *         description: API key not found
+ *   put:
+ *     summary: Set API key spend caps
+ *     description: |
+ *       Cap what generations made with an API key can spend on AI providers per day and per
+ *       month, in USD. Generations that would take spend over a cap are refused with
+ *       DAILY_SPEND_CAP_EXCEEDED or MONTHLY_SPEND_CAP_EXCEEDED.
+ *     tags: [Costs]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: keyId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/SpendCapUpdate'
+ *     responses:
+ *       200:
+ *         description: Updated spend caps and spend
+ *       400:
+ *         description: Invalid caps
+ *       404:
+ *         description: API key not found
+ */
+app.get('/api/v1/auth/keys/:keyId/spend-caps', AuthMiddleware.requirePermissions(['analytics:read']), spendCapController.getApiKeyCaps.bind(spendCapController));
+app.put('/api/v1/auth/keys/:keyId/spend-caps', AuthMiddleware.requirePermissions(['analytics:read']), spendCapController.setApiKeyCaps.bind(spendCapController));
 app.get('/api/v1/auth/analytics', AuthMiddleware.requirePermissions(['analytics:read']), apiKeyController.getAnalytics.bind(apiKeyController));
 /**
  * @swagger
  * /api/v1/auth/me:
  *   get:
  *     summary: Get current API key information
- *     description: Retrieve information about the currently authenticated API key
+ *     description: Retrieve information about the currently authenticated API key, including its remaining rate limit units
  *     tags: [Authentication]
  *     security:
  *       - ApiKeyAuth: []
@@ -384,6 +600,28 @@ app.get('/api/v1/auth/analytics', AuthMiddleware.requirePermissions(['analytics:
  *                       type: integer
  *                     total:
  *                       type: integer
+ *                 rateLimit:
+ *                   type: object
+ *                   description: Rate limit budget in units. Each route charges its cost (see routeCosts).
+ *                   properties:
+ *                     unit:
+ *                       type: string
+ *                       example: units
+ *                     windowMs:
+ *                       type: integer
+ *                     limit:
+ *                       type: number
+ *                     remaining:
+ *                       type: number
+ *                     resetTime:
+ *                       type: integer
+ *                     dailyLimit:
+ *                       type: number
+ *                     dailyRemaining:
+ *                       type: number
+ *                     routeCosts:
+ *                       type: object
+ *                       description: Units charged per route, either flat or per segment/item
  *       401:
  *         description: Authentication required
  */
@@ -524,6 +762,10 @@ app.get('/api/v1/auth/me', AuthMiddleware.validateApiKey(), apiKeyController.get
  *                 type: string
  *                 format: password
  *                 example: "securepassword123"
+ *               deviceName:
+ *                 type: string
+ *                 description: Optional label for this session in the session list
+ *                 example: "Work laptop"
  *     responses:
  *       200:
  *         description: Login successful
@@ -563,172 +805,1770 @@ app.post('/api/v1/oauth/login', oauthController.login.bind(oauthController));
  * /api/v1/oauth/refresh:
  *   post:
  *     summary: Refresh JWT token
- *     description: Refresh an expired JWT access token using a refresh token
+ *     description: |
+ *       Refresh an expired JWT access token using a refresh token. Every refresh
+ *       rotates the refresh token; the old one stops working. Presenting a
+ *       refresh token that was already rotated revokes the whole session.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refreshToken
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *                 description: Valid refresh token
+ *     responses:
+ *       200:
+ *         description: Token refreshed successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 accessToken:
+ *                   type: string
+ *                 refreshToken:
+ *                   type: string
+ *                 expiresIn:
+ *                   type: integer
+ *       401:
+ *         description: Invalid or expired refresh token
+ */
+app.post('/api/v1/oauth/refresh', oauthController.refresh.bind(oauthController));
+app.post('/api/v1/oauth/revoke', oauthController.revoke.bind(oauthController));
+app.get('/api/v1/oauth/profile', OAuthMiddleware.validateJWT(), oauthController.getProfile.bind(oauthController));
+
+/**
+ * @swagger
+ * /api/v1/oauth/sessions:
+ *   get:
+ *     summary: List active sessions
+ *     description: List the current user's signed-in sessions with device, IP address and last use
+ *     tags: [Authentication]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Active sessions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     sessions:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           id:
+ *                             type: string
+ *                             format: uuid
+ *                           device:
+ *                             type: string
+ *                           userAgent:
+ *                             type: string
+ *                           ipAddress:
+ *                             type: string
+ *                           createdAt:
+ *                             type: string
+ *                             format: date-time
+ *                           lastUsedAt:
+ *                             type: string
+ *                             format: date-time
+ *                           expiresAt:
+ *                             type: string
+ *                             format: date-time
+ *                     total:
+ *                       type: integer
+ *       401:
+ *         description: Authentication required
+ */
+app.get('/api/v1/oauth/sessions', OAuthMiddleware.validateJWT(), oauthController.listSessions.bind(oauthController));
+
+/**
+ * @swagger
+ * /api/v1/oauth/sessions/{sessionId}:
+ *   delete:
+ *     summary: Revoke a session
+ *     description: Sign out one of the current user's sessions by revoking its refresh tokens
  *     tags: [Authentication]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Session revoked
+ *       401:
+ *         description: Authentication required
+ *       404:
+ *         description: Session not found
+ */
+app.delete('/api/v1/oauth/sessions/:sessionId', OAuthMiddleware.validateJWT(), oauthController.revokeSession.bind(oauthController));
+app.get('/api/v1/oauth/users', OAuthMiddleware.requirePermissions(['*']), oauthController.listUsers.bind(oauthController));
+app.put('/api/v1/oauth/users/:userId/role', OAuthMiddleware.requirePermissions(['*']), oauthController.updateUserRole.bind(oauthController));
+
+/**
+ * @swagger
+ * /api/v1/oauth/users/{userId}/plan:
+ *   put:
+ *     summary: Assign a plan to a user
+ *     description: Set the subscription plan that drives the user's quotas, queue priority and limits (admin only)
+ *     tags: [Plans]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - plan
+ *             properties:
+ *               plan:
+ *                 type: string
+ *                 example: "pro"
+ *     responses:
+ *       200:
+ *         description: Plan assigned
+ *       403:
+ *         description: Admin permissions required
+ *       404:
+ *         description: User or plan not found
+ */
+app.put('/api/v1/oauth/users/:userId/plan', OAuthMiddleware.requirePermissions(['*']), planController.assignUserPlan.bind(planController));
+/**
+ * @swagger
+ * /api/v1/oauth/users/{userId}/credits:
+ *   post:
+ *     summary: Add credits to a user
+ *     description: Top up the prepaid credit balance the user's personal generations are paid from (admin only)
+ *     tags: [Credits]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - amount
+ *             properties:
+ *               amount:
+ *                 type: integer
+ *                 minimum: 1
+ *                 example: 500
+ *               description:
+ *                 type: string
+ *                 maxLength: 500
+ *                 example: "Invoice 2025-0042"
+ *     responses:
+ *       201:
+ *         description: Credits added
+ *       400:
+ *         description: Invalid amount or description
+ *       403:
+ *         description: Admin permissions required
+ *       404:
+ *         description: User not found
+ */
+app.post('/api/v1/oauth/users/:userId/credits', OAuthMiddleware.requirePermissions(['*']), creditController.topUpUser.bind(creditController));
+app.post('/api/v1/oauth/users/:userId/deactivate', OAuthMiddleware.requirePermissions(['*']), oauthController.deactivateUser.bind(oauthController));
+app.get('/api/v1/oauth/stats', OAuthMiddleware.requirePermissions(['*']), oauthController.getAuthStats.bind(oauthController));
+app.get('/api/v1/oauth/google/callback', oauthController.googleCallback.bind(oauthController));
+
+/**
+ * @swagger
+ * /api/v1/orgs:
+ *   post:
+ *     summary: Create an organization
+ *     description: Create a team workspace. The caller becomes its owner.
+ *     tags: [Organizations]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: "Acme Marketing"
+ *               slug:
+ *                 type: string
+ *                 description: URL-safe identifier. Derived from the name if omitted.
+ *                 example: "acme-marketing"
+ *     responses:
+ *       201:
+ *         description: Organization created
+ *       400:
+ *         description: Invalid name or slug
+ *       409:
+ *         description: Slug already taken
+ *   get:
+ *     summary: List organizations
+ *     description: List the organizations the caller belongs to, with their role in each
+ *     tags: [Organizations]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Organizations and the active organization ID
+ */
+app.post('/api/v1/orgs', OAuthMiddleware.validateJWT(), organizationController.createOrganization.bind(organizationController));
+app.get('/api/v1/orgs', OAuthMiddleware.validateJWT(), organizationController.listOrganizations.bind(organizationController));
+
+/**
+ * @swagger
+ * /api/v1/orgs/personal/activate:
+ *   post:
+ *     summary: Switch to the personal workspace
+ *     description: Stop acting in an organization by default. Keys, operations and batches created afterwards belong to the caller alone.
+ *     tags: [Organizations]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Switched to the personal workspace
+ */
+app.post('/api/v1/orgs/personal/activate', OAuthMiddleware.validateJWT(), organizationController.activatePersonalWorkspace.bind(organizationController));
+
+/**
+ * @swagger
+ * /api/v1/orgs/{orgId}:
+ *   get:
+ *     summary: Get an organization
+ *     description: Get an organization and its members. Requires membership.
+ *     tags: [Organizations]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orgId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Organization with members
+ *       404:
+ *         description: Organization not found
+ */
+app.get('/api/v1/orgs/:orgId', OAuthMiddleware.validateJWT(), organizationController.getOrganization.bind(organizationController));
+
+/**
+ * @swagger
+ * /api/v1/orgs/{orgId}/activate:
+ *   post:
+ *     summary: Switch active organization
+ *     description: |
+ *       Make an organization the caller's default workspace. Requests without an
+ *       X-Organization-Id header act in the active organization.
+ *     tags: [Organizations]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orgId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Active organization updated
+ *       404:
+ *         description: Organization not found
+ */
+app.post('/api/v1/orgs/:orgId/activate', OAuthMiddleware.validateJWT(), organizationController.activateOrganization.bind(organizationController));
+
+/**
+ * @swagger
+ * /api/v1/orgs/{orgId}/members:
+ *   post:
+ *     summary: Add a member
+ *     description: Add an existing user to the organization. Requires the admin role; only owners can add owners.
+ *     tags: [Organizations]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orgId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *               role:
+ *                 type: string
+ *                 enum: [viewer, editor, admin, owner]
+ *                 default: viewer
+ *     responses:
+ *       201:
+ *         description: Member added
+ *       403:
+ *         description: Insufficient organization role
+ *       404:
+ *         description: Organization or user not found
+ *       409:
+ *         description: User is already a member
+ */
+app.post('/api/v1/orgs/:orgId/members', OAuthMiddleware.validateJWT(), organizationController.addMember.bind(organizationController));
+
+/**
+ * @swagger
+ * /api/v1/orgs/{orgId}/members/{userId}:
+ *   patch:
+ *     summary: Change a member's role
+ *     description: Requires the admin role; only owners can grant or change the owner role.
+ *     tags: [Organizations]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orgId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - role
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [viewer, editor, admin, owner]
+ *     responses:
+ *       200:
+ *         description: Role updated
+ *       403:
+ *         description: Insufficient organization role
+ *       409:
+ *         description: The organization would be left without an owner
+ *   delete:
+ *     summary: Remove a member
+ *     description: Remove a member from the organization. Members can remove themselves; removing others requires the admin role.
+ *     tags: [Organizations]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orgId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Member removed
+ *       403:
+ *         description: Insufficient organization role
+ *       409:
+ *         description: The organization would be left without an owner
+ */
+app.patch('/api/v1/orgs/:orgId/members/:userId', OAuthMiddleware.validateJWT(), organizationController.updateMember.bind(organizationController));
+app.delete('/api/v1/orgs/:orgId/members/:userId', OAuthMiddleware.validateJWT(), organizationController.removeMember.bind(organizationController));
+
+/**
+ * @swagger
+ * /api/v1/orgs/{orgId}/keys:
+ *   post:
+ *     summary: Create an organization API key
+ *     description: |
+ *       Create an API key owned by the organization. Operations and batches
+ *       created with it are visible to every member. Requires the admin role.
+ *       Accepts the same body as POST /api/v1/auth/keys.
+ *     tags: [Organizations]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orgId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       201:
+ *         description: API key generated successfully
+ *       403:
+ *         description: Insufficient organization role
+ *       404:
+ *         description: Organization not found
+ */
+app.post('/api/v1/orgs/:orgId/keys', OAuthMiddleware.validateJWT(), organizationController.createOrganizationKey.bind(organizationController));
+
+/**
+ * @swagger
+ * /api/v1/orgs/{orgId}/plan:
+ *   put:
+ *     summary: Assign a plan to an organization
+ *     description: Set the subscription plan that applies to everything done in the organization (admin only)
+ *     tags: [Plans]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orgId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - plan
+ *             properties:
+ *               plan:
+ *                 type: string
+ *                 example: "premium"
+ *     responses:
+ *       200:
+ *         description: Plan assigned
+ *       403:
+ *         description: Admin permissions required
+ *       404:
+ *         description: Organization or plan not found
+ */
+app.put('/api/v1/orgs/:orgId/plan', OAuthMiddleware.requirePermissions(['*']), planController.assignOrganizationPlan.bind(planController));
+
+/**
+ * @swagger
+ * /api/v1/orgs/{orgId}/credits:
+ *   post:
+ *     summary: Add credits to an organization
+ *     description: Top up the prepaid credit balance shared by everything done in the organization (admin only)
+ *     tags: [Credits]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orgId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - amount
+ *             properties:
+ *               amount:
+ *                 type: integer
+ *                 minimum: 1
+ *                 example: 500
+ *               description:
+ *                 type: string
+ *                 maxLength: 500
+ *                 example: "Invoice 2025-0042"
+ *     responses:
+ *       201:
+ *         description: Credits added
+ *       400:
+ *         description: Invalid amount or description
+ *       403:
+ *         description: Admin permissions required
+ *       404:
+ *         description: Organization not found
+ */
+app.post('/api/v1/orgs/:orgId/credits', OAuthMiddleware.requirePermissions(['*']), creditController.topUpOrganization.bind(creditController));
+
+/**
+ * @swagger
+ * /api/v1/orgs/{orgId}/spend-caps:
+ *   get:
+ *     summary: Get organization spend caps
+ *     description: Get the daily and monthly provider spend caps of an organization and what it has spent against them. Any member can view them.
+ *     tags: [Organizations, Costs]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orgId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Spend caps and spend
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/SpendCapStatus'
+ *       404:
+ *         description: Organization not found
+ *   put:
+ *     summary: Set organization spend caps
+ *     description: |
+ *       Cap what the organization's generations can spend on AI providers per day and per
+ *       month, in USD. Generations that would take spend over a cap are refused with
+ *       DAILY_SPEND_CAP_EXCEEDED or MONTHLY_SPEND_CAP_EXCEEDED. Requires the admin role.
+ *     tags: [Organizations, Costs]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orgId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/SpendCapUpdate'
+ *     responses:
+ *       200:
+ *         description: Updated spend caps and spend
+ *       400:
+ *         description: Invalid caps
+ *       403:
+ *         description: Admin role required
+ *       404:
+ *         description: Organization not found
+ */
+app.get('/api/v1/orgs/:orgId/spend-caps', OAuthMiddleware.validateJWT(), spendCapController.getOrganizationCaps.bind(spendCapController));
+app.put('/api/v1/orgs/:orgId/spend-caps', OAuthMiddleware.validateJWT(), spendCapController.setOrganizationCaps.bind(spendCapController));
+
+/**
+ * @swagger
+ * /api/v1/plans:
+ *   get:
+ *     summary: List plans
+ *     description: List the available subscription plans and their limits
+ *     tags: [Plans]
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Available plans
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     plans:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Plan'
+ *                     defaultPlan:
+ *                       type: string
+ */
+app.get('/api/v1/plans', OAuthMiddleware.validateAny(), planController.listPlans.bind(planController));
+
+/**
+ * @swagger
+ * /api/v1/credits/balance:
+ *   get:
+ *     summary: Get credit balance
+ *     description: |
+ *       Get the prepaid credit balance generations are paid from: the active
+ *       organization's when acting in one, otherwise the user's, otherwise the
+ *       API key's. Credits on hold for generations in progress are listed separately.
+ *     tags: [Credits]
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Credit balance
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/CreditAccount'
+ *       401:
+ *         description: Authentication required
+ */
+app.get('/api/v1/credits/balance', OAuthMiddleware.validateAny(), creditController.getBalance.bind(creditController));
+
+/**
+ * @swagger
+ * /api/v1/credits/ledger:
+ *   get:
+ *     summary: Get credit ledger
+ *     description: List top-ups, holds, charges and refunds on the caller's credit balance, newest first
+ *     tags: [Credits]
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Ledger page
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     entries:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/CreditTransaction'
+ *                     pagination:
+ *                       type: object
+ *                       properties:
+ *                         page:
+ *                           type: integer
+ *                         limit:
+ *                           type: integer
+ *                         total:
+ *                           type: integer
+ *                         totalPages:
+ *                           type: integer
+ *       400:
+ *         description: Invalid page or limit
+ *       401:
+ *         description: Authentication required
+ */
+app.get('/api/v1/credits/ledger', OAuthMiddleware.validateAny(), creditController.getLedger.bind(creditController));
+
+/**
+ * @swagger
+ * /api/v1/costs/spend:
+ *   get:
+ *     summary: Get provider spend report
+ *     description: |
+ *       Report what AI provider calls (OpenAI, Gemini and Veo) have cost, in USD,
+ *       grouped by API key, user, organization or day. Cached results are
+ *       counted as calls at no cost. Admin only.
+ *     tags: [Costs]
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: groupBy
+ *         schema:
+ *           type: string
+ *           enum: [key, user, org, day]
+ *           default: day
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: provider
+ *         schema:
+ *           type: string
+ *           enum: [openai, gemini, veo]
+ *     responses:
+ *       200:
+ *         description: Spend per group, most expensive first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     groupBy:
+ *                       type: string
+ *                     currency:
+ *                       type: string
+ *                     totalCost:
+ *                       type: number
+ *                     groups:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/SpendGroup'
+ *       400:
+ *         description: Invalid grouping, provider or date range
+ *       401:
+ *         description: Authentication required
+ *       403:
+ *         description: Admin permissions required
+ */
+app.get('/api/v1/costs/spend',
+  OAuthMiddleware.validateAny({ requiredPermissions: ['*'] }),
+  costController.getSpendReport.bind(costController)
+);
+
+/**
+ * @swagger
+ * /api/v1/costs/operations/{operationId}:
+ *   get:
+ *     summary: Get operation costs
+ *     description: List the provider calls made for an operation with their usage, latency and cost. Admin only.
+ *     tags: [Costs]
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: operationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Operation cost summary and provider calls
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     operationId:
+ *                       type: string
+ *                     currency:
+ *                       type: string
+ *                     totalCost:
+ *                       type: number
+ *                     callCount:
+ *                       type: integer
+ *                     cacheHits:
+ *                       type: integer
+ *                     cacheHitRate:
+ *                       type: integer
+ *                     byService:
+ *                       type: object
+ *                     byProvider:
+ *                       type: object
+ *                     calls:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/ProviderCall'
+ *       401:
+ *         description: Authentication required
+ *       403:
+ *         description: Admin permissions required
+ */
+app.get('/api/v1/costs/operations/:operationId',
+  OAuthMiddleware.validateAny({ requiredPermissions: ['*'] }),
+  costController.getOperationCosts.bind(costController)
+);
+
+/**
+ * @swagger
+ * /api/v1/ugc/generate:
+ *   post:
+ *     summary: Generate UGC advertisement video
+ *     description: Queues creation of a User Generated Content advertisement video from a creative brief and images, returning the operation ID without waiting for any stage
+ *     tags: [UGC Generation]
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               creativeBrief:
+ *                 type: string
+ *                 description: Creative brief describing the advertisement concept; required unless a structured brief is given
+ *                 example: "Create an engaging ad for a new fitness app targeting young professionals"
+ *               brief:
+ *                 type: string
+ *                 description: JSON string with a structured brief (see StructuredBrief) the script follows
+ *               images:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: binary
+ *                 description: Images to analyze and incorporate (max 4 images, 10MB each)
+ *                 maxItems: 4
+ *               options:
+ *                 type: string
+ *                 description: JSON string with additional options (aspectRatio, segments or targetDuration, variants, continuity, style, maxCost in USD, and the post-production options transition, captions, branding and music; see UGCRequest)
+ *     responses:
+ *       202:
+ *         description: |
+ *           Generation queued. Image analysis, script generation, video generation and
+ *           post-processing run in the background; poll the status endpoint for each stage's progress.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/GenerationQueued'
+ *       400:
+ *         description: Invalid request parameters
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Authentication required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       402:
+ *         description: |
+ *           The credit balance cannot cover the generation (INSUFFICIENT_CREDITS), it would take
+ *           spend over a cap (DAILY_SPEND_CAP_EXCEEDED, MONTHLY_SPEND_CAP_EXCEEDED), or it is
+ *           estimated to cost more than options.maxCost (MAX_COST_EXCEEDED)
+ *       403:
+ *         description: More segments requested than the plan allows
+ *       429:
+ *         description: Rate limit exceeded, or the plan's daily, monthly or concurrent quota is used up
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: The Idempotency-Key was used with a different request (IDEMPOTENCY_KEY_MISMATCH) or its request is still processing (IDEMPOTENCY_REQUEST_IN_PROGRESS)
+ */
+// UGC API routes (require authentication - support both API keys and JWT)
+app.post('/api/v1/ugc/generate', 
+  OAuthMiddleware.validateAny({ requiredPermissions: ['ugc:generate'], organizationRole: 'editor' }),
+  upload.array('images', serverConfig.maxImages), 
+  IdempotencyMiddleware.handle('ugc.generate'),
+  RateLimitMiddleware.chargeParsedBody(),
+  ugcController.generateUGCAd.bind(ugcController)
+);
+/**
+ * @swagger
+ * /api/v1/ugc/quote:
+ *   post:
+ *     summary: Quote a UGC advertisement
+ *     description: |
+ *       Estimate what generating an advertisement would cost in provider spend (USD) and
+ *       credits, and how long it would take, without running anything. The quote says whether
+ *       the generation fits the caller's spend caps and options.maxCost. Images can be uploaded
+ *       as for generation or just counted with imageCount.
+ *     tags: [UGC Generation]
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - creativeBrief
+ *             properties:
+ *               creativeBrief:
+ *                 type: string
+ *               images:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: binary
+ *               imageCount:
+ *                 type: integer
+ *                 description: Number of images, when not uploading them
+ *               options:
+ *                 type: string
+ *                 description: JSON string with generation options (segments, segmentDuration, useFastModel, maxCost, etc.)
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - creativeBrief
+ *               - imageCount
+ *             properties:
+ *               creativeBrief:
+ *                 type: string
+ *               imageCount:
+ *                 type: integer
+ *               options:
+ *                 type: object
+ *     responses:
+ *       200:
+ *         description: Quote
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/Quote'
+ *       400:
+ *         description: Invalid brief, images, options or maxCost
+ *       401:
+ *         description: Authentication required
+ */
+app.post('/api/v1/ugc/quote',
+  OAuthMiddleware.validateAny({ requiredPermissions: ['ugc:generate'] }),
+  upload.array('images', serverConfig.maxImages),
+  ugcController.quoteUGCAd.bind(ugcController)
+);
+/**
+ * @swagger
+ * /api/v1/ugc/briefs/structure:
+ *   post:
+ *     summary: Structure a creative brief
+ *     description: |
+ *       Drafts a structured brief (see StructuredBrief) from a free text creative brief with the
+ *       LLM, to review and pass as the brief of a generation. Fields the text does not cover are
+ *       left out and listed as missing.
+ *     tags: [UGC Generation]
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - text
+ *             properties:
+ *               text:
+ *                 type: string
+ *                 maxLength: 5000
+ *                 example: Ad for GlowUp serum aimed at busy moms with dry skin. Playful tone, end with "Shop now". Must say "dermatologist tested" and never say "cure".
+ *     responses:
+ *       200:
+ *         description: Structured brief
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     brief:
+ *                       $ref: '#/components/schemas/StructuredBrief'
+ *                     missing:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                       description: Brief fields the text did not cover
+ *       400:
+ *         description: Invalid text
+ *       401:
+ *         description: Authentication required
+ *       422:
+ *         description: The text could not be structured, such as when it names no product
+ */
+app.post('/api/v1/ugc/briefs/structure',
+  OAuthMiddleware.validateAny({ requiredPermissions: ['ugc:generate'] }),
+  ugcController.structureBrief.bind(ugcController)
+);
+/**
+ * @swagger
+ * /api/v1/ugc/download:
+ *   post:
+ *     summary: Download generated videos
+ *     description: Download one or more generated videos by operation IDs
+ *     tags: [UGC Generation]
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - operationIds
+ *             properties:
+ *               operationIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Array of operation IDs to download
+ *                 example: ["op_123", "op_456"]
+ *               format:
+ *                 type: string
+ *                 enum: [zip, individual]
+ *                 default: zip
+ *                 description: Download format (zip archive or individual files)
+ *     responses:
+ *       200:
+ *         description: Videos downloaded successfully
+ *         content:
+ *           application/zip:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 downloadUrls:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *       404:
+ *         description: One or more operations not found
+ *       401:
+ *         description: Authentication required
+ */
+app.post('/api/v1/ugc/download', 
+  OAuthMiddleware.validateAny({ requiredPermissions: ['ugc:generate'] }),
+  ugcController.downloadVideos.bind(ugcController)
+);
+/**
+ * @swagger
+ * /api/v1/ugc/status/{operationId}:
+ *   get:
+ *     summary: Get video generation status
+ *     description: Retrieves the current status of a video generation operation, with the status and progress of each workflow stage
+ *     tags: [UGC Generation]
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: operationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The operation ID returned from the generate endpoint
+ *     responses:
+ *       200:
+ *         description: Operation status retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/UGCResponse'
+ *       404:
+ *         description: Operation not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Authentication required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+app.get('/api/v1/ugc/status/:operationId', 
+  OAuthMiddleware.validateAny({ requiredPermissions: ['ugc:generate'] }),
+  ugcController.getGenerationStatus.bind(ugcController)
+);
+/**
+ * @swagger
+ * /api/v1/ugc/operations/{operationId}/resume:
+ *   post:
+ *     summary: Resume a failed generation
+ *     description: |
+ *       Requeues a failed or cancelled operation from the first workflow stage without a
+ *       saved checkpoint. Earlier stages reuse their checkpointed output, and video segments
+ *       already generated are not generated again. Pass rerunStage to force a stage, and every
+ *       stage after it, to run again. Credits for the generation are held again.
+ *     tags: [UGC Generation]
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: operationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               rerunStage:
+ *                 type: string
+ *                 enum: [image_analysis, script_generation, video_generation, post_processing]
+ *                 description: Stage to run again even if it has a checkpoint
+ *     responses:
+ *       202:
+ *         description: Operation requeued
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     operationId:
+ *                       type: string
+ *                     status:
+ *                       type: string
+ *                       example: queued
+ *                     resumedFrom:
+ *                       type: string
+ *                       example: video_generation
+ *                     stages:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                     workflowRun:
+ *                       type: integer
+ *                       example: 2
+ *                 statusEndpoint:
+ *                   type: string
+ *       400:
+ *         description: Unknown rerunStage
+ *       402:
+ *         description: Not enough credits
+ *       403:
+ *         description: Access denied to this operation
+ *       404:
+ *         description: Operation not found
+ *       409:
+ *         description: Operation is not failed or cancelled
+ */
+app.post('/api/v1/ugc/operations/:operationId/resume',
+  OAuthMiddleware.validateAny({ requiredPermissions: ['ugc:generate'], organizationRole: 'editor' }),
+  ugcController.resumeOperation.bind(ugcController)
+);
+/**
+ * @swagger
+ * /api/v1/ugc/operations/{operationId}/video:
+ *   get:
+ *     summary: Download the finished ad
+ *     description: Downloads the ad assembled from the operation's segments, with its transitions, captions, branding, music and watermark applied
+ *     tags: [UGC Generation]
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: operationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The finished ad
+ *         content:
+ *           video/mp4:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       403:
+ *         description: Access denied to this operation
+ *       404:
+ *         description: Operation not found, or its finished ad is not ready
+ */
+app.get('/api/v1/ugc/operations/:operationId/video',
+  OAuthMiddleware.validateAny({ requiredPermissions: ['ugc:generate'] }),
+  ugcController.downloadFinalVideo.bind(ugcController)
+);
+/**
+ * @swagger
+ * /api/v1/ugc/operations/{operationId}/variants:
+ *   get:
+ *     summary: List script variants
+ *     description: |
+ *       Lists the script variants written by a generation with options.variants, each labelled
+ *       with its angle, hook, tone and call to action, with the operation generating its video
+ *       once it has been picked.
+ *     tags: [UGC Generation]
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: operationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Script variants and their operations
+ *       403:
+ *         description: Access denied to this operation
+ *       404:
+ *         description: Operation not found, or it did not write script variants
+ *   post:
+ *     summary: Generate chosen script variants
+ *     description: |
+ *       Queues video generation for all, or a chosen subset, of an operation's script variants.
+ *       Each variant is generated as its own operation, a sibling of the others under the
+ *       operation that wrote them, starting from its image analysis. Quota is used and
+ *       credits are held for every variant queued.
+ *     tags: [UGC Generation]
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: operationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               variants:
+ *                 oneOf:
+ *                   - type: string
+ *                     enum: [all]
+ *                   - type: array
+ *                     items:
+ *                       type: string
+ *                       example: variant-1
+ *                 default: all
+ *                 description: "'all' for every variant not yet generated, or the IDs of the variants to generate"
+ *     responses:
+ *       202:
+ *         description: Variant operations queued
+ *       400:
+ *         description: Unknown variants
+ *       402:
+ *         description: Not enough credits, or the spend cap or maxCost would be exceeded
+ *       403:
+ *         description: Access denied to this operation
+ *       404:
+ *         description: Operation not found
+ *       409:
+ *         description: The variants are not written yet, or a chosen variant is already queued
+ *       429:
+ *         description: Quota exceeded
+ */
+app.get('/api/v1/ugc/operations/:operationId/variants',
+  OAuthMiddleware.validateAny({ requiredPermissions: ['ugc:generate'] }),
+  ugcController.getVariants.bind(ugcController)
+);
+app.post('/api/v1/ugc/operations/:operationId/variants',
+  OAuthMiddleware.validateAny({ requiredPermissions: ['ugc:generate'], organizationRole: 'editor' }),
+  ugcController.selectVariants.bind(ugcController)
+);
+/**
+ * @swagger
+ * /api/v1/ugc/operations/{operationId}/segments:
+ *   get:
+ *     summary: List video segments and their takes
+ *     description: |
+ *       Lists the video segments of an operation with the take its finished ad is assembled
+ *       from, and every earlier take that regenerating the segment replaced.
+ *     tags: [UGC Generation]
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: operationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Segments with their current version and takes
+ *       403:
+ *         description: Access denied to this operation
+ *       404:
+ *         description: Operation not found, or it has no video segments
+ */
+app.get('/api/v1/ugc/operations/:operationId/segments',
+  OAuthMiddleware.validateAny({ requiredPermissions: ['ugc:generate'] }),
+  ugcController.getSegments.bind(ugcController)
+);
+/**
+ * @swagger
+ * /api/v1/ugc/operations/{operationId}/segments/{segmentKey}/regenerate:
+ *   post:
+ *     summary: Regenerate one video segment
+ *     description: |
+ *       Generates a new take of one segment of a completed operation, reusing its image analysis
+ *       and every other segment, then reassembles the finished ad. The segment can be given an
+ *       edited prompt or a new seed image; without a prompt it is generated from its text in the
+ *       operation's script, including any edits. The take it replaces is kept and can be rolled
+ *       back to. Credits for one segment are held.
+ *     tags: [UGC Generation]
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: operationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: segmentKey
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: segment-2
+ *     requestBody:
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               prompt:
+ *                 type: string
+ *                 description: Edited script of the segment, which its video prompt is built from
+ *               seedImage:
+ *                 type: string
+ *                 format: binary
+ *                 description: Image (JPEG or PNG) to generate the segment from
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               prompt:
+ *                 type: string
+ *     responses:
+ *       202:
+ *         description: New take queued, with its version number
+ *       400:
+ *         description: Invalid prompt
+ *       402:
+ *         description: Not enough credits
+ *       403:
+ *         description: Access denied to this operation
+ *       404:
+ *         description: Operation or segment not found
+ *       409:
+ *         description: The operation has not completed
+ */
+app.post('/api/v1/ugc/operations/:operationId/segments/:segmentKey/regenerate',
+  OAuthMiddleware.validateAny({ requiredPermissions: ['ugc:generate'], organizationRole: 'editor' }),
+  upload.single('seedImage'),
+  ugcController.regenerateSegment.bind(ugcController)
+);
+/**
+ * @swagger
+ * /api/v1/ugc/operations/{operationId}/segments/{segmentKey}/rollback:
+ *   post:
+ *     summary: Roll a segment back to an earlier take
+ *     description: |
+ *       Reassembles the finished ad with an earlier take of one segment, restoring the prompt it
+ *       was generated from. Nothing is generated or charged. An operation whose regeneration
+ *       failed can be rolled back too.
+ *     tags: [UGC Generation]
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: operationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: segmentKey
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: segment-2
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - version
+ *             properties:
+ *               version:
+ *                 type: integer
+ *                 example: 1
+ *     responses:
+ *       202:
+ *         description: Reassembly queued
+ *       400:
+ *         description: Invalid version
+ *       403:
+ *         description: Access denied to this operation
+ *       404:
+ *         description: Operation, segment or version not found
+ *       409:
+ *         description: The operation is still running, the version is already current, or other segments are missing
+ */
+app.post('/api/v1/ugc/operations/:operationId/segments/:segmentKey/rollback',
+  OAuthMiddleware.validateAny({ requiredPermissions: ['ugc:generate'], organizationRole: 'editor' }),
+  ugcController.rollbackSegment.bind(ugcController)
+);
+/**
+ * @swagger
+ * /api/v1/ugc/operations/{operationId}/script:
+ *   get:
+ *     summary: Get the script of an operation
+ *     description: |
+ *       Shows the script of an operation segment by segment, with its current revision, which
+ *       segments are locked, and which have been edited since their video was generated (stale).
+ *       A stale segment is rendered when it is regenerated or the operation is resumed.
+ *     tags: [UGC Generation]
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: operationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Script segments with their text, duration, lock and staleness
+ *       403:
+ *         description: Access denied to this operation
+ *       404:
+ *         description: Operation not found, or it has no script (variant operations keep one per variant)
+ */
+app.get('/api/v1/ugc/operations/:operationId/script',
+  OAuthMiddleware.validateAny({ requiredPermissions: ['ugc:generate'] }),
+  ugcController.getScript.bind(ugcController)
+);
+/**
+ * @swagger
+ * /api/v1/ugc/operations/{operationId}/script/segments/{segmentKey}:
+ *   patch:
+ *     summary: Edit or lock one script segment
+ *     description: |
+ *       Replaces the text of one segment, locks or unlocks it, or both. Locked segments are kept
+ *       word for word by rewrites. Each change is recorded as a new script revision; an edit that
+ *       changes nothing records nothing. Not available while the operation is running.
+ *     tags: [UGC Generation]
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: operationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: segmentKey
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: segment-1
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               text:
+ *                 type: string
+ *                 minLength: 20
+ *                 maxLength: 500
+ *               locked:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Script saved, with the new revision and its changes
+ *       400:
+ *         description: Invalid text or lock
+ *       403:
+ *         description: Access denied to this operation
+ *       404:
+ *         description: Operation, script or segment not found
+ *       409:
+ *         description: The operation is running
+ */
+app.patch('/api/v1/ugc/operations/:operationId/script/segments/:segmentKey',
+  OAuthMiddleware.validateAny({ requiredPermissions: ['ugc:generate'], organizationRole: 'editor' }),
+  ugcController.editScriptSegment.bind(ugcController)
+);
+/**
+ * @swagger
+ * /api/v1/ugc/operations/{operationId}/script/rewrite:
+ *   post:
+ *     summary: Rewrite the unlocked script segments
+ *     description: |
+ *       Rewrites every unlocked segment so it fits around the locked ones, optionally following
+ *       revision instructions, and records the result as a new script revision.
+ *     tags: [UGC Generation]
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: operationId
+ *         required: true
+ *         schema:
+ *           type: string
  *     requestBody:
- *       required: true
  *       content:
  *         application/json:
  *           schema:
  *             type: object
- *             required:
- *               - refreshToken
  *             properties:
- *               refreshToken:
+ *               instructions:
  *                 type: string
- *                 description: Valid refresh token
+ *                 maxLength: 1000
+ *                 example: Make the opening more energetic
  *     responses:
  *       200:
- *         description: Token refreshed successfully
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 accessToken:
- *                   type: string
- *                 refreshToken:
- *                   type: string
- *                 expiresIn:
- *                   type: integer
- *       401:
- *         description: Invalid or expired refresh token
+ *         description: Script rewritten, with the new revision and its changes
+ *       400:
+ *         description: Invalid instructions
+ *       403:
+ *         description: Access denied to this operation
+ *       404:
+ *         description: Operation or script not found
+ *       409:
+ *         description: The operation is running, every segment is locked, or it has no image analysis
  */
-app.post('/api/v1/oauth/refresh', oauthController.refresh.bind(oauthController));
-app.post('/api/v1/oauth/revoke', oauthController.revoke.bind(oauthController));
-app.get('/api/v1/oauth/profile', OAuthMiddleware.validateJWT(), oauthController.getProfile.bind(oauthController));
-app.get('/api/v1/oauth/users', OAuthMiddleware.requirePermissions(['*']), oauthController.listUsers.bind(oauthController));
-app.put('/api/v1/oauth/users/:userId/role', OAuthMiddleware.requirePermissions(['*']), oauthController.updateUserRole.bind(oauthController));
-app.post('/api/v1/oauth/users/:userId/deactivate', OAuthMiddleware.requirePermissions(['*']), oauthController.deactivateUser.bind(oauthController));
-app.get('/api/v1/oauth/stats', OAuthMiddleware.requirePermissions(['*']), oauthController.getAuthStats.bind(oauthController));
-app.get('/api/v1/oauth/google/callback', oauthController.googleCallback.bind(oauthController));
-
+app.post('/api/v1/ugc/operations/:operationId/script/rewrite',
+  OAuthMiddleware.validateAny({ requiredPermissions: ['ugc:generate'], organizationRole: 'editor' }),
+  ugcController.rewriteScript.bind(ugcController)
+);
 /**
  * @swagger
- * /api/v1/ugc/generate:
+ * /api/v1/ugc/operations/{operationId}/script/revisions:
+ *   get:
+ *     summary: List script revisions
+ *     description: |
+ *       Lists every revision of the script of an operation, oldest first, with the full script
+ *       and what changed (text or lock of each segment, before and after). Revision 1 is the
+ *       script as it was generated.
+ *     tags: [UGC Generation]
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: operationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Script revisions with their changes
+ *       403:
+ *         description: Access denied to this operation
+ *       404:
+ *         description: Operation or script not found
+ */
+app.get('/api/v1/ugc/operations/:operationId/script/revisions',
+  OAuthMiddleware.validateAny({ requiredPermissions: ['ugc:generate'] }),
+  ugcController.getScriptRevisions.bind(ugcController)
+);
+/**
+ * @swagger
+ * /api/v1/ugc/operations/{operationId}/approve:
  *   post:
- *     summary: Generate UGC advertisement video
- *     description: Creates a User Generated Content advertisement video from a creative brief and optional images
+ *     summary: Approve the script of an operation
+ *     description: |
+ *       Approves the script of an operation generated with requireApproval, which is awaiting
+ *       approval, and queues its video generation. Segments edited with the approval are saved
+ *       as one script revision and the video is generated from them.
  *     tags: [UGC Generation]
  *     security:
  *       - ApiKeyAuth: []
  *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: operationId
+ *         required: true
+ *         schema:
+ *           type: string
  *     requestBody:
- *       required: true
  *       content:
- *         multipart/form-data:
+ *         application/json:
  *           schema:
  *             type: object
- *             required:
- *               - creativeBrief
  *             properties:
- *               creativeBrief:
- *                 type: string
- *                 description: Creative brief describing the advertisement concept
- *                 example: "Create an engaging ad for a new fitness app targeting young professionals"
- *               images:
- *                 type: array
- *                 items:
+ *               segments:
+ *                 type: object
+ *                 description: Edited script by segment key, each 20 to 500 characters
+ *                 additionalProperties:
  *                   type: string
- *                   format: binary
- *                 description: Images to analyze and incorporate (max 4 images, 10MB each)
- *                 maxItems: 4
- *               options:
- *                 type: string
- *                 description: JSON string with additional options (aspectRatio, duration, style, etc.)
+ *                 example:
+ *                   segment-2: Person pours a glass and toasts with friends on the terrace
  *     responses:
- *       200:
- *         description: Video generation started successfully
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/UGCResponse'
+ *       202:
+ *         description: Script approved and video generation queued
  *       400:
- *         description: Invalid request parameters
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/Error'
- *       401:
- *         description: Authentication required
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/Error'
- *       429:
- *         description: Rate limit exceeded
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/Error'
+ *         description: Invalid segment edits
+ *       403:
+ *         description: Access denied to this operation
+ *       404:
+ *         description: Operation or segment not found
+ *       409:
+ *         description: The operation is not awaiting approval
  */
-// UGC API routes (require authentication - support both API keys and JWT)
-app.post('/api/v1/ugc/generate', 
-  OAuthMiddleware.validateAny({ requiredPermissions: ['ugc:generate'] }),
-  upload.array('images', serverConfig.maxImages), 
-  ugcController.generateUGCAd.bind(ugcController)
+app.post('/api/v1/ugc/operations/:operationId/approve',
+  OAuthMiddleware.validateAny({ requiredPermissions: ['ugc:generate'], organizationRole: 'editor' }),
+  ugcController.approveOperation.bind(ugcController)
 );
 /**
  * @swagger
- * /api/v1/ugc/download:
+ * /api/v1/ugc/operations/{operationId}/reject:
  *   post:
- *     summary: Download generated videos
- *     description: Download one or more generated videos by operation IDs
+ *     summary: Reject the script of an operation
+ *     description: |
+ *       Rejects the script of an operation awaiting approval. The operation is cancelled and
+ *       the credits held for it are refunded.
  *     tags: [UGC Generation]
  *     security:
  *       - ApiKeyAuth: []
  *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: operationId
+ *         required: true
+ *         schema:
+ *           type: string
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
  *             type: object
- *             required:
- *               - operationIds
+ *             required: [reason]
  *             properties:
- *               operationIds:
- *                 type: array
- *                 items:
- *                   type: string
- *                 description: Array of operation IDs to download
- *                 example: ["op_123", "op_456"]
- *               format:
+ *               reason:
  *                 type: string
- *                 enum: [zip, individual]
- *                 default: zip
- *                 description: Download format (zip archive or individual files)
+ *                 maxLength: 1000
+ *                 example: The opening does not match our brand voice
  *     responses:
  *       200:
- *         description: Videos downloaded successfully
- *         content:
- *           application/zip:
- *             schema:
- *               type: string
- *               format: binary
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 downloadUrls:
- *                   type: array
- *                   items:
- *                     type: string
+ *         description: Script rejected and operation cancelled
+ *       400:
+ *         description: Missing or invalid reason
+ *       403:
+ *         description: Access denied to this operation
  *       404:
- *         description: One or more operations not found
- *       401:
- *         description: Authentication required
+ *         description: Operation not found
+ *       409:
+ *         description: The operation is not awaiting approval
  */
-app.post('/api/v1/ugc/download', 
-  OAuthMiddleware.validateAny({ requiredPermissions: ['ugc:generate'] }),
-  ugcController.downloadVideos.bind(ugcController)
+app.post('/api/v1/ugc/operations/:operationId/reject',
+  OAuthMiddleware.validateAny({ requiredPermissions: ['ugc:generate'], organizationRole: 'editor' }),
+  ugcController.rejectOperation.bind(ugcController)
 );
 /**
  * @swagger
- * /api/v1/ugc/status/{operationId}:
- *   get:
- *     summary: Get video generation status
- *     description: Retrieves the current status of a video generation operation
+ * /api/v1/ugc/operations/{operationId}/remix:
+ *   post:
+ *     summary: Remix an operation
+ *     description: |
+ *       Creates a new operation from the images, image analysis and options of an earlier one,
+ *       overriding its creative brief, script, aspect ratio or presenter persona. The remix starts
+ *       from the earliest stage an override changes: only the video is generated again when just
+ *       the aspect ratio changes. Quota is reserved and credits held as for any generation, and the
+ *       remix lists the operation it came from in its lineage.
  *     tags: [UGC Generation]
  *     security:
  *       - ApiKeyAuth: []
@@ -739,30 +2579,45 @@ app.post('/api/v1/ugc/download',
  *         required: true
  *         schema:
  *           type: string
- *         description: The operation ID returned from the generate endpoint
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               creativeBrief:
+ *                 type: string
+ *                 description: New creative brief, which replaces the structured brief too
+ *                 example: The same ad, for our summer promo with 20% off
+ *               script:
+ *                 type: string
+ *                 maxLength: 5000
+ *               aspectRatio:
+ *                 type: string
+ *                 enum: ['16:9', '9:16', '1:1']
+ *               persona:
+ *                 type: string
+ *                 maxLength: 300
+ *                 example: Woman in her twenties, relaxed and sun-tanned, at the beach
  *     responses:
- *       200:
- *         description: Operation status retrieved successfully
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/UGCResponse'
+ *       202:
+ *         description: Remix created and queued
+ *       400:
+ *         description: Invalid overrides
+ *       402:
+ *         description: Insufficient credits, or over a spend cap or maxCost
+ *       403:
+ *         description: Access denied to this operation
  *       404:
  *         description: Operation not found
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/Error'
- *       401:
- *         description: Authentication required
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: The operation's images were not kept
+ *       429:
+ *         description: Quota exceeded
  */
-app.get('/api/v1/ugc/status/:operationId', 
-  OAuthMiddleware.validateAny({ requiredPermissions: ['ugc:generate'] }),
-  ugcController.getGenerationStatus.bind(ugcController)
+app.post('/api/v1/ugc/operations/:operationId/remix',
+  OAuthMiddleware.validateAny({ requiredPermissions: ['ugc:generate'], organizationRole: 'editor' }),
+  ugcController.remixOperation.bind(ugcController)
 );
 /**
  * @swagger
@@ -826,7 +2681,10 @@ app.get('/api/v1/ugc/history',
  * /api/v1/ugc/quota:
  *   get:
  *     summary: Get quota status
- *     description: Retrieve current usage quota and limits for the authenticated user
+ *     description: |
+ *       Retrieve current usage and the limits of the plan that applies to the
+ *       caller. Usage is counted for the active organization when acting in one,
+ *       otherwise for the user, otherwise for the API key.
  *     tags: [UGC Generation]
  *     security:
  *       - ApiKeyAuth: []
@@ -839,6 +2697,8 @@ app.get('/api/v1/ugc/history',
  *             schema:
  *               type: object
  *               properties:
+ *                 plan:
+ *                   $ref: '#/components/schemas/Plan'
  *                 daily:
  *                   type: object
  *                   properties:
@@ -867,6 +2727,15 @@ app.get('/api/v1/ugc/history',
  *                     resetTime:
  *                       type: string
  *                       format: date-time
+ *                 concurrent:
+ *                   type: object
+ *                   properties:
+ *                     used:
+ *                       type: integer
+ *                     limit:
+ *                       type: integer
+ *                     remaining:
+ *                       type: integer
  *       401:
  *         description: Authentication required
  */
@@ -1206,11 +3075,16 @@ app.delete('/api/v1/jobs/operations/:operationId/webhook',
  * /api/v1/batch/generate:
  *   post:
  *     summary: Create batch video generation
- *     description: Creates multiple UGC advertisement videos in a single batch operation
+ *     description: |
+ *       Creates multiple UGC advertisement videos in a single batch operation. Instead of requests,
+ *       a variant matrix can be sent: the batch gets one request per combination of its dimension
+ *       values, and each operation is tagged with the values its brief was filled in with.
  *     tags: [Batch Processing]
  *     security:
  *       - ApiKeyAuth: []
  *       - BearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *     requestBody:
  *       required: true
  *       content:
@@ -1238,7 +3112,7 @@ app.delete('/api/v1/jobs/operations/:operationId/webhook',
  *                   type: string
  *                   format: date-time
  *       400:
- *         description: Invalid batch request
+ *         description: Invalid batch request or variant matrix (INVALID_MATRIX)
  *         content:
  *           application/json:
  *             schema:
@@ -1249,12 +3123,73 @@ app.delete('/api/v1/jobs/operations/:operationId/webhook',
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       402:
+ *         description: |
+ *           The credit balance cannot cover every request in the batch (INSUFFICIENT_CREDITS), the batch
+ *           would take spend over a cap (DAILY_SPEND_CAP_EXCEEDED, MONTHLY_SPEND_CAP_EXCEEDED), or the
+ *           batch or one of its requests is estimated to cost more than its maxCost (MAX_COST_EXCEEDED)
+ *       403:
+ *         description: Batch is larger than the plan allows
+ *       429:
+ *         description: The plan quota cannot cover every request in the batch
+ *       409:
+ *         description: The Idempotency-Key was used with a different request (IDEMPOTENCY_KEY_MISMATCH) or its request is still processing (IDEMPOTENCY_REQUEST_IN_PROGRESS)
  */
 // Batch processing routes (require authentication)
 app.post('/api/v1/batch/generate', 
-  OAuthMiddleware.validateAny({ requiredPermissions: ['ugc:generate'] }),
+  OAuthMiddleware.validateAny({ requiredPermissions: ['ugc:generate'], organizationRole: 'editor' }),
+  IdempotencyMiddleware.handle('batch.generate'),
   batchController.createBatch.bind(batchController)
 );
+/**
+ * @swagger
+ * /api/v1/batch/quote:
+ *   post:
+ *     summary: Quote a batch
+ *     description: |
+ *       Estimate what a batch would cost in provider spend (USD) and credits, and how long it
+ *       would take, without creating it. Each request is quoted separately, and the quote says
+ *       whether the batch fits the caller's spend caps and its maxCost.
+ *     tags: [Batch Processing]
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               requests:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     creativeBrief:
+ *                       type: string
+ *                     imageCount:
+ *                       type: integer
+ *                       description: Number of images (or send images as for batch creation)
+ *                     options:
+ *                       type: object
+ *               matrix:
+ *                 $ref: '#/components/schemas/VariantMatrix'
+ *               maxCost:
+ *                 type: number
+ *                 description: Most the whole batch may cost in USD
+ *     responses:
+ *       200:
+ *         description: Quote with a line per request
+ *       400:
+ *         description: Invalid requests, variant matrix or maxCost
+ *       401:
+ *         description: Authentication required
+ */
+app.post('/api/v1/batch/quote',
+  OAuthMiddleware.validateAny({ requiredPermissions: ['ugc:generate'] }),
+  batchController.quoteBatch.bind(batchController)
+);
 /**
  * @swagger
  * /api/v1/batch/generate-with-files:
@@ -1265,6 +3200,8 @@ app.post('/api/v1/batch/generate',
  *     security:
  *       - ApiKeyAuth: []
  *       - BearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *     requestBody:
  *       required: true
  *       content:
@@ -1315,10 +3252,23 @@ app.post('/api/v1/batch/generate',
  *         description: Invalid batch data or file uploads
  *       401:
  *         description: Authentication required
+ *       402:
+ *         description: |
+ *           The credit balance cannot cover every request in the batch (INSUFFICIENT_CREDITS), the batch
+ *           would take spend over a cap (DAILY_SPEND_CAP_EXCEEDED, MONTHLY_SPEND_CAP_EXCEEDED), or the
+ *           batch or one of its requests is estimated to cost more than its maxCost (MAX_COST_EXCEEDED)
+ *       403:
+ *         description: Batch is larger than the plan allows
+ *       429:
+ *         description: The plan quota cannot cover every request in the batch
+ *       409:
+ *         description: The Idempotency-Key was used with a different request (IDEMPOTENCY_KEY_MISMATCH) or its request is still processing (IDEMPOTENCY_REQUEST_IN_PROGRESS)
  */
 app.post('/api/v1/batch/generate-with-files', 
-  OAuthMiddleware.validateAny({ requiredPermissions: ['ugc:generate'] }),
+  OAuthMiddleware.validateAny({ requiredPermissions: ['ugc:generate'], organizationRole: 'editor' }),
   upload.any(), // Allow multiple files with different field names
+  IdempotencyMiddleware.handle('batch.generate-with-files'),
+  RateLimitMiddleware.chargeParsedBody(),
   batchController.createBatchWithFiles.bind(batchController)
 );
 /**
@@ -1406,6 +3356,12 @@ app.get('/api/v1/batch/:batchId/status',
  *           type: boolean
  *           default: false
  *         description: Include failed operations in results
+ *       - in: query
+ *         name: pivot
+ *         schema:
+ *           type: string
+ *           example: hook,cta
+ *         description: Comma-separated dimensions to group the results by, with counts per combination of their values
  *     responses:
  *       200:
  *         description: Batch results retrieved successfully
@@ -1442,6 +3398,8 @@ app.get('/api/v1/batch/:batchId/status',
  *                       type: number
  *                     averageDuration:
  *                       type: number
+ *       400:
+ *         description: Batch is not yet completed (BATCH_NOT_COMPLETED) or has no such pivot dimension (INVALID_PIVOT)
  *       404:
  *         description: Batch not found
  *       401:
@@ -1634,6 +3592,8 @@ app.get('/api/v1/batch/queue-status',
  *     security:
  *       - ApiKeyAuth: []
  *       - BearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *     requestBody:
  *       required: true
  *       content:
@@ -1683,10 +3643,22 @@ app.get('/api/v1/batch/queue-status',
  *         description: Invalid optimization parameters
  *       401:
  *         description: Authentication required
+ *       402:
+ *         description: |
+ *           The credit balance cannot cover every request in the batch (INSUFFICIENT_CREDITS), the batch
+ *           would take spend over a cap (DAILY_SPEND_CAP_EXCEEDED, MONTHLY_SPEND_CAP_EXCEEDED), or the
+ *           batch or one of its requests is estimated to cost more than its maxCost (MAX_COST_EXCEEDED)
+ *       403:
+ *         description: Batch is larger than the plan allows
+ *       429:
+ *         description: The plan quota cannot cover every request in the batch
+ *       409:
+ *         description: The Idempotency-Key was used with a different request (IDEMPOTENCY_KEY_MISMATCH) or its request is still processing (IDEMPOTENCY_REQUEST_IN_PROGRESS)
  */
 // Batch optimization routes
 app.post('/api/v1/batch/generate-optimized', 
-  OAuthMiddleware.validateAny({ requiredPermissions: ['ugc:generate'] }),
+  OAuthMiddleware.validateAny({ requiredPermissions: ['ugc:generate'], organizationRole: 'editor' }),
+  IdempotencyMiddleware.handle('batch.generate-optimized'),
   batchController.createOptimizedBatch.bind(batchController)
 );
 /**
@@ -0,0 +1,26 @@
+/**
+ * Credit price table
+ *
+ * Generations are paid for from a prepaid credit balance. A hold for the
+ * estimated price is placed when a generation is submitted, the actual price
+ * is charged when video generation completes, and the hold is refunded if
+ * the generation fails or is cancelled.
+ *
+ * The price of a generation is SEGMENT_CREDITS per video segment plus the
+ * surcharge of every option in OPTION_SURCHARGES that the request turns on.
+ * Charging is switched on with the CREDITS_ENABLED environment variable.
+ */
+
+// Credits per generated video segment
+const SEGMENT_CREDITS = 10;
+
+// Flat surcharges, in credits, for options that cost more to serve
+const OPTION_SURCHARGES = {
+  // Urgent generations jump the queue
+  urgent: 5
+};
+
+module.exports = {
+  SEGMENT_CREDITS,
+  OPTION_SURCHARGES
+};
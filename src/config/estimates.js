@@ -0,0 +1,61 @@
+/**
+ * Generation estimates
+ *
+ * Typical provider usage and stage durations of a generation, used to quote
+ * what it will cost and how long it will take before it is submitted, and to
+ * check it against spend caps and a request's maxCost. Quotes are priced with
+ * the provider price table (see providerPrices.js).
+ */
+
+// Characters of creative brief per prompt token
+const CHARS_PER_TOKEN = 4;
+
+// Provider usage per generation
+const ESTIMATED_USAGE = {
+  // One Gemini call per image
+  imageAnalysis: {
+    model: 'gemini-2.5-flash-image-preview',
+    inputTokensPerImage: 1300,
+    outputTokensPerImage: 400
+  },
+
+  // One OpenAI call whose prompt grows with the brief and the image analyses
+  scriptGeneration: {
+    model: 'gpt-5',
+    inputTokens: 900,
+    inputTokensPerImage: 150,
+    outputTokens: 800
+  },
+
+  // One Veo call per segment, charged per second of video
+  videoGeneration: {
+    model: 'veo-3.0-generate-preview',
+    fastModel: 'veo-3.0-fast-generate-preview'
+  }
+};
+
+// Seconds of video Veo generates per segment unless options.segmentDuration is set
+const DEFAULT_SEGMENT_SECONDS = 8;
+
+// Shortest and longest segment Veo can generate, in seconds
+const MIN_SEGMENT_SECONDS = 4;
+const MAX_SEGMENT_SECONDS = 8;
+
+// Typical time each stage takes, in seconds
+const STAGE_DURATIONS = {
+  // Images are analyzed in parallel
+  imageAnalysis: 15,
+  scriptGeneration: 20,
+  // Segments are generated one after another
+  videoSegment: 120,
+  fastVideoSegment: 60
+};
+
+module.exports = {
+  CHARS_PER_TOKEN,
+  ESTIMATED_USAGE,
+  DEFAULT_SEGMENT_SECONDS,
+  MIN_SEGMENT_SECONDS,
+  MAX_SEGMENT_SECONDS,
+  STAGE_DURATIONS
+};
@@ -0,0 +1,61 @@
+/**
+ * Subscription plan catalogue
+ *
+ * These are the plans seeded into the plans table. Users and organizations
+ * are assigned a plan; anyone without one falls back to DEFAULT_PLAN. The
+ * definitions here are also used as-is if the plans table has not been
+ * seeded, so a fresh database behaves like the default plan.
+ *
+ * queuePriority follows BullMQ: a lower number is processed sooner.
+ */
+
+// Plan used for principals without an assigned plan
+const DEFAULT_PLAN = 'basic';
+
+const PLANS = {
+  free: {
+    displayName: 'Free',
+    dailyLimit: 5,
+    monthlyLimit: 50,
+    concurrentLimit: 1,
+    queuePriority: 5,
+    maxSegments: 2,
+    maxBatchSize: 5,
+    watermarkRequired: true
+  },
+  basic: {
+    displayName: 'Basic',
+    dailyLimit: 100,
+    monthlyLimit: 1000,
+    concurrentLimit: 5,
+    queuePriority: 3,
+    maxSegments: 4,
+    maxBatchSize: 25,
+    watermarkRequired: false
+  },
+  pro: {
+    displayName: 'Pro',
+    dailyLimit: 500,
+    monthlyLimit: 10000,
+    concurrentLimit: 15,
+    queuePriority: 2,
+    maxSegments: 8,
+    maxBatchSize: 100,
+    watermarkRequired: false
+  },
+  premium: {
+    displayName: 'Premium',
+    dailyLimit: 2000,
+    monthlyLimit: 50000,
+    concurrentLimit: 50,
+    queuePriority: 1,
+    maxSegments: 12,
+    maxBatchSize: 100,
+    watermarkRequired: false
+  }
+};
+
+module.exports = {
+  DEFAULT_PLAN,
+  PLANS
+};
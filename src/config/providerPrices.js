@@ -0,0 +1,28 @@
+/**
+ * Provider price table
+ *
+ * What each AI provider charges us, used to cost every provider call. Prices
+ * are in USD and keyed by model. An entry prices the units a call consumes:
+ * `input` and `output` are the price per `per` units of `unit` (tokens for
+ * OpenAI and Gemini, seconds of generated video for Veo).
+ *
+ * Entries can be overridden or added with the PROVIDER_PRICES environment
+ * variable, a JSON object using the same format. Calls to a model without an
+ * entry are recorded without a cost.
+ */
+
+const PROVIDER_PRICES = {
+  // OpenAI script generation
+  'gpt-5': { unit: 'token', per: 1000000, input: 1.25, output: 10.0 },
+
+  // Gemini vision image analysis
+  'gemini-2.5-flash-image-preview': { unit: 'token', per: 1000000, input: 0.30, output: 2.50 },
+
+  // Veo video generation, charged per second of video
+  'veo-3.0-generate-preview': { unit: 'second', per: 1, input: 0, output: 0.75 },
+  'veo-3.0-fast-generate-preview': { unit: 'second', per: 1, input: 0, output: 0.40 }
+};
+
+module.exports = {
+  PROVIDER_PRICES
+};
@@ -1,4 +1,4 @@
-const { Queue, Worker, QueueEvents } = require('bullmq');
+const { Queue, Worker, QueueEvents, FlowProducer } = require('bullmq');
 const Redis = require('ioredis');
 const config = require('../utils/config');
 
@@ -18,11 +18,22 @@ const connection = new Redis(redisConfig);
 
 // Queue names
 const QUEUE_NAMES = {
+  IMAGE_ANALYSIS: 'image-analysis',
+  SCRIPT_GENERATION: 'script-generation',
   VIDEO_GENERATION: 'video-generation',
   VIDEO_PROCESSING: 'video-processing',
   CLEANUP: 'cleanup'
 };
 
+// Stages of a generation workflow in the order they run, with the queue each
+// runs on, its retry attempts and its share of the operation's overall progress
+const WORKFLOW_STAGES = [
+  { name: 'image_analysis', queue: 'imageAnalysis', queueName: QUEUE_NAMES.IMAGE_ANALYSIS, jobName: 'analyze-images', attempts: 3, weight: 10 },
+  { name: 'script_generation', queue: 'scriptGeneration', queueName: QUEUE_NAMES.SCRIPT_GENERATION, jobName: 'generate-script', attempts: 3, weight: 10 },
+  { name: 'video_generation', queue: 'videoGeneration', queueName: QUEUE_NAMES.VIDEO_GENERATION, jobName: 'generate-video', attempts: 3, weight: 70 },
+  { name: 'post_processing', queue: 'videoProcessing', queueName: QUEUE_NAMES.VIDEO_PROCESSING, jobName: 'post-process', attempts: 2, weight: 10 }
+];
+
 // Queue configurations
 const queueConfig = {
   connection,
@@ -38,25 +49,38 @@ const queueConfig = {
 };
 
 // Create queues
+const imageAnalysisQueue = new Queue(QUEUE_NAMES.IMAGE_ANALYSIS, queueConfig);
+const scriptGenerationQueue = new Queue(QUEUE_NAMES.SCRIPT_GENERATION, queueConfig);
 const videoGenerationQueue = new Queue(QUEUE_NAMES.VIDEO_GENERATION, queueConfig);
 const videoProcessingQueue = new Queue(QUEUE_NAMES.VIDEO_PROCESSING, queueConfig);
 const cleanupQueue = new Queue(QUEUE_NAMES.CLEANUP, queueConfig);
 
 // Queue events for monitoring
+const imageAnalysisEvents = new QueueEvents(QUEUE_NAMES.IMAGE_ANALYSIS, { connection });
+const scriptGenerationEvents = new QueueEvents(QUEUE_NAMES.SCRIPT_GENERATION, { connection });
 const videoGenerationEvents = new QueueEvents(QUEUE_NAMES.VIDEO_GENERATION, { connection });
 const videoProcessingEvents = new QueueEvents(QUEUE_NAMES.VIDEO_PROCESSING, { connection });
 const cleanupEvents = new QueueEvents(QUEUE_NAMES.CLEANUP, { connection });
 
+// Adds the stages of a generation workflow as one flow of parent and child jobs
+const flowProducer = new FlowProducer({ connection });
+
 // Export queues and configuration
 module.exports = {
   connection,
   QUEUE_NAMES,
+  WORKFLOW_STAGES,
+  flowProducer,
   queues: {
+    imageAnalysis: imageAnalysisQueue,
+    scriptGeneration: scriptGenerationQueue,
     videoGeneration: videoGenerationQueue,
     videoProcessing: videoProcessingQueue,
     cleanup: cleanupQueue,
   },
   events: {
+    imageAnalysis: imageAnalysisEvents,
+    scriptGeneration: scriptGenerationEvents,
     videoGeneration: videoGenerationEvents,
     videoProcessing: videoProcessingEvents,
     cleanup: cleanupEvents,
@@ -0,0 +1,53 @@
+/**
+ * Rate limit cost table
+ *
+ * Requests are charged in units against the caller's rate limit budget.
+ * Routes are keyed by "METHOD /path" using the Express route pattern. An
+ * entry is either a flat number of units or { cost, per } where the cost is
+ * multiplied by the number of video segments ('segment') or batch items
+ * ('item') in the request, or by the segments generated from the stored
+ * operation it works on ('operation'). Unlisted routes cost DEFAULT_COST.
+ *
+ * Entries can be overridden or added with the RATE_LIMIT_COSTS environment
+ * variable, a JSON object using the same format.
+ */
+
+// Cost of any route without an entry
+const DEFAULT_COST = 1;
+
+// Segments produced by a generation request that does not ask for a count
+const DEFAULT_SEGMENTS = 2;
+
+// Most requests a batch can hold, so the most items it can be charged for
+const MAX_BATCH_REQUESTS = 100;
+
+const ROUTE_COSTS = {
+  // Video generation is charged per segment
+  'POST /api/v1/ugc/generate': { cost: 1, per: 'segment' },
+
+  // Batches are charged per request in the batch, or per combination of a variant matrix
+  'POST /api/v1/batch/generate': { cost: 1, per: 'item' },
+  'POST /api/v1/batch/generate-with-files': { cost: 1, per: 'item' },
+  'POST /api/v1/batch/generate-optimized': { cost: 1, per: 'item' },
+
+  // Generating from a stored operation is charged per segment generated, once the operation is loaded
+  'POST /api/v1/ugc/operations/:operationId/variants': { cost: 1, per: 'operation' },
+  'POST /api/v1/ugc/operations/:operationId/approve': { cost: 1, per: 'operation' },
+  'POST /api/v1/ugc/operations/:operationId/remix': { cost: 1, per: 'operation' },
+  'POST /api/v1/ugc/operations/:operationId/resume': { cost: 1, per: 'operation' },
+  // Regenerating a segment renders that one segment again
+  'POST /api/v1/ugc/operations/:operationId/segments/:segmentKey/regenerate': 1,
+
+  // Status polling is close to free so clients can poll without starving generation
+  'GET /api/v1/ugc/status/:operationId': 0.1,
+  'GET /api/v1/jobs/operations/:operationId/status': 0.1,
+  'GET /api/v1/batch/:batchId/status': 0.1,
+  'GET /api/v1/batch/queue-status': 0.1
+};
+
+module.exports = {
+  DEFAULT_COST,
+  DEFAULT_SEGMENTS,
+  MAX_BATCH_REQUESTS,
+  ROUTE_COSTS
+};
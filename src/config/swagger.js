@@ -42,6 +42,18 @@ const options = {
           description: 'JWT token for authenticated users'
         }
       },
+      parameters: {
+        IdempotencyKey: {
+          in: 'header',
+          name: 'Idempotency-Key',
+          required: false,
+          schema: {
+            type: 'string',
+            maxLength: 255
+          },
+          description: 'Unique key for the request. Retrying with the same key and body replays the original response (with an Idempotent-Replayed header) instead of starting the work again. Keys are kept for 24 hours.'
+        }
+      },
       schemas: {
         Error: {
           type: 'object',
@@ -63,13 +75,16 @@ const options = {
         },
         UGCRequest: {
           type: 'object',
-          required: ['creativeBrief'],
+          description: 'A request gives a creativeBrief, a structured brief, or both',
           properties: {
             creativeBrief: {
               type: 'string',
-              description: 'Creative brief describing the advertisement concept',
+              description: 'Creative brief describing the advertisement concept; written from the structured brief when only that is given',
               example: 'Create an engaging ad for a new fitness app targeting young professionals'
             },
+            brief: {
+              $ref: '#/components/schemas/StructuredBrief'
+            },
             images: {
               type: 'array',
               items: {
@@ -88,12 +103,44 @@ const options = {
                   default: '16:9',
                   description: 'Video aspect ratio'
                 },
-                duration: {
+                segments: {
+                  type: 'integer',
+                  minimum: 1,
+                  default: 2,
+                  description: 'Number of video segments, up to the maxSegments of the plan'
+                },
+                targetDuration: {
+                  type: 'integer',
+                  minimum: 4,
+                  description: 'Length of the finished ad in seconds (e.g. 15, 30 or 45), split into segments of 4-8 seconds'
+                },
+                segmentDuration: {
                   type: 'integer',
-                  minimum: 5,
-                  maximum: 30,
-                  default: 15,
-                  description: 'Target video duration in seconds'
+                  minimum: 4,
+                  maximum: 8,
+                  default: 8,
+                  description: 'Length of every segment in seconds, when no targetDuration is given'
+                },
+                variants: {
+                  type: 'integer',
+                  minimum: 2,
+                  maximum: 5,
+                  description: 'Write this many script variants, each taking a different hook, tone or call to action, instead of generating a video. Pick which variants to generate with POST /api/v1/ugc/operations/{operationId}/variants.'
+                },
+                persona: {
+                  type: 'string',
+                  maxLength: 300,
+                  description: 'Who presents the ad, written into the script and video prompts'
+                },
+                requireApproval: {
+                  type: 'boolean',
+                  default: false,
+                  description: 'Stop after the script is written and wait for it to be approved (POST /api/v1/ugc/operations/{operationId}/approve) or rejected (POST /api/v1/ugc/operations/{operationId}/reject) before generating the video. Scripts not approved within SCRIPT_APPROVAL_TTL seconds expire. Cannot be combined with variants.'
+                },
+                continuity: {
+                  type: 'boolean',
+                  default: false,
+                  description: 'Seed each segment after the first with the last frame of the segment before it, keeping the presenter, lighting and product consistent. Segments are generated one after another.'
                 },
                 style: {
                   type: 'string',
@@ -101,18 +148,47 @@ const options = {
                   default: 'professional',
                   description: 'Video style preference'
                 },
-                includeMusic: {
-                  type: 'boolean',
-                  default: false,
-                  description: 'Whether to include background music'
-                },
-                branding: {
+                transition: {
                   type: 'object',
+                  description: 'Transition between segments in the finished ad; a type name on its own is also accepted',
                   properties: {
-                    logoPath: {
+                    type: {
                       type: 'string',
-                      description: 'Path to brand logo image'
+                      enum: ['cut', 'fade', 'dissolve', 'slide', 'wipe'],
+                      default: 'cut'
                     },
+                    duration: {
+                      type: 'number',
+                      minimum: 0.2,
+                      maximum: 2,
+                      default: 0.5,
+                      description: 'Transition duration in seconds'
+                    }
+                  }
+                },
+                captions: {
+                  type: 'array',
+                  description: 'Captions burned into the finished ad. A string captions the segment at the same position; an object sets its own timing.',
+                  items: {
+                    oneOf: [
+                      { type: 'string', maxLength: 200 },
+                      {
+                        type: 'object',
+                        required: ['text'],
+                        properties: {
+                          text: { type: 'string', maxLength: 200 },
+                          startTime: { type: 'number', description: 'Seconds from the start of the ad' },
+                          duration: { type: 'number', description: 'Seconds the caption is shown' },
+                          position: { type: 'string', enum: ['top', 'center', 'bottom'], default: 'bottom' }
+                        }
+                      }
+                    ]
+                  }
+                },
+                branding: {
+                  type: 'object',
+                  required: ['brandText'],
+                  properties: {
                     brandText: {
                       type: 'string',
                       description: 'Brand text to overlay'
@@ -123,6 +199,24 @@ const options = {
                       description: 'Brand color in hex format'
                     }
                   }
+                },
+                music: {
+                  type: 'object',
+                  description: 'Background music from the server music library; a track name on its own is also accepted',
+                  required: ['track'],
+                  properties: {
+                    track: {
+                      type: 'string',
+                      description: 'Track name in the music library'
+                    },
+                    volume: {
+                      type: 'number',
+                      minimum: 0,
+                      maximum: 1,
+                      default: 0.3,
+                      description: 'Music volume relative to the video audio'
+                    }
+                  }
                 }
               }
             }
@@ -137,17 +231,45 @@ const options = {
             },
             status: {
               type: 'string',
-              enum: ['processing', 'completed', 'failed'],
+              enum: ['pending', 'processing', 'awaiting_approval', 'completed', 'failed', 'cancelled'],
               description: 'Operation status'
             },
-            videoUrl: {
+            progress: {
+              type: 'integer',
+              description: 'Overall progress percentage, weighing each stage by its share of the work'
+            },
+            stage: {
               type: 'string',
-              description: 'URL to download the generated video (available when completed)'
+              description: 'Stage the operation is at, or the stage it failed at'
+            },
+            stages: {
+              type: 'array',
+              items: {
+                $ref: '#/components/schemas/WorkflowStage'
+              }
+            },
+            videoUrls: {
+              type: 'array',
+              items: {
+                type: 'string'
+              },
+              description: 'Download URL of the finished ad (available when completed)'
             },
             thumbnailUrl: {
               type: 'string',
               description: 'URL to video thumbnail'
             },
+            lineage: {
+              type: 'object',
+              nullable: true,
+              description: 'Operation this one was made from, as a script variant or a remix (null for an original operation)',
+              properties: {
+                parentOperationId: { type: 'string' },
+                rootOperationId: { type: 'string', description: 'Original operation at the start of the chain' },
+                relation: { type: 'string', enum: ['variant', 'remix'] },
+                overrides: { type: 'array', items: { type: 'string' }, description: 'Fields a remix overrode' }
+              }
+            },
             metadata: {
               type: 'object',
               properties: {
@@ -166,6 +288,21 @@ const options = {
                 format: {
                   type: 'string',
                   description: 'Video format'
+                },
+                finalVideo: {
+                  type: 'object',
+                  description: 'The finished ad assembled from the generated segments',
+                  properties: {
+                    duration: { type: 'number' },
+                    size: { type: 'integer' },
+                    segmentCount: { type: 'integer' },
+                    transition: { type: 'string' },
+                    captions: { type: 'integer' },
+                    branding: { type: 'boolean' },
+                    music: { type: 'string', nullable: true },
+                    watermark: { type: 'boolean' },
+                    assembledAt: { type: 'string', format: 'date-time' }
+                  }
                 }
               }
             },
@@ -181,9 +318,66 @@ const options = {
             }
           }
         },
+        GenerationQueued: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean' },
+            data: {
+              type: 'object',
+              properties: {
+                operationId: { type: 'string' },
+                status: { type: 'string', enum: ['queued'] },
+                stages: {
+                  type: 'array',
+                  items: { type: 'string' },
+                  example: ['image_analysis', 'script_generation', 'video_generation', 'post_processing']
+                },
+                estimatedCost: { type: 'number', description: 'Estimated provider cost in USD' },
+                credits: { type: 'object', description: 'Credit hold for the generation, when credits are enabled' }
+              }
+            },
+            message: { type: 'string' },
+            statusEndpoint: { type: 'string', example: '/api/v1/ugc/status/ugc_1694563200000_ab12cd' }
+          }
+        },
+        WorkflowStage: {
+          type: 'object',
+          properties: {
+            stage: {
+              type: 'string',
+              enum: ['image_analysis', 'script_generation', 'video_generation', 'post_processing']
+            },
+            status: {
+              type: 'string',
+              enum: ['pending', 'queued', 'processing', 'retrying', 'completed', 'failed']
+            },
+            progress: { type: 'integer', description: 'Stage progress percentage' },
+            jobId: { type: 'string' },
+            startedAt: { type: 'string', format: 'date-time', nullable: true },
+            completedAt: { type: 'string', format: 'date-time', nullable: true },
+            error: { type: 'string', nullable: true }
+          }
+        },
+        StructuredBrief: {
+          type: 'object',
+          required: ['product'],
+          additionalProperties: false,
+          description: 'Structured creative brief. The script is written from its fields, includes its mandatory claims word for word and avoids its forbidden words. Draft one from free text with POST /api/v1/ugc/briefs/structure.',
+          properties: {
+            product: { type: 'string', maxLength: 200, example: 'GlowUp hydrating serum' },
+            audience: { type: 'string', maxLength: 300, example: 'Busy moms with dry skin' },
+            painPoint: { type: 'string', maxLength: 300, example: 'No time for a long skincare routine' },
+            keyBenefits: { type: 'array', items: { type: 'string', maxLength: 200 }, minItems: 1, maxItems: 5 },
+            tone: { type: 'string', maxLength: 100, example: 'Playful' },
+            cta: { type: 'string', maxLength: 200, example: 'Shop now' },
+            mandatoryClaims: { type: 'array', items: { type: 'string', maxLength: 300 }, minItems: 1, maxItems: 5 },
+            forbiddenWords: { type: 'array', items: { type: 'string', maxLength: 50 }, minItems: 1, maxItems: 20 },
+            locale: { type: 'string', example: 'en-US', description: 'Language tag the ad is written for' }
+          }
+        },
         BatchRequest: {
           type: 'object',
-          required: ['requests'],
+          description: 'A batch is given either requests, or a variant matrix to expand into requests',
           properties: {
             requests: {
               type: 'array',
@@ -194,6 +388,13 @@ const options = {
               maxItems: 10,
               description: 'Array of UGC generation requests'
             },
+            matrix: {
+              $ref: '#/components/schemas/VariantMatrix'
+            },
+            maxCost: {
+              type: 'number',
+              description: 'Most the whole batch may cost in USD; requests can also set options.maxCost'
+            },
             batchOptions: {
               type: 'object',
               properties: {
@@ -212,6 +413,51 @@ const options = {
             }
           }
         },
+        VariantMatrix: {
+          type: 'object',
+          required: ['briefTemplate', 'dimensions'],
+          description: 'Makes one request per combination of dimension values, each tagged with the labels of its values',
+          properties: {
+            briefTemplate: {
+              type: 'string',
+              description: 'Creative brief with a {{placeholder}} for every dimension',
+              example: 'Open with {{hook}} and end on {{cta}}'
+            },
+            dimensions: {
+              type: 'object',
+              description: 'Values of each dimension, as strings or { label, value }',
+              additionalProperties: {
+                type: 'array',
+                items: {
+                  oneOf: [
+                    { type: 'string' },
+                    {
+                      type: 'object',
+                      properties: {
+                        label: { type: 'string' },
+                        value: { type: 'string' }
+                      }
+                    }
+                  ]
+                }
+              },
+              example: { hook: ['a question', 'a statistic'], cta: ['Shop now', 'Learn more'] }
+            },
+            images: {
+              type: 'array',
+              items: { type: 'object' },
+              description: 'Images every request shares'
+            },
+            script: {
+              type: 'string',
+              description: 'Script every request shares'
+            },
+            options: {
+              type: 'object',
+              description: 'Generation options every request shares'
+            }
+          }
+        },
         JobStatus: {
           type: 'object',
           properties: {
@@ -343,6 +589,298 @@ const options = {
             }
           }
         },
+        Plan: {
+          type: 'object',
+          properties: {
+            name: {
+              type: 'string',
+              description: 'Plan identifier',
+              example: 'pro'
+            },
+            displayName: {
+              type: 'string',
+              example: 'Pro'
+            },
+            dailyLimit: {
+              type: 'integer',
+              description: 'Generations allowed per day'
+            },
+            monthlyLimit: {
+              type: 'integer',
+              description: 'Generations allowed per calendar month'
+            },
+            concurrentLimit: {
+              type: 'integer',
+              description: 'Generations that may be pending or processing at once'
+            },
+            queuePriority: {
+              type: 'integer',
+              minimum: 1,
+              maximum: 10,
+              description: 'Queue priority of generation jobs (lower runs sooner)'
+            },
+            maxSegments: {
+              type: 'integer',
+              description: 'Maximum video segments per generation'
+            },
+            maxBatchSize: {
+              type: 'integer',
+              description: 'Maximum requests per batch'
+            },
+            watermarkRequired: {
+              type: 'boolean',
+              description: 'Whether generated videos are watermarked'
+            }
+          }
+        },
+        CreditAccount: {
+          type: 'object',
+          properties: {
+            ownerType: {
+              type: 'string',
+              enum: ['organization', 'user', 'api_key']
+            },
+            ownerId: {
+              type: 'string',
+              format: 'uuid'
+            },
+            balance: {
+              type: 'integer',
+              description: 'Credits available to spend'
+            },
+            held: {
+              type: 'integer',
+              description: 'Credits on hold for generations in progress'
+            },
+            billingEnabled: {
+              type: 'boolean',
+              description: 'Whether generations are currently charged to credit balances'
+            }
+          }
+        },
+        CreditTransaction: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'string',
+              format: 'uuid'
+            },
+            type: {
+              type: 'string',
+              enum: ['top_up', 'hold', 'release', 'charge', 'refund']
+            },
+            amount: {
+              type: 'integer',
+              description: 'Change to the available balance (negative for holds and charges)'
+            },
+            balanceAfter: {
+              type: 'integer'
+            },
+            operationId: {
+              type: 'string',
+              nullable: true
+            },
+            description: {
+              type: 'string'
+            },
+            metadata: {
+              type: 'object'
+            },
+            createdAt: {
+              type: 'string',
+              format: 'date-time'
+            }
+          }
+        },
+        ProviderCall: {
+          type: 'object',
+          properties: {
+            provider: {
+              type: 'string',
+              enum: ['openai', 'gemini', 'veo']
+            },
+            service: {
+              type: 'string',
+              enum: ['script_generation', 'image_analysis', 'video_generation']
+            },
+            model: {
+              type: 'string'
+            },
+            unit: {
+              type: 'string',
+              description: 'Unit the call is priced in (token or second)'
+            },
+            inputUnits: {
+              type: 'integer'
+            },
+            outputUnits: {
+              type: 'integer'
+            },
+            latencyMs: {
+              type: 'integer'
+            },
+            cacheHit: {
+              type: 'boolean'
+            },
+            status: {
+              type: 'string',
+              enum: ['success', 'error']
+            },
+            errorMessage: {
+              type: 'string',
+              nullable: true
+            },
+            cost: {
+              type: 'number',
+              nullable: true,
+              description: 'Cost in USD (null when the model has no price)'
+            },
+            createdAt: {
+              type: 'string',
+              format: 'date-time'
+            }
+          }
+        },
+        SpendGroup: {
+          type: 'object',
+          description: 'Spend for one API key, user, organization or day, keyed by the grouping (key, user, org or day)',
+          properties: {
+            totalCost: {
+              type: 'number',
+              description: 'Cost in USD'
+            },
+            calls: {
+              type: 'integer'
+            },
+            cacheHits: {
+              type: 'integer'
+            },
+            operations: {
+              type: 'integer'
+            },
+            byProvider: {
+              type: 'object',
+              additionalProperties: {
+                type: 'number'
+              }
+            }
+          }
+        },
+        SpendCapUsage: {
+          type: 'object',
+          properties: {
+            spent: {
+              type: 'number',
+              description: 'Spend in the period in USD, counting generations in progress at their estimated cost'
+            },
+            limit: {
+              type: 'number',
+              nullable: true,
+              description: 'Cap in USD, or null for no cap'
+            },
+            remaining: {
+              type: 'number',
+              nullable: true
+            },
+            resetTime: {
+              type: 'string',
+              format: 'date-time'
+            }
+          }
+        },
+        SpendCapStatus: {
+          type: 'object',
+          properties: {
+            ownerType: {
+              type: 'string',
+              enum: ['organization', 'api_key']
+            },
+            ownerId: {
+              type: 'string'
+            },
+            currency: {
+              type: 'string',
+              example: 'USD'
+            },
+            daily: {
+              $ref: '#/components/schemas/SpendCapUsage'
+            },
+            monthly: {
+              $ref: '#/components/schemas/SpendCapUsage'
+            }
+          }
+        },
+        SpendCapUpdate: {
+          type: 'object',
+          description: 'Caps to change; null removes a cap and an omitted cap is left as it is',
+          properties: {
+            dailyLimit: {
+              type: 'number',
+              nullable: true,
+              description: 'Daily cap in USD'
+            },
+            monthlyLimit: {
+              type: 'number',
+              nullable: true,
+              description: 'Monthly cap in USD'
+            }
+          }
+        },
+        Quote: {
+          type: 'object',
+          properties: {
+            estimatedCost: {
+              type: 'object',
+              properties: {
+                total: {
+                  type: 'number'
+                },
+                currency: {
+                  type: 'string',
+                  example: 'USD'
+                },
+                breakdown: {
+                  type: 'object',
+                  properties: {
+                    imageAnalysis: { type: 'number' },
+                    scriptGeneration: { type: 'number' },
+                    videoGeneration: { type: 'number' }
+                  }
+                }
+              }
+            },
+            credits: {
+              type: 'integer',
+              description: 'Credits the generation will hold'
+            },
+            estimatedDuration: {
+              type: 'integer',
+              description: 'Seconds the generation should take once it starts'
+            },
+            segments: {
+              type: 'integer'
+            },
+            videoSeconds: {
+              type: 'integer'
+            },
+            maxCost: {
+              type: 'number',
+              nullable: true
+            },
+            withinMaxCost: {
+              type: 'boolean'
+            },
+            spendCaps: {
+              type: 'array',
+              items: {
+                $ref: '#/components/schemas/SpendCapStatus'
+              }
+            },
+            withinSpendCaps: {
+              type: 'boolean'
+            }
+          }
+        },
         CacheMetrics: {
           type: 'object',
           properties: {
@@ -390,7 +928,7 @@ const options = {
             },
             status: {
               type: 'string',
-              enum: ['pending', 'processing', 'completed', 'failed', 'cancelled'],
+              enum: ['pending', 'processing', 'awaiting_approval', 'completed', 'failed', 'cancelled'],
               description: 'Current batch status'
             },
             totalRequests: {
@@ -446,6 +984,22 @@ const options = {
         name: 'Authentication',
         description: 'API authentication and user management'
       },
+      {
+        name: 'Organizations',
+        description: 'Team workspaces, member roles and organization API keys'
+      },
+      {
+        name: 'Plans',
+        description: 'Subscription plans that set quotas, queue priority and limits'
+      },
+      {
+        name: 'Credits',
+        description: 'Prepaid credit balances, ledger and top-ups'
+      },
+      {
+        name: 'Costs',
+        description: 'AI provider cost accounting and spend reports'
+      },
       {
         name: 'System',
         description: 'System health and monitoring endpoints'
@@ -1,4 +1,5 @@
 const apiKeyService = require('../services/apiKeyService');
+const { findInvalidCidrs } = require('../utils/ipAllowlist');
 
 /**
  * Controller for API key management endpoints
@@ -7,10 +8,11 @@ class ApiKeyController {
   /**
    * Generate a new API key
    * POST /api/v1/auth/keys
+   * Also serves POST /api/v1/orgs/:orgId/keys, which sets req.keyOwner
    */
   async generateApiKey(req, res) {
     try {
-      const { name, description, permissions, rateLimit, metadata } = req.body;
+      const { name, description, permissions, rateLimit, metadata, expiresAt, allowedIps } = req.body;
       
       // Validate required fields
       if (!name) {
@@ -48,13 +50,25 @@ class ApiKeyController {
         }
       }
       
+      const restrictionError = this.validateKeyRestrictions({ expiresAt, allowedIps });
+      if (restrictionError) {
+        return res.status(400).json({
+          success: false,
+          error: restrictionError
+        });
+      }
+      
       // Generate the API key
-      const keyData = apiKeyService.generateApiKey({
+      const keyData = await apiKeyService.generateApiKey({
         name,
         description: description || '',
         permissions: permissions || ['ugc:generate'],
         rateLimit: rateLimit || undefined,
-        metadata: metadata || {}
+        metadata: metadata || {},
+        expiresAt: expiresAt ? new Date(expiresAt) : null,
+        allowedIps: allowedIps || [],
+        organizationId: req.keyOwner?.organizationId || null,
+        createdBy: req.keyOwner?.createdBy || null
       });
       
       res.status(201).json({
@@ -67,6 +81,9 @@ class ApiKeyController {
           permissions: keyData.permissions,
           rateLimit: keyData.rateLimit,
           createdAt: keyData.createdAt,
+          expiresAt: keyData.expiresAt,
+          allowedIps: keyData.allowedIps,
+          organizationId: keyData.organizationId,
           isActive: keyData.isActive
         },
         message: 'API key generated successfully. Please store it securely as it will not be shown again.'
@@ -84,12 +101,141 @@ class ApiKeyController {
   }
   
   /**
-   * List all API keys
+   * Rotate an API key
+   * POST /api/v1/auth/keys/:keyId/rotate
+   */
+  async rotateApiKey(req, res) {
+    try {
+      const { keyId } = req.params;
+      const { gracePeriodMs, expiresAt, allowedIps } = req.body || {};
+      
+      if (gracePeriodMs !== undefined &&
+          (!Number.isInteger(gracePeriodMs) || gracePeriodMs < 0 || gracePeriodMs > apiKeyService.getMaxGracePeriodMs())) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: 'INVALID_GRACE_PERIOD',
+            message: `gracePeriodMs must be an integer between 0 and ${apiKeyService.getMaxGracePeriodMs()}.`
+          }
+        });
+      }
+      
+      const restrictionError = this.validateKeyRestrictions({ expiresAt, allowedIps });
+      if (restrictionError) {
+        return res.status(400).json({
+          success: false,
+          error: restrictionError
+        });
+      }
+      
+      const keyData = await apiKeyService.rotateApiKey(keyId, {
+        gracePeriodMs,
+        expiresAt: expiresAt ? new Date(expiresAt) : null,
+        allowedIps
+      });
+      if (!keyData) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            code: 'KEY_NOT_FOUND',
+            message: 'API key not found.'
+          }
+        });
+      }
+      
+      res.status(201).json({
+        success: true,
+        data: {
+          id: keyData.id,
+          key: keyData.key, // Only returned once during rotation
+          name: keyData.name,
+          permissions: keyData.permissions,
+          rateLimit: keyData.rateLimit,
+          createdAt: keyData.createdAt,
+          expiresAt: keyData.expiresAt,
+          allowedIps: keyData.allowedIps,
+          isActive: keyData.isActive,
+          rotatedFrom: keyData.rotatedFrom
+        },
+        message: 'API key rotated successfully. The previous key keeps working until its grace period ends.'
+      });
+    } catch (error) {
+      if (error.message === 'API key has already been rotated') {
+        return res.status(409).json({
+          success: false,
+          error: {
+            code: 'KEY_ALREADY_ROTATED',
+            message: error.message
+          }
+        });
+      }
+      if (error.message === 'Only active, unexpired API keys can be rotated') {
+        return res.status(409).json({
+          success: false,
+          error: {
+            code: 'KEY_NOT_ROTATABLE',
+            message: error.message
+          }
+        });
+      }
+      
+      console.error('Error rotating API key:', error);
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'ROTATION_ERROR',
+          message: 'Failed to rotate API key.'
+        }
+      });
+    }
+  }
+  
+  /**
+   * Validate the optional expiry and IP allowlist for a key
+   * @param {Object} restrictions - Request fields
+   * @param {string} restrictions.expiresAt - ISO date the key should expire at
+   * @param {Array} restrictions.allowedIps - CIDR ranges the key may be used from
+   * @returns {Object|null} Error body, or null if valid
+   */
+  validateKeyRestrictions({ expiresAt, allowedIps }) {
+    if (expiresAt !== undefined && expiresAt !== null) {
+      const expiry = new Date(expiresAt);
+      if (isNaN(expiry.getTime()) || expiry <= new Date()) {
+        return {
+          code: 'INVALID_EXPIRES_AT',
+          message: 'expiresAt must be a valid date in the future.'
+        };
+      }
+    }
+    
+    if (allowedIps !== undefined) {
+      if (!Array.isArray(allowedIps)) {
+        return {
+          code: 'INVALID_ALLOWED_IPS',
+          message: 'allowedIps must be an array of CIDR ranges.'
+        };
+      }
+      
+      const invalidRanges = findInvalidCidrs(allowedIps);
+      if (invalidRanges.length > 0) {
+        return {
+          code: 'INVALID_ALLOWED_IPS',
+          message: `Invalid CIDR ranges: ${invalidRanges.join(', ')}`
+        };
+      }
+    }
+    
+    return null;
+  }
+  
+  /**
+   * List API keys in the caller's active organization
    * GET /api/v1/auth/keys
    */
   async listApiKeys(req, res) {
     try {
-      const keys = apiKeyService.listApiKeys();
+      // Only keys in the caller's active organization are visible
+      const keys = await apiKeyService.listApiKeys({ organizationId: req.organization?.id || null });
       
       res.json({
         success: true,
@@ -119,7 +265,7 @@ class ApiKeyController {
     try {
       const { keyId } = req.params;
       
-      const stats = apiKeyService.getUsageStats(keyId);
+      const stats = await apiKeyService.getUsageStats(keyId);
       if (!stats) {
         return res.status(404).json({
           success: false,
@@ -154,7 +300,7 @@ class ApiKeyController {
     try {
       const { keyId } = req.params;
       
-      const success = apiKeyService.deactivateApiKey(keyId);
+      const success = await apiKeyService.deactivateApiKey(keyId);
       if (!success) {
         return res.status(404).json({
           success: false,
@@ -189,7 +335,7 @@ class ApiKeyController {
     try {
       const { keyId } = req.params;
       
-      const success = apiKeyService.reactivateApiKey(keyId);
+      const success = await apiKeyService.reactivateApiKey(keyId);
       if (!success) {
         return res.status(404).json({
           success: false,
@@ -222,7 +368,7 @@ class ApiKeyController {
    */
   async getAnalytics(req, res) {
     try {
-      const analytics = apiKeyService.getAnalytics();
+      const analytics = await apiKeyService.getAnalytics();
       
       res.json({
         success: true,
@@ -256,7 +402,7 @@ class ApiKeyController {
         });
       }
       
-      const stats = apiKeyService.getUsageStats(req.apiKey.id);
+      const stats = await apiKeyService.getUsageStats(req.apiKey.id);
       if (!stats) {
         return res.status(404).json({
           success: false,
@@ -275,7 +421,8 @@ class ApiKeyController {
             timestamp: new Date(),
             endpoint: req.path,
             method: req.method,
-            userAgent: req.headers['user-agent']
+            userAgent: req.headers['user-agent'],
+            cost: req.rateLimit?.charged
           }
         }
       });
@@ -1,5 +1,10 @@
 const batchService = require('../services/batchService');
 const batchOptimizationService = require('../services/batchOptimizationService');
+const planService = require('../services/planService');
+const quotaService = require('../services/quotaService');
+const creditService = require('../services/creditService');
+const spendCapService = require('../services/spendCapService');
+const quoteService = require('../services/quoteService');
 const multer = require('multer');
 const config = require('../utils/config');
 
@@ -30,9 +35,10 @@ class BatchController {
    */
   async createBatch(req, res) {
     try {
-      const { name, description, requests, priority, scheduledFor, options } = req.body;
+      const { name, description, matrix, priority, scheduledFor, options, maxCost } = req.body;
       const userId = req.user?.id || null;
       const apiKeyId = req.apiKey?.id || null;
+      const organizationId = req.organization?.id || null;
 
       // Validate required fields
       if (!name || typeof name !== 'string' || name.trim().length === 0) {
@@ -43,6 +49,19 @@ class BatchController {
         });
       }
 
+      // A variant matrix stands in for the request list, one request per combination
+      if (matrix !== undefined) {
+        const matrixError = batchService.validateMatrix(matrix);
+        if (matrixError) {
+          return res.status(400).json({
+            success: false,
+            error: matrixError,
+            code: 'INVALID_MATRIX'
+          });
+        }
+      }
+      const requests = matrix !== undefined ? batchService.expandMatrix(matrix) : req.body.requests;
+
       if (!Array.isArray(requests) || requests.length === 0) {
         return res.status(400).json({
           success: false,
@@ -88,16 +107,38 @@ class BatchController {
         }
       }
 
+      if (!spendCapService.isValidAmount(maxCost)) {
+        return res.status(400).json({
+          success: false,
+          error: 'maxCost must be a positive number of US dollars',
+          code: 'INVALID_MAX_COST'
+        });
+      }
+
+      // Batch size is capped by the plan of the organization or user
+      const plan = await planService.resolvePlan({ userId, organizationId });
+      if (requests.length > plan.maxBatchSize) {
+        return res.status(403).json({
+          success: false,
+          error: `The ${plan.displayName} plan allows at most ${plan.maxBatchSize} requests per batch`,
+          code: 'BATCH_SIZE_EXCEEDED',
+          plan: plan.name
+        });
+      }
+
       // Create batch
       const result = await batchService.createBatch({
         name: name.trim(),
         description: description?.trim(),
-        requests,
+        ...(matrix !== undefined ? { matrix } : { requests }),
         userId,
         apiKeyId,
+        organizationId,
+        plan,
         priority: priority || 5,
         scheduledFor,
-        options: options || {}
+        options: options || {},
+        maxCost
       });
 
       res.status(201).json({
@@ -112,16 +153,60 @@ class BatchController {
           scheduledFor: result.batch.scheduledFor,
           createdAt: result.batch.created_at,
           estimatedDuration: result.batch.metadata.estimatedDuration,
+          estimatedCost: result.batch.metadata.estimatedCost,
           statusEndpoint: `/api/v1/batch/${result.batch.batchId}/status`,
+          ...(result.batch.metadata.matrix && { matrix: result.batch.metadata.matrix }),
           operations: result.operations.map(op => ({
             operationId: op.operationId,
-            batchIndex: op.metadata.batchIndex
-          }))
+            batchIndex: op.metadata.batchIndex,
+            ...(op.metadata.tags && { tags: op.metadata.tags })
+          })),
+          ...(result.credits && { credits: result.credits })
         },
         message: 'Batch created successfully. Processing will begin automatically.'
       });
 
     } catch (error) {
+      if (error instanceof quotaService.QuotaExceededError) {
+        return res.status(429).json({
+          success: false,
+          error: error.message,
+          code: error.code,
+          requested: error.requested,
+          quotaStatus: error.quotaStatus
+        });
+      }
+
+      if (error instanceof creditService.InsufficientCreditsError) {
+        return res.status(402).json({
+          success: false,
+          error: error.message,
+          code: error.code,
+          required: error.required,
+          available: error.available
+        });
+      }
+
+      if (error instanceof spendCapService.SpendCapExceededError) {
+        return res.status(402).json({
+          success: false,
+          error: error.message,
+          code: error.code,
+          estimatedCost: error.estimatedCost,
+          spendCap: error.cap
+        });
+      }
+
+      if (error instanceof spendCapService.MaxCostExceededError) {
+        return res.status(402).json({
+          success: false,
+          error: error.message,
+          code: error.code,
+          estimatedCost: error.estimatedCost,
+          maxCost: error.maxCost
+        });
+      }
+
       console.error('Batch creation error:', error);
       
       res.status(500).json({
@@ -132,6 +217,78 @@ class BatchController {
     }
   }
 
+  /**
+   * Quote the cost and duration of a batch without creating it
+   * POST /api/v1/batch/quote
+   */
+  async quoteBatch(req, res) {
+    try {
+      const { matrix, maxCost } = req.body;
+
+      if (matrix !== undefined) {
+        const matrixError = batchService.validateMatrix(matrix);
+        if (matrixError) {
+          return res.status(400).json({
+            success: false,
+            error: matrixError,
+            code: 'INVALID_MATRIX'
+          });
+        }
+      }
+      const requests = matrix !== undefined ? batchService.expandMatrix(matrix) : req.body.requests;
+
+      if (!Array.isArray(requests) || requests.length === 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'At least one request is required',
+          code: 'NO_REQUESTS_PROVIDED'
+        });
+      }
+
+      if (requests.length > 100) {
+        return res.status(400).json({
+          success: false,
+          error: 'Maximum 100 requests allowed per batch',
+          code: 'TOO_MANY_REQUESTS'
+        });
+      }
+
+      const invalidIndex = requests.findIndex(request =>
+        !request || (request.brief === undefined && (!request.creativeBrief || typeof request.creativeBrief !== 'string'))
+      );
+      if (invalidIndex !== -1) {
+        return res.status(400).json({
+          success: false,
+          error: `Request ${invalidIndex + 1}: Creative brief is required`,
+          code: 'INVALID_CREATIVE_BRIEF'
+        });
+      }
+
+      if (!spendCapService.isValidAmount(maxCost) ||
+          requests.some(request => !spendCapService.isValidAmount(request.options?.maxCost))) {
+        return res.status(400).json({
+          success: false,
+          error: 'maxCost must be a positive number of US dollars',
+          code: 'INVALID_MAX_COST'
+        });
+      }
+
+      const quote = await quoteService.quoteBatch({ requests, maxCost }, quotaService.getPrincipal(req));
+
+      res.json({
+        success: true,
+        data: quote
+      });
+    } catch (error) {
+      console.error('Batch quote error:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message || 'Internal server error during batch quote',
+        code: 'BATCH_QUOTE_ERROR'
+      });
+    }
+  }
+
   /**
    * Create batch with file uploads
    * POST /api/v1/batch/generate-with-files
@@ -263,7 +420,7 @@ class BatchController {
         });
       }
 
-      const results = await batchService.getBatchResults(batchId);
+      const results = await batchService.getBatchResults(batchId, { pivot: this.parsePivot(req.query.pivot) });
 
       res.status(200).json({
         success: true,
@@ -289,6 +446,14 @@ class BatchController {
         });
       }
 
+      if (error.message.startsWith('Unknown pivot dimension')) {
+        return res.status(400).json({
+          success: false,
+          error: error.message,
+          code: 'INVALID_PIVOT'
+        });
+      }
+
       res.status(500).json({
         success: false,
         error: error.message || 'Internal server error',
@@ -416,9 +581,11 @@ class BatchController {
 
       const { limit = 50, status, startDate, endDate } = req.query;
 
+      // Batches are shared within the caller's active organization; without
+      // one, only the caller's personal batches are listed
+      const organizationId = req.organization?.id || null;
       const filters = {
-        userId,
-        apiKeyId,
+        ...(organizationId ? { organizationId } : { userId, apiKeyId, organizationId: null }),
         limit: parseInt(limit),
         status,
         startDate: startDate ? new Date(startDate) : undefined,
@@ -673,7 +840,9 @@ class BatchController {
         });
       }
 
-      const analytics = await batchOptimizationService.generateBatchAnalytics(batchId);
+      const analytics = await batchOptimizationService.generateBatchAnalytics(batchId, {
+        pivot: this.parsePivot(req.query.pivot)
+      });
 
       res.status(200).json({
         success: true,
@@ -691,6 +860,14 @@ class BatchController {
         });
       }
 
+      if (error.message.startsWith('Unknown pivot dimension')) {
+        return res.status(400).json({
+          success: false,
+          error: error.message,
+          code: 'INVALID_PIVOT'
+        });
+      }
+
       res.status(500).json({
         success: false,
         error: error.message || 'Internal server error',
@@ -705,9 +882,10 @@ class BatchController {
    */
   async createOptimizedBatch(req, res) {
     try {
-      const { name, description, requests, priority, scheduledFor, options } = req.body;
+      const { name, description, requests, priority, scheduledFor, options, maxCost } = req.body;
       const userId = req.user?.id || null;
       const apiKeyId = req.apiKey?.id || null;
+      const organizationId = req.organization?.id || null;
 
       // Validate required fields
       if (!name || typeof name !== 'string' || name.trim().length === 0) {
@@ -726,6 +904,25 @@ class BatchController {
         });
       }
 
+      if (!spendCapService.isValidAmount(maxCost)) {
+        return res.status(400).json({
+          success: false,
+          error: 'maxCost must be a positive number of US dollars',
+          code: 'INVALID_MAX_COST'
+        });
+      }
+
+      // Batch size is capped by the plan of the organization or user
+      const plan = await planService.resolvePlan({ userId, organizationId });
+      if (requests.length > plan.maxBatchSize) {
+        return res.status(403).json({
+          success: false,
+          error: `The ${plan.displayName} plan allows at most ${plan.maxBatchSize} requests per batch`,
+          code: 'BATCH_SIZE_EXCEEDED',
+          plan: plan.name
+        });
+      }
+
       // Analyze optimization opportunities
       const optimization = await batchOptimizationService.analyzeBatchOptimization(requests);
       
@@ -757,9 +954,12 @@ class BatchController {
         requests,
         userId,
         apiKeyId,
+        organizationId,
+        plan,
         priority: priority || 5,
         scheduledFor: finalScheduledFor,
-        options: optimizedOptions
+        options: optimizedOptions,
+        maxCost
       });
 
       res.status(201).json({
@@ -774,6 +974,7 @@ class BatchController {
           scheduledFor: result.batch.scheduledFor,
           createdAt: result.batch.created_at,
           estimatedDuration: result.batch.metadata.estimatedDuration,
+          estimatedCost: result.batch.metadata.estimatedCost,
           optimization: {
             appliedOptimizations: optimization.optimizationSuggestions,
             estimatedCostSavings: optimization.estimatedCostSavings,
@@ -784,12 +985,53 @@ class BatchController {
           operations: result.operations.map(op => ({
             operationId: op.operationId,
             batchIndex: op.metadata.batchIndex
-          }))
+          })),
+          ...(result.credits && { credits: result.credits })
         },
         message: 'Optimized batch created successfully with intelligent scheduling and content clustering.'
       });
 
     } catch (error) {
+      if (error instanceof quotaService.QuotaExceededError) {
+        return res.status(429).json({
+          success: false,
+          error: error.message,
+          code: error.code,
+          requested: error.requested,
+          quotaStatus: error.quotaStatus
+        });
+      }
+
+      if (error instanceof creditService.InsufficientCreditsError) {
+        return res.status(402).json({
+          success: false,
+          error: error.message,
+          code: error.code,
+          required: error.required,
+          available: error.available
+        });
+      }
+
+      if (error instanceof spendCapService.SpendCapExceededError) {
+        return res.status(402).json({
+          success: false,
+          error: error.message,
+          code: error.code,
+          estimatedCost: error.estimatedCost,
+          spendCap: error.cap
+        });
+      }
+
+      if (error instanceof spendCapService.MaxCostExceededError) {
+        return res.status(402).json({
+          success: false,
+          error: error.message,
+          code: error.code,
+          estimatedCost: error.estimatedCost,
+          maxCost: error.maxCost
+        });
+      }
+
       console.error('Optimized batch creation error:', error);
       
       res.status(500).json({
@@ -799,6 +1041,20 @@ class BatchController {
       });
     }
   }
+
+  /**
+   * Parse the pivot query parameter, a comma-separated list of dimensions
+   * @param {string} value - Query parameter
+   * @returns {Array<string>|null} Dimension names, or null to not pivot
+   */
+  parsePivot(value) {
+    if (typeof value !== 'string') {
+      return null;
+    }
+
+    const dimensions = value.split(',').map(name => name.trim()).filter(Boolean);
+    return dimensions.length > 0 ? dimensions : null;
+  }
 }
 
 module.exports = new BatchController();
\ No newline at end of file
@@ -0,0 +1,101 @@
+const providerCostService = require('../services/providerCostService');
+
+const SPEND_GROUPS = ['key', 'user', 'org', 'day'];
+const PROVIDERS = ['openai', 'gemini', 'veo'];
+
+/**
+ * Controller for provider cost and spend reporting endpoints (admin only)
+ */
+class CostController {
+  /**
+   * Report provider spend grouped by API key, user, organization or day
+   * GET /api/v1/costs/spend?groupBy=day&startDate=&endDate=&provider=
+   */
+  async getSpendReport(req, res) {
+    try {
+      const { groupBy = 'day', provider } = req.query;
+
+      if (!SPEND_GROUPS.includes(groupBy)) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: 'INVALID_GROUP_BY',
+            message: `groupBy must be one of: ${SPEND_GROUPS.join(', ')}.`
+          }
+        });
+      }
+
+      if (provider && !PROVIDERS.includes(provider)) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: 'INVALID_PROVIDER',
+            message: `provider must be one of: ${PROVIDERS.join(', ')}.`
+          }
+        });
+      }
+
+      const startDate = req.query.startDate ? new Date(req.query.startDate) : undefined;
+      const endDate = req.query.endDate ? new Date(req.query.endDate) : undefined;
+      if ((startDate && isNaN(startDate)) || (endDate && isNaN(endDate))) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: 'INVALID_DATE_RANGE',
+            message: 'startDate and endDate must be valid dates.'
+          }
+        });
+      }
+
+      const groups = await providerCostService.getSpendReport({ groupBy, startDate, endDate, provider });
+
+      res.json({
+        success: true,
+        data: {
+          groupBy,
+          currency: 'USD',
+          totalCost: providerCostService.roundCost(groups.reduce((total, group) => total + group.totalCost, 0)),
+          groups
+        }
+      });
+    } catch (error) {
+      console.error('Error getting spend report:', error);
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'SPEND_REPORT_ERROR',
+          message: 'Failed to get spend report.'
+        }
+      });
+    }
+  }
+
+  /**
+   * Get the provider calls and cost of an operation
+   * GET /api/v1/costs/operations/:operationId
+   */
+  async getOperationCosts(req, res) {
+    try {
+      const costs = await providerCostService.getOperationCosts(req.params.operationId);
+
+      res.json({
+        success: true,
+        data: {
+          currency: 'USD',
+          ...costs
+        }
+      });
+    } catch (error) {
+      console.error('Error getting operation costs:', error);
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'OPERATION_COSTS_ERROR',
+          message: 'Failed to get operation costs.'
+        }
+      });
+    }
+  }
+}
+
+module.exports = new CostController();
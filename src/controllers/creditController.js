@@ -0,0 +1,188 @@
+const creditService = require('../services/creditService');
+const quotaService = require('../services/quotaService');
+
+// Service errors mapped to HTTP responses
+const CREDIT_ERRORS = {
+  'User not found': { status: 404, code: 'USER_NOT_FOUND' },
+  'Organization not found': { status: 404, code: 'ORGANIZATION_NOT_FOUND' },
+  'API key not found': { status: 404, code: 'API_KEY_NOT_FOUND' }
+};
+
+/**
+ * Controller for prepaid credit endpoints
+ */
+class CreditController {
+  /**
+   * Get the caller's credit balance
+   * GET /api/v1/credits/balance
+   */
+  async getBalance(req, res) {
+    try {
+      const principal = quotaService.getPrincipal(req);
+      if (!creditService.getOwner(principal)) {
+        return this.sendAuthenticationRequired(res);
+      }
+
+      const balance = await creditService.getBalance(principal);
+
+      res.json({
+        success: true,
+        data: balance
+      });
+    } catch (error) {
+      console.error('Error getting credit balance:', error);
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'GET_BALANCE_ERROR',
+          message: 'Failed to get credit balance.'
+        }
+      });
+    }
+  }
+
+  /**
+   * Get the caller's credit ledger, newest first
+   * GET /api/v1/credits/ledger?page=1&limit=20
+   */
+  async getLedger(req, res) {
+    try {
+      const principal = quotaService.getPrincipal(req);
+      if (!creditService.getOwner(principal)) {
+        return this.sendAuthenticationRequired(res);
+      }
+
+      const page = req.query.page === undefined ? 1 : Number(req.query.page);
+      const limit = req.query.limit === undefined ? 20 : Number(req.query.limit);
+      if (!Number.isInteger(page) || page < 1 || !Number.isInteger(limit) || limit < 1) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: 'INVALID_PAGINATION',
+            message: 'page and limit must be positive integers.'
+          }
+        });
+      }
+
+      const ledger = await creditService.getLedger(principal, { page, limit });
+
+      res.json({
+        success: true,
+        data: ledger
+      });
+    } catch (error) {
+      console.error('Error getting credit ledger:', error);
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'GET_LEDGER_ERROR',
+          message: 'Failed to get credit ledger.'
+        }
+      });
+    }
+  }
+
+  /**
+   * Add credits to a user (admin only)
+   * POST /api/v1/oauth/users/:userId/credits
+   */
+  async topUpUser(req, res) {
+    await this.topUp(req, res, 'user', req.params.userId);
+  }
+
+  /**
+   * Add credits to an organization (admin only)
+   * POST /api/v1/orgs/:orgId/credits
+   */
+  async topUpOrganization(req, res) {
+    await this.topUp(req, res, 'organization', req.params.orgId);
+  }
+
+  /**
+   * Add credits to an API key (admin only)
+   * POST /api/v1/auth/keys/:keyId/credits
+   */
+  async topUpApiKey(req, res) {
+    await this.topUp(req, res, 'api_key', req.params.keyId);
+  }
+
+  /**
+   * Add credits to an organization, user or API key
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {string} ownerType - 'organization', 'user' or 'api_key'
+   * @param {string} ownerId - Owner ID
+   */
+  async topUp(req, res, ownerType, ownerId) {
+    try {
+      const { amount, description } = req.body;
+
+      if (!Number.isInteger(amount) || amount < 1) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: 'INVALID_AMOUNT',
+            message: 'Amount must be a positive whole number of credits.'
+          }
+        });
+      }
+
+      if (description !== undefined && (typeof description !== 'string' || description.length > 500)) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: 'INVALID_DESCRIPTION',
+            message: 'Description must be a string of at most 500 characters.'
+          }
+        });
+      }
+
+      const result = await creditService.topUp(ownerType, ownerId, amount, {
+        description,
+        createdBy: req.user?.id || null
+      });
+
+      res.status(201).json({
+        success: true,
+        data: result,
+        message: 'Credits added successfully.'
+      });
+    } catch (error) {
+      const known = CREDIT_ERRORS[error.message];
+      if (known) {
+        return res.status(known.status).json({
+          success: false,
+          error: {
+            code: known.code,
+            message: error.message
+          }
+        });
+      }
+
+      console.error('Error adding credits:', error);
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'TOP_UP_ERROR',
+          message: 'Failed to add credits.'
+        }
+      });
+    }
+  }
+
+  /**
+   * Reject a request that has no account to report on
+   * @param {Object} res - Express response object
+   */
+  sendAuthenticationRequired(res) {
+    res.status(401).json({
+      success: false,
+      error: {
+        code: 'AUTHENTICATION_REQUIRED',
+        message: 'Authentication required to view credits.'
+      }
+    });
+  }
+}
+
+module.exports = new CreditController();
@@ -168,7 +168,7 @@ class JobController {
       
       jobStatusService.registerWebhook(operationId, webhookUrl, {
         secret,
-        events: events || ['completed', 'failed'],
+        events,
         retries: retries || 3,
         timeout: timeout || 10000
       });
@@ -178,7 +178,7 @@ class JobController {
         data: {
           operationId,
           webhookUrl,
-          events: events || ['completed', 'failed'],
+          events: jobStatusService.webhookEndpoints.get(operationId).events,
           registeredAt: new Date()
         },
         message: 'Webhook registered successfully'
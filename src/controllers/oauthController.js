@@ -4,6 +4,19 @@ const oauthService = require('../services/oauthService');
  * Controller for OAuth2 authentication endpoints
  */
 class OAuthController {
+  /**
+   * Extract client details recorded against a refresh-token session
+   * @param {Object} req - Express request object
+   * @returns {Object} Session context
+   */
+  getSessionContext(req) {
+    return {
+      deviceName: req.body?.deviceName,
+      userAgent: req.headers['user-agent'],
+      ipAddress: req.ip
+    };
+  }
+
   /**
    * Register a new user
    * POST /api/v1/oauth/register
@@ -54,7 +67,7 @@ class OAuthController {
       }
       
       // Check if user already exists
-      const existingUser = oauthService.findUserByEmail(email);
+      const existingUser = await oauthService.findUserByEmail(email);
       if (existingUser) {
         return res.status(409).json({
           success: false,
@@ -77,7 +90,7 @@ class OAuthController {
       
       // Generate tokens
       const accessToken = oauthService.generateAccessToken(user);
-      const refreshToken = oauthService.generateRefreshToken(user);
+      const refreshToken = await oauthService.generateRefreshToken(user, this.getSessionContext(req));
       
       res.status(201).json({
         success: true,
@@ -171,11 +184,11 @@ class OAuthController {
       }
       
       // Update last login
-      oauthService.updateLastLogin(user.id);
+      await oauthService.updateLastLogin(user.id);
       
       // Generate tokens
       const accessToken = oauthService.generateAccessToken(user);
-      const refreshToken = oauthService.generateRefreshToken(user);
+      const refreshToken = await oauthService.generateRefreshToken(user, this.getSessionContext(req));
       
       res.json({
         success: true,
@@ -223,7 +236,7 @@ class OAuthController {
         });
       }
       
-      const tokens = oauthService.refreshAccessToken(refreshToken);
+      const tokens = await oauthService.refreshAccessToken(refreshToken, this.getSessionContext(req));
       
       if (!tokens) {
         return res.status(401).json({
@@ -269,7 +282,7 @@ class OAuthController {
         });
       }
       
-      const success = oauthService.revokeRefreshToken(refreshToken);
+      const success = await oauthService.revokeRefreshToken(refreshToken);
       
       if (!success) {
         return res.status(404).json({
@@ -313,7 +326,7 @@ class OAuthController {
         });
       }
       
-      const profile = oauthService.getUserProfile(req.user.id);
+      const profile = await oauthService.getUserProfile(req.user.id);
       
       if (!profile) {
         return res.status(404).json({
@@ -341,13 +354,76 @@ class OAuthController {
     }
   }
   
+  /**
+   * List the current user's active sessions
+   * GET /api/v1/oauth/sessions
+   */
+  async listSessions(req, res) {
+    try {
+      const sessions = await oauthService.listSessions(req.user.id);
+      
+      res.json({
+        success: true,
+        data: {
+          sessions,
+          total: sessions.length
+        }
+      });
+    } catch (error) {
+      console.error('Error listing sessions:', error);
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'LIST_SESSIONS_ERROR',
+          message: 'Failed to list sessions.'
+        }
+      });
+    }
+  }
+  
+  /**
+   * Revoke one of the current user's sessions
+   * DELETE /api/v1/oauth/sessions/:sessionId
+   */
+  async revokeSession(req, res) {
+    try {
+      const { sessionId } = req.params;
+      
+      const success = await oauthService.revokeSession(req.user.id, sessionId);
+      
+      if (!success) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            code: 'SESSION_NOT_FOUND',
+            message: 'Session not found.'
+          }
+        });
+      }
+      
+      res.json({
+        success: true,
+        message: 'Session revoked successfully.'
+      });
+    } catch (error) {
+      console.error('Error revoking session:', error);
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'REVOKE_SESSION_ERROR',
+          message: 'Failed to revoke session.'
+        }
+      });
+    }
+  }
+  
   /**
    * List all users (admin only)
    * GET /api/v1/oauth/users
    */
   async listUsers(req, res) {
     try {
-      const users = oauthService.getAllUsers();
+      const users = await oauthService.getAllUsers();
       
       res.json({
         success: true,
@@ -399,7 +475,7 @@ class OAuthController {
         });
       }
       
-      const success = oauthService.updateUserRole(userId, role);
+      const success = await oauthService.updateUserRole(userId, role);
       
       if (!success) {
         return res.status(404).json({
@@ -435,7 +511,7 @@ class OAuthController {
     try {
       const { userId } = req.params;
       
-      const success = oauthService.deactivateUser(userId);
+      const success = await oauthService.deactivateUser(userId);
       
       if (!success) {
         return res.status(404).json({
@@ -469,7 +545,7 @@ class OAuthController {
    */
   async getAuthStats(req, res) {
     try {
-      const stats = oauthService.getAuthStats();
+      const stats = await oauthService.getAuthStats();
       
       res.json({
         success: true,
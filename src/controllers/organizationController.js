@@ -0,0 +1,274 @@
+const organizationService = require('../services/organizationService');
+const apiKeyController = require('./apiKeyController');
+
+// Service errors mapped to HTTP responses
+const ORGANIZATION_ERRORS = {
+  'Organization not found': { status: 404, code: 'ORGANIZATION_NOT_FOUND' },
+  'Organization slug is already taken': { status: 409, code: 'SLUG_TAKEN' },
+  'User not found': { status: 404, code: 'USER_NOT_FOUND' },
+  'Member not found': { status: 404, code: 'MEMBER_NOT_FOUND' },
+  'User is already a member of this organization': { status: 409, code: 'ALREADY_MEMBER' },
+  'An organization must keep at least one owner': { status: 409, code: 'LAST_OWNER' }
+};
+
+/**
+ * Controller for organization (team workspace) endpoints
+ */
+class OrganizationController {
+  /**
+   * Create an organization
+   * POST /api/v1/orgs
+   */
+  async createOrganization(req, res) {
+    try {
+      const { name, slug } = req.body;
+
+      if (!name || typeof name !== 'string' || name.trim().length === 0) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: 'INVALID_NAME',
+            message: 'Organization name is required.'
+          }
+        });
+      }
+
+      if (slug !== undefined && (typeof slug !== 'string' || !/^[a-z0-9]+(?:-[a-z0-9]+)*$/.test(slug))) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: 'INVALID_SLUG',
+            message: 'Slug may only contain lowercase letters, numbers and single hyphens.'
+          }
+        });
+      }
+
+      const organization = await organizationService.createOrganization({ name: name.trim(), slug }, req.user.id);
+
+      res.status(201).json({
+        success: true,
+        data: organization
+      });
+    } catch (error) {
+      this.handleError(res, error, 'CREATE_ORGANIZATION_ERROR', 'Failed to create organization.');
+    }
+  }
+
+  /**
+   * List the caller's organizations
+   * GET /api/v1/orgs
+   */
+  async listOrganizations(req, res) {
+    try {
+      const organizations = await organizationService.listUserOrganizations(req.user.id);
+
+      res.json({
+        success: true,
+        data: {
+          organizations,
+          activeOrganizationId: req.organization?.id || null
+        }
+      });
+    } catch (error) {
+      this.handleError(res, error, 'LIST_ORGANIZATIONS_ERROR', 'Failed to list organizations.');
+    }
+  }
+
+  /**
+   * Get an organization and its members
+   * GET /api/v1/orgs/:orgId
+   */
+  async getOrganization(req, res) {
+    try {
+      const organization = await organizationService.getOrganization(req.params.orgId, req.user.id);
+
+      res.json({
+        success: true,
+        data: organization
+      });
+    } catch (error) {
+      this.handleError(res, error, 'GET_ORGANIZATION_ERROR', 'Failed to get organization.');
+    }
+  }
+
+  /**
+   * Make an organization the caller's active one
+   * POST /api/v1/orgs/:orgId/activate
+   */
+  async activateOrganization(req, res) {
+    try {
+      const organization = await organizationService.setActiveOrganization(req.user.id, req.params.orgId);
+
+      res.json({
+        success: true,
+        data: organization,
+        message: 'Active organization updated.'
+      });
+    } catch (error) {
+      this.handleError(res, error, 'ACTIVATE_ORGANIZATION_ERROR', 'Failed to switch organization.');
+    }
+  }
+
+  /**
+   * Switch the caller back to their personal workspace
+   * POST /api/v1/orgs/personal/activate
+   */
+  async activatePersonalWorkspace(req, res) {
+    try {
+      await organizationService.setActiveOrganization(req.user.id, null);
+
+      res.json({
+        success: true,
+        data: null,
+        message: 'Switched to personal workspace.'
+      });
+    } catch (error) {
+      this.handleError(res, error, 'ACTIVATE_ORGANIZATION_ERROR', 'Failed to switch organization.');
+    }
+  }
+
+  /**
+   * Add a member to an organization
+   * POST /api/v1/orgs/:orgId/members
+   */
+  async addMember(req, res) {
+    try {
+      const { email, role = 'viewer' } = req.body;
+
+      if (!email) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: 'MISSING_EMAIL',
+            message: 'Email of the user to add is required.'
+          }
+        });
+      }
+
+      const member = await organizationService.addMember(req.params.orgId, { email, role }, req.user.id);
+
+      res.status(201).json({
+        success: true,
+        data: member
+      });
+    } catch (error) {
+      this.handleError(res, error, 'ADD_MEMBER_ERROR', 'Failed to add member.');
+    }
+  }
+
+  /**
+   * Change a member's role
+   * PATCH /api/v1/orgs/:orgId/members/:userId
+   */
+  async updateMember(req, res) {
+    try {
+      const { role } = req.body;
+
+      if (!role) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: 'MISSING_ROLE',
+            message: 'Role is required.'
+          }
+        });
+      }
+
+      const member = await organizationService.updateMemberRole(req.params.orgId, req.params.userId, role, req.user.id);
+
+      res.json({
+        success: true,
+        data: member
+      });
+    } catch (error) {
+      this.handleError(res, error, 'UPDATE_MEMBER_ERROR', 'Failed to update member.');
+    }
+  }
+
+  /**
+   * Remove a member (or leave the organization)
+   * DELETE /api/v1/orgs/:orgId/members/:userId
+   */
+  async removeMember(req, res) {
+    try {
+      await organizationService.removeMember(req.params.orgId, req.params.userId, req.user.id);
+
+      res.json({
+        success: true,
+        message: 'Member removed.'
+      });
+    } catch (error) {
+      this.handleError(res, error, 'REMOVE_MEMBER_ERROR', 'Failed to remove member.');
+    }
+  }
+
+  /**
+   * Create an API key owned by an organization
+   * POST /api/v1/orgs/:orgId/keys
+   */
+  async createOrganizationKey(req, res) {
+    try {
+      await organizationService.requireMembership(req.params.orgId, req.user.id, 'admin');
+
+      // Validation and key creation are shared with POST /api/v1/auth/keys
+      req.keyOwner = {
+        organizationId: req.params.orgId,
+        createdBy: req.user.id
+      };
+      await apiKeyController.generateApiKey(req, res);
+    } catch (error) {
+      this.handleError(res, error, 'KEY_GENERATION_ERROR', 'Failed to generate API key.');
+    }
+  }
+
+  /**
+   * Send the response for a failed request
+   * @param {Object} res - Express response object
+   * @param {Error} error - Error thrown by the service
+   * @param {string} code - Error code for unexpected errors
+   * @param {string} message - Message for unexpected errors
+   */
+  handleError(res, error, code, message) {
+    const known = ORGANIZATION_ERRORS[error.message];
+    if (known) {
+      return res.status(known.status).json({
+        success: false,
+        error: {
+          code: known.code,
+          message: error.message
+        }
+      });
+    }
+
+    if (error.message.startsWith('Organization role')) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          code: 'INSUFFICIENT_ORGANIZATION_ROLE',
+          message: error.message
+        }
+      });
+    }
+
+    if (error.message.startsWith('Invalid organization role')) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_ROLE',
+          message: `${error.message}. Valid roles are: ${organizationService.roles.join(', ')}`
+        }
+      });
+    }
+
+    console.error(message, error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code,
+        message
+      }
+    });
+  }
+}
+
+module.exports = new OrganizationController();
@@ -0,0 +1,109 @@
+const planService = require('../services/planService');
+
+// Service errors mapped to HTTP responses
+const PLAN_ERRORS = {
+  'Plan not found': { status: 404, code: 'PLAN_NOT_FOUND' },
+  'User not found': { status: 404, code: 'USER_NOT_FOUND' },
+  'Organization not found': { status: 404, code: 'ORGANIZATION_NOT_FOUND' }
+};
+
+/**
+ * Controller for subscription plan endpoints
+ */
+class PlanController {
+  /**
+   * List available plans
+   * GET /api/v1/plans
+   */
+  async listPlans(req, res) {
+    try {
+      const plans = await planService.listPlans();
+
+      res.json({
+        success: true,
+        data: {
+          plans,
+          defaultPlan: planService.defaultPlanName
+        }
+      });
+    } catch (error) {
+      console.error('Error listing plans:', error);
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'LIST_PLANS_ERROR',
+          message: 'Failed to list plans.'
+        }
+      });
+    }
+  }
+
+  /**
+   * Assign a plan to a user (admin only)
+   * PUT /api/v1/oauth/users/:userId/plan
+   */
+  async assignUserPlan(req, res) {
+    await this.assignPlan(req, res, 'user', req.params.userId);
+  }
+
+  /**
+   * Assign a plan to an organization (admin only)
+   * PUT /api/v1/orgs/:orgId/plan
+   */
+  async assignOrganizationPlan(req, res) {
+    await this.assignPlan(req, res, 'organization', req.params.orgId);
+  }
+
+  /**
+   * Assign a plan to a user or organization
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {string} ownerType - 'user' or 'organization'
+   * @param {string} ownerId - User or organization ID
+   */
+  async assignPlan(req, res, ownerType, ownerId) {
+    try {
+      const { plan } = req.body;
+
+      if (!plan || typeof plan !== 'string') {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: 'MISSING_PLAN',
+            message: 'Plan name is required.'
+          }
+        });
+      }
+
+      const assignedPlan = await planService.assignPlan(ownerType, ownerId, plan);
+
+      res.json({
+        success: true,
+        data: assignedPlan,
+        message: 'Plan assigned successfully.'
+      });
+    } catch (error) {
+      const known = PLAN_ERRORS[error.message];
+      if (known) {
+        return res.status(known.status).json({
+          success: false,
+          error: {
+            code: known.code,
+            message: error.message
+          }
+        });
+      }
+
+      console.error('Error assigning plan:', error);
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'ASSIGN_PLAN_ERROR',
+          message: 'Failed to assign plan.'
+        }
+      });
+    }
+  }
+}
+
+module.exports = new PlanController();
@@ -0,0 +1,155 @@
+const spendCapService = require('../services/spendCapService');
+const organizationService = require('../services/organizationService');
+
+// Service errors mapped to HTTP responses
+const SPEND_CAP_ERRORS = {
+  'Organization not found': { status: 404, code: 'ORGANIZATION_NOT_FOUND' },
+  'API key not found': { status: 404, code: 'API_KEY_NOT_FOUND' }
+};
+
+/**
+ * Controller for organization and API key spend cap endpoints
+ */
+class SpendCapController {
+  /**
+   * Get an organization's spend caps and spend (organization members)
+   * GET /api/v1/orgs/:orgId/spend-caps
+   */
+  async getOrganizationCaps(req, res) {
+    try {
+      await organizationService.requireMembership(req.params.orgId, req.user.id, 'viewer');
+
+      const status = await spendCapService.getOwnerStatus('organization', req.params.orgId);
+
+      res.json({
+        success: true,
+        data: status
+      });
+    } catch (error) {
+      this.handleError(res, error, 'GET_SPEND_CAPS_ERROR', 'Failed to get spend caps.');
+    }
+  }
+
+  /**
+   * Set an organization's spend caps (organization admins)
+   * PUT /api/v1/orgs/:orgId/spend-caps
+   */
+  async setOrganizationCaps(req, res) {
+    try {
+      await organizationService.requireMembership(req.params.orgId, req.user.id, 'admin');
+      await this.setCaps(req, res, 'organization', req.params.orgId);
+    } catch (error) {
+      this.handleError(res, error, 'SET_SPEND_CAPS_ERROR', 'Failed to set spend caps.');
+    }
+  }
+
+  /**
+   * Get an API key's spend caps and spend
+   * GET /api/v1/auth/keys/:keyId/spend-caps
+   */
+  async getApiKeyCaps(req, res) {
+    try {
+      await spendCapService.assertOwnerExists('api_key', req.params.keyId);
+
+      const status = await spendCapService.getOwnerStatus('api_key', req.params.keyId);
+
+      res.json({
+        success: true,
+        data: status
+      });
+    } catch (error) {
+      this.handleError(res, error, 'GET_SPEND_CAPS_ERROR', 'Failed to get spend caps.');
+    }
+  }
+
+  /**
+   * Set an API key's spend caps
+   * PUT /api/v1/auth/keys/:keyId/spend-caps
+   */
+  async setApiKeyCaps(req, res) {
+    try {
+      await this.setCaps(req, res, 'api_key', req.params.keyId);
+    } catch (error) {
+      this.handleError(res, error, 'SET_SPEND_CAPS_ERROR', 'Failed to set spend caps.');
+    }
+  }
+
+  /**
+   * Validate and save an owner's caps
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {string} ownerType - 'organization' or 'api_key'
+   * @param {string} ownerId - Owner ID
+   */
+  async setCaps(req, res, ownerType, ownerId) {
+    const { dailyLimit, monthlyLimit } = req.body || {};
+
+    if (dailyLimit === undefined && monthlyLimit === undefined) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'NO_CAPS_PROVIDED',
+          message: 'Provide dailyLimit and/or monthlyLimit.'
+        }
+      });
+    }
+
+    if (!spendCapService.isValidAmount(dailyLimit) || !spendCapService.isValidAmount(monthlyLimit)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_SPEND_CAP',
+          message: 'dailyLimit and monthlyLimit must be positive numbers of US dollars, or null to remove the cap.'
+        }
+      });
+    }
+
+    const status = await spendCapService.setCaps(ownerType, ownerId, { dailyLimit, monthlyLimit }, req.user?.id || null);
+
+    res.json({
+      success: true,
+      data: status
+    });
+  }
+
+  /**
+   * Send the response for a failed request
+   * @param {Object} res - Express response object
+   * @param {Error} error - Error thrown by the service
+   * @param {string} code - Error code for unexpected errors
+   * @param {string} message - Message for unexpected errors
+   */
+  handleError(res, error, code, message) {
+    const known = SPEND_CAP_ERRORS[error.message];
+    if (known) {
+      return res.status(known.status).json({
+        success: false,
+        error: {
+          code: known.code,
+          message: error.message
+        }
+      });
+    }
+
+    if (error.message.startsWith('Organization role')) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          code: 'INSUFFICIENT_ORGANIZATION_ROLE',
+          message: error.message
+        }
+      });
+    }
+
+    console.error(message, error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code,
+        message
+      }
+    });
+  }
+}
+
+module.exports = new SpendCapController();
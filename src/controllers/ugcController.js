@@ -1,8 +1,23 @@
-const imageAnalysisService = require('../services/imageAnalysisService');
-const scriptGenerationService = require('../services/scriptGenerationService');
 const videoGenerationService = require('../services/videoGenerationService');
+const scriptGenerationService = require('../services/scriptGenerationService');
 const operationService = require('../services/operationService');
+const planService = require('../services/planService');
+const quotaService = require('../services/quotaService');
+const creditService = require('../services/creditService');
+const providerCostService = require('../services/providerCostService');
+const spendCapService = require('../services/spendCapService');
+const quoteService = require('../services/quoteService');
+const postProductionService = require('../services/postProductionService');
+const segmentPlanService = require('../services/segmentPlanService');
+const variantService = require('../services/variantService');
+const segmentVersionService = require('../services/segmentVersionService');
+const scriptEditingService = require('../services/scriptEditingService');
+const approvalService = require('../services/approvalService');
+const remixService = require('../services/remixService');
+const briefService = require('../services/briefService');
 const jobManager = require('../jobs/jobManager');
+const RateLimitMiddleware = require('../middleware/rateLimitMiddleware');
+const { WORKFLOW_STAGES } = require('../config/queue');
 const config = require('../utils/config');
 
 /**
@@ -13,420 +28,1693 @@ class UGCController {
    * Generates UGC advertisement from creative brief and images
    * POST /api/v1/ugc/generate
    */
-  async generateUGCAd(req, res) {
-    let operation = null;
-    
+  async generateUGCAd(req, res) {
+    let operation = null;
+    
+    try {
+      const { script } = req.body;
+      let { creativeBrief } = req.body;
+      let options = this.parseOptions(req.body.options);
+      // The structured brief arrives as a JSON string in multipart requests, as the options do
+      const brief = req.body.brief !== undefined ? this.parseOptions(req.body.brief) : undefined;
+      const uploadedImages = req.files || [];
+
+      // Get user, API key and organization info from middleware
+      const userId = req.user?.id || null;
+      const apiKeyId = req.apiKey?.id || null;
+      const organizationId = req.organization?.id || null;
+
+      // Validate required inputs; a structured brief can stand in for the text one
+      const textRequired = brief === undefined || creativeBrief !== undefined;
+      if (textRequired && (!creativeBrief || typeof creativeBrief !== 'string' || creativeBrief.trim().length === 0)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Creative brief is required and must be a non-empty string',
+          code: 'INVALID_CREATIVE_BRIEF'
+        });
+      }
+
+      if (brief !== undefined) {
+        const briefError = briefService.validateBrief(brief);
+        if (briefError) {
+          return res.status(400).json({
+            success: false,
+            error: briefError,
+            code: 'INVALID_BRIEF'
+          });
+        }
+      }
+
+      if (!uploadedImages || uploadedImages.length === 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'At least one image is required',
+          code: 'NO_IMAGES_PROVIDED'
+        });
+      }
+
+      if (uploadedImages.length > config.maxImages) {
+        return res.status(400).json({
+          success: false,
+          error: `Maximum ${config.maxImages} images allowed`,
+          code: 'TOO_MANY_IMAGES'
+        });
+      }
+
+      if (!options) {
+        return res.status(400).json({
+          success: false,
+          error: 'Options must be an object or a JSON object string',
+          code: 'INVALID_OPTIONS'
+        });
+      }
+
+      if (!spendCapService.isValidAmount(options.maxCost)) {
+        return res.status(400).json({
+          success: false,
+          error: 'maxCost must be a positive number of US dollars',
+          code: 'INVALID_MAX_COST'
+        });
+      }
+
+      const segmentError = segmentPlanService.validateOptions(options);
+      if (segmentError) {
+        return res.status(400).json({
+          success: false,
+          error: segmentError,
+          code: 'INVALID_SEGMENT_OPTIONS'
+        });
+      }
+
+      const variantError = variantService.validateOptions(options);
+      if (variantError) {
+        return res.status(400).json({
+          success: false,
+          error: variantError,
+          code: 'INVALID_VARIANT_OPTIONS'
+        });
+      }
+
+      const approvalError = approvalService.validateOptions(options);
+      if (approvalError) {
+        return res.status(400).json({
+          success: false,
+          error: approvalError,
+          code: 'INVALID_APPROVAL_OPTIONS'
+        });
+      }
+
+      const scriptError = scriptGenerationService.validateOptions(options);
+      if (scriptError) {
+        return res.status(400).json({
+          success: false,
+          error: scriptError,
+          code: 'INVALID_SCRIPT_OPTIONS'
+        });
+      }
+
+      ({ creativeBrief, options } = briefService.applyBrief({ creativeBrief, brief, options }));
+
+      // The segment count and length of each segment are fixed here for every later stage
+      options = segmentPlanService.applyPlan(options);
+
+      // Post-production runs after the videos are paid for, so its options are checked up front
+      const postProductionError = postProductionService.validateOptions(options);
+      if (postProductionError) {
+        return res.status(400).json({
+          success: false,
+          error: postProductionError,
+          code: 'INVALID_POST_PRODUCTION_OPTIONS'
+        });
+      }
+
+      // Limits, priority and features come from the plan of the organization or user
+      const plan = await planService.resolvePlan({ userId, organizationId });
+
+      if (options.segments > plan.maxSegments) {
+        return res.status(403).json({
+          success: false,
+          error: `The ${plan.displayName} plan allows at most ${plan.maxSegments} segments per video`,
+          code: 'SEGMENT_LIMIT_EXCEEDED',
+          plan: plan.name
+        });
+      }
+
+      // Refuse the generation up front if it is estimated to cost more than the caller allows
+      const { totalCost: estimatedCost } = providerCostService.estimateGenerationCost({
+        creativeBrief,
+        imageCount: uploadedImages.length,
+        options
+      });
+      spendCapService.assertWithinMaxCost(estimatedCost, options.maxCost);
+
+      // Job data and the operation record are JSON, so images are kept as base64
+      const images = uploadedImages.map(img => ({
+        data: img.buffer.toString('base64'),
+        mimeType: img.mimetype,
+        originalName: img.originalname
+      }));
+
+      // Reserve quota, check spend caps and hold credits for the generation while creating its operation record
+      const principal = { userId, apiKeyId, organizationId };
+      let credits = null;
+      operation = await quotaService.reserve(principal, 1, async (transaction) => {
+        await spendCapService.enforce(principal, estimatedCost, { transaction });
+
+        const created = await operationService.createOperation({
+          creativeBrief,
+          apiKeyId,
+          userId,
+          organizationId,
+          inputImages: images, // Kept so a failed workflow can be resumed
+          metadata: {
+            imageCount: uploadedImages.length,
+            hasProvidedScript: !!script,
+            providedScript: script || null,
+            options,
+            plan: plan.name,
+            watermarkRequired: plan.watermarkRequired,
+            estimatedCost,
+            userAgent: req.get('User-Agent'),
+            ipAddress: req.ip
+          },
+          transaction
+        });
+
+        credits = await creditService.hold(principal, [{
+          operationId: created.operationId,
+          amount: creditService.estimateCost(options)
+        }], { transaction });
+
+        return created;
+      }, { plan });
+
+      // Record where each stage will report progress before any of them can start
+      const workflowJobs = jobManager.getWorkflowJobs(operation.operationId, { toStage: jobManager.getLastStage(options) });
+      await operationService.updateOperationStatus(operation.operationId, 'pending', {
+        metadata: {
+          queuedAt: new Date().toISOString(),
+          stage: 'queued',
+          workflowJobs
+        }
+      });
+
+      // Image analysis, script, video generation and post-processing all run in the background
+      await jobManager.addGenerationFlow({
+        operationId: operation.operationId,
+        creativeBrief,
+        script: script || null,
+        images,
+        options,
+        userId,
+        plan: plan.name,
+        queuePriority: plan.queuePriority, // Plan priority drives queue order
+        watermark: plan.watermarkRequired || false
+      }, {
+        source: 'api',           // API request gets higher priority
+        urgent: options.urgent,  // Allow urgent flag
+        scheduledFor: options.scheduledFor, // Allow scheduling
+        isRetry: false
+      });
+
+      res.status(202).json({
+        success: true,
+        data: {
+          operationId: operation.operationId,
+          status: 'queued',
+          stages: Object.keys(workflowJobs),
+          estimatedCost,
+          ...(credits && { credits })
+        },
+        message: 'UGC advertisement generation queued. Each stage reports progress on the status endpoint.',
+        statusEndpoint: `/api/v1/ugc/status/${operation.operationId}`
+      });
+
+    } catch (error) {
+      if (error instanceof quotaService.QuotaExceededError) {
+        return res.status(429).json({
+          success: false,
+          error: error.message,
+          code: error.code,
+          requested: error.requested,
+          quotaStatus: error.quotaStatus
+        });
+      }
+
+      if (error instanceof creditService.InsufficientCreditsError) {
+        return res.status(402).json({
+          success: false,
+          error: error.message,
+          code: error.code,
+          required: error.required,
+          available: error.available
+        });
+      }
+
+      if (error instanceof spendCapService.SpendCapExceededError) {
+        return res.status(402).json({
+          success: false,
+          error: error.message,
+          code: error.code,
+          estimatedCost: error.estimatedCost,
+          spendCap: error.cap
+        });
+      }
+
+      if (error instanceof spendCapService.MaxCostExceededError) {
+        return res.status(402).json({
+          success: false,
+          error: error.message,
+          code: error.code,
+          estimatedCost: error.estimatedCost,
+          maxCost: error.maxCost
+        });
+      }
+
+      console.error('UGC generation error:', error);
+      
+      // Update operation as failed and refund its hold if it was created
+      if (operation) {
+        try {
+          await operationService.updateOperationStatus(operation.operationId, 'failed', {
+            errorMessage: error.message,
+            metadata: {
+              failedAt: new Date().toISOString(),
+              errorStack: error.stack
+            }
+          });
+        } catch (updateError) {
+          console.error('Failed to update operation status:', updateError.message);
+        }
+
+        try {
+          await creditService.refund(operation.operationId, 'failed');
+        } catch (refundError) {
+          console.error('Failed to refund operation credits:', refundError.message);
+        }
+      }
+      
+      res.status(500).json({
+        success: false,
+        error: error.message || 'Internal server error during UGC generation',
+        code: 'UGC_GENERATION_ERROR',
+        operationId: operation?.operationId
+      });
+    }
+  }
+
+  /**
+   * Quotes the cost and duration of a UGC advertisement without generating it
+   * POST /api/v1/ugc/quote
+   */
+  async quoteUGCAd(req, res) {
+    try {
+      const { creativeBrief } = req.body;
+      const options = this.parseOptions(req.body.options);
+
+      // Images can be uploaded as for generation, or just counted
+      const imageCount = req.files?.length || parseInt(req.body.imageCount) || 0;
+
+      if (!creativeBrief || typeof creativeBrief !== 'string' || creativeBrief.trim().length === 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'Creative brief is required and must be a non-empty string',
+          code: 'INVALID_CREATIVE_BRIEF'
+        });
+      }
+
+      if (imageCount < 1) {
+        return res.status(400).json({
+          success: false,
+          error: 'At least one image, or an imageCount, is required',
+          code: 'NO_IMAGES_PROVIDED'
+        });
+      }
+
+      if (imageCount > config.maxImages) {
+        return res.status(400).json({
+          success: false,
+          error: `Maximum ${config.maxImages} images allowed`,
+          code: 'TOO_MANY_IMAGES'
+        });
+      }
+
+      if (!options) {
+        return res.status(400).json({
+          success: false,
+          error: 'Options must be an object or a JSON object string',
+          code: 'INVALID_OPTIONS'
+        });
+      }
+
+      if (!spendCapService.isValidAmount(options.maxCost)) {
+        return res.status(400).json({
+          success: false,
+          error: 'maxCost must be a positive number of US dollars',
+          code: 'INVALID_MAX_COST'
+        });
+      }
+
+      const segmentError = segmentPlanService.validateOptions(options);
+      if (segmentError) {
+        return res.status(400).json({
+          success: false,
+          error: segmentError,
+          code: 'INVALID_SEGMENT_OPTIONS'
+        });
+      }
+
+      const variantError = variantService.validateOptions(options);
+      if (variantError) {
+        return res.status(400).json({
+          success: false,
+          error: variantError,
+          code: 'INVALID_VARIANT_OPTIONS'
+        });
+      }
+
+      const quote = await quoteService.quoteGeneration(
+        { creativeBrief, imageCount, options },
+        quotaService.getPrincipal(req)
+      );
+
+      res.json({
+        success: true,
+        data: quote
+      });
+    } catch (error) {
+      console.error('UGC quote error:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message || 'Internal server error during quote',
+        code: 'QUOTE_ERROR'
+      });
+    }
+  }
+
+  /**
+   * Parse generation options, which arrive as a JSON string in multipart requests
+   * @param {Object|string} value - Options field from the request body
+   * @returns {Object|null} Options object, or null if invalid
+   */
+  parseOptions(value) {
+    if (value === undefined || value === null || value === '') {
+      return {};
+    }
+
+    let options = value;
+    if (typeof value === 'string') {
+      try {
+        options = JSON.parse(value);
+      } catch (error) {
+        return null;
+      }
+    }
+
+    return options && typeof options === 'object' && !Array.isArray(options) ? options : null;
+  }
+
+  /**
+   * Get generation status by operation ID
+   * GET /api/v1/ugc/status/:operationId
+   */
+  async getGenerationStatus(req, res) {
+    try {
+      const { operationId } = req.params;
+
+      if (!operationId) {
+        return res.status(400).json({
+          success: false,
+          error: 'Operation ID is required',
+          code: 'MISSING_OPERATION_ID'
+        });
+      }
+
+      const operation = await operationService.getOperation(operationId);
+
+      if (!operation) {
+        return res.status(404).json({
+          success: false,
+          error: 'Operation not found',
+          code: 'OPERATION_NOT_FOUND'
+        });
+      }
+
+      // Check if user has access to this operation
+      if (!this.canAccessOperation(req, operation)) {
+        return res.status(403).json({
+          success: false,
+          error: 'Access denied to this operation',
+          code: 'ACCESS_DENIED'
+        });
+      }
+
+      // Use job status service for enhanced status information
+      const jobStatusService = require('../services/jobStatusService');
+      const enhancedStatus = await jobStatusService.getJobStatus(operationId);
+
+      res.status(200).json({
+        success: true,
+        data: enhancedStatus || {
+          operationId: operation.operationId,
+          status: operation.status,
+          creativeBrief: operation.creativeBrief,
+          scriptContent: operation.scriptContent,
+          videoUrls: operation.videoUrls,
+          errorMessage: operation.errorMessage,
+          metadata: operation.metadata,
+          lineage: operationService.getLineage(operation),
+          createdAt: operation.created_at,
+          updatedAt: operation.updated_at,
+          completedAt: operation.completedAt,
+          isCompleted: operation.isCompleted(),
+          duration: operation.getDuration()
+        }
+      });
+
+    } catch (error) {
+      console.error('Get operation status error:', error);
+      
+      res.status(500).json({
+        success: false,
+        error: error.message || 'Internal server error',
+        code: 'STATUS_RETRIEVAL_ERROR'
+      });
+    }
+  }
+
+  /**
+   * Resumes a failed or cancelled generation from its checkpoints
+   * POST /api/v1/ugc/operations/:operationId/resume
+   */
+  async resumeOperation(req, res) {
+    try {
+      const { operationId } = req.params;
+      const { rerunStage = null } = req.body || {};
+
+      const operation = await operationService.getOperation(operationId);
+
+      if (!operation) {
+        return res.status(404).json({
+          success: false,
+          error: 'Operation not found',
+          code: 'OPERATION_NOT_FOUND'
+        });
+      }
+
+      if (!this.canAccessOperation(req, operation)) {
+        return res.status(403).json({
+          success: false,
+          error: 'Access denied to this operation',
+          code: 'ACCESS_DENIED'
+        });
+      }
+
+      if (!['failed', 'cancelled'].includes(operation.status)) {
+        return res.status(409).json({
+          success: false,
+          error: `Only failed or cancelled operations can be resumed; this operation is ${operation.status}`,
+          code: 'OPERATION_NOT_RESUMABLE'
+        });
+      }
+
+      if (['rejected', 'expired'].includes(operation.metadata?.approval?.status)) {
+        return res.status(409).json({
+          success: false,
+          error: 'The script of this operation was not approved, which ends the operation; start a new generation instead',
+          code: 'OPERATION_NOT_RESUMABLE'
+        });
+      }
+
+      const stageNames = WORKFLOW_STAGES.map(({ name }) => name);
+      if (rerunStage !== null && !stageNames.includes(rerunStage)) {
+        return res.status(400).json({
+          success: false,
+          error: `rerunStage must be one of: ${stageNames.join(', ')}`,
+          code: 'INVALID_STAGE'
+        });
+      }
+
+      // Restart from the first stage without a completed checkpoint, or earlier if a rerun is forced
+      const checkpoints = operation.checkpoints || {};
+      const firstIncomplete = stageNames.findIndex(name => !checkpoints[name]?.completedAt);
+      const resumeIndex = firstIncomplete === -1 ? stageNames.length - 1 : firstIncomplete;
+      const rerunIndex = rerunStage ? stageNames.indexOf(rerunStage) : resumeIndex;
+      const startIndex = Math.min(resumeIndex, rerunIndex);
+      const fromStage = stageNames[startIndex];
+
+      // Later stages are recomputed; segments of an interrupted stage are kept unless it is rerun
+      const keptCheckpoints = {};
+      stageNames.forEach((name, index) => {
+        if (checkpoints[name] && (index < startIndex || (index === startIndex && name !== rerunStage))) {
+          keptCheckpoints[name] = checkpoints[name];
+        }
+      });
+
+      // Script edits made since the run stopped are what the videos are generated from
+      if (keptCheckpoints.script_generation?.script?.segments && operation.scriptContent?.segments) {
+        keptCheckpoints.script_generation = {
+          ...keptCheckpoints.script_generation,
+          script: { ...keptCheckpoints.script_generation.script, segments: operation.scriptContent.segments }
+        };
+      }
+
+      const metadata = operation.metadata || {};
+      let options = metadata.options || {};
+      const principal = {
+        userId: operation.userId,
+        apiKeyId: operation.apiKeyId,
+        organizationId: operation.organizationId
+      };
+
+      // A script that is written again has to be approved again
+      const approvalReset = !!options.scriptApproved && startIndex <= stageNames.indexOf('script_generation');
+      if (approvalReset) {
+        options = { ...options, scriptApproved: false };
+      }
+
+      const run = (metadata.workflowRun || 1) + 1;
+      const workflowJobs = jobManager.getWorkflowJobs(operationId, { run, fromStage, toStage: jobManager.getLastStage(options) });
+
+      // Only a run that reaches video generation renders the segments again
+      const segmentCount = workflowJobs.video_generation ? segmentPlanService.planSegments(options).count : 1;
+      if (!await RateLimitMiddleware.chargeOperationSegments(req, res, segmentCount)) {
+        return;
+      }
+
+      // The hold was refunded when the operation failed, so the resumed run is held
+      // again, together with the restart so that concurrent resumes hold only once
+      const credits = await operationService.restartOperation(operationId, {
+        fromStatuses: ['failed', 'cancelled'],
+        checkpoints: keptCheckpoints,
+        metadata: {
+          queuedAt: new Date().toISOString(),
+          stage: 'queued',
+          workflowRun: run,
+          workflowJobs,
+          resumedFrom: fromStage,
+          resumedAt: new Date().toISOString(),
+          ...(approvalReset && { options, approval: null })
+        }
+      }, transaction => creditService.hold(principal, [{
+        operationId,
+        amount: creditService.estimateCost(options)
+      }], { transaction }));
+
+      try {
+        const plan = await planService.resolvePlan({ userId: operation.userId, organizationId: operation.organizationId });
+        const images = await operationService.getInputImages(operationId);
+
+        await jobManager.addGenerationFlow({
+          operationId,
+          creativeBrief: operation.creativeBrief,
+          script: metadata.providedScript || null,
+          images,
+          options,
+          userId: operation.userId,
+          plan: plan.name,
+          queuePriority: plan.queuePriority,
+          watermark: plan.watermarkRequired || false
+        }, {
+          source: 'api',
+          isRetry: true,
+          run,
+          fromStage
+        });
+      } catch (error) {
+        // Give back the new hold and leave the operation failed so it can be resumed again
+        try {
+          await creditService.refund(operationId, 'failed');
+        } catch (refundError) {
+          console.error('Failed to refund operation credits:', refundError.message);
+        }
+
+        try {
+          await operationService.updateOperationStatus(operationId, 'failed', {
+            errorMessage: error.message,
+            metadata: { stage: 'failed', failedAt: new Date().toISOString() }
+          });
+        } catch (updateError) {
+          console.error('Failed to update operation status:', updateError.message);
+        }
+
+        throw error;
+      }
+
+      res.status(202).json({
+        success: true,
+        data: {
+          operationId,
+          status: 'queued',
+          resumedFrom: fromStage,
+          stages: Object.keys(workflowJobs),
+          workflowRun: run,
+          ...(credits && { credits })
+        },
+        message: `Operation resumed from the ${fromStage} stage`,
+        statusEndpoint: `/api/v1/ugc/status/${operationId}`
+      });
+
+    } catch (error) {
+      if (error instanceof operationService.OperationStateError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          error: error.message,
+          code: error.code
+        });
+      }
+
+      if (error instanceof creditService.InsufficientCreditsError) {
+        return res.status(402).json({
+          success: false,
+          error: error.message,
+          code: error.code,
+          required: error.required,
+          available: error.available
+        });
+      }
+
+      console.error('Resume operation error:', error);
+
+      res.status(500).json({
+        success: false,
+        error: error.message || 'Internal server error',
+        code: 'RESUME_FAILED'
+      });
+    }
+  }
+
+  /**
+   * Lists the script variants of an operation and the operations generating them
+   * GET /api/v1/ugc/operations/:operationId/variants
+   */
+  async getVariants(req, res) {
+    try {
+      const { operationId } = req.params;
+
+      const operation = await operationService.getOperation(operationId);
+
+      if (!operation) {
+        return res.status(404).json({
+          success: false,
+          error: 'Operation not found',
+          code: 'OPERATION_NOT_FOUND'
+        });
+      }
+
+      if (!this.canAccessOperation(req, operation)) {
+        return res.status(403).json({
+          success: false,
+          error: 'Access denied to this operation',
+          code: 'ACCESS_DENIED'
+        });
+      }
+
+      if (!operation.metadata?.options?.variants) {
+        return res.status(404).json({
+          success: false,
+          error: 'This operation did not generate script variants',
+          code: 'NO_VARIANTS'
+        });
+      }
+
+      const variantOperations = await operationService.getVariantOperations(operation.id);
+      const byVariant = new Map(variantOperations.map(variantOperation => [
+        variantOperation.metadata?.variant?.variantId,
+        variantOperation
+      ]));
+
+      res.json({
+        success: true,
+        data: {
+          operationId,
+          status: operation.status,
+          segmentDurations: operation.scriptContent?.segmentDurations || null,
+          variants: (variantService.getVariants(operation) || []).map(variant => {
+            const variantOperation = byVariant.get(variant.variantId);
+            return {
+              ...variant,
+              operation: variantOperation ? {
+                operationId: variantOperation.operationId,
+                status: variantOperation.status,
+                videoUrls: variantOperation.videoUrls || []
+              } : null
+            };
+          })
+        }
+      });
+
+    } catch (error) {
+      console.error('Get variants error:', error);
+
+      res.status(500).json({
+        success: false,
+        error: error.message || 'Internal server error',
+        code: 'VARIANT_RETRIEVAL_ERROR'
+      });
+    }
+  }
+
+  /**
+   * Queues chosen script variants of an operation for video generation
+   * POST /api/v1/ugc/operations/:operationId/variants
+   */
+  async selectVariants(req, res) {
+    try {
+      const { operationId } = req.params;
+      const { variants: selection = 'all' } = req.body || {};
+
+      const operation = await operationService.getOperation(operationId);
+
+      if (!operation) {
+        return res.status(404).json({
+          success: false,
+          error: 'Operation not found',
+          code: 'OPERATION_NOT_FOUND'
+        });
+      }
+
+      if (!this.canAccessOperation(req, operation)) {
+        return res.status(403).json({
+          success: false,
+          error: 'Access denied to this operation',
+          code: 'ACCESS_DENIED'
+        });
+      }
+
+      // Each selected variant generates every segment of the parent's video
+      const variantCount = Array.isArray(selection) ? selection.length : (variantService.getVariants(operation) || []).length;
+      const variantSegments = segmentPlanService.planSegments(variantService.getVariantOptions(operation.metadata?.options)).count;
+      if (!await RateLimitMiddleware.chargeOperationSegments(req, res, Math.max(variantCount, 1) * variantSegments)) {
+        return;
+      }
+
+      const plan = await planService.resolvePlan({ userId: operation.userId, organizationId: operation.organizationId });
+      const { operations, credits, estimatedCost } = await variantService.queueVariants({
+        parent: operation,
+        selection,
+        plan
+      });
+
+      res.status(202).json({
+        success: true,
+        data: {
+          operationId,
+          operations: operations.map(variantOperation => ({
+            ...variantOperation,
+            statusEndpoint: `/api/v1/ugc/status/${variantOperation.operationId}`
+          })),
+          estimatedCost,
+          ...(credits && { credits })
+        },
+        message: `${operations.length} script variant${operations.length === 1 ? '' : 's'} queued for video generation`
+      });
+
+    } catch (error) {
+      if (error instanceof variantService.VariantSelectionError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          error: error.message,
+          code: error.code
+        });
+      }
+
+      if (error instanceof quotaService.QuotaExceededError) {
+        return res.status(429).json({
+          success: false,
+          error: error.message,
+          code: error.code,
+          requested: error.requested,
+          quotaStatus: error.quotaStatus
+        });
+      }
+
+      if (error instanceof creditService.InsufficientCreditsError) {
+        return res.status(402).json({
+          success: false,
+          error: error.message,
+          code: error.code,
+          required: error.required,
+          available: error.available
+        });
+      }
+
+      if (error instanceof spendCapService.SpendCapExceededError) {
+        return res.status(402).json({
+          success: false,
+          error: error.message,
+          code: error.code,
+          estimatedCost: error.estimatedCost,
+          spendCap: error.cap
+        });
+      }
+
+      if (error instanceof spendCapService.MaxCostExceededError) {
+        return res.status(402).json({
+          success: false,
+          error: error.message,
+          code: error.code,
+          estimatedCost: error.estimatedCost,
+          maxCost: error.maxCost
+        });
+      }
+
+      console.error('Select variants error:', error);
+
+      res.status(500).json({
+        success: false,
+        error: error.message || 'Internal server error',
+        code: 'VARIANT_SELECTION_ERROR'
+      });
+    }
+  }
+
+  /**
+   * Lists the video segments of an operation with every take each has had
+   * GET /api/v1/ugc/operations/:operationId/segments
+   */
+  async getSegments(req, res) {
+    try {
+      const { operationId } = req.params;
+
+      const operation = await operationService.getOperation(operationId);
+
+      if (!operation) {
+        return res.status(404).json({
+          success: false,
+          error: 'Operation not found',
+          code: 'OPERATION_NOT_FOUND'
+        });
+      }
+
+      if (!this.canAccessOperation(req, operation)) {
+        return res.status(403).json({
+          success: false,
+          error: 'Access denied to this operation',
+          code: 'ACCESS_DENIED'
+        });
+      }
+
+      const segments = segmentVersionService.getSegments(operation);
+      if (!segments) {
+        return res.status(404).json({
+          success: false,
+          error: 'This operation has no video segments',
+          code: 'NO_SEGMENTS'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: {
+          operationId,
+          status: operation.status,
+          segments
+        }
+      });
+
+    } catch (error) {
+      console.error('Get segments error:', error);
+
+      res.status(500).json({
+        success: false,
+        error: error.message || 'Internal server error',
+        code: 'SEGMENT_RETRIEVAL_ERROR'
+      });
+    }
+  }
+
+  /**
+   * Regenerates one video segment of a completed operation and reassembles the ad
+   * POST /api/v1/ugc/operations/:operationId/segments/:segmentKey/regenerate
+   */
+  async regenerateSegment(req, res) {
+    try {
+      const { operationId, segmentKey } = req.params;
+      const { prompt = null } = req.body || {};
+
+      const operation = await operationService.getOperation(operationId);
+
+      if (!operation) {
+        return res.status(404).json({
+          success: false,
+          error: 'Operation not found',
+          code: 'OPERATION_NOT_FOUND'
+        });
+      }
+
+      if (!this.canAccessOperation(req, operation)) {
+        return res.status(403).json({
+          success: false,
+          error: 'Access denied to this operation',
+          code: 'ACCESS_DENIED'
+        });
+      }
+
+      const regenerationError = segmentVersionService.validateRegeneration({ prompt });
+      if (regenerationError) {
+        return res.status(400).json({
+          success: false,
+          error: regenerationError,
+          code: 'INVALID_SEGMENT_PROMPT'
+        });
+      }
+
+      // Job data is JSON, so the seed image is kept as base64
+      const seedImage = req.file ? {
+        data: req.file.buffer.toString('base64'),
+        mimeType: req.file.mimetype,
+        originalName: req.file.originalname
+      } : null;
+
+      const plan = await planService.resolvePlan({ userId: operation.userId, organizationId: operation.organizationId });
+      const { version, workflowJobs, workflowRun, credits } = await segmentVersionService.queueRegeneration({
+        operation,
+        segmentKey,
+        prompt,
+        seedImage,
+        plan
+      });
+
+      res.status(202).json({
+        success: true,
+        data: {
+          operationId,
+          segmentKey,
+          version,
+          status: 'queued',
+          stages: Object.keys(workflowJobs),
+          workflowRun,
+          ...(credits && { credits })
+        },
+        message: `Version ${version} of ${segmentKey} queued for generation`,
+        statusEndpoint: `/api/v1/ugc/status/${operationId}`
+      });
+
+    } catch (error) {
+      if (error instanceof segmentVersionService.SegmentVersionError || error instanceof operationService.OperationStateError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          error: error.message,
+          code: error.code
+        });
+      }
+
+      if (error instanceof creditService.InsufficientCreditsError) {
+        return res.status(402).json({
+          success: false,
+          error: error.message,
+          code: error.code,
+          required: error.required,
+          available: error.available
+        });
+      }
+
+      console.error('Regenerate segment error:', error);
+
+      res.status(500).json({
+        success: false,
+        error: error.message || 'Internal server error',
+        code: 'SEGMENT_REGENERATION_ERROR'
+      });
+    }
+  }
+
+  /**
+   * Reassembles the ad of an operation with an earlier take of one segment
+   * POST /api/v1/ugc/operations/:operationId/segments/:segmentKey/rollback
+   */
+  async rollbackSegment(req, res) {
+    try {
+      const { operationId, segmentKey } = req.params;
+      const { version } = req.body || {};
+
+      const operation = await operationService.getOperation(operationId);
+
+      if (!operation) {
+        return res.status(404).json({
+          success: false,
+          error: 'Operation not found',
+          code: 'OPERATION_NOT_FOUND'
+        });
+      }
+
+      if (!this.canAccessOperation(req, operation)) {
+        return res.status(403).json({
+          success: false,
+          error: 'Access denied to this operation',
+          code: 'ACCESS_DENIED'
+        });
+      }
+
+      if (!Number.isInteger(version) || version < 1) {
+        return res.status(400).json({
+          success: false,
+          error: 'version must be the positive whole number of a take',
+          code: 'INVALID_SEGMENT_VERSION'
+        });
+      }
+
+      const plan = await planService.resolvePlan({ userId: operation.userId, organizationId: operation.organizationId });
+      const { workflowJobs, workflowRun } = await segmentVersionService.queueRollback({
+        operation,
+        segmentKey,
+        version,
+        plan
+      });
+
+      res.status(202).json({
+        success: true,
+        data: {
+          operationId,
+          segmentKey,
+          version,
+          status: 'queued',
+          stages: Object.keys(workflowJobs),
+          workflowRun
+        },
+        message: `Ad queued for reassembly with version ${version} of ${segmentKey}`,
+        statusEndpoint: `/api/v1/ugc/status/${operationId}`
+      });
+
+    } catch (error) {
+      if (error instanceof segmentVersionService.SegmentVersionError || error instanceof operationService.OperationStateError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          error: error.message,
+          code: error.code
+        });
+      }
+
+      console.error('Roll back segment error:', error);
+
+      res.status(500).json({
+        success: false,
+        error: error.message || 'Internal server error',
+        code: 'SEGMENT_ROLLBACK_ERROR'
+      });
+    }
+  }
+
+  /**
+   * Shows the script of an operation segment by segment, with their locks
+   * GET /api/v1/ugc/operations/:operationId/script
+   */
+  async getScript(req, res) {
+    try {
+      const { operationId } = req.params;
+
+      const operation = await operationService.getOperation(operationId);
+
+      if (!operation) {
+        return res.status(404).json({
+          success: false,
+          error: 'Operation not found',
+          code: 'OPERATION_NOT_FOUND'
+        });
+      }
+
+      if (!this.canAccessOperation(req, operation)) {
+        return res.status(403).json({
+          success: false,
+          error: 'Access denied to this operation',
+          code: 'ACCESS_DENIED'
+        });
+      }
+
+      const script = scriptEditingService.getScript(operation);
+      if (!script) {
+        return res.status(404).json({
+          success: false,
+          error: 'This operation has no script to edit',
+          code: 'NO_SCRIPT'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: {
+          operationId,
+          status: operation.status,
+          ...script
+        }
+      });
+
+    } catch (error) {
+      console.error('Get script error:', error);
+
+      res.status(500).json({
+        success: false,
+        error: error.message || 'Internal server error',
+        code: 'SCRIPT_RETRIEVAL_ERROR'
+      });
+    }
+  }
+
+  /**
+   * Edits the text or lock of one script segment of an operation
+   * PATCH /api/v1/ugc/operations/:operationId/script/segments/:segmentKey
+   */
+  async editScriptSegment(req, res) {
+    try {
+      const { operationId, segmentKey } = req.params;
+      const { text, locked } = req.body || {};
+
+      const operation = await operationService.getOperation(operationId);
+
+      if (!operation) {
+        return res.status(404).json({
+          success: false,
+          error: 'Operation not found',
+          code: 'OPERATION_NOT_FOUND'
+        });
+      }
+
+      if (!this.canAccessOperation(req, operation)) {
+        return res.status(403).json({
+          success: false,
+          error: 'Access denied to this operation',
+          code: 'ACCESS_DENIED'
+        });
+      }
+
+      const editError = scriptEditingService.validateSegmentEdit({ text, locked });
+      if (editError) {
+        return res.status(400).json({
+          success: false,
+          error: editError,
+          code: 'INVALID_SCRIPT_EDIT'
+        });
+      }
+
+      const { revision, changes, script } = await scriptEditingService.editSegment({
+        operation,
+        segmentKey,
+        text,
+        locked,
+        editedBy: this.getEditor(req)
+      });
+
+      res.json({
+        success: true,
+        data: {
+          operationId,
+          revision,
+          changes,
+          ...script
+        },
+        message: changes.length > 0 ? `Script revision ${revision} saved` : 'Script unchanged'
+      });
+
+    } catch (error) {
+      if (error instanceof scriptEditingService.ScriptEditError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          error: error.message,
+          code: error.code
+        });
+      }
+
+      console.error('Edit script segment error:', error);
+
+      res.status(500).json({
+        success: false,
+        error: error.message || 'Internal server error',
+        code: 'SCRIPT_EDIT_ERROR'
+      });
+    }
+  }
+
+  /**
+   * Rewrites the unlocked script segments of an operation around its locked ones
+   * POST /api/v1/ugc/operations/:operationId/script/rewrite
+   */
+  async rewriteScript(req, res) {
+    try {
+      const { operationId } = req.params;
+      const { instructions = null } = req.body || {};
+
+      const operation = await operationService.getOperation(operationId);
+
+      if (!operation) {
+        return res.status(404).json({
+          success: false,
+          error: 'Operation not found',
+          code: 'OPERATION_NOT_FOUND'
+        });
+      }
+
+      if (!this.canAccessOperation(req, operation)) {
+        return res.status(403).json({
+          success: false,
+          error: 'Access denied to this operation',
+          code: 'ACCESS_DENIED'
+        });
+      }
+
+      const rewriteError = scriptEditingService.validateRewrite({ instructions });
+      if (rewriteError) {
+        return res.status(400).json({
+          success: false,
+          error: rewriteError,
+          code: 'INVALID_REWRITE'
+        });
+      }
+
+      const { revision, changes, script } = await scriptEditingService.rewriteUnlocked({
+        operation,
+        instructions,
+        editedBy: this.getEditor(req)
+      });
+
+      res.json({
+        success: true,
+        data: {
+          operationId,
+          revision,
+          changes,
+          ...script
+        },
+        message: changes.length > 0 ? `Script revision ${revision} saved` : 'Script unchanged'
+      });
+
+    } catch (error) {
+      if (error instanceof scriptEditingService.ScriptEditError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          error: error.message,
+          code: error.code
+        });
+      }
+
+      console.error('Rewrite script error:', error);
+
+      res.status(500).json({
+        success: false,
+        error: error.message || 'Internal server error',
+        code: 'SCRIPT_REWRITE_ERROR'
+      });
+    }
+  }
+
+  /**
+   * Lists every revision of the script of an operation with what each changed
+   * GET /api/v1/ugc/operations/:operationId/script/revisions
+   */
+  async getScriptRevisions(req, res) {
+    try {
+      const { operationId } = req.params;
+
+      const operation = await operationService.getOperation(operationId);
+
+      if (!operation) {
+        return res.status(404).json({
+          success: false,
+          error: 'Operation not found',
+          code: 'OPERATION_NOT_FOUND'
+        });
+      }
+
+      if (!this.canAccessOperation(req, operation)) {
+        return res.status(403).json({
+          success: false,
+          error: 'Access denied to this operation',
+          code: 'ACCESS_DENIED'
+        });
+      }
+
+      const revisions = scriptEditingService.getRevisions(operation);
+      if (!revisions) {
+        return res.status(404).json({
+          success: false,
+          error: 'This operation has no script to edit',
+          code: 'NO_SCRIPT'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: {
+          operationId,
+          currentRevision: operation.scriptContent.revision || 1,
+          revisions
+        }
+      });
+
+    } catch (error) {
+      console.error('Get script revisions error:', error);
+
+      res.status(500).json({
+        success: false,
+        error: error.message || 'Internal server error',
+        code: 'SCRIPT_REVISION_RETRIEVAL_ERROR'
+      });
+    }
+  }
+
+  /**
+   * Approves the script of an operation awaiting approval, with optional edits, and generates its video
+   * POST /api/v1/ugc/operations/:operationId/approve
+   */
+  async approveOperation(req, res) {
+    try {
+      const { operationId } = req.params;
+      const { segments = null } = req.body || {};
+
+      const operation = await operationService.getOperation(operationId);
+
+      if (!operation) {
+        return res.status(404).json({
+          success: false,
+          error: 'Operation not found',
+          code: 'OPERATION_NOT_FOUND'
+        });
+      }
+
+      if (!this.canAccessOperation(req, operation)) {
+        return res.status(403).json({
+          success: false,
+          error: 'Access denied to this operation',
+          code: 'ACCESS_DENIED'
+        });
+      }
+
+      const approvalError = approvalService.validateApproval({ segments });
+      if (approvalError) {
+        return res.status(400).json({
+          success: false,
+          error: approvalError,
+          code: 'INVALID_APPROVAL'
+        });
+      }
+
+      const segmentCount = segmentPlanService.planSegments(operation.metadata?.options).count;
+      if (!await RateLimitMiddleware.chargeOperationSegments(req, res, segmentCount)) {
+        return;
+      }
+
+      const plan = await planService.resolvePlan({ userId: operation.userId, organizationId: operation.organizationId });
+      const { revision, changes, workflowJobs, workflowRun } = await approvalService.approve({
+        operation,
+        segments,
+        approvedBy: this.getEditor(req),
+        plan
+      });
+
+      res.status(202).json({
+        success: true,
+        data: {
+          operationId,
+          status: 'queued',
+          revision,
+          changes,
+          stages: Object.keys(workflowJobs),
+          workflowRun
+        },
+        message: 'Script approved; video generation queued',
+        statusEndpoint: `/api/v1/ugc/status/${operationId}`
+      });
+
+    } catch (error) {
+      if (error instanceof approvalService.ApprovalError || error instanceof scriptEditingService.ScriptEditError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          error: error.message,
+          code: error.code
+        });
+      }
+
+      console.error('Approve operation error:', error);
+
+      res.status(500).json({
+        success: false,
+        error: error.message || 'Internal server error',
+        code: 'APPROVAL_ERROR'
+      });
+    }
+  }
+
+  /**
+   * Rejects the script of an operation awaiting approval, which cancels it
+   * POST /api/v1/ugc/operations/:operationId/reject
+   */
+  async rejectOperation(req, res) {
     try {
-      const { creativeBrief, script, options = {} } = req.body;
-      const uploadedImages = req.files || [];
+      const { operationId } = req.params;
+      const { reason } = req.body || {};
 
-      // Get user and API key info from middleware
-      const userId = req.user?.id || null;
-      const apiKeyId = req.apiKey?.id || null;
+      const operation = await operationService.getOperation(operationId);
 
-      // Validate required inputs
-      if (!creativeBrief || typeof creativeBrief !== 'string' || creativeBrief.trim().length === 0) {
-        return res.status(400).json({
+      if (!operation) {
+        return res.status(404).json({
           success: false,
-          error: 'Creative brief is required and must be a non-empty string',
-          code: 'INVALID_CREATIVE_BRIEF'
+          error: 'Operation not found',
+          code: 'OPERATION_NOT_FOUND'
         });
       }
 
-      if (!uploadedImages || uploadedImages.length === 0) {
-        return res.status(400).json({
+      if (!this.canAccessOperation(req, operation)) {
+        return res.status(403).json({
           success: false,
-          error: 'At least one image is required',
-          code: 'NO_IMAGES_PROVIDED'
+          error: 'Access denied to this operation',
+          code: 'ACCESS_DENIED'
         });
       }
 
-      if (uploadedImages.length > config.maxImages) {
+      const rejectionError = approvalService.validateRejection({ reason });
+      if (rejectionError) {
         return res.status(400).json({
           success: false,
-          error: `Maximum ${config.maxImages} images allowed`,
-          code: 'TOO_MANY_IMAGES'
+          error: rejectionError,
+          code: 'INVALID_REJECTION'
         });
       }
 
-      // Check user quotas if user is identified
-      if (userId) {
-        const quotaStatus = await operationService.checkUserQuotas(userId);
-        
-        if (quotaStatus.daily.exceeded) {
-          return res.status(429).json({
-            success: false,
-            error: 'Daily quota exceeded',
-            code: 'DAILY_QUOTA_EXCEEDED',
-            quotaStatus
-          });
-        }
-        
-        if (quotaStatus.concurrent.exceeded) {
-          return res.status(429).json({
-            success: false,
-            error: 'Too many concurrent operations',
-            code: 'CONCURRENT_LIMIT_EXCEEDED',
-            quotaStatus
-          });
-        }
-      }
-
-      // Create operation record
-      operation = await operationService.createOperation({
-        creativeBrief,
-        apiKeyId,
-        userId,
-        metadata: {
-          imageCount: uploadedImages.length,
-          hasProvidedScript: !!script,
-          options,
-          userAgent: req.get('User-Agent'),
-          ipAddress: req.ip
-        }
-      });
-
-      // Process the UGC ad generation workflow
-      const result = await this.processUGCWorkflow({
-        operationId: operation.operationId,
-        creativeBrief,
-        script,
-        uploadedImages,
-        options
-      });
-
-      // Update operation as processing (video generation is queued)
-      await operationService.updateOperationStatus(operation.operationId, 'processing', {
-        scriptContent: result.script,
-        videoJobId: result.videoGeneration?.jobId,
-        metadata: {
-          queuedAt: new Date().toISOString(),
-          processingTime: result.metadata?.processingTime,
-          scriptSegmentCount: Object.keys(result.script?.segments || {}).length,
-          videoGenerationStatus: 'queued'
-        }
+      const approval = await approvalService.reject({
+        operation,
+        reason,
+        rejectedBy: this.getEditor(req)
       });
 
-      res.status(202).json({
+      res.json({
         success: true,
         data: {
-          ...result,
-          operationId: operation.operationId
+          operationId,
+          status: 'cancelled',
+          approval
         },
-        message: 'UGC advertisement processing started. Video generation is queued in background.',
-        statusEndpoint: `/api/v1/ugc/status/${operation.operationId}`
+        message: 'Script rejected; operation cancelled'
       });
 
     } catch (error) {
-      console.error('UGC generation error:', error);
-      
-      // Update operation as failed if it was created
-      if (operation) {
-        try {
-          await operationService.updateOperationStatus(operation.operationId, 'failed', {
-            errorMessage: error.message,
-            metadata: {
-              failedAt: new Date().toISOString(),
-              errorStack: error.stack
-            }
-          });
-        } catch (updateError) {
-          console.error('Failed to update operation status:', updateError.message);
-        }
+      if (error instanceof approvalService.ApprovalError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          error: error.message,
+          code: error.code
+        });
       }
-      
+
+      console.error('Reject operation error:', error);
+
       res.status(500).json({
         success: false,
-        error: error.message || 'Internal server error during UGC generation',
-        code: 'UGC_GENERATION_ERROR',
-        operationId: operation?.operationId
+        error: error.message || 'Internal server error',
+        code: 'REJECTION_ERROR'
       });
     }
   }
 
   /**
-   * Processes the complete UGC workflow
-   * @param {Object} params - Workflow parameters
-   * @returns {Promise<Object>} Complete UGC result
+   * Creates a new operation from an earlier one's images, analysis and options, with overrides
+   * POST /api/v1/ugc/operations/:operationId/remix
    */
-  async processUGCWorkflow({ operationId, creativeBrief, script, uploadedImages, options }) {
-    const workflow = {
-      startTime: new Date().toISOString(),
-      steps: []
-    };
-
+  async remixOperation(req, res) {
     try {
-      // Update operation status to processing
-      if (operationId) {
-        await operationService.updateOperationStatus(operationId, 'processing');
-      }
+      const { operationId } = req.params;
+      const { creativeBrief, script, aspectRatio, persona } = req.body || {};
+      const overrides = { creativeBrief, script, aspectRatio, persona };
 
-      // Step 1: Analyze uploaded images
-      workflow.steps.push({ step: 'image_analysis', status: 'started', timestamp: new Date().toISOString() });
-      
-      if (operationId) {
-        await operationService.addWorkflowStep(operationId, { 
-          step: 'image_analysis', 
-          status: 'started' 
+      const parent = await operationService.getOperation(operationId);
+
+      if (!parent) {
+        return res.status(404).json({
+          success: false,
+          error: 'Operation not found',
+          code: 'OPERATION_NOT_FOUND'
         });
       }
-      
-      const imageAnalysis = await this.analyzeImages(uploadedImages);
-      
-      workflow.steps.push({ 
-        step: 'image_analysis', 
-        status: 'completed', 
-        timestamp: new Date().toISOString(),
-        result: { analyzedImages: imageAnalysis.length }
-      });
 
-      if (operationId) {
-        await operationService.addWorkflowStep(operationId, { 
-          step: 'image_analysis', 
-          status: 'completed',
-          result: { analyzedImages: imageAnalysis.length }
+      if (!this.canAccessOperation(req, parent)) {
+        return res.status(403).json({
+          success: false,
+          error: 'Access denied to this operation',
+          code: 'ACCESS_DENIED'
         });
       }
 
-      // Step 2: Generate or refine script
-      workflow.steps.push({ step: 'script_generation', status: 'started', timestamp: new Date().toISOString() });
-      
-      if (operationId) {
-        await operationService.addWorkflowStep(operationId, { 
-          step: 'script_generation', 
-          status: 'started' 
+      const overrideError = remixService.validateOverrides(overrides);
+      if (overrideError) {
+        return res.status(400).json({
+          success: false,
+          error: overrideError,
+          code: 'INVALID_REMIX'
         });
       }
-      
-      const scriptResult = await this.generateOrRefineScript({
-        creativeBrief,
-        providedScript: script,
-        imageAnalysis,
-        options
+
+      // Overrides keep the parent's segment plan
+      const segmentCount = segmentPlanService.planSegments(parent.metadata?.options).count;
+      if (!await RateLimitMiddleware.chargeOperationSegments(req, res, segmentCount)) {
+        return;
+      }
+
+      // The remix belongs to the caller, under the plan of their organization or user
+      const principal = {
+        userId: req.user?.id || null,
+        apiKeyId: req.apiKey?.id || null,
+        organizationId: req.organization?.id || null
+      };
+      const plan = await planService.resolvePlan({ userId: principal.userId, organizationId: principal.organizationId });
+
+      const { operation, fromStage, workflowJobs, credits, estimatedCost } = await remixService.remix({
+        parent,
+        overrides,
+        principal,
+        plan
       });
-      
-      workflow.steps.push({ 
-        step: 'script_generation', 
-        status: 'completed', 
-        timestamp: new Date().toISOString(),
-        result: { segments: Object.keys(scriptResult.segments).length }
+
+      res.status(202).json({
+        success: true,
+        data: {
+          operationId: operation.operationId,
+          parentOperationId: parent.operationId,
+          status: 'queued',
+          startsFrom: fromStage,
+          stages: Object.keys(workflowJobs),
+          estimatedCost,
+          ...(credits && { credits })
+        },
+        message: `Remix of ${parent.operationId} queued`,
+        statusEndpoint: `/api/v1/ugc/status/${operation.operationId}`
       });
 
-      if (operationId) {
-        await operationService.addWorkflowStep(operationId, { 
-          step: 'script_generation', 
-          status: 'completed',
-          result: { segments: Object.keys(scriptResult.segments).length }
+    } catch (error) {
+      if (error instanceof remixService.RemixError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          error: error.message,
+          code: error.code
         });
       }
 
-      // Step 3: Prepare images for video generation (using uploaded images)
-      const generatedImages = []; // No additional image generation for now
+      if (error instanceof quotaService.QuotaExceededError) {
+        return res.status(429).json({
+          success: false,
+          error: error.message,
+          code: error.code,
+          requested: error.requested,
+          quotaStatus: error.quotaStatus
+        });
+      }
 
-      // Step 4: Queue video generation as background job
-      workflow.steps.push({ step: 'video_generation', status: 'queued', timestamp: new Date().toISOString() });
-      
-      if (operationId) {
-        await operationService.addWorkflowStep(operationId, { 
-          step: 'video_generation', 
-          status: 'queued' 
+      if (error instanceof creditService.InsufficientCreditsError) {
+        return res.status(402).json({
+          success: false,
+          error: error.message,
+          code: error.code,
+          required: error.required,
+          available: error.available
         });
       }
-      
-      // Queue video generation job instead of processing synchronously
-      const videoJob = await jobManager.addVideoGenerationJob({
-        operationId,
-        script: scriptResult.segments,
-        images: uploadedImages.map(img => ({
-          buffer: img.buffer,
-          mimeType: img.mimetype,
-          originalName: img.originalname
-        })),
-        userId: userId,
-        userTier: req.user?.tier || 'basic', // Get user tier for priority calculation
-        creativeBrief,
-        imageAnalysis,
-        options
-      }, {
-        source: 'api',           // API request gets higher priority
-        urgent: options.urgent,  // Allow urgent flag
-        scheduledFor: options.scheduledFor, // Allow scheduling
-        isRetry: false
-      });
-      
-      workflow.steps.push({ 
-        step: 'video_generation', 
-        status: 'queued', 
-        timestamp: new Date().toISOString(),
-        result: { jobId: videoJob.id, queuePosition: videoJob.opts?.delay || 0 }
-      });
 
-      if (operationId) {
-        await operationService.addWorkflowStep(operationId, { 
-          step: 'video_generation', 
-          status: 'queued',
-          result: { jobId: videoJob.id }
+      if (error instanceof spendCapService.SpendCapExceededError) {
+        return res.status(402).json({
+          success: false,
+          error: error.message,
+          code: error.code,
+          estimatedCost: error.estimatedCost,
+          spendCap: error.cap
         });
       }
 
-      // Step 5: Compile final result (without video segments since they're being generated in background)
-      const finalResult = {
-        id: this.generateResultId(),
-        creativeBrief,
-        imageAnalysis: imageAnalysis,
-        script: scriptResult,
-        videoGeneration: {
-          status: 'queued',
-          jobId: videoJob.id,
-          estimatedCompletionTime: new Date(Date.now() + 5 * 60 * 1000).toISOString() // Estimate 5 minutes
-        },
-        workflow,
-        queuedAt: new Date().toISOString(),
-        metadata: {
-          processingTime: Date.now() - new Date(workflow.startTime).getTime(),
-          model: 'veo-3.0-generate-preview',
-          version: '1.0.0'
-        }
-      };
+      if (error instanceof spendCapService.MaxCostExceededError) {
+        return res.status(402).json({
+          success: false,
+          error: error.message,
+          code: error.code,
+          estimatedCost: error.estimatedCost,
+          maxCost: error.maxCost
+        });
+      }
 
-      return finalResult;
+      console.error('Remix operation error:', error);
 
-    } catch (error) {
-      workflow.steps.push({ 
-        step: 'error', 
-        status: 'failed', 
-        timestamp: new Date().toISOString(),
-        error: error.message 
+      res.status(500).json({
+        success: false,
+        error: error.message || 'Internal server error',
+        code: 'REMIX_ERROR'
       });
-      
-      throw error;
     }
   }
 
   /**
-   * Analyzes uploaded images using AI vision
-   * @param {Array} uploadedImages - Array of uploaded image files
-   * @returns {Promise<Array>} Image analysis results
+   * Drafts a structured brief from a free text brief with the LLM
+   * POST /api/v1/ugc/briefs/structure
    */
-  async analyzeImages(uploadedImages) {
+  async structureBrief(req, res) {
     try {
-      // Convert uploaded files to format expected by imageAnalysisService
-      const images = uploadedImages.map((imageFile, index) => ({
-        buffer: imageFile.buffer,
-        mimeType: imageFile.mimetype,
-        filename: imageFile.originalname || `image_${index + 1}`
-      }));
+      const { text } = req.body || {};
 
-      // Use the actual imageAnalysisService
-      const analysisResults = await imageAnalysisService.analyzeImages(images, {
-        focusAreas: ['objects', 'people', 'setting', 'actions', 'colors', 'mood'],
-        detailLevel: 'standard',
-        ugcContext: true
-      });
+      const textError = briefService.validateText({ text });
+      if (textError) {
+        return res.status(400).json({
+          success: false,
+          error: textError,
+          code: 'INVALID_BRIEF_TEXT'
+        });
+      }
 
-      return analysisResults;
-    } catch (error) {
-      throw new Error(`Image analysis failed: ${error.message}`);
-    }
-  }
+      const { brief, missing } = await briefService.structure(text, {
+        userId: req.user?.id || null,
+        apiKeyId: req.apiKey?.id || null,
+        organizationId: req.organization?.id || null
+      });
 
-  /**
-   * Generates or refines script based on creative brief and image analysis
-   * @param {Object} params - Script generation parameters
-   * @returns {Promise<Object>} Script generation result
-   */
-  async generateOrRefineScript({ creativeBrief, providedScript, imageAnalysis, options }) {
-    try {
-      // Use the actual scriptGenerationService with correct method signature
-      const scriptResult = await scriptGenerationService.generateScript(
-        creativeBrief,
-        imageAnalysis,
-        providedScript // This will be null if not provided, triggering generation vs refinement
-      );
+      res.json({
+        success: true,
+        data: {
+          brief,
+          missing
+        }
+      });
 
-      // Return in expected format for the workflow
-      return {
-        segments: {
-          'segment-1': scriptResult['segment-1'],
-          'segment-2': scriptResult['segment-2']
-        },
-        timestamp: scriptResult.timestamp,
-        model: scriptResult.model,
-        usage: scriptResult.usage,
-        wasRefined: !!providedScript
-      };
     } catch (error) {
-      throw new Error(`Script generation failed: ${error.message}`);
-    }
-  }
-
-
-
-  /**
-   * Generates video segments using Veo 3
-   * @param {Object} params - Video generation parameters
-   * @returns {Promise<Array>} Generated video segments
-   */
-  async generateVideoSegments({ creativeBrief, imageAnalysis, scriptResult, generatedImages, options }) {
-    try {
-      // Create UGC-optimized prompts using the video service
-      const videoPrompts = videoGenerationService.createUGCPrompts(
-        creativeBrief,
-        imageAnalysis,
-        scriptResult.segments
-      );
-
-      // Set up global video options
-      const globalOptions = {
-        aspectRatio: options.aspectRatio || '16:9',
-        personGeneration: options.personGeneration || 'allow_adult',
-        useFastModel: options.useFastModel || false
-      };
-
-      // Add image input if available (use uploaded images if no generated images)
-      const imagesToUse = generatedImages && generatedImages.length > 0 ? generatedImages : [];
-      if (imagesToUse.length > 0 && videoPrompts[0]) {
-        const firstImage = imagesToUse[0];
-        videoPrompts[0].options.imageBuffer = firstImage.buffer;
-        videoPrompts[0].options.imageMimeType = firstImage.mimeType;
+      if (error instanceof briefService.BriefError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          error: error.message,
+          code: error.code
+        });
       }
 
-      // Generate video segments using the actual service method
-      const videoSegments = await videoGenerationService.generateVideoSegments(
-        videoPrompts,
-        globalOptions
-      );
-
-      // Enhance results with additional metadata
-      return videoSegments.map((segment, index) => ({
-        ...segment,
-        segmentNumber: index + 1,
-        segmentKey: segment.segmentKey || `segment-${index + 1}`,
-        scriptSegment: scriptResult.segments[segment.segmentKey || `segment-${index + 1}`],
-        generatedAt: new Date().toISOString()
-      }));
+      console.error('Structure brief error:', error);
 
-    } catch (error) {
-      throw new Error(`Video generation failed: ${error.message}`);
+      res.status(500).json({
+        success: false,
+        error: error.message || 'Internal server error',
+        code: 'BRIEF_STRUCTURE_ERROR'
+      });
     }
   }
 
   /**
-   * Get generation status by operation ID
-   * GET /api/v1/ugc/status/:operationId
+   * Downloads the finished ad of an operation
+   * GET /api/v1/ugc/operations/:operationId/video
    */
-  async getGenerationStatus(req, res) {
+  async downloadFinalVideo(req, res) {
     try {
       const { operationId } = req.params;
 
-      if (!operationId) {
-        return res.status(400).json({
-          success: false,
-          error: 'Operation ID is required',
-          code: 'MISSING_OPERATION_ID'
-        });
-      }
-
       const operation = await operationService.getOperation(operationId);
 
       if (!operation) {
@@ -437,11 +1725,7 @@ class UGCController {
         });
       }
 
-      // Check if user has access to this operation
-      const userId = req.user?.id;
-      const apiKeyId = req.apiKey?.id;
-      
-      if (userId && operation.userId !== userId) {
+      if (!this.canAccessOperation(req, operation)) {
         return res.status(403).json({
           success: false,
           error: 'Access denied to this operation',
@@ -449,43 +1733,34 @@ class UGCController {
         });
       }
 
-      if (apiKeyId && operation.apiKeyId !== apiKeyId) {
-        return res.status(403).json({
+      const finalVideo = operation.metadata?.finalVideo;
+      if (!finalVideo?.path) {
+        return res.status(404).json({
           success: false,
-          error: 'Access denied to this operation',
-          code: 'ACCESS_DENIED'
+          error: 'The finished video is not available for this operation',
+          code: 'VIDEO_NOT_READY',
+          status: operation.status
         });
       }
 
-      // Use job status service for enhanced status information
-      const jobStatusService = require('../services/jobStatusService');
-      const enhancedStatus = await jobStatusService.getJobStatus(operationId);
-
-      res.status(200).json({
-        success: true,
-        data: enhancedStatus || {
-          operationId: operation.operationId,
-          status: operation.status,
-          creativeBrief: operation.creativeBrief,
-          scriptContent: operation.scriptContent,
-          videoUrls: operation.videoUrls,
-          errorMessage: operation.errorMessage,
-          metadata: operation.metadata,
-          createdAt: operation.created_at,
-          updatedAt: operation.updated_at,
-          completedAt: operation.completedAt,
-          isCompleted: operation.isCompleted(),
-          duration: operation.getDuration()
+      res.download(finalVideo.path, `${operationId}.mp4`, (error) => {
+        if (error && !res.headersSent) {
+          console.error('Final video download error:', error);
+          res.status(404).json({
+            success: false,
+            error: 'The finished video file could not be found',
+            code: 'VIDEO_FILE_MISSING'
+          });
         }
       });
 
     } catch (error) {
-      console.error('Get operation status error:', error);
-      
+      console.error('Final video download error:', error);
+
       res.status(500).json({
         success: false,
         error: error.message || 'Internal server error',
-        code: 'STATUS_RETRIEVAL_ERROR'
+        code: 'VIDEO_DOWNLOAD_ERROR'
       });
     }
   }
@@ -583,9 +1858,15 @@ class UGCController {
         endDate: endDate ? new Date(endDate) : undefined
       };
 
+      // History is scoped to the caller's active organization, or to their
+      // personal operations when no organization is active
+      const organizationId = req.organization?.id;
+
       let operations;
-      if (userId) {
-        operations = await operationService.getUserOperations(userId, filters);
+      if (organizationId) {
+        operations = await operationService.getOrganizationOperations(organizationId, filters);
+      } else if (userId) {
+        operations = await operationService.getUserOperations(userId, { ...filters, organizationId: null });
       } else {
         operations = await operationService.getApiKeyOperations(apiKeyId, filters);
       }
@@ -601,9 +1882,12 @@ class UGCController {
             completedAt: op.completedAt,
             duration: op.getDuration(),
             hasScript: !!op.scriptContent,
-            videoCount: op.videoUrls?.length || 0
+            videoCount: op.videoUrls?.length || 0,
+            lineage: operationService.getLineage(op),
+            createdBy: op.user?.name || op.apiKey?.name || null
           })),
           total: operations.length,
+          organizationId: organizationId || null,
           filters
         }
       });
@@ -620,26 +1904,30 @@ class UGCController {
   }
 
   /**
-   * Get user quota status
+   * Get quota status for the calling user, organization or API key
    * GET /api/v1/ugc/quota
    */
   async getQuotaStatus(req, res) {
     try {
-      const userId = req.user?.id;
+      const principal = quotaService.getPrincipal(req);
 
-      if (!userId) {
+      if (!quotaService.getScope(principal)) {
         return res.status(401).json({
           success: false,
-          error: 'User authentication required for quota check',
-          code: 'USER_AUTHENTICATION_REQUIRED'
+          error: 'Authentication required for quota check',
+          code: 'AUTHENTICATION_REQUIRED'
         });
       }
 
-      const quotaStatus = await operationService.checkUserQuotas(userId);
+      const plan = await planService.resolvePlan(principal);
+      const quotaStatus = await quotaService.getQuotaStatus(principal, plan);
 
       res.status(200).json({
         success: true,
-        data: quotaStatus
+        data: {
+          plan,
+          ...quotaStatus
+        }
       });
 
     } catch (error) {
@@ -770,6 +2058,37 @@ class UGCController {
     return validated;
   }
 
+  /**
+   * Check whether the caller can access an operation
+   * Operations of an organization are shared by everyone acting in it; the
+   * route checks their role. Other operations are only open to their creator.
+   * @param {Object} req - Express request
+   * @param {Object} operation - Operation record
+   * @returns {boolean} True unless the operation belongs to another user or API key outside the caller's organization
+   */
+  canAccessOperation(req, operation) {
+    if (operation.organizationId && operation.organizationId === req.organization?.id) {
+      return true;
+    }
+
+    const userId = req.user?.id;
+    const apiKeyId = req.apiKey?.id;
+
+    return !(userId && operation.userId !== userId) && !(apiKeyId && operation.apiKeyId !== apiKeyId);
+  }
+
+  /**
+   * Identify who made a change, for the record kept of it
+   * @param {Object} req - Express request
+   * @returns {Object} { userId, apiKeyId }
+   */
+  getEditor(req) {
+    return {
+      userId: req.user?.id || null,
+      apiKeyId: req.apiKey?.id || null
+    };
+  }
+
   /**
    * Generates a unique result ID
    * @returns {string} Unique ID
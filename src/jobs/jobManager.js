@@ -1,7 +1,9 @@
+const imageAnalysisProcessor = require('./processors/imageAnalysisProcessor');
+const scriptGenerationProcessor = require('./processors/scriptGenerationProcessor');
 const videoGenerationProcessor = require('./processors/videoGenerationProcessor');
 const videoProcessingProcessor = require('./processors/videoProcessingProcessor');
 const cleanupProcessor = require('./processors/cleanupProcessor');
-const { queues, events } = require('../config/queue');
+const { queues, events, flowProducer, WORKFLOW_STAGES } = require('../config/queue');
 
 /**
  * Job Manager
@@ -10,6 +12,8 @@ const { queues, events } = require('../config/queue');
 class JobManager {
   constructor() {
     this.processors = {
+      imageAnalysis: imageAnalysisProcessor,
+      scriptGeneration: scriptGenerationProcessor,
       videoGeneration: videoGenerationProcessor,
       videoProcessing: videoProcessingProcessor,
       cleanup: cleanupProcessor,
@@ -33,6 +37,8 @@ class JobManager {
     try {
       // Start all processors
       await Promise.all([
+        this.processors.imageAnalysis.start(),
+        this.processors.scriptGeneration.start(),
         this.processors.videoGeneration.start(),
         this.processors.videoProcessing.start(),
         this.processors.cleanup.start(),
@@ -64,6 +70,8 @@ class JobManager {
     try {
       // Stop all processors
       await Promise.all([
+        this.processors.imageAnalysis.stop(),
+        this.processors.scriptGeneration.stop(),
         this.processors.videoGeneration.stop(),
         this.processors.videoProcessing.stop(),
         this.processors.cleanup.stop(),
@@ -85,7 +93,7 @@ class JobManager {
    * @returns {Object} Job instance
    */
   async addVideoGenerationJob(jobData, options = {}) {
-    // Calculate priority based on user type and request urgency
+    // Calculate priority based on the requester's plan and request urgency
     const priority = this.calculateJobPriority(jobData, options);
     
     // Calculate delay based on scheduling preferences
@@ -108,6 +116,151 @@ class JobManager {
     return await queues.videoGeneration.add('generate-video', jobData, jobOptions);
   }
 
+  /**
+   * Queue the whole generation workflow for an operation as one flow
+   * Each stage is the parent of the stage before it, so BullMQ runs image
+   * analysis, script generation, video generation and post-processing in
+   * order, handing each stage the result of the one before. A stage that runs
+   * out of retries fails the stages after it.
+   * @param {Object} jobData - Workflow data
+   * @param {string} jobData.operationId - Operation ID
+   * @param {string} jobData.creativeBrief - Creative brief
+   * @param {string|null} jobData.script - Script provided to refine
+   * @param {Array} jobData.images - Images as { data (base64), mimeType, originalName }
+   * @param {Object} jobData.options - Generation options
+   * @param {Object} jobData.regeneration - Segment to regenerate, as { segmentKey, version, seedImage } (optional)
+   * @param {Object} options - Job options (source, urgent, scheduledFor, isRetry)
+   * @param {string} options.fromStage - First stage to run when resuming; earlier stages are checkpointed
+   * @param {number} options.run - Workflow run number, 1 for the first run
+   * @returns {Promise<Object>} Job ID and queue of each stage, as from getWorkflowJobs
+   */
+  async addGenerationFlow(jobData, options = {}) {
+    const { operationId, creativeBrief, script = null, images = [], options: generationOptions = {} } = jobData;
+
+    // The whole workflow runs at the plan's priority; scheduling delays its first stage
+    const priority = this.calculateJobPriority(jobData, options);
+    const delay = this.calculateJobDelay(jobData, options);
+
+    const common = {
+      operationId,
+      batchId: jobData.batchId || null,
+      userId: jobData.userId || null
+    };
+
+    const stageData = {
+      image_analysis: { ...common, images },
+      script_generation: { ...common, creativeBrief, providedScript: script, options: generationOptions },
+      video_generation: {
+        ...common,
+        creativeBrief,
+        options: generationOptions,
+        referenceImage: images[0] || null,
+        ...(jobData.regeneration && { regeneration: jobData.regeneration })
+      },
+      post_processing: {
+        ...common,
+        type: 'post_process',
+        options: generationOptions,
+        plan: jobData.plan || null,
+        watermark: jobData.watermark || false
+      }
+    };
+
+    // Build the flow from the first stage up, each stage wrapping the one before
+    const jobs = this.getWorkflowJobs(operationId, {
+      run: options.run,
+      fromStage: options.fromStage,
+      toStage: this.getLastStage(generationOptions)
+    });
+    let flow = null;
+    for (const stage of WORKFLOW_STAGES.filter(({ name }) => jobs[name])) {
+      flow = {
+        name: stage.jobName,
+        queueName: stage.queueName,
+        data: stageData[stage.name],
+        opts: {
+          jobId: jobs[stage.name].jobId,
+          priority,
+          delay: flow ? 0 : delay,
+          attempts: stage.attempts,
+          backoff: {
+            type: 'exponential',
+            delay: 2000,
+          },
+          failParentOnFailure: true,
+          removeOnComplete: 100,
+          removeOnFail: 50,
+        },
+        ...(flow && { children: [flow] })
+      };
+    }
+
+    await flowProducer.add(flow);
+
+    return jobs;
+  }
+
+  /**
+   * Get the jobs a generation workflow for an operation runs as
+   * A job ID that is already queued is not added again, so every resumed run
+   * gets its own job IDs.
+   * @param {string} operationId - Operation ID
+   * @param {Object} options - Workflow options
+   * @param {number} options.run - Workflow run number, 1 for the first run
+   * @param {string} options.fromStage - First stage of the run
+   * @param {string} options.toStage - Last stage of the run (every stage if null)
+   * @returns {Object} { queue, jobId } by stage name
+   */
+  getWorkflowJobs(operationId, { run = 1, fromStage = null, toStage = null } = {}) {
+    const prefix = run > 1 ? `${operationId}-run${run}` : operationId;
+    const firstIndex = fromStage ? WORKFLOW_STAGES.findIndex(({ name }) => name === fromStage) : 0;
+    const lastIndex = toStage ? WORKFLOW_STAGES.findIndex(({ name }) => name === toStage) : WORKFLOW_STAGES.length - 1;
+
+    const jobs = {};
+    for (const stage of WORKFLOW_STAGES.slice(Math.max(firstIndex, 0), lastIndex + 1)) {
+      // Custom job IDs may not contain ':'
+      jobs[stage.name] = { queue: stage.queue, jobId: `${prefix}-${stage.name}` };
+    }
+    return jobs;
+  }
+
+  /**
+   * Get the last workflow stage a generation runs
+   * A generation of script variants stops once the scripts are written; each
+   * variant the caller picks is then generated as an operation of its own.
+   * A generation that requires approval stops there too until its script is approved.
+   * @param {Object} generationOptions - Generation options
+   * @returns {string|null} Last stage name, or null to run every stage
+   */
+  getLastStage(generationOptions = {}) {
+    if (generationOptions?.variants || (generationOptions?.requireApproval && !generationOptions.scriptApproved)) {
+      return 'script_generation';
+    }
+    return null;
+  }
+
+  /**
+   * Expire a script approval request once it has waited too long
+   * @param {string} operationId - Operation ID
+   * @param {Object} approval - Approval request ({ requestedAt, expiresAt })
+   * @returns {Promise<Object>} Job instance
+   */
+  async scheduleApprovalExpiry(operationId, { requestedAt, expiresAt }) {
+    return await this.addCleanupJob({
+      type: 'approval_expiry',
+      data: { operationId, requestedAt }
+    }, {
+      // Custom job IDs may not contain ':'
+      jobId: `${operationId}-approval-${Date.parse(requestedAt)}`,
+      delay: Math.max(0, Date.parse(expiresAt) - Date.now()),
+      attempts: 3,
+      backoff: {
+        type: 'exponential',
+        delay: 2000,
+      },
+    });
+  }
+
   /**
    * Calculate job priority based on various factors
    * @param {Object} jobData - Job data
@@ -115,16 +268,8 @@ class JobManager {
    * @returns {number} Priority (lower number = higher priority)
    */
   calculateJobPriority(jobData, options) {
-    let priority = 5; // Default priority
-
-    // Premium users get higher priority
-    if (jobData.userTier === 'premium') {
-      priority = 1;
-    } else if (jobData.userTier === 'pro') {
-      priority = 2;
-    } else if (jobData.userTier === 'basic') {
-      priority = 3;
-    }
+    // Start from the queue priority of the requester's plan
+    let priority = jobData.queuePriority || 5;
 
     // API requests get higher priority than batch jobs
     if (options.source === 'api') {
@@ -361,6 +506,15 @@ class JobManager {
       console.log(`Video generation job ${jobId} progress: ${data}%`);
     });
 
+    // Workflow stage queue events
+    events.imageAnalysis.on('failed', ({ jobId, failedReason }) => {
+      console.error(`Image analysis job ${jobId} failed:`, failedReason);
+    });
+
+    events.scriptGeneration.on('failed', ({ jobId, failedReason }) => {
+      console.error(`Script generation job ${jobId} failed:`, failedReason);
+    });
+
     // Video processing queue events
     events.videoProcessing.on('completed', ({ jobId, returnvalue }) => {
       console.log(`Video processing job ${jobId} completed:`, returnvalue);
@@ -392,6 +546,8 @@ class JobManager {
         status: 'healthy',
         isRunning: this.isRunning,
         processors: {
+          imageAnalysis: this.processors.imageAnalysis.isRunning,
+          scriptGeneration: this.processors.scriptGeneration.isRunning,
           videoGeneration: this.processors.videoGeneration.isRunning,
           videoProcessing: this.processors.videoProcessing.isRunning,
           cleanup: this.processors.cleanup.isRunning,
@@ -89,6 +89,9 @@ class CleanupProcessor {
         case 'cache_cleanup':
           result = await this.cleanupCache(job, data);
           break;
+        case 'approval_expiry':
+          result = await this.expireApproval(job, data);
+          break;
         default:
           throw new Error(`Unknown cleanup type: ${type}`);
       }
@@ -102,6 +105,29 @@ class CleanupProcessor {
     }
   }
 
+  /**
+   * End an operation whose script was not approved in time
+   * @param {Object} job - The BullMQ job object
+   * @param {Object} data - Job data containing the operation and when approval was requested
+   * @returns {Object} Cleanup result
+   */
+  async expireApproval(job, data) {
+    const { operationId, requestedAt } = data;
+    // Required here as the approval service depends on the job manager, which loads this processor
+    const approvalService = require('../../services/approvalService');
+
+    const expired = await approvalService.expire(operationId, requestedAt);
+    await job.updateProgress(100);
+
+    return {
+      success: true,
+      type: 'approval_expiry',
+      operationId,
+      expired,
+      cleanedAt: new Date()
+    };
+  }
+
   /**
    * Clean up temporary files
    * @param {Object} job - The BullMQ job object
@@ -0,0 +1,106 @@
+const { Worker } = require('bullmq');
+const { connection, QUEUE_NAMES } = require('../../config/queue');
+const imageAnalysisService = require('../../services/imageAnalysisService');
+const workflowTracker = require('../workflowTracker');
+
+/**
+ * Image Analysis Job Processor
+ * First stage of a generation workflow: analyzes the uploaded images with AI vision
+ */
+class ImageAnalysisProcessor {
+  constructor() {
+    this.worker = null;
+    this.isRunning = false;
+  }
+
+  /**
+   * Start the image analysis worker
+   */
+  start() {
+    if (this.isRunning) {
+      console.log('Image analysis processor is already running');
+      return;
+    }
+
+    this.worker = new Worker(
+      QUEUE_NAMES.IMAGE_ANALYSIS,
+      this.processImageAnalysis.bind(this),
+      {
+        connection,
+        concurrency: 3, // Vision calls are quick, so analyze 3 operations at once
+        removeOnComplete: 100,
+        removeOnFail: 50,
+      }
+    );
+
+    // Event listeners for monitoring
+    this.worker.on('completed', (job) => {
+      console.log(`Image analysis job ${job.id} completed successfully`);
+    });
+
+    this.worker.on('failed', (job, err) => {
+      console.error(`Image analysis job ${job.id} failed:`, err.message);
+    });
+
+    this.worker.on('error', (err) => {
+      console.error('Image analysis worker error:', err);
+    });
+
+    this.isRunning = true;
+    console.log('Image analysis processor started');
+  }
+
+  /**
+   * Stop the image analysis worker
+   */
+  async stop() {
+    if (!this.isRunning || !this.worker) {
+      return;
+    }
+
+    await this.worker.close();
+    this.isRunning = false;
+    console.log('Image analysis processor stopped');
+  }
+
+  /**
+   * Process an image analysis job
+   * @param {Object} job - The BullMQ job object
+   * @returns {Object} { imageAnalysis } for the script generation stage
+   */
+  async processImageAnalysis(job) {
+    const { operationId, images = [] } = job.data;
+
+    try {
+      await workflowTracker.startStage(job, 'image_analysis');
+      await job.updateProgress(10);
+
+      // Gemini calls are costed against the operation and whoever it belongs to
+      const usageContext = await workflowTracker.getUsageContext(operationId, job.data);
+
+      const imageAnalysis = await imageAnalysisService.analyzeImages(
+        images.map(image => workflowTracker.decodeImage(image)),
+        {
+          focusAreas: ['objects', 'people', 'setting', 'actions', 'colors', 'mood'],
+          detailLevel: 'standard',
+          ugcContext: true,
+          usageContext
+        }
+      );
+
+      await workflowTracker.saveCheckpoint(job, 'image_analysis', { imageAnalysis });
+
+      await job.updateProgress(100);
+      await workflowTracker.completeStage(job, 'image_analysis', { analyzedImages: imageAnalysis.length });
+
+      return { imageAnalysis };
+
+    } catch (error) {
+      console.error(`Image analysis failed for operation ${operationId}:`, error);
+      await workflowTracker.failStage(job, 'image_analysis', new Error(`Image analysis failed: ${error.message}`));
+      throw error;
+    }
+  }
+}
+
+module.exports = new ImageAnalysisProcessor();
@@ -0,0 +1,205 @@
+const { Worker } = require('bullmq');
+const { connection, QUEUE_NAMES } = require('../../config/queue');
+const scriptGenerationService = require('../../services/scriptGenerationService');
+const operationService = require('../../services/operationService');
+const segmentPlanService = require('../../services/segmentPlanService');
+const workflowTracker = require('../workflowTracker');
+
+/**
+ * Script Generation Job Processor
+ * Second stage of a generation workflow: writes the ad script from the creative
+ * brief and image analysis, or refines the script the client provided
+ */
+class ScriptGenerationProcessor {
+  constructor() {
+    this.worker = null;
+    this.isRunning = false;
+  }
+
+  /**
+   * Start the script generation worker
+   */
+  start() {
+    if (this.isRunning) {
+      console.log('Script generation processor is already running');
+      return;
+    }
+
+    this.worker = new Worker(
+      QUEUE_NAMES.SCRIPT_GENERATION,
+      this.processScriptGeneration.bind(this),
+      {
+        connection,
+        concurrency: 3, // Process 3 script generation jobs concurrently
+        removeOnComplete: 100,
+        removeOnFail: 50,
+      }
+    );
+
+    // Event listeners for monitoring
+    this.worker.on('completed', (job) => {
+      console.log(`Script generation job ${job.id} completed successfully`);
+    });
+
+    this.worker.on('failed', (job, err) => {
+      console.error(`Script generation job ${job.id} failed:`, err.message);
+    });
+
+    this.worker.on('error', (err) => {
+      console.error('Script generation worker error:', err);
+    });
+
+    this.isRunning = true;
+    console.log('Script generation processor started');
+  }
+
+  /**
+   * Stop the script generation worker
+   */
+  async stop() {
+    if (!this.isRunning || !this.worker) {
+      return;
+    }
+
+    await this.worker.close();
+    this.isRunning = false;
+    console.log('Script generation processor stopped');
+  }
+
+  /**
+   * Process a script generation job
+   * @param {Object} job - The BullMQ job object
+   * @returns {Object} { imageAnalysis, script } for the video generation stage
+   */
+  async processScriptGeneration(job) {
+    const { operationId, creativeBrief, providedScript = null, options = {} } = job.data;
+
+    try {
+      await workflowTracker.startStage(job, 'script_generation');
+      await job.updateProgress(10);
+
+      const { imageAnalysis = [] } = await workflowTracker.getPreviousResult(job, 'script_generation');
+
+      // OpenAI calls are costed against the operation and whoever it belongs to
+      const usageContext = await workflowTracker.getUsageContext(operationId, job.data);
+
+      // The script has one segment per planned segment, each written for its length
+      const segmentDurations = segmentPlanService.getDurations(options);
+
+      if (options.variants) {
+        return await this.processVariants(job, { imageAnalysis, usageContext, segmentDurations });
+      }
+
+      // A provided script is refined rather than a new one generated
+      const scriptResult = await scriptGenerationService.generateScript(
+        scriptGenerationService.applyPersona(creativeBrief, options.persona),
+        imageAnalysis,
+        providedScript,
+        usageContext,
+        segmentDurations,
+        options.brief || null
+      );
+
+      const segments = {};
+      segmentDurations.forEach((seconds, index) => {
+        segments[`segment-${index + 1}`] = scriptResult[`segment-${index + 1}`];
+      });
+
+      const script = {
+        segments,
+        segmentDurations,
+        timestamp: scriptResult.timestamp,
+        model: scriptResult.model,
+        usage: scriptResult.usage,
+        wasRefined: !!providedScript
+      };
+
+      await job.updateProgress(90);
+
+      // The script is shown in the operation status while the video is generated
+      await operationService.updateOperationStatus(operationId, 'processing', {
+        scriptContent: script,
+        metadata: { scriptSegmentCount: Object.keys(script.segments).length }
+      });
+
+      await workflowTracker.saveCheckpoint(job, 'script_generation', { script });
+
+      await job.updateProgress(100);
+      await workflowTracker.completeStage(job, 'script_generation', { segments: Object.keys(script.segments).length });
+
+      // The workflow stops here until the script is approved
+      if (options.requireApproval && !options.scriptApproved) {
+        await workflowTracker.awaitApproval(operationId, script);
+      }
+
+      return { imageAnalysis, script };
+
+    } catch (error) {
+      console.error(`Script generation failed for operation ${operationId}:`, error);
+      await workflowTracker.failStage(job, 'script_generation', new Error(`Script generation failed: ${error.message}`));
+      throw error;
+    }
+  }
+
+  /**
+   * Write the script variants of a variant generation, which ends its workflow
+   * The caller then picks which variants go on to video generation.
+   * @param {Object} job - The BullMQ job object
+   * @param {Object} context - Stage context
+   * @param {Array} context.imageAnalysis - Result of the image analysis stage
+   * @param {Object} context.usageContext - Operation the provider calls are recorded against
+   * @param {Array<number>} context.segmentDurations - Length of each segment in seconds
+   * @returns {Object} { imageAnalysis, script } with one script per variant
+   */
+  async processVariants(job, { imageAnalysis, usageContext, segmentDurations }) {
+    const { operationId, creativeBrief, providedScript = null, options } = job.data;
+
+    const variantResult = await scriptGenerationService.generateScriptVariants(
+      scriptGenerationService.applyPersona(creativeBrief, options.persona),
+      imageAnalysis,
+      providedScript,
+      usageContext,
+      segmentDurations,
+      Number(options.variants)
+    );
+
+    const script = {
+      variants: variantResult.variants.map(({ variantId, angle, hook, tone, cta, ...scriptSegments }) => {
+        const segments = {};
+        segmentDurations.forEach((seconds, index) => {
+          segments[`segment-${index + 1}`] = scriptSegments[`segment-${index + 1}`];
+        });
+        return { variantId, angle, hook, tone, cta, segments };
+      }),
+      segmentDurations,
+      timestamp: variantResult.timestamp,
+      model: variantResult.model,
+      usage: variantResult.usage,
+      wasRefined: !!providedScript
+    };
+
+    await job.updateProgress(90);
+
+    await operationService.updateOperationStatus(operationId, 'processing', {
+      scriptContent: script,
+      metadata: { scriptVariantCount: script.variants.length }
+    });
+
+    await workflowTracker.saveCheckpoint(job, 'script_generation', { script });
+
+    await job.updateProgress(100);
+    await workflowTracker.completeStage(job, 'script_generation', { variants: script.variants.length });
+
+    // No video is made here, so nothing is charged for the generation
+    await workflowTracker.completeOperation(operationId, {
+      videoUrls: [],
+      segmentCount: 0,
+      options,
+      metadata: { variantsReady: true }
+    });
+
+    return { imageAnalysis, script };
+  }
+}
+
+module.exports = new ScriptGenerationProcessor();
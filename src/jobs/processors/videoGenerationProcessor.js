@@ -1,7 +1,11 @@
 const { Worker } = require('bullmq');
+const fs = require('fs').promises;
+const path = require('path');
 const { connection, QUEUE_NAMES } = require('../../config/queue');
 const videoGenerationService = require('../../services/videoGenerationService');
-const operationService = require('../../services/operationService');
+const scriptGenerationService = require('../../services/scriptGenerationService');
+const videoEditingService = require('../../services/videoEditingService');
+const workflowTracker = require('../workflowTracker');
 
 /**
  * Video Generation Job Processor
@@ -65,90 +69,211 @@ class VideoGenerationProcessor {
 
   /**
    * Process a video generation job
+   * In a generation workflow the script and image analysis come from the
+   * script generation stage and the videos go on to post-processing; a job
+   * queued on its own carries its script and completes the operation itself.
+   * Each segment is checkpointed as soon as it is generated, and segments
+   * already checkpointed for the same script are reused on a retry or resume.
+   * With options.continuity each segment after the first is seeded with the
+   * last frame of the segment before it, and records which frame seeded it.
+   * A regeneration (job.data.regeneration) generates one segment as a new
+   * version, optionally from an uploaded seed image, and keeps every other take.
    * @param {Object} job - The BullMQ job object
    * @returns {Object} Job result
    */
   async processVideoGeneration(job) {
-    const { operationId, script, images, userId } = job.data;
-    
+    const { operationId, creativeBrief, options = {}, referenceImage = null, regeneration = null } = job.data;
+
     try {
-      // Update operation status to processing
-      await operationService.updateOperationStatus(operationId, 'processing', {
-        stage: 'video_generation',
-        progress: 0
-      });
+      await workflowTracker.startStage(job, 'video_generation');
+      await job.updateProgress(5);
 
-      // Update job progress
-      await job.updateProgress(10);
+      const previous = await workflowTracker.getPreviousResult(job, 'video_generation');
+      const script = previous.script || { segments: job.data.script || {} };
+      const imageAnalysis = previous.imageAnalysis || job.data.imageAnalysis || [];
 
-      // Generate videos for each script segment
       console.log(`Starting video generation for operation ${operationId}`);
-      
-      const videoResults = await videoGenerationService.generateVideo(script, images, {
-        onProgress: async (progress) => {
-          await job.updateProgress(10 + (progress * 0.8)); // 10-90% progress
-          await operationService.updateOperationStatus(operationId, 'processing', {
-            stage: 'video_generation',
-            progress: 10 + (progress * 0.8)
+
+      // Veo calls are costed against the operation and whoever it belongs to
+      const usageContext = await workflowTracker.getUsageContext(operationId, job.data);
+
+      // Scripts written by the workflow carry the length of each segment
+      const prompts = videoGenerationService.createUGCPrompts(
+        scriptGenerationService.applyPersona(creativeBrief, options.persona),
+        imageAnalysis,
+        script.segments,
+        script.segmentDurations
+      );
+
+      // The first uploaded image anchors the opening segment
+      if (referenceImage && prompts[0]) {
+        const image = workflowTracker.decodeImage(referenceImage);
+        prompts[0].options = { ...prompts[0].options, imageBuffer: image.buffer, imageMimeType: image.mimeType };
+      }
+
+      // Requested options take precedence over the prompt defaults
+      const videoOptions = {
+        aspectRatio: options.aspectRatio || '16:9',
+        personGeneration: options.personGeneration || 'allow_adult',
+        useFastModel: options.useFastModel || false,
+        usageContext
+      };
+
+      const checkpoint = await workflowTracker.getCheckpoint(operationId, 'video_generation');
+      const savedSegments = checkpoint?.videoSegments || [];
+
+      const continuity = !!options.continuity;
+      const frameDir = path.join(process.cwd(), 'temp', 'continuity', operationId);
+      let regenerated = false;
+
+      // Generate segments one at a time to avoid rate limits, reporting progress after each;
+      // with continuity each segment also needs the one before it to exist
+      const videoSegments = [];
+      try {
+        for (let i = 0; i < prompts.length; i++) {
+          const { segmentKey, prompt, options: promptOptions } = prompts[i];
+          const previous = videoSegments[i - 1];
+          const seedImage = regeneration?.segmentKey === segmentKey ? regeneration.seedImage : null;
+          const seedFrame = this.getSeedFrame(i, previous, { continuity, referenceImage, seedImage });
+
+          // A seeded segment is stale once any segment before it has been regenerated,
+          // unless a single segment is being regenerated and its later takes are kept
+          const saved = savedSegments.find(segment => segment.segmentKey === segmentKey && segment.prompt === prompt &&
+            (!continuity || ((!regenerated || regeneration) && this.isSameSeed(segment.seedFrame, seedFrame))));
+          if (saved) {
+            videoSegments.push(saved);
+            continue;
+          }
+          regenerated = true;
+
+          let seed = {};
+          if (seedFrame?.source === 'previous_segment') {
+            seed = { imageBuffer: await this.extractSeedFrame(previous, frameDir), imageMimeType: 'image/png' };
+          } else if (seedFrame?.source === 'uploaded_image') {
+            const image = workflowTracker.decodeImage(seedImage);
+            seed = { imageBuffer: image.buffer, imageMimeType: image.mimeType };
+          }
+
+          let videoResult;
+          try {
+            videoResult = await videoGenerationService.generateVideo(prompt, { ...promptOptions, ...seed, ...videoOptions });
+          } catch (error) {
+            throw new Error(`Failed to generate segment ${i + 1}: ${error.message}`);
+          }
+
+          const segment = {
+            segmentIndex: i,
+            segmentKey,
+            prompt,
+            videoFile: videoResult.videoFile,
+            videoUrl: videoResult.videoFile?.uri || null,
+            duration: videoResult.duration,
+            model: videoResult.model,
+            generatedAt: videoResult.generatedAt,
+            seedFrame,
+            ...(regeneration?.segmentKey === segmentKey && { version: regeneration.version })
+          };
+
+          await workflowTracker.saveSegmentCheckpoint(job, segment);
+          videoSegments.push(segment);
+
+          await job.updateProgress(5 + Math.round(((i + 1) / prompts.length) * 90));
+        }
+      } finally {
+        if (continuity) {
+          await fs.rm(frameDir, { recursive: true, force: true }).catch(error => {
+            console.warn(`Failed to clean up continuity frames for ${operationId}:`, error.message);
           });
         }
-      });
-
-      // Update progress to merging stage
-      await job.updateProgress(90);
-      await operationService.updateOperationStatus(operationId, 'processing', {
-        stage: 'video_merging',
-        progress: 90
-      });
-
-      // The video service should return the final merged video URL
-      const finalVideoUrl = videoResults.videoUrl;
-
-      // Update operation with final result
-      await operationService.updateOperationStatus(operationId, 'completed', {
-        stage: 'completed',
-        progress: 100,
-        videoUrl: finalVideoUrl,
-        completedAt: new Date()
-      });
+      }
 
-      await job.updateProgress(100);
+      await workflowTracker.saveCheckpoint(job, 'video_generation', { videoSegments });
+      await workflowTracker.completeStage(job, 'video_generation', { segments: videoSegments.length });
 
-      console.log(`Video generation completed for operation ${operationId}`);
+      // A standalone job has no post-processing stage to finish the operation
+      if (!job.parentKey) {
+        await workflowTracker.completeOperation(operationId, {
+          videoUrls: videoSegments.map(segment => segment.videoUrl).filter(Boolean),
+          segmentCount: videoSegments.length,
+          options
+        });
+      }
 
-      // Send webhook notification
-      const jobStatusService = require('../../services/jobStatusService');
-      await jobStatusService.sendWebhookNotification(operationId, 'completed', {
-        videoUrl: finalVideoUrl,
-        completedAt: new Date()
-      });
+      await job.updateProgress(100);
+      console.log(`Video generation completed for operation ${operationId}`);
 
       return {
         success: true,
         operationId,
-        videoUrl: finalVideoUrl,
+        videoSegments,
         completedAt: new Date()
       };
 
     } catch (error) {
       console.error(`Video generation failed for operation ${operationId}:`, error);
+      await workflowTracker.failStage(job, 'video_generation', new Error(`Video generation failed: ${error.message}`));
+      throw error;
+    }
+  }
 
-      // Update operation status to failed
-      await operationService.updateOperationStatus(operationId, 'failed', {
-        stage: 'failed',
-        error: error.message,
-        failedAt: new Date()
-      });
+  /**
+   * Describe the image a segment is generated from
+   * @param {number} index - Segment index
+   * @param {Object} previous - The segment before it, if any
+   * @param {Object} params - { continuity, referenceImage, seedImage }
+   * @returns {Object|null} Seed frame record, or null for a text-only segment
+   */
+  getSeedFrame(index, previous, { continuity, referenceImage, seedImage = null }) {
+    // An image uploaded to regenerate the segment takes precedence
+    if (seedImage) {
+      return { source: 'uploaded_image', image: seedImage.originalName || null };
+    }
 
-      // Send webhook notification for failure
-      const jobStatusService = require('../../services/jobStatusService');
-      await jobStatusService.sendWebhookNotification(operationId, 'failed', {
-        error: error.message,
-        failedAt: new Date()
-      });
+    if (index === 0) {
+      return referenceImage ? { source: 'reference_image', image: referenceImage.originalName || null } : null;
+    }
 
-      throw error;
+    if (!continuity) {
+      return null;
     }
+
+    return {
+      source: 'previous_segment',
+      segmentKey: previous.segmentKey,
+      videoUrl: previous.videoUrl,
+      frame: 'last'
+    };
+  }
+
+  /**
+   * Check a saved segment was seeded the same way a new one would be
+   * @param {Object} saved - Seed frame of the saved segment
+   * @param {Object} seedFrame - Seed frame the segment would be generated from now
+   * @returns {boolean} True if the seeds match
+   */
+  isSameSeed(saved, seedFrame) {
+    return (saved?.source || null) === (seedFrame?.source || null) &&
+      (saved?.segmentKey || null) === (seedFrame?.segmentKey || null);
+  }
+
+  /**
+   * Extract the last frame of a generated segment with ffmpeg
+   * @param {Object} segment - Generated segment
+   * @param {string} frameDir - Directory for the downloaded video and frame
+   * @returns {Promise<Buffer>} PNG image of the last frame
+   */
+  async extractSeedFrame(segment, frameDir) {
+    if (!segment.videoFile) {
+      throw new Error(`Video file missing for ${segment.segmentKey}, so its last frame cannot seed the next segment`);
+    }
+
+    const videoPath = await videoGenerationService.downloadVideo(
+      segment.videoFile,
+      path.join(frameDir, `${segment.segmentKey}.mp4`)
+    );
+    const framePath = await videoEditingService.extractLastFrame(videoPath, path.join(frameDir, `${segment.segmentKey}-last.png`));
+
+    return fs.readFile(framePath);
   }
 }
 
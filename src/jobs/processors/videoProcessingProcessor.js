@@ -1,5 +1,7 @@
 const { Worker } = require('bullmq');
 const { connection, QUEUE_NAMES } = require('../../config/queue');
+const postProductionService = require('../../services/postProductionService');
+const workflowTracker = require('../workflowTracker');
 
 /**
  * Video Processing Job Processor
@@ -75,6 +77,9 @@ class VideoProcessingProcessor {
       let result;
       
       switch (type) {
+        case 'post_process':
+          result = await this.postProcessWorkflow(job);
+          break;
         case 'merge_segments':
           result = await this.mergeVideoSegments(job, data);
           break;
@@ -100,6 +105,67 @@ class VideoProcessingProcessor {
     }
   }
 
+  /**
+   * Final stage of a generation workflow: assembles the generated segments into
+   * the finished ad, which becomes the operation's primary output, and completes the operation
+   * @param {Object} job - The BullMQ job object
+   * @returns {Object} Post-processing result
+   */
+  async postProcessWorkflow(job) {
+    const { operationId, options = {}, watermark = false } = job.data;
+
+    try {
+      await workflowTracker.startStage(job, 'post_processing');
+      await job.updateProgress(10);
+
+      const { videoSegments = [] } = await workflowTracker.getPreviousResult(job, 'post_processing');
+
+      const finalVideo = await postProductionService.assemble({ operationId, videoSegments, options, watermark });
+      const videoUrls = [postProductionService.getVideoUrl(operationId)];
+
+      await job.updateProgress(90);
+
+      await workflowTracker.completeOperation(operationId, {
+        videoUrls,
+        segmentCount: videoSegments.length,
+        options,
+        metadata: {
+          finalVideo,
+          videoSegments: videoSegments.map(({ segmentKey, videoUrl, duration, model, generatedAt, seedFrame = null, version = 1 }) => ({
+            segmentKey,
+            videoUrl,
+            duration,
+            model,
+            generatedAt,
+            seedFrame,
+            version
+          }))
+        }
+      });
+
+      await workflowTracker.saveCheckpoint(job, 'post_processing', { videoUrls, finalVideo });
+
+      await job.updateProgress(100);
+      await workflowTracker.completeStage(job, 'post_processing', {
+        duration: finalVideo.duration,
+        transition: finalVideo.transition,
+        watermark: finalVideo.watermark
+      });
+
+      return {
+        success: true,
+        operationId,
+        videoUrls,
+        finalVideo,
+        completedAt: new Date()
+      };
+
+    } catch (error) {
+      await workflowTracker.failStage(job, 'post_processing', new Error(`Post-processing failed: ${error.message}`));
+      throw error;
+    }
+  }
+
   /**
    * Merge multiple video segments into a single video
    * @param {Object} job - The BullMQ job object
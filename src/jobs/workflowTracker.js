@@ -0,0 +1,286 @@
+const { WORKFLOW_STAGES } = require('../config/queue');
+const operationService = require('../services/operationService');
+const creditService = require('../services/creditService');
+const providerCostService = require('../services/providerCostService');
+const { getConfig } = require('../utils/config');
+
+/**
+ * Workflow Tracker
+ * Shared bookkeeping for the stage jobs of a generation workflow: records each
+ * stage on its operation, checkpoints its output, hands results from one stage
+ * to the next, and fails the operation once a stage has run out of retries.
+ */
+class WorkflowTracker {
+  /**
+   * Record that a stage job has started
+   * @param {Object} job - The BullMQ job object
+   * @param {string} stage - Workflow stage name
+   */
+  async startStage(job, stage) {
+    const { operationId } = job.data;
+
+    await operationService.updateOperationStatus(operationId, 'processing', {
+      metadata: { stage }
+    });
+    await operationService.addWorkflowStep(operationId, {
+      step: stage,
+      status: 'started',
+      jobId: job.id,
+      attempt: job.attemptsMade + 1
+    });
+  }
+
+  /**
+   * Record that a stage job has finished
+   * @param {Object} job - The BullMQ job object
+   * @param {string} stage - Workflow stage name
+   * @param {Object} result - Summary of the stage result
+   */
+  async completeStage(job, stage, result = {}) {
+    const { operationId } = job.data;
+
+    await operationService.addWorkflowStep(operationId, {
+      step: stage,
+      status: 'completed',
+      jobId: job.id,
+      result
+    });
+  }
+
+  /**
+   * Record a stage failure, failing the operation once no retries are left
+   * Later stages never run after a stage fails, so the hold is refunded here.
+   * @param {Object} job - The BullMQ job object
+   * @param {string} stage - Workflow stage name
+   * @param {Error} error - Stage error
+   */
+  async failStage(job, stage, error) {
+    const { operationId } = job.data;
+    const finalAttempt = this.isFinalAttempt(job);
+
+    try {
+      await operationService.addWorkflowStep(operationId, {
+        step: stage,
+        status: finalAttempt ? 'failed' : 'retrying',
+        jobId: job.id,
+        attempt: job.attemptsMade + 1,
+        error: error.message
+      });
+    } catch (stepError) {
+      console.error(`Failed to record ${stage} failure for operation ${operationId}:`, stepError.message);
+    }
+
+    if (!finalAttempt) {
+      return;
+    }
+
+    try {
+      await operationService.updateOperationStatus(operationId, 'failed', {
+        errorMessage: error.message,
+        metadata: {
+          stage,
+          failedStage: stage,
+          failedAt: new Date().toISOString()
+        }
+      });
+    } catch (updateError) {
+      console.error(`Failed to mark operation ${operationId} as failed:`, updateError.message);
+    }
+
+    try {
+      await creditService.refund(operationId, 'failed');
+    } catch (refundError) {
+      console.error(`Failed to refund credits for operation ${operationId}:`, refundError.message);
+    }
+
+    const jobStatusService = require('../services/jobStatusService');
+    await jobStatusService.sendWebhookNotification(operationId, 'failed', {
+      stage,
+      error: error.message,
+      failedAt: new Date()
+    });
+  }
+
+  /**
+   * Complete an operation whose workflow has produced its videos
+   * Charges the actual price, priced on the segments generated, and releases the hold.
+   * Billing problems are logged rather than failing a finished video.
+   * @param {string} operationId - Operation ID
+   * @param {Object} result - Workflow result
+   * @param {Array} result.videoUrls - Final video URLs
+   * @param {number} result.segmentCount - Number of segments generated
+   * @param {Object} result.options - Generation options the price depends on
+   * @param {Object} result.metadata - Extra operation metadata
+   */
+  async completeOperation(operationId, { videoUrls, segmentCount, options = {}, metadata = {} }) {
+    const completedAt = new Date();
+
+    await operationService.updateOperationStatus(operationId, 'completed', {
+      videoUrls,
+      metadata: {
+        ...metadata,
+        stage: 'completed',
+        completedAt: completedAt.toISOString()
+      }
+    });
+
+    try {
+      await creditService.settle(operationId, segmentCount > 0 ? creditService.calculateCost(segmentCount, options) : null);
+    } catch (error) {
+      console.error(`Failed to settle credits for operation ${operationId}:`, error.message);
+    }
+
+    const jobStatusService = require('../services/jobStatusService');
+    await jobStatusService.sendWebhookNotification(operationId, 'completed', {
+      videoUrls,
+      completedAt
+    });
+  }
+
+  /**
+   * Pause an operation whose script must be approved before any video is generated
+   * The credit hold is kept for the videos. The request expires after
+   * SCRIPT_APPROVAL_TTL seconds; scheduling problems are logged rather than
+   * failing a written script.
+   * @param {string} operationId - Operation ID
+   * @param {Object} script - Script waiting for approval
+   */
+  async awaitApproval(operationId, script) {
+    const requestedAt = new Date();
+    const expiresAt = new Date(requestedAt.getTime() + getConfig().getInt('SCRIPT_APPROVAL_TTL') * 1000);
+    const approval = {
+      status: 'pending',
+      requestedAt: requestedAt.toISOString(),
+      expiresAt: expiresAt.toISOString()
+    };
+
+    await operationService.updateOperationStatus(operationId, 'awaiting_approval', {
+      metadata: { stage: 'awaiting_approval', approval }
+    });
+
+    try {
+      const jobManager = require('./jobManager');
+      await jobManager.scheduleApprovalExpiry(operationId, approval);
+    } catch (error) {
+      console.error(`Failed to schedule approval expiry for operation ${operationId}:`, error.message);
+    }
+
+    const jobStatusService = require('../services/jobStatusService');
+    await jobStatusService.sendWebhookNotification(operationId, 'awaiting_approval', {
+      script,
+      expiresAt,
+      approveEndpoint: `/api/v1/ugc/operations/${operationId}/approve`,
+      rejectEndpoint: `/api/v1/ugc/operations/${operationId}/reject`
+    });
+  }
+
+  /**
+   * Check whether a failing job will not be retried
+   * @param {Object} job - The BullMQ job object
+   * @returns {boolean} True on the last attempt
+   */
+  isFinalAttempt(job) {
+    return job.attemptsMade + 1 >= (job.opts?.attempts || 1);
+  }
+
+  /**
+   * Save a stage's output on its operation so a resumed workflow can skip the stage
+   * @param {Object} job - The BullMQ job object
+   * @param {string} stage - Workflow stage name
+   * @param {Object} output - Stage output, as handed to the next stage
+   */
+  async saveCheckpoint(job, stage, output) {
+    await operationService.saveCheckpoint(job.data.operationId, stage, output);
+  }
+
+  /**
+   * Save a generated video segment before the rest of its stage has finished
+   * @param {Object} job - The BullMQ job object
+   * @param {Object} segment - Video segment
+   */
+  async saveSegmentCheckpoint(job, segment) {
+    await operationService.saveSegmentCheckpoint(job.data.operationId, segment);
+  }
+
+  /**
+   * Get the checkpoint saved for a stage of an operation
+   * @param {string} operationId - Operation ID
+   * @param {string} stage - Workflow stage name
+   * @returns {Promise<Object|null>} Checkpoint, which may be partial, or null
+   */
+  async getCheckpoint(operationId, stage) {
+    const operation = await operationService.getOperation(operationId);
+    return operation?.checkpoints?.[stage] || null;
+  }
+
+  /**
+   * Get the result of the stage that ran before a job
+   * Each stage is the parent of the one before it, so that result is the
+   * return value of the job's only child. The first stage of a resumed
+   * workflow has no child and starts from the checkpoints of the stages
+   * before it instead.
+   * @param {Object} job - The BullMQ job object
+   * @param {string} stage - Workflow stage name of the job
+   * @returns {Promise<Object>} Previous stage result, or {} for the first stage
+   */
+  async getPreviousResult(job, stage) {
+    const values = await job.getChildrenValues();
+    const [previous] = Object.values(values || {});
+    if (previous) {
+      return previous;
+    }
+
+    const operation = await operationService.getOperation(job.data.operationId);
+    const checkpoints = operation?.checkpoints || {};
+    const stageIndex = WORKFLOW_STAGES.findIndex(({ name }) => name === stage);
+
+    return WORKFLOW_STAGES.slice(0, Math.max(stageIndex, 0)).reduce((result, { name }) => {
+      if (!checkpoints[name]?.completedAt) {
+        return result;
+      }
+      const { completedAt, ...output } = checkpoints[name];
+      return { ...result, ...output };
+    }, {});
+  }
+
+  /**
+   * Build the usage context provider calls for an operation are recorded against
+   * @param {string} operationId - Operation ID
+   * @param {Object} jobData - Job data, used if the operation cannot be loaded
+   * @returns {Promise<Object>} Usage context
+   */
+  async getUsageContext(operationId, jobData) {
+    try {
+      const operation = await operationService.getOperation(operationId);
+      if (operation) {
+        return providerCostService.getOperationContext(operation);
+      }
+    } catch (error) {
+      console.error(`Failed to load operation ${operationId} for cost accounting:`, error.message);
+    }
+
+    return {
+      operationId,
+      batchId: jobData.batchId || null,
+      apiKeyId: null,
+      userId: jobData.userId || null,
+      organizationId: null
+    };
+  }
+
+  /**
+   * Rebuild an image stored in job data
+   * Job data is JSON, so uploaded images are queued as base64.
+   * @param {Object} image - { data, mimeType, originalName }
+   * @returns {Object} { buffer, mimeType, filename }
+   */
+  decodeImage(image) {
+    return {
+      buffer: Buffer.from(image.data, 'base64'),
+      mimeType: image.mimeType,
+      filename: image.originalName
+    };
+  }
+}
+
+module.exports = new WorkflowTracker();
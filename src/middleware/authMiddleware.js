@@ -1,4 +1,7 @@
 const apiKeyService = require('../services/apiKeyService');
+const rateLimitService = require('../services/rateLimitService');
+const RateLimitMiddleware = require('./rateLimitMiddleware');
+const { isIpAllowed } = require('../utils/ipAllowlist');
 
 /**
  * Authentication middleware for API key validation
@@ -57,35 +60,64 @@ class AuthMiddleware {
           });
         }
         
-        // Check rate limits
-        const rateLimitStatus = apiKeyService.checkRateLimit(keyData.id);
-        if (!rateLimitStatus.allowed) {
-          // Set rate limit headers
-          res.set({
-            'X-RateLimit-Limit': rateLimitStatus.limit || 0,
-            'X-RateLimit-Remaining': rateLimitStatus.remaining || 0,
-            'X-RateLimit-Reset': rateLimitStatus.resetTime || 0
+        // Rotated keys stop working once their grace period ends
+        if (keyData.isRotatedOut) {
+          return res.status(401).json({
+            success: false,
+            error: {
+              code: 'API_KEY_ROTATED',
+              message: 'API key has been rotated and its grace period has ended. Use the replacement key.',
+              details: {
+                replacedById: keyData.replacedById,
+                graceExpiresAt: keyData.graceExpiresAt
+              }
+            }
           });
-          
-          return res.status(429).json({
+        }
+        
+        // Check if key has expired
+        if (keyData.isExpired) {
+          return res.status(401).json({
             success: false,
             error: {
-              code: 'RATE_LIMIT_EXCEEDED',
-              message: rateLimitStatus.reason,
+              code: 'API_KEY_EXPIRED',
+              message: 'API key has expired.',
               details: {
-                limit: rateLimitStatus.limit,
-                remaining: rateLimitStatus.remaining,
-                resetTime: rateLimitStatus.resetTime
+                expiresAt: keyData.expiresAt
               }
             }
           });
         }
         
-        // Check permissions
+        // Check the key's IP allowlist
+        if (!isIpAllowed(req.ip, keyData.allowedIps)) {
+          return res.status(403).json({
+            success: false,
+            error: {
+              code: 'IP_NOT_ALLOWED',
+              message: `API key cannot be used from ${req.ip}.`
+            }
+          });
+        }
+        
+        // Keys belong to at most one organization and cannot act in another
+        const requestedOrganizationId = req.headers['x-organization-id'];
+        if (requestedOrganizationId && requestedOrganizationId !== keyData.organizationId) {
+          return res.status(403).json({
+            success: false,
+            error: {
+              code: 'ORGANIZATION_ACCESS_DENIED',
+              message: 'This API key does not belong to the requested organization.'
+            }
+          });
+        }
+        
+        // Check permissions before charging, so refused requests cost nothing
         if (requiredPermissions.length > 0) {
-          const hasAllPermissions = requiredPermissions.every(permission => 
+          const permissionChecks = await Promise.all(requiredPermissions.map(permission =>
             apiKeyService.hasPermission(keyData.id, permission)
-          );
+          ));
+          const hasAllPermissions = permissionChecks.every(Boolean);
           
           if (!hasAllPermissions) {
             return res.status(403).json({
@@ -102,22 +134,34 @@ class AuthMiddleware {
           }
         }
         
+        // Check rate limits, charging the route's cost in units
+        const rateLimitStatus = await apiKeyService.checkRateLimit(keyData.id, rateLimitService.getRequestCost(req));
+        if (!rateLimitStatus.allowed) {
+          return RateLimitMiddleware.sendLimitExceeded(res, rateLimitStatus);
+        }
+        
         // Set rate limit headers for successful requests
-        res.set({
-          'X-RateLimit-Limit': rateLimitStatus.limit,
-          'X-RateLimit-Remaining': rateLimitStatus.remaining,
-          'X-RateLimit-Reset': rateLimitStatus.resetTime,
-          'X-RateLimit-Daily-Limit': rateLimitStatus.dailyLimit,
-          'X-RateLimit-Daily-Remaining': rateLimitStatus.dailyRemaining
-        });
+        RateLimitMiddleware.setHeaders(res, rateLimitStatus);
+        RateLimitMiddleware.trackCharge(req, rateLimitStatus, cost => apiKeyService.checkRateLimit(keyData.id, cost));
+        
+        // Warn clients still using a key that is inside its rotation grace period
+        if (keyData.replacedById) {
+          res.set({
+            'Sunset': new Date(keyData.graceExpiresAt).toUTCString(),
+            'X-API-Key-Replaced-By': keyData.replacedById
+          });
+        }
         
         // Attach key data to request for use in controllers
         req.apiKey = {
           id: keyData.id,
           name: keyData.name,
           permissions: keyData.permissions,
-          metadata: keyData.metadata
+          metadata: keyData.metadata,
+          organizationId: keyData.organizationId || null
         };
+        // API keys act in their own organization; their permissions govern access
+        req.organization = keyData.organizationId ? { id: keyData.organizationId, role: null } : null;
         
         // Record usage (will be called after response)
         const originalSend = res.send;
@@ -0,0 +1,97 @@
+const idempotencyService = require('../services/idempotencyService');
+const quotaService = require('../services/quotaService');
+
+/**
+ * Idempotency-Key handling for endpoints that start paid work
+ * A retry with the same key and request gets the original response replayed;
+ * reusing a key for a different request is rejected with 409.
+ */
+class IdempotencyMiddleware {
+  /**
+   * Middleware that replays or records responses for requests with an Idempotency-Key
+   * Must run after authentication and body parsing, so the caller and the
+   * full request (including uploads) are known.
+   * @param {string} endpoint - Name of the endpoint keys are scoped to
+   * @returns {Function} Express middleware function
+   */
+  static handle(endpoint) {
+    return async (req, res, next) => {
+      const key = req.get('Idempotency-Key');
+      if (key === undefined) {
+        return next();
+      }
+
+      if (!idempotencyService.isValidKey(key)) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: 'INVALID_IDEMPOTENCY_KEY',
+            message: 'Idempotency-Key must be between 1 and 255 characters'
+          }
+        });
+      }
+
+      try {
+        const { replay, record } = await idempotencyService.begin({
+          scope: idempotencyService.getScope(quotaService.getPrincipal(req)),
+          endpoint,
+          key,
+          fingerprint: idempotencyService.fingerprint(req)
+        });
+
+        if (replay) {
+          res.set('Idempotent-Replayed', 'true');
+          return res.status(record.responseStatus).json(record.responseBody);
+        }
+
+        IdempotencyMiddleware.recordResponse(res, record);
+        next();
+      } catch (error) {
+        if (error instanceof idempotencyService.IdempotencyConflictError) {
+          return res.status(409).json({
+            success: false,
+            error: {
+              code: error.code,
+              message: error.message
+            }
+          });
+        }
+
+        console.error('Idempotency check error:', error);
+        res.status(500).json({
+          success: false,
+          error: {
+            code: 'IDEMPOTENCY_CHECK_ERROR',
+            message: 'Failed to check the Idempotency-Key. Retry with the same key.'
+          }
+        });
+      }
+    };
+  }
+
+  /**
+   * Store the response sent for a keyed request before it reaches the client
+   * Successful responses are kept for replay; failed requests release the key
+   * so the client can retry with it.
+   * @param {Object} res - Express response object
+   * @param {Object} record - IdempotencyKey record claimed for the request
+   */
+  static recordResponse(res, record) {
+    const json = res.json.bind(res);
+
+    res.json = (body) => {
+      const succeeded = res.statusCode >= 200 && res.statusCode < 300;
+      const store = succeeded
+        ? idempotencyService.complete(record, res.statusCode, body)
+        : idempotencyService.release(record);
+
+      store
+        .catch(error => console.error('Failed to store idempotent response:', error.message))
+        .finally(() => json(body));
+
+      return res;
+    };
+  }
+}
+
+module.exports = IdempotencyMiddleware;
@@ -1,4 +1,7 @@
 const oauthService = require('../services/oauthService');
+const organizationService = require('../services/organizationService');
+const rateLimitService = require('../services/rateLimitService');
+const RateLimitMiddleware = require('./rateLimitMiddleware');
 
 /**
  * OAuth2 middleware for JWT token validation
@@ -8,11 +11,12 @@ class OAuthMiddleware {
    * Middleware to validate JWT tokens
    * @param {Object} options - Middleware options
    * @param {Array} options.requiredPermissions - Required permissions for the endpoint
+   * @param {string} options.organizationRole - Minimum role in the active organization, if one is active
    * @param {boolean} options.optional - Whether authentication is optional
    * @returns {Function} Express middleware function
    */
   static validateJWT(options = {}) {
-    const { requiredPermissions = [], optional = false } = options;
+    const { requiredPermissions = [], organizationRole = null, optional = false } = options;
     
     return async (req, res, next) => {
       const startTime = Date.now();
@@ -40,7 +44,7 @@ class OAuthMiddleware {
         }
         
         // Verify the JWT token
-        const decoded = oauthService.verifyAccessToken(token);
+        const decoded = await oauthService.verifyAccessToken(token);
         if (!decoded) {
           return res.status(401).json({
             success: false,
@@ -52,7 +56,7 @@ class OAuthMiddleware {
         }
         
         // Get full user information
-        const user = oauthService.findUserById(decoded.sub);
+        const user = await oauthService.findUserById(decoded.sub);
         if (!user || !user.isActive) {
           return res.status(401).json({
             success: false,
@@ -63,7 +67,7 @@ class OAuthMiddleware {
           });
         }
         
-        // Check permissions
+        // Check permissions before charging, so refused requests cost nothing
         if (requiredPermissions.length > 0) {
           const hasAllPermissions = requiredPermissions.every(permission => 
             oauthService.hasPermission(decoded, permission)
@@ -84,6 +88,52 @@ class OAuthMiddleware {
           }
         }
         
+        // Resolve the organization this request acts in
+        let organization;
+        try {
+          organization = await organizationService.resolveActiveOrganization(user, req.headers['x-organization-id']);
+        } catch (error) {
+          if (error.message !== 'Organization not found') {
+            throw error;
+          }
+          return res.status(403).json({
+            success: false,
+            error: {
+              code: 'ORGANIZATION_ACCESS_DENIED',
+              message: 'You are not a member of the requested organization.'
+            }
+          });
+        }
+        
+        if (organization && organizationRole && !organizationService.hasRole(organization.role, organizationRole)) {
+          return res.status(403).json({
+            success: false,
+            error: {
+              code: 'INSUFFICIENT_ORGANIZATION_ROLE',
+              message: `This action requires the ${organizationRole} role or higher in the active organization.`,
+              details: {
+                required: organizationRole,
+                current: organization.role
+              }
+            }
+          });
+        }
+        
+        // Check rate limits (shared Redis counters, same limits as API keys)
+        const rateLimitStatus = await rateLimitService.consume(
+          `user:${user.id}`,
+          user.metadata?.rateLimit,
+          rateLimitService.getRequestCost(req)
+        );
+        if (!rateLimitStatus.allowed) {
+          return RateLimitMiddleware.sendLimitExceeded(res, rateLimitStatus);
+        }
+        
+        RateLimitMiddleware.setHeaders(res, rateLimitStatus);
+        RateLimitMiddleware.trackCharge(req, rateLimitStatus, cost =>
+          rateLimitService.consume(`user:${user.id}`, user.metadata?.rateLimit, cost)
+        );
+        
         // Attach user data to request
         req.user = {
           id: decoded.sub,
@@ -93,6 +143,7 @@ class OAuthMiddleware {
           permissions: decoded.permissions,
           type: 'oauth2'
         };
+        req.organization = organization;
         
         // Record usage (simplified for OAuth2)
         const responseTime = Date.now() - startTime;
@@ -132,6 +183,7 @@ class OAuthMiddleware {
    * Combined middleware that accepts both API keys and JWT tokens
    * @param {Object} options - Middleware options
    * @param {Array} options.requiredPermissions - Required permissions for the endpoint
+   * @param {string} options.organizationRole - Minimum organization role for JWT users
    * @param {boolean} options.optional - Whether authentication is optional
    * @returns {Function} Express middleware function
    */
@@ -0,0 +1,149 @@
+const rateLimitService = require('../services/rateLimitService');
+
+/**
+ * Shared rate limit response handling for API key and JWT authentication
+ * Limits are budgets of units; each request is charged its route cost.
+ */
+class RateLimitMiddleware {
+  /**
+   * Set rate limit headers for a request that was allowed
+   * @param {Object} res - Express response object
+   * @param {Object} rateLimitStatus - Status from the rate limit check
+   */
+  static setHeaders(res, rateLimitStatus) {
+    res.set({
+      'X-RateLimit-Limit': rateLimitStatus.limit,
+      'X-RateLimit-Remaining': rateLimitStatus.remaining,
+      'X-RateLimit-Reset': rateLimitStatus.resetTime,
+      'X-RateLimit-Daily-Limit': rateLimitStatus.dailyLimit,
+      'X-RateLimit-Daily-Remaining': rateLimitStatus.dailyRemaining,
+      'X-RateLimit-Cost': rateLimitStatus.cost
+    });
+  }
+
+  /**
+   * Remember what was charged for a request so the charge can be topped up
+   * once the body has been parsed
+   * @param {Object} req - Express request object
+   * @param {Object} rateLimitStatus - Status from the rate limit check
+   * @param {Function} consume - Charges further units to the same principal
+   */
+  static trackCharge(req, rateLimitStatus, consume) {
+    req.rateLimit = {
+      charged: rateLimitStatus.cost || 0,
+      status: rateLimitStatus,
+      consume
+    };
+  }
+
+  /**
+   * Middleware that charges the rest of a request's cost once its body is parsed
+   * Multipart bodies are parsed after authentication, so per-segment and
+   * per-item costs can only be fully known at this point.
+   * @returns {Function} Express middleware function
+   */
+  static chargeParsedBody() {
+    return async (req, res, next) => {
+      if (!req.rateLimit) {
+        return next();
+      }
+
+      if (await RateLimitMiddleware.chargeRest(req, res, rateLimitService.getRequestCost(req))) {
+        next();
+      }
+    };
+  }
+
+  /**
+   * Charge the rest of a request's cost once the operation it works on is loaded
+   * Routes that generate from a stored operation are charged one segment up
+   * front, and the rest once the caller is known to be allowed to use it.
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {number} segments - Segments the request generates
+   * @returns {Promise<boolean>} False if the limit was exceeded and a 429 response sent
+   */
+  static async chargeOperationSegments(req, res, segments) {
+    if (!req.rateLimit) {
+      return true;
+    }
+    return RateLimitMiddleware.chargeRest(req, res, rateLimitService.getRequestCost(req, { segments }));
+  }
+
+  /**
+   * Charge the difference between a request's full cost and what it was charged
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {number} totalCost - Full cost of the request in units
+   * @returns {Promise<boolean>} False if the limit was exceeded and a 429 response sent
+   */
+  static async chargeRest(req, res, totalCost) {
+    try {
+      const extraCost = totalCost - req.rateLimit.charged;
+      if (extraCost <= 0) {
+        return true;
+      }
+
+      const rateLimitStatus = await req.rateLimit.consume(extraCost);
+      if (!rateLimitStatus.allowed) {
+        RateLimitMiddleware.sendLimitExceeded(res, rateLimitStatus);
+        return false;
+      }
+
+      RateLimitMiddleware.setHeaders(res, { ...rateLimitStatus, cost: totalCost });
+      req.rateLimit.charged = totalCost;
+      req.rateLimit.status = rateLimitStatus;
+      return true;
+    } catch (error) {
+      console.error('Rate limit charge error:', error);
+      return true;
+    }
+  }
+
+  /**
+   * Respond with 429 for a request that exceeded its limits
+   * @param {Object} res - Express response object
+   * @param {Object} rateLimitStatus - Status from the rate limit check
+   * @returns {Object} Express response
+   */
+  static sendLimitExceeded(res, rateLimitStatus) {
+    res.set({
+      'X-RateLimit-Limit': rateLimitStatus.limit || 0,
+      'X-RateLimit-Remaining': rateLimitStatus.remaining || 0,
+      'X-RateLimit-Reset': rateLimitStatus.resetTime || 0,
+      'X-RateLimit-Cost': rateLimitStatus.cost || 0
+    });
+    res.set('Retry-After', String(RateLimitMiddleware.getRetryAfter(rateLimitStatus)));
+
+    return res.status(429).json({
+      success: false,
+      error: {
+        code: 'RATE_LIMIT_EXCEEDED',
+        message: rateLimitStatus.reason,
+        details: {
+          limit: rateLimitStatus.limit,
+          remaining: rateLimitStatus.remaining,
+          cost: rateLimitStatus.cost,
+          resetTime: rateLimitStatus.resetTime
+        }
+      }
+    });
+  }
+
+  /**
+   * Seconds until the client may retry
+   * @param {Object} rateLimitStatus - Status from the rate limit check
+   * @returns {number} Retry delay in seconds
+   */
+  static getRetryAfter(rateLimitStatus) {
+    if (rateLimitStatus.retryAfter) {
+      return rateLimitStatus.retryAfter;
+    }
+    if (!rateLimitStatus.resetTime) {
+      return 1;
+    }
+    return Math.max(1, Math.ceil((rateLimitStatus.resetTime - Date.now()) / 1000));
+  }
+}
+
+module.exports = RateLimitMiddleware;
@@ -0,0 +1,15 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    // Local accounts authenticate with a bcrypt password hash
+    await queryInterface.addColumn('users', 'password_hash', {
+      type: Sequelize.STRING(255),
+      allowNull: true
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeColumn('users', 'password_hash');
+  }
+};
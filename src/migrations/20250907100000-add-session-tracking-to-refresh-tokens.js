@@ -0,0 +1,72 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    // Token family: every refresh token issued by rotating a login's token
+    await queryInterface.addColumn('refresh_tokens', 'family_id', {
+      type: Sequelize.UUID,
+      allowNull: true
+    });
+
+    await queryInterface.addColumn('refresh_tokens', 'replaced_by_id', {
+      type: Sequelize.UUID,
+      allowNull: true
+    });
+
+    await queryInterface.addColumn('refresh_tokens', 'revoked_at', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+
+    await queryInterface.addColumn('refresh_tokens', 'revoked_reason', {
+      type: Sequelize.STRING(50),
+      allowNull: true
+    });
+
+    // Session details shown to the user
+    await queryInterface.addColumn('refresh_tokens', 'device_name', {
+      type: Sequelize.STRING(255),
+      allowNull: true
+    });
+
+    await queryInterface.addColumn('refresh_tokens', 'user_agent', {
+      type: Sequelize.TEXT,
+      allowNull: true
+    });
+
+    await queryInterface.addColumn('refresh_tokens', 'ip_address', {
+      type: Sequelize.INET,
+      allowNull: true
+    });
+
+    await queryInterface.addColumn('refresh_tokens', 'session_started_at', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+
+    await queryInterface.addColumn('refresh_tokens', 'last_used_at', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+
+    // Existing tokens each start their own family
+    await queryInterface.sequelize.query(
+      'UPDATE refresh_tokens SET family_id = id, session_started_at = created_at, last_used_at = created_at WHERE family_id IS NULL'
+    );
+
+    await queryInterface.addIndex('refresh_tokens', ['family_id']);
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeIndex('refresh_tokens', ['family_id']);
+    await queryInterface.removeColumn('refresh_tokens', 'last_used_at');
+    await queryInterface.removeColumn('refresh_tokens', 'session_started_at');
+    await queryInterface.removeColumn('refresh_tokens', 'ip_address');
+    await queryInterface.removeColumn('refresh_tokens', 'user_agent');
+    await queryInterface.removeColumn('refresh_tokens', 'device_name');
+    await queryInterface.removeColumn('refresh_tokens', 'revoked_reason');
+    await queryInterface.removeColumn('refresh_tokens', 'revoked_at');
+    await queryInterface.removeColumn('refresh_tokens', 'replaced_by_id');
+    await queryInterface.removeColumn('refresh_tokens', 'family_id');
+  }
+};
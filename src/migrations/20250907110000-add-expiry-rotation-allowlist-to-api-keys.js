@@ -0,0 +1,50 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    // Optional hard expiry for a key
+    await queryInterface.addColumn('api_keys', 'expires_at', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+
+    // CIDR ranges the key may be used from; empty means any address
+    await queryInterface.addColumn('api_keys', 'allowed_ips', {
+      type: Sequelize.JSONB,
+      allowNull: false,
+      defaultValue: []
+    });
+
+    // Rotation: the successor key and when the old key stops working
+    await queryInterface.addColumn('api_keys', 'replaced_by_id', {
+      type: Sequelize.UUID,
+      allowNull: true,
+      references: {
+        model: 'api_keys',
+        key: 'id'
+      },
+      onDelete: 'SET NULL'
+    });
+
+    await queryInterface.addColumn('api_keys', 'rotated_at', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+
+    await queryInterface.addColumn('api_keys', 'grace_expires_at', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+
+    await queryInterface.addIndex('api_keys', ['expires_at']);
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeIndex('api_keys', ['expires_at']);
+    await queryInterface.removeColumn('api_keys', 'grace_expires_at');
+    await queryInterface.removeColumn('api_keys', 'rotated_at');
+    await queryInterface.removeColumn('api_keys', 'replaced_by_id');
+    await queryInterface.removeColumn('api_keys', 'allowed_ips');
+    await queryInterface.removeColumn('api_keys', 'expires_at');
+  }
+};
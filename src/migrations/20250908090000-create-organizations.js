@@ -0,0 +1,136 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('organizations', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.literal('uuid_generate_v4()'),
+        primaryKey: true
+      },
+      name: {
+        type: Sequelize.STRING(255),
+        allowNull: false
+      },
+      slug: {
+        type: Sequelize.STRING(100),
+        allowNull: false,
+        unique: true
+      },
+      metadata: {
+        type: Sequelize.JSONB,
+        defaultValue: '{}'
+      },
+      is_active: {
+        type: Sequelize.BOOLEAN,
+        defaultValue: true
+      },
+      created_by: {
+        type: Sequelize.UUID,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onDelete: 'SET NULL'
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('NOW()')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('NOW()')
+      }
+    });
+
+    await queryInterface.createTable('organization_memberships', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.literal('uuid_generate_v4()'),
+        primaryKey: true
+      },
+      organization_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'organizations',
+          key: 'id'
+        },
+        onDelete: 'CASCADE'
+      },
+      user_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onDelete: 'CASCADE'
+      },
+      role: {
+        type: Sequelize.STRING(20),
+        allowNull: false,
+        defaultValue: 'viewer'
+      },
+      invited_by: {
+        type: Sequelize.UUID,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onDelete: 'SET NULL'
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('NOW()')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('NOW()')
+      }
+    });
+
+    await queryInterface.addIndex('organization_memberships', ['organization_id', 'user_id'], { unique: true });
+    await queryInterface.addIndex('organization_memberships', ['user_id']);
+
+    // Scope keys, operations and batches to an organization (null = personal)
+    for (const table of ['api_keys', 'ugc_operations', 'batch_operations']) {
+      await queryInterface.addColumn(table, 'organization_id', {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'organizations',
+          key: 'id'
+        },
+        onDelete: 'SET NULL'
+      });
+      await queryInterface.addIndex(table, ['organization_id']);
+    }
+
+    // Organization a user works in when no X-Organization-Id header is sent
+    await queryInterface.addColumn('users', 'active_organization_id', {
+      type: Sequelize.UUID,
+      allowNull: true,
+      references: {
+        model: 'organizations',
+        key: 'id'
+      },
+      onDelete: 'SET NULL'
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeColumn('users', 'active_organization_id');
+    for (const table of ['api_keys', 'ugc_operations', 'batch_operations']) {
+      await queryInterface.removeIndex(table, ['organization_id']);
+      await queryInterface.removeColumn(table, 'organization_id');
+    }
+    await queryInterface.dropTable('organization_memberships');
+    await queryInterface.dropTable('organizations');
+  }
+};
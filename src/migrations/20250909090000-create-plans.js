@@ -0,0 +1,105 @@
+'use strict';
+
+const { PLANS } = require('../config/plans');
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('plans', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.literal('uuid_generate_v4()'),
+        primaryKey: true
+      },
+      name: {
+        type: Sequelize.STRING(50),
+        allowNull: false,
+        unique: true
+      },
+      display_name: {
+        type: Sequelize.STRING(100),
+        allowNull: false
+      },
+      daily_limit: {
+        type: Sequelize.INTEGER,
+        allowNull: false
+      },
+      monthly_limit: {
+        type: Sequelize.INTEGER,
+        allowNull: false
+      },
+      concurrent_limit: {
+        type: Sequelize.INTEGER,
+        allowNull: false
+      },
+      queue_priority: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 5
+      },
+      max_segments: {
+        type: Sequelize.INTEGER,
+        allowNull: false
+      },
+      max_batch_size: {
+        type: Sequelize.INTEGER,
+        allowNull: false
+      },
+      watermark_required: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: false
+      },
+      is_active: {
+        type: Sequelize.BOOLEAN,
+        defaultValue: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('NOW()')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('NOW()')
+      }
+    });
+
+    const now = new Date();
+    await queryInterface.bulkInsert('plans', Object.entries(PLANS).map(([name, plan]) => ({
+      name,
+      display_name: plan.displayName,
+      daily_limit: plan.dailyLimit,
+      monthly_limit: plan.monthlyLimit,
+      concurrent_limit: plan.concurrentLimit,
+      queue_priority: plan.queuePriority,
+      max_segments: plan.maxSegments,
+      max_batch_size: plan.maxBatchSize,
+      watermark_required: plan.watermarkRequired,
+      is_active: true,
+      created_at: now,
+      updated_at: now
+    })));
+
+    // Users and organizations without a plan use the default plan
+    for (const table of ['users', 'organizations']) {
+      await queryInterface.addColumn(table, 'plan_id', {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'plans',
+          key: 'id'
+        },
+        onDelete: 'SET NULL'
+      });
+    }
+  },
+
+  async down(queryInterface, Sequelize) {
+    for (const table of ['users', 'organizations']) {
+      await queryInterface.removeColumn(table, 'plan_id');
+    }
+    await queryInterface.dropTable('plans');
+  }
+};
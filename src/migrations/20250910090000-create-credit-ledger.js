@@ -0,0 +1,99 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('credit_accounts', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.literal('uuid_generate_v4()'),
+        primaryKey: true
+      },
+      owner_type: {
+        type: Sequelize.STRING(20),
+        allowNull: false
+      },
+      owner_id: {
+        type: Sequelize.UUID,
+        allowNull: false
+      },
+      balance: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      held_balance: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('NOW()')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('NOW()')
+      }
+    });
+
+    await queryInterface.addIndex('credit_accounts', ['owner_type', 'owner_id'], { unique: true });
+
+    await queryInterface.createTable('credit_transactions', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.literal('uuid_generate_v4()'),
+        primaryKey: true
+      },
+      account_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'credit_accounts',
+          key: 'id'
+        },
+        onDelete: 'CASCADE'
+      },
+      type: {
+        type: Sequelize.STRING(20),
+        allowNull: false
+      },
+      amount: {
+        type: Sequelize.INTEGER,
+        allowNull: false
+      },
+      balance_after: {
+        type: Sequelize.INTEGER,
+        allowNull: false
+      },
+      operation_id: {
+        type: Sequelize.STRING(255)
+      },
+      description: {
+        type: Sequelize.STRING(500)
+      },
+      metadata: {
+        type: Sequelize.JSONB,
+        defaultValue: '{}'
+      },
+      created_by: {
+        type: Sequelize.UUID
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('NOW()')
+      }
+    });
+
+    await queryInterface.addIndex('credit_transactions', ['account_id', 'created_at']);
+    await queryInterface.addIndex('credit_transactions', ['operation_id']);
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('credit_transactions');
+    await queryInterface.dropTable('credit_accounts');
+  }
+};
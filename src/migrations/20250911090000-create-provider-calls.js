@@ -0,0 +1,86 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('provider_calls', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.literal('uuid_generate_v4()'),
+        primaryKey: true
+      },
+      operation_id: {
+        type: Sequelize.STRING(255)
+      },
+      batch_id: {
+        type: Sequelize.STRING(255)
+      },
+      api_key_id: {
+        type: Sequelize.UUID
+      },
+      user_id: {
+        type: Sequelize.UUID
+      },
+      organization_id: {
+        type: Sequelize.UUID
+      },
+      provider: {
+        type: Sequelize.STRING(20),
+        allowNull: false
+      },
+      service: {
+        type: Sequelize.STRING(50),
+        allowNull: false
+      },
+      model: {
+        type: Sequelize.STRING(100),
+        allowNull: false
+      },
+      unit: {
+        type: Sequelize.STRING(20)
+      },
+      input_units: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      output_units: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      latency_ms: {
+        type: Sequelize.INTEGER
+      },
+      cache_hit: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: false
+      },
+      status: {
+        type: Sequelize.STRING(20),
+        allowNull: false,
+        defaultValue: 'success'
+      },
+      error_message: {
+        type: Sequelize.TEXT
+      },
+      cost: {
+        type: Sequelize.DECIMAL(12, 6)
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('NOW()')
+      }
+    });
+
+    for (const column of ['operation_id', 'batch_id', 'created_at', 'api_key_id', 'user_id', 'organization_id']) {
+      await queryInterface.addIndex('provider_calls', [column]);
+    }
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('provider_calls');
+  }
+};
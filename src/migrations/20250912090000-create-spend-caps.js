@@ -0,0 +1,47 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('spend_caps', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.literal('uuid_generate_v4()'),
+        primaryKey: true
+      },
+      owner_type: {
+        type: Sequelize.STRING(20),
+        allowNull: false
+      },
+      owner_id: {
+        type: Sequelize.UUID,
+        allowNull: false
+      },
+      daily_limit: {
+        type: Sequelize.DECIMAL(12, 2)
+      },
+      monthly_limit: {
+        type: Sequelize.DECIMAL(12, 2)
+      },
+      updated_by: {
+        type: Sequelize.UUID
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('NOW()')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('NOW()')
+      }
+    });
+
+    await queryInterface.addIndex('spend_caps', ['owner_type', 'owner_id'], { unique: true });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('spend_caps');
+  }
+};
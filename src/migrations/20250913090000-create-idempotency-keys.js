@@ -0,0 +1,62 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('idempotency_keys', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.literal('uuid_generate_v4()'),
+        primaryKey: true
+      },
+      scope: {
+        type: Sequelize.STRING(100),
+        allowNull: false
+      },
+      endpoint: {
+        type: Sequelize.STRING(100),
+        allowNull: false
+      },
+      key: {
+        type: Sequelize.STRING(255),
+        allowNull: false
+      },
+      fingerprint: {
+        type: Sequelize.STRING(64),
+        allowNull: false
+      },
+      status: {
+        type: Sequelize.STRING(20),
+        allowNull: false,
+        defaultValue: 'processing'
+      },
+      response_status: {
+        type: Sequelize.INTEGER
+      },
+      response_body: {
+        type: Sequelize.JSONB
+      },
+      expires_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('NOW()')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('NOW()')
+      }
+    });
+
+    await queryInterface.addIndex('idempotency_keys', ['scope', 'endpoint', 'key'], { unique: true });
+    await queryInterface.addIndex('idempotency_keys', ['expires_at']);
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('idempotency_keys');
+  }
+};
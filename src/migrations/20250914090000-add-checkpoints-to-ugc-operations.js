@@ -0,0 +1,24 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // Output of each completed workflow stage, so a failed operation can resume
+    await queryInterface.addColumn('ugc_operations', 'checkpoints', {
+      type: Sequelize.JSONB,
+      allowNull: false,
+      defaultValue: {}
+    });
+
+    // Uploaded images, kept so stages that need them can run again
+    await queryInterface.addColumn('ugc_operations', 'input_images', {
+      type: Sequelize.JSONB,
+      allowNull: true
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeColumn('ugc_operations', 'input_images');
+    await queryInterface.removeColumn('ugc_operations', 'checkpoints');
+  }
+};
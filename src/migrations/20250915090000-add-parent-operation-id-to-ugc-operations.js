@@ -0,0 +1,24 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // Operation whose script variant an operation generates
+    await queryInterface.addColumn('ugc_operations', 'parent_operation_id', {
+      type: Sequelize.UUID,
+      allowNull: true,
+      references: {
+        model: 'ugc_operations',
+        key: 'id'
+      },
+      onDelete: 'SET NULL'
+    });
+
+    await queryInterface.addIndex('ugc_operations', ['parent_operation_id']);
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeIndex('ugc_operations', ['parent_operation_id']);
+    await queryInterface.removeColumn('ugc_operations', 'parent_operation_id');
+  }
+};
@@ -44,6 +44,40 @@ module.exports = (sequelize) => {
       defaultValue: true,
       field: 'is_active'
     },
+    organizationId: {
+      type: DataTypes.UUID,
+      field: 'organization_id',
+      references: {
+        model: 'organizations',
+        key: 'id'
+      }
+    },
+    expiresAt: {
+      type: DataTypes.DATE,
+      field: 'expires_at'
+    },
+    allowedIps: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: [],
+      field: 'allowed_ips'
+    },
+    replacedById: {
+      type: DataTypes.UUID,
+      field: 'replaced_by_id',
+      references: {
+        model: 'api_keys',
+        key: 'id'
+      }
+    },
+    rotatedAt: {
+      type: DataTypes.DATE,
+      field: 'rotated_at'
+    },
+    graceExpiresAt: {
+      type: DataTypes.DATE,
+      field: 'grace_expires_at'
+    },
     createdBy: {
       type: DataTypes.UUID,
       field: 'created_by',
@@ -64,6 +98,12 @@ module.exports = (sequelize) => {
       {
         fields: ['created_at']
       },
+      {
+        fields: ['organization_id']
+      },
+      {
+        fields: ['expires_at']
+      },
       {
         unique: true,
         fields: ['key_hash']
@@ -88,6 +128,12 @@ module.exports = (sequelize) => {
       as: 'ugcOperations',
       onDelete: 'SET NULL'
     });
+
+    ApiKey.belongsTo(models.Organization, {
+      foreignKey: 'organization_id',
+      as: 'organization',
+      onDelete: 'SET NULL'
+    });
   };
 
   // Instance methods
@@ -100,6 +146,14 @@ module.exports = (sequelize) => {
     return this.save();
   };
 
+  ApiKey.prototype.isExpired = function(now = new Date()) {
+    return Boolean(this.expiresAt) && this.expiresAt <= now;
+  };
+
+  ApiKey.prototype.isRotatedOut = function(now = new Date()) {
+    return Boolean(this.replacedById) && (!this.graceExpiresAt || this.graceExpiresAt <= now);
+  };
+
   ApiKey.prototype.getRateLimit = function(type = 'default') {
     return this.rateLimit[type] || null;
   };
@@ -29,6 +29,14 @@ module.exports = (sequelize) => {
         key: 'id'
       }
     },
+    organizationId: {
+      type: DataTypes.UUID,
+      field: 'organization_id',
+      references: {
+        model: 'organizations',
+        key: 'id'
+      }
+    },
     status: {
       type: DataTypes.STRING(50),
       allowNull: false,
@@ -117,6 +125,9 @@ module.exports = (sequelize) => {
       {
         fields: ['created_at']
       },
+      {
+        fields: ['organization_id']
+      },
       {
         fields: ['api_key_id']
       },
@@ -144,6 +155,12 @@ module.exports = (sequelize) => {
       as: 'operations',
       onDelete: 'CASCADE'
     });
+
+    BatchOperation.belongsTo(models.Organization, {
+      foreignKey: 'organization_id',
+      as: 'organization',
+      onDelete: 'SET NULL'
+    });
   };
 
   // Instance methods
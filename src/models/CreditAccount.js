@@ -0,0 +1,63 @@
+const { DataTypes } = require('sequelize');
+
+// Principals that can hold a credit balance
+const OWNER_TYPES = ['organization', 'user', 'api_key'];
+
+module.exports = (sequelize) => {
+  const CreditAccount = sequelize.define('CreditAccount', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    ownerType: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      field: 'owner_type',
+      validate: {
+        isIn: [OWNER_TYPES]
+      }
+    },
+    ownerId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      field: 'owner_id'
+    },
+    balance: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      validate: { min: 0 }
+    },
+    heldBalance: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      field: 'held_balance',
+      validate: { min: 0 }
+    }
+  }, {
+    tableName: 'credit_accounts',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      {
+        unique: true,
+        fields: ['owner_type', 'owner_id']
+      }
+    ]
+  });
+
+  CreditAccount.associate = (models) => {
+    CreditAccount.hasMany(models.CreditTransaction, {
+      foreignKey: 'account_id',
+      as: 'transactions',
+      onDelete: 'CASCADE'
+    });
+  };
+
+  CreditAccount.OWNER_TYPES = OWNER_TYPES;
+
+  return CreditAccount;
+};
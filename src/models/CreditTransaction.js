@@ -0,0 +1,85 @@
+const { DataTypes } = require('sequelize');
+
+// Ledger entry types
+// top_up: credits added by an admin
+// hold: estimated price set aside when a generation is submitted
+// release: a hold returned when the generation completes and is charged
+// charge: actual price of a completed generation
+// refund: a hold returned when the generation fails or is cancelled
+const TRANSACTION_TYPES = ['top_up', 'hold', 'release', 'charge', 'refund'];
+
+module.exports = (sequelize) => {
+  const CreditTransaction = sequelize.define('CreditTransaction', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    accountId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      field: 'account_id',
+      references: {
+        model: 'credit_accounts',
+        key: 'id'
+      }
+    },
+    type: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      validate: {
+        isIn: [TRANSACTION_TYPES]
+      }
+    },
+    amount: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      comment: 'Change to the available balance (negative for holds and charges)'
+    },
+    balanceAfter: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      field: 'balance_after'
+    },
+    operationId: {
+      type: DataTypes.STRING(255),
+      field: 'operation_id'
+    },
+    description: {
+      type: DataTypes.STRING(500)
+    },
+    metadata: {
+      type: DataTypes.JSONB,
+      defaultValue: {}
+    },
+    createdBy: {
+      type: DataTypes.UUID,
+      field: 'created_by'
+    }
+  }, {
+    tableName: 'credit_transactions',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: false,
+    indexes: [
+      {
+        fields: ['account_id', 'created_at']
+      },
+      {
+        fields: ['operation_id']
+      }
+    ]
+  });
+
+  CreditTransaction.associate = (models) => {
+    CreditTransaction.belongsTo(models.CreditAccount, {
+      foreignKey: 'account_id',
+      as: 'account',
+      onDelete: 'CASCADE'
+    });
+  };
+
+  CreditTransaction.TRANSACTION_TYPES = TRANSACTION_TYPES;
+
+  return CreditTransaction;
+};
@@ -0,0 +1,71 @@
+const { DataTypes } = require('sequelize');
+
+// Lifecycle of a request made with an idempotency key
+const STATUSES = ['processing', 'completed'];
+
+module.exports = (sequelize) => {
+  const IdempotencyKey = sequelize.define('IdempotencyKey', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    scope: {
+      type: DataTypes.STRING(100),
+      allowNull: false,
+      comment: 'Caller the key belongs to, e.g. org:<id>, user:<id> or api_key:<id>'
+    },
+    endpoint: {
+      type: DataTypes.STRING(100),
+      allowNull: false
+    },
+    key: {
+      type: DataTypes.STRING(255),
+      allowNull: false
+    },
+    fingerprint: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+      comment: 'SHA-256 of the request body and uploaded files'
+    },
+    status: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      defaultValue: 'processing',
+      validate: {
+        isIn: [STATUSES]
+      }
+    },
+    responseStatus: {
+      type: DataTypes.INTEGER,
+      field: 'response_status'
+    },
+    responseBody: {
+      type: DataTypes.JSONB,
+      field: 'response_body'
+    },
+    expiresAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      field: 'expires_at'
+    }
+  }, {
+    tableName: 'idempotency_keys',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      {
+        unique: true,
+        fields: ['scope', 'endpoint', 'key']
+      },
+      {
+        fields: ['expires_at']
+      }
+    ]
+  });
+
+  IdempotencyKey.STATUSES = STATUSES;
+
+  return IdempotencyKey;
+};
@@ -0,0 +1,96 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const Organization = sequelize.define('Organization', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    name: {
+      type: DataTypes.STRING(255),
+      allowNull: false
+    },
+    slug: {
+      type: DataTypes.STRING(100),
+      allowNull: false,
+      unique: true,
+      validate: {
+        is: /^[a-z0-9]+(?:-[a-z0-9]+)*$/
+      }
+    },
+    planId: {
+      type: DataTypes.UUID,
+      field: 'plan_id',
+      references: {
+        model: 'plans',
+        key: 'id'
+      }
+    },
+    metadata: {
+      type: DataTypes.JSONB,
+      defaultValue: {}
+    },
+    isActive: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: true,
+      field: 'is_active'
+    },
+    createdBy: {
+      type: DataTypes.UUID,
+      field: 'created_by',
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    }
+  }, {
+    tableName: 'organizations',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      {
+        unique: true,
+        fields: ['slug']
+      },
+      {
+        fields: ['is_active']
+      }
+    ]
+  });
+
+  Organization.associate = (models) => {
+    Organization.hasMany(models.OrganizationMembership, {
+      foreignKey: 'organization_id',
+      as: 'memberships',
+      onDelete: 'CASCADE'
+    });
+
+    Organization.hasMany(models.ApiKey, {
+      foreignKey: 'organization_id',
+      as: 'apiKeys',
+      onDelete: 'SET NULL'
+    });
+
+    Organization.hasMany(models.UgcOperation, {
+      foreignKey: 'organization_id',
+      as: 'ugcOperations',
+      onDelete: 'SET NULL'
+    });
+
+    Organization.hasMany(models.BatchOperation, {
+      foreignKey: 'organization_id',
+      as: 'batchOperations',
+      onDelete: 'SET NULL'
+    });
+
+    Organization.belongsTo(models.Plan, {
+      foreignKey: 'plan_id',
+      as: 'plan',
+      onDelete: 'SET NULL'
+    });
+  };
+
+  return Organization;
+};
@@ -0,0 +1,90 @@
+const { DataTypes } = require('sequelize');
+
+// Ordered from least to most privileged
+const ORGANIZATION_ROLES = ['viewer', 'editor', 'admin', 'owner'];
+
+module.exports = (sequelize) => {
+  const OrganizationMembership = sequelize.define('OrganizationMembership', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    organizationId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      field: 'organization_id',
+      references: {
+        model: 'organizations',
+        key: 'id'
+      }
+    },
+    userId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      field: 'user_id',
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    role: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      defaultValue: 'viewer',
+      validate: {
+        isIn: [ORGANIZATION_ROLES]
+      }
+    },
+    invitedBy: {
+      type: DataTypes.UUID,
+      field: 'invited_by',
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    }
+  }, {
+    tableName: 'organization_memberships',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      {
+        unique: true,
+        fields: ['organization_id', 'user_id']
+      },
+      {
+        fields: ['user_id']
+      }
+    ]
+  });
+
+  OrganizationMembership.associate = (models) => {
+    OrganizationMembership.belongsTo(models.Organization, {
+      foreignKey: 'organization_id',
+      as: 'organization',
+      onDelete: 'CASCADE'
+    });
+
+    OrganizationMembership.belongsTo(models.User, {
+      foreignKey: 'user_id',
+      as: 'user',
+      onDelete: 'CASCADE'
+    });
+  };
+
+  // Instance methods
+  OrganizationMembership.prototype.hasRole = function(minimumRole) {
+    return ORGANIZATION_ROLES.indexOf(this.role) >= ORGANIZATION_ROLES.indexOf(minimumRole);
+  };
+
+  // Class methods
+  OrganizationMembership.findMembership = function(organizationId, userId) {
+    return this.findOne({ where: { organizationId, userId } });
+  };
+
+  OrganizationMembership.ROLES = ORGANIZATION_ROLES;
+
+  return OrganizationMembership;
+};
@@ -0,0 +1,94 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const Plan = sequelize.define('Plan', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    name: {
+      type: DataTypes.STRING(50),
+      allowNull: false,
+      unique: true,
+      validate: {
+        is: /^[a-z0-9_-]+$/
+      }
+    },
+    displayName: {
+      type: DataTypes.STRING(100),
+      allowNull: false,
+      field: 'display_name'
+    },
+    dailyLimit: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      field: 'daily_limit',
+      validate: { min: 0 }
+    },
+    monthlyLimit: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      field: 'monthly_limit',
+      validate: { min: 0 }
+    },
+    concurrentLimit: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      field: 'concurrent_limit',
+      validate: { min: 0 }
+    },
+    queuePriority: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 5,
+      field: 'queue_priority',
+      validate: { min: 1, max: 10 }
+    },
+    maxSegments: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      field: 'max_segments',
+      validate: { min: 1 }
+    },
+    maxBatchSize: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      field: 'max_batch_size',
+      validate: { min: 1 }
+    },
+    watermarkRequired: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+      field: 'watermark_required'
+    },
+    isActive: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: true,
+      field: 'is_active'
+    }
+  }, {
+    tableName: 'plans',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      {
+        unique: true,
+        fields: ['name']
+      }
+    ]
+  });
+
+  /**
+   * Find an active plan by name
+   * @param {string} name - Plan name
+   * @returns {Promise<Plan|null>} Plan or null
+   */
+  Plan.findByName = function(name) {
+    return this.findOne({ where: { name, isActive: true } });
+  };
+
+  return Plan;
+};
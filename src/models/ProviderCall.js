@@ -0,0 +1,117 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const ProviderCall = sequelize.define('ProviderCall', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    operationId: {
+      type: DataTypes.STRING(255),
+      field: 'operation_id'
+    },
+    batchId: {
+      type: DataTypes.STRING(255),
+      field: 'batch_id'
+    },
+    apiKeyId: {
+      type: DataTypes.UUID,
+      field: 'api_key_id'
+    },
+    userId: {
+      type: DataTypes.UUID,
+      field: 'user_id'
+    },
+    organizationId: {
+      type: DataTypes.UUID,
+      field: 'organization_id'
+    },
+    provider: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      validate: {
+        isIn: [['openai', 'gemini', 'veo']]
+      }
+    },
+    service: {
+      type: DataTypes.STRING(50),
+      allowNull: false,
+      validate: {
+        isIn: [['script_generation', 'image_analysis', 'video_generation']]
+      }
+    },
+    model: {
+      type: DataTypes.STRING(100),
+      allowNull: false
+    },
+    unit: {
+      type: DataTypes.STRING(20)
+    },
+    inputUnits: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      field: 'input_units'
+    },
+    outputUnits: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      field: 'output_units'
+    },
+    latencyMs: {
+      type: DataTypes.INTEGER,
+      field: 'latency_ms'
+    },
+    cacheHit: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+      field: 'cache_hit'
+    },
+    status: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      defaultValue: 'success',
+      validate: {
+        isIn: [['success', 'error']]
+      }
+    },
+    errorMessage: {
+      type: DataTypes.TEXT,
+      field: 'error_message'
+    },
+    cost: {
+      type: DataTypes.DECIMAL(12, 6),
+      comment: 'Cost in USD (null when the model has no price)'
+    }
+  }, {
+    tableName: 'provider_calls',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: false,
+    indexes: [
+      {
+        fields: ['operation_id']
+      },
+      {
+        fields: ['batch_id']
+      },
+      {
+        fields: ['created_at']
+      },
+      {
+        fields: ['api_key_id']
+      },
+      {
+        fields: ['user_id']
+      },
+      {
+        fields: ['organization_id']
+      }
+    ]
+  });
+
+  return ProviderCall;
+};
@@ -31,6 +31,48 @@ module.exports = (sequelize) => {
       type: DataTypes.BOOLEAN,
       defaultValue: true,
       field: 'is_active'
+    },
+    familyId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      defaultValue: DataTypes.UUIDV4,
+      field: 'family_id',
+      comment: 'Shared by every token rotated from the same login'
+    },
+    replacedById: {
+      type: DataTypes.UUID,
+      field: 'replaced_by_id'
+    },
+    revokedAt: {
+      type: DataTypes.DATE,
+      field: 'revoked_at'
+    },
+    revokedReason: {
+      type: DataTypes.STRING(50),
+      field: 'revoked_reason',
+      validate: {
+        isIn: [['rotated', 'logout', 'session_revoked', 'reuse_detected', 'user_deactivated']]
+      }
+    },
+    deviceName: {
+      type: DataTypes.STRING(255),
+      field: 'device_name'
+    },
+    userAgent: {
+      type: DataTypes.TEXT,
+      field: 'user_agent'
+    },
+    ipAddress: {
+      type: DataTypes.INET,
+      field: 'ip_address'
+    },
+    sessionStartedAt: {
+      type: DataTypes.DATE,
+      field: 'session_started_at'
+    },
+    lastUsedAt: {
+      type: DataTypes.DATE,
+      field: 'last_used_at'
     }
   }, {
     tableName: 'refresh_tokens',
@@ -44,6 +86,9 @@ module.exports = (sequelize) => {
       {
         fields: ['expires_at']
       },
+      {
+        fields: ['family_id']
+      },
       {
         unique: true,
         fields: ['token_hash']
@@ -64,8 +109,10 @@ module.exports = (sequelize) => {
     return new Date() > this.expiresAt;
   };
 
-  RefreshToken.prototype.revoke = function() {
+  RefreshToken.prototype.revoke = function(reason = 'logout') {
     this.isActive = false;
+    this.revokedAt = new Date();
+    this.revokedReason = reason;
     return this.save();
   };
 
@@ -94,6 +141,24 @@ module.exports = (sequelize) => {
     });
   };
 
+  RefreshToken.findActiveSessions = function(userId) {
+    return this.findAll({
+      where: {
+        userId,
+        isActive: true,
+        expiresAt: { [sequelize.Sequelize.Op.gt]: new Date() }
+      },
+      order: [['last_used_at', 'DESC']]
+    });
+  };
+
+  RefreshToken.revokeFamily = function(familyId, reason) {
+    return this.update(
+      { isActive: false, revokedAt: new Date(), revokedReason: reason },
+      { where: { familyId, isActive: true } }
+    );
+  };
+
   RefreshToken.cleanupExpired = function() {
     return this.update(
       { isActive: false },
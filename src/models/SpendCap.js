@@ -0,0 +1,56 @@
+const { DataTypes } = require('sequelize');
+
+// Principals that can cap their provider spend
+const OWNER_TYPES = ['organization', 'api_key'];
+
+module.exports = (sequelize) => {
+  const SpendCap = sequelize.define('SpendCap', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    ownerType: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      field: 'owner_type',
+      validate: {
+        isIn: [OWNER_TYPES]
+      }
+    },
+    ownerId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      field: 'owner_id'
+    },
+    dailyLimit: {
+      type: DataTypes.DECIMAL(12, 2),
+      field: 'daily_limit',
+      comment: 'Daily provider spend cap in USD (null for no cap)'
+    },
+    monthlyLimit: {
+      type: DataTypes.DECIMAL(12, 2),
+      field: 'monthly_limit',
+      comment: 'Monthly provider spend cap in USD (null for no cap)'
+    },
+    updatedBy: {
+      type: DataTypes.UUID,
+      field: 'updated_by'
+    }
+  }, {
+    tableName: 'spend_caps',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      {
+        unique: true,
+        fields: ['owner_type', 'owner_id']
+      }
+    ]
+  });
+
+  SpendCap.OWNER_TYPES = OWNER_TYPES;
+
+  return SpendCap;
+};
@@ -29,6 +29,14 @@ module.exports = (sequelize) => {
         key: 'id'
       }
     },
+    organizationId: {
+      type: DataTypes.UUID,
+      field: 'organization_id',
+      references: {
+        model: 'organizations',
+        key: 'id'
+      }
+    },
     batchId: {
       type: DataTypes.UUID,
       field: 'batch_id',
@@ -37,12 +45,20 @@ module.exports = (sequelize) => {
         key: 'id'
       }
     },
+    parentOperationId: {
+      type: DataTypes.UUID,
+      field: 'parent_operation_id',
+      references: {
+        model: 'ugc_operations',
+        key: 'id'
+      }
+    },
     status: {
       type: DataTypes.STRING(50),
       allowNull: false,
       defaultValue: 'pending',
       validate: {
-        isIn: [['pending', 'processing', 'completed', 'failed', 'cancelled']]
+        isIn: [['pending', 'processing', 'awaiting_approval', 'completed', 'failed', 'cancelled']]
       }
     },
     creativeBrief: {
@@ -66,12 +82,24 @@ module.exports = (sequelize) => {
       type: DataTypes.JSONB,
       defaultValue: {}
     },
+    checkpoints: {
+      type: DataTypes.JSONB,
+      defaultValue: {}
+    },
+    inputImages: {
+      type: DataTypes.JSONB,
+      field: 'input_images'
+    },
     completedAt: {
       type: DataTypes.DATE,
       field: 'completed_at'
     }
   }, {
     tableName: 'ugc_operations',
+    // Uploaded images are only loaded to resume a workflow
+    defaultScope: {
+      attributes: { exclude: ['inputImages'] }
+    },
     timestamps: true,
     createdAt: 'created_at',
     updatedAt: 'updated_at',
@@ -86,11 +114,17 @@ module.exports = (sequelize) => {
       {
         fields: ['created_at']
       },
+      {
+        fields: ['organization_id']
+      },
       {
         fields: ['api_key_id']
       },
       {
         fields: ['user_id']
+      },
+      {
+        fields: ['parent_operation_id']
       }
     ]
   });
@@ -113,6 +147,24 @@ module.exports = (sequelize) => {
       as: 'batch',
       onDelete: 'SET NULL'
     });
+
+    UgcOperation.belongsTo(models.Organization, {
+      foreignKey: 'organization_id',
+      as: 'organization',
+      onDelete: 'SET NULL'
+    });
+
+    // Script variants picked for video generation are siblings under the operation that wrote them
+    UgcOperation.belongsTo(models.UgcOperation, {
+      foreignKey: 'parent_operation_id',
+      as: 'parentOperation',
+      onDelete: 'SET NULL'
+    });
+
+    UgcOperation.hasMany(models.UgcOperation, {
+      foreignKey: 'parent_operation_id',
+      as: 'variantOperations'
+    });
   };
 
   // Instance methods
@@ -172,6 +224,14 @@ module.exports = (sequelize) => {
     });
   };
 
+  UgcOperation.getInputImages = async function(operationId) {
+    const operation = await this.unscoped().findOne({
+      where: { operationId },
+      attributes: ['inputImages']
+    });
+    return operation?.inputImages || [];
+  };
+
   UgcOperation.findByUser = function(userId, limit = 50) {
     return this.findAll({ 
       where: { userId },
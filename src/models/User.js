@@ -41,6 +41,24 @@ module.exports = (sequelize) => {
       allowNull: false,
       defaultValue: []
     },
+    passwordHash: {
+      type: DataTypes.STRING(255),
+      field: 'password_hash'
+    },
+    // Foreign key lives in the migration; declaring it here would make
+    // users <-> organizations a cyclic dependency for sync()
+    activeOrganizationId: {
+      type: DataTypes.UUID,
+      field: 'active_organization_id'
+    },
+    planId: {
+      type: DataTypes.UUID,
+      field: 'plan_id',
+      references: {
+        model: 'plans',
+        key: 'id'
+      }
+    },
     metadata: {
       type: DataTypes.JSONB,
       defaultValue: {}
@@ -91,6 +109,18 @@ module.exports = (sequelize) => {
       as: 'ugcOperations',
       onDelete: 'SET NULL'
     });
+
+    User.hasMany(models.OrganizationMembership, {
+      foreignKey: 'user_id',
+      as: 'memberships',
+      onDelete: 'CASCADE'
+    });
+
+    User.belongsTo(models.Plan, {
+      foreignKey: 'plan_id',
+      as: 'plan',
+      onDelete: 'SET NULL'
+    });
   };
 
   // Instance methods
@@ -7,6 +7,14 @@ const RefreshToken = require('./RefreshToken');
 const ApiUsage = require('./ApiUsage');
 const UgcOperation = require('./UgcOperation');
 const BatchOperation = require('./BatchOperation');
+const Organization = require('./Organization');
+const OrganizationMembership = require('./OrganizationMembership');
+const Plan = require('./Plan');
+const CreditAccount = require('./CreditAccount');
+const CreditTransaction = require('./CreditTransaction');
+const ProviderCall = require('./ProviderCall');
+const SpendCap = require('./SpendCap');
+const IdempotencyKey = require('./IdempotencyKey');
 
 // Initialize models
 const models = {
@@ -15,7 +23,15 @@ const models = {
   RefreshToken: RefreshToken(sequelize),
   ApiUsage: ApiUsage(sequelize),
   UgcOperation: UgcOperation(sequelize),
-  BatchOperation: BatchOperation(sequelize)
+  BatchOperation: BatchOperation(sequelize),
+  Organization: Organization(sequelize),
+  OrganizationMembership: OrganizationMembership(sequelize),
+  Plan: Plan(sequelize),
+  CreditAccount: CreditAccount(sequelize),
+  CreditTransaction: CreditTransaction(sequelize),
+  ProviderCall: ProviderCall(sequelize),
+  SpendCap: SpendCap(sequelize),
+  IdempotencyKey: IdempotencyKey(sequelize)
 };
 
 // Define associations
@@ -3,9 +3,31 @@
 const bcrypt = require('bcryptjs');
 const crypto = require('crypto');
 
+/**
+ * Build a demo API key in the ugc_<keyId>_<secret> format so the key ID
+ * prefix resolves to the seeded api_keys row.
+ * @param {string} keyId - api_keys row ID
+ * @param {string} seed - Seed for the deterministic demo secret
+ * @returns {string} Plaintext demo API key
+ */
+const demoApiKey = (keyId, seed) => {
+  const secret = crypto.createHash('sha256').update(seed).digest('hex');
+  return `ugc_${keyId.replace(/-/g, '')}_${secret}`;
+};
+
+const DEMO_KEYS = {
+  admin: demoApiKey('550e8400-e29b-41d4-a716-446655440011', 'ugc_admin_key_demo'),
+  user: demoApiKey('550e8400-e29b-41d4-a716-446655440012', 'ugc_user_key_demo'),
+  developer: demoApiKey('550e8400-e29b-41d4-a716-446655440013', 'ugc_dev_key_demo')
+};
+
+const DEMO_PASSWORD = 'password123';
+
 /** @type {import('sequelize-cli').Migration} */
 module.exports = {
   async up(queryInterface, Sequelize) {
+    const demoPasswordHash = await bcrypt.hash(DEMO_PASSWORD, 12);
+
     // Insert demo users
     const users = await queryInterface.bulkInsert('users', [
       {
@@ -16,6 +38,7 @@ module.exports = {
         provider_id: 'admin-local',
         role: 'admin',
         permissions: JSON.stringify(['*']),
+        password_hash: demoPasswordHash,
         metadata: JSON.stringify({ demo: true }),
         created_at: new Date(),
         is_active: true
@@ -28,6 +51,7 @@ module.exports = {
         provider_id: 'user-local',
         role: 'user',
         permissions: JSON.stringify(['ugc:generate', 'cache:read']),
+        password_hash: demoPasswordHash,
         metadata: JSON.stringify({ demo: true }),
         created_at: new Date(),
         is_active: true
@@ -40,6 +64,7 @@ module.exports = {
         provider_id: 'developer-local',
         role: 'user',
         permissions: JSON.stringify(['ugc:generate', 'ugc:batch', 'cache:read', 'cache:write']),
+        password_hash: demoPasswordHash,
         metadata: JSON.stringify({ demo: true, tier: 'premium' }),
         created_at: new Date(),
         is_active: true
@@ -50,13 +75,14 @@ module.exports = {
     const apiKeys = [
       {
         id: '550e8400-e29b-41d4-a716-446655440011',
-        key_hash: await bcrypt.hash('ugc_admin_key_demo_12345', 10),
+        key_hash: await bcrypt.hash(DEMO_KEYS.admin, 10),
         name: 'Admin Demo Key',
         description: 'Demo API key for admin user with full permissions',
         permissions: JSON.stringify(['*']),
         rate_limit: JSON.stringify({
-          default: { windowMs: 900000, maxRequests: 1000 },
-          daily: { maxRequests: 10000 }
+          windowMs: 900000,
+          maxRequests: 1000,
+          maxDailyRequests: 10000
         }),
         metadata: JSON.stringify({ demo: true, tier: 'admin' }),
         created_at: new Date(),
@@ -65,13 +91,14 @@ module.exports = {
       },
       {
         id: '550e8400-e29b-41d4-a716-446655440012',
-        key_hash: await bcrypt.hash('ugc_user_key_demo_67890', 10),
+        key_hash: await bcrypt.hash(DEMO_KEYS.user, 10),
         name: 'User Demo Key',
         description: 'Demo API key for regular user with standard permissions',
         permissions: JSON.stringify(['ugc:generate', 'cache:read']),
         rate_limit: JSON.stringify({
-          default: { windowMs: 900000, maxRequests: 100 },
-          daily: { maxRequests: 1000 }
+          windowMs: 900000,
+          maxRequests: 100,
+          maxDailyRequests: 1000
         }),
         metadata: JSON.stringify({ demo: true, tier: 'standard' }),
         created_at: new Date(),
@@ -80,13 +107,14 @@ module.exports = {
       },
       {
         id: '550e8400-e29b-41d4-a716-446655440013',
-        key_hash: await bcrypt.hash('ugc_dev_key_demo_abcdef', 10),
+        key_hash: await bcrypt.hash(DEMO_KEYS.developer, 10),
         name: 'Developer Demo Key',
         description: 'Demo API key for developer with premium permissions',
         permissions: JSON.stringify(['ugc:generate', 'ugc:batch', 'cache:read', 'cache:write']),
         rate_limit: JSON.stringify({
-          default: { windowMs: 900000, maxRequests: 500 },
-          daily: { maxRequests: 5000 }
+          windowMs: 900000,
+          maxRequests: 500,
+          maxDailyRequests: 5000
         }),
         metadata: JSON.stringify({ demo: true, tier: 'premium' }),
         created_at: new Date(),
@@ -159,10 +187,11 @@ module.exports = {
     await queryInterface.bulkInsert('api_usage', usageLogs);
 
     console.log('Demo data seeded successfully!');
+    console.log(`Demo users (admin@ugc.local, user@ugc.local, developer@ugc.local) password: ${DEMO_PASSWORD}`);
     console.log('Demo API Keys:');
-    console.log('- Admin: ugc_admin_key_demo_12345');
-    console.log('- User: ugc_user_key_demo_67890');
-    console.log('- Developer: ugc_dev_key_demo_abcdef');
+    console.log(`- Admin: ${DEMO_KEYS.admin}`);
+    console.log(`- User: ${DEMO_KEYS.user}`);
+    console.log(`- Developer: ${DEMO_KEYS.developer}`);
   },
 
   async down(queryInterface, Sequelize) {
@@ -1,42 +1,26 @@
 const crypto = require('crypto');
 const bcrypt = require('bcryptjs');
-const cacheService = require('./cacheService');
+const { Op } = require('sequelize');
+const models = require('../models');
+const rateLimitService = require('./rateLimitService');
+const { getConfig } = require('../utils/config');
+
+// Longest grace period a rotated key may keep working for
+const MAX_ROTATION_GRACE_PERIOD_MS = 30 * 24 * 60 * 60 * 1000;
 
 /**
  * API Key Service for managing API key generation, validation, and usage tracking
+ * Keys and usage are persisted through the ApiKey and ApiUsage models and
+ * rate-limit counters live in Redis, so every process sees the same state.
  */
 class ApiKeyService {
   constructor() {
-    // In-memory storage for demo purposes
-    // In production, this should be replaced with a database
-    this.apiKeys = new Map();
-    this.usageStats = new Map();
-    this.rateLimits = new Map();
-    
     // Default rate limits
     this.defaultRateLimit = {
       windowMs: 15 * 60 * 1000, // 15 minutes
       maxRequests: 100, // 100 requests per window
       maxDailyRequests: 1000 // 1000 requests per day
     };
-    
-    this.initializeDefaultKeys();
-  }
-
-  /**
-   * Initialize some default API keys for testing
-   */
-  initializeDefaultKeys() {
-    // Create a default API key for testing
-    const defaultKey = this.generateApiKey({
-      name: 'Default Test Key',
-      description: 'Default API key for testing purposes',
-      permissions: ['ugc:generate', 'cache:read'],
-      rateLimit: this.defaultRateLimit
-    });
-    
-    console.log(`🔑 Default API key created: ${defaultKey.key}`);
-    console.log('   Use this key for testing by adding header: X-API-Key: ' + defaultKey.key);
   }
 
   /**
@@ -46,395 +30,554 @@ class ApiKeyService {
    * @param {string} options.description - Description of the key's purpose
    * @param {Array} options.permissions - Array of permissions
    * @param {Object} options.rateLimit - Custom rate limit settings
-   * @returns {Object} Generated API key information
+   * @param {Date} options.expiresAt - When the key stops working (optional)
+   * @param {Array} options.allowedIps - CIDR ranges the key may be used from (optional)
+   * @param {string} options.organizationId - Organization that owns the key (optional)
+   * @param {string} options.createdBy - ID of the user creating the key
+   * @param {Object} options.transaction - Sequelize transaction (optional)
+   * @returns {Promise<Object>} Generated API key information
    */
-  generateApiKey(options = {}) {
+  async generateApiKey(options = {}) {
     const keyId = crypto.randomUUID();
     const keySecret = crypto.randomBytes(32).toString('hex');
     const apiKey = `ugc_${keyId.replace(/-/g, '')}_${keySecret}`;
-    
+
     // Hash the key for storage (security best practice)
-    const hashedKey = bcrypt.hashSync(apiKey, 10);
-    
-    const keyData = {
+    const hashedKey = await bcrypt.hash(apiKey, 10);
+
+    const record = await models.ApiKey.create({
       id: keyId,
-      key: apiKey, // Return unhashed key only once
-      hashedKey: hashedKey,
+      keyHash: hashedKey,
       name: options.name || 'Unnamed Key',
       description: options.description || '',
       permissions: options.permissions || ['ugc:generate'],
       rateLimit: options.rateLimit || this.defaultRateLimit,
-      createdAt: new Date(),
+      metadata: options.metadata || {},
+      expiresAt: options.expiresAt || null,
+      allowedIps: options.allowedIps || [],
+      organizationId: options.organizationId || null,
+      createdBy: options.createdBy || null,
+      isActive: true
+    }, { transaction: options.transaction });
+
+    return {
+      id: record.id,
+      key: apiKey, // Return unhashed key only once
+      name: record.name,
+      description: record.description,
+      permissions: record.permissions,
+      rateLimit: record.rateLimit,
+      createdAt: record.created_at,
+      expiresAt: record.expiresAt || null,
+      allowedIps: record.allowedIps || [],
+      organizationId: record.organizationId || null,
       lastUsed: null,
-      isActive: true,
-      metadata: options.metadata || {}
+      isActive: record.isActive,
+      metadata: record.metadata
     };
-    
-    // Store with hashed key
-    this.apiKeys.set(keyId, {
-      ...keyData,
-      key: undefined // Don't store the actual key
-    });
-    
-    // Initialize usage stats
-    this.usageStats.set(keyId, {
-      totalRequests: 0,
-      dailyRequests: 0,
-      lastResetDate: new Date().toDateString(),
-      requestHistory: [],
-      errors: 0,
-      lastError: null
-    });
-    
-    // Initialize rate limit tracking
-    this.rateLimits.set(keyId, {
-      windowStart: Date.now(),
-      requestCount: 0,
-      dailyCount: 0,
-      dailyResetTime: this.getNextMidnight()
+  }
+
+  /**
+   * Rotate an API key
+   * Issues a successor with the same name, permissions and limits. The old
+   * key keeps working until its grace period ends, then is rejected as rotated.
+   * @param {string} keyId - The API key ID to rotate
+   * @param {Object} options - Rotation options
+   * @param {number} options.gracePeriodMs - How long the old key keeps working
+   * @param {Date} options.expiresAt - Expiry for the successor (defaults to none)
+   * @param {Array} options.allowedIps - Allowlist for the successor (defaults to the old key's)
+   * @returns {Promise<Object|null>} Successor key information, or null if the key does not exist
+   */
+  async rotateApiKey(keyId, options = {}) {
+    const record = await models.ApiKey.findByPk(keyId);
+    if (!record) {
+      return null;
+    }
+    if (record.replacedById) {
+      throw new Error('API key has already been rotated');
+    }
+    if (!record.isActive || record.isExpired()) {
+      throw new Error('Only active, unexpired API keys can be rotated');
+    }
+
+    const gracePeriodMs = options.gracePeriodMs ?? this.getDefaultGracePeriodMs();
+    const rotatedAt = new Date();
+    const graceExpiresAt = new Date(rotatedAt.getTime() + gracePeriodMs);
+
+    return models.sequelize.transaction(async (transaction) => {
+      const successor = await this.generateApiKey({
+        name: record.name,
+        description: record.description,
+        permissions: record.permissions,
+        rateLimit: record.rateLimit,
+        metadata: record.metadata,
+        expiresAt: options.expiresAt,
+        allowedIps: options.allowedIps || record.allowedIps,
+        organizationId: record.organizationId,
+        createdBy: record.createdBy,
+        transaction
+      });
+
+      // Only the first concurrent rotation wins
+      const [updated] = await models.ApiKey.update(
+        { replacedById: successor.id, rotatedAt, graceExpiresAt },
+        { where: { id: keyId, replacedById: null }, transaction }
+      );
+      if (updated === 0) {
+        throw new Error('API key has already been rotated');
+      }
+
+      return {
+        ...successor,
+        rotatedFrom: {
+          id: keyId,
+          rotatedAt,
+          graceExpiresAt
+        }
+      };
     });
-    
-    return keyData;
   }
 
   /**
-   * Validate an API key
-   * @param {string} apiKey - The API key to validate
-   * @returns {Object|null} Key data if valid, null if invalid
+   * Default grace period for rotated keys
+   * @returns {number} Grace period in milliseconds
    */
-  async validateApiKey(apiKey) {
-    if (!apiKey || !apiKey.startsWith('ugc_')) {
+  getDefaultGracePeriodMs() {
+    return getConfig().getAuthConfig().keyRotationGracePeriodMs;
+  }
+
+  /**
+   * Longest grace period accepted for a rotation
+   * @returns {number} Grace period in milliseconds
+   */
+  getMaxGracePeriodMs() {
+    return MAX_ROTATION_GRACE_PERIOD_MS;
+  }
+
+  /**
+   * Extract the key ID embedded in an API key
+   * @param {string} apiKey - The API key (ugc_<keyId>_<secret>)
+   * @returns {string|null} Key ID in UUID format, or null if malformed
+   */
+  parseKeyId(apiKey) {
+    if (!apiKey || typeof apiKey !== 'string' || !apiKey.startsWith('ugc_')) {
       return null;
     }
-    
-    // Extract key ID from the API key format
+
     const keyParts = apiKey.split('_');
-    if (keyParts.length !== 3) {
+    if (keyParts.length !== 3 || !/^[a-f0-9]{32}$/.test(keyParts[1])) {
       return null;
     }
-    
-    // Try to find the key by comparing hashes
-    for (const [keyId, keyData] of this.apiKeys.entries()) {
-      if (!keyData.isActive) continue;
-      
-      try {
-        if (bcrypt.compareSync(apiKey, keyData.hashedKey)) {
-          // Update last used timestamp
-          keyData.lastUsed = new Date();
-          this.apiKeys.set(keyId, keyData);
-          
-          return {
-            id: keyId,
-            ...keyData
-          };
-        }
-      } catch (error) {
-        console.error('Error comparing API key hash:', error);
-        continue;
+
+    const hex = keyParts[1];
+    return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+  }
+
+  /**
+   * Validate an API key
+   * The key ID prefix is used to load a single record, so only one bcrypt
+   * comparison is needed per request. Inactive, expired and rotated keys are
+   * returned (flagged as such) so callers can report them distinctly from
+   * unknown keys.
+   * @param {string} apiKey - The API key to validate
+   * @returns {Promise<Object|null>} Key data if the key matches, null otherwise
+   */
+  async validateApiKey(apiKey) {
+    const keyId = this.parseKeyId(apiKey);
+    if (!keyId) {
+      return null;
+    }
+
+    try {
+      const record = await models.ApiKey.findByPk(keyId);
+      if (!record) {
+        return null;
+      }
+
+      const matches = await bcrypt.compare(apiKey, record.keyHash);
+      if (!matches) {
+        return null;
       }
+
+      const keyData = {
+        ...this.toKeyData(record),
+        isExpired: record.isExpired(),
+        isRotatedOut: record.isRotatedOut()
+      };
+
+      if (keyData.isActive && !keyData.isExpired && !keyData.isRotatedOut) {
+        // Update last used timestamp
+        await record.updateLastUsed();
+      }
+
+      return keyData;
+    } catch (error) {
+      console.error('Error validating API key:', error.message);
+      return null;
     }
-    
-    return null;
   }
 
   /**
-   * Check rate limits for an API key
+   * Check rate limits for an API key and charge the request against them
+   * Counters are kept in Redis so every process enforces the same limits.
    * @param {string} keyId - The API key ID
-   * @returns {Object} Rate limit status
+   * @param {number} cost - Units to charge for the request
+   * @returns {Promise<Object>} Rate limit status
    */
-  checkRateLimit(keyId) {
-    const keyData = this.apiKeys.get(keyId);
-    if (!keyData) {
+  async checkRateLimit(keyId, cost) {
+    const record = await models.ApiKey.findByPk(keyId);
+    if (!record) {
       return { allowed: false, reason: 'Invalid API key' };
     }
-    
-    const rateLimitData = this.rateLimits.get(keyId);
-    const now = Date.now();
-    
-    // Reset daily counter if needed
-    if (now >= rateLimitData.dailyResetTime) {
-      rateLimitData.dailyCount = 0;
-      rateLimitData.dailyResetTime = this.getNextMidnight();
-    }
-    
-    // Reset window counter if needed
-    if (now - rateLimitData.windowStart >= keyData.rateLimit.windowMs) {
-      rateLimitData.windowStart = now;
-      rateLimitData.requestCount = 0;
-    }
-    
-    // Check daily limit
-    if (rateLimitData.dailyCount >= keyData.rateLimit.maxDailyRequests) {
-      return {
-        allowed: false,
-        reason: 'Daily rate limit exceeded',
-        resetTime: rateLimitData.dailyResetTime,
-        limit: keyData.rateLimit.maxDailyRequests,
-        remaining: 0
-      };
-    }
-    
-    // Check window limit
-    if (rateLimitData.requestCount >= keyData.rateLimit.maxRequests) {
-      return {
-        allowed: false,
-        reason: 'Rate limit exceeded',
-        resetTime: rateLimitData.windowStart + keyData.rateLimit.windowMs,
-        limit: keyData.rateLimit.maxRequests,
-        remaining: 0
-      };
-    }
-    
-    return {
-      allowed: true,
-      limit: keyData.rateLimit.maxRequests,
-      remaining: keyData.rateLimit.maxRequests - rateLimitData.requestCount,
-      dailyLimit: keyData.rateLimit.maxDailyRequests,
-      dailyRemaining: keyData.rateLimit.maxDailyRequests - rateLimitData.dailyCount,
-      resetTime: rateLimitData.windowStart + keyData.rateLimit.windowMs
-    };
+
+    return rateLimitService.consume(`apikey:${keyId}`, this.getRateLimitConfig(record), cost);
   }
 
   /**
    * Record API usage for tracking and analytics
    * @param {string} keyId - The API key ID
    * @param {Object} requestInfo - Information about the request
+   * @returns {Promise<void>}
    */
-  recordUsage(keyId, requestInfo = {}) {
-    const usageData = this.usageStats.get(keyId);
-    const rateLimitData = this.rateLimits.get(keyId);
-    
-    if (!usageData || !rateLimitData) {
-      return;
-    }
-    
-    // Update counters
-    usageData.totalRequests++;
-    rateLimitData.requestCount++;
-    rateLimitData.dailyCount++;
-    
-    // Reset daily counter if needed
-    const today = new Date().toDateString();
-    if (usageData.lastResetDate !== today) {
-      usageData.dailyRequests = 1;
-      usageData.lastResetDate = today;
-    } else {
-      usageData.dailyRequests++;
-    }
-    
-    // Add to request history (keep last 100 requests)
-    usageData.requestHistory.push({
-      timestamp: new Date(),
-      endpoint: requestInfo.endpoint || 'unknown',
-      method: requestInfo.method || 'unknown',
-      statusCode: requestInfo.statusCode || 200,
-      responseTime: requestInfo.responseTime || 0,
-      userAgent: requestInfo.userAgent || 'unknown'
-    });
-    
-    // Keep only last 100 requests
-    if (usageData.requestHistory.length > 100) {
-      usageData.requestHistory = usageData.requestHistory.slice(-100);
+  async recordUsage(keyId, requestInfo = {}) {
+    try {
+      await models.ApiUsage.logRequest({
+        apiKeyId: keyId,
+        userId: requestInfo.userId || null,
+        endpoint: requestInfo.endpoint || 'unknown',
+        method: requestInfo.method || 'GET',
+        statusCode: requestInfo.statusCode || 200,
+        responseTime: requestInfo.responseTime || 0,
+        userAgent: requestInfo.userAgent || 'unknown',
+        ipAddress: requestInfo.ipAddress || null
+      });
+    } catch (error) {
+      console.error('Failed to record API usage:', error.message);
     }
-    
-    // Update storage
-    this.usageStats.set(keyId, usageData);
-    this.rateLimits.set(keyId, rateLimitData);
   }
 
   /**
    * Record an error for an API key
+   * The error count is derived from the usage log; this keeps the last error
+   * details on the key itself.
    * @param {string} keyId - The API key ID
    * @param {Object} errorInfo - Information about the error
+   * @returns {Promise<void>}
    */
-  recordError(keyId, errorInfo = {}) {
-    const usageData = this.usageStats.get(keyId);
-    if (!usageData) return;
-    
-    usageData.errors++;
-    usageData.lastError = {
-      timestamp: new Date(),
-      message: errorInfo.message || 'Unknown error',
-      endpoint: errorInfo.endpoint || 'unknown',
-      statusCode: errorInfo.statusCode || 500
-    };
-    
-    this.usageStats.set(keyId, usageData);
+  async recordError(keyId, errorInfo = {}) {
+    try {
+      const record = await models.ApiKey.findByPk(keyId);
+      if (!record) return;
+
+      record.metadata = {
+        ...(record.metadata || {}),
+        lastError: {
+          timestamp: new Date(),
+          message: errorInfo.message || 'Unknown error',
+          endpoint: errorInfo.endpoint || 'unknown',
+          statusCode: errorInfo.statusCode || 500
+        }
+      };
+      record.changed('metadata', true);
+      await record.save();
+    } catch (error) {
+      console.error('Failed to record API key error:', error.message);
+    }
   }
 
   /**
    * Get usage statistics for an API key
    * @param {string} keyId - The API key ID
-   * @returns {Object} Usage statistics
+   * @returns {Promise<Object|null>} Usage statistics
    */
-  getUsageStats(keyId) {
-    const keyData = this.apiKeys.get(keyId);
-    const usageData = this.usageStats.get(keyId);
-    const rateLimitData = this.rateLimits.get(keyId);
-    
-    if (!keyData || !usageData) {
+  async getUsageStats(keyId) {
+    const record = await models.ApiKey.findByPk(keyId);
+    if (!record) {
       return null;
     }
-    
+
+    const [totalRequests, dailyRequests, rateLimitStatus, errors, recentRequests] = await Promise.all([
+      this.countRequests(keyId),
+      this.countRequests(keyId, this.getStartOfDay()),
+      rateLimitService.getStatus(`apikey:${keyId}`, this.getRateLimitConfig(record)),
+      models.ApiUsage.count({
+        where: { apiKeyId: keyId, statusCode: { [Op.gte]: 400 } }
+      }),
+      models.ApiUsage.findAll({
+        where: { apiKeyId: keyId },
+        order: [['created_at', 'DESC']],
+        limit: 10
+      })
+    ]);
+
     return {
       keyInfo: {
-        id: keyId,
-        name: keyData.name,
-        description: keyData.description,
-        createdAt: keyData.createdAt,
-        lastUsed: keyData.lastUsed,
-        isActive: keyData.isActive
+        id: record.id,
+        name: record.name,
+        description: record.description,
+        createdAt: record.created_at,
+        expiresAt: record.expiresAt || null,
+        allowedIps: record.allowedIps || [],
+        replacedById: record.replacedById || null,
+        graceExpiresAt: record.graceExpiresAt || null,
+        lastUsed: record.lastUsed,
+        isActive: record.isActive
       },
       usage: {
-        totalRequests: usageData.totalRequests,
-        dailyRequests: usageData.dailyRequests,
-        errors: usageData.errors,
-        lastError: usageData.lastError,
-        recentRequests: usageData.requestHistory.slice(-10) // Last 10 requests
+        totalRequests,
+        dailyRequests,
+        errors,
+        lastError: record.metadata?.lastError || null,
+        recentRequests: recentRequests.reverse().map(usage => this.toRequestEntry(usage))
       },
+      // Limits and remaining budget are in units; routeCosts shows what each route charges
       rateLimit: {
-        limit: keyData.rateLimit.maxRequests,
-        remaining: keyData.rateLimit.maxRequests - (rateLimitData?.requestCount || 0),
-        dailyLimit: keyData.rateLimit.maxDailyRequests,
-        dailyRemaining: keyData.rateLimit.maxDailyRequests - (rateLimitData?.dailyCount || 0)
+        unit: 'units',
+        windowMs: this.getRateLimitConfig(record).windowMs,
+        limit: rateLimitStatus.limit,
+        remaining: rateLimitStatus.remaining,
+        resetTime: rateLimitStatus.resetTime,
+        dailyLimit: rateLimitStatus.dailyLimit,
+        dailyRemaining: rateLimitStatus.dailyRemaining,
+        routeCosts: rateLimitService.getRouteCosts()
       }
     };
   }
 
   /**
-   * List all API keys (without sensitive data)
-   * @returns {Array} Array of API key information
+   * List API keys in a workspace (without sensitive data)
+   * @param {Object} filters - Filter options
+   * @param {string|null} filters.organizationId - Organization whose keys to list; null lists keys outside any organization
+   * @returns {Promise<Array>} Array of API key information
    */
-  listApiKeys() {
-    const keys = [];
-    for (const [keyId, keyData] of this.apiKeys.entries()) {
-      const usageData = this.usageStats.get(keyId);
-      keys.push({
-        id: keyId,
-        name: keyData.name,
-        description: keyData.description,
-        permissions: keyData.permissions,
-        createdAt: keyData.createdAt,
-        lastUsed: keyData.lastUsed,
-        isActive: keyData.isActive,
-        totalRequests: usageData?.totalRequests || 0,
-        dailyRequests: usageData?.dailyRequests || 0
-      });
-    }
-    return keys;
+  async listApiKeys(filters = {}) {
+    const [records, totals, daily] = await Promise.all([
+      models.ApiKey.findAll({
+        where: { organizationId: filters.organizationId || null },
+        order: [['created_at', 'DESC']]
+      }),
+      this.countRequestsByKey(),
+      this.countRequestsByKey(this.getStartOfDay())
+    ]);
+
+    return records.map(record => ({
+      id: record.id,
+      name: record.name,
+      description: record.description,
+      permissions: record.permissions,
+      organizationId: record.organizationId || null,
+      createdAt: record.created_at,
+      expiresAt: record.expiresAt || null,
+      allowedIps: record.allowedIps || [],
+      replacedById: record.replacedById || null,
+      graceExpiresAt: record.graceExpiresAt || null,
+      lastUsed: record.lastUsed,
+      isActive: record.isActive,
+      totalRequests: totals.get(record.id) || 0,
+      dailyRequests: daily.get(record.id) || 0
+    }));
   }
 
   /**
    * Deactivate an API key
    * @param {string} keyId - The API key ID
-   * @returns {boolean} Success status
+   * @returns {Promise<boolean>} Success status
    */
-  deactivateApiKey(keyId) {
-    const keyData = this.apiKeys.get(keyId);
-    if (!keyData) return false;
-    
-    keyData.isActive = false;
-    this.apiKeys.set(keyId, keyData);
-    return true;
+  async deactivateApiKey(keyId) {
+    return this.setActive(keyId, false);
   }
 
   /**
    * Reactivate an API key
    * @param {string} keyId - The API key ID
-   * @returns {boolean} Success status
+   * @returns {Promise<boolean>} Success status
+   */
+  async reactivateApiKey(keyId) {
+    return this.setActive(keyId, true);
+  }
+
+  /**
+   * Set the active flag on an API key
+   * @param {string} keyId - The API key ID
+   * @param {boolean} isActive - New active state
+   * @returns {Promise<boolean>} Success status
    */
-  reactivateApiKey(keyId) {
-    const keyData = this.apiKeys.get(keyId);
-    if (!keyData) return false;
-    
-    keyData.isActive = true;
-    this.apiKeys.set(keyId, keyData);
-    return true;
+  async setActive(keyId, isActive) {
+    const [updated] = await models.ApiKey.update(
+      { isActive },
+      { where: { id: keyId } }
+    );
+    return updated > 0;
   }
 
   /**
    * Check if API key has specific permission
    * @param {string} keyId - The API key ID
    * @param {string} permission - The permission to check
-   * @returns {boolean} Whether the key has the permission
+   * @returns {Promise<boolean>} Whether the key has the permission
    */
-  hasPermission(keyId, permission) {
-    const keyData = this.apiKeys.get(keyId);
-    if (!keyData || !keyData.isActive) return false;
-    
-    return keyData.permissions.includes(permission) || keyData.permissions.includes('*');
+  async hasPermission(keyId, permission) {
+    const record = await models.ApiKey.findByPk(keyId);
+    if (!record || !record.isActive) return false;
+
+    return record.hasPermission(permission);
+  }
+
+  /**
+   * Get the start of the current day
+   * @returns {Date} Today at midnight
+   */
+  getStartOfDay() {
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+    return today;
   }
 
   /**
-   * Get next midnight timestamp for daily reset
-   * @returns {number} Timestamp of next midnight
+   * Resolve the effective rate limit for a key record
+   * @param {Object} record - ApiKey record
+   * @returns {Object} Rate limit settings
    */
-  getNextMidnight() {
-    const tomorrow = new Date();
-    tomorrow.setDate(tomorrow.getDate() + 1);
-    tomorrow.setHours(0, 0, 0, 0);
-    return tomorrow.getTime();
+  getRateLimitConfig(record) {
+    return {
+      ...this.defaultRateLimit,
+      ...(record.rateLimit || {})
+    };
+  }
+
+  /**
+   * Count logged requests for a key
+   * @param {string} keyId - The API key ID
+   * @param {Date} since - Only count requests after this time
+   * @returns {Promise<number>} Request count
+   */
+  countRequests(keyId, since = null) {
+    const where = { apiKeyId: keyId };
+    if (since) {
+      where.created_at = { [Op.gte]: since };
+    }
+    return models.ApiUsage.count({ where });
+  }
+
+  /**
+   * Count logged requests grouped by key
+   * @param {Date} since - Only count requests after this time
+   * @returns {Promise<Map>} Map of key ID to request count
+   */
+  async countRequestsByKey(since = null) {
+    const where = {};
+    if (since) {
+      where.created_at = { [Op.gte]: since };
+    }
+
+    const rows = await models.ApiUsage.findAll({
+      where,
+      attributes: [
+        'apiKeyId',
+        [models.sequelize.fn('COUNT', '*'), 'count']
+      ],
+      group: ['apiKeyId'],
+      raw: true
+    });
+
+    return new Map(rows.map(row => [row.apiKeyId, parseInt(row.count)]));
+  }
+
+  /**
+   * Convert an ApiKey record to the key data shape used by middleware
+   * @param {Object} record - ApiKey record
+   * @returns {Object} Key data
+   */
+  toKeyData(record) {
+    return {
+      id: record.id,
+      name: record.name,
+      description: record.description,
+      permissions: record.permissions,
+      rateLimit: this.getRateLimitConfig(record),
+      organizationId: record.organizationId || null,
+      createdAt: record.created_at,
+      expiresAt: record.expiresAt || null,
+      allowedIps: record.allowedIps || [],
+      replacedById: record.replacedById || null,
+      rotatedAt: record.rotatedAt || null,
+      graceExpiresAt: record.graceExpiresAt || null,
+      lastUsed: record.lastUsed,
+      isActive: record.isActive,
+      metadata: record.metadata || {}
+    };
+  }
+
+  /**
+   * Convert an ApiUsage record to a request history entry
+   * @param {Object} usage - ApiUsage record
+   * @returns {Object} Request history entry
+   */
+  toRequestEntry(usage) {
+    return {
+      timestamp: usage.created_at,
+      endpoint: usage.endpoint,
+      method: usage.method,
+      statusCode: usage.statusCode,
+      responseTime: usage.responseTime,
+      userAgent: usage.userAgent
+    };
   }
 
   /**
    * Get analytics data for all API keys
-   * @returns {Object} Analytics summary
+   * @returns {Promise<Object>} Analytics summary
    */
-  getAnalytics() {
+  async getAnalytics() {
+    const [records, totals, daily, errors, recentUsage] = await Promise.all([
+      models.ApiKey.findAll(),
+      this.countRequestsByKey(),
+      this.countRequestsByKey(this.getStartOfDay()),
+      models.ApiUsage.count({ where: { statusCode: { [Op.gte]: 400 } } }),
+      models.ApiUsage.findAll({
+        where: { apiKeyId: { [Op.ne]: null } },
+        order: [['created_at', 'DESC']],
+        limit: 20
+      })
+    ]);
+
+    const names = new Map(records.map(record => [record.id, record.name]));
+
     const analytics = {
-      totalKeys: this.apiKeys.size,
-      activeKeys: 0,
+      totalKeys: records.length,
+      activeKeys: records.filter(record => record.isActive).length,
       totalRequests: 0,
       dailyRequests: 0,
-      totalErrors: 0,
+      totalErrors: errors,
       topKeys: [],
       recentActivity: []
     };
-    
-    const keyStats = [];
-    
-    for (const [keyId, keyData] of this.apiKeys.entries()) {
-      if (keyData.isActive) analytics.activeKeys++;
-      
-      const usageData = this.usageStats.get(keyId);
-      if (usageData) {
-        analytics.totalRequests += usageData.totalRequests;
-        analytics.dailyRequests += usageData.dailyRequests;
-        analytics.totalErrors += usageData.errors;
-        
-        keyStats.push({
-          id: keyId,
-          name: keyData.name,
-          totalRequests: usageData.totalRequests,
-          dailyRequests: usageData.dailyRequests,
-          lastUsed: keyData.lastUsed
-        });
-        
-        // Add recent requests to activity
-        usageData.requestHistory.slice(-5).forEach(req => {
-          analytics.recentActivity.push({
-            keyId,
-            keyName: keyData.name,
-            ...req
-          });
-        });
-      }
-    }
-    
+
+    totals.forEach(count => { analytics.totalRequests += count; });
+    daily.forEach(count => { analytics.dailyRequests += count; });
+
     // Sort and get top 10 keys by usage
-    analytics.topKeys = keyStats
+    analytics.topKeys = records
+      .map(record => ({
+        id: record.id,
+        name: record.name,
+        totalRequests: totals.get(record.id) || 0,
+        dailyRequests: daily.get(record.id) || 0,
+        lastUsed: record.lastUsed
+      }))
       .sort((a, b) => b.totalRequests - a.totalRequests)
       .slice(0, 10);
-    
-    // Sort recent activity by timestamp
-    analytics.recentActivity = analytics.recentActivity
-      .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
-      .slice(0, 20);
-    
+
+    analytics.recentActivity = recentUsage.map(usage => ({
+      keyId: usage.apiKeyId,
+      keyName: names.get(usage.apiKeyId) || 'unknown',
+      ...this.toRequestEntry(usage)
+    }));
+
     return analytics;
   }
 }
 
 // Export singleton instance
 const apiKeyService = new ApiKeyService();
-module.exports = apiKeyService;
\ No newline at end of file
+module.exports = apiKeyService;
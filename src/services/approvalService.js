@@ -0,0 +1,249 @@
+const operationService = require('./operationService');
+const creditService = require('./creditService');
+const scriptEditingService = require('./scriptEditingService');
+const segmentVersionService = require('./segmentVersionService');
+const jobStatusService = require('./jobStatusService');
+const { APIError } = require('../middleware/errorHandler');
+
+const MAX_REASON_LENGTH = 1000;
+
+/**
+ * Raised when the script of an operation cannot be approved or rejected
+ */
+class ApprovalError extends APIError {
+  constructor(message, statusCode, code) {
+    super(message, statusCode, code);
+    this.name = 'ApprovalError';
+  }
+}
+
+/**
+ * Approval Service
+ * Holds an operation generated with options.requireApproval between its script
+ * and its video. The workflow stops after script generation with the operation
+ * awaiting approval (metadata.approval); approving the script, with or without
+ * edits, generates the video from it, and rejecting it ends the operation.
+ * Scripts left waiting expire after SCRIPT_APPROVAL_TTL seconds.
+ *
+ * The credits held for the generation stay held while the script waits, and
+ * are refunded if it is rejected or expires.
+ */
+class ApprovalService {
+  constructor() {
+    this.ApprovalError = ApprovalError;
+  }
+
+  /**
+   * Check the approval options of a generation request
+   * @param {Object} options - Generation options
+   * @returns {string|null} Error message, or null if the options are valid
+   */
+  validateOptions(options = {}) {
+    if (options.scriptApproved !== undefined) {
+      return 'scriptApproved is set by approving the script';
+    }
+
+    if (options.requireApproval === undefined) {
+      return null;
+    }
+
+    if (typeof options.requireApproval !== 'boolean') {
+      return 'requireApproval must be a boolean';
+    }
+
+    if (options.requireApproval && options.variants !== undefined) {
+      return 'requireApproval cannot be combined with variants; approve the operation generating each variant instead';
+    }
+
+    return null;
+  }
+
+  /**
+   * Check an approval request
+   * @param {Object} params - Request parameters
+   * @param {Object|null} params.segments - Edited script by segment key (optional)
+   * @returns {string|null} Error message, or null if the request is valid
+   */
+  validateApproval({ segments = null } = {}) {
+    if (segments === null) {
+      return null;
+    }
+
+    if (typeof segments !== 'object' || Array.isArray(segments) || Object.keys(segments).length === 0) {
+      return 'segments must be an object of segment texts by segment key';
+    }
+
+    for (const [segmentKey, text] of Object.entries(segments)) {
+      const error = scriptEditingService.validateSegmentEdit({ text });
+      if (error) {
+        return `${segmentKey}: ${error}`;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Check a rejection request
+   * @param {Object} params - Request parameters
+   * @param {string} params.reason - Why the script was rejected
+   * @returns {string|null} Error message, or null if the request is valid
+   */
+  validateRejection({ reason } = {}) {
+    if (typeof reason !== 'string' || reason.trim().length === 0 || reason.length > MAX_REASON_LENGTH) {
+      return `reason must be a non-empty string of up to ${MAX_REASON_LENGTH} characters`;
+    }
+
+    return null;
+  }
+
+  /**
+   * Approve the script of an operation and generate its video
+   * Edits made with the approval are recorded as one script revision.
+   * @param {Object} params - Approval parameters
+   * @param {Object} params.operation - Operation awaiting approval
+   * @param {Object|null} params.segments - Edited script by segment key (optional)
+   * @param {Object} params.approvedBy - User and API key approving the script
+   * @param {Object} params.plan - Plan of the operation's owner
+   * @returns {Promise<Object>} { revision, changes, workflowJobs, workflowRun }
+   * @throws {ApprovalError|ScriptEditError} If the operation is not awaiting approval or has no such segment
+   */
+  async approve({ operation, segments = null, approvedBy = null, plan }) {
+    this.requireAwaitingApproval(operation);
+
+    const { revision, changes, scriptContent } = segments
+      ? await scriptEditingService.editSegments({ operation, segments, editedBy: approvedBy, source: 'approval' })
+      : { revision: operation.scriptContent?.revision || 1, changes: [], scriptContent: operation.scriptContent };
+
+    const checkpoints = operation.checkpoints || {};
+    const scriptCheckpoint = checkpoints.script_generation;
+    const metadata = operation.metadata || {};
+
+    const { workflowJobs, workflowRun } = await segmentVersionService.restartWorkflow(operation, {
+      fromStage: 'video_generation',
+      checkpoints: {
+        image_analysis: checkpoints.image_analysis,
+        // The video is generated from the script as approved
+        script_generation: { ...scriptCheckpoint, script: { ...scriptCheckpoint.script, segments: scriptContent.segments } }
+      },
+      scriptContent: null,
+      metadata: {
+        options: { ...metadata.options, scriptApproved: true },
+        approval: {
+          ...metadata.approval,
+          status: 'approved',
+          revision,
+          edited: changes.length > 0,
+          approvedBy,
+          approvedAt: new Date().toISOString()
+        }
+      },
+      regeneration: null,
+      plan,
+      refund: true
+    });
+
+    return { revision, changes, workflowJobs, workflowRun };
+  }
+
+  /**
+   * Reject the script of an operation, which ends it
+   * @param {Object} params - Rejection parameters
+   * @param {Object} params.operation - Operation awaiting approval
+   * @param {string} params.reason - Why the script was rejected
+   * @param {Object} params.rejectedBy - User and API key rejecting the script
+   * @returns {Promise<Object>} Approval record of the rejected operation
+   * @throws {ApprovalError} If the operation is not awaiting approval
+   */
+  async reject({ operation, reason, rejectedBy = null }) {
+    this.requireAwaitingApproval(operation);
+
+    const approval = {
+      ...operation.metadata?.approval,
+      status: 'rejected',
+      reason: reason.trim(),
+      rejectedBy,
+      rejectedAt: new Date().toISOString()
+    };
+
+    await this.endOperation(operation.operationId, {
+      errorMessage: `Script rejected: ${approval.reason}`,
+      approval
+    });
+
+    await jobStatusService.sendWebhookNotification(operation.operationId, 'rejected', {
+      reason: approval.reason,
+      rejectedAt: approval.rejectedAt
+    });
+
+    return approval;
+  }
+
+  /**
+   * End an operation whose script was not approved in time
+   * Run from the delayed job scheduled when approval was requested, so an
+   * operation approved, rejected or asked for approval again since is left alone.
+   * @param {string} operationId - Operation ID
+   * @param {string} requestedAt - When the approval that expired was requested
+   * @returns {Promise<boolean>} True if the operation expired
+   */
+  async expire(operationId, requestedAt) {
+    const operation = await operationService.getOperation(operationId);
+    const approval = operation?.metadata?.approval;
+
+    if (operation?.status !== 'awaiting_approval' || approval?.status !== 'pending' || approval.requestedAt !== requestedAt) {
+      return false;
+    }
+
+    const expiredAt = new Date().toISOString();
+
+    await this.endOperation(operationId, {
+      errorMessage: `Script approval expired at ${approval.expiresAt}`,
+      approval: { ...approval, status: 'expired', expiredAt }
+    });
+
+    await jobStatusService.sendWebhookNotification(operationId, 'expired', {
+      requestedAt,
+      expiredAt
+    });
+
+    return true;
+  }
+
+  /**
+   * Cancel an operation that will not be approved and refund its hold
+   * @param {string} operationId - Operation ID
+   * @param {Object} params - Outcome of the approval
+   * @param {string} params.errorMessage - Why the operation ended
+   * @param {Object} params.approval - Approval record
+   */
+  async endOperation(operationId, { errorMessage, approval }) {
+    await operationService.updateOperationStatus(operationId, 'cancelled', {
+      errorMessage,
+      metadata: { stage: approval.status, approval }
+    });
+
+    try {
+      await creditService.refund(operationId, 'cancelled');
+    } catch (error) {
+      console.error('Failed to refund operation credits:', error.message);
+    }
+  }
+
+  /**
+   * Make sure an operation is waiting for its script to be approved
+   * @param {Object} operation - UgcOperation record
+   * @throws {ApprovalError} If it is not
+   */
+  requireAwaitingApproval(operation) {
+    if (operation.status !== 'awaiting_approval') {
+      throw new ApprovalError(
+        `Only operations awaiting approval can be approved or rejected; this operation is ${operation.status}`,
+        409,
+        'NOT_AWAITING_APPROVAL'
+      );
+    }
+  }
+}
+
+module.exports = new ApprovalService();
@@ -1,5 +1,6 @@
 const { BatchOperation, UgcOperation } = require('../models');
 const { Op } = require('sequelize');
+const providerCostService = require('./providerCostService');
 
 /**
  * Batch Optimization Service
@@ -549,9 +550,11 @@ class BatchOptimizationService {
   /**
    * Generate batch analytics and reporting
    * @param {string} batchId - Batch ID
+   * @param {Object} options - Analytics options
+   * @param {Array<string>} options.pivot - Dimensions to break the analytics down by (optional)
    * @returns {Object} Detailed batch analytics
    */
-  async generateBatchAnalytics(batchId) {
+  async generateBatchAnalytics(batchId, { pivot = null } = {}) {
     const batch = await BatchOperation.findByBatchId(batchId);
     if (!batch) {
       throw new Error('Batch not found');
@@ -562,18 +565,104 @@ class BatchOptimizationService {
       order: [['metadata', 'ASC']]
     });
 
+    const pivotDimensions = pivot ? this.resolvePivot(batch, operations, pivot) : null;
+
+    // Recorded provider calls for the batch's operations
+    const costSummary = await providerCostService.getBatchCosts(batch.batchId);
+
     const analytics = {
       batchId: batch.batchId,
       name: batch.name,
       performance: this.analyzeBatchPerformance(batch, operations),
-      costAnalysis: this.analyzeBatchCosts(batch, operations),
-      efficiency: this.analyzeBatchEfficiency(batch, operations),
-      recommendations: this.generatePerformanceRecommendations(batch, operations)
+      costAnalysis: this.analyzeBatchCosts(batch, operations, costSummary),
+      efficiency: this.analyzeBatchEfficiency(batch, operations, costSummary),
+      recommendations: this.generatePerformanceRecommendations(batch, operations, costSummary)
     };
 
+    if (pivotDimensions) {
+      analytics.pivot = {
+        dimensions: pivotDimensions,
+        groups: this.pivotOperations(operations, pivotDimensions, costSummary.byOperation || {})
+      };
+    }
+
     return analytics;
   }
 
+  /**
+   * Check the dimensions a batch is pivoted by
+   * A batch can be pivoted by its matrix dimensions, or the tags of its requests.
+   * @param {Object} batch - Batch object
+   * @param {Array} operations - Operations array
+   * @param {Array<string>} pivot - Dimension names
+   * @returns {Array<string>} The dimension names
+   * @throws {Error} If the batch has no such dimension
+   */
+  resolvePivot(batch, operations, pivot) {
+    const known = new Set(Object.keys(batch.metadata?.matrix?.dimensions || {}));
+    operations.forEach(op => Object.keys(op.metadata?.tags || {}).forEach(name => known.add(name)));
+
+    const unknown = pivot.filter(name => !known.has(name));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown pivot dimension: ${unknown.join(', ')}`);
+    }
+
+    return pivot;
+  }
+
+  /**
+   * Group a batch's operations by the values of some of their dimensions
+   * @param {Array} operations - Operations array
+   * @param {Array<string>} dimensions - Dimension names to group by
+   * @param {Object|null} costByOperation - Provider cost of each operation in USD, to include costs
+   * @returns {Array<Object>} One group per combination of values, in batch order
+   */
+  pivotOperations(operations, dimensions, costByOperation = null) {
+    const groups = new Map();
+
+    for (const op of operations) {
+      const tags = {};
+      dimensions.forEach(name => {
+        tags[name] = op.metadata?.tags?.[name] ?? null;
+      });
+
+      const key = JSON.stringify(dimensions.map(name => tags[name]));
+      if (!groups.has(key)) {
+        groups.set(key, { tags, operations: [] });
+      }
+      groups.get(key).operations.push(op);
+    }
+
+    return [...groups.values()].map(({ tags, operations: groupOperations }) => {
+      const completed = groupOperations.filter(op => op.status === 'completed');
+      const durations = completed
+        .filter(op => op.completedAt && op.created_at)
+        .map(op => (new Date(op.completedAt) - new Date(op.created_at)) / 1000);
+
+      const group = {
+        tags,
+        total: groupOperations.length,
+        completed: completed.length,
+        failed: groupOperations.filter(op => op.status === 'failed').length,
+        successRate: Math.round(completed.length / groupOperations.length * 100),
+        averageDurationSeconds: durations.length > 0
+          ? Math.round(durations.reduce((total, seconds) => total + seconds, 0) / durations.length)
+          : null,
+        operationIds: groupOperations.map(op => op.operationId)
+      };
+
+      if (costByOperation) {
+        const totalCost = providerCostService.roundCost(
+          groupOperations.reduce((total, op) => total + (costByOperation[op.operationId] || 0), 0)
+        );
+        group.totalCost = totalCost;
+        group.costPerOperation = providerCostService.roundCost(totalCost / groupOperations.length);
+      }
+
+      return group;
+    });
+  }
+
   /**
    * Analyze batch performance metrics
    * @param {Object} batch - Batch object
@@ -602,38 +691,23 @@ class BatchOptimizationService {
    * Analyze batch costs
    * @param {Object} batch - Batch object
    * @param {Array} operations - Operations array
-   * @returns {Object} Cost analysis
+   * @param {Object} costSummary - Provider cost summary from providerCostService.getBatchCosts
+   * @returns {Object} Cost analysis in USD
    */
-  analyzeBatchCosts(batch, operations) {
-    // Mock cost calculation - in production, integrate with actual billing
-    const baseCostPerOperation = 0.50; // $0.50 per operation
-    const complexityMultiplier = {
-      low: 1.0,
-      medium: 1.5,
-      high: 2.0
-    };
-
-    let totalCost = 0;
-    const costBreakdown = {
-      imageAnalysis: 0,
-      scriptGeneration: 0,
-      videoGeneration: 0
-    };
-
-    operations.forEach(op => {
-      const complexity = op.metadata?.estimatedComplexity || 'medium';
-      const operationCost = baseCostPerOperation * complexityMultiplier[complexity];
-      
-      totalCost += operationCost;
-      costBreakdown.imageAnalysis += operationCost * 0.2;
-      costBreakdown.scriptGeneration += operationCost * 0.3;
-      costBreakdown.videoGeneration += operationCost * 0.5;
-    });
+  analyzeBatchCosts(batch, operations, costSummary) {
+    const byService = costSummary.byService || {};
 
     return {
-      totalCost: Math.round(totalCost * 100) / 100,
-      costPerOperation: Math.round((totalCost / operations.length) * 100) / 100,
-      costBreakdown,
+      totalCost: costSummary.totalCost,
+      costPerOperation: operations.length > 0 ? providerCostService.roundCost(costSummary.totalCost / operations.length) : 0,
+      costBreakdown: {
+        imageAnalysis: byService.image_analysis || 0,
+        scriptGeneration: byService.script_generation || 0,
+        videoGeneration: byService.video_generation || 0
+      },
+      byProvider: costSummary.byProvider || {},
+      providerCalls: costSummary.callCount,
+      currency: 'USD',
       estimatedSavings: batch.metadata?.estimatedCostSavings || 0
     };
   }
@@ -642,9 +716,10 @@ class BatchOptimizationService {
    * Analyze batch efficiency
    * @param {Object} batch - Batch object
    * @param {Array} operations - Operations array
+   * @param {Object} costSummary - Provider cost summary from providerCostService.getBatchCosts
    * @returns {Object} Efficiency analysis
    */
-  analyzeBatchEfficiency(batch, operations) {
+  analyzeBatchEfficiency(batch, operations, costSummary) {
     const completedOps = operations.filter(op => op.status === 'completed');
     const failedOps = operations.filter(op => op.status === 'failed');
     
@@ -653,7 +728,7 @@ class BatchOptimizationService {
       failureRate: Math.round((failedOps.length / operations.length) * 100),
       resourceUtilization: this.calculateResourceUtilization(batch),
       parallelismEfficiency: this.calculateParallelismEfficiency(batch, operations),
-      cacheHitRate: Math.random() * 100 // Mock data - would be real in production
+      cacheHitRate: costSummary.cacheHitRate
     };
   }
 
@@ -696,12 +771,13 @@ class BatchOptimizationService {
    * Generate performance recommendations
    * @param {Object} batch - Batch object
    * @param {Array} operations - Operations array
+   * @param {Object} costSummary - Provider cost summary from providerCostService.getBatchCosts
    * @returns {Array} Performance recommendations
    */
-  generatePerformanceRecommendations(batch, operations) {
+  generatePerformanceRecommendations(batch, operations, costSummary) {
     const recommendations = [];
     const performance = this.analyzeBatchPerformance(batch, operations);
-    const efficiency = this.analyzeBatchEfficiency(batch, operations);
+    const efficiency = this.analyzeBatchEfficiency(batch, operations, costSummary);
 
     // Success rate recommendations
     if (performance.successRate < 90) {
@@ -737,7 +813,7 @@ class BatchOptimizationService {
     }
 
     // Cost optimization recommendations
-    const avgCost = this.analyzeBatchCosts(batch, operations).costPerOperation;
+    const avgCost = this.analyzeBatchCosts(batch, operations, costSummary).costPerOperation;
     if (avgCost > 1.0) {
       recommendations.push({
         type: 'cost',
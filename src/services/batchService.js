@@ -1,8 +1,19 @@
 const { BatchOperation, UgcOperation } = require('../models');
 const operationService = require('./operationService');
+const quotaService = require('./quotaService');
+const creditService = require('./creditService');
+const providerCostService = require('./providerCostService');
+const spendCapService = require('./spendCapService');
+const planService = require('./planService');
+const batchOptimizationService = require('./batchOptimizationService');
+const briefService = require('./briefService');
 const jobManager = require('../jobs/jobManager');
+const { MAX_BATCH_REQUESTS } = require('../config/rateLimitCosts');
 const crypto = require('crypto');
 
+const DIMENSION_NAME = /^[a-zA-Z][a-zA-Z0-9_]*$/;
+const TEMPLATE_PLACEHOLDER = /\{\{\s*([a-zA-Z][a-zA-Z0-9_]*)\s*\}\}/g;
+
 /**
  * Batch Service
  * Manages batch UGC generation operations
@@ -10,89 +21,154 @@ const crypto = require('crypto');
 class BatchService {
   /**
    * Create a new batch operation
+   * Quota for every item in the batch is reserved, and credits held, up front.
+   * A variant matrix is expanded into one request per combination of its dimensions.
    * @param {Object} batchData - Batch operation data
+   * @param {Object} batchData.matrix - Brief template and dimensions, instead of requests (optional)
+   * @param {number} batchData.maxCost - Most the whole batch will pay in USD (optional)
    * @returns {Promise<Object>} Created batch operation
+   * @throws {QuotaExceededError} If the batch does not fit in the plan quota
+   * @throws {MaxCostExceededError} If a request or the batch is estimated to cost more than its maxCost
+   * @throws {SpendCapExceededError} If the batch would take spend over a cap
+   * @throws {InsufficientCreditsError} If the credit balance cannot cover the batch
    */
   async createBatch(batchData) {
     const {
       name,
       description,
-      requests,
+      matrix = null,
       userId,
       apiKeyId,
+      organizationId = null,
+      plan = null,
       priority = 5,
       scheduledFor,
-      options = {}
+      options = {},
+      maxCost
     } = batchData;
 
+    if (matrix) {
+      const matrixError = this.validateMatrix(matrix);
+      if (matrixError) {
+        throw new Error(matrixError);
+      }
+    }
+    let requests = matrix ? this.expandMatrix(matrix) : batchData.requests;
+
     // Validate requests
     if (!Array.isArray(requests) || requests.length === 0) {
       throw new Error('Batch must contain at least one request');
     }
 
-    if (requests.length > 100) {
-      throw new Error('Batch cannot contain more than 100 requests');
+    if (requests.length > MAX_BATCH_REQUESTS) {
+      throw new Error(`Batch cannot contain more than ${MAX_BATCH_REQUESTS} requests`);
     }
 
-    // Generate batch ID
-    const batchId = `batch_${Date.now()}_${crypto.randomBytes(5).toString('hex')}`;
+    // Validate every request before reserving quota for them
+    requests.forEach((request, index) => this.validateBatchRequest(request, index));
+    requests = requests.map(request => ({ ...request, ...briefService.applyBrief(request) }));
 
-    // Create batch operation
-    const batch = await BatchOperation.create({
-      batchId,
-      name,
-      description,
-      userId,
-      apiKeyId,
-      totalOperations: requests.length,
-      priority,
-      scheduledFor: scheduledFor ? new Date(scheduledFor) : null,
-      options,
-      metadata: {
-        createdBy: userId ? 'user' : 'api_key',
-        requestCount: requests.length,
-        estimatedDuration: this.estimateBatchDuration(requests),
-        contentTypes: this.analyzeContentTypes(requests)
-      }
+    // Refuse requests, or the batch, estimated to cost more than they allow
+    const estimatedCosts = requests.map(request => {
+      const { totalCost } = providerCostService.estimateGenerationCost({
+        creativeBrief: request.creativeBrief,
+        imageCount: request.images?.length || 0,
+        options: request.options || {}
+      });
+      spendCapService.assertWithinMaxCost(totalCost, request.options?.maxCost);
+      return totalCost;
     });
+    const estimatedCost = providerCostService.roundCost(estimatedCosts.reduce((total, cost) => total + cost, 0));
+    spendCapService.assertWithinMaxCost(estimatedCost, maxCost);
 
-    // Create individual operations for each request
-    const operations = [];
-    for (let i = 0; i < requests.length; i++) {
-      const request = requests[i];
-      
-      // Validate individual request
-      this.validateBatchRequest(request, i);
+    const batchPlan = plan || await planService.resolvePlan({ userId, organizationId });
 
-      const operationId = `${batchId}_op_${i + 1}`;
-      
-      const operation = await operationService.createOperation({
-        operationId,
-        creativeBrief: request.creativeBrief,
-        apiKeyId,
+    // Reserve quota for every item, creating the batch and its operations together
+    const principal = { userId, apiKeyId, organizationId };
+    return quotaService.reserve(principal, requests.length, async (transaction) => {
+      await spendCapService.enforce(principal, estimatedCost, { transaction });
+
+      // Generate batch ID
+      const batchId = `batch_${Date.now()}_${crypto.randomBytes(5).toString('hex')}`;
+
+      // Create batch operation
+      const batch = await BatchOperation.create({
+        batchId,
+        name,
+        description,
         userId,
-        batchId: batch.id,
+        apiKeyId,
+        organizationId,
+        totalOperations: requests.length,
+        priority,
+        scheduledFor: scheduledFor ? new Date(scheduledFor) : null,
+        options,
         metadata: {
-          batchIndex: i,
-          batchId: batch.batchId,
-          imageCount: request.images?.length || 0,
-          hasProvidedScript: !!request.script,
-          options: request.options || {},
-          priority: batch.priority
+          createdBy: userId ? 'user' : 'api_key',
+          requestCount: requests.length,
+          estimatedDuration: this.estimateBatchDuration(requests),
+          estimatedCost,
+          contentTypes: this.analyzeContentTypes(requests),
+          ...(matrix && {
+            matrix: {
+              briefTemplate: matrix.briefTemplate,
+              dimensions: this.getMatrixDimensions(matrix)
+            }
+          }),
+          plan: {
+            name: batchPlan.name,
+            queuePriority: batchPlan.queuePriority,
+            watermarkRequired: batchPlan.watermarkRequired
+          }
         }
-      });
+      }, { transaction });
 
-      operations.push({
-        operation,
-        request
-      });
-    }
+      // Create individual operations for each request
+      const operations = [];
+      for (let i = 0; i < requests.length; i++) {
+        const request = requests[i];
+        
+        const operationId = `${batchId}_op_${i + 1}`;
+        
+        const operation = await operationService.createOperation({
+          operationId,
+          creativeBrief: request.creativeBrief,
+          apiKeyId,
+          userId,
+          organizationId,
+          batchId: batch.id,
+          metadata: {
+            batchIndex: i,
+            batchId: batch.batchId,
+            imageCount: request.images?.length || 0,
+            hasProvidedScript: !!request.script,
+            options: request.options || {},
+            tags: request.tags || null,
+            priority: batch.priority,
+            estimatedCost: estimatedCosts[i]
+          },
+          transaction
+        });
 
-    return {
-      batch,
-      operations: operations.map(op => op.operation),
-      totalRequests: requests.length
-    };
+        operations.push({
+          operation,
+          request
+        });
+      }
+
+      // Hold credits for every item; the whole batch is rejected if they cannot be covered
+      const credits = await creditService.hold(principal, operations.map(({ operation, request }) => ({
+        operationId: operation.operationId,
+        amount: creditService.estimateCost(request.options)
+      })), { transaction });
+
+      return {
+        batch,
+        operations: operations.map(op => op.operation),
+        totalRequests: requests.length,
+        credits
+      };
+    }, { plan: batchPlan });
   }
 
   /**
@@ -217,7 +293,9 @@ class BatchService {
         batchIndex,
         creativeBrief: operation.creativeBrief,
         userId: operation.userId,
-        userTier: 'basic', // Would need to get from user
+        plan: batch.metadata?.plan?.name,
+        queuePriority: batch.metadata?.plan?.queuePriority,
+        watermark: batch.metadata?.plan?.watermarkRequired || false,
         priority: batch.priority
       }, {
         source: 'batch',
@@ -239,11 +317,12 @@ class BatchService {
       };
 
     } catch (error) {
-      // Update operation as failed
+      // Update operation as failed and refund its hold
       await operationService.updateOperationStatus(operation.operationId, 'failed', {
         errorMessage: error.message,
         batchProcessingFailed: new Date().toISOString()
       });
+      await creditService.refund(operation.operationId, 'failed');
       
       throw error;
     }
@@ -334,9 +413,11 @@ class BatchService {
   /**
    * Get batch results with download links
    * @param {string} batchId - Batch ID
+   * @param {Object} options - Result options
+   * @param {Array<string>} options.pivot - Dimensions to group the results by (optional)
    * @returns {Promise<Object>} Batch results
    */
-  async getBatchResults(batchId) {
+  async getBatchResults(batchId, { pivot = null } = {}) {
     const batch = await BatchOperation.findByBatchId(batchId);
     if (!batch) {
       throw new Error('Batch not found');
@@ -352,9 +433,12 @@ class BatchService {
       order: [['metadata', 'ASC']]
     });
 
+    const pivotDimensions = pivot ? batchOptimizationService.resolvePivot(batch, operations, pivot) : null;
+
     const results = operations.map(op => ({
       operationId: op.operationId,
       batchIndex: op.metadata?.batchIndex,
+      tags: op.metadata?.tags || null,
       status: op.status,
       creativeBrief: op.creativeBrief,
       scriptContent: op.scriptContent,
@@ -377,6 +461,12 @@ class BatchService {
         failed,
         total: results.length
       },
+      ...(pivotDimensions && {
+        pivot: {
+          dimensions: pivotDimensions,
+          groups: batchOptimizationService.pivotOperations(operations, pivotDimensions)
+        }
+      }),
       downloadUrl: successful.length > 0 ? `/api/v1/batch/${batchId}/download` : null,
       completedAt: batch.completedAt
     };
@@ -401,7 +491,7 @@ class BatchService {
     const operations = await UgcOperation.findAll({
       where: { 
         batchId: batch.id,
-        status: ['pending', 'processing']
+        status: ['pending', 'processing', 'awaiting_approval']
       }
     });
 
@@ -412,6 +502,7 @@ class BatchService {
           cancelledAt: new Date().toISOString(),
           cancelReason: 'Batch cancelled by user'
         });
+        await creditService.refund(operation.operationId, 'cancelled');
         cancelledCount++;
       } catch (error) {
         console.error(`Failed to cancel operation ${operation.operationId}:`, error.message);
@@ -433,14 +524,16 @@ class BatchService {
   }
 
   /**
-   * Get batch history for user or API key
+   * Get batch history for an organization, user or API key
    * @param {Object} filters - Filter options
+   * @param {string|null} filters.organizationId - Restrict to an organization (null for personal batches)
    * @returns {Promise<Array>} Batch history
    */
   async getBatchHistory(filters = {}) {
-    const { userId, apiKeyId, limit = 50, status, startDate, endDate } = filters;
+    const { userId, apiKeyId, organizationId, limit = 50, status, startDate, endDate } = filters;
 
     const whereClause = {};
+    if (organizationId !== undefined) whereClause.organizationId = organizationId;
     if (userId) whereClause.userId = userId;
     if (apiKeyId) whereClause.apiKeyId = apiKeyId;
     if (status) whereClause.status = status;
@@ -542,12 +635,22 @@ class BatchService {
    * @param {number} index - Request index
    */
   validateBatchRequest(request, index) {
-    if (!request.creativeBrief || typeof request.creativeBrief !== 'string') {
-      throw new Error(`Request ${index + 1}: Creative brief is required`);
+    // A structured brief can stand in for the text one
+    if (request.brief !== undefined) {
+      const briefError = briefService.validateBrief(request.brief);
+      if (briefError) {
+        throw new Error(`Request ${index + 1}: ${briefError}`);
+      }
     }
 
-    if (request.creativeBrief.length > 5000) {
-      throw new Error(`Request ${index + 1}: Creative brief too long (max 5000 characters)`);
+    if (request.brief === undefined || request.creativeBrief !== undefined) {
+      if (!request.creativeBrief || typeof request.creativeBrief !== 'string') {
+        throw new Error(`Request ${index + 1}: Creative brief is required`);
+      }
+
+      if (request.creativeBrief.length > 5000) {
+        throw new Error(`Request ${index + 1}: Creative brief too long (max 5000 characters)`);
+      }
     }
 
     if (request.images && (!Array.isArray(request.images) || request.images.length === 0)) {
@@ -557,6 +660,133 @@ class BatchService {
     if (request.images && request.images.length > 10) {
       throw new Error(`Request ${index + 1}: Too many images (max 10)`);
     }
+
+    if (!spendCapService.isValidAmount(request.options?.maxCost)) {
+      throw new Error(`Request ${index + 1}: maxCost must be a positive number`);
+    }
+
+    if (request.tags !== undefined && request.tags !== null) {
+      const validTags = typeof request.tags === 'object' && !Array.isArray(request.tags) &&
+        Object.entries(request.tags).every(([name, value]) => DIMENSION_NAME.test(name) && typeof value === 'string');
+      if (!validTags) {
+        throw new Error(`Request ${index + 1}: tags must map dimension names to string values`);
+      }
+    }
+  }
+
+  /**
+   * Check a variant matrix
+   * A matrix has a brief template such as "Open with {{hook}} and end on {{cta}}"
+   * and the values of each dimension the template uses. Values are strings, or
+   * { label, value } to tag operations with a short label for a longer value.
+   * @param {Object} matrix - { briefTemplate, dimensions, images, script, options }
+   * @returns {string|null} Error message, or null if the matrix is valid
+   */
+  validateMatrix(matrix) {
+    if (!matrix || typeof matrix !== 'object' || Array.isArray(matrix)) {
+      return 'matrix must be an object';
+    }
+
+    const { briefTemplate, dimensions } = matrix;
+    if (typeof briefTemplate !== 'string' || briefTemplate.trim().length === 0) {
+      return 'matrix.briefTemplate is required';
+    }
+
+    if (!dimensions || typeof dimensions !== 'object' || Array.isArray(dimensions) || Object.keys(dimensions).length === 0) {
+      return 'matrix.dimensions must name at least one dimension';
+    }
+
+    for (const [name, values] of Object.entries(dimensions)) {
+      if (!DIMENSION_NAME.test(name)) {
+        return `Invalid dimension name: ${name}`;
+      }
+      if (!Array.isArray(values) || values.length === 0) {
+        return `Dimension ${name} must have at least one value`;
+      }
+
+      const entries = values.map(value => this.getDimensionValue(value));
+      if (entries.some(entry => !entry)) {
+        return `Values of dimension ${name} must be non-empty strings or { label, value }`;
+      }
+      if (new Set(entries.map(entry => entry.label)).size !== entries.length) {
+        return `Values of dimension ${name} must have different labels`;
+      }
+    }
+
+    const placeholders = new Set([...briefTemplate.matchAll(TEMPLATE_PLACEHOLDER)].map(match => match[1]));
+    const undefinedPlaceholders = [...placeholders].filter(name => !dimensions[name]);
+    if (undefinedPlaceholders.length > 0) {
+      return `matrix.briefTemplate uses undefined dimensions: ${undefinedPlaceholders.join(', ')}`;
+    }
+    const unusedDimensions = Object.keys(dimensions).filter(name => !placeholders.has(name));
+    if (unusedDimensions.length > 0) {
+      return `matrix.briefTemplate does not use dimensions: ${unusedDimensions.join(', ')}`;
+    }
+
+    const combinations = Object.values(dimensions).reduce((total, values) => total * values.length, 1);
+    if (combinations > MAX_BATCH_REQUESTS) {
+      return `The matrix makes ${combinations} combinations; batches are limited to ${MAX_BATCH_REQUESTS} requests`;
+    }
+
+    return null;
+  }
+
+  /**
+   * Expand a variant matrix into one request per combination of dimension values
+   * Every request shares the matrix images, script and options, and is tagged
+   * with the label of each dimension value its brief was filled in with.
+   * @param {Object} matrix - Validated matrix
+   * @returns {Array<Object>} Batch requests, the last dimension varying fastest
+   */
+  expandMatrix(matrix) {
+    const { briefTemplate, dimensions, images, script, options } = matrix;
+
+    const combinations = Object.entries(dimensions).reduce((partial, [name, values]) =>
+      partial.flatMap(combination => values.map(value => ({ ...combination, [name]: this.getDimensionValue(value) }))),
+    [{}]);
+
+    return combinations.map(combination => {
+      const tags = {};
+      Object.entries(combination).forEach(([name, { label }]) => {
+        tags[name] = label;
+      });
+
+      return {
+        creativeBrief: briefTemplate.replace(TEMPLATE_PLACEHOLDER, (placeholder, name) => combination[name].value),
+        ...(images && { images }),
+        ...(script && { script }),
+        ...(options && { options }),
+        tags
+      };
+    });
+  }
+
+  /**
+   * Get the value labels of each matrix dimension
+   * @param {Object} matrix - Validated matrix
+   * @returns {Object} Labels by dimension name
+   */
+  getMatrixDimensions(matrix) {
+    const dimensions = {};
+    Object.entries(matrix.dimensions).forEach(([name, values]) => {
+      dimensions[name] = values.map(value => this.getDimensionValue(value).label);
+    });
+    return dimensions;
+  }
+
+  /**
+   * Normalize a dimension value
+   * @param {string|Object} value - Value string, or { label, value }
+   * @returns {Object|null} { label, value }, or null if invalid
+   */
+  getDimensionValue(value) {
+    if (typeof value === 'string') {
+      return value.trim() ? { label: value, value } : null;
+    }
+    if (value && typeof value.label === 'string' && value.label.trim() && typeof value.value === 'string' && value.value.trim()) {
+      return { label: value.label, value: value.value };
+    }
+    return null;
   }
 
   /**
@@ -0,0 +1,264 @@
+const scriptGenerationService = require('./scriptGenerationService');
+const { APIError } = require('../middleware/errorHandler');
+
+const MAX_TEXT_LENGTH = 5000;
+const LOCALE = /^[a-z]{2,3}(-[A-Z]{2}|-[0-9]{3})?$/;
+
+// Fields of a structured brief: free text fields, or lists of them
+const BRIEF_FIELDS = {
+  product: { maxLength: 200, required: true },
+  audience: { maxLength: 300 },
+  painPoint: { maxLength: 300 },
+  keyBenefits: { list: true, maxItems: 5, maxLength: 200 },
+  tone: { maxLength: 100 },
+  cta: { maxLength: 200 },
+  mandatoryClaims: { list: true, maxItems: 5, maxLength: 300 },
+  forbiddenWords: { list: true, maxItems: 20, maxLength: 50 },
+  locale: { maxLength: 10 }
+};
+
+/**
+ * Raised when a free text brief cannot be structured
+ */
+class BriefError extends APIError {
+  constructor(message, statusCode, code) {
+    super(message, statusCode, code);
+    this.name = 'BriefError';
+  }
+}
+
+/**
+ * Brief Service
+ * Checks and applies structured creative briefs: the product, audience, pain
+ * point, key benefits, tone, call to action, mandatory claims, forbidden words
+ * and locale of an ad. A structured brief is given next to, or instead of, the
+ * free text creativeBrief, and can be drafted from free text with the LLM.
+ *
+ * The structured brief travels with the generation options (options.brief), as
+ * the presenter persona does, so every run of the workflow writes its script
+ * from it. A generation given only a structured brief gets a text brief
+ * written from its fields, for the prompts and records that take text.
+ */
+class BriefService {
+  constructor() {
+    this.BriefError = BriefError;
+  }
+
+  /**
+   * Check a structured brief against the brief schema
+   * @param {Object} brief - Structured brief
+   * @returns {string|null} Error message, or null if the brief is valid
+   */
+  validateBrief(brief) {
+    if (!brief || typeof brief !== 'object' || Array.isArray(brief)) {
+      return 'brief must be an object';
+    }
+
+    const unknown = Object.keys(brief).filter(field => !BRIEF_FIELDS[field]);
+    if (unknown.length > 0) {
+      return `Unknown brief fields: ${unknown.join(', ')}`;
+    }
+
+    for (const [field, rule] of Object.entries(BRIEF_FIELDS)) {
+      const value = brief[field];
+
+      if (value === undefined || value === null) {
+        if (rule.required) {
+          return `brief.${field} is required`;
+        }
+        continue;
+      }
+
+      if (rule.list) {
+        if (!Array.isArray(value) || value.length === 0 || value.length > rule.maxItems || value.some(item => !this.isText(item, rule.maxLength))) {
+          return `brief.${field} must be a list of 1 to ${rule.maxItems} non-empty strings of up to ${rule.maxLength} characters`;
+        }
+      } else if (!this.isText(value, rule.maxLength)) {
+        return `brief.${field} must be a non-empty string of up to ${rule.maxLength} characters`;
+      }
+    }
+
+    if (brief.locale !== undefined && brief.locale !== null && !LOCALE.test(brief.locale.trim())) {
+      return 'brief.locale must be a language tag such as en or en-US';
+    }
+
+    return null;
+  }
+
+  /**
+   * Check the free text a brief is structured from
+   * @param {Object} params - Request parameters
+   * @param {string} params.text - Free text brief
+   * @returns {string|null} Error message, or null if the text is valid
+   */
+  validateText({ text } = {}) {
+    if (!this.isText(text, MAX_TEXT_LENGTH)) {
+      return `text must be a non-empty string of up to ${MAX_TEXT_LENGTH} characters`;
+    }
+
+    return null;
+  }
+
+  /**
+   * Trim the fields of a valid structured brief, leaving out empty ones
+   * @param {Object} brief - Structured brief
+   * @returns {Object} Normalized brief
+   */
+  normalizeBrief(brief) {
+    const normalized = {};
+
+    Object.entries(BRIEF_FIELDS).forEach(([field, rule]) => {
+      const value = brief[field];
+      if (value === undefined || value === null) {
+        return;
+      }
+
+      normalized[field] = rule.list ? value.map(item => item.trim()) : value.trim();
+    });
+
+    return normalized;
+  }
+
+  /**
+   * Write the text brief of a structured brief
+   * @param {Object} brief - Normalized structured brief
+   * @returns {string} One line per field
+   */
+  toText(brief) {
+    return scriptGenerationService.describeBrief(brief).join('\n');
+  }
+
+  /**
+   * Apply the structured brief of a generation request to its text brief and options
+   * Options only carry the brief given with the request.
+   * @param {Object} request - Generation request
+   * @param {string} request.creativeBrief - Free text brief (optional with a structured brief)
+   * @param {Object|null} request.brief - Valid structured brief (optional)
+   * @param {Object} request.options - Generation options
+   * @returns {Object} { creativeBrief, options }
+   */
+  applyBrief({ creativeBrief, brief = null, options = {} }) {
+    const generationOptions = { ...options };
+    delete generationOptions.brief;
+
+    if (!brief) {
+      return { creativeBrief, options: generationOptions };
+    }
+
+    const normalized = this.normalizeBrief(brief);
+    const hasText = typeof creativeBrief === 'string' && creativeBrief.trim().length > 0;
+
+    return {
+      creativeBrief: hasText ? creativeBrief : this.toText(normalized),
+      options: { ...generationOptions, brief: normalized }
+    };
+  }
+
+  /**
+   * Draft a structured brief from a free text one with the LLM
+   * Fields the text does not cover are left out and listed as missing.
+   * @param {string} text - Free text brief
+   * @param {Object} usageContext - Caller the provider call is recorded against
+   * @returns {Promise<Object>} { brief, missing }
+   * @throws {BriefError} If the drafted brief does not fit the schema, such as when the text names no product
+   */
+  async structure(text, usageContext = null) {
+    const response = await scriptGenerationService.makeTrackedApiCall(this.buildStructureRequest(text), usageContext);
+
+    let drafted;
+    try {
+      drafted = JSON.parse(response.data.choices[0].message.content);
+    } catch (error) {
+      throw new Error(`Failed to parse structured brief: ${error.message}`);
+    }
+
+    const brief = this.pickFields(drafted);
+    const error = this.validateBrief(brief);
+    if (error) {
+      throw new BriefError(`The brief could not be structured: ${error}`, 422, 'BRIEF_NOT_STRUCTURED');
+    }
+
+    return {
+      brief: this.normalizeBrief(brief),
+      missing: Object.keys(BRIEF_FIELDS).filter(field => brief[field] === undefined)
+    };
+  }
+
+  /**
+   * Build the request asking the LLM to structure a brief
+   * @param {string} text - Free text brief
+   * @returns {Object} API request payload
+   */
+  buildStructureRequest(text) {
+    const example = {
+      product: 'What is advertised',
+      audience: 'Who the ad is for',
+      painPoint: 'Problem the product solves for them',
+      keyBenefits: ['Benefit to show'],
+      tone: 'Tone of voice',
+      cta: 'Call to action the ad ends on',
+      mandatoryClaims: ['Claim the ad must make word for word'],
+      forbiddenWords: ['Word the ad must not use'],
+      locale: 'Language tag such as en-US'
+    };
+
+    return {
+      model: scriptGenerationService.model,
+      messages: [
+        {
+          role: 'system',
+          content: 'You turn advertising briefs into structured data. Always respond with valid JSON in the exact format requested. Never invent details the brief does not give.'
+        },
+        {
+          role: 'user',
+          content: `Structure this UGC advertisement brief.
+
+BRIEF:
+${text.trim()}
+
+Leave out any field the brief does not cover. Only list claims and forbidden words the brief states explicitly.
+
+OUTPUT FORMAT (JSON):
+${JSON.stringify(example, null, 2)}`
+        }
+      ],
+      max_tokens: scriptGenerationService.maxTokens,
+      temperature: scriptGenerationService.temperature,
+      response_format: { type: 'json_object' }
+    };
+  }
+
+  /**
+   * Keep the brief fields of a drafted brief that have a value
+   * @param {Object} drafted - Parsed LLM response
+   * @returns {Object} Brief with only known, non-empty fields
+   */
+  pickFields(drafted) {
+    const brief = {};
+
+    Object.entries(BRIEF_FIELDS).forEach(([field, rule]) => {
+      const value = drafted?.[field];
+      const empty = rule.list
+        ? !Array.isArray(value) || value.length === 0
+        : typeof value !== 'string' || value.trim().length === 0;
+
+      if (!empty) {
+        brief[field] = value;
+      }
+    });
+
+    return brief;
+  }
+
+  /**
+   * Check that a value is a non-empty string of at most a length
+   * @param {*} value - Value to check
+   * @param {number} maxLength - Most characters allowed
+   * @returns {boolean} True if it is
+   */
+  isText(value, maxLength) {
+    return typeof value === 'string' && value.trim().length > 0 && value.length <= maxLength;
+  }
+}
+
+module.exports = new BriefService();
@@ -100,15 +100,20 @@ class CacheService {
    * @param {string} creativeBrief - Creative brief
    * @param {Array} imageAnalysis - Image analysis results
    * @param {string} optionalScript - Optional user script
+   * @param {Array<number>} segmentDurations - Length of each segment in seconds
+   * @param {Object} brief - Structured brief (optional)
    * @returns {string} Cache key
    */
-  generateScriptKey(creativeBrief, imageAnalysis, optionalScript = null) {
+  generateScriptKey(creativeBrief, imageAnalysis, optionalScript = null, segmentDurations = null, brief = null) {
     const briefHash = crypto.createHash('md5').update(creativeBrief).digest('hex');
     const analysisHash = crypto.createHash('md5').update(JSON.stringify(imageAnalysis)).digest('hex');
     const scriptHash = optionalScript ? 
       crypto.createHash('md5').update(optionalScript).digest('hex') : 'none';
+    // The structured brief changes the prompt, so the same text brief with another structure is another script
+    const structuredHash = brief ? `:${crypto.createHash('md5').update(JSON.stringify(brief)).digest('hex')}` : '';
+    const durations = segmentDurations ? `:${segmentDurations.join('-')}` : '';
     
-    return `${this.config.keyPrefix}script:${briefHash}:${analysisHash}:${scriptHash}`;
+    return `${this.config.keyPrefix}script:${briefHash}:${analysisHash}:${scriptHash}${structuredHash}${durations}`;
   }
 
   /**
@@ -180,16 +185,18 @@ class CacheService {
    * @param {string} creativeBrief - Creative brief
    * @param {Array} imageAnalysis - Image analysis results
    * @param {string} optionalScript - Optional user script
+   * @param {Array<number>} segmentDurations - Length of each segment in seconds
+   * @param {Object} brief - Structured brief (optional)
    * @returns {Promise<Object|null>} Cached result or null
    */
-  async getCachedScript(creativeBrief, imageAnalysis, optionalScript = null) {
+  async getCachedScript(creativeBrief, imageAnalysis, optionalScript = null, segmentDurations = null, brief = null) {
     if (!this.isConnected) {
       return null;
     }
 
     try {
       this.metrics.totalRequests++;
-      const key = this.generateScriptKey(creativeBrief, imageAnalysis, optionalScript);
+      const key = this.generateScriptKey(creativeBrief, imageAnalysis, optionalScript, segmentDurations, brief);
       const cached = await this.client.get(key);
       
       if (cached) {
@@ -215,15 +222,17 @@ class CacheService {
    * @param {Array} imageAnalysis - Image analysis results
    * @param {string} optionalScript - Optional user script
    * @param {Object} result - Script result to cache
+   * @param {Array<number>} segmentDurations - Length of each segment in seconds
+   * @param {Object} brief - Structured brief (optional)
    * @returns {Promise<boolean>} Success status
    */
-  async setCachedScript(creativeBrief, imageAnalysis, optionalScript = null, result) {
+  async setCachedScript(creativeBrief, imageAnalysis, optionalScript = null, result, segmentDurations = null, brief = null) {
     if (!this.isConnected || !result) {
       return false;
     }
 
     try {
-      const key = this.generateScriptKey(creativeBrief, imageAnalysis, optionalScript);
+      const key = this.generateScriptKey(creativeBrief, imageAnalysis, optionalScript, segmentDurations, brief);
       const serialized = JSON.stringify({
         ...result,
         cachedAt: new Date().toISOString(),
@@ -0,0 +1,395 @@
+const { Op } = require('sequelize');
+const models = require('../models');
+const { getConfig } = require('../utils/config');
+const { SEGMENT_CREDITS, OPTION_SURCHARGES } = require('../config/credits');
+const segmentPlanService = require('./segmentPlanService');
+const { APIError } = require('../middleware/errorHandler');
+
+// Largest ledger page that can be requested
+const MAX_LEDGER_PAGE_SIZE = 100;
+
+/**
+ * Raised when a credit balance cannot cover a submitted generation
+ */
+class InsufficientCreditsError extends APIError {
+  constructor(required, available) {
+    super(`Insufficient credits: ${required} required, ${available} available`, 402, 'INSUFFICIENT_CREDITS');
+    this.name = 'InsufficientCreditsError';
+    this.required = required;
+    this.available = available;
+  }
+}
+
+/**
+ * Credit Service
+ * Keeps the prepaid credit balance of each organization, user or API key and
+ * a ledger of every change to it. Generations are paid for in three steps:
+ * a hold for the estimated price when submitted, a charge of the actual price
+ * (releasing the hold) when video generation completes, and a refund of the
+ * hold if the generation fails or is cancelled.
+ *
+ * Balances are the credits available to spend; credits on hold are tracked
+ * separately until the generation settles.
+ */
+class CreditService {
+  constructor() {
+    this.InsufficientCreditsError = InsufficientCreditsError;
+  }
+
+  /**
+   * Check whether generations are charged to credit balances
+   * @returns {boolean} Whether billing is enabled
+   */
+  isEnabled() {
+    return getConfig().getCreditsConfig().enabled;
+  }
+
+  /**
+   * Identify the account a principal pays from
+   * Mirrors quota scoping: the organization when acting in one, otherwise
+   * the user, otherwise the API key.
+   * @param {Object} principal - { userId, apiKeyId, organizationId }
+   * @returns {Object|null} { ownerType, ownerId } or null for anonymous requests
+   */
+  getOwner({ userId = null, apiKeyId = null, organizationId = null } = {}) {
+    if (organizationId) {
+      return { ownerType: 'organization', ownerId: organizationId };
+    }
+    if (userId) {
+      return { ownerType: 'user', ownerId: userId };
+    }
+    if (apiKeyId) {
+      return { ownerType: 'api_key', ownerId: apiKeyId };
+    }
+    return null;
+  }
+
+  /**
+   * Price a generation
+   * @param {number} segmentCount - Video segments generated
+   * @param {Object} options - Generation options
+   * @returns {number} Price in credits
+   */
+  calculateCost(segmentCount, options = {}) {
+    const surcharges = Object.entries(OPTION_SURCHARGES)
+      .filter(([option]) => options[option])
+      .reduce((total, [, credits]) => total + credits, 0);
+
+    return segmentCount * SEGMENT_CREDITS + surcharges;
+  }
+
+  /**
+   * Estimate the price of a generation from its request options
+   * A generation of script variants makes no video; each variant picked is priced on its own.
+   * @param {Object} options - Generation options
+   * @returns {number} Price in credits
+   */
+  estimateCost(options = {}) {
+    if (options?.variants) {
+      return 0;
+    }
+    return this.calculateCost(segmentPlanService.planSegments(options).count, options || {});
+  }
+
+  /**
+   * Run a callback with an owner's account locked, creating the account if needed
+   * @param {Object} owner - { ownerType, ownerId }
+   * @param {Function} callback - async (account, transaction) => result
+   * @param {Object} options - Options
+   * @param {Object} options.transaction - Transaction to join (a new one is started if omitted)
+   * @returns {Promise<*>} Result of the callback
+   */
+  async withAccount({ ownerType, ownerId }, callback, { transaction = null } = {}) {
+    const run = async (t) => {
+      await models.sequelize.query('SELECT pg_advisory_xact_lock(hashtext(:key))', {
+        replacements: { key: `credits:${ownerType}:${ownerId}` },
+        transaction: t
+      });
+
+      const [account] = await models.CreditAccount.findOrCreate({
+        where: { ownerType, ownerId },
+        defaults: { ownerType, ownerId },
+        transaction: t
+      });
+
+      return callback(account, t);
+    };
+
+    return transaction ? run(transaction) : models.sequelize.transaction(run);
+  }
+
+  /**
+   * Place holds for submitted generations
+   * All holds are placed together, so a batch is accepted or rejected as a whole.
+   * @param {Object} principal - { userId, apiKeyId, organizationId }
+   * @param {Array} holds - [{ operationId, amount }]
+   * @param {Object} options - Options
+   * @param {Object} options.transaction - Transaction the operations are created in
+   * @returns {Promise<Object|null>} { held, balance } or null if nothing was held
+   * @throws {InsufficientCreditsError} If the balance cannot cover the holds
+   */
+  async hold(principal, holds, { transaction = null } = {}) {
+    const owner = this.getOwner(principal);
+    if (!this.isEnabled() || !owner || holds.length === 0) {
+      return null;
+    }
+
+    const required = holds.reduce((total, { amount }) => total + amount, 0);
+
+    return this.withAccount(owner, async (account, t) => {
+      if (account.balance < required) {
+        throw new InsufficientCreditsError(required, account.balance);
+      }
+
+      let balance = account.balance;
+      for (const { operationId, amount } of holds) {
+        balance -= amount;
+        await models.CreditTransaction.create({
+          accountId: account.id,
+          type: 'hold',
+          amount: -amount,
+          balanceAfter: balance,
+          operationId,
+          description: `Hold for operation ${operationId}`
+        }, { transaction: t });
+      }
+
+      account.balance = balance;
+      account.heldBalance += required;
+      await account.save({ transaction: t });
+
+      return { held: required, balance };
+    }, { transaction });
+  }
+
+  /**
+   * Charge a completed generation, releasing its hold
+   * The charge never exceeds the hold; any difference returns to the balance.
+   * @param {string} operationId - Operation ID
+   * @param {number|null} actualCost - Actual price (the full hold is charged if null)
+   * @returns {Promise<Object|null>} { charged, released, balance } or null if there was no open hold
+   */
+  async settle(operationId, actualCost = null) {
+    return this.closeHold(operationId, async (account, hold, t) => {
+      const held = -hold.amount;
+      const charged = actualCost === null ? held : Math.min(Math.max(0, actualCost), held);
+
+      await models.CreditTransaction.create({
+        accountId: account.id,
+        type: 'release',
+        amount: held,
+        balanceAfter: account.balance + held,
+        operationId,
+        description: `Hold released for completed operation ${operationId}`
+      }, { transaction: t });
+
+      await models.CreditTransaction.create({
+        accountId: account.id,
+        type: 'charge',
+        amount: -charged,
+        balanceAfter: account.balance + held - charged,
+        operationId,
+        description: `Charge for operation ${operationId}`,
+        metadata: { held, charged }
+      }, { transaction: t });
+
+      account.balance += held - charged;
+      account.heldBalance -= held;
+      await account.save({ transaction: t });
+
+      return { charged, released: held - charged, balance: account.balance };
+    });
+  }
+
+  /**
+   * Refund the hold of a failed or cancelled generation
+   * @param {string} operationId - Operation ID
+   * @param {string} reason - Why the generation did not complete
+   * @returns {Promise<Object|null>} { refunded, balance } or null if there was no open hold
+   */
+  async refund(operationId, reason = 'failed') {
+    return this.closeHold(operationId, async (account, hold, t) => {
+      const held = -hold.amount;
+
+      await models.CreditTransaction.create({
+        accountId: account.id,
+        type: 'refund',
+        amount: held,
+        balanceAfter: account.balance + held,
+        operationId,
+        description: `Refund for ${reason} operation ${operationId}`,
+        metadata: { reason }
+      }, { transaction: t });
+
+      account.balance += held;
+      account.heldBalance -= held;
+      await account.save({ transaction: t });
+
+      return { refunded: held, balance: account.balance };
+    });
+  }
+
+  /**
+   * Close an operation's open hold exactly once
+   * @param {string} operationId - Operation ID
+   * @param {Function} callback - async (account, hold, transaction) => result
+   * @returns {Promise<*>} Result of the callback, or null if there was no open hold
+   */
+  async closeHold(operationId, callback) {
+    // A resumed operation is held again, so the latest hold is the open one
+    const hold = await models.CreditTransaction.findOne({
+      where: { operationId, type: 'hold' },
+      order: [['created_at', 'DESC']],
+      include: [{ model: models.CreditAccount, as: 'account' }]
+    });
+    if (!hold) {
+      return null;
+    }
+
+    const { ownerType, ownerId } = hold.account;
+    return this.withAccount({ ownerType, ownerId }, async (account, t) => {
+      // Completion, failure and cancellation can race; only the first closes the hold
+      const closed = await models.CreditTransaction.findOne({
+        where: { operationId, type: ['release', 'refund'], created_at: { [Op.gte]: hold.created_at } },
+        transaction: t
+      });
+      if (closed) {
+        return null;
+      }
+
+      return callback(account, hold, t);
+    });
+  }
+
+  /**
+   * Add credits to an organization, user or API key (admin only)
+   * @param {string} ownerType - 'organization', 'user' or 'api_key'
+   * @param {string} ownerId - Owner ID
+   * @param {number} amount - Credits to add
+   * @param {Object} options - Options
+   * @param {string} options.description - Note recorded in the ledger
+   * @param {string} options.createdBy - ID of the admin adding the credits
+   * @returns {Promise<Object>} Ledger entry and new balance
+   */
+  async topUp(ownerType, ownerId, amount, { description = null, createdBy = null } = {}) {
+    await this.assertOwnerExists(ownerType, ownerId);
+
+    return this.withAccount({ ownerType, ownerId }, async (account, t) => {
+      account.balance += amount;
+      await account.save({ transaction: t });
+
+      const entry = await models.CreditTransaction.create({
+        accountId: account.id,
+        type: 'top_up',
+        amount,
+        balanceAfter: account.balance,
+        description: description || 'Credit top-up',
+        createdBy
+      }, { transaction: t });
+
+      return {
+        entry: this.toTransactionData(entry),
+        account: this.toAccountData(account)
+      };
+    });
+  }
+
+  /**
+   * Ensure the owner of a top-up exists
+   * @param {string} ownerType - 'organization', 'user' or 'api_key'
+   * @param {string} ownerId - Owner ID
+   */
+  async assertOwnerExists(ownerType, ownerId) {
+    const owners = {
+      organization: { model: models.Organization, message: 'Organization not found' },
+      user: { model: models.User, message: 'User not found' },
+      api_key: { model: models.ApiKey, message: 'API key not found' }
+    };
+
+    const { model, message } = owners[ownerType];
+    const owner = await model.findByPk(ownerId);
+    if (!owner) {
+      throw new Error(message);
+    }
+  }
+
+  /**
+   * Get a principal's balance
+   * @param {Object} principal - { userId, apiKeyId, organizationId }
+   * @returns {Promise<Object>} Account data
+   */
+  async getBalance(principal) {
+    const owner = this.getOwner(principal);
+    const account = await models.CreditAccount.findOne({ where: owner });
+
+    return this.toAccountData(account || { ...owner, balance: 0, heldBalance: 0 });
+  }
+
+  /**
+   * Get a page of a principal's ledger, newest first
+   * @param {Object} principal - { userId, apiKeyId, organizationId }
+   * @param {Object} options - Paging options
+   * @param {number} options.page - Page number (from 1)
+   * @param {number} options.limit - Entries per page
+   * @returns {Promise<Object>} { entries, pagination }
+   */
+  async getLedger(principal, { page = 1, limit = 20 } = {}) {
+    const pageSize = Math.min(Math.max(1, limit), MAX_LEDGER_PAGE_SIZE);
+    const pageNumber = Math.max(1, page);
+
+    const account = await models.CreditAccount.findOne({ where: this.getOwner(principal) });
+    const { rows, count } = account
+      ? await models.CreditTransaction.findAndCountAll({
+        where: { accountId: account.id },
+        order: [['created_at', 'DESC']],
+        limit: pageSize,
+        offset: (pageNumber - 1) * pageSize
+      })
+      : { rows: [], count: 0 };
+
+    return {
+      entries: rows.map(entry => this.toTransactionData(entry)),
+      pagination: {
+        page: pageNumber,
+        limit: pageSize,
+        total: count,
+        totalPages: Math.ceil(count / pageSize)
+      }
+    };
+  }
+
+  /**
+   * Convert a CreditAccount record to API data
+   * @param {Object} account - CreditAccount record
+   * @returns {Object} Account data
+   */
+  toAccountData(account) {
+    return {
+      ownerType: account.ownerType,
+      ownerId: account.ownerId,
+      balance: account.balance,
+      held: account.heldBalance,
+      billingEnabled: this.isEnabled()
+    };
+  }
+
+  /**
+   * Convert a CreditTransaction record to API data
+   * @param {Object} entry - CreditTransaction record
+   * @returns {Object} Ledger entry data
+   */
+  toTransactionData(entry) {
+    return {
+      id: entry.id,
+      type: entry.type,
+      amount: entry.amount,
+      balanceAfter: entry.balanceAfter,
+      operationId: entry.operationId,
+      description: entry.description,
+      metadata: entry.metadata,
+      createdAt: entry.created_at
+    };
+  }
+}
+
+module.exports = new CreditService();
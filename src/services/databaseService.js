@@ -162,6 +162,13 @@ class DatabaseService {
       });
       results.oldUsageLogsRemoved = oldUsage;
 
+      // Clean up expired idempotency keys
+      results.expiredIdempotencyKeysRemoved = await this.models.IdempotencyKey.destroy({
+        where: {
+          expires_at: { [Op.lt]: new Date() }
+        }
+      });
+
       console.log('Database cleanup completed:', results);
       return results;
     } catch (error) {
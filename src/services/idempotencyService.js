@@ -0,0 +1,201 @@
+const crypto = require('crypto');
+const { Op, UniqueConstraintError } = require('sequelize');
+const models = require('../models');
+const { APIError } = require('../middleware/errorHandler');
+const { getConfig } = require('../utils/config');
+
+// Longest Idempotency-Key accepted
+const MAX_KEY_LENGTH = 255;
+
+// A request still processing after this long is assumed to have died, so a retry may take over its key
+const PROCESSING_TIMEOUT_MS = 10 * 60 * 1000;
+
+/**
+ * Raised when an idempotency key cannot be used for a request
+ */
+class IdempotencyConflictError extends APIError {
+  constructor(message, code) {
+    super(message, 409, code);
+    this.name = 'IdempotencyConflictError';
+  }
+}
+
+/**
+ * Idempotency Service
+ * Remembers requests made with an Idempotency-Key header so that a client
+ * retrying after a timeout gets the original response back instead of
+ * starting (and paying for) the same generation twice. Keys belong to the
+ * caller's organization, user or API key, are bound to the request they were
+ * first used with, and are forgotten after IDEMPOTENCY_KEY_TTL seconds.
+ */
+class IdempotencyService {
+  constructor() {
+    this.IdempotencyConflictError = IdempotencyConflictError;
+  }
+
+  /**
+   * Check an Idempotency-Key header value
+   * @param {string} key - Header value
+   * @returns {boolean} True if the key can be used
+   */
+  isValidKey(key) {
+    return typeof key === 'string' && key.trim().length > 0 && key.length <= MAX_KEY_LENGTH;
+  }
+
+  /**
+   * Get the scope a principal's keys belong to
+   * @param {Object} principal - { userId, apiKeyId, organizationId }
+   * @returns {string} Scope
+   */
+  getScope({ userId = null, apiKeyId = null, organizationId = null } = {}) {
+    if (organizationId) return `org:${organizationId}`;
+    if (userId) return `user:${userId}`;
+    if (apiKeyId) return `api_key:${apiKeyId}`;
+    return 'anonymous';
+  }
+
+  /**
+   * Fingerprint a request's body and uploaded files
+   * @param {Object} req - Express request object
+   * @returns {string} SHA-256 hex digest
+   */
+  fingerprint(req) {
+    const files = (req.files || []).map(file => ({
+      fieldname: file.fieldname,
+      originalname: file.originalname,
+      mimetype: file.mimetype,
+      sha256: crypto.createHash('sha256').update(file.buffer || '').digest('hex')
+    }));
+
+    return crypto
+      .createHash('sha256')
+      .update(this.stableStringify({ body: req.body || {}, files }))
+      .digest('hex');
+  }
+
+  /**
+   * Serialize a value with object keys sorted, so equal bodies fingerprint equally
+   * @param {*} value - Value to serialize
+   * @returns {string} JSON
+   */
+  stableStringify(value) {
+    if (Array.isArray(value)) {
+      return `[${value.map(item => this.stableStringify(item)).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+      return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${this.stableStringify(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value === undefined ? null : value);
+  }
+
+  /**
+   * Claim a key for a request, or find the response to replay
+   * @param {Object} request - Request details
+   * @param {string} request.scope - Caller scope from getScope
+   * @param {string} request.endpoint - Endpoint the key is used on
+   * @param {string} request.key - Idempotency-Key header value
+   * @param {string} request.fingerprint - Request fingerprint
+   * @returns {Promise<Object>} { replay: false, record } to process the request, or { replay: true, record } to replay it
+   * @throws {IdempotencyConflictError} If the key was used with a different request or that request is still processing
+   */
+  async begin({ scope, endpoint, key, fingerprint }) {
+    const where = { scope, endpoint, key };
+    const expiresAt = new Date(Date.now() + getConfig().getInt('IDEMPOTENCY_KEY_TTL') * 1000);
+
+    try {
+      const record = await models.IdempotencyKey.create({ ...where, fingerprint, status: 'processing', expiresAt });
+      return { replay: false, record };
+    } catch (error) {
+      if (!(error instanceof UniqueConstraintError)) {
+        throw error;
+      }
+    }
+
+    const existing = await models.IdempotencyKey.findOne({ where });
+
+    // The key was released or expired between the insert and the lookup
+    if (!existing) {
+      return this.begin({ scope, endpoint, key, fingerprint });
+    }
+
+    if (existing.expiresAt < new Date()) {
+      return this.takeOver(existing, { expires_at: { [Op.lt]: new Date() } }, { scope, endpoint, key, fingerprint, expiresAt });
+    }
+
+    if (existing.fingerprint !== fingerprint) {
+      throw new IdempotencyConflictError(
+        'This Idempotency-Key was already used with a different request',
+        'IDEMPOTENCY_KEY_MISMATCH'
+      );
+    }
+
+    if (this.isAbandoned(existing)) {
+      const staleBefore = new Date(Date.now() - PROCESSING_TIMEOUT_MS);
+      return this.takeOver(existing, { status: 'processing', updated_at: { [Op.lt]: staleBefore } }, { scope, endpoint, key, fingerprint, expiresAt });
+    }
+
+    if (existing.status !== 'completed') {
+      throw new IdempotencyConflictError(
+        'A request with this Idempotency-Key is still being processed',
+        'IDEMPOTENCY_REQUEST_IN_PROGRESS'
+      );
+    }
+
+    return { replay: true, record: existing };
+  }
+
+  /**
+   * Store the response to replay for a key
+   * @param {Object} record - IdempotencyKey record from begin
+   * @param {number} statusCode - HTTP status sent
+   * @param {Object} body - JSON body sent
+   * @returns {Promise<void>}
+   */
+  async complete(record, statusCode, body) {
+    await record.update({
+      status: 'completed',
+      responseStatus: statusCode,
+      responseBody: body
+    });
+  }
+
+  /**
+   * Forget a key whose request failed, so the client can retry with it
+   * @param {Object} record - IdempotencyKey record from begin
+   * @returns {Promise<void>}
+   */
+  async release(record) {
+    await record.destroy();
+  }
+
+  /**
+   * Check whether a processing request has run so long it must have died
+   * @param {Object} record - IdempotencyKey record
+   * @returns {boolean} True if a retry may take the key over
+   */
+  isAbandoned(record) {
+    return record.status === 'processing' && Date.now() - new Date(record.updatedAt).getTime() > PROCESSING_TIMEOUT_MS;
+  }
+
+  /**
+   * Claim an expired or abandoned key for a new request
+   * The condition is checked again in the update, so only one retry wins the key.
+   * @param {Object} existing - IdempotencyKey record to take over
+   * @param {Object} condition - Where clause the record must still match
+   * @param {Object} request - Request details from begin, with the new expiresAt
+   * @returns {Promise<Object>} Result as from begin
+   */
+  async takeOver(existing, condition, { scope, endpoint, key, fingerprint, expiresAt }) {
+    const [taken] = await models.IdempotencyKey.update(
+      { fingerprint, status: 'processing', responseStatus: null, responseBody: null, expiresAt },
+      { where: { id: existing.id, ...condition } }
+    );
+
+    if (taken === 0) {
+      return this.begin({ scope, endpoint, key, fingerprint });
+    }
+    return { replay: false, record: await models.IdempotencyKey.findByPk(existing.id) };
+  }
+}
+
+module.exports = new IdempotencyService();
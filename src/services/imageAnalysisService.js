@@ -1,6 +1,7 @@
 const axios = require('axios');
 const config = require('../utils/config');
 const cacheService = require('./cacheService');
+const providerCostService = require('./providerCostService');
 
 /**
  * Service for analyzing images using AI vision models
@@ -18,9 +19,10 @@ class ImageAnalysisService {
    * @param {Buffer} imageBuffer - Image file buffer
    * @param {string} mimeType - Image MIME type
    * @param {Object} options - Analysis options
+   * @param {Object} options.usageContext - Operation the provider calls are recorded against
    * @returns {Promise<Object>} Analysis result
    */
-  async analyzeImage(imageBuffer, mimeType, options = {}) {
+  async analyzeImage(imageBuffer, mimeType, { usageContext = null, ...options } = {}) {
     if (!Buffer.isBuffer(imageBuffer)) {
       throw new Error('Image buffer is required and must be a Buffer');
     }
@@ -33,6 +35,13 @@ class ImageAnalysisService {
     const cachedResult = await cacheService.getCachedImageAnalysis(imageBuffer, options);
     if (cachedResult) {
       console.log('Returning cached image analysis result');
+      await providerCostService.recordCall({
+        context: usageContext,
+        provider: 'gemini',
+        service: 'image_analysis',
+        model: this.model,
+        cacheHit: true
+      });
       return cachedResult;
     }
 
@@ -42,7 +51,7 @@ class ImageAnalysisService {
     let lastError;
     for (let attempt = 1; attempt <= this.maxRetries; attempt++) {
       try {
-        const response = await this.makeApiCall(requestPayload);
+        const response = await this.makeTrackedApiCall(requestPayload, usageContext);
         const analysis = this.parseAnalysisResponse(response.data);
         const result = this.formatAnalysisResult(analysis, options);
         
@@ -203,6 +212,37 @@ class ImageAnalysisService {
     };
   }
 
+  /**
+   * Makes the Gemini API call and records its token usage and latency
+   * @param {Object} payload - Request payload
+   * @param {Object} usageContext - Operation the call is recorded against
+   * @returns {Promise<Object>} API response
+   */
+  async makeTrackedApiCall(payload, usageContext) {
+    const startTime = Date.now();
+    const call = {
+      context: usageContext,
+      provider: 'gemini',
+      service: 'image_analysis',
+      model: this.model
+    };
+
+    try {
+      const response = await this.makeApiCall(payload);
+      const usage = response.data?.usageMetadata || {};
+      await providerCostService.recordCall({
+        ...call,
+        inputUnits: usage.promptTokenCount || 0,
+        outputUnits: usage.candidatesTokenCount || 0,
+        latencyMs: Date.now() - startTime
+      });
+      return response;
+    } catch (error) {
+      await providerCostService.recordCall({ ...call, latencyMs: Date.now() - startTime, error });
+      throw error;
+    }
+  }
+
   /**
    * Makes API call to Gemini
    * @param {Object} payload - Request payload
@@ -1,5 +1,6 @@
 const jobManager = require('../jobs/jobManager');
 const operationService = require('./operationService');
+const { WORKFLOW_STAGES } = require('../config/queue');
 
 /**
  * Job Status Service
@@ -21,7 +22,7 @@ class JobStatusService {
     this.webhookEndpoints.set(operationId, {
       url: webhookUrl,
       secret: options.secret,
-      events: options.events || ['completed', 'failed'],
+      events: options.events || ['completed', 'failed', 'awaiting_approval', 'rejected', 'expired'],
       retries: options.retries || 3,
       timeout: options.timeout || 10000,
       registeredAt: new Date()
@@ -49,7 +50,11 @@ class JobStatusService {
         return null;
       }
 
-      // Get job status if video generation is in progress
+      if (operation.metadata?.workflowJobs) {
+        return await this.getWorkflowStatus(operation);
+      }
+
+      // Operations queued as a single video generation job
       let jobStatus = null;
       let queuePosition = null;
       
@@ -67,28 +72,10 @@ class JobStatusService {
       }
 
       return {
-        operationId: operation.operationId,
-        status: operation.status,
+        ...this.formatOperation(operation),
         progress: this.calculateOverallProgress(operation, jobStatus),
         stage: this.getCurrentStage(operation, jobStatus),
-        jobDetails: jobStatus ? {
-          jobId: operation.metadata.videoJobId,
-          jobStatus: this.mapJobStatusToUserFriendly(jobStatus),
-          jobProgress: jobStatus.progress || 0,
-          queuePosition,
-          estimatedTimeRemaining: this.estimateTimeRemaining(jobStatus),
-          startedAt: jobStatus.processedOn ? new Date(jobStatus.processedOn) : null,
-          completedAt: jobStatus.finishedOn ? new Date(jobStatus.finishedOn) : null
-        } : null,
-        creativeBrief: operation.creativeBrief,
-        scriptContent: operation.scriptContent,
-        videoUrls: operation.videoUrls,
-        errorMessage: operation.errorMessage,
-        metadata: operation.metadata,
-        createdAt: operation.created_at,
-        updatedAt: operation.updated_at,
-        completedAt: operation.completedAt,
-        webhookRegistered: this.webhookEndpoints.has(operationId)
+        jobDetails: jobStatus ? this.formatJobDetails(operation.metadata.videoJobId, jobStatus, queuePosition) : null
       };
 
     } catch (error) {
@@ -97,6 +84,167 @@ class JobStatusService {
     }
   }
 
+  /**
+   * Get the status of an operation queued as a generation workflow
+   * Each stage reports its own status and progress; overall progress weighs
+   * the stages by how much of the work they are.
+   * @param {Object} operation - Operation object
+   * @returns {Promise<Object>} Enhanced job status with per-stage details
+   */
+  async getWorkflowStatus(operation) {
+    const { workflowJobs } = operation.metadata;
+    const steps = operation.metadata.workflow?.steps || [];
+    const checkpoints = operation.checkpoints || {};
+
+    const stages = await Promise.all(WORKFLOW_STAGES.map(async (stage) => {
+      const { queue, jobId } = workflowJobs[stage.name] || {};
+
+      let jobStatus = null;
+      if (jobId) {
+        try {
+          jobStatus = await jobManager.getJobStatus(queue, jobId);
+        } catch (jobError) {
+          console.warn(`Could not retrieve ${stage.name} job status:`, jobError.message);
+        }
+      }
+
+      // Finished jobs may have been removed from the queue; the operation's workflow steps still record them
+      const lastStep = steps.filter(step => step.step === stage.name).pop();
+      const checkpointedAt = checkpoints[stage.name]?.completedAt;
+
+      // A resumed run skips the stages checkpointed by an earlier run
+      const status = !jobId && checkpointedAt ? 'completed' : this.getStageStatus(jobStatus, lastStep);
+
+      return {
+        stage: stage.name,
+        status,
+        progress: status === 'completed' ? 100 : (status === 'processing' ? Number(jobStatus?.progress) || 0 : 0),
+        weight: stage.weight,
+        jobId: jobId || null,
+        queue: queue || null,
+        jobStatus,
+        startedAt: jobStatus?.processedOn ? new Date(jobStatus.processedOn) : null,
+        completedAt: status === 'completed' && (jobStatus?.finishedOn || checkpointedAt)
+          ? new Date(jobStatus?.finishedOn || checkpointedAt)
+          : null,
+        error: status === 'failed' ? (jobStatus?.failedReason || lastStep?.error || null) : null
+      };
+    }));
+
+    const current = this.getCurrentWorkflowStage(operation, stages);
+    let jobDetails = null;
+    if (current?.jobStatus) {
+      const queuePosition = current.jobStatus.processedOn ? null : await this.getQueuePosition(current.queue, current.jobId);
+      jobDetails = this.formatJobDetails(current.jobId, current.jobStatus, queuePosition);
+    }
+
+    return {
+      ...this.formatOperation(operation),
+      progress: this.calculateWorkflowProgress(operation, stages),
+      stage: current ? current.stage : operation.status,
+      stages: stages.map(({ jobStatus, weight, queue, ...stage }) => stage),
+      jobDetails
+    };
+  }
+
+  /**
+   * Get the status of one workflow stage
+   * @param {Object|null} jobStatus - Stage job status from the queue
+   * @param {Object|undefined} lastStep - Last workflow step recorded for the stage
+   * @returns {string} pending, queued, processing, retrying, completed or failed
+   */
+  getStageStatus(jobStatus, lastStep) {
+    if (jobStatus) {
+      if (jobStatus.finishedOn) {
+        return jobStatus.failedReason ? 'failed' : 'completed';
+      }
+      if (jobStatus.failedReason) {
+        return 'retrying';
+      }
+      return jobStatus.processedOn ? 'processing' : 'queued';
+    }
+
+    const stepStatuses = {
+      started: 'processing',
+      retrying: 'retrying',
+      completed: 'completed',
+      failed: 'failed'
+    };
+    return stepStatuses[lastStep?.status] || 'pending';
+  }
+
+  /**
+   * Get the workflow stage an operation is at
+   * @param {Object} operation - Operation object
+   * @param {Array} stages - Stage statuses from getWorkflowStatus
+   * @returns {Object|null} The failed stage, the first unfinished stage, or null once all are done or the script awaits approval
+   */
+  getCurrentWorkflowStage(operation, stages) {
+    if (operation.status === 'failed') {
+      return stages.find(stage => stage.status === 'failed') || null;
+    }
+    if (['completed', 'awaiting_approval'].includes(operation.status)) {
+      return null;
+    }
+    return stages.find(stage => stage.status !== 'completed') || null;
+  }
+
+  /**
+   * Calculate overall progress of a workflow from its stages
+   * @param {Object} operation - Operation object
+   * @param {Array} stages - Stage statuses from getWorkflowStatus
+   * @returns {number} Progress percentage (0-100)
+   */
+  calculateWorkflowProgress(operation, stages) {
+    if (operation.status === 'completed') return 100;
+
+    const totalWeight = stages.reduce((total, stage) => total + stage.weight, 0);
+    const progress = stages.reduce((total, stage) => total + stage.weight * (stage.progress / 100), 0);
+
+    return Math.min(100, Math.round((progress / totalWeight) * 100));
+  }
+
+  /**
+   * Format the operation fields included in every status response
+   * @param {Object} operation - Operation object
+   * @returns {Object} Operation status fields
+   */
+  formatOperation(operation) {
+    return {
+      operationId: operation.operationId,
+      status: operation.status,
+      creativeBrief: operation.creativeBrief,
+      scriptContent: operation.scriptContent,
+      videoUrls: operation.videoUrls,
+      errorMessage: operation.errorMessage,
+      metadata: operation.metadata,
+      lineage: operationService.getLineage(operation),
+      createdAt: operation.created_at,
+      updatedAt: operation.updated_at,
+      completedAt: operation.completedAt,
+      webhookRegistered: this.webhookEndpoints.has(operation.operationId)
+    };
+  }
+
+  /**
+   * Format queue details of the job an operation is waiting on
+   * @param {string} jobId - Job ID
+   * @param {Object} jobStatus - Job status from the queue
+   * @param {number|null} queuePosition - Position among waiting jobs
+   * @returns {Object} Job details
+   */
+  formatJobDetails(jobId, jobStatus, queuePosition) {
+    return {
+      jobId,
+      jobStatus: this.mapJobStatusToUserFriendly(jobStatus),
+      jobProgress: jobStatus.progress || 0,
+      queuePosition,
+      estimatedTimeRemaining: this.estimateTimeRemaining(jobStatus),
+      startedAt: jobStatus.processedOn ? new Date(jobStatus.processedOn) : null,
+      completedAt: jobStatus.finishedOn ? new Date(jobStatus.finishedOn) : null
+    };
+  }
+
   /**
    * Get position of job in queue
    * @param {string} queueName - Queue name
@@ -270,8 +418,8 @@ class JobStatusService {
       }
     }
 
-    // Clean up webhook after completion or failure
-    if (event === 'completed' || event === 'failed') {
+    // Clean up webhook once the operation has ended
+    if (['completed', 'failed', 'rejected', 'expired'].includes(event)) {
       this.unregisterWebhook(operationId);
     }
   }
@@ -1,17 +1,14 @@
 const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
 const bcrypt = require('bcrypt');
+const { Op } = require('sequelize');
+const models = require('../models');
 
 /**
  * OAuth2 Service for managing JWT tokens and user authentication
  */
 class OAuthService {
   constructor() {
-    // In-memory storage for demo purposes
-    // In production, this should be replaced with a database
-    this.users = new Map();
-    this.refreshTokens = new Map();
-    
     // JWT configuration
     this.jwtSecret = process.env.JWT_SECRET || crypto.randomBytes(64).toString('hex');
     this.jwtExpiresIn = process.env.JWT_EXPIRES_IN || '1h';
@@ -26,99 +23,63 @@ class OAuthService {
       'user': ['ugc:generate', 'cache:read'],
       'viewer': ['cache:read', 'analytics:read']
     };
-    
-    // Initialize default users asynchronously
-    this.initializeDefaultUsers().catch(console.error);
-  }
-
-  /**
-   * Initialize some default users for testing
-   */
-  async initializeDefaultUsers() {
-    // Create a default admin user with hashed password
-    const adminUser = await this.createUser({
-      email: 'admin@example.com',
-      name: 'Admin User',
-      provider: 'local',
-      providerId: 'admin-local',
-      role: 'admin',
-      password: 'admin123'
-    });
-    
-    console.log(`👤 Default admin user created: ${adminUser.email}`);
-    console.log('   Password: admin123');
   }
 
   /**
    * Create a new user
    * @param {Object} userData - User data
-   * @returns {Object} Created user
+   * @returns {Promise<Object>} Created user
    */
   async createUser(userData) {
-    const userId = crypto.randomUUID();
-    
     // Hash password if provided
     let hashedPassword = null;
     if (userData.password) {
       hashedPassword = await bcrypt.hash(userData.password, this.saltRounds);
     }
     
-    const user = {
-      id: userId,
+    const role = userData.role || 'user';
+    
+    return models.User.create({
       email: userData.email,
       name: userData.name,
       provider: userData.provider || 'local',
       providerId: userData.providerId || userData.email,
-      role: userData.role || 'user',
-      permissions: this.roles[userData.role || 'user'] || this.roles.user,
+      role,
+      permissions: this.roles[role] || this.roles.user,
       passwordHash: hashedPassword,
-      createdAt: new Date(),
       lastLogin: null,
       isActive: true,
       metadata: userData.metadata || {}
-    };
-    
-    this.users.set(userId, user);
-    return user;
+    });
   }
 
   /**
    * Find user by provider ID
    * @param {string} provider - OAuth provider (google, etc.)
    * @param {string} providerId - Provider-specific user ID
-   * @returns {Object|null} User if found
+   * @returns {Promise<Object|null>} User if found
    */
-  findUserByProvider(provider, providerId) {
-    for (const [userId, user] of this.users.entries()) {
-      if (user.provider === provider && user.providerId === providerId) {
-        return user;
-      }
-    }
-    return null;
+  async findUserByProvider(provider, providerId) {
+    return models.User.findOne({ where: { provider, providerId } });
   }
 
   /**
    * Find user by email
    * @param {string} email - User email
-   * @returns {Object|null} User if found
+   * @returns {Promise<Object|null>} User if found
    */
-  findUserByEmail(email) {
-    for (const [userId, user] of this.users.entries()) {
-      if (user.email === email) {
-        return user;
-      }
-    }
-    return null;
+  async findUserByEmail(email) {
+    return models.User.findOne({ where: { email } });
   }
 
   /**
    * Verify user password
    * @param {string} email - User email
    * @param {string} password - Plain text password
-   * @returns {Object|null} User if credentials are valid
+   * @returns {Promise<Object|null>} User if credentials are valid
    */
   async verifyUserCredentials(email, password) {
-    const user = this.findUserByEmail(email);
+    const user = await this.findUserByEmail(email);
     if (!user || !user.passwordHash) {
       return null;
     }
@@ -130,10 +91,10 @@ class OAuthService {
   /**
    * Find user by ID
    * @param {string} userId - User ID
-   * @returns {Object|null} User if found
+   * @returns {Promise<Object|null>} User if found
    */
-  findUserById(userId) {
-    return this.users.get(userId) || null;
+  async findUserById(userId) {
+    return models.User.findByPk(userId);
   }
 
   /**
@@ -158,82 +119,143 @@ class OAuthService {
     });
   }
 
+  /**
+   * Hash a refresh token for storage and lookup
+   * Refresh tokens are high-entropy random values, so a SHA-256 digest is
+   * sufficient and keeps lookups indexable.
+   * @param {string} token - Plain refresh token
+   * @returns {string} Token hash
+   */
+  hashRefreshToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
   /**
    * Generate refresh token
+   * A token without a familyId starts a new session; rotation passes the
+   * previous token's session details so the family carries over.
    * @param {Object} user - User object
-   * @returns {string} Refresh token
+   * @param {Object} session - Session details
+   * @param {string} session.id - ID to use for the new token row
+   * @param {string} session.familyId - Token family to join
+   * @param {Date} session.sessionStartedAt - When the session was created
+   * @param {string} session.deviceName - Client-supplied device name
+   * @param {string} session.userAgent - Client user agent
+   * @param {string} session.ipAddress - Client IP address
+   * @returns {Promise<string>} Refresh token
    */
-  generateRefreshToken(user) {
-    const tokenId = crypto.randomUUID();
+  async generateRefreshToken(user, session = {}) {
     const token = crypto.randomBytes(64).toString('hex');
+    const now = new Date();
     
-    const refreshTokenData = {
-      id: tokenId,
-      token: token,
+    await models.RefreshToken.create({
+      id: session.id || crypto.randomUUID(),
+      tokenHash: this.hashRefreshToken(token),
       userId: user.id,
-      createdAt: new Date(),
+      familyId: session.familyId || crypto.randomUUID(),
+      deviceName: session.deviceName || null,
+      userAgent: session.userAgent || null,
+      ipAddress: session.ipAddress || null,
+      sessionStartedAt: session.sessionStartedAt || now,
+      lastUsedAt: now,
       expiresAt: new Date(Date.now() + this.parseTimeToMs(this.refreshTokenExpiresIn)),
       isActive: true
-    };
+    });
     
-    this.refreshTokens.set(token, refreshTokenData);
     return token;
   }
 
   /**
    * Verify JWT token
    * @param {string} token - JWT token
-   * @returns {Object|null} Decoded token payload if valid
+   * @returns {Promise<Object|null>} Decoded token payload if valid
    */
-  verifyAccessToken(token) {
+  async verifyAccessToken(token) {
+    let decoded;
     try {
-      const decoded = jwt.verify(token, this.jwtSecret, {
+      decoded = jwt.verify(token, this.jwtSecret, {
         issuer: 'ugc-ad-creator-api',
         audience: 'ugc-ad-creator-clients'
       });
-      
-      // Check if user still exists and is active
-      const user = this.findUserById(decoded.sub);
-      if (!user || !user.isActive) {
-        return null;
-      }
-      
-      return decoded;
     } catch (error) {
       console.error('JWT verification error:', error.message);
       return null;
     }
+    
+    // Check if user still exists and is active
+    const user = await this.findUserById(decoded.sub);
+    if (!user || !user.isActive) {
+      return null;
+    }
+    
+    return decoded;
   }
 
   /**
    * Refresh access token using refresh token
+   * Every refresh rotates the refresh token. Presenting a token that has
+   * already been rotated revokes its whole family, since either the client
+   * or an attacker is holding a stolen copy.
    * @param {string} refreshToken - Refresh token
-   * @returns {Object|null} New tokens if valid
+   * @param {Object} context - Client details for the session
+   * @param {string} context.userAgent - Client user agent
+   * @param {string} context.ipAddress - Client IP address
+   * @returns {Promise<Object|null>} New tokens if valid
    */
-  refreshAccessToken(refreshToken) {
-    const tokenData = this.refreshTokens.get(refreshToken);
+  async refreshAccessToken(refreshToken, context = {}) {
+    const tokenData = await models.RefreshToken.findOne({
+      where: { tokenHash: this.hashRefreshToken(refreshToken) }
+    });
     
-    if (!tokenData || !tokenData.isActive) {
+    if (!tokenData) {
       return null;
     }
     
-    if (new Date() > tokenData.expiresAt) {
+    if (!tokenData.isActive) {
+      if (tokenData.revokedReason === 'rotated') {
+        await this.handleTokenReuse(tokenData);
+      }
+      return null;
+    }
+    
+    if (tokenData.isExpired()) {
       // Token expired, remove it
-      this.refreshTokens.delete(refreshToken);
+      await tokenData.destroy();
       return null;
     }
     
-    const user = this.findUserById(tokenData.userId);
+    const user = await this.findUserById(tokenData.userId);
     if (!user || !user.isActive) {
       return null;
     }
     
+    // Invalidate old refresh token; the conditional update ensures only one
+    // concurrent refresh can consume it
+    const replacementId = crypto.randomUUID();
+    const [consumed] = await models.RefreshToken.update(
+      {
+        isActive: false,
+        revokedAt: new Date(),
+        revokedReason: 'rotated',
+        replacedById: replacementId
+      },
+      { where: { id: tokenData.id, isActive: true } }
+    );
+    if (consumed === 0) {
+      await this.handleTokenReuse(tokenData);
+      return null;
+    }
+    
     // Generate new tokens
     const newAccessToken = this.generateAccessToken(user);
-    const newRefreshToken = this.generateRefreshToken(user);
-    
-    // Invalidate old refresh token
-    tokenData.isActive = false;
+    const newRefreshToken = await this.generateRefreshToken(user, {
+      id: replacementId,
+      familyId: tokenData.familyId,
+      sessionStartedAt: tokenData.sessionStartedAt,
+      deviceName: tokenData.deviceName,
+      userAgent: context.userAgent || tokenData.userAgent,
+      ipAddress: context.ipAddress || tokenData.ipAddress
+    });
     
     return {
       accessToken: newAccessToken,
@@ -243,30 +265,77 @@ class OAuthService {
     };
   }
 
+  /**
+   * Revoke every token in the family of a reused refresh token
+   * @param {Object} tokenData - The reused RefreshToken record
+   * @returns {Promise<void>}
+   */
+  async handleTokenReuse(tokenData) {
+    console.warn(`Refresh token reuse detected for user ${tokenData.userId}; revoking session ${tokenData.familyId}`);
+    await models.RefreshToken.revokeFamily(tokenData.familyId, 'reuse_detected');
+  }
+
   /**
    * Revoke refresh token
    * @param {string} refreshToken - Refresh token to revoke
-   * @returns {boolean} Success status
+   * @returns {Promise<boolean>} Success status
+   */
+  async revokeRefreshToken(refreshToken) {
+    const [updated] = await models.RefreshToken.update(
+      { isActive: false, revokedAt: new Date(), revokedReason: 'logout' },
+      { where: { tokenHash: this.hashRefreshToken(refreshToken), isActive: true } }
+    );
+    return updated > 0;
+  }
+
+  /**
+   * List a user's active sessions
+   * Each session is a token family; only its current token is active.
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>} Active sessions
    */
-  revokeRefreshToken(refreshToken) {
-    const tokenData = this.refreshTokens.get(refreshToken);
-    if (tokenData) {
-      tokenData.isActive = false;
-      return true;
+  async listSessions(userId) {
+    const tokens = await models.RefreshToken.findActiveSessions(userId);
+    
+    return tokens.map(token => ({
+      id: token.familyId,
+      device: token.deviceName || token.userAgent || 'Unknown device',
+      userAgent: token.userAgent,
+      ipAddress: token.ipAddress,
+      createdAt: token.sessionStartedAt,
+      lastUsedAt: token.lastUsedAt,
+      expiresAt: token.expiresAt
+    }));
+  }
+
+  /**
+   * Revoke one of a user's sessions
+   * @param {string} userId - User ID
+   * @param {string} sessionId - Session (token family) ID
+   * @returns {Promise<boolean>} Success status
+   */
+  async revokeSession(userId, sessionId) {
+    if (!/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(sessionId)) {
+      return false;
     }
-    return false;
+    
+    const [updated] = await models.RefreshToken.update(
+      { isActive: false, revokedAt: new Date(), revokedReason: 'session_revoked' },
+      { where: { userId, familyId: sessionId, isActive: true } }
+    );
+    return updated > 0;
   }
 
   /**
    * Update user's last login time
    * @param {string} userId - User ID
+   * @returns {Promise<void>}
    */
-  updateLastLogin(userId) {
-    const user = this.users.get(userId);
-    if (user) {
-      user.lastLogin = new Date();
-      this.users.set(userId, user);
-    }
+  async updateLastLogin(userId) {
+    await models.User.update(
+      { lastLogin: new Date() },
+      { where: { id: userId } }
+    );
   }
 
   /**
@@ -283,10 +352,10 @@ class OAuthService {
   /**
    * Get user profile information
    * @param {string} userId - User ID
-   * @returns {Object|null} User profile
+   * @returns {Promise<Object|null>} User profile
    */
-  getUserProfile(userId) {
-    const user = this.findUserById(userId);
+  async getUserProfile(userId) {
+    const user = await this.findUserById(userId);
     if (!user) return null;
     
     return {
@@ -296,7 +365,7 @@ class OAuthService {
       role: user.role,
       permissions: user.permissions,
       provider: user.provider,
-      createdAt: user.createdAt,
+      createdAt: user.created_at,
       lastLogin: user.lastLogin,
       isActive: user.isActive
     };
@@ -306,79 +375,98 @@ class OAuthService {
    * Update user role and permissions
    * @param {string} userId - User ID
    * @param {string} role - New role
-   * @returns {boolean} Success status
+   * @returns {Promise<boolean>} Success status
    */
-  updateUserRole(userId, role) {
-    const user = this.users.get(userId);
-    if (!user || !this.roles[role]) return false;
+  async updateUserRole(userId, role) {
+    if (!this.roles[role]) return false;
     
-    user.role = role;
-    user.permissions = this.roles[role];
-    this.users.set(userId, user);
-    return true;
+    const [updated] = await models.User.update(
+      { role, permissions: this.roles[role] },
+      { where: { id: userId } }
+    );
+    return updated > 0;
   }
 
   /**
    * Deactivate user
    * @param {string} userId - User ID
-   * @returns {boolean} Success status
+   * @returns {Promise<boolean>} Success status
    */
-  deactivateUser(userId) {
-    const user = this.users.get(userId);
-    if (!user) return false;
-    
-    user.isActive = false;
-    this.users.set(userId, user);
+  async deactivateUser(userId) {
+    const [updated] = await models.User.update(
+      { isActive: false },
+      { where: { id: userId } }
+    );
+    if (updated === 0) return false;
     
     // Revoke all refresh tokens for this user
-    for (const [token, tokenData] of this.refreshTokens.entries()) {
-      if (tokenData.userId === userId) {
-        tokenData.isActive = false;
-      }
-    }
+    await models.RefreshToken.update(
+      { isActive: false, revokedAt: new Date(), revokedReason: 'user_deactivated' },
+      { where: { userId, isActive: true } }
+    );
     
     return true;
   }
 
   /**
    * Get all users (admin only)
-   * @returns {Array} Array of user profiles
+   * @returns {Promise<Array>} Array of user profiles
    */
-  getAllUsers() {
-    const users = [];
-    for (const [userId, user] of this.users.entries()) {
-      users.push({
-        id: user.id,
-        email: user.email,
-        name: user.name,
-        role: user.role,
-        provider: user.provider,
-        createdAt: user.createdAt,
-        lastLogin: user.lastLogin,
-        isActive: user.isActive
-      });
-    }
-    return users;
+  async getAllUsers() {
+    const users = await models.User.findAll({
+      order: [['created_at', 'ASC']]
+    });
+    
+    return users.map(user => ({
+      id: user.id,
+      email: user.email,
+      name: user.name,
+      role: user.role,
+      provider: user.provider,
+      createdAt: user.created_at,
+      lastLogin: user.lastLogin,
+      isActive: user.isActive
+    }));
   }
 
   /**
-   * Get authentication statistics
-   * @returns {Object} Auth statistics
+   * Count users grouped by a column
+   * @param {string} column - Column to group by
+   * @returns {Promise<Object>} Map of column value to user count
    */
-  getAuthStats() {
-    const totalUsers = this.users.size;
-    const activeUsers = Array.from(this.users.values()).filter(u => u.isActive).length;
-    const activeTokens = Array.from(this.refreshTokens.values()).filter(t => t.isActive).length;
-    
-    const roleStats = {};
-    for (const user of this.users.values()) {
-      roleStats[user.role] = (roleStats[user.role] || 0) + 1;
-    }
+  async countUsersBy(column) {
+    const rows = await models.User.findAll({
+      attributes: [column, [models.sequelize.fn('COUNT', '*'), 'count']],
+      group: [column],
+      raw: true
+    });
     
-    const providerStats = {};
-    for (const user of this.users.values()) {
-      providerStats[user.provider] = (providerStats[user.provider] || 0) + 1;
+    const stats = {};
+    for (const row of rows) {
+      stats[row[column]] = parseInt(row.count);
     }
+    return stats;
+  }
+
+  /**
+   * Get authentication statistics
+   * @returns {Promise<Object>} Auth statistics
+   */
+  async getAuthStats() {
+    const [totalUsers, activeUsers, activeTokens, roleStats, providerStats, recentLogins] = await Promise.all([
+      models.User.count(),
+      models.User.count({ where: { isActive: true } }),
+      models.RefreshToken.count({
+        where: { isActive: true, expiresAt: { [Op.gt]: new Date() } }
+      }),
+      this.countUsersBy('role'),
+      this.countUsersBy('provider'),
+      models.User.findAll({
+        where: { lastLogin: { [Op.ne]: null } },
+        order: [['last_login', 'DESC']],
+        limit: 10
+      })
+    ]);
     
     return {
       totalUsers,
@@ -386,16 +474,12 @@ class OAuthService {
       activeTokens,
       roleStats,
       providerStats,
-      recentLogins: Array.from(this.users.values())
-        .filter(u => u.lastLogin)
-        .sort((a, b) => new Date(b.lastLogin) - new Date(a.lastLogin))
-        .slice(0, 10)
-        .map(u => ({
-          id: u.id,
-          email: u.email,
-          name: u.name,
-          lastLogin: u.lastLogin
-        }))
+      recentLogins: recentLogins.map(u => ({
+        id: u.id,
+        email: u.email,
+        name: u.name,
+        lastLogin: u.lastLogin
+      }))
     };
   }
 
@@ -421,14 +505,12 @@ class OAuthService {
 
   /**
    * Clean up expired refresh tokens
+   * @returns {Promise<number>} Number of tokens removed
    */
-  cleanupExpiredTokens() {
-    const now = new Date();
-    for (const [token, tokenData] of this.refreshTokens.entries()) {
-      if (now > tokenData.expiresAt) {
-        this.refreshTokens.delete(token);
-      }
-    }
+  async cleanupExpiredTokens() {
+    return models.RefreshToken.destroy({
+      where: { expiresAt: { [Op.lt]: new Date() } }
+    });
   }
 }
 
@@ -437,7 +519,9 @@ const oauthService = new OAuthService();
 
 // Clean up expired tokens every hour
 setInterval(() => {
-  oauthService.cleanupExpiredTokens();
+  oauthService.cleanupExpiredTokens().catch(error => {
+    console.error('Failed to clean up expired refresh tokens:', error.message);
+  });
 }, 60 * 60 * 1000);
 
 module.exports = oauthService;
\ No newline at end of file
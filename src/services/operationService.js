@@ -1,32 +1,65 @@
 const crypto = require('crypto');
 const { Op } = require('sequelize');
 const models = require('../models');
+const quotaService = require('./quotaService');
+const { APIError } = require('../middleware/errorHandler');
+
+/**
+ * Raised when an operation is no longer in a status it can be restarted from
+ */
+class OperationStateError extends APIError {
+  constructor(message, statusCode, code) {
+    super(message, statusCode, code);
+    this.name = 'OperationStateError';
+  }
+}
 
 /**
  * Service for managing UGC operation persistence and tracking
  */
 class OperationService {
+  constructor() {
+    this.OperationStateError = OperationStateError;
+  }
+
   /**
    * Create a new UGC operation record
    * @param {Object} params - Operation parameters
    * @returns {Promise<Object>} Created operation
    */
-  async createOperation({ creativeBrief, apiKeyId, userId, metadata = {} }) {
+  async createOperation({
+    operationId = null,
+    creativeBrief,
+    apiKeyId,
+    userId,
+    organizationId = null,
+    batchId = null,
+    parentOperationId = null,
+    inputImages = null,
+    scriptContent = null,
+    checkpoints = {},
+    metadata = {},
+    transaction = null
+  }) {
     try {
-      const operationId = `op_${crypto.randomUUID().replace(/-/g, '').substring(0, 16)}`;
-      
       const operation = await models.UgcOperation.create({
-        operationId,
+        operationId: operationId || `op_${crypto.randomUUID().replace(/-/g, '').substring(0, 16)}`,
         apiKeyId,
         userId,
+        organizationId,
+        batchId,
+        parentOperationId,
         status: 'pending',
         creativeBrief,
+        inputImages,
+        scriptContent,
+        checkpoints,
         metadata: {
           ...metadata,
           createdAt: new Date().toISOString(),
           version: '1.0.0'
         }
-      });
+      }, { transaction });
 
       return operation;
     } catch (error) {
@@ -88,18 +121,57 @@ class OperationService {
     }
   }
 
+  /**
+   * Get the operations generating the script variants of an operation
+   * @param {string} parentId - Database ID of the operation that wrote the variants
+   * @returns {Promise<Array>} Variant operations, oldest first
+   */
+  async getVariantOperations(parentId) {
+    try {
+      return await models.UgcOperation.findAll({
+        where: { parentOperationId: parentId },
+        order: [['created_at', 'ASC']]
+      });
+    } catch (error) {
+      console.error('Failed to get variant operations:', error.message);
+      throw new Error(`Variant operation retrieval failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Describe where an operation came from
+   * Script variants and remixes point at the operation they were made from.
+   * @param {Object} operation - UgcOperation record
+   * @returns {Object|null} { parentOperationId, rootOperationId, relation }, relation being 'variant' or 'remix', or null for an original operation
+   */
+  getLineage(operation) {
+    const { parentOperationId, remix } = operation.metadata || {};
+    if (!parentOperationId) {
+      return null;
+    }
+
+    return remix
+      ? { parentOperationId, rootOperationId: remix.rootOperationId, relation: 'remix', overrides: Object.keys(remix.overrides || {}) }
+      : { parentOperationId, rootOperationId: parentOperationId, relation: 'variant' };
+  }
+
   /**
    * Get operations for a user
    * @param {string} userId - User ID
    * @param {Object} options - Query options
+   * @param {string|null} options.organizationId - Restrict to an organization (null for personal operations)
    * @returns {Promise<Array>} User operations
    */
   async getUserOperations(userId, options = {}) {
     try {
-      const { limit = 50, status, startDate, endDate } = options;
+      const { limit = 50, status, startDate, endDate, organizationId } = options;
       
       const whereClause = { userId };
       
+      if (organizationId !== undefined) {
+        whereClause.organizationId = organizationId;
+      }
+      
       if (status) {
         whereClause.status = status;
       }
@@ -126,6 +198,51 @@ class OperationService {
     }
   }
 
+  /**
+   * Get operations shared within an organization
+   * @param {string} organizationId - Organization ID
+   * @param {Object} options - Query options
+   * @returns {Promise<Array>} Organization operations
+   */
+  async getOrganizationOperations(organizationId, options = {}) {
+    try {
+      const { limit = 50, status, startDate, endDate } = options;
+      
+      const whereClause = { organizationId };
+      
+      if (status) {
+        whereClause.status = status;
+      }
+      
+      if (startDate || endDate) {
+        whereClause.created_at = {};
+        if (startDate) whereClause.created_at[Op.gte] = startDate;
+        if (endDate) whereClause.created_at[Op.lte] = endDate;
+      }
+
+      return await models.UgcOperation.findAll({
+        where: whereClause,
+        order: [['created_at', 'DESC']],
+        limit,
+        include: [
+          {
+            model: models.User,
+            as: 'user',
+            attributes: ['id', 'name', 'email']
+          },
+          {
+            model: models.ApiKey,
+            as: 'apiKey',
+            attributes: ['id', 'name']
+          }
+        ]
+      });
+    } catch (error) {
+      console.error('Failed to get organization operations:', error.message);
+      throw new Error(`Organization operations retrieval failed: ${error.message}`);
+    }
+  }
+
   /**
    * Get operations for an API key
    * @param {string} apiKeyId - API Key ID
@@ -205,67 +322,14 @@ class OperationService {
   }
 
   /**
-   * Check user quotas
+   * Check user quotas against their plan
    * @param {string} userId - User ID
-   * @param {Object} quotaLimits - Quota limits
+   * @param {Object} plan - Plan whose limits apply (defaults to the user's plan)
    * @returns {Promise<Object>} Quota status
    */
-  async checkUserQuotas(userId, quotaLimits = {}) {
+  async checkUserQuotas(userId, plan = null) {
     try {
-      const {
-        dailyLimit = 100,
-        monthlyLimit = 1000,
-        concurrentLimit = 5
-      } = quotaLimits;
-
-      const now = new Date();
-      const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
-      const thisMonth = new Date(now.getFullYear(), now.getMonth(), 1);
-
-      // Check daily usage
-      const dailyCount = await models.UgcOperation.count({
-        where: {
-          userId,
-          created_at: { [Op.gte]: today }
-        }
-      });
-
-      // Check monthly usage
-      const monthlyCount = await models.UgcOperation.count({
-        where: {
-          userId,
-          created_at: { [Op.gte]: thisMonth }
-        }
-      });
-
-      // Check concurrent operations
-      const concurrentCount = await models.UgcOperation.count({
-        where: {
-          userId,
-          status: { [Op.in]: ['pending', 'processing'] }
-        }
-      });
-
-      return {
-        daily: {
-          used: dailyCount,
-          limit: dailyLimit,
-          remaining: Math.max(0, dailyLimit - dailyCount),
-          exceeded: dailyCount >= dailyLimit
-        },
-        monthly: {
-          used: monthlyCount,
-          limit: monthlyLimit,
-          remaining: Math.max(0, monthlyLimit - monthlyCount),
-          exceeded: monthlyCount >= monthlyLimit
-        },
-        concurrent: {
-          used: concurrentCount,
-          limit: concurrentLimit,
-          remaining: Math.max(0, concurrentLimit - concurrentCount),
-          exceeded: concurrentCount >= concurrentLimit
-        }
-      };
+      return await quotaService.getQuotaStatus({ userId }, plan);
     } catch (error) {
       console.error('Failed to check user quotas:', error.message);
       throw new Error(`Quota check failed: ${error.message}`);
@@ -332,6 +396,169 @@ class OperationService {
     }
   }
 
+  /**
+   * Save the output of a workflow stage so a resumed workflow can skip it
+   * @param {string} operationId - Operation ID
+   * @param {string} stage - Workflow stage name
+   * @param {Object} output - Stage output, as handed to the next stage
+   * @returns {Promise<Object>} Saved checkpoint
+   */
+  async saveCheckpoint(operationId, stage, output) {
+    try {
+      const operation = await models.UgcOperation.findByOperationId(operationId);
+
+      if (!operation) {
+        throw new Error(`Operation not found: ${operationId}`);
+      }
+
+      const checkpoint = {
+        ...output,
+        completedAt: new Date().toISOString()
+      };
+
+      operation.checkpoints = { ...(operation.checkpoints || {}), [stage]: checkpoint };
+      operation.changed('checkpoints', true);
+
+      await operation.save();
+      return checkpoint;
+    } catch (error) {
+      console.error('Failed to save checkpoint:', error.message);
+      throw new Error(`Checkpoint save failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Save one generated video segment as soon as it is ready
+   * The video generation checkpoint stays incomplete until every segment is
+   * saved, so a resumed workflow only regenerates the missing segments.
+   * @param {string} operationId - Operation ID
+   * @param {Object} segment - Video segment, identified by its segmentKey
+   */
+  async saveSegmentCheckpoint(operationId, segment) {
+    try {
+      const operation = await models.UgcOperation.findByOperationId(operationId);
+
+      if (!operation) {
+        throw new Error(`Operation not found: ${operationId}`);
+      }
+
+      const checkpoints = operation.checkpoints || {};
+      const videoGeneration = checkpoints.video_generation || { videoSegments: [] };
+      const videoSegments = videoGeneration.videoSegments
+        .filter(existing => existing.segmentKey !== segment.segmentKey)
+        .concat({ ...segment, savedAt: new Date().toISOString() })
+        .sort((a, b) => a.segmentIndex - b.segmentIndex);
+
+      operation.checkpoints = {
+        ...checkpoints,
+        video_generation: { ...videoGeneration, videoSegments }
+      };
+      operation.changed('checkpoints', true);
+
+      await operation.save();
+    } catch (error) {
+      console.error('Failed to save segment checkpoint:', error.message);
+      throw new Error(`Segment checkpoint save failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get the images uploaded for an operation
+   * @param {string} operationId - Operation ID
+   * @returns {Promise<Array>} Base64 images ({ data, mimeType, originalName })
+   */
+  async getInputImages(operationId) {
+    try {
+      return await models.UgcOperation.getInputImages(operationId);
+    } catch (error) {
+      console.error('Failed to get input images:', error.message);
+      throw new Error(`Input image retrieval failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Put an operation back in the queue to resume or rework it
+   * The update only applies while the operation is in one of fromStatuses, so of
+   * concurrent restarts only one goes through. onRestart, such as placing the
+   * credit hold of the new run, runs in the same transaction and is undone
+   * with the restart if it fails.
+   * @param {string} operationId - Operation ID
+   * @param {Object} params - Restart parameters
+   * @param {Array<string>} params.fromStatuses - Statuses the operation can be restarted from
+   * @param {Object} params.checkpoints - Checkpoints the resumed workflow starts from
+   * @param {Object} params.scriptContent - Script to replace the operation's script with (optional)
+   * @param {Object} params.metadata - Metadata to merge
+   * @param {Function} onRestart - Called with the transaction once the operation is restarted (optional)
+   * @returns {Promise<*>} Result of onRestart, or null without one
+   * @throws {OperationStateError} If the operation is no longer in one of fromStatuses
+   */
+  async restartOperation(operationId, { fromStatuses, checkpoints, scriptContent = null, metadata = {} }, onRestart = null) {
+    try {
+      return await models.sequelize.transaction(async (transaction) => {
+        const operation = await models.UgcOperation.findOne({ where: { operationId }, transaction });
+
+        if (!operation) {
+          throw new Error(`Operation not found: ${operationId}`);
+        }
+
+        const [restarted] = await models.UgcOperation.update({
+          status: 'pending',
+          errorMessage: null,
+          completedAt: null,
+          checkpoints,
+          ...(scriptContent && { scriptContent }),
+          metadata: { ...operation.metadata, ...metadata }
+        }, {
+          where: { operationId, status: { [Op.in]: fromStatuses } },
+          transaction
+        });
+
+        if (restarted === 0) {
+          throw new OperationStateError(
+            `Only ${fromStatuses.join(' or ')} operations can be restarted; this operation may already have been restarted by another request`,
+            409,
+            'OPERATION_STATE_CHANGED'
+          );
+        }
+
+        return onRestart ? onRestart(transaction) : null;
+      });
+    } catch (error) {
+      if (error instanceof APIError) {
+        throw error;
+      }
+      console.error('Failed to restart operation:', error.message);
+      throw new Error(`Operation restart failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Replace the script of an operation without changing its status
+   * @param {string} operationId - Operation ID
+   * @param {Object} params - Script parameters
+   * @param {Object} params.scriptContent - New script
+   * @param {Object} params.metadata - Metadata to merge
+   * @returns {Promise<Object>} Updated operation
+   */
+  async updateScript(operationId, { scriptContent, metadata = {} }) {
+    try {
+      const operation = await models.UgcOperation.findByOperationId(operationId);
+
+      if (!operation) {
+        throw new Error(`Operation not found: ${operationId}`);
+      }
+
+      operation.scriptContent = scriptContent;
+      operation.metadata = { ...operation.metadata, ...metadata };
+
+      await operation.save();
+      return operation;
+    } catch (error) {
+      console.error('Failed to update operation script:', error.message);
+      throw new Error(`Operation script update failed: ${error.message}`);
+    }
+  }
+
   /**
    * Get operation history for analytics
    * @param {Object} filters - Filter options
@@ -0,0 +1,373 @@
+const models = require('../models');
+
+/**
+ * Organization Service
+ * Manages organizations (team workspaces), their memberships and the
+ * organization a user is currently working in. Keys, operations and batches
+ * created inside an organization are shared by all of its members.
+ */
+class OrganizationService {
+  constructor() {
+    // Ordered from least to most privileged
+    this.roles = models.OrganizationMembership.ROLES;
+  }
+
+  /**
+   * Check whether a role meets a minimum role
+   * @param {string} role - Role held
+   * @param {string} minimumRole - Role required
+   * @returns {boolean} Whether the role is sufficient
+   */
+  hasRole(role, minimumRole) {
+    const rank = this.roles.indexOf(role);
+    return rank !== -1 && rank >= this.roles.indexOf(minimumRole);
+  }
+
+  /**
+   * Check whether a role name is valid
+   * @param {string} role - Role name
+   * @returns {boolean} Whether the role exists
+   */
+  isValidRole(role) {
+    return this.roles.includes(role);
+  }
+
+  /**
+   * Build a URL-safe slug from an organization name
+   * @param {string} name - Organization name
+   * @returns {string} Slug
+   */
+  slugify(name) {
+    return name
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '')
+      .substring(0, 100);
+  }
+
+  /**
+   * Create an organization owned by a user
+   * The creator becomes the owner, and the organization becomes their
+   * active one if they did not have one yet.
+   * @param {Object} params - Organization details
+   * @param {string} params.name - Organization name
+   * @param {string} params.slug - URL-safe identifier (derived from the name if omitted)
+   * @param {string} userId - ID of the creating user
+   * @returns {Promise<Object>} Created organization with the creator's role
+   */
+  async createOrganization({ name, slug }, userId) {
+    const organizationSlug = slug || this.slugify(name);
+
+    const existing = await models.Organization.findOne({ where: { slug: organizationSlug } });
+    if (existing) {
+      throw new Error('Organization slug is already taken');
+    }
+
+    const organization = await models.sequelize.transaction(async (transaction) => {
+      const created = await models.Organization.create({
+        name,
+        slug: organizationSlug,
+        createdBy: userId
+      }, { transaction });
+
+      await models.OrganizationMembership.create({
+        organizationId: created.id,
+        userId,
+        role: 'owner'
+      }, { transaction });
+
+      await models.User.update(
+        { activeOrganizationId: created.id },
+        { where: { id: userId, activeOrganizationId: null }, transaction }
+      );
+
+      return created;
+    });
+
+    return this.toOrganizationData(organization, 'owner');
+  }
+
+  /**
+   * List the organizations a user belongs to
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>} Organizations with the user's role in each
+   */
+  async listUserOrganizations(userId) {
+    const memberships = await models.OrganizationMembership.findAll({
+      where: { userId },
+      include: [{
+        model: models.Organization,
+        as: 'organization',
+        where: { isActive: true }
+      }],
+      order: [['created_at', 'ASC']]
+    });
+
+    return memberships.map(membership => this.toOrganizationData(membership.organization, membership.role));
+  }
+
+  /**
+   * Get an organization and its members, for a member of it
+   * @param {string} organizationId - Organization ID
+   * @param {string} userId - Requesting user ID
+   * @returns {Promise<Object>} Organization with members
+   */
+  async getOrganization(organizationId, userId) {
+    const membership = await this.requireMembership(organizationId, userId);
+
+    const members = await models.OrganizationMembership.findAll({
+      where: { organizationId },
+      include: [{
+        model: models.User,
+        as: 'user',
+        attributes: ['id', 'name', 'email']
+      }],
+      order: [['created_at', 'ASC']]
+    });
+
+    return {
+      ...this.toOrganizationData(membership.organization, membership.role),
+      members: members.map(member => this.toMemberData(member))
+    };
+  }
+
+  /**
+   * Get a user's membership of an active organization
+   * @param {string} organizationId - Organization ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Object|null>} Membership (with organization) or null
+   */
+  async getMembership(organizationId, userId) {
+    if (!organizationId || !userId) {
+      return null;
+    }
+
+    return models.OrganizationMembership.findOne({
+      where: { organizationId, userId },
+      include: [{
+        model: models.Organization,
+        as: 'organization',
+        where: { isActive: true }
+      }]
+    });
+  }
+
+  /**
+   * Get a user's membership, failing if they are not a member with the minimum role
+   * @param {string} organizationId - Organization ID
+   * @param {string} userId - User ID
+   * @param {string} minimumRole - Role required
+   * @returns {Promise<Object>} Membership
+   */
+  async requireMembership(organizationId, userId, minimumRole = 'viewer') {
+    const membership = await this.getMembership(organizationId, userId);
+    if (!membership) {
+      throw new Error('Organization not found');
+    }
+    if (!this.hasRole(membership.role, minimumRole)) {
+      throw new Error(`Organization role ${minimumRole} or higher is required`);
+    }
+    return membership;
+  }
+
+  /**
+   * Add a user to an organization
+   * Admins can add members up to admin; only owners can add owners.
+   * @param {string} organizationId - Organization ID
+   * @param {Object} member - Member details
+   * @param {string} member.email - Email of the user to add
+   * @param {string} member.role - Role to grant
+   * @param {string} actorId - ID of the user adding the member
+   * @returns {Promise<Object>} Created membership
+   */
+  async addMember(organizationId, { email, role = 'viewer' }, actorId) {
+    const actor = await this.requireMembership(organizationId, actorId, 'admin');
+    this.assertCanGrant(actor.role, role);
+
+    const user = await models.User.findOne({ where: { email, isActive: true } });
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    const existing = await models.OrganizationMembership.findMembership(organizationId, user.id);
+    if (existing) {
+      throw new Error('User is already a member of this organization');
+    }
+
+    const membership = await models.OrganizationMembership.create({
+      organizationId,
+      userId: user.id,
+      role,
+      invitedBy: actorId
+    });
+    membership.user = user;
+
+    return this.toMemberData(membership);
+  }
+
+  /**
+   * Change a member's role
+   * @param {string} organizationId - Organization ID
+   * @param {string} userId - Member's user ID
+   * @param {string} role - New role
+   * @param {string} actorId - ID of the user making the change
+   * @returns {Promise<Object>} Updated membership
+   */
+  async updateMemberRole(organizationId, userId, role, actorId) {
+    const actor = await this.requireMembership(organizationId, actorId, 'admin');
+    const membership = await models.OrganizationMembership.findMembership(organizationId, userId);
+    if (!membership) {
+      throw new Error('Member not found');
+    }
+
+    // Changing an owner, or making someone an owner, is reserved for owners
+    this.assertCanGrant(actor.role, membership.role);
+    this.assertCanGrant(actor.role, role);
+
+    if (membership.role === 'owner' && role !== 'owner') {
+      await this.assertNotLastOwner(organizationId);
+    }
+
+    membership.role = role;
+    await membership.save();
+
+    return this.toMemberData(membership);
+  }
+
+  /**
+   * Remove a member from an organization
+   * Members can always remove themselves; removing others needs admin.
+   * @param {string} organizationId - Organization ID
+   * @param {string} userId - Member's user ID
+   * @param {string} actorId - ID of the user removing the member
+   * @returns {Promise<boolean>} Success status
+   */
+  async removeMember(organizationId, userId, actorId) {
+    const actor = await this.requireMembership(organizationId, actorId, userId === actorId ? 'viewer' : 'admin');
+    const membership = await models.OrganizationMembership.findMembership(organizationId, userId);
+    if (!membership) {
+      throw new Error('Member not found');
+    }
+
+    if (userId !== actorId) {
+      this.assertCanGrant(actor.role, membership.role);
+    }
+    if (membership.role === 'owner') {
+      await this.assertNotLastOwner(organizationId);
+    }
+
+    await membership.destroy();
+    await models.User.update(
+      { activeOrganizationId: null },
+      { where: { id: userId, activeOrganizationId: organizationId } }
+    );
+
+    return true;
+  }
+
+  /**
+   * Set the organization a user works in by default
+   * @param {string} userId - User ID
+   * @param {string|null} organizationId - Organization ID, or null for the personal workspace
+   * @returns {Promise<Object|null>} Active organization, or null for the personal workspace
+   */
+  async setActiveOrganization(userId, organizationId) {
+    let membership = null;
+    if (organizationId) {
+      membership = await this.requireMembership(organizationId, userId);
+    }
+
+    await models.User.update(
+      { activeOrganizationId: organizationId || null },
+      { where: { id: userId } }
+    );
+
+    return membership ? this.toOrganizationData(membership.organization, membership.role) : null;
+  }
+
+  /**
+   * Work out which organization a user's request acts in
+   * An explicit organization (from the X-Organization-Id header) must be one
+   * the user belongs to. Otherwise the user's active organization is used,
+   * falling back to the personal workspace if they have since left it.
+   * @param {Object} user - User record
+   * @param {string} requestedOrganizationId - Organization requested for this call
+   * @returns {Promise<Object|null>} { id, role } or null for the personal workspace
+   */
+  async resolveActiveOrganization(user, requestedOrganizationId) {
+    const organizationId = requestedOrganizationId || user.activeOrganizationId;
+    if (!organizationId) {
+      return null;
+    }
+
+    const membership = await this.getMembership(organizationId, user.id);
+    if (!membership) {
+      if (requestedOrganizationId) {
+        throw new Error('Organization not found');
+      }
+      return null;
+    }
+
+    return { id: membership.organizationId, role: membership.role };
+  }
+
+  /**
+   * Ensure a role may be granted or changed by an actor
+   * @param {string} actorRole - Role of the acting member
+   * @param {string} role - Role being granted or changed
+   */
+  assertCanGrant(actorRole, role) {
+    if (!this.isValidRole(role)) {
+      throw new Error(`Invalid organization role: ${role}`);
+    }
+    if (role === 'owner' && actorRole !== 'owner') {
+      throw new Error('Organization role owner or higher is required');
+    }
+  }
+
+  /**
+   * Ensure an organization keeps at least one owner
+   * @param {string} organizationId - Organization ID
+   */
+  async assertNotLastOwner(organizationId) {
+    const owners = await models.OrganizationMembership.count({
+      where: { organizationId, role: 'owner' }
+    });
+    if (owners <= 1) {
+      throw new Error('An organization must keep at least one owner');
+    }
+  }
+
+  /**
+   * Convert an Organization record to API data
+   * @param {Object} organization - Organization record
+   * @param {string} role - The caller's role in it
+   * @returns {Object} Organization data
+   */
+  toOrganizationData(organization, role) {
+    return {
+      id: organization.id,
+      name: organization.name,
+      slug: organization.slug,
+      role,
+      createdAt: organization.created_at
+    };
+  }
+
+  /**
+   * Convert an OrganizationMembership record to API data
+   * @param {Object} membership - Membership record
+   * @returns {Object} Member data
+   */
+  toMemberData(membership) {
+    return {
+      userId: membership.userId,
+      name: membership.user?.name,
+      email: membership.user?.email,
+      role: membership.role,
+      joinedAt: membership.created_at
+    };
+  }
+}
+
+module.exports = new OrganizationService();
@@ -0,0 +1,124 @@
+const models = require('../models');
+const { DEFAULT_PLAN, PLANS } = require('../config/plans');
+
+/**
+ * Plan Service
+ * Resolves the subscription plan that applies to a request. An organization's
+ * plan applies to everything done inside it; otherwise the user's own plan
+ * applies, falling back to the default plan.
+ */
+class PlanService {
+  constructor() {
+    this.defaultPlanName = DEFAULT_PLAN;
+  }
+
+  /**
+   * Get a plan by name
+   * Falls back to the built-in catalogue when the plans table has not been seeded.
+   * @param {string} name - Plan name
+   * @returns {Promise<Object|null>} Plan data or null
+   */
+  async getPlan(name) {
+    const record = await models.Plan.findByName(name);
+    if (record) {
+      return this.toPlanData(record);
+    }
+
+    return PLANS[name] ? this.toPlanData({ id: null, name, ...PLANS[name] }) : null;
+  }
+
+  /**
+   * Get the plan used by principals without an assigned plan
+   * @returns {Promise<Object>} Plan data
+   */
+  async getDefaultPlan() {
+    return this.getPlan(this.defaultPlanName);
+  }
+
+  /**
+   * List the active plans
+   * @returns {Promise<Array>} Plans ordered from entry level to highest tier
+   */
+  async listPlans() {
+    const records = await models.Plan.findAll({
+      where: { isActive: true },
+      order: [['queuePriority', 'DESC'], ['dailyLimit', 'ASC']]
+    });
+
+    if (records.length > 0) {
+      return records.map(record => this.toPlanData(record));
+    }
+
+    return Object.entries(PLANS).map(([name, plan]) => this.toPlanData({ id: null, name, ...plan }));
+  }
+
+  /**
+   * Resolve the plan that applies to a request
+   * @param {Object} principal - Who the request acts as
+   * @param {string} principal.userId - User ID (optional)
+   * @param {string} principal.organizationId - Organization the request acts in (optional)
+   * @returns {Promise<Object>} Plan data
+   */
+  async resolvePlan({ userId = null, organizationId = null } = {}) {
+    let owner = null;
+    if (organizationId) {
+      owner = await models.Organization.findByPk(organizationId, {
+        include: [{ model: models.Plan, as: 'plan' }]
+      });
+    } else if (userId) {
+      owner = await models.User.findByPk(userId, {
+        include: [{ model: models.Plan, as: 'plan' }]
+      });
+    }
+
+    if (owner?.plan?.isActive) {
+      return this.toPlanData(owner.plan);
+    }
+
+    return this.getDefaultPlan();
+  }
+
+  /**
+   * Assign a plan to a user or organization
+   * @param {string} ownerType - 'user' or 'organization'
+   * @param {string} ownerId - User or organization ID
+   * @param {string} planName - Plan name
+   * @returns {Promise<Object>} Assigned plan data
+   */
+  async assignPlan(ownerType, ownerId, planName) {
+    const plan = await models.Plan.findByName(planName);
+    if (!plan) {
+      throw new Error('Plan not found');
+    }
+
+    const model = ownerType === 'organization' ? models.Organization : models.User;
+    const [updatedRows] = await model.update({ planId: plan.id }, { where: { id: ownerId } });
+    if (updatedRows === 0) {
+      throw new Error(ownerType === 'organization' ? 'Organization not found' : 'User not found');
+    }
+
+    return this.toPlanData(plan);
+  }
+
+  /**
+   * Convert a Plan record (or catalogue entry) to API data
+   * @param {Object} plan - Plan record
+   * @returns {Object} Plan data
+   */
+  toPlanData(plan) {
+    return {
+      id: plan.id,
+      name: plan.name,
+      displayName: plan.displayName,
+      dailyLimit: plan.dailyLimit,
+      monthlyLimit: plan.monthlyLimit,
+      concurrentLimit: plan.concurrentLimit,
+      queuePriority: plan.queuePriority,
+      maxSegments: plan.maxSegments,
+      maxBatchSize: plan.maxBatchSize,
+      watermarkRequired: plan.watermarkRequired
+    };
+  }
+}
+
+module.exports = new PlanService();
@@ -0,0 +1,265 @@
+const fs = require('fs').promises;
+const { existsSync } = require('fs');
+const path = require('path');
+const videoEditingService = require('./videoEditingService');
+const videoGenerationService = require('./videoGenerationService');
+const { getConfig } = require('../utils/config');
+
+const TRANSITION_TYPES = ['cut', 'fade', 'dissolve', 'slide', 'wipe'];
+const CAPTION_POSITIONS = ['top', 'center', 'bottom'];
+const TRACK_NAME = /^[a-z0-9][a-z0-9_-]*$/i;
+
+/**
+ * Post-production Service
+ * Assembles the generated segments of an operation into the finished ad:
+ * joins them with the requested transition, then burns in captions, branding,
+ * background music and, for plans that require it, the watermark.
+ */
+class PostProductionService {
+  constructor() {
+    this.workDir = path.join(process.cwd(), 'temp', 'post-production');
+    this.outputDir = path.join(process.cwd(), 'downloads', 'ads');
+  }
+
+  /**
+   * Check the post-production options of a generation request
+   * @param {Object} options - Generation options
+   * @returns {string|null} Error message, or null if the options are valid
+   */
+  validateOptions(options = {}) {
+    const { transition, captions, branding, music } = options;
+
+    if (transition !== undefined) {
+      const { type, duration } = typeof transition === 'string' ? { type: transition } : (transition || {});
+      if (!TRANSITION_TYPES.includes(type)) {
+        return `transition must be one of: ${TRANSITION_TYPES.join(', ')}`;
+      }
+      if (duration !== undefined && !(typeof duration === 'number' && duration >= 0.2 && duration <= 2)) {
+        return 'transition.duration must be between 0.2 and 2 seconds';
+      }
+    }
+
+    if (captions !== undefined) {
+      if (!Array.isArray(captions) || captions.length === 0) {
+        return 'captions must be a non-empty array';
+      }
+      const invalid = captions.some(caption => {
+        const { text, position } = typeof caption === 'string' ? { text: caption } : (caption || {});
+        return typeof text !== 'string' || text.trim().length === 0 || text.length > 200 ||
+          (position !== undefined && !CAPTION_POSITIONS.includes(position));
+      });
+      if (invalid) {
+        return `Each caption must be text of up to 200 characters, positioned ${CAPTION_POSITIONS.join(', ')}`;
+      }
+    }
+
+    if (branding !== undefined) {
+      if (!branding || typeof branding.brandText !== 'string' || branding.brandText.trim().length === 0) {
+        return 'branding.brandText is required';
+      }
+      if (branding.brandColor !== undefined && !/^#[0-9A-Fa-f]{6}$/.test(branding.brandColor)) {
+        return 'branding.brandColor must be a hex color such as #FFFFFF';
+      }
+    }
+
+    if (music !== undefined) {
+      const { track, volume } = typeof music === 'string' ? { track: music } : (music || {});
+      if (!this.resolveMusicTrack(track)) {
+        return `Unknown music track: ${track}`;
+      }
+      if (volume !== undefined && !(typeof volume === 'number' && volume > 0 && volume <= 1)) {
+        return 'music.volume must be between 0 and 1';
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Assemble the finished ad for an operation
+   * @param {Object} params - Assembly parameters
+   * @param {string} params.operationId - Operation ID
+   * @param {Array} params.videoSegments - Generated segments, in order
+   * @param {Object} params.options - Generation options
+   * @param {boolean} params.watermark - Whether the plan requires a watermark
+   * @returns {Promise<Object>} Finished video: path, duration, size and the edits applied
+   */
+  async assemble({ operationId, videoSegments, options = {}, watermark = false }) {
+    if (!Array.isArray(videoSegments) || videoSegments.length === 0) {
+      throw new Error('No video segments to assemble');
+    }
+
+    const workDir = path.join(this.workDir, operationId);
+    await fs.mkdir(workDir, { recursive: true });
+    await fs.mkdir(this.outputDir, { recursive: true });
+
+    try {
+      const segmentPaths = [];
+      for (const segment of videoSegments) {
+        if (!segment.videoFile) {
+          throw new Error(`Video file missing for ${segment.segmentKey}`);
+        }
+        segmentPaths.push(await videoGenerationService.downloadVideo(
+          segment.videoFile,
+          path.join(workDir, `${segment.segmentKey}.mp4`)
+        ));
+      }
+
+      const segmentInfo = await Promise.all(segmentPaths.map(segmentPath => videoEditingService.getVideoInfo(segmentPath)));
+      const segmentDurations = segmentInfo.map(info => info.duration);
+      const transition = this.getTransition(options);
+
+      let current;
+      if (transition && segmentPaths.length > 1) {
+        current = await videoEditingService.addTransitions(segmentPaths, {
+          type: transition.type,
+          duration: transition.duration,
+          segmentDurations,
+          audio: segmentInfo.every(info => info.audio)
+        }, path.join(workDir, 'joined.mp4'));
+      } else {
+        current = await videoEditingService.mergeVideos(segmentPaths, path.join(workDir, 'joined.mp4'));
+      }
+
+      const captions = this.buildCaptions(options.captions, segmentDurations, transition);
+      if (captions.length > 0) {
+        current = await videoEditingService.addCaptions(current, captions, {}, path.join(workDir, 'captioned.mp4'));
+      }
+
+      if (options.branding) {
+        current = await videoEditingService.addBranding(current, {
+          brandText: videoEditingService.escapeDrawText(options.branding.brandText),
+          brandColor: options.branding.brandColor
+        }, path.join(workDir, 'branded.mp4'));
+      }
+
+      const music = typeof options.music === 'string' ? { track: options.music } : options.music;
+      if (music) {
+        current = await videoEditingService.addBackgroundMusic(current, this.resolveMusicTrack(music.track), {
+          musicVolume: music.volume || 0.3,
+          fadeIn: true
+        }, path.join(workDir, 'music.mp4'));
+      }
+
+      if (watermark) {
+        current = await this.applyWatermark(current, path.join(workDir, 'watermarked.mp4'));
+      }
+
+      // Reassembling an operation replaces its finished ad
+      const outputPath = path.join(this.outputDir, `${operationId}.mp4`);
+      await fs.copyFile(current, outputPath);
+      const info = await videoEditingService.getVideoInfo(outputPath);
+
+      return {
+        path: outputPath,
+        duration: info.duration,
+        size: info.size,
+        width: info.video?.width || null,
+        height: info.video?.height || null,
+        segmentCount: videoSegments.length,
+        transition: transition ? transition.type : 'cut',
+        captions: captions.length,
+        branding: !!options.branding,
+        music: music ? music.track : null,
+        watermark: !!watermark,
+        assembledAt: new Date().toISOString()
+      };
+    } finally {
+      await fs.rm(workDir, { recursive: true, force: true }).catch(error => {
+        console.warn(`Failed to clean up post-production files for ${operationId}:`, error.message);
+      });
+    }
+  }
+
+  /**
+   * Get the URL the finished ad of an operation is downloaded from
+   * @param {string} operationId - Operation ID
+   * @returns {string} Video URL
+   */
+  getVideoUrl(operationId) {
+    return `/api/v1/ugc/operations/${operationId}/video`;
+  }
+
+  /**
+   * Get the transition requested between segments
+   * @param {Object} options - Generation options
+   * @returns {Object|null} { type, duration }, or null for hard cuts
+   */
+  getTransition(options = {}) {
+    const { transition } = options;
+    const { type = 'cut', duration = 0.5 } = typeof transition === 'string' ? { type: transition } : (transition || {});
+    return type === 'cut' ? null : { type, duration };
+  }
+
+  /**
+   * Time the requested captions against the joined video
+   * Plain strings caption the segment at the same position; objects give their own timing.
+   * @param {Array} captions - Requested captions
+   * @param {Array<number>} segmentDurations - Duration of each segment in seconds
+   * @param {Object|null} transition - Transition between segments, which overlaps them
+   * @returns {Array<Object>} Captions as { text, startTime, duration, position }
+   */
+  buildCaptions(captions, segmentDurations, transition) {
+    if (!Array.isArray(captions)) {
+      return [];
+    }
+
+    const overlap = transition ? transition.duration : 0;
+    const segmentStarts = segmentDurations.map((duration, index) =>
+      segmentDurations.slice(0, index).reduce((total, previous) => total + previous - overlap, 0)
+    );
+
+    return captions.map((caption, index) => {
+      if (typeof caption !== 'string') {
+        return caption;
+      }
+      if (index >= segmentDurations.length) {
+        return null;
+      }
+      return {
+        text: caption,
+        startTime: segmentStarts[index],
+        duration: segmentDurations[index] - overlap,
+        position: 'bottom'
+      };
+    }).filter(Boolean);
+  }
+
+  /**
+   * Resolve a music track name to its file in the music library
+   * Only names are accepted, so requests cannot read arbitrary files.
+   * @param {string} track - Track name
+   * @returns {string|null} Track path, or null if there is no such track
+   */
+  resolveMusicTrack(track) {
+    if (typeof track !== 'string' || !TRACK_NAME.test(track)) {
+      return null;
+    }
+
+    const trackPath = path.resolve(getConfig().get('MUSIC_LIBRARY_DIR'), `${track}.mp3`);
+    return existsSync(trackPath) ? trackPath : null;
+  }
+
+  /**
+   * Apply the configured watermark image, or draw the watermark text without one
+   * @param {string} inputPath - Path to input video
+   * @param {string} outputPath - Output path
+   * @returns {Promise<string>} Path to watermarked video
+   */
+  async applyWatermark(inputPath, outputPath) {
+    const config = getConfig();
+    const watermarkPath = config.get('WATERMARK_PATH');
+
+    if (watermarkPath) {
+      return videoEditingService.addWatermark(inputPath, watermarkPath, { position: 'top-right', opacity: 0.6 }, outputPath);
+    }
+
+    return videoEditingService.addCaptions(inputPath, [{ text: config.get('WATERMARK_TEXT'), position: 'top' }], {
+      fontSize: 24,
+      fontColor: 'white@0.6',
+      box: false
+    }, outputPath);
+  }
+}
+
+module.exports = new PostProductionService();
@@ -0,0 +1,336 @@
+const { Op } = require('sequelize');
+const models = require('../models');
+const { getConfig } = require('../utils/config');
+const { PROVIDER_PRICES } = require('../config/providerPrices');
+const { CHARS_PER_TOKEN, ESTIMATED_USAGE } = require('../config/estimates');
+const segmentPlanService = require('./segmentPlanService');
+
+// Columns a spend report can be grouped by
+const SPEND_GROUPS = {
+  key: 'api_key_id',
+  user: 'user_id',
+  org: 'organization_id',
+  day: 'day'
+};
+
+/**
+ * Provider Cost Service
+ * Records every call made to an AI provider (OpenAI script generation, Gemini
+ * image analysis and Veo video generation) with the units it consumed, its
+ * latency, whether it was served from cache, and its cost from the provider
+ * price table. Calls are recorded against the operation, batch, API key,
+ * user and organization they were made for, so spend can be reported on.
+ */
+class ProviderCostService {
+  /**
+   * Get the provider price table, with configured overrides applied
+   * @returns {Object} Prices keyed by model
+   */
+  getPrices() {
+    return {
+      ...PROVIDER_PRICES,
+      ...getConfig().getProviderPrices()
+    };
+  }
+
+  /**
+   * Price a provider call
+   * @param {string} model - Model called
+   * @param {number} inputUnits - Input units consumed
+   * @param {number} outputUnits - Output units produced
+   * @returns {Object} { unit, cost } with a null cost if the model has no price
+   */
+  calculateCost(model, inputUnits = 0, outputUnits = 0) {
+    const price = this.getPrices()[model];
+    if (!price) {
+      return { unit: null, cost: null };
+    }
+
+    const per = price.per || 1;
+    const cost = (inputUnits * (price.input || 0) + outputUnits * (price.output || 0)) / per;
+    return { unit: price.unit || null, cost: this.roundCost(cost) };
+  }
+
+  /**
+   * Round a cost to the precision it is stored at
+   * @param {number} cost - Cost in USD
+   * @returns {number} Rounded cost
+   */
+  roundCost(cost) {
+    return Math.round(cost * 1e6) / 1e6;
+  }
+
+  /**
+   * Estimate the provider cost of a generation before it runs
+   * Unpriced models are estimated at no cost.
+   * @param {Object} request - Generation request
+   * @param {string} request.creativeBrief - Creative brief
+   * @param {number} request.imageCount - Number of images to analyze
+   * @param {Object} request.options - Generation options (segments, targetDuration, segmentDuration, useFastModel, variants)
+   * @returns {Object} { totalCost, breakdown, segments, videoSeconds } in USD
+   */
+  estimateGenerationCost({ creativeBrief = '', imageCount = 0, options = {} } = {}) {
+    const { imageAnalysis, scriptGeneration, videoGeneration } = ESTIMATED_USAGE;
+    const { count: segments, totalDuration: videoSeconds } = segmentPlanService.planSegments(options);
+    const briefTokens = Math.ceil((creativeBrief || '').length / CHARS_PER_TOKEN);
+    // Script variants are written in one call and generate no video until they are picked
+    const variants = Number(options?.variants) || 0;
+
+    const breakdown = {
+      imageAnalysis: this.calculateCost(
+        imageAnalysis.model,
+        imageCount * imageAnalysis.inputTokensPerImage,
+        imageCount * imageAnalysis.outputTokensPerImage
+      ).cost || 0,
+      scriptGeneration: this.calculateCost(
+        scriptGeneration.model,
+        scriptGeneration.inputTokens + briefTokens + imageCount * scriptGeneration.inputTokensPerImage,
+        scriptGeneration.outputTokens * Math.max(variants, 1)
+      ).cost || 0,
+      videoGeneration: variants ? 0 : this.calculateCost(
+        options?.useFastModel ? videoGeneration.fastModel : videoGeneration.model,
+        0,
+        videoSeconds
+      ).cost || 0
+    };
+
+    return {
+      totalCost: this.roundCost(breakdown.imageAnalysis + breakdown.scriptGeneration + breakdown.videoGeneration),
+      breakdown,
+      segments,
+      videoSeconds
+    };
+  }
+
+  /**
+   * Build the usage context for an operation's provider calls
+   * @param {Object} operation - UgcOperation record
+   * @returns {Object} { operationId, batchId, apiKeyId, userId, organizationId }
+   */
+  getOperationContext(operation) {
+    return {
+      operationId: operation.operationId,
+      batchId: operation.metadata?.batchId || null,
+      apiKeyId: operation.apiKeyId || null,
+      userId: operation.userId || null,
+      organizationId: operation.organizationId || null
+    };
+  }
+
+  /**
+   * Record a provider call
+   * Recording never fails the generation it accounts for; errors are logged.
+   * @param {Object} call - Call details
+   * @param {Object} call.context - Usage context ({ operationId, batchId, apiKeyId, userId, organizationId })
+   * @param {string} call.provider - 'openai', 'gemini' or 'veo'
+   * @param {string} call.service - 'script_generation', 'image_analysis' or 'video_generation'
+   * @param {string} call.model - Model called
+   * @param {number} call.inputUnits - Input units consumed
+   * @param {number} call.outputUnits - Output units produced
+   * @param {number} call.latencyMs - Time taken
+   * @param {boolean} call.cacheHit - Whether the result came from cache (no provider charge)
+   * @param {Error} call.error - Error if the call failed
+   * @returns {Promise<Object|null>} Recorded call, or null if recording failed
+   */
+  async recordCall({ context = null, provider, service, model, inputUnits = 0, outputUnits = 0, latencyMs = null, cacheHit = false, error = null }) {
+    try {
+      const { unit, cost } = cacheHit ? { unit: this.calculateCost(model).unit, cost: 0 } : this.calculateCost(model, inputUnits, outputUnits);
+
+      return await models.ProviderCall.create({
+        operationId: context?.operationId || null,
+        batchId: context?.batchId || null,
+        apiKeyId: context?.apiKeyId || null,
+        userId: context?.userId || null,
+        organizationId: context?.organizationId || null,
+        provider,
+        service,
+        model,
+        unit,
+        inputUnits,
+        outputUnits,
+        latencyMs,
+        cacheHit,
+        status: error ? 'error' : 'success',
+        errorMessage: error ? error.message : null,
+        cost
+      });
+    } catch (recordError) {
+      console.error(`Failed to record ${provider} call:`, recordError.message);
+      return null;
+    }
+  }
+
+  /**
+   * Summarize a set of provider calls
+   * @param {Array} calls - ProviderCall records
+   * @returns {Object} Totals, cache hit rate and cost by service and provider
+   */
+  summarizeCalls(calls) {
+    const summary = {
+      totalCost: 0,
+      callCount: calls.length,
+      cacheHits: 0,
+      failedCalls: 0,
+      unpricedCalls: 0,
+      byService: {},
+      byProvider: {}
+    };
+
+    for (const call of calls) {
+      const cost = call.cost === null || call.cost === undefined ? null : parseFloat(call.cost);
+
+      if (call.cacheHit) summary.cacheHits++;
+      if (call.status === 'error') summary.failedCalls++;
+      if (cost === null) {
+        summary.unpricedCalls++;
+        continue;
+      }
+
+      summary.totalCost += cost;
+      summary.byService[call.service] = (summary.byService[call.service] || 0) + cost;
+      summary.byProvider[call.provider] = (summary.byProvider[call.provider] || 0) + cost;
+    }
+
+    summary.totalCost = this.roundCost(summary.totalCost);
+    Object.keys(summary.byService).forEach(key => { summary.byService[key] = this.roundCost(summary.byService[key]); });
+    Object.keys(summary.byProvider).forEach(key => { summary.byProvider[key] = this.roundCost(summary.byProvider[key]); });
+    summary.cacheHitRate = calls.length > 0 ? Math.round(summary.cacheHits / calls.length * 100) : 0;
+
+    return summary;
+  }
+
+  /**
+   * Get the provider calls and cost of an operation
+   * @param {string} operationId - Operation ID
+   * @returns {Promise<Object>} Cost summary with the individual calls
+   */
+  async getOperationCosts(operationId) {
+    const calls = await models.ProviderCall.findAll({
+      where: { operationId },
+      order: [['created_at', 'ASC']]
+    });
+
+    return {
+      operationId,
+      ...this.summarizeCalls(calls),
+      calls: calls.map(call => this.toCallData(call))
+    };
+  }
+
+  /**
+   * Get the provider cost of a batch
+   * @param {string} batchId - Public batch ID
+   * @returns {Promise<Object>} Cost summary, with the cost of each operation in byOperation
+   */
+  async getBatchCosts(batchId) {
+    const calls = await models.ProviderCall.findAll({
+      where: { batchId },
+      attributes: ['operationId', 'provider', 'service', 'cost', 'cacheHit', 'status']
+    });
+
+    const byOperation = {};
+    for (const call of calls) {
+      if (call.operationId && call.cost !== null && call.cost !== undefined) {
+        byOperation[call.operationId] = this.roundCost((byOperation[call.operationId] || 0) + parseFloat(call.cost));
+      }
+    }
+
+    return { ...this.summarizeCalls(calls), byOperation };
+  }
+
+  /**
+   * Report provider spend grouped by API key, user, organization or day
+   * @param {Object} options - Report options
+   * @param {string} options.groupBy - 'key', 'user', 'org' or 'day'
+   * @param {Date} options.startDate - Include calls from this date
+   * @param {Date} options.endDate - Include calls up to this date
+   * @param {string} options.provider - Restrict to one provider
+   * @returns {Promise<Array>} Spend per group, most expensive first
+   */
+  async getSpendReport({ groupBy = 'day', startDate, endDate, provider } = {}) {
+    const column = SPEND_GROUPS[groupBy];
+    if (!column) {
+      throw new Error(`Invalid spend grouping: ${groupBy}`);
+    }
+
+    const where = {};
+    if (provider) where.provider = provider;
+    if (startDate || endDate) {
+      where.created_at = {};
+      if (startDate) where.created_at[Op.gte] = startDate;
+      if (endDate) where.created_at[Op.lte] = endDate;
+    }
+
+    const { fn, col, literal } = models.sequelize;
+    const groupExpression = column === 'day' ? fn('DATE_TRUNC', 'day', col('created_at')) : col(column);
+
+    const [totals, providerTotals] = await Promise.all([
+      models.ProviderCall.findAll({
+        attributes: [
+          [groupExpression, 'group'],
+          [fn('SUM', col('cost')), 'cost'],
+          [fn('COUNT', col('id')), 'calls'],
+          [fn('SUM', literal('CASE WHEN cache_hit THEN 1 ELSE 0 END')), 'cacheHits'],
+          [fn('COUNT', fn('DISTINCT', col('operation_id'))), 'operations']
+        ],
+        where,
+        group: [groupExpression],
+        raw: true
+      }),
+      models.ProviderCall.findAll({
+        attributes: [
+          [groupExpression, 'group'],
+          'provider',
+          [fn('SUM', col('cost')), 'cost']
+        ],
+        where,
+        group: [groupExpression, 'provider'],
+        raw: true
+      })
+    ]);
+
+    const groupKey = value => (value instanceof Date ? value.toISOString().slice(0, 10) : value);
+
+    const groups = new Map(totals.map(row => [groupKey(row.group), {
+      [groupBy]: groupKey(row.group),
+      totalCost: this.roundCost(parseFloat(row.cost) || 0),
+      calls: parseInt(row.calls),
+      cacheHits: parseInt(row.cacheHits),
+      operations: parseInt(row.operations),
+      byProvider: {}
+    }]));
+
+    for (const row of providerTotals) {
+      const group = groups.get(groupKey(row.group));
+      if (group) {
+        group.byProvider[row.provider] = this.roundCost(parseFloat(row.cost) || 0);
+      }
+    }
+
+    return Array.from(groups.values()).sort((a, b) => b.totalCost - a.totalCost);
+  }
+
+  /**
+   * Convert a ProviderCall record to API data
+   * @param {Object} call - ProviderCall record
+   * @returns {Object} Call data
+   */
+  toCallData(call) {
+    return {
+      provider: call.provider,
+      service: call.service,
+      model: call.model,
+      unit: call.unit,
+      inputUnits: call.inputUnits,
+      outputUnits: call.outputUnits,
+      latencyMs: call.latencyMs,
+      cacheHit: call.cacheHit,
+      status: call.status,
+      errorMessage: call.errorMessage,
+      cost: call.cost === null ? null : parseFloat(call.cost),
+      createdAt: call.created_at
+    };
+  }
+}
+
+module.exports = new ProviderCostService();
@@ -0,0 +1,184 @@
+const { Op } = require('sequelize');
+const models = require('../models');
+const planService = require('./planService');
+const { APIError } = require('../middleware/errorHandler');
+
+/**
+ * Raised when a generation would take a principal over its plan quota
+ */
+class QuotaExceededError extends APIError {
+  constructor(message, code, quotaStatus, requested) {
+    super(message, 429, code);
+    this.name = 'QuotaExceededError';
+    this.quotaStatus = quotaStatus;
+    this.requested = requested;
+  }
+}
+
+/**
+ * Quota Service
+ * Enforces plan quotas (daily, monthly and concurrent generations) for every
+ * way of starting a generation. Usage is counted per principal: the
+ * organization when acting in one, otherwise the user, otherwise the API key.
+ *
+ * Generations are reserved by creating their operation records while holding
+ * a per-principal lock, so concurrent requests cannot both take the last of
+ * a quota, and a batch reserves quota for all of its items at once.
+ */
+class QuotaService {
+  constructor() {
+    this.QuotaExceededError = QuotaExceededError;
+  }
+
+  /**
+   * Build the principal a request is charged to
+   * @param {Object} req - Express request object
+   * @returns {Object} { userId, apiKeyId, organizationId }
+   */
+  getPrincipal(req) {
+    return {
+      userId: req.user?.id || null,
+      apiKeyId: req.apiKey?.id || null,
+      organizationId: req.organization?.id || null
+    };
+  }
+
+  /**
+   * Identify whose quota a principal uses
+   * @param {Object} principal - { userId, apiKeyId, organizationId }
+   * @returns {Object|null} { key, where } or null for anonymous requests
+   */
+  getScope({ userId = null, apiKeyId = null, organizationId = null } = {}) {
+    if (organizationId) {
+      return { key: `org:${organizationId}`, where: { organizationId } };
+    }
+    if (userId) {
+      return { key: `user:${userId}`, where: { userId, organizationId: null } };
+    }
+    if (apiKeyId) {
+      return { key: `apikey:${apiKeyId}`, where: { apiKeyId } };
+    }
+    return null;
+  }
+
+  /**
+   * Get a principal's usage against its plan
+   * Queued batch items do not count towards the concurrent limit until they start.
+   * @param {Object} principal - { userId, apiKeyId, organizationId }
+   * @param {Object} plan - Plan whose limits apply (resolved if omitted)
+   * @param {Object} options - Query options
+   * @param {Object} options.transaction - Sequelize transaction (optional)
+   * @returns {Promise<Object>} Quota status
+   */
+  async getQuotaStatus(principal, plan = null, { transaction } = {}) {
+    const { dailyLimit, monthlyLimit, concurrentLimit } = plan || await planService.resolvePlan(principal);
+    const scope = this.getScope(principal);
+    const where = scope ? scope.where : {};
+
+    const now = new Date();
+    const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    const thisMonth = new Date(now.getFullYear(), now.getMonth(), 1);
+
+    const [dailyCount, monthlyCount, concurrentCount] = await Promise.all([
+      models.UgcOperation.count({
+        where: { ...where, created_at: { [Op.gte]: today } },
+        transaction
+      }),
+      models.UgcOperation.count({
+        where: { ...where, created_at: { [Op.gte]: thisMonth } },
+        transaction
+      }),
+      models.UgcOperation.count({
+        where: {
+          ...where,
+          [Op.or]: [
+            { status: 'processing' },
+            { status: 'pending', batchId: null }
+          ]
+        },
+        transaction
+      })
+    ]);
+
+    return {
+      daily: this.buildUsage(dailyCount, dailyLimit, new Date(today.getTime() + 24 * 60 * 60 * 1000)),
+      monthly: this.buildUsage(monthlyCount, monthlyLimit, new Date(now.getFullYear(), now.getMonth() + 1, 1)),
+      concurrent: this.buildUsage(concurrentCount, concurrentLimit)
+    };
+  }
+
+  /**
+   * Build the usage entry for one quota
+   * @param {number} used - Generations counted
+   * @param {number} limit - Plan limit
+   * @param {Date} resetTime - When the count resets (omitted for concurrent)
+   * @returns {Object} Usage entry
+   */
+  buildUsage(used, limit, resetTime = null) {
+    return {
+      used,
+      limit,
+      remaining: Math.max(0, limit - used),
+      exceeded: used >= limit,
+      ...(resetTime && { resetTime: resetTime.toISOString() })
+    };
+  }
+
+  /**
+   * Find the quota a request for a number of generations would break
+   * @param {Object} quotaStatus - Quota status
+   * @param {number} count - Generations requested
+   * @returns {Object|null} { message, code } or null if the request fits
+   */
+  findViolation(quotaStatus, count = 1) {
+    if (quotaStatus.daily.remaining < count) {
+      return { message: 'Daily quota exceeded', code: 'DAILY_QUOTA_EXCEEDED' };
+    }
+    if (quotaStatus.monthly.remaining < count) {
+      return { message: 'Monthly quota exceeded', code: 'MONTHLY_QUOTA_EXCEEDED' };
+    }
+    // A batch needs one free slot to start; its items then run as slots allow
+    if (quotaStatus.concurrent.exceeded) {
+      return { message: 'Too many concurrent operations', code: 'CONCURRENT_LIMIT_EXCEEDED' };
+    }
+    return null;
+  }
+
+  /**
+   * Reserve quota for a number of generations and create them
+   * The create callback runs in a transaction while the principal's quota is
+   * locked, and must create the operation records using that transaction.
+   * @param {Object} principal - { userId, apiKeyId, organizationId }
+   * @param {number} count - Generations to reserve
+   * @param {Function} create - async (transaction) => result
+   * @param {Object} options - Reservation options
+   * @param {Object} options.plan - Plan whose limits apply (resolved if omitted)
+   * @returns {Promise<*>} Result of the create callback
+   * @throws {QuotaExceededError} If the generations do not fit in the quota
+   */
+  async reserve(principal, count, create, { plan = null } = {}) {
+    const scope = this.getScope(principal);
+
+    return models.sequelize.transaction(async (transaction) => {
+      // Anonymous requests (authentication disabled) have no quota
+      if (!scope) {
+        return create(transaction);
+      }
+
+      await models.sequelize.query('SELECT pg_advisory_xact_lock(hashtext(:key))', {
+        replacements: { key: `quota:${scope.key}` },
+        transaction
+      });
+
+      const quotaStatus = await this.getQuotaStatus(principal, plan, { transaction });
+      const violation = this.findViolation(quotaStatus, count);
+      if (violation) {
+        throw new QuotaExceededError(violation.message, violation.code, quotaStatus, count);
+      }
+
+      return create(transaction);
+    });
+  }
+}
+
+module.exports = new QuotaService();
@@ -0,0 +1,128 @@
+const providerCostService = require('./providerCostService');
+const creditService = require('./creditService');
+const spendCapService = require('./spendCapService');
+const batchService = require('./batchService');
+const { STAGE_DURATIONS } = require('../config/estimates');
+
+/**
+ * Quote Service
+ * Quotes what a generation or batch will cost and how long it will take,
+ * without running anything, and whether it fits the caller's spend caps and
+ * the maxCost it asks for.
+ */
+class QuoteService {
+  /**
+   * Quote a single generation
+   * @param {Object} request - Generation request
+   * @param {string} request.creativeBrief - Creative brief
+   * @param {number} request.imageCount - Number of images
+   * @param {Object} request.options - Generation options, including an optional maxCost
+   * @param {Object} principal - { userId, apiKeyId, organizationId }
+   * @returns {Promise<Object>} Quote
+   */
+  async quoteGeneration({ creativeBrief, imageCount, options = {} }, principal) {
+    const estimate = providerCostService.estimateGenerationCost({ creativeBrief, imageCount, options });
+    const spendCaps = await spendCapService.getSpendStatus(principal);
+
+    return {
+      estimatedCost: {
+        total: estimate.totalCost,
+        currency: 'USD',
+        breakdown: estimate.breakdown
+      },
+      credits: creditService.estimateCost(options),
+      estimatedDuration: this.estimateDuration(estimate.segments, options),
+      segments: estimate.segments,
+      videoSeconds: estimate.videoSeconds,
+      ...this.checkLimits(estimate.totalCost, options.maxCost, spendCaps)
+    };
+  }
+
+  /**
+   * Quote a batch of generations
+   * @param {Object} batch - Batch request
+   * @param {Array} batch.requests - Requests with creativeBrief, images or imageCount, and options
+   * @param {number} batch.maxCost - Most the whole batch will pay in USD (optional)
+   * @param {Object} principal - { userId, apiKeyId, organizationId }
+   * @returns {Promise<Object>} Quote with a line per request
+   */
+  async quoteBatch({ requests, maxCost }, principal) {
+    const items = requests.map((request, index) => {
+      const options = request.options || {};
+      const estimate = providerCostService.estimateGenerationCost({
+        creativeBrief: request.creativeBrief,
+        imageCount: this.getImageCount(request),
+        options
+      });
+
+      return {
+        index,
+        estimatedCost: estimate.totalCost,
+        credits: creditService.estimateCost(options),
+        segments: estimate.segments,
+        ...(options.maxCost !== undefined && {
+          maxCost: options.maxCost,
+          withinMaxCost: estimate.totalCost <= options.maxCost
+        })
+      };
+    });
+
+    const totalCost = providerCostService.roundCost(items.reduce((total, item) => total + item.estimatedCost, 0));
+    const spendCaps = await spendCapService.getSpendStatus(principal);
+    const limits = this.checkLimits(totalCost, maxCost, spendCaps);
+
+    return {
+      totalRequests: requests.length,
+      estimatedCost: {
+        total: totalCost,
+        currency: 'USD'
+      },
+      credits: items.reduce((total, item) => total + item.credits, 0),
+      estimatedDuration: batchService.estimateBatchDuration(requests),
+      requests: items,
+      ...limits,
+      withinMaxCost: limits.withinMaxCost && items.every(item => item.withinMaxCost !== false)
+    };
+  }
+
+  /**
+   * Check a cost against a maxCost and the caller's spend caps
+   * @param {number} cost - Estimated cost in USD
+   * @param {number} maxCost - Most the request will pay (optional)
+   * @param {Array} spendCaps - Status of the caller's spend caps
+   * @returns {Object} { maxCost, withinMaxCost, spendCaps, withinSpendCaps }
+   */
+  checkLimits(cost, maxCost, spendCaps) {
+    return {
+      maxCost: maxCost ?? null,
+      withinMaxCost: maxCost === undefined || maxCost === null || cost <= maxCost,
+      spendCaps,
+      withinSpendCaps: !spendCapService.findViolation(spendCaps, cost)
+    };
+  }
+
+  /**
+   * Estimate how long a generation takes once it starts
+   * @param {number} segments - Video segments
+   * @param {Object} options - Generation options
+   * @returns {number} Seconds
+   */
+  estimateDuration(segments, options = {}) {
+    const segmentDuration = options.useFastModel ? STAGE_DURATIONS.fastVideoSegment : STAGE_DURATIONS.videoSegment;
+    return STAGE_DURATIONS.imageAnalysis + STAGE_DURATIONS.scriptGeneration + segments * segmentDuration;
+  }
+
+  /**
+   * Count the images in a batch request
+   * @param {Object} request - Batch request item
+   * @returns {number} Image count
+   */
+  getImageCount(request) {
+    if (Array.isArray(request.images)) {
+      return request.images.length;
+    }
+    return parseInt(request.imageCount) || 0;
+  }
+}
+
+module.exports = new QuoteService();
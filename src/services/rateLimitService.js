@@ -0,0 +1,392 @@
+const crypto = require('crypto');
+const cacheService = require('./cacheService');
+const { getConfig } = require('../utils/config');
+const segmentPlanService = require('./segmentPlanService');
+const { DEFAULT_COST, MAX_BATCH_REQUESTS, ROUTE_COSTS } = require('../config/rateLimitCosts');
+
+// Costs are stored in thousandths of a unit so fractional costs stay exact in Redis
+const MILLIUNITS = 1000;
+
+/**
+ * Atomically checks and charges one request against a sliding window and a
+ * daily counter. The window is a sorted set of requests scored by timestamp,
+ * each member ending in its cost; the daily counter holds the units used
+ * today and expires at the next midnight. All amounts are in milliunits.
+ *
+ * KEYS[1] - sliding window sorted set
+ * KEYS[2] - daily counter
+ * ARGV    - now, windowMs, maxUnits, maxDailyUnits, dailyTtlMs, member, cost
+ *
+ * Returns { allowed (1|0), windowUnits, dailyUnits, oldestTimestamp }
+ */
+const SLIDING_WINDOW_SCRIPT = `
+local now = tonumber(ARGV[1])
+local windowMs = tonumber(ARGV[2])
+local maxUnits = tonumber(ARGV[3])
+local maxDaily = tonumber(ARGV[4])
+local dailyTtlMs = tonumber(ARGV[5])
+local cost = tonumber(ARGV[7])
+
+redis.call('ZREMRANGEBYSCORE', KEYS[1], '-inf', now - windowMs)
+local windowUnits = 0
+for _, member in ipairs(redis.call('ZRANGE', KEYS[1], 0, -1)) do
+  windowUnits = windowUnits + tonumber(string.match(member, '[^:]+$'))
+end
+local dailyUnits = tonumber(redis.call('GET', KEYS[2]) or '0')
+
+local allowed = 0
+if dailyUnits + cost <= maxDaily and windowUnits + cost <= maxUnits then
+  redis.call('ZADD', KEYS[1], now, ARGV[6])
+  redis.call('PEXPIRE', KEYS[1], windowMs)
+  redis.call('INCRBY', KEYS[2], cost)
+  redis.call('PEXPIRE', KEYS[2], dailyTtlMs)
+  windowUnits = windowUnits + cost
+  dailyUnits = dailyUnits + cost
+  allowed = 1
+end
+
+local oldest = redis.call('ZRANGE', KEYS[1], 0, 0, 'WITHSCORES')
+local oldestTimestamp = now
+if oldest[2] then
+  oldestTimestamp = tonumber(oldest[2])
+end
+
+return { allowed, windowUnits, dailyUnits, oldestTimestamp }
+`;
+
+/**
+ * Rate limiting service backed by Redis
+ * Counters live in Redis so every API process enforces the same limits.
+ * Limits are budgets of units: maxRequests per window and maxDailyRequests
+ * per day, with each request charged its route cost.
+ */
+class RateLimitService {
+  constructor() {
+    this.keyPrefix = `${cacheService.config.keyPrefix}ratelimit:`;
+  }
+
+  /**
+   * Get the default limits applied when a principal has no custom limits
+   * @returns {Object} Rate limit settings
+   */
+  getDefaultLimits() {
+    return getConfig().getAuthConfig().defaultRateLimit;
+  }
+
+  /**
+   * Merge custom limits over the defaults
+   * @param {Object} limits - Custom rate limit settings
+   * @returns {Object} Effective rate limit settings
+   */
+  resolveLimits(limits = {}) {
+    return {
+      ...this.getDefaultLimits(),
+      ...(limits || {})
+    };
+  }
+
+  /**
+   * Get the route cost table with configured overrides applied
+   * @returns {Object} Route costs keyed by "METHOD /path"
+   */
+  getRouteCosts() {
+    return {
+      ...ROUTE_COSTS,
+      ...getConfig().getAuthConfig().routeCosts
+    };
+  }
+
+  /**
+   * Work out how many units a request costs
+   * @param {Object} req - Express request object
+   * @param {Object} known - What is known of the request beyond its body
+   * @param {number} known.segments - Segments generated from the operation it works on, once loaded
+   * @returns {number} Cost in units
+   */
+  getRequestCost(req, { segments = 1 } = {}) {
+    const routePath = req.route ? `${req.baseUrl || ''}${req.route.path}` : req.path;
+    const entry = this.getRouteCosts()[`${req.method} ${routePath}`];
+
+    if (entry === undefined || entry === null) {
+      return DEFAULT_COST;
+    }
+    if (typeof entry === 'number') {
+      return entry;
+    }
+
+    let count = 1;
+    if (entry.per === 'segment') {
+      count = this.countSegments(req.body);
+    } else if (entry.per === 'item') {
+      count = this.countItems(req.body);
+    } else if (entry.per === 'operation') {
+      count = segments;
+    }
+    return entry.cost * count;
+  }
+
+  /**
+   * Number of video segments a generation request will produce
+   * @param {Object} body - Request body
+   * @returns {number} Segment count
+   */
+  countSegments(body) {
+    return segmentPlanService.planSegments(this.parseField(body?.options)).count;
+  }
+
+  /**
+   * Number of requests in a batch
+   * A variant matrix makes one request per combination of its dimension values.
+   * Multipart batches carry their requests in a batchData JSON field, and
+   * count as one item until the body has been parsed.
+   * @param {Object} body - Request body
+   * @returns {number} Item count
+   */
+  countItems(body) {
+    if (body?.matrix) {
+      return this.countCombinations(body.matrix);
+    }
+
+    const requests = body?.requests || this.parseField(body?.batchData)?.requests;
+    return Array.isArray(requests) && requests.length > 0 ? requests.length : 1;
+  }
+
+  /**
+   * Number of requests a variant matrix expands into
+   * The matrix is not validated yet, so the count is capped at the most a batch holds.
+   * @param {Object} matrix - Variant matrix
+   * @returns {number} Combination count
+   */
+  countCombinations(matrix) {
+    const dimensions = matrix.dimensions && typeof matrix.dimensions === 'object' ? Object.values(matrix.dimensions) : [];
+    const combinations = dimensions.reduce((total, values) => total * (Array.isArray(values) ? values.length : 0), 1);
+    return Math.min(Math.max(combinations, 1), MAX_BATCH_REQUESTS);
+  }
+
+  /**
+   * Parse a body field that may arrive as a JSON string from a multipart form
+   * @param {*} value - Field value
+   * @returns {*} Parsed value, or null if it is not valid JSON
+   */
+  parseField(value) {
+    if (typeof value !== 'string') {
+      return value;
+    }
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Build the Redis keys for a principal
+   * @param {string} principal - Rate-limited identity (e.g. apikey:<id>, user:<id>)
+   * @param {number} now - Current timestamp
+   * @returns {Object} Window and daily keys
+   */
+  getKeys(principal, now = Date.now()) {
+    const day = new Date(now);
+    const dayStamp = `${day.getFullYear()}-${day.getMonth() + 1}-${day.getDate()}`;
+    return {
+      windowKey: `${this.keyPrefix}${principal}:window-units`,
+      dailyKey: `${this.keyPrefix}${principal}:daily-units:${dayStamp}`
+    };
+  }
+
+  /**
+   * Check the limits for a principal and charge the request if allowed
+   * @param {string} principal - Rate-limited identity
+   * @param {Object} limits - Rate limit settings
+   * @param {number} cost - Units to charge
+   * @returns {Promise<Object>} Rate limit status
+   */
+  async consume(principal, limits = {}, cost = DEFAULT_COST) {
+    const rateLimit = this.resolveLimits(limits);
+    const now = Date.now();
+    const dailyResetTime = this.getNextMidnight(now);
+
+    if (!cacheService.isConnected || !cacheService.client) {
+      return this.unavailableStatus(rateLimit, now, dailyResetTime, cost);
+    }
+
+    try {
+      const { windowKey, dailyKey } = this.getKeys(principal, now);
+      const chargedCost = this.toMilliunits(cost);
+      const member = `${now}:${crypto.randomBytes(6).toString('hex')}:${chargedCost}`;
+
+      const [allowed, windowUnits, dailyUnits, oldestTimestamp] = await cacheService.client.eval(
+        SLIDING_WINDOW_SCRIPT,
+        {
+          keys: [windowKey, dailyKey],
+          arguments: [
+            String(now),
+            String(rateLimit.windowMs),
+            String(this.toMilliunits(rateLimit.maxRequests)),
+            String(this.toMilliunits(rateLimit.maxDailyRequests)),
+            String(dailyResetTime - now),
+            member,
+            String(chargedCost)
+          ]
+        }
+      );
+
+      return this.buildStatus(rateLimit, {
+        allowed: allowed === 1,
+        cost,
+        windowUnits: windowUnits / MILLIUNITS,
+        dailyUnits: dailyUnits / MILLIUNITS,
+        oldestTimestamp,
+        now,
+        dailyResetTime
+      });
+    } catch (error) {
+      console.error('Rate limit check failed:', error.message);
+      return this.unavailableStatus(rateLimit, now, dailyResetTime, cost);
+    }
+  }
+
+  /**
+   * Read the current limit state for a principal without charging a request
+   * @param {string} principal - Rate-limited identity
+   * @param {Object} limits - Rate limit settings
+   * @returns {Promise<Object>} Rate limit status
+   */
+  async getStatus(principal, limits = {}) {
+    const rateLimit = this.resolveLimits(limits);
+    const now = Date.now();
+    const dailyResetTime = this.getNextMidnight(now);
+
+    if (!cacheService.isConnected || !cacheService.client) {
+      return this.unavailableStatus(rateLimit, now, dailyResetTime, 0);
+    }
+
+    try {
+      const { windowKey, dailyKey } = this.getKeys(principal, now);
+      const windowStart = now - rateLimit.windowMs;
+
+      const [windowEntries, dailyUnits] = await Promise.all([
+        cacheService.client.zRangeByScoreWithScores(windowKey, windowStart + 1, '+inf'),
+        cacheService.client.get(dailyKey)
+      ]);
+
+      const windowMilliunits = windowEntries.reduce(
+        (total, entry) => total + this.getMemberCost(entry.value), 0
+      );
+      const status = this.buildStatus(rateLimit, {
+        allowed: true,
+        cost: 0,
+        windowUnits: windowMilliunits / MILLIUNITS,
+        dailyUnits: parseInt(dailyUnits || '0') / MILLIUNITS,
+        oldestTimestamp: windowEntries.length > 0 ? windowEntries[0].score : now,
+        now,
+        dailyResetTime
+      });
+      status.allowed = status.remaining > 0 && status.dailyRemaining > 0;
+      return status;
+    } catch (error) {
+      console.error('Rate limit status lookup failed:', error.message);
+      return this.unavailableStatus(rateLimit, now, dailyResetTime, 0);
+    }
+  }
+
+  /**
+   * Build the status object returned to middleware
+   * @param {Object} rateLimit - Effective rate limit settings
+   * @param {Object} counts - Units read from Redis
+   * @returns {Object} Rate limit status
+   */
+  buildStatus(rateLimit, counts) {
+    const { allowed, cost, windowUnits, dailyUnits, oldestTimestamp, now, dailyResetTime } = counts;
+    // Units free up as the oldest request in the window ages out
+    const windowResetTime = oldestTimestamp + rateLimit.windowMs;
+
+    const status = {
+      allowed,
+      cost,
+      limit: rateLimit.maxRequests,
+      remaining: this.roundUnits(Math.max(0, rateLimit.maxRequests - windowUnits)),
+      dailyLimit: rateLimit.maxDailyRequests,
+      dailyRemaining: this.roundUnits(Math.max(0, rateLimit.maxDailyRequests - dailyUnits)),
+      resetTime: windowResetTime
+    };
+
+    if (!allowed) {
+      if (cost > rateLimit.maxRequests || cost > rateLimit.maxDailyRequests) {
+        status.reason = `Request cost of ${cost} units exceeds the rate limit budget`;
+      } else if (dailyUnits + cost > rateLimit.maxDailyRequests) {
+        status.reason = 'Daily rate limit exceeded';
+        status.resetTime = dailyResetTime;
+      } else {
+        status.reason = 'Rate limit exceeded';
+      }
+      status.retryAfter = Math.max(1, Math.ceil((status.resetTime - now) / 1000));
+    }
+
+    return status;
+  }
+
+  /**
+   * Status used when Redis cannot be reached
+   * Requests are allowed so that a Redis outage does not take the API down.
+   * @param {Object} rateLimit - Effective rate limit settings
+   * @param {number} now - Current timestamp
+   * @param {number} dailyResetTime - Next daily reset
+   * @param {number} cost - Units the request would have been charged
+   * @returns {Object} Rate limit status
+   */
+  unavailableStatus(rateLimit, now, dailyResetTime, cost) {
+    return {
+      allowed: true,
+      cost,
+      limit: rateLimit.maxRequests,
+      remaining: rateLimit.maxRequests,
+      dailyLimit: rateLimit.maxDailyRequests,
+      dailyRemaining: rateLimit.maxDailyRequests,
+      resetTime: now + rateLimit.windowMs,
+      dailyResetTime,
+      degraded: true
+    };
+  }
+
+  /**
+   * Convert units to the integer milliunits stored in Redis
+   * @param {number} units - Amount in units
+   * @returns {number} Amount in milliunits
+   */
+  toMilliunits(units) {
+    return Math.round(units * MILLIUNITS);
+  }
+
+  /**
+   * Read the cost recorded at the end of a window member
+   * @param {string} member - Sorted set member (timestamp:nonce:cost)
+   * @returns {number} Cost in milliunits
+   */
+  getMemberCost(member) {
+    return parseInt(member.split(':').pop()) || 0;
+  }
+
+  /**
+   * Round a unit amount for display
+   * @param {number} units - Amount in units
+   * @returns {number} Amount rounded to milliunit precision
+   */
+  roundUnits(units) {
+    return Math.round(units * MILLIUNITS) / MILLIUNITS;
+  }
+
+  /**
+   * Get next midnight timestamp for daily reset
+   * @param {number} now - Current timestamp
+   * @returns {number} Timestamp of next midnight
+   */
+  getNextMidnight(now = Date.now()) {
+    const tomorrow = new Date(now);
+    tomorrow.setDate(tomorrow.getDate() + 1);
+    tomorrow.setHours(0, 0, 0, 0);
+    return tomorrow.getTime();
+  }
+}
+
+module.exports = new RateLimitService();
@@ -0,0 +1,274 @@
+const operationService = require('./operationService');
+const quotaService = require('./quotaService');
+const creditService = require('./creditService');
+const providerCostService = require('./providerCostService');
+const spendCapService = require('./spendCapService');
+const scriptGenerationService = require('./scriptGenerationService');
+const jobManager = require('../jobs/jobManager');
+const { APIError } = require('../middleware/errorHandler');
+
+const ASPECT_RATIOS = ['16:9', '9:16', '1:1'];
+const MAX_SCRIPT_LENGTH = 5000;
+
+// Entry of the generation cost breakdown each workflow stage accounts for
+const STAGE_COSTS = {
+  image_analysis: 'imageAnalysis',
+  script_generation: 'scriptGeneration',
+  video_generation: 'videoGeneration'
+};
+
+/**
+ * Raised when an operation cannot be remixed
+ */
+class RemixError extends APIError {
+  constructor(message, statusCode, code) {
+    super(message, statusCode, code);
+    this.name = 'RemixError';
+  }
+}
+
+/**
+ * Remix Service
+ * Creates a new operation from an earlier one: the same images and options,
+ * with the creative brief, script, aspect ratio or presenter persona
+ * overridden. The remix starts from the earliest stage an override changes,
+ * reusing the image analysis of the operation it came from and, when only the
+ * aspect ratio changes, its script too.
+ *
+ * A remix points at the operation it came from (parentOperationId), as
+ * script variants do, and records what it overrode (metadata.remix).
+ */
+class RemixService {
+  constructor() {
+    this.RemixError = RemixError;
+  }
+
+  /**
+   * Check the overrides of a remix request
+   * @param {Object} overrides - Remix overrides
+   * @param {string} overrides.creativeBrief - New creative brief (optional)
+   * @param {string} overrides.script - New script to refine (optional)
+   * @param {string} overrides.aspectRatio - New aspect ratio (optional)
+   * @param {string} overrides.persona - New presenter persona (optional)
+   * @returns {string|null} Error message, or null if the overrides are valid
+   */
+  validateOverrides({ creativeBrief, script, aspectRatio, persona } = {}) {
+    if (creativeBrief !== undefined && (typeof creativeBrief !== 'string' || creativeBrief.trim().length === 0)) {
+      return 'creativeBrief must be a non-empty string';
+    }
+
+    if (script !== undefined && (typeof script !== 'string' || script.trim().length === 0 || script.length > MAX_SCRIPT_LENGTH)) {
+      return `script must be a non-empty string of up to ${MAX_SCRIPT_LENGTH} characters`;
+    }
+
+    if (aspectRatio !== undefined && !ASPECT_RATIOS.includes(aspectRatio)) {
+      return `aspectRatio must be one of: ${ASPECT_RATIOS.join(', ')}`;
+    }
+
+    return scriptGenerationService.validateOptions({ persona });
+  }
+
+  /**
+   * Work out where a remix starts and which checkpoints it takes from its parent
+   * The image analysis only depends on the images, so it is always reused. The
+   * script is reused unless the brief, script or persona it was written from
+   * changes, or it was never approved.
+   * @param {Object} parent - Operation being remixed
+   * @param {Object} overrides - Remix overrides
+   * @returns {Object} { fromStage, checkpoints, scriptContent }
+   */
+  planRemix(parent, overrides) {
+    const checkpoints = parent.checkpoints || {};
+    const options = parent.metadata?.options || {};
+
+    if (!checkpoints.image_analysis?.completedAt) {
+      return { fromStage: 'image_analysis', checkpoints: {}, scriptContent: null };
+    }
+
+    const rewritten = ['creativeBrief', 'script', 'persona'].some(field => overrides[field] !== undefined);
+    const approved = !options.requireApproval || !!options.scriptApproved;
+    const generated = checkpoints.script_generation?.script;
+    const working = parent.scriptContent;
+
+    if (rewritten || !approved || !generated?.segments || !working?.segments) {
+      return {
+        fromStage: 'script_generation',
+        checkpoints: { image_analysis: checkpoints.image_analysis },
+        scriptContent: null
+      };
+    }
+
+    // The remix gets the parent's script as edited, without its edit history
+    const { lockedSegments, revision, ...script } = { ...generated, segments: working.segments };
+
+    return {
+      fromStage: 'video_generation',
+      checkpoints: {
+        image_analysis: checkpoints.image_analysis,
+        script_generation: { script, completedAt: new Date().toISOString() }
+      },
+      scriptContent: script
+    };
+  }
+
+  /**
+   * Get the options a remix is generated with
+   * A new creative brief replaces the parent's structured brief as well.
+   * @param {Object} parent - Operation being remixed
+   * @param {Object} overrides - Remix overrides
+   * @param {boolean} scriptReused - Whether the remix keeps the parent's script
+   * @returns {Object} Generation options
+   */
+  getRemixOptions(parent, { creativeBrief, aspectRatio, persona }, scriptReused) {
+    const { scriptApproved, brief, ...options } = parent.metadata?.options || {};
+
+    return {
+      ...options,
+      ...(creativeBrief === undefined && brief !== undefined && { brief }),
+      ...(aspectRatio !== undefined && { aspectRatio }),
+      ...(persona !== undefined && { persona: persona.trim() }),
+      // A script written for the remix is approved again
+      ...(scriptReused && scriptApproved !== undefined && { scriptApproved })
+    };
+  }
+
+  /**
+   * Create and queue a remix of an operation
+   * Quota is reserved, and credits held, for the remix as for any generation.
+   * @param {Object} params - Remix parameters
+   * @param {Object} params.parent - Operation being remixed
+   * @param {Object} params.overrides - Remix overrides
+   * @param {Object} params.principal - { userId, apiKeyId, organizationId } the remix belongs to
+   * @param {Object} params.plan - Plan of the remix's owner
+   * @returns {Promise<Object>} { operation, fromStage, workflowJobs, credits, estimatedCost }
+   * @throws {RemixError} If the parent has no stored images
+   * @throws {QuotaExceededError} If the remix does not fit in the plan quota
+   * @throws {MaxCostExceededError} If the remix is estimated to cost more than its maxCost
+   * @throws {SpendCapExceededError} If the remix would take spend over a cap
+   * @throws {InsufficientCreditsError} If the credit balance cannot cover the remix
+   */
+  async remix({ parent, overrides: requested, principal, plan }) {
+    const overrides = Object.fromEntries(Object.entries(requested).filter(([, value]) => value !== undefined));
+
+    const images = await operationService.getInputImages(parent.operationId);
+    if (!Array.isArray(images) || images.length === 0) {
+      throw new RemixError('The images of this operation were not kept, so it cannot be remixed', 409, 'NO_INPUT_IMAGES');
+    }
+
+    const metadata = parent.metadata || {};
+    const { fromStage, checkpoints, scriptContent } = this.planRemix(parent, overrides);
+    const options = this.getRemixOptions(parent, overrides, fromStage === 'video_generation');
+    const creativeBrief = overrides.creativeBrief !== undefined ? overrides.creativeBrief : parent.creativeBrief;
+    const providedScript = overrides.script !== undefined ? overrides.script : metadata.providedScript || null;
+
+    // Stages taken from the parent are not paid for again
+    const { breakdown } = providerCostService.estimateGenerationCost({ creativeBrief, imageCount: images.length, options });
+    const skipped = Object.keys(checkpoints).map(stage => STAGE_COSTS[stage]);
+    const estimatedCost = providerCostService.roundCost(
+      Object.entries(breakdown).reduce((total, [stage, cost]) => (skipped.includes(stage) ? total : total + cost), 0)
+    );
+    spendCapService.assertWithinMaxCost(estimatedCost, options.maxCost);
+
+    const parentLineage = operationService.getLineage(parent);
+    let credits = null;
+
+    const operation = await quotaService.reserve(principal, 1, async (transaction) => {
+      await spendCapService.enforce(principal, estimatedCost, { transaction });
+
+      const created = await operationService.createOperation({
+        creativeBrief,
+        ...principal,
+        parentOperationId: parent.id,
+        inputImages: images,
+        scriptContent,
+        checkpoints,
+        metadata: {
+          parentOperationId: parent.operationId,
+          remix: {
+            parentOperationId: parent.operationId,
+            rootOperationId: parentLineage?.rootOperationId || parent.operationId,
+            overrides,
+            reused: Object.keys(checkpoints)
+          },
+          imageCount: images.length,
+          hasProvidedScript: !!providedScript,
+          providedScript,
+          options,
+          plan: plan.name,
+          watermarkRequired: plan.watermarkRequired,
+          estimatedCost
+        },
+        transaction
+      });
+
+      credits = await creditService.hold(principal, [{
+        operationId: created.operationId,
+        amount: creditService.estimateCost(options)
+      }], { transaction });
+
+      return created;
+    }, { plan });
+
+    const workflowJobs = await this.queueRemix(operation, { images, options, providedScript, fromStage, plan });
+
+    return { operation, fromStage, workflowJobs, credits, estimatedCost };
+  }
+
+  /**
+   * Queue the workflow of a remix from its first stage
+   * A remix that cannot be queued is failed with its hold refunded, and can be resumed.
+   * @param {Object} operation - Remix operation
+   * @param {Object} params - Workflow parameters
+   * @returns {Promise<Object>} Workflow jobs by stage
+   */
+  async queueRemix(operation, { images, options, providedScript, fromStage, plan }) {
+    const { operationId } = operation;
+
+    try {
+      const workflowJobs = jobManager.getWorkflowJobs(operationId, { fromStage, toStage: jobManager.getLastStage(options) });
+      await operationService.updateOperationStatus(operationId, 'pending', {
+        metadata: {
+          queuedAt: new Date().toISOString(),
+          stage: 'queued',
+          workflowJobs
+        }
+      });
+
+      await jobManager.addGenerationFlow({
+        operationId,
+        creativeBrief: operation.creativeBrief,
+        script: providedScript,
+        images,
+        options,
+        userId: operation.userId,
+        plan: plan.name,
+        queuePriority: plan.queuePriority,
+        watermark: plan.watermarkRequired || false
+      }, {
+        source: 'api',
+        fromStage
+      });
+
+      return workflowJobs;
+    } catch (error) {
+      try {
+        await operationService.updateOperationStatus(operationId, 'failed', {
+          errorMessage: error.message,
+          metadata: { stage: 'failed', failedAt: new Date().toISOString() }
+        });
+      } catch (updateError) {
+        console.error('Failed to update operation status:', updateError.message);
+      }
+
+      try {
+        await creditService.refund(operationId, 'failed');
+      } catch (refundError) {
+        console.error('Failed to refund operation credits:', refundError.message);
+      }
+
+      throw error;
+    }
+  }
+}
+
+module.exports = new RemixService();
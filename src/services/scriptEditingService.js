@@ -0,0 +1,328 @@
+const operationService = require('./operationService');
+const scriptGenerationService = require('./scriptGenerationService');
+const providerCostService = require('./providerCostService');
+const { APIError } = require('../middleware/errorHandler');
+
+const MIN_SEGMENT_LENGTH = 20;
+const MAX_SEGMENT_LENGTH = 500;
+const MAX_INSTRUCTIONS_LENGTH = 1000;
+
+/**
+ * Raised when the script of an operation cannot be edited
+ */
+class ScriptEditError extends APIError {
+  constructor(message, statusCode, code) {
+    super(message, statusCode, code);
+    this.name = 'ScriptEditError';
+  }
+}
+
+/**
+ * Script Editing Service
+ * Edits the stored script of an operation one segment at a time. Segments can
+ * be locked, and the unlocked ones rewritten to fit around them. Every change
+ * is recorded as a numbered revision with a diff (metadata.scriptRevisions).
+ *
+ * The edited script is the operation's scriptContent. The script_generation
+ * checkpoint keeps the script the current videos were generated from, so an
+ * edited segment is only rendered when it is regenerated or the operation is
+ * resumed.
+ */
+class ScriptEditingService {
+  constructor() {
+    this.ScriptEditError = ScriptEditError;
+  }
+
+  /**
+   * Check a segment edit
+   * @param {Object} params - Request parameters
+   * @param {string} params.text - New script of the segment (optional)
+   * @param {boolean} params.locked - Whether rewrites must keep the segment (optional)
+   * @returns {string|null} Error message, or null if the edit is valid
+   */
+  validateSegmentEdit({ text, locked } = {}) {
+    if (text === undefined && locked === undefined) {
+      return 'Provide text, locked or both';
+    }
+
+    if (text !== undefined && (typeof text !== 'string' || text.trim().length < MIN_SEGMENT_LENGTH || text.trim().length > MAX_SEGMENT_LENGTH)) {
+      return `text must be a string of ${MIN_SEGMENT_LENGTH} to ${MAX_SEGMENT_LENGTH} characters`;
+    }
+
+    if (locked !== undefined && typeof locked !== 'boolean') {
+      return 'locked must be a boolean';
+    }
+
+    return null;
+  }
+
+  /**
+   * Check a rewrite request
+   * @param {Object} params - Request parameters
+   * @param {string|null} params.instructions - What to change in the rewritten segments
+   * @returns {string|null} Error message, or null if the request is valid
+   */
+  validateRewrite({ instructions = null } = {}) {
+    if (instructions !== null && (typeof instructions !== 'string' || instructions.trim().length === 0 || instructions.length > MAX_INSTRUCTIONS_LENGTH)) {
+      return `instructions must be a non-empty string of up to ${MAX_INSTRUCTIONS_LENGTH} characters`;
+    }
+
+    return null;
+  }
+
+  /**
+   * Get the script of an operation segment by segment
+   * @param {Object} operation - UgcOperation record
+   * @returns {Object|null} { revision, segments }, or null if the operation has no editable script
+   */
+  getScript(operation) {
+    const script = this.getEditableScript(operation);
+    if (!script) {
+      return null;
+    }
+
+    const lockedSegments = script.lockedSegments || [];
+    const generatedFrom = operation.checkpoints?.script_generation?.script?.segments || {};
+    const videoSegments = operation.checkpoints?.video_generation?.videoSegments || [];
+
+    return {
+      revision: script.revision || 1,
+      segments: Object.keys(script.segments).map((segmentKey, index) => ({
+        segmentKey,
+        text: script.segments[segmentKey],
+        duration: script.segmentDurations?.[index] ?? null,
+        locked: lockedSegments.includes(segmentKey),
+        // Edited since its video was generated, so regenerating it would render the edit
+        stale: videoSegments.some(segment => segment.segmentKey === segmentKey) &&
+          generatedFrom[segmentKey] !== undefined && generatedFrom[segmentKey] !== script.segments[segmentKey]
+      }))
+    };
+  }
+
+  /**
+   * Get every revision of an operation's script, oldest first
+   * The script as it was generated is revision 1.
+   * @param {Object} operation - UgcOperation record
+   * @returns {Array|null} Revisions, or null if the operation has no editable script
+   */
+  getRevisions(operation) {
+    const script = this.getEditableScript(operation);
+    if (!script) {
+      return null;
+    }
+
+    const revisions = operation.metadata?.scriptRevisions || [];
+    return revisions.length > 0 ? revisions : [this.buildInitialRevision(script)];
+  }
+
+  /**
+   * Change the text or lock of one segment, recording a new revision
+   * An edit that changes nothing records nothing.
+   * @param {Object} params - Edit parameters
+   * @param {Object} params.operation - Operation that is not being processed
+   * @param {string} params.segmentKey - Segment to edit, such as 'segment-2'
+   * @param {string} params.text - New script of the segment (optional)
+   * @param {boolean} params.locked - Whether rewrites must keep the segment (optional)
+   * @param {Object} params.editedBy - User and API key making the edit
+   * @returns {Promise<Object>} { revision, changes, script }
+   * @throws {ScriptEditError} If the script cannot be edited or has no such segment
+   */
+  async editSegment({ operation, segmentKey, text, locked, editedBy = null }) {
+    const script = this.requireEditableScript(operation);
+
+    if (script.segments[segmentKey] === undefined) {
+      throw new ScriptEditError(`Segment not found: ${segmentKey}`, 404, 'SEGMENT_NOT_FOUND');
+    }
+
+    const segments = text !== undefined ? { ...script.segments, [segmentKey]: text.trim() } : script.segments;
+    const lockedSegments = locked === undefined
+      ? script.lockedSegments || []
+      : (script.lockedSegments || []).filter(key => key !== segmentKey).concat(locked ? [segmentKey] : []);
+
+    return this.saveRevision(operation, script, { segments, lockedSegments, source: 'edit', editedBy });
+  }
+
+  /**
+   * Replace the text of several segments at once, recording one revision
+   * @param {Object} params - Edit parameters
+   * @param {Object} params.operation - Operation that is not being processed
+   * @param {Object} params.segments - New script by segment key
+   * @param {Object} params.editedBy - User and API key making the edit
+   * @param {string} params.source - What the edit was made for
+   * @returns {Promise<Object>} { revision, changes, script, scriptContent }
+   * @throws {ScriptEditError} If the script cannot be edited or has no such segment
+   */
+  async editSegments({ operation, segments, editedBy = null, source = 'edit' }) {
+    const script = this.requireEditableScript(operation);
+
+    const unknown = Object.keys(segments).filter(key => script.segments[key] === undefined);
+    if (unknown.length > 0) {
+      throw new ScriptEditError(`Segment not found: ${unknown.join(', ')}`, 404, 'SEGMENT_NOT_FOUND');
+    }
+
+    const edited = { ...script.segments };
+    Object.entries(segments).forEach(([segmentKey, text]) => {
+      edited[segmentKey] = text.trim();
+    });
+
+    return this.saveRevision(operation, script, { segments: edited, lockedSegments: script.lockedSegments || [], source, editedBy });
+  }
+
+  /**
+   * Rewrite every unlocked segment to fit around the locked ones, recording a new revision
+   * @param {Object} params - Rewrite parameters
+   * @param {Object} params.operation - Operation that is not being processed
+   * @param {string|null} params.instructions - What to change in the rewritten segments
+   * @param {Object} params.editedBy - User and API key asking for the rewrite
+   * @returns {Promise<Object>} { revision, changes, script }
+   * @throws {ScriptEditError} If the script cannot be edited or every segment is locked
+   */
+  async rewriteUnlocked({ operation, instructions = null, editedBy = null }) {
+    const script = this.requireEditableScript(operation);
+    const lockedSegments = script.lockedSegments || [];
+
+    if (Object.keys(script.segments).every(key => lockedSegments.includes(key))) {
+      throw new ScriptEditError('Every segment is locked; unlock one to rewrite it', 409, 'NO_UNLOCKED_SEGMENTS');
+    }
+
+    const imageAnalysis = operation.checkpoints?.image_analysis?.imageAnalysis;
+    if (!Array.isArray(imageAnalysis) || imageAnalysis.length === 0) {
+      throw new ScriptEditError('The operation has no image analysis to write the script from', 409, 'NO_IMAGE_ANALYSIS');
+    }
+
+    const rewrite = await scriptGenerationService.rewriteSegments(
+      scriptGenerationService.applyPersona(operation.creativeBrief, operation.metadata?.options?.persona),
+      imageAnalysis,
+      script,
+      lockedSegments,
+      providerCostService.getOperationContext(operation),
+      instructions
+    );
+
+    return this.saveRevision(operation, script, {
+      segments: rewrite.segments,
+      lockedSegments,
+      source: 'rewrite',
+      editedBy,
+      instructions,
+      model: rewrite.model
+    });
+  }
+
+  /**
+   * Store a changed script and the revision recording it
+   * @param {Object} operation - UgcOperation record
+   * @param {Object} script - Script before the change
+   * @param {Object} change - New segments and locks, and what made the change
+   * @returns {Promise<Object>} { revision, changes, script, scriptContent }, script being as from getScript
+   */
+  async saveRevision(operation, script, { segments, lockedSegments, source, editedBy, instructions = null, model = null }) {
+    const changes = this.diff(script, { segments, lockedSegments });
+    const current = script.revision || 1;
+
+    if (changes.length === 0) {
+      return { revision: current, changes, script: this.getScript(operation), scriptContent: script };
+    }
+
+    const revisions = this.getRevisions(operation);
+    const revision = Math.max(...revisions.map(entry => entry.revision)) + 1;
+    const scriptContent = { ...script, segments, lockedSegments, revision };
+
+    const updated = await operationService.updateScript(operation.operationId, {
+      scriptContent,
+      metadata: {
+        scriptRevisions: revisions.concat({
+          revision,
+          source,
+          segments,
+          lockedSegments,
+          changes,
+          editedBy,
+          ...(instructions && { instructions }),
+          ...(model && { model }),
+          createdAt: new Date().toISOString()
+        })
+      }
+    });
+
+    return { revision, changes, script: this.getScript(updated), scriptContent };
+  }
+
+  /**
+   * List what changed between two versions of a script
+   * @param {Object} before - Script before ({ segments, lockedSegments })
+   * @param {Object} after - Script after ({ segments, lockedSegments })
+   * @returns {Array<Object>} { segmentKey, field, before, after }, field being 'text' or 'locked'
+   */
+  diff(before, after) {
+    const changes = [];
+    const lockedBefore = before.lockedSegments || [];
+    const lockedAfter = after.lockedSegments || [];
+
+    Object.keys(after.segments).forEach(segmentKey => {
+      if (before.segments[segmentKey] !== after.segments[segmentKey]) {
+        changes.push({ segmentKey, field: 'text', before: before.segments[segmentKey] ?? null, after: after.segments[segmentKey] });
+      }
+
+      if (lockedBefore.includes(segmentKey) !== lockedAfter.includes(segmentKey)) {
+        changes.push({ segmentKey, field: 'locked', before: lockedBefore.includes(segmentKey), after: lockedAfter.includes(segmentKey) });
+      }
+    });
+
+    return changes;
+  }
+
+  /**
+   * Record the script as it was generated, before any edit
+   * @param {Object} script - Generated script
+   * @returns {Object} Revision 1
+   */
+  buildInitialRevision(script) {
+    return {
+      revision: 1,
+      source: 'generated',
+      segments: script.segments,
+      lockedSegments: [],
+      changes: [],
+      editedBy: null,
+      createdAt: script.timestamp || null
+    };
+  }
+
+  /**
+   * Get the script of an operation if it has one that can be edited segment by segment
+   * Variant operations keep one script per variant, which are edited on the operations generating them.
+   * @param {Object} operation - UgcOperation record
+   * @returns {Object|null} Script, or null if there is none
+   */
+  getEditableScript(operation) {
+    const script = operation.scriptContent;
+    return script?.segments && Object.keys(script.segments).length > 0 ? script : null;
+  }
+
+  /**
+   * Get the script of an operation for an edit
+   * A running workflow writes the script, so it is only edited between runs.
+   * @param {Object} operation - UgcOperation record
+   * @returns {Object} Script
+   * @throws {ScriptEditError} If the operation is running or has no editable script
+   */
+  requireEditableScript(operation) {
+    if (['pending', 'processing'].includes(operation.status)) {
+      throw new ScriptEditError(
+        `The script cannot be edited while the operation is ${operation.status}`,
+        409,
+        'SCRIPT_NOT_EDITABLE'
+      );
+    }
+
+    const script = this.getEditableScript(operation);
+    if (!script) {
+      throw new ScriptEditError('This operation has no script to edit', 404, 'NO_SCRIPT');
+    }
+
+    return script;
+  }
+}
+
+module.exports = new ScriptEditingService();
@@ -1,6 +1,10 @@
 const axios = require('axios');
 const config = require('../utils/config');
 const cacheService = require('./cacheService');
+const providerCostService = require('./providerCostService');
+const segmentPlanService = require('./segmentPlanService');
+
+const MAX_PERSONA_LENGTH = 300;
 
 class ScriptGenerationService {
   constructor() {
@@ -17,9 +21,12 @@ class ScriptGenerationService {
    * @param {string} creativeBrief - The creative brief describing campaign goals
    * @param {Array} generatedImages - Array of generated image results
    * @param {string} optionalScript - Optional user-provided script for refinement
-   * @returns {Promise<Object>} Generated script with segment-1 and segment-2
+   * @param {Object} usageContext - Operation the provider calls are recorded against
+   * @param {Array<number>} segmentDurations - Length of each segment in seconds (two 8 second segments by default)
+   * @param {Object} brief - Structured brief the script must follow (options.brief, optional)
+   * @returns {Promise<Object>} Generated script with segment-1 to segment-N and their durations
    */
-  async generateScript(creativeBrief, generatedImages, optionalScript = null) {
+  async generateScript(creativeBrief, generatedImages, optionalScript = null, usageContext = null, segmentDurations = null, brief = null) {
     if (!creativeBrief || typeof creativeBrief !== 'string' || creativeBrief.trim().length === 0) {
       throw new Error('Creative brief is required and must be a non-empty string');
     }
@@ -28,25 +35,34 @@ class ScriptGenerationService {
       throw new Error('Image analysis is required and must be a non-empty array');
     }
 
+    const durations = segmentDurations || segmentPlanService.planSegments().durations;
+
     // Check cache first
-    const cachedResult = await cacheService.getCachedScript(creativeBrief, generatedImages, optionalScript);
+    const cachedResult = await cacheService.getCachedScript(creativeBrief, generatedImages, optionalScript, durations, brief);
     if (cachedResult) {
       console.log('Returning cached script generation result');
+      await providerCostService.recordCall({
+        context: usageContext,
+        provider: 'openai',
+        service: 'script_generation',
+        model: this.model,
+        cacheHit: true
+      });
       return cachedResult;
     }
 
-    const prompt = this.buildPrompt(creativeBrief, generatedImages, optionalScript);
+    const prompt = this.buildPrompt(creativeBrief, generatedImages, optionalScript, durations, brief);
     const requestPayload = this.buildScriptRequest(prompt);
 
     let lastError;
     for (let attempt = 1; attempt <= this.maxRetries; attempt++) {
       try {
-        const response = await this.makeApiCall(requestPayload);
-        const scriptResult = this.parseScriptResponse(response.data);
-        this.validateScriptOutput(scriptResult);
+        const response = await this.makeTrackedApiCall(requestPayload, usageContext);
+        const scriptResult = this.parseScriptResponse(response.data, durations);
+        this.validateScriptOutput(scriptResult, durations);
         
         // Cache the result
-        await cacheService.setCachedScript(creativeBrief, generatedImages, optionalScript, scriptResult);
+        await cacheService.setCachedScript(creativeBrief, generatedImages, optionalScript, scriptResult, durations, brief);
         
         return scriptResult;
       } catch (error) {
@@ -62,20 +78,212 @@ class ScriptGenerationService {
     throw new Error(`Failed to generate script after ${this.maxRetries} attempts: ${lastError.message}`);
   }
 
+  /**
+   * Generates several scripts for the same ad in one call, each taking a different creative angle
+   * Variants are compared against each other, so they are never served from the cache.
+   * @param {string} creativeBrief - The creative brief describing campaign goals
+   * @param {Array} generatedImages - Array of generated image results
+   * @param {string} optionalScript - Optional user-provided script every variant is based on
+   * @param {Object} usageContext - Operation the provider calls are recorded against
+   * @param {Array<number>} segmentDurations - Length of each segment in seconds
+   * @param {number} count - Number of variants to write
+   * @returns {Promise<Object>} { variants, segmentDurations, timestamp, model, usage }, each
+   *   variant labelled with its angle, hook, tone and call to action
+   */
+  async generateScriptVariants(creativeBrief, generatedImages, optionalScript = null, usageContext = null, segmentDurations = null, count = 2) {
+    if (!creativeBrief || typeof creativeBrief !== 'string' || creativeBrief.trim().length === 0) {
+      throw new Error('Creative brief is required and must be a non-empty string');
+    }
+
+    if (!generatedImages || !Array.isArray(generatedImages) || generatedImages.length === 0) {
+      throw new Error('Image analysis is required and must be a non-empty array');
+    }
+
+    const durations = segmentDurations || segmentPlanService.planSegments().durations;
+    const imageContext = this.formatImageAnalysisForPrompt(generatedImages);
+    const prompt = this.buildVariantPrompt(creativeBrief, imageContext, optionalScript, durations, count);
+    const requestPayload = this.buildScriptRequest(prompt, this.maxTokens * count);
+
+    let lastError;
+    for (let attempt = 1; attempt <= this.maxRetries; attempt++) {
+      try {
+        const response = await this.makeTrackedApiCall(requestPayload, usageContext);
+        const variantResult = this.parseVariantResponse(response.data, durations);
+        this.validateVariantOutput(variantResult, durations, count);
+        return variantResult;
+      } catch (error) {
+        lastError = error;
+
+        if (attempt < this.maxRetries) {
+          await this.sleep(this.retryDelay);
+          continue;
+        }
+      }
+    }
+
+    throw new Error(`Failed to generate script variants after ${this.maxRetries} attempts: ${lastError.message}`);
+  }
+
+  /**
+   * Rewrites the unlocked segments of a script so they fit around the locked ones
+   * Rewrites follow edits the caller made, so they are never served from the cache.
+   * @param {string} creativeBrief - The creative brief describing campaign goals
+   * @param {Array} generatedImages - Array of generated image results
+   * @param {Object} script - Current script ({ segments, segmentDurations })
+   * @param {Array<string>} lockedSegments - Keys of the segments to keep word for word
+   * @param {Object} usageContext - Operation the provider calls are recorded against
+   * @param {string} instructions - What to change in the rewritten segments (optional)
+   * @returns {Promise<Object>} { segments, timestamp, model, usage } with every segment of the script
+   */
+  async rewriteSegments(creativeBrief, generatedImages, script, lockedSegments = [], usageContext = null, instructions = null) {
+    if (!creativeBrief || typeof creativeBrief !== 'string' || creativeBrief.trim().length === 0) {
+      throw new Error('Creative brief is required and must be a non-empty string');
+    }
+
+    if (!generatedImages || !Array.isArray(generatedImages) || generatedImages.length === 0) {
+      throw new Error('Image analysis is required and must be a non-empty array');
+    }
+
+    const durations = script.segmentDurations;
+    const rewriteKeys = Object.keys(script.segments).filter(key => !lockedSegments.includes(key));
+    if (rewriteKeys.length === 0) {
+      throw new Error('At least one segment must be unlocked to rewrite');
+    }
+
+    const imageContext = this.formatImageAnalysisForPrompt(generatedImages);
+    const prompt = this.buildRewritePrompt(creativeBrief, imageContext, script, lockedSegments, instructions);
+    const requestPayload = this.buildScriptRequest(prompt);
+
+    let lastError;
+    for (let attempt = 1; attempt <= this.maxRetries; attempt++) {
+      try {
+        const response = await this.makeTrackedApiCall(requestPayload, usageContext);
+        const rewriteResult = this.parseScriptResponse(response.data, durations);
+
+        // Locked segments are kept as they are whatever the model returned for them
+        const segments = {};
+        durations.forEach((seconds, index) => {
+          const key = `segment-${index + 1}`;
+          segments[key] = rewriteKeys.includes(key) ? rewriteResult[key] : script.segments[key];
+        });
+        this.validateScriptOutput(segments, durations);
+
+        return {
+          segments,
+          timestamp: rewriteResult.timestamp,
+          model: rewriteResult.model,
+          usage: rewriteResult.usage
+        };
+      } catch (error) {
+        lastError = error;
+
+        if (attempt < this.maxRetries) {
+          await this.sleep(this.retryDelay);
+          continue;
+        }
+      }
+    }
+
+    throw new Error(`Failed to rewrite script after ${this.maxRetries} attempts: ${lastError.message}`);
+  }
+
+  /**
+   * Check the script options of a generation request
+   * @param {Object} options - Generation options
+   * @returns {string|null} Error message, or null if the options are valid
+   */
+  validateOptions(options = {}) {
+    const { persona } = options;
+
+    if (persona !== undefined && (typeof persona !== 'string' || persona.trim().length === 0 || persona.length > MAX_PERSONA_LENGTH)) {
+      return `persona must be a non-empty string of up to ${MAX_PERSONA_LENGTH} characters`;
+    }
+
+    return null;
+  }
+
+  /**
+   * Write the presenter persona of a generation into its creative brief
+   * Script and video prompts are both built from the brief, so the presenter
+   * the script describes is the one the video shows.
+   * @param {string} creativeBrief - The creative brief
+   * @param {string|null} persona - Who presents the ad (options.persona)
+   * @returns {string} Brief the prompts are built from
+   */
+  applyPersona(creativeBrief, persona = null) {
+    return persona ? `${creativeBrief}\n\nPRESENTER PERSONA:\n${persona.trim()}` : creativeBrief;
+  }
+
+  /**
+   * Describe each field of a structured brief on its own line
+   * @param {Object} brief - Structured brief
+   * @returns {Array<string>} Lines such as 'Product: ...', for the fields the brief has
+   */
+  describeBrief(brief) {
+    return [
+      ['Product', brief.product],
+      ['Audience', brief.audience],
+      ['Pain point', brief.painPoint],
+      ['Key benefits', brief.keyBenefits?.join('; ')],
+      ['Tone', brief.tone],
+      ['Call to action', brief.cta],
+      ['Mandatory claims', brief.mandatoryClaims?.join('; ')],
+      ['Forbidden words', brief.forbiddenWords?.join(', ')],
+      ['Locale', brief.locale]
+    ]
+      .filter(([, value]) => value)
+      .map(([label, value]) => `${label}: ${value}`);
+  }
+
+  /**
+   * Formats a structured brief for the prompt, with the rules its fields set
+   * @param {Object|null} brief - Structured brief (options.brief)
+   * @returns {string} Prompt section, or an empty string without a brief
+   */
+  formatStructuredBrief(brief) {
+    if (!brief) {
+      return '';
+    }
+
+    const rules = [];
+    if (brief.mandatoryClaims?.length) {
+      rules.push(`- Include each of these claims word for word: ${brief.mandatoryClaims.map(claim => `"${claim}"`).join(', ')}`);
+    }
+    if (brief.forbiddenWords?.length) {
+      rules.push(`- Never use these words: ${brief.forbiddenWords.join(', ')}`);
+    }
+    if (brief.tone) {
+      rules.push(`- Keep a ${brief.tone} tone throughout`);
+    }
+    if (brief.cta) {
+      rules.push(`- End the last segment on the call to action: ${brief.cta}`);
+    }
+    if (brief.locale) {
+      rules.push(`- Write any spoken or on-screen words for the ${brief.locale} locale`);
+    }
+
+    return `
+STRUCTURED BRIEF:
+${this.describeBrief({ ...brief, mandatoryClaims: null, forbiddenWords: null }).map(line => `- ${line}`).join('\n')}
+${rules.length > 0 ? `\nBRIEF RULES (must be followed):\n${rules.join('\n')}\n` : ''}`;
+  }
+
   /**
    * Builds the prompt for script generation or refinement
    * @param {string} creativeBrief - The creative brief
    * @param {Array} generatedImages - Generated image results
    * @param {string} optionalScript - Optional user script
+   * @param {Array<number>} segmentDurations - Length of each segment in seconds
+   * @param {Object} brief - Structured brief (optional)
    * @returns {string} Constructed prompt for OpenAI
    */
-  buildPrompt(creativeBrief, generatedImages, optionalScript) {
+  buildPrompt(creativeBrief, generatedImages, optionalScript, segmentDurations = segmentPlanService.planSegments().durations, brief = null) {
     const imageContext = this.formatImageAnalysisForPrompt(generatedImages);
 
     if (optionalScript) {
-      return this.buildRefinementPrompt(creativeBrief, imageContext, optionalScript);
+      return this.buildRefinementPrompt(creativeBrief, imageContext, optionalScript, segmentDurations, brief);
     } else {
-      return this.buildGenerationPrompt(creativeBrief, imageContext);
+      return this.buildGenerationPrompt(creativeBrief, imageContext, segmentDurations, brief);
     }
   }
 
@@ -83,31 +291,33 @@ class ScriptGenerationService {
    * Builds prompt for script generation from scratch
    * @param {string} creativeBrief - The creative brief
    * @param {string} imageContext - Formatted image analysis context
+   * @param {Array<number>} segmentDurations - Length of each segment in seconds
+   * @param {Object} brief - Structured brief whose fields and rules the script follows (optional)
    * @returns {string} Generation prompt
    */
-  buildGenerationPrompt(creativeBrief, imageContext) {
+  buildGenerationPrompt(creativeBrief, imageContext, segmentDurations = segmentPlanService.planSegments().durations, brief = null) {
     return `You are an expert video script writer specializing in User Generated Content (UGC) advertisements. 
 
 CREATIVE BRIEF:
 ${creativeBrief}
-
+${this.formatStructuredBrief(brief)}
 AVAILABLE VISUAL ELEMENTS (from uploaded images):
 ${imageContext}
 
-TASK: Create a 2-segment video script for a UGC advertisement. Each segment should be 7-8 seconds of realistic, actionable content.
+TASK: Create a ${segmentDurations.length}-segment video script for a ${this.getTotalDuration(segmentDurations)} second UGC advertisement. Each segment should be realistic, actionable content of the length given below.
+
+SEGMENT LENGTHS:
+${this.formatSegmentDurations(segmentDurations)}
 
 CRITICAL REQUIREMENTS:
 1. ONLY reference objects, people, settings, and actions that are visible in the uploaded images
-2. Each segment must be exactly 7-8 seconds of realistic action
+2. Each segment must contain exactly as much realistic action as fits its length
 3. Scripts must feel authentic and natural for UGC content
 4. Focus on showing, not telling - describe visual actions
 5. Ensure segments flow together as a cohesive story
 
 OUTPUT FORMAT (JSON):
-{
-  "segment-1": "Detailed description of first 7-8 second video segment",
-  "segment-2": "Detailed description of second 7-8 second video segment"
-}
+${this.formatOutputExample(segmentDurations, 'Detailed description of')}
 
 Generate the script now:`;
   }
@@ -117,9 +327,11 @@ Generate the script now:`;
    * @param {string} creativeBrief - The creative brief
    * @param {string} imageContext - Formatted image analysis context
    * @param {string} userScript - User-provided script
+   * @param {Array<number>} segmentDurations - Length of each segment in seconds
+   * @param {Object} brief - Structured brief whose fields and rules the script follows (optional)
    * @returns {string} Refinement prompt
    */
-  buildRefinementPrompt(creativeBrief, imageContext, userScript) {
+  buildRefinementPrompt(creativeBrief, imageContext, userScript, segmentDurations = segmentPlanService.planSegments().durations, brief = null) {
     const scriptAnalysis = this.analyzeUserScript(userScript, imageContext);
     const optimizationStrategy = this.determineOptimizationStrategy(scriptAnalysis, creativeBrief);
 
@@ -127,7 +339,7 @@ Generate the script now:`;
 
 CREATIVE BRIEF:
 ${creativeBrief}
-
+${this.formatStructuredBrief(brief)}
 AVAILABLE VISUAL ELEMENTS (from uploaded images):
 ${imageContext}
 
@@ -140,11 +352,14 @@ ${scriptAnalysis}
 OPTIMIZATION STRATEGY:
 ${optimizationStrategy}
 
-TASK: Using your AI agent capabilities, intelligently refine and optimize the user script with the following advanced considerations:
+TASK: Using your AI agent capabilities, intelligently refine and optimize the user script into ${segmentDurations.length} segments for a ${this.getTotalDuration(segmentDurations)} second ad with the following advanced considerations:
+
+SEGMENT LENGTHS:
+${this.formatSegmentDurations(segmentDurations)}
 
 INTELLIGENT REFINEMENT REQUIREMENTS:
 1. VISUAL ALIGNMENT: Ensure every script element references only visible elements from uploaded images
-2. TEMPORAL OPTIMIZATION: Each segment must be exactly 7-8 seconds of realistic, measurable action
+2. TEMPORAL OPTIMIZATION: Each segment must be realistic, measurable action that fits its length exactly
 3. NARRATIVE FLOW: Create seamless transitions between segments that build engagement
 4. UGC AUTHENTICITY: Maintain natural, unscripted feel while improving professional quality
 5. CREATIVE INTENT PRESERVATION: Honor user's original vision while enhancing execution
@@ -159,14 +374,140 @@ AI AGENT OPTIMIZATION TECHNIQUES:
 - Balance authenticity with professional polish
 
 OUTPUT FORMAT (JSON):
-{
-  "segment-1": "AI-optimized description of first 7-8 second video segment",
-  "segment-2": "AI-optimized description of second 7-8 second video segment"
-}
+${this.formatOutputExample(segmentDurations, 'AI-optimized description of')}
 
 Apply your AI agent optimization now:`;
   }
 
+  /**
+   * Builds the prompt for writing several script variants to A/B test
+   * @param {string} creativeBrief - The creative brief
+   * @param {string} imageContext - Formatted image analysis context
+   * @param {string} userScript - Optional user script every variant is based on
+   * @param {Array<number>} segmentDurations - Length of each segment in seconds
+   * @param {number} count - Number of variants
+   * @returns {string} Variant prompt
+   */
+  buildVariantPrompt(creativeBrief, imageContext, userScript, segmentDurations, count) {
+    const example = {};
+    segmentDurations.forEach((seconds, index) => {
+      example[`segment-${index + 1}`] = `Detailed description of segment ${index + 1} (${seconds} seconds of video)`;
+    });
+
+    return `You are an expert video script writer specializing in User Generated Content (UGC) advertisements. You write alternative versions of an ad so they can be A/B tested against each other.
+
+CREATIVE BRIEF:
+${creativeBrief}
+
+AVAILABLE VISUAL ELEMENTS (from uploaded images):
+${imageContext}
+${userScript ? `\nUSER-PROVIDED SCRIPT (base every variant on it):\n${userScript}\n` : ''}
+TASK: Write ${count} distinct variants of a ${segmentDurations.length}-segment video script for a ${this.getTotalDuration(segmentDurations)} second UGC advertisement. Each segment should be realistic, actionable content of the length given below.
+
+SEGMENT LENGTHS:
+${this.formatSegmentDurations(segmentDurations)}
+
+CRITICAL REQUIREMENTS:
+1. ONLY reference objects, people, settings, and actions that are visible in the uploaded images
+2. Each variant must take a different creative angle: a different opening hook, tone or call to action
+3. Label each variant with a short name for its angle (for example "problem-solution" or "social proof")
+4. Each segment must contain exactly as much realistic action as fits its length
+5. Scripts must feel authentic and natural for UGC content
+6. Ensure the segments of each variant flow together as a cohesive story
+
+OUTPUT FORMAT (JSON):
+${JSON.stringify({
+    variants: [{
+      angle: 'Short name for the creative angle',
+      hook: 'How the first seconds grab attention',
+      tone: 'Tone of voice',
+      cta: 'Call to action the ad ends on',
+      ...example
+    }]
+  }, null, 2)}
+
+Return exactly ${count} variants. Generate them now:`;
+  }
+
+  /**
+   * Builds the prompt for rewriting the unlocked segments of a script
+   * @param {string} creativeBrief - The creative brief
+   * @param {string} imageContext - Formatted image analysis context
+   * @param {Object} script - Current script ({ segments, segmentDurations })
+   * @param {Array<string>} lockedSegments - Keys of the segments to keep word for word
+   * @param {string} instructions - What to change in the rewritten segments (optional)
+   * @returns {string} Rewrite prompt
+   */
+  buildRewritePrompt(creativeBrief, imageContext, script, lockedSegments, instructions = null) {
+    const { segments, segmentDurations } = script;
+    const currentScript = segmentDurations
+      .map((seconds, index) => {
+        const key = `segment-${index + 1}`;
+        return `- ${key} (${seconds} seconds, ${lockedSegments.includes(key) ? 'LOCKED' : 'rewrite'}): ${segments[key]}`;
+      })
+      .join('\n');
+    const rewriteKeys = Object.keys(segments).filter(key => !lockedSegments.includes(key));
+
+    return `You are an expert video script writer specializing in User Generated Content (UGC) advertisements. You are revising a script the client has partly approved.
+
+CREATIVE BRIEF:
+${creativeBrief}
+
+AVAILABLE VISUAL ELEMENTS (from uploaded images):
+${imageContext}
+
+CURRENT SCRIPT:
+${currentScript}
+${instructions ? `\nREVISION INSTRUCTIONS:\n${instructions}\n` : ''}
+TASK: Rewrite ${rewriteKeys.join(', ')} of this ${this.getTotalDuration(segmentDurations)} second UGC advertisement. Segments marked LOCKED are approved and stay exactly as they are; the rewritten segments must fit around them.
+
+CRITICAL REQUIREMENTS:
+1. ONLY reference objects, people, settings, and actions that are visible in the uploaded images
+2. Each rewritten segment must contain exactly as much realistic action as fits its length
+3. Rewritten segments must lead into and follow on from the locked segments as one cohesive story
+4. Scripts must feel authentic and natural for UGC content
+5. Focus on showing, not telling - describe visual actions
+
+OUTPUT FORMAT (JSON, with only the rewritten segments):
+${JSON.stringify(Object.fromEntries(rewriteKeys.map(key => [key, `Rewritten description of ${key}`])), null, 2)}
+
+Rewrite the segments now:`;
+  }
+
+  /**
+   * Lists the length of each segment for the prompt
+   * @param {Array<number>} segmentDurations - Length of each segment in seconds
+   * @returns {string} One line per segment
+   */
+  formatSegmentDurations(segmentDurations) {
+    return segmentDurations
+      .map((seconds, index) => `- segment-${index + 1}: ${seconds} seconds`)
+      .join('\n');
+  }
+
+  /**
+   * Builds the JSON output example with one key per segment
+   * @param {Array<number>} segmentDurations - Length of each segment in seconds
+   * @param {string} description - How each example value starts
+   * @returns {string} JSON example
+   */
+  formatOutputExample(segmentDurations, description) {
+    const example = {};
+    segmentDurations.forEach((seconds, index) => {
+      example[`segment-${index + 1}`] = `${description} segment ${index + 1} (${seconds} seconds of video)`;
+    });
+    return JSON.stringify(example, null, 2);
+  }
+
+  /**
+   * Total length of the ad in seconds
+   * @param {Array<number>} segmentDurations - Length of each segment in seconds
+   * @returns {number} Total seconds
+   */
+  getTotalDuration(segmentDurations) {
+    return segmentDurations.reduce((total, seconds) => total + seconds, 0);
+  }
+
   /**
    * Formats image analysis results for prompt context
    * @param {Array} imageAnalysis - Array of image analysis results
@@ -218,9 +559,10 @@ Apply your AI agent optimization now:`;
   /**
    * Builds the request payload for OpenAI API
    * @param {string} prompt - The constructed prompt
+   * @param {number} maxTokens - Most tokens the response may use
    * @returns {Object} API request payload
    */
-  buildScriptRequest(prompt) {
+  buildScriptRequest(prompt, maxTokens = this.maxTokens) {
     return {
       model: this.model,
       messages: [
@@ -233,12 +575,43 @@ Apply your AI agent optimization now:`;
           content: prompt
         }
       ],
-      max_tokens: this.maxTokens,
+      max_tokens: maxTokens,
       temperature: this.temperature,
       response_format: { type: 'json_object' }
     };
   }
 
+  /**
+   * Makes the OpenAI API call and records its token usage and latency
+   * @param {Object} payload - Request payload
+   * @param {Object} usageContext - Operation the call is recorded against
+   * @returns {Promise<Object>} API response
+   */
+  async makeTrackedApiCall(payload, usageContext) {
+    const startTime = Date.now();
+    const call = {
+      context: usageContext,
+      provider: 'openai',
+      service: 'script_generation',
+      model: this.model
+    };
+
+    try {
+      const response = await this.makeApiCall(payload);
+      const usage = response.data.usage || {};
+      await providerCostService.recordCall({
+        ...call,
+        inputUnits: usage.prompt_tokens || 0,
+        outputUnits: usage.completion_tokens || 0,
+        latencyMs: Date.now() - startTime
+      });
+      return response;
+    } catch (error) {
+      await providerCostService.recordCall({ ...call, latencyMs: Date.now() - startTime, error });
+      throw error;
+    }
+  }
+
   /**
    * Makes HTTP call to OpenAI API with proper headers
    * @param {Object} payload - Request payload
@@ -280,16 +653,17 @@ Apply your AI agent optimization now:`;
   /**
    * Parses the API response and extracts script data
    * @param {Object} responseData - API response data
+   * @param {Array<number>} segmentDurations - Length of each segment in seconds
    * @returns {Object} Parsed script result
    */
-  parseScriptResponse(responseData) {
+  parseScriptResponse(responseData, segmentDurations = segmentPlanService.planSegments().durations) {
     try {
       const content = responseData.choices[0].message.content;
       const scriptData = JSON.parse(content);
 
       return {
-        'segment-1': scriptData['segment-1'] || scriptData.segment1 || scriptData['segment_1'],
-        'segment-2': scriptData['segment-2'] || scriptData.segment2 || scriptData['segment_2'],
+        ...this.extractSegments(scriptData, segmentDurations),
+        segmentDurations,
         timestamp: new Date().toISOString(),
         model: responseData.model,
         usage: responseData.usage
@@ -300,37 +674,121 @@ Apply your AI agent optimization now:`;
   }
 
   /**
-   * Validates the script output format and content
-   * @param {Object} scriptResult - The parsed script result
-   * @throws {Error} If validation fails
+   * Picks the segment descriptions out of a parsed script, however the model numbered them
+   * @param {Object} scriptData - Parsed script JSON
+   * @param {Array<number>} segmentDurations - Length of each segment in seconds
+   * @returns {Object} segment-1 to segment-N
    */
-  validateScriptOutput(scriptResult) {
-    if (!scriptResult || typeof scriptResult !== 'object') {
-      throw new Error('Script result must be an object');
+  extractSegments(scriptData, segmentDurations) {
+    const segments = {};
+    segmentDurations.forEach((seconds, index) => {
+      const number = index + 1;
+      segments[`segment-${number}`] = scriptData[`segment-${number}`] || scriptData[`segment${number}`] || scriptData[`segment_${number}`];
+    });
+    return segments;
+  }
+
+  /**
+   * Parses the API response for script variants
+   * @param {Object} responseData - API response data
+   * @param {Array<number>} segmentDurations - Length of each segment in seconds
+   * @returns {Object} Parsed variants, numbered variant-1 to variant-N
+   */
+  parseVariantResponse(responseData, segmentDurations = segmentPlanService.planSegments().durations) {
+    let variants;
+    try {
+      const content = responseData.choices[0].message.content;
+      variants = JSON.parse(content).variants;
+    } catch (error) {
+      throw new Error(`Failed to parse script variants response: ${error.message}`);
     }
 
-    if (!scriptResult['segment-1'] || typeof scriptResult['segment-1'] !== 'string') {
-      throw new Error('segment-1 is required and must be a string');
+    if (!Array.isArray(variants)) {
+      throw new Error('Failed to parse script variants response: variants must be an array');
     }
 
-    if (!scriptResult['segment-2'] || typeof scriptResult['segment-2'] !== 'string') {
-      throw new Error('segment-2 is required and must be a string');
+    return {
+      variants: variants.map((variant, index) => ({
+        variantId: `variant-${index + 1}`,
+        angle: typeof variant?.angle === 'string' ? variant.angle.trim() : null,
+        hook: variant?.hook || null,
+        tone: variant?.tone || null,
+        cta: variant?.cta || null,
+        ...this.extractSegments(variant || {}, segmentDurations)
+      })),
+      segmentDurations,
+      timestamp: new Date().toISOString(),
+      model: responseData.model,
+      usage: responseData.usage
+    };
+  }
+
+  /**
+   * Validates script variants: each is a valid script, and no two take the same angle or open the same way
+   * @param {Object} variantResult - The parsed variants
+   * @param {Array<number>} segmentDurations - Length of each segment in seconds
+   * @param {number} count - Number of variants requested
+   * @throws {Error} If validation fails
+   */
+  validateVariantOutput(variantResult, segmentDurations, count) {
+    const { variants } = variantResult;
+
+    if (variants.length !== count) {
+      throw new Error(`Expected ${count} script variants but received ${variants.length}`);
     }
 
-    // Validate segment length (should be reasonable for 7-8 seconds)
-    const segment1Length = scriptResult['segment-1'].trim().length;
-    const segment2Length = scriptResult['segment-2'].trim().length;
+    variants.forEach(variant => {
+      if (!variant.angle || typeof variant.angle !== 'string') {
+        throw new Error(`${variant.variantId} must be labelled with its angle`);
+      }
+      try {
+        this.validateScriptOutput(variant, segmentDurations);
+      } catch (error) {
+        throw new Error(`${variant.variantId}: ${error.message}`);
+      }
+    });
 
-    if (segment1Length < 20 || segment1Length > 500) {
-      throw new Error('segment-1 length is unrealistic for 7-8 second video content');
+    const angles = variants.map(variant => variant.angle.toLowerCase());
+    if (new Set(angles).size !== angles.length) {
+      throw new Error('Script variants must each take a different angle');
     }
 
-    if (segment2Length < 20 || segment2Length > 500) {
-      throw new Error('segment-2 length is unrealistic for 7-8 second video content');
+    const openings = variants.map(variant => variant['segment-1'].trim());
+    if (new Set(openings).size !== openings.length) {
+      throw new Error('Script variants must open differently from each other');
     }
+  }
+
+  /**
+   * Validates the script output format and content
+   * @param {Object} scriptResult - The parsed script result
+   * @param {Array<number>} segmentDurations - Length of each segment in seconds
+   * @throws {Error} If validation fails
+   */
+  validateScriptOutput(scriptResult, segmentDurations = segmentPlanService.planSegments().durations) {
+    if (!scriptResult || typeof scriptResult !== 'object') {
+      throw new Error('Script result must be an object');
+    }
+
+    const keys = segmentDurations.map((seconds, index) => `segment-${index + 1}`);
+
+    keys.forEach(key => {
+      if (!scriptResult[key] || typeof scriptResult[key] !== 'string') {
+        throw new Error(`${key} is required and must be a string`);
+      }
+    });
+
+    // Validate segment length (should be reasonable for the seconds of video it describes)
+    const descriptions = keys.map((key, index) => {
+      const description = scriptResult[key].trim();
+      if (description.length < 20 || description.length > 500) {
+        throw new Error(`${key} length is unrealistic for ${segmentDurations[index]} second video content`);
+      }
+      return description;
+    });
 
     // Validate that segments are not identical
-    if (scriptResult['segment-1'].trim() === scriptResult['segment-2'].trim()) {
+    if (new Set(descriptions).size !== descriptions.length) {
       throw new Error('Script segments must be different from each other');
     }
   }
@@ -347,7 +805,7 @@ Apply your AI agent optimization now:`;
     // Analyze script length and structure
     const scriptLength = userScript.trim().length;
     if (scriptLength < 50) {
-      analysis.push('BREVITY ISSUE: Script is very brief and may need expansion for 2 segments');
+      analysis.push('BREVITY ISSUE: Script is very brief and may need expansion across segments');
     } else if (scriptLength > 500) {
       analysis.push('LENGTH ISSUE: Script is lengthy and may need condensing for video format');
     }
@@ -403,7 +861,7 @@ Apply your AI agent optimization now:`;
 
     // Determine primary optimization focus
     if (scriptAnalysis.includes('BREVITY ISSUE')) {
-      strategies.push('EXPANSION STRATEGY: Intelligently expand brief script into detailed 2-segment narrative');
+      strategies.push('EXPANSION STRATEGY: Intelligently expand brief script into a detailed multi-segment narrative');
     } else if (scriptAnalysis.includes('LENGTH ISSUE')) {
       strategies.push('CONDENSATION STRATEGY: Distill lengthy script into focused, impactful segments');
     }
@@ -0,0 +1,142 @@
+const { DEFAULT_SEGMENTS } = require('../config/rateLimitCosts');
+const { PLANS } = require('../config/plans');
+const {
+  DEFAULT_SEGMENT_SECONDS,
+  MIN_SEGMENT_SECONDS,
+  MAX_SEGMENT_SECONDS
+} = require('../config/estimates');
+
+// Most segments any plan allows; requests are checked against their own plan later
+const MAX_SEGMENTS = Math.max(...Object.values(PLANS).map(plan => plan.maxSegments));
+
+/**
+ * Segment Plan Service
+ * Works out how many segments a generation produces and how long each one is,
+ * from options.segments (a count), options.targetDuration (the length of the
+ * finished ad in seconds) and options.segmentDuration. A target duration
+ * without a count is split into as few segments as Veo can generate.
+ */
+class SegmentPlanService {
+  /**
+   * Check the segment options of a generation request
+   * @param {Object} options - Generation options
+   * @returns {string|null} Error message, or null if the options are valid
+   */
+  validateOptions(options = {}) {
+    const { segments, targetDuration, segmentDuration } = options;
+
+    if (segments !== undefined && !(Number.isInteger(Number(segments)) && Number(segments) >= 1 && Number(segments) <= MAX_SEGMENTS)) {
+      return `segments must be a whole number from 1 to ${MAX_SEGMENTS}`;
+    }
+
+    if (segmentDuration !== undefined) {
+      if (targetDuration !== undefined) {
+        return 'Set either targetDuration or segmentDuration, not both';
+      }
+      if (!this.isWithinRange(Number(segmentDuration))) {
+        return `segmentDuration must be between ${MIN_SEGMENT_SECONDS} and ${MAX_SEGMENT_SECONDS} seconds`;
+      }
+    }
+
+    if (targetDuration !== undefined) {
+      const seconds = Math.round(Number(targetDuration));
+      if (!(seconds >= MIN_SEGMENT_SECONDS)) {
+        return `targetDuration must be at least ${MIN_SEGMENT_SECONDS} seconds`;
+      }
+
+      const count = segments !== undefined ? Number(segments) : Math.ceil(seconds / DEFAULT_SEGMENT_SECONDS);
+      if (count > MAX_SEGMENTS) {
+        return `targetDuration must be at most ${MAX_SEGMENTS * DEFAULT_SEGMENT_SECONDS} seconds`;
+      }
+      if (!this.isWithinRange(seconds / count)) {
+        return `A ${seconds} second ad cannot be split into ${count} segments of ${MIN_SEGMENT_SECONDS}-${MAX_SEGMENT_SECONDS} seconds`;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Plan the segments of a generation
+   * Invalid options fall back to the defaults, so estimates never fail, and
+   * the count is capped at MAX_SEGMENTS, as rate limiting plans unvalidated bodies.
+   * @param {Object} options - Generation options
+   * @returns {Object} { count, durations, totalDuration }
+   */
+  planSegments(options = {}) {
+    const { segments, targetDuration, segmentDuration } = options || {};
+    const targetSeconds = Math.round(Number(targetDuration)) || 0;
+    const requested = parseInt(segments);
+
+    let count;
+    if (requested > 0) {
+      count = requested;
+    } else if (targetSeconds > 0) {
+      count = Math.ceil(targetSeconds / DEFAULT_SEGMENT_SECONDS);
+    } else {
+      count = DEFAULT_SEGMENTS;
+    }
+    count = Math.min(count, MAX_SEGMENTS);
+
+    let durations;
+    if (targetSeconds > 0) {
+      // Spread the target evenly, giving the odd seconds to the opening segments
+      const base = Math.floor(targetSeconds / count);
+      const remainder = targetSeconds - base * count;
+      durations = Array.from({ length: count }, (_, index) => this.clamp(base + (index < remainder ? 1 : 0)));
+    } else {
+      const seconds = this.isWithinRange(Number(segmentDuration)) ? Number(segmentDuration) : DEFAULT_SEGMENT_SECONDS;
+      durations = Array(count).fill(seconds);
+    }
+
+    return {
+      count,
+      durations,
+      totalDuration: durations.reduce((total, seconds) => total + seconds, 0)
+    };
+  }
+
+  /**
+   * Record the segment plan in the generation options
+   * Later stages and pricing read options.segments and options.segmentDurations.
+   * @param {Object} options - Validated generation options
+   * @returns {Object} Options with segments and segmentDurations set
+   */
+  applyPlan(options = {}) {
+    const { count, durations } = this.planSegments(options);
+    return { ...options, segments: count, segmentDurations: durations };
+  }
+
+  /**
+   * Get the planned segment durations recorded in the options
+   * @param {Object} options - Generation options
+   * @returns {Array<number>} Duration of each segment in seconds
+   */
+  getDurations(options = {}) {
+    const recorded = options?.segmentDurations;
+    if (Array.isArray(recorded) && recorded.length > 0 && recorded.every(seconds => this.isWithinRange(seconds))) {
+      return recorded;
+    }
+    return this.planSegments(options).durations;
+  }
+
+  /**
+   * Check a segment length is one Veo can generate
+   * @param {number} seconds - Segment length
+   * @returns {boolean} True if within range
+   */
+  isWithinRange(seconds) {
+    return typeof seconds === 'number' && seconds >= MIN_SEGMENT_SECONDS && seconds <= MAX_SEGMENT_SECONDS;
+  }
+
+  /**
+   * Bring a segment length into the range Veo can generate
+   * @param {number} seconds - Segment length
+   * @returns {number} Segment length in range
+   */
+  clamp(seconds) {
+    return Math.min(MAX_SEGMENT_SECONDS, Math.max(MIN_SEGMENT_SECONDS, seconds));
+  }
+}
+
+module.exports = new SegmentPlanService();
@@ -0,0 +1,408 @@
+const operationService = require('./operationService');
+const creditService = require('./creditService');
+const jobManager = require('../jobs/jobManager');
+const { APIError } = require('../middleware/errorHandler');
+
+const MAX_PROMPT_LENGTH = 2000;
+
+/**
+ * Raised when a segment of an operation cannot be regenerated or rolled back
+ */
+class SegmentVersionError extends APIError {
+  constructor(message, statusCode, code) {
+    super(message, statusCode, code);
+    this.name = 'SegmentVersionError';
+  }
+}
+
+/**
+ * Segment Version Service
+ * Reworks single video segments of a finished operation. A segment can be
+ * regenerated, from an edited prompt or a new seed image, as a new take while
+ * the stored image analysis and every other segment are reused; the finished
+ * ad is then reassembled. Each take a segment has had is kept on the operation
+ * (metadata.segmentVersions), so an earlier take can be rolled back to.
+ */
+class SegmentVersionService {
+  constructor() {
+    this.SegmentVersionError = SegmentVersionError;
+  }
+
+  /**
+   * Check a segment regeneration request
+   * @param {Object} params - Request parameters
+   * @param {string|null} params.prompt - Edited script of the segment, which its video prompt is built from
+   * @returns {string|null} Error message, or null if the request is valid
+   */
+  validateRegeneration({ prompt = null } = {}) {
+    if (prompt !== null && (typeof prompt !== 'string' || prompt.trim().length === 0 || prompt.length > MAX_PROMPT_LENGTH)) {
+      return `prompt must be a non-empty string of up to ${MAX_PROMPT_LENGTH} characters`;
+    }
+
+    return null;
+  }
+
+  /**
+   * List the segments of an operation with every take each has had
+   * @param {Object} operation - UgcOperation record
+   * @returns {Array|null} Segments in order, or null if the operation has no video segments
+   */
+  getSegments(operation) {
+    const checkpoints = operation.checkpoints || {};
+    const videoSegments = checkpoints.video_generation?.videoSegments || [];
+    if (videoSegments.length === 0) {
+      return null;
+    }
+
+    const scriptSegments = this.getScriptSegments(operation);
+    const segmentNumber = key => parseInt(key.match(/(\d+)$/)?.[1]) || 0;
+    const segmentKeys = [...new Set([...Object.keys(scriptSegments), ...videoSegments.map(segment => segment.segmentKey)])]
+      .sort((a, b) => segmentNumber(a) - segmentNumber(b));
+
+    return segmentKeys.map(segmentKey => {
+      const current = this.getCurrentTake(operation, segmentKey);
+      const currentVersion = current ? this.getVersion(current) : null;
+
+      return {
+        segmentKey,
+        prompt: scriptSegments[segmentKey] || null,
+        currentVersion,
+        videoUrl: current?.videoUrl || null,
+        versions: this.getTakes(operation, segmentKey).map(take => ({
+          version: take.version,
+          current: take.version === currentVersion,
+          prompt: take.script || null,
+          videoUrl: take.videoUrl || null,
+          duration: take.duration,
+          model: take.model,
+          generatedAt: take.generatedAt,
+          seedFrame: take.seedFrame || null
+        }))
+      };
+    });
+  }
+
+  /**
+   * Queue a new take of one segment, then reassembly of the finished ad
+   * Only the segment is generated, so only one segment is held in credits.
+   * @param {Object} params - Regeneration parameters
+   * @param {Object} params.operation - Completed operation
+   * @param {string} params.segmentKey - Segment to regenerate, such as 'segment-2'
+   * @param {string|null} params.prompt - Edited script of the segment (optional)
+   * @param {Object|null} params.seedImage - Image to generate the segment from, as base64 (optional)
+   * @param {Object} params.plan - Plan of the operation's owner
+   * @returns {Promise<Object>} { segmentKey, version, workflowJobs, workflowRun, credits }
+   * @throws {SegmentVersionError} If the operation is not finished or has no such segment
+   * @throws {InsufficientCreditsError} If the credit balance cannot cover the segment
+   * @throws {OperationStateError} If another request restarted the operation first
+   */
+  async queueRegeneration({ operation, segmentKey, prompt = null, seedImage = null, plan }) {
+    if (operation.status !== 'completed') {
+      throw new SegmentVersionError(
+        `Segments can only be regenerated once the operation has completed; this operation is ${operation.status}`,
+        409,
+        'SEGMENTS_NOT_READY'
+      );
+    }
+
+    const checkpoints = operation.checkpoints || {};
+    if (!checkpoints.video_generation?.completedAt || !this.getCurrentTake(operation, segmentKey)) {
+      throw new SegmentVersionError(`Segment not found: ${segmentKey}`, 404, 'SEGMENT_NOT_FOUND');
+    }
+
+    const segmentVersions = this.archiveCurrentTake(operation, segmentKey);
+    const version = Math.max(...segmentVersions[segmentKey].map(take => take.version)) + 1;
+
+    // Without a prompt the segment is generated from the operation's script, which may have been edited since
+    const scriptCheckpoint = checkpoints.script_generation;
+    const workingScript = this.getWorkingScript(operation);
+    const text = prompt !== null ? prompt : workingScript.segments[segmentKey] ?? scriptCheckpoint.script.segments[segmentKey];
+    const promptEdited = text !== scriptCheckpoint.script.segments[segmentKey];
+    const script = promptEdited
+      ? this.withSegment(scriptCheckpoint.script, segmentKey, text)
+      : scriptCheckpoint.script;
+
+    // The segment is left out of the video generation checkpoint, so it is the only one generated
+    const { workflowJobs, workflowRun, credits } = await this.restartWorkflow(operation, {
+      fromStage: 'video_generation',
+      fromStatuses: ['completed'],
+      checkpoints: {
+        image_analysis: checkpoints.image_analysis,
+        script_generation: { ...scriptCheckpoint, script },
+        video_generation: {
+          videoSegments: checkpoints.video_generation.videoSegments.filter(segment => segment.segmentKey !== segmentKey)
+        }
+      },
+      scriptContent: prompt !== null ? this.withSegment(workingScript, segmentKey, prompt) : null,
+      metadata: {
+        segmentVersions,
+        segmentRegeneration: {
+          segmentKey,
+          version,
+          promptEdited,
+          seedImage: seedImage ? seedImage.originalName || 'uploaded' : null,
+          requestedAt: new Date().toISOString()
+        }
+      },
+      regeneration: { segmentKey, version, seedImage },
+      plan,
+      holdAmount: creditService.calculateCost(1)
+    });
+
+    return { segmentKey, version, workflowJobs, workflowRun, credits };
+  }
+
+  /**
+   * Queue reassembly of the finished ad with an earlier take of a segment
+   * Nothing is generated, so nothing is held. An operation whose regeneration
+   * failed can be rolled back too, as long as every other segment is there.
+   * @param {Object} params - Rollback parameters
+   * @param {Object} params.operation - Completed or failed operation
+   * @param {string} params.segmentKey - Segment to roll back
+   * @param {number} params.version - Take to restore
+   * @param {Object} params.plan - Plan of the operation's owner
+   * @returns {Promise<Object>} { segmentKey, version, workflowJobs, workflowRun }
+   * @throws {SegmentVersionError} If the operation is busy, or the segment or take does not exist
+   * @throws {OperationStateError} If another request restarted the operation first
+   */
+  async queueRollback({ operation, segmentKey, version, plan }) {
+    if (!['completed', 'failed'].includes(operation.status)) {
+      throw new SegmentVersionError(
+        `Segments can only be rolled back once the operation has completed or failed; this operation is ${operation.status}`,
+        409,
+        'SEGMENTS_NOT_READY'
+      );
+    }
+
+    const takes = this.getTakes(operation, segmentKey);
+    if (takes.length === 0) {
+      throw new SegmentVersionError(`Segment not found: ${segmentKey}`, 404, 'SEGMENT_NOT_FOUND');
+    }
+
+    const take = takes.find(candidate => candidate.version === version);
+    if (!take) {
+      throw new SegmentVersionError(`${segmentKey} has no version ${version}`, 404, 'SEGMENT_VERSION_NOT_FOUND');
+    }
+
+    const current = this.getCurrentTake(operation, segmentKey);
+    if (operation.status === 'completed' && current && this.getVersion(current) === version) {
+      throw new SegmentVersionError(`Version ${version} is already the current take of ${segmentKey}`, 409, 'SEGMENT_VERSION_CURRENT');
+    }
+
+    const checkpoints = operation.checkpoints || {};
+    const { script: takeScript, archivedAt, ...restored } = take;
+    const videoSegments = (checkpoints.video_generation?.videoSegments || [])
+      .filter(segment => segment.segmentKey !== segmentKey)
+      .concat(restored)
+      .sort((a, b) => a.segmentIndex - b.segmentIndex);
+
+    // The script goes back to the one the take was generated from
+    const scriptCheckpoint = checkpoints.script_generation;
+    const script = takeScript !== undefined
+      ? this.withSegment(scriptCheckpoint.script, segmentKey, takeScript)
+      : scriptCheckpoint.script;
+
+    const missing = Object.keys(script.segments).filter(key => !videoSegments.some(segment => segment.segmentKey === key));
+    if (missing.length > 0) {
+      throw new SegmentVersionError(
+        `The operation has no video for ${missing.join(', ')}; resume it instead`,
+        409,
+        'SEGMENTS_INCOMPLETE'
+      );
+    }
+
+    const { workflowJobs, workflowRun } = await this.restartWorkflow(operation, {
+      fromStage: 'post_processing',
+      fromStatuses: ['completed', 'failed'],
+      checkpoints: {
+        image_analysis: checkpoints.image_analysis,
+        script_generation: { ...scriptCheckpoint, script },
+        video_generation: { videoSegments, completedAt: new Date().toISOString() }
+      },
+      scriptContent: takeScript !== undefined ? this.withSegment(this.getWorkingScript(operation), segmentKey, takeScript) : null,
+      metadata: {
+        segmentVersions: this.archiveCurrentTake(operation, segmentKey),
+        segmentRollback: { segmentKey, version, requestedAt: new Date().toISOString() }
+      },
+      regeneration: null,
+      plan
+    });
+
+    return { segmentKey, version, workflowJobs, workflowRun };
+  }
+
+  /**
+   * Put an operation back in the queue from a later stage of its workflow
+   * The operation is restarted and the credits of the new run held together, so
+   * of concurrent requests only one restarts it and holds. If the workflow
+   * cannot be queued the operation is failed, and any new hold refunded, so it
+   * can be resumed or rolled back. Options stored in the metadata replace the
+   * operation's own.
+   * @param {Object} operation - UgcOperation record
+   * @param {Object} params - Restart parameters
+   * @returns {Promise<Object>} { workflowJobs, workflowRun, credits }
+   * @throws {OperationStateError} If another request restarted the operation first
+   */
+  async restartWorkflow(operation, { fromStage, fromStatuses, checkpoints, scriptContent, metadata, regeneration, plan, holdAmount = 0 }) {
+    const { operationId } = operation;
+    const operationMetadata = operation.metadata || {};
+    const options = metadata.options || operationMetadata.options || {};
+
+    const workflowRun = (operationMetadata.workflowRun || 1) + 1;
+    const workflowJobs = jobManager.getWorkflowJobs(operationId, { run: workflowRun, fromStage });
+
+    const principal = {
+      userId: operation.userId,
+      apiKeyId: operation.apiKeyId,
+      organizationId: operation.organizationId
+    };
+    const credits = await operationService.restartOperation(operationId, {
+      fromStatuses,
+      checkpoints,
+      scriptContent,
+      metadata: {
+        ...metadata,
+        queuedAt: new Date().toISOString(),
+        stage: 'queued',
+        workflowRun,
+        workflowJobs
+      }
+    }, holdAmount > 0 ? transaction => creditService.hold(principal, [{ operationId, amount: holdAmount }], { transaction }) : null);
+
+    try {
+      const images = await operationService.getInputImages(operationId);
+
+      await jobManager.addGenerationFlow({
+        operationId,
+        creativeBrief: operation.creativeBrief,
+        script: operationMetadata.providedScript || null,
+        images,
+        options,
+        userId: operation.userId,
+        plan: plan.name,
+        queuePriority: plan.queuePriority,
+        watermark: plan.watermarkRequired || false,
+        ...(regeneration && { regeneration })
+      }, {
+        source: 'api',
+        run: workflowRun,
+        fromStage
+      });
+    } catch (error) {
+      if (credits) {
+        try {
+          await creditService.refund(operationId, 'failed');
+        } catch (refundError) {
+          console.error('Failed to refund operation credits:', refundError.message);
+        }
+      }
+
+      try {
+        await operationService.updateOperationStatus(operationId, 'failed', {
+          errorMessage: error.message,
+          metadata: { stage: 'failed', failedAt: new Date().toISOString() }
+        });
+      } catch (updateError) {
+        console.error('Failed to update operation status:', updateError.message);
+      }
+
+      throw error;
+    }
+
+    return { workflowJobs, workflowRun, credits };
+  }
+
+  /**
+   * Get every take a segment has had, oldest first
+   * @param {Object} operation - UgcOperation record
+   * @param {string} segmentKey - Segment key
+   * @returns {Array<Object>} Takes, each with its version and the script it was generated from
+   */
+  getTakes(operation, segmentKey) {
+    const history = operation.metadata?.segmentVersions?.[segmentKey] || [];
+    const current = this.getCurrentTake(operation, segmentKey);
+    if (!current) {
+      return [...history];
+    }
+
+    const version = this.getVersion(current);
+    return history
+      .filter(take => take.version !== version)
+      .concat({ ...current, version, script: this.getScriptSegments(operation)[segmentKey] })
+      .sort((a, b) => a.version - b.version);
+  }
+
+  /**
+   * Add the current take of a segment to its history, if it is not there yet
+   * @param {Object} operation - UgcOperation record
+   * @param {string} segmentKey - Segment key
+   * @returns {Object} Segment history of the operation, by segment key
+   */
+  archiveCurrentTake(operation, segmentKey) {
+    const segmentVersions = { ...(operation.metadata?.segmentVersions || {}) };
+    const history = segmentVersions[segmentKey] || [];
+    const current = this.getCurrentTake(operation, segmentKey);
+
+    if (current && !history.some(take => take.version === this.getVersion(current))) {
+      segmentVersions[segmentKey] = history.concat({
+        ...current,
+        version: this.getVersion(current),
+        script: this.getScriptSegments(operation)[segmentKey],
+        archivedAt: new Date().toISOString()
+      });
+    }
+
+    return segmentVersions;
+  }
+
+  /**
+   * Get the take of a segment the finished ad is assembled from
+   * @param {Object} operation - UgcOperation record
+   * @param {string} segmentKey - Segment key
+   * @returns {Object|null} Video segment, or null if the segment has no video
+   */
+  getCurrentTake(operation, segmentKey) {
+    const videoSegments = operation.checkpoints?.video_generation?.videoSegments || [];
+    return videoSegments.find(segment => segment.segmentKey === segmentKey) || null;
+  }
+
+  /**
+   * Get the version of a take; takes from the first run have none recorded
+   * @param {Object} take - Video segment
+   * @returns {number} Version number
+   */
+  getVersion(take) {
+    return take.version || 1;
+  }
+
+  /**
+   * Get the operation's own script, with any edits made to it
+   * @param {Object} operation - UgcOperation record
+   * @returns {Object} Script
+   */
+  getWorkingScript(operation) {
+    return operation.scriptContent?.segments ? operation.scriptContent : operation.checkpoints.script_generation.script;
+  }
+
+  /**
+   * Copy a script with the text of one segment replaced
+   * @param {Object} script - Script
+   * @param {string} segmentKey - Segment key
+   * @param {string} text - New script of the segment
+   * @returns {Object} Script
+   */
+  withSegment(script, segmentKey, text) {
+    return { ...script, segments: { ...script.segments, [segmentKey]: text } };
+  }
+
+  /**
+   * Get the script segments the operation's videos are generated from
+   * @param {Object} operation - UgcOperation record
+   * @returns {Object} Script text by segment key
+   */
+  getScriptSegments(operation) {
+    return operation.checkpoints?.script_generation?.script?.segments || operation.scriptContent?.segments || {};
+  }
+}
+
+module.exports = new SegmentVersionService();
@@ -0,0 +1,303 @@
+const { Op } = require('sequelize');
+const models = require('../models');
+const { APIError } = require('../middleware/errorHandler');
+
+// Operations whose provider calls are still being made
+const IN_PROGRESS_STATUSES = ['pending', 'processing'];
+
+// ProviderCall and UgcOperation attribute holding each owner type's ID
+const OWNER_ATTRIBUTES = {
+  organization: 'organizationId',
+  api_key: 'apiKeyId'
+};
+
+/**
+ * Raised when a generation would take an organization or API key over a spend cap
+ */
+class SpendCapExceededError extends APIError {
+  constructor(cap, estimatedCost) {
+    super(
+      `${cap.period === 'daily' ? 'Daily' : 'Monthly'} spend cap of $${cap.limit} for this ${cap.ownerType === 'organization' ? 'organization' : 'API key'} would be exceeded`,
+      402,
+      cap.period === 'daily' ? 'DAILY_SPEND_CAP_EXCEEDED' : 'MONTHLY_SPEND_CAP_EXCEEDED'
+    );
+    this.name = 'SpendCapExceededError';
+    this.cap = cap;
+    this.estimatedCost = estimatedCost;
+  }
+}
+
+/**
+ * Raised when a generation is estimated to cost more than the request's maxCost
+ */
+class MaxCostExceededError extends APIError {
+  constructor(estimatedCost, maxCost) {
+    super(`Estimated cost of $${estimatedCost} is more than the maxCost of $${maxCost}`, 402, 'MAX_COST_EXCEEDED');
+    this.name = 'MaxCostExceededError';
+    this.estimatedCost = estimatedCost;
+    this.maxCost = maxCost;
+  }
+}
+
+/**
+ * Spend Cap Service
+ * Organizations and API keys can cap their daily and monthly provider spend
+ * in USD. Spend is what their recorded provider calls cost, except that
+ * generations still in progress count at their estimated cost until they
+ * finish, so a burst of submissions cannot overshoot a cap. Generations are
+ * refused if their estimated cost would take spend over a cap.
+ */
+class SpendCapService {
+  constructor() {
+    this.SpendCapExceededError = SpendCapExceededError;
+    this.MaxCostExceededError = MaxCostExceededError;
+  }
+
+  /**
+   * List the owners whose spend caps apply to a principal
+   * @param {Object} principal - { userId, apiKeyId, organizationId }
+   * @returns {Array} [{ ownerType, ownerId }]
+   */
+  getOwners({ apiKeyId = null, organizationId = null } = {}) {
+    const owners = [];
+    if (organizationId) owners.push({ ownerType: 'organization', ownerId: organizationId });
+    if (apiKeyId) owners.push({ ownerType: 'api_key', ownerId: apiKeyId });
+    return owners;
+  }
+
+  /**
+   * Get an owner's spend caps
+   * @param {string} ownerType - 'organization' or 'api_key'
+   * @param {string} ownerId - Owner ID
+   * @param {Object} options - Query options
+   * @param {Object} options.transaction - Sequelize transaction (optional)
+   * @returns {Promise<Object>} { dailyLimit, monthlyLimit } with null for no cap
+   */
+  async getCaps(ownerType, ownerId, { transaction } = {}) {
+    const cap = await models.SpendCap.findOne({
+      where: { ownerType, ownerId },
+      transaction
+    });
+
+    return {
+      dailyLimit: this.toLimit(cap?.dailyLimit),
+      monthlyLimit: this.toLimit(cap?.monthlyLimit)
+    };
+  }
+
+  /**
+   * Set an owner's spend caps
+   * @param {string} ownerType - 'organization' or 'api_key'
+   * @param {string} ownerId - Owner ID
+   * @param {Object} caps - Caps to change; null removes a cap, omitted leaves it
+   * @param {number|null} caps.dailyLimit - Daily cap in USD
+   * @param {number|null} caps.monthlyLimit - Monthly cap in USD
+   * @param {string} updatedBy - User making the change
+   * @returns {Promise<Object>} Caps with current spend
+   */
+  async setCaps(ownerType, ownerId, { dailyLimit, monthlyLimit }, updatedBy = null) {
+    await this.assertOwnerExists(ownerType, ownerId);
+
+    const [cap] = await models.SpendCap.findOrCreate({
+      where: { ownerType, ownerId },
+      defaults: { ownerType, ownerId }
+    });
+
+    if (dailyLimit !== undefined) cap.dailyLimit = dailyLimit;
+    if (monthlyLimit !== undefined) cap.monthlyLimit = monthlyLimit;
+    cap.updatedBy = updatedBy;
+    await cap.save();
+
+    return this.getOwnerStatus(ownerType, ownerId);
+  }
+
+  /**
+   * Get an owner's caps with what it has spent against them
+   * @param {string} ownerType - 'organization' or 'api_key'
+   * @param {string} ownerId - Owner ID
+   * @param {Object} options - Query options
+   * @param {Object} options.transaction - Sequelize transaction (optional)
+   * @returns {Promise<Object>} { ownerType, ownerId, daily, monthly }
+   */
+  async getOwnerStatus(ownerType, ownerId, { transaction } = {}) {
+    const now = new Date();
+    const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    const thisMonth = new Date(now.getFullYear(), now.getMonth(), 1);
+
+    const [caps, dailySpend, monthlySpend] = await Promise.all([
+      this.getCaps(ownerType, ownerId, { transaction }),
+      this.getSpend(ownerType, ownerId, today, { transaction }),
+      this.getSpend(ownerType, ownerId, thisMonth, { transaction })
+    ]);
+
+    return {
+      ownerType,
+      ownerId,
+      currency: 'USD',
+      daily: this.buildUsage(dailySpend, caps.dailyLimit, new Date(today.getTime() + 24 * 60 * 60 * 1000)),
+      monthly: this.buildUsage(monthlySpend, caps.monthlyLimit, new Date(now.getFullYear(), now.getMonth() + 1, 1))
+    };
+  }
+
+  /**
+   * Get the spend caps that apply to a principal with what has been spent against them
+   * @param {Object} principal - { userId, apiKeyId, organizationId }
+   * @param {Object} options - Query options
+   * @param {Object} options.transaction - Sequelize transaction (optional)
+   * @returns {Promise<Array>} Status of each owner's caps
+   */
+  async getSpendStatus(principal, { transaction } = {}) {
+    return Promise.all(this.getOwners(principal).map(({ ownerType, ownerId }) =>
+      this.getOwnerStatus(ownerType, ownerId, { transaction })
+    ));
+  }
+
+  /**
+   * Get what an owner has spent since a point in time
+   * In-progress generations count at their estimated cost instead of the calls made so far.
+   * @param {string} ownerType - 'organization' or 'api_key'
+   * @param {string} ownerId - Owner ID
+   * @param {Date} since - Start of the period
+   * @param {Object} options - Query options
+   * @param {Object} options.transaction - Sequelize transaction (optional)
+   * @returns {Promise<number>} Spend in USD
+   */
+  async getSpend(ownerType, ownerId, since, { transaction } = {}) {
+    const attribute = OWNER_ATTRIBUTES[ownerType];
+
+    const inProgress = await models.UgcOperation.findAll({
+      where: { [attribute]: ownerId, status: { [Op.in]: IN_PROGRESS_STATUSES } },
+      attributes: ['operationId', 'metadata'],
+      transaction
+    });
+    const inProgressIds = inProgress.map(operation => operation.operationId);
+
+    const where = { [attribute]: ownerId, created_at: { [Op.gte]: since } };
+    if (inProgressIds.length > 0) {
+      where[Op.or] = [
+        { operationId: null },
+        { operationId: { [Op.notIn]: inProgressIds } }
+      ];
+    }
+
+    const recorded = parseFloat(await models.ProviderCall.sum('cost', { where, transaction })) || 0;
+    const estimated = inProgress.reduce((total, operation) => total + (parseFloat(operation.metadata?.estimatedCost) || 0), 0);
+
+    return Math.round((recorded + estimated) * 1e6) / 1e6;
+  }
+
+  /**
+   * Build the usage entry for one cap
+   * @param {number} spent - Spend in the period
+   * @param {number|null} limit - Cap, or null for no cap
+   * @param {Date} resetTime - When the period ends
+   * @returns {Object} Usage entry
+   */
+  buildUsage(spent, limit, resetTime) {
+    return {
+      spent,
+      limit,
+      remaining: limit === null ? null : Math.max(0, Math.round((limit - spent) * 1e6) / 1e6),
+      resetTime: resetTime.toISOString()
+    };
+  }
+
+  /**
+   * Find the first cap a cost would exceed
+   * @param {Array} spendStatus - Status of each owner's caps
+   * @param {number} estimatedCost - Cost in USD
+   * @returns {Object|null} { ownerType, ownerId, period, limit, spent, remaining } or null if the cost fits
+   */
+  findViolation(spendStatus, estimatedCost) {
+    for (const status of spendStatus) {
+      for (const period of ['daily', 'monthly']) {
+        const usage = status[period];
+        if (usage.limit !== null && usage.spent + estimatedCost > usage.limit) {
+          return { ownerType: status.ownerType, ownerId: status.ownerId, period, ...usage };
+        }
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Refuse a generation that would take a principal over a spend cap
+   * Call inside the transaction that creates the generation's operations, after
+   * reserving quota; each owner's spend is locked until the transaction ends.
+   * @param {Object} principal - { userId, apiKeyId, organizationId }
+   * @param {number} estimatedCost - Estimated cost in USD
+   * @param {Object} options - Options
+   * @param {Object} options.transaction - Transaction the operations are created in
+   * @returns {Promise<void>}
+   * @throws {SpendCapExceededError} If a cap would be exceeded
+   */
+  async enforce(principal, estimatedCost, { transaction = null } = {}) {
+    const owners = this.getOwners(principal);
+    if (owners.length === 0) {
+      return;
+    }
+
+    for (const { ownerType, ownerId } of owners) {
+      await models.sequelize.query('SELECT pg_advisory_xact_lock(hashtext(:key))', {
+        replacements: { key: `spend:${ownerType}:${ownerId}` },
+        transaction
+      });
+    }
+
+    const violation = this.findViolation(await this.getSpendStatus(principal, { transaction }), estimatedCost);
+    if (violation) {
+      throw new SpendCapExceededError(violation, estimatedCost);
+    }
+  }
+
+  /**
+   * Refuse a generation estimated to cost more than the request allows
+   * @param {number} estimatedCost - Estimated cost in USD
+   * @param {number} maxCost - Most the request will pay in USD (no limit if omitted)
+   * @throws {MaxCostExceededError} If the estimate is over maxCost
+   */
+  assertWithinMaxCost(estimatedCost, maxCost) {
+    if (maxCost !== undefined && maxCost !== null && estimatedCost > maxCost) {
+      throw new MaxCostExceededError(estimatedCost, maxCost);
+    }
+  }
+
+  /**
+   * Check that a cap or maxCost value from a request is valid
+   * @param {*} amount - Value from the request
+   * @returns {boolean} True if omitted, null or a positive number
+   */
+  isValidAmount(amount) {
+    return amount === undefined || amount === null || (typeof amount === 'number' && isFinite(amount) && amount > 0);
+  }
+
+  /**
+   * Convert a stored cap to a number
+   * @param {string|number|null} value - Stored DECIMAL value
+   * @returns {number|null} Cap in USD, or null for no cap
+   */
+  toLimit(value) {
+    return value === null || value === undefined ? null : parseFloat(value);
+  }
+
+  /**
+   * Make sure the owner of a cap exists
+   * @param {string} ownerType - 'organization' or 'api_key'
+   * @param {string} ownerId - Owner ID
+   * @throws {Error} If the owner does not exist
+   */
+  async assertOwnerExists(ownerType, ownerId) {
+    if (ownerType === 'organization') {
+      if (!await models.Organization.findByPk(ownerId)) {
+        throw new Error('Organization not found');
+      }
+      return;
+    }
+
+    if (!await models.ApiKey.findByPk(ownerId)) {
+      throw new Error('API key not found');
+    }
+  }
+}
+
+module.exports = new SpendCapService();
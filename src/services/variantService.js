@@ -0,0 +1,297 @@
+const operationService = require('./operationService');
+const quotaService = require('./quotaService');
+const creditService = require('./creditService');
+const providerCostService = require('./providerCostService');
+const spendCapService = require('./spendCapService');
+const jobManager = require('../jobs/jobManager');
+const { APIError } = require('../middleware/errorHandler');
+
+const MIN_VARIANTS = 2;
+const MAX_VARIANTS = 5;
+
+/**
+ * Raised when script variants cannot be picked for video generation
+ */
+class VariantSelectionError extends APIError {
+  constructor(message, statusCode, code) {
+    super(message, statusCode, code);
+    this.name = 'VariantSelectionError';
+  }
+}
+
+/**
+ * Variant Service
+ * A generation with options.variants writes several scripts for the same ad,
+ * each taking a different angle, and stops there. The caller then picks which
+ * variants to A/B test; each one is generated as an operation of its own, a
+ * sibling of the others under the operation that wrote the scripts.
+ */
+class VariantService {
+  constructor() {
+    this.VariantSelectionError = VariantSelectionError;
+  }
+
+  /**
+   * Check the variant options of a generation request
+   * @param {Object} options - Generation options
+   * @returns {string|null} Error message, or null if the options are valid
+   */
+  validateOptions(options = {}) {
+    const { variants } = options;
+
+    if (variants === undefined) {
+      return null;
+    }
+
+    const count = Number(variants);
+    if (!Number.isInteger(count) || count < MIN_VARIANTS || count > MAX_VARIANTS) {
+      return `variants must be a whole number from ${MIN_VARIANTS} to ${MAX_VARIANTS}`;
+    }
+
+    return null;
+  }
+
+  /**
+   * Get the script variants an operation wrote
+   * @param {Object} operation - UgcOperation record
+   * @returns {Array|null} Variants, or null if the operation has none
+   */
+  getVariants(operation) {
+    const variants = operation?.scriptContent?.variants;
+    return Array.isArray(variants) ? variants : null;
+  }
+
+  /**
+   * Check which variants a caller picked
+   * @param {Array} variants - Script variants of the operation
+   * @param {string|Array<string>} selection - 'all', or the variant IDs to generate
+   * @returns {string|null} Error message, or null if the selection is valid
+   */
+  validateSelection(variants, selection) {
+    if (selection === 'all') {
+      return null;
+    }
+
+    if (!Array.isArray(selection) || selection.length === 0) {
+      return "variants must be 'all' or a non-empty array of variant IDs";
+    }
+
+    const known = new Set(variants.map(variant => variant.variantId));
+    const unknown = selection.filter(variantId => !known.has(variantId));
+    if (unknown.length > 0) {
+      return `Unknown variants: ${unknown.join(', ')}`;
+    }
+
+    return null;
+  }
+
+  /**
+   * Build the script a variant's own operation generates its video from
+   * @param {Object} parentScript - Script content of the operation that wrote the variants
+   * @param {Object} variant - Script variant
+   * @returns {Object} Script in the shape the video generation stage reads
+   */
+  buildVariantScript(parentScript, variant) {
+    return {
+      segments: variant.segments,
+      segmentDurations: parentScript.segmentDurations,
+      variant: this.getVariantLabel(variant),
+      timestamp: parentScript.timestamp,
+      model: parentScript.model,
+      wasRefined: !!parentScript.wasRefined
+    };
+  }
+
+  /**
+   * Describe a variant without its script
+   * @param {Object} variant - Script variant
+   * @returns {Object} { variantId, angle, hook, tone, cta }
+   */
+  getVariantLabel({ variantId, angle, hook = null, tone = null, cta = null }) {
+    return { variantId, angle, hook, tone, cta };
+  }
+
+  /**
+   * Get the options each chosen variant is generated with
+   * @param {Object} options - Options of the operation that wrote the variants
+   * @returns {Object} The same options, generating a single script's video
+   */
+  getVariantOptions(options = {}) {
+    const { variants, ...variantOptions } = options;
+    return variantOptions;
+  }
+
+  /**
+   * Queue the chosen variants of an operation for video generation
+   * Quota for every variant is reserved, and credits held, before any is queued.
+   * @param {Object} params - Selection parameters
+   * @param {Object} params.parent - Operation that wrote the variants
+   * @param {string|Array<string>} params.selection - 'all', or the variant IDs to generate
+   * @param {Object} params.plan - Plan of the operation's owner
+   * @returns {Promise<Object>} { operations, credits, estimatedCost }
+   * @throws {VariantSelectionError} If the variants are not ready, the selection is invalid, or a variant is already queued
+   * @throws {QuotaExceededError} If the variants do not fit in the plan quota
+   * @throws {MaxCostExceededError} If a variant is estimated to cost more than its maxCost
+   * @throws {SpendCapExceededError} If the variants would take spend over a cap
+   * @throws {InsufficientCreditsError} If the credit balance cannot cover the variants
+   */
+  async queueVariants({ parent, selection, plan }) {
+    const variants = this.getVariants(parent);
+    if (!variants || parent.status !== 'completed') {
+      throw new VariantSelectionError('Script variants for this operation are not ready', 409, 'VARIANTS_NOT_READY');
+    }
+
+    const selectionError = this.validateSelection(variants, selection);
+    if (selectionError) {
+      throw new VariantSelectionError(selectionError, 400, 'INVALID_VARIANT_SELECTION');
+    }
+
+    // 'all' picks every variant not yet generated; named variants may only be generated once
+    const existing = await operationService.getVariantOperations(parent.id);
+    const queued = new Set(existing.map(operation => operation.metadata?.variant?.variantId));
+    const selected = selection === 'all'
+      ? variants.filter(variant => !queued.has(variant.variantId))
+      : variants.filter(variant => selection.includes(variant.variantId));
+
+    const alreadyQueued = selection === 'all'
+      ? (selected.length === 0 ? variants : [])
+      : selected.filter(variant => queued.has(variant.variantId));
+    if (alreadyQueued.length > 0) {
+      throw new VariantSelectionError(
+        `Variants already queued for video generation: ${alreadyQueued.map(variant => variant.variantId).join(', ')}`,
+        409,
+        'VARIANT_ALREADY_QUEUED'
+      );
+    }
+
+    const metadata = parent.metadata || {};
+    const options = this.getVariantOptions(metadata.options);
+
+    // The scripts are written, so each variant only pays for its video
+    const { breakdown } = providerCostService.estimateGenerationCost({ creativeBrief: parent.creativeBrief, options });
+    const estimatedCost = providerCostService.roundCost(breakdown.videoGeneration);
+    spendCapService.assertWithinMaxCost(estimatedCost, options.maxCost);
+
+    const images = await operationService.getInputImages(parent.operationId);
+    const checkpoints = parent.checkpoints || {};
+    const principal = {
+      userId: parent.userId,
+      apiKeyId: parent.apiKeyId,
+      organizationId: parent.organizationId
+    };
+
+    const { operations, credits } = await quotaService.reserve(principal, selected.length, async (transaction) => {
+      await spendCapService.enforce(principal, providerCostService.roundCost(estimatedCost * selected.length), { transaction });
+
+      const created = [];
+      for (const variant of selected) {
+        const script = this.buildVariantScript(parent.scriptContent, variant);
+
+        created.push(await operationService.createOperation({
+          operationId: `${parent.operationId}_${variant.variantId.replace(/-/g, '_')}`,
+          creativeBrief: parent.creativeBrief,
+          apiKeyId: parent.apiKeyId,
+          userId: parent.userId,
+          organizationId: parent.organizationId,
+          parentOperationId: parent.id,
+          inputImages: images,
+          scriptContent: script,
+          // Each variant starts at video generation from the parent's image analysis and its own script
+          checkpoints: {
+            image_analysis: checkpoints.image_analysis,
+            script_generation: { script, completedAt: new Date().toISOString() }
+          },
+          metadata: {
+            parentOperationId: parent.operationId,
+            variant: this.getVariantLabel(variant),
+            imageCount: metadata.imageCount,
+            hasProvidedScript: !!metadata.hasProvidedScript,
+            options,
+            plan: plan.name,
+            watermarkRequired: plan.watermarkRequired,
+            estimatedCost
+          },
+          transaction
+        }));
+      }
+
+      const held = await creditService.hold(principal, created.map(operation => ({
+        operationId: operation.operationId,
+        amount: creditService.estimateCost(options)
+      })), { transaction });
+
+      return { operations: created, credits: held };
+    }, { plan });
+
+    const results = [];
+    for (const operation of operations) {
+      results.push(await this.queueVariantOperation(operation, { images, options, plan }));
+    }
+
+    return { operations: results, credits, estimatedCost };
+  }
+
+  /**
+   * Queue video generation and post-processing for one variant operation
+   * A variant that cannot be queued is failed with its hold refunded, and can be resumed.
+   * @param {Object} operation - Variant operation
+   * @param {Object} params - Workflow parameters
+   * @param {Array} params.images - Uploaded images, as base64
+   * @param {Object} params.options - Generation options
+   * @param {Object} params.plan - Plan of the operation's owner
+   * @returns {Promise<Object>} { operationId, variantId, angle, status }
+   */
+  async queueVariantOperation(operation, { images, options, plan }) {
+    const { operationId } = operation;
+    const { variantId, angle } = operation.metadata.variant;
+
+    try {
+      const workflowJobs = jobManager.getWorkflowJobs(operationId, { fromStage: 'video_generation' });
+      await operationService.updateOperationStatus(operationId, 'pending', {
+        metadata: {
+          queuedAt: new Date().toISOString(),
+          stage: 'queued',
+          workflowJobs
+        }
+      });
+
+      await jobManager.addGenerationFlow({
+        operationId,
+        creativeBrief: operation.creativeBrief,
+        script: null,
+        images,
+        options,
+        userId: operation.userId,
+        plan: plan.name,
+        queuePriority: plan.queuePriority,
+        watermark: plan.watermarkRequired || false
+      }, {
+        source: 'api',
+        fromStage: 'video_generation'
+      });
+
+      return { operationId, variantId, angle, status: 'queued' };
+    } catch (error) {
+      console.error(`Failed to queue variant operation ${operationId}:`, error);
+
+      try {
+        await operationService.updateOperationStatus(operationId, 'failed', {
+          errorMessage: error.message,
+          metadata: { stage: 'failed', failedAt: new Date().toISOString() }
+        });
+      } catch (updateError) {
+        console.error('Failed to update operation status:', updateError.message);
+      }
+
+      try {
+        await creditService.refund(operationId, 'failed');
+      } catch (refundError) {
+        console.error('Failed to refund operation credits:', refundError.message);
+      }
+
+      return { operationId, variantId, angle, status: 'failed', error: error.message };
+    }
+  }
+}
+
+module.exports = new VariantService();
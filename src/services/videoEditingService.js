@@ -73,6 +73,37 @@ class VideoEditingService {
     });
   }
 
+  /**
+   * Extract the final frame of a video as a PNG image
+   * @param {string} inputPath - Path to input video
+   * @param {string} outputPath - Optional output path
+   * @returns {Promise<string>} Path to the frame image
+   */
+  async extractLastFrame(inputPath, outputPath = null) {
+    if (!inputPath) {
+      throw new Error('Input video path is required');
+    }
+
+    const outputFile = outputPath || path.join(this.tempDir, `last_frame_${uuidv4()}.png`);
+
+    return new Promise((resolve, reject) => {
+      ffmpeg(inputPath)
+        // Decode only the last half second, overwriting the image with each frame so the final one is kept
+        .inputOptions(['-sseof', '-0.5'])
+        .addOption('-update', '1')
+        .output(outputFile)
+        .on('end', () => {
+          console.log(`Last frame extracted successfully: ${outputFile}`);
+          resolve(outputFile);
+        })
+        .on('error', (error) => {
+          console.error('Last frame extraction failed:', error);
+          reject(new Error(`Failed to extract last frame: ${error.message}`));
+        })
+        .run();
+    });
+  }
+
   /**
    * Merge multiple video segments into one
    * @param {Array<string>} videoPaths - Array of video file paths
@@ -614,6 +645,90 @@ class VideoEditingService {
     });
   }
 
+  /**
+   * Burn timed captions into a video in a single pass
+   * @param {string} inputPath - Path to input video
+   * @param {Array<Object>} captions - Captions as { text, startTime, duration, position }
+   * @param {Object} options - Caption style
+   * @param {number} options.fontSize - Font size
+   * @param {string} options.fontColor - Font color
+   * @param {boolean} options.box - Draw a translucent box behind the text
+   * @param {string} outputPath - Optional output path
+   * @returns {Promise<string>} Path to captioned video
+   */
+  async addCaptions(inputPath, captions, options = {}, outputPath = null) {
+    if (!inputPath) {
+      throw new Error('Input video path is required');
+    }
+
+    if (!Array.isArray(captions) || captions.length === 0) {
+      throw new Error('At least one caption is required');
+    }
+
+    const {
+      fontSize = 36,
+      fontColor = 'white',
+      box = true
+    } = options;
+
+    const outputFile = outputPath || path.join(this.outputDir, `captioned_${uuidv4()}.mp4`);
+
+    const positions = {
+      top: 'h*0.08',
+      center: '(h-text_h)/2',
+      bottom: 'h-text_h-h*0.08'
+    };
+
+    const filters = captions.map(({ text, startTime = 0, duration = null, position = 'bottom' }) => {
+      let filter = `drawtext=text='${this.escapeDrawText(text)}':fontcolor=${fontColor}:fontsize=${fontSize}` +
+        `:expansion=none:x=(w-text_w)/2:y=${positions[position] || positions.bottom}`;
+
+      if (box) {
+        filter += ':box=1:boxcolor=black@0.5:boxborderw=12';
+      }
+
+      if (duration) {
+        filter += `:enable='between(t,${startTime},${startTime + duration})'`;
+      } else if (startTime > 0) {
+        filter += `:enable='gte(t,${startTime})'`;
+      }
+
+      return filter;
+    });
+
+    return new Promise((resolve, reject) => {
+      ffmpeg(inputPath)
+        .videoFilters(filters.join(','))
+        .output(outputFile)
+        .videoCodec('libx264')
+        .audioCodec('aac')
+        .on('end', () => {
+          console.log(`Captions added successfully: ${outputFile}`);
+          resolve(outputFile);
+        })
+        .on('error', (error) => {
+          console.error('Caption addition failed:', error);
+          reject(new Error(`Failed to add captions: ${error.message}`));
+        })
+        .run();
+    });
+  }
+
+  /**
+   * Escape text for a quoted FFmpeg drawtext value
+   * The quotes protect the text from the filtergraph parser, but colons still
+   * split drawtext options, so they are escaped; quotes and backslashes cannot
+   * appear inside the value and are replaced or dropped.
+   * @param {string} text - Text to draw
+   * @returns {string} Escaped text
+   */
+  escapeDrawText(text) {
+    return String(text)
+      .replace(/\\/g, '')
+      .replace(/'/g, '\u2019')
+      .replace(/:/g, '\\:');
+  }
+
   /**
    * Add subtitles from SRT file
    * @param {string} inputPath - Path to input video
@@ -668,6 +783,8 @@ class VideoEditingService {
    * @param {Object} transitionOptions - Transition options
    * @param {string} transitionOptions.type - Transition type (fade, dissolve, slide, wipe)
    * @param {number} transitionOptions.duration - Transition duration in seconds
+   * @param {Array<number>} transitionOptions.segmentDurations - Duration of each video, to time each transition at its end
+   * @param {boolean} transitionOptions.audio - Crossfade the audio of every video as well
    * @param {string} outputPath - Optional output path
    * @returns {Promise<string>} Path to video with transitions
    */
@@ -678,7 +795,9 @@ class VideoEditingService {
 
     const {
       type = 'fade',
-      duration = 1
+      duration = 1,
+      segmentDurations = [],
+      audio = false
     } = transitionOptions;
 
     const outputFile = outputPath || path.join(this.outputDir, `transitions_${uuidv4()}.mp4`);
@@ -692,11 +811,25 @@ class VideoEditingService {
       });
 
       // Build complex filter for transitions
-      const filterComplex = this.buildTransitionFilter(videoPaths.length, type, duration);
+      const filterComplex = this.buildTransitionFilter(videoPaths.length, type, duration, segmentDurations);
+
+      if (audio) {
+        for (let i = 0; i < videoPaths.length - 1; i++) {
+          const input1 = i === 0 ? `[${i}:a]` : `[a${i}]`;
+          const output = i === videoPaths.length - 2 ? '[finalaudio]' : `[a${i + 1}]`;
+          filterComplex.push(`${input1}[${i + 1}:a]acrossfade=d=${duration}${output}`);
+        }
+      }
 
       command
         .complexFilter(filterComplex)
-        .map('[final]')
+        .map('[final]');
+
+      if (audio) {
+        command.map('[finalaudio]');
+      }
+
+      command
         .output(outputFile)
         .videoCodec('libx264')
         .audioCodec('aac')
@@ -714,35 +847,33 @@ class VideoEditingService {
 
   /**
    * Build transition filter for FFmpeg
+   * Each transition starts where the videos joined so far end, less the
+   * transitions already applied; without segment durations it starts at 0.
    * @param {number} videoCount - Number of videos
    * @param {string} type - Transition type
    * @param {number} duration - Transition duration
+   * @param {Array<number>} segmentDurations - Duration of each video in seconds
    * @returns {Array} Filter complex array
    */
-  buildTransitionFilter(videoCount, type, duration) {
+  buildTransitionFilter(videoCount, type, duration, segmentDurations = []) {
     const filters = [];
-    
+    const transitions = {
+      fade: 'fade',
+      dissolve: 'dissolve',
+      slide: 'slideleft',
+      wipe: 'wiperight'
+    };
+    let joinedDuration = 0;
+
     for (let i = 0; i < videoCount - 1; i++) {
       const input1 = i === 0 ? `[${i}:v]` : `[v${i}]`;
       const input2 = `[${i + 1}:v]`;
       const output = i === videoCount - 2 ? '[final]' : `[v${i + 1}]`;
 
-      switch (type) {
-        case 'fade':
-          filters.push(`${input1}${input2}xfade=transition=fade:duration=${duration}:offset=0${output}`);
-          break;
-        case 'dissolve':
-          filters.push(`${input1}${input2}xfade=transition=dissolve:duration=${duration}:offset=0${output}`);
-          break;
-        case 'slide':
-          filters.push(`${input1}${input2}xfade=transition=slideleft:duration=${duration}:offset=0${output}`);
-          break;
-        case 'wipe':
-          filters.push(`${input1}${input2}xfade=transition=wiperight:duration=${duration}:offset=0${output}`);
-          break;
-        default:
-          filters.push(`${input1}${input2}xfade=transition=fade:duration=${duration}:offset=0${output}`);
-      }
+      joinedDuration += segmentDurations[i] || 0;
+      const offset = segmentDurations.length > 0 ? Math.max(0, joinedDuration - (i + 1) * duration) : 0;
+
+      filters.push(`${input1}${input2}xfade=transition=${transitions[type] || 'fade'}:duration=${duration}:offset=${offset}${output}`);
     }
 
     return filters;
@@ -1,5 +1,6 @@
 const { GoogleGenAI } = require('@google/genai');
 const config = require('../utils/config');
+const providerCostService = require('./providerCostService');
 const fs = require('fs').promises;
 const path = require('path');
 
@@ -30,6 +31,8 @@ class VideoGenerationService {
    * @param {string} options.negativePrompt - What to avoid in the video
    * @param {string} options.personGeneration - Person generation control ('allow_adult', 'allow_all', 'dont_allow')
    * @param {boolean} options.useFastModel - Use Veo 3 Fast for quicker generation
+   * @param {number} options.durationSeconds - Length of the video in seconds (model default if not set)
+   * @param {Object} options.usageContext - Operation the provider calls are recorded against
    * @returns {Promise<Object>} Generated video result
    */
   async generateVideo(prompt, options = {}) {
@@ -47,7 +50,9 @@ class VideoGenerationService {
       aspectRatio = '16:9',
       negativePrompt,
       personGeneration = 'allow_adult',
-      useFastModel = false
+      useFastModel = false,
+      durationSeconds,
+      usageContext = null
     } = options;
 
     // Validate image if provided
@@ -65,19 +70,36 @@ class VideoGenerationService {
       imageMimeType,
       aspectRatio,
       negativePrompt,
-      personGeneration
+      personGeneration,
+      durationSeconds
     });
 
     let lastError;
     for (let attempt = 1; attempt <= this.maxRetries; attempt++) {
+      const startTime = Date.now();
+      const call = {
+        context: usageContext,
+        provider: 'veo',
+        service: 'video_generation',
+        model: modelToUse
+      };
+
       try {
         const operation = await this.startVideoGeneration(modelToUse, requestConfig);
         const completedOperation = await this.pollForCompletion(operation);
         const videoResult = await this.processVideoResult(completedOperation, prompt);
+
+        // Veo is charged per second of generated video
+        await providerCostService.recordCall({
+          ...call,
+          outputUnits: videoResult.duration,
+          latencyMs: Date.now() - startTime
+        });
         
         return videoResult;
       } catch (error) {
         lastError = error;
+        await providerCostService.recordCall({ ...call, latencyMs: Date.now() - startTime, error });
 
         if (attempt < this.maxRetries && this.isRetryableError(error)) {
           const delay = this.retryDelay * Math.pow(2, attempt - 1);
@@ -169,7 +191,8 @@ class VideoGenerationService {
       imageMimeType,
       aspectRatio,
       negativePrompt,
-      personGeneration
+      personGeneration,
+      durationSeconds
     } = options;
 
     const config = {
@@ -185,7 +208,7 @@ class VideoGenerationService {
     }
 
     // Add configuration options
-    if (aspectRatio || negativePrompt || personGeneration) {
+    if (aspectRatio || negativePrompt || personGeneration || durationSeconds) {
       config.config = {};
       
       if (aspectRatio) {
@@ -199,6 +222,10 @@ class VideoGenerationService {
       if (personGeneration) {
         config.config.personGeneration = personGeneration;
       }
+
+      if (durationSeconds) {
+        config.config.durationSeconds = durationSeconds;
+      }
     }
 
     return config;
@@ -345,10 +372,11 @@ class VideoGenerationService {
    * Creates optimized prompts for UGC ad segments
    * @param {string} creativeBrief - Original creative brief
    * @param {Array} imageAnalysis - Analysis results from images
-   * @param {Object} scriptSegments - Generated script segments
+   * @param {Object} scriptSegments - Generated script segments, keyed segment-1 to segment-N
+   * @param {Array<number>} segmentDurations - Optional length of each segment in seconds
    * @returns {Array} Optimized prompts for video generation
    */
-  createUGCPrompts(creativeBrief, imageAnalysis, scriptSegments) {
+  createUGCPrompts(creativeBrief, imageAnalysis, scriptSegments, segmentDurations = []) {
     if (!creativeBrief || !scriptSegments) {
       throw new Error('Creative brief and script segments are required');
     }
@@ -358,19 +386,27 @@ class VideoGenerationService {
     // Extract key elements from image analysis
     const visualElements = this.extractVisualElements(imageAnalysis);
     
-    // Create prompts for each script segment
-    Object.keys(scriptSegments).forEach((segmentKey, index) => {
+    // Create prompts for each script segment, in segment number order
+    const segmentNumber = key => parseInt(key.match(/(\d+)$/)?.[1]) || 0;
+    const segmentKeys = Object.keys(scriptSegments).sort((a, b) => segmentNumber(a) - segmentNumber(b));
+
+    segmentKeys.forEach((segmentKey, index) => {
       const segment = scriptSegments[segmentKey];
       const prompt = this.buildUGCPrompt(segment, visualElements, creativeBrief, index);
+      const options = {
+        aspectRatio: '16:9',
+        personGeneration: 'allow_adult',
+        negativePrompt: 'low quality, blurry, distorted, watermark, logo, text overlay'
+      };
+
+      if (segmentDurations[index]) {
+        options.durationSeconds = segmentDurations[index];
+      }
       
       prompts.push({
         segmentKey,
         prompt,
-        options: {
-          aspectRatio: '16:9',
-          personGeneration: 'allow_adult',
-          negativePrompt: 'low quality, blurry, distorted, watermark, logo, text overlay'
-        }
+        options
       });
     });
 
@@ -422,7 +458,7 @@ class VideoGenerationService {
 
   /**
    * Builds UGC-optimized prompt for video generation
-   * @param {Object} segment - Script segment
+   * @param {Object|string} segment - Script segment, or its description as written by script generation
    * @param {Object} visualElements - Extracted visual elements
    * @param {string} creativeBrief - Original creative brief
    * @param {number} index - Segment index
@@ -443,8 +479,9 @@ class VideoGenerationService {
     prompt += `${selectedCamera} of `;
 
     // Add main action from script
-    if (segment.action) {
-      prompt += `${segment.action}. `;
+    const action = typeof segment === 'string' ? segment.trim() : segment.action;
+    if (action) {
+      prompt += `${action.replace(/\.$/, '')}. `;
     }
 
     // Add dialogue if present
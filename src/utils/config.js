@@ -25,6 +25,7 @@ class Config {
       'KIE_AI_API_KEY': '', // Legacy - not used
       'MAX_IMAGES': '4',
       'MAX_FILE_SIZE': '10485760', // 10MB in bytes
+      'TRUST_PROXY': 'false', // Proxies in front of the API, such as nginx, whose X-Forwarded-For is trusted
       'VIDEO_POLL_INTERVAL': '60000', // 60 seconds
       'VIDEO_TIMEOUT': '1800000', // 30 minutes
       'OPENAI_MODEL': 'gpt-5',
@@ -40,6 +41,15 @@ class Config {
       'DEFAULT_RATE_LIMIT_WINDOW': '900000', // 15 minutes in ms
       'DEFAULT_RATE_LIMIT_MAX': '100', // 100 requests per window
       'DEFAULT_DAILY_RATE_LIMIT': '1000', // 1000 requests per day
+      'RATE_LIMIT_COSTS': '',
+      'API_KEY_ROTATION_GRACE_PERIOD': '86400000', // 24 hours in ms // JSON object overriding route costs in rate limit units
+      'CREDITS_ENABLED': 'false',
+      'PROVIDER_PRICES': '', // JSON object overriding provider prices by model
+      'IDEMPOTENCY_KEY_TTL': '86400', // 24 hours in seconds
+      'SCRIPT_APPROVAL_TTL': '259200', // 72 hours in seconds
+      'MUSIC_LIBRARY_DIR': 'assets/music', // Background music tracks, as <track>.mp3
+      'WATERMARK_PATH': '', // Watermark image for plans that require one; WATERMARK_TEXT is drawn without it
+      'WATERMARK_TEXT': 'Made with UGC Ad Creator',
       'JWT_SECRET': '', // Will be auto-generated if not provided
       'JWT_EXPIRES_IN': '1h',
       'REFRESH_TOKEN_EXPIRES_IN': '7d',
@@ -113,6 +123,57 @@ class Config {
     if (!validEnvironments.includes(nodeEnv)) {
       throw new Error(`NODE_ENV must be one of: ${validEnvironments.join(', ')}`);
     }
+
+    this.getRateLimitCosts();
+    this.getProviderPrices();
+  }
+
+  /**
+   * Gets route cost overrides for rate limiting
+   * @returns {object} Route costs keyed by "METHOD /path"
+   * @throws {Error} If RATE_LIMIT_COSTS is not a JSON object
+   */
+  getRateLimitCosts() {
+    const value = this.get('RATE_LIMIT_COSTS');
+    if (!value) {
+      return {};
+    }
+
+    let costs;
+    try {
+      costs = JSON.parse(value);
+    } catch (error) {
+      throw new Error('RATE_LIMIT_COSTS must be valid JSON');
+    }
+
+    if (!costs || typeof costs !== 'object' || Array.isArray(costs)) {
+      throw new Error('RATE_LIMIT_COSTS must be a JSON object keyed by "METHOD /path"');
+    }
+    return costs;
+  }
+
+  /**
+   * Gets provider price overrides for cost accounting
+   * @returns {object} Prices keyed by model
+   * @throws {Error} If PROVIDER_PRICES is not a JSON object
+   */
+  getProviderPrices() {
+    const value = this.get('PROVIDER_PRICES');
+    if (!value) {
+      return {};
+    }
+
+    let prices;
+    try {
+      prices = JSON.parse(value);
+    } catch (error) {
+      throw new Error('PROVIDER_PRICES must be valid JSON');
+    }
+
+    if (!prices || typeof prices !== 'object' || Array.isArray(prices)) {
+      throw new Error('PROVIDER_PRICES must be a JSON object keyed by model');
+    }
+    return prices;
   }
 
   /**
@@ -183,10 +244,27 @@ class Config {
       maxImages: this.getInt('MAX_IMAGES'),
       maxFileSize: this.getInt('MAX_FILE_SIZE'),
       videoPollInterval: this.getInt('VIDEO_POLL_INTERVAL'),
-      videoTimeout: this.getInt('VIDEO_TIMEOUT')
+      videoTimeout: this.getInt('VIDEO_TIMEOUT'),
+      trustProxy: this.getTrustProxy()
     };
   }
 
+  /**
+   * Gets the Express trust proxy setting
+   * TRUST_PROXY is true or false, a number of proxy hops, or a comma separated
+   * list of proxy addresses and subnets such as loopback,172.16.0.0/12.
+   * @returns {boolean|number|string} Value for app.set('trust proxy')
+   */
+  getTrustProxy() {
+    const value = this.get('TRUST_PROXY').trim();
+
+    if (value === 'true' || value === 'false') {
+      return value === 'true';
+    }
+
+    return /^\d+$/.test(value) ? parseInt(value) : value;
+  }
+
   /**
    * Gets cache configuration
    * @returns {object} Cache configuration object
@@ -224,7 +302,19 @@ class Config {
         windowMs: this.getInt('DEFAULT_RATE_LIMIT_WINDOW'),
         maxRequests: this.getInt('DEFAULT_RATE_LIMIT_MAX'),
         maxDailyRequests: this.getInt('DEFAULT_DAILY_RATE_LIMIT')
-      }
+      },
+      routeCosts: this.getRateLimitCosts(),
+      keyRotationGracePeriodMs: this.getInt('API_KEY_ROTATION_GRACE_PERIOD')
+    };
+  }
+
+  /**
+   * Gets credit billing configuration
+   * @returns {object} Credit billing configuration object
+   */
+  getCreditsConfig() {
+    return {
+      enabled: this.getBool('CREDITS_ENABLED')
     };
   }
 
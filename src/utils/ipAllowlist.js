@@ -0,0 +1,92 @@
+const net = require('net');
+
+/**
+ * Helpers for per-key IP allowlists
+ * Entries are CIDR ranges (e.g. "203.0.113.0/24", "2001:db8::/32") or bare
+ * addresses, which match that single address.
+ */
+
+/**
+ * Parse an allowlist entry
+ * @param {string} entry - CIDR range or bare IP address
+ * @returns {Object|null} { address, prefix, type } or null if invalid
+ */
+function parseCidr(entry) {
+  if (typeof entry !== 'string') {
+    return null;
+  }
+
+  const [address, prefixPart, ...rest] = entry.trim().split('/');
+  const version = net.isIP(address);
+  if (!version || rest.length > 0) {
+    return null;
+  }
+
+  if (prefixPart !== undefined && !/^\d+$/.test(prefixPart)) {
+    return null;
+  }
+
+  const maxPrefix = version === 4 ? 32 : 128;
+  const prefix = prefixPart === undefined ? maxPrefix : Number(prefixPart);
+  if (prefix > maxPrefix) {
+    return null;
+  }
+
+  return { address, prefix, type: version === 4 ? 'ipv4' : 'ipv6' };
+}
+
+/**
+ * Find the entries of an allowlist that are not valid CIDR ranges
+ * @param {Array} entries - Allowlist entries
+ * @returns {Array} Invalid entries
+ */
+function findInvalidCidrs(entries) {
+  return entries.filter(entry => !parseCidr(entry));
+}
+
+/**
+ * Normalize a request IP, unwrapping IPv4-mapped IPv6 addresses
+ * @param {string} ip - Request IP address
+ * @returns {string} Normalized address
+ */
+function normalizeIp(ip) {
+  if (typeof ip === 'string' && ip.startsWith('::ffff:') && net.isIPv4(ip.slice(7))) {
+    return ip.slice(7);
+  }
+  return ip;
+}
+
+/**
+ * Check whether an IP address falls inside any allowlist entry
+ * An empty allowlist allows every address.
+ * @param {string} ip - Request IP address
+ * @param {Array} entries - Allowlist entries
+ * @returns {boolean} Whether the address is allowed
+ */
+function isIpAllowed(ip, entries = []) {
+  if (!entries || entries.length === 0) {
+    return true;
+  }
+
+  const address = normalizeIp(ip);
+  const version = net.isIP(address);
+  if (!version) {
+    return false;
+  }
+
+  const blockList = new net.BlockList();
+  for (const entry of entries) {
+    const range = parseCidr(entry);
+    if (range) {
+      blockList.addSubnet(range.address, range.prefix, range.type);
+    }
+  }
+
+  return blockList.check(address, version === 4 ? 'ipv4' : 'ipv6');
+}
+
+module.exports = {
+  parseCidr,
+  findInvalidCidrs,
+  isIpAllowed
+};
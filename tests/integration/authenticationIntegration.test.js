@@ -6,12 +6,8 @@ describe('Authentication Integration Tests', () => {
   let testApiKey;
 
   beforeAll(async () => {
-    // Clear existing keys and create a test key
-    apiKeyService.apiKeys.clear();
-    apiKeyService.usageStats.clear();
-    apiKeyService.rateLimits.clear();
-
-    testApiKey = apiKeyService.generateApiKey({
+    // Create a test key
+    testApiKey = await apiKeyService.generateApiKey({
       name: 'Integration Test Key',
       description: 'Key for integration testing',
       permissions: ['ugc:generate', 'cache:read', 'cache:write', 'analytics:read'],
@@ -103,7 +99,7 @@ describe('Authentication Integration Tests', () => {
 
     it('should deny access to analytics without analytics permission', async () => {
       // Create a key without analytics permission
-      const limitedKey = apiKeyService.generateApiKey({
+      const limitedKey = await apiKeyService.generateApiKey({
         name: 'Limited Key',
         permissions: ['ugc:generate']
       });
@@ -121,7 +117,7 @@ describe('Authentication Integration Tests', () => {
   describe('Rate Limiting', () => {
     it('should enforce rate limits', async () => {
       // Create a key with very low rate limit for testing
-      const rateLimitedKey = apiKeyService.generateApiKey({
+      const rateLimitedKey = await apiKeyService.generateApiKey({
         name: 'Rate Limited Key',
         permissions: ['ugc:generate'],
         rateLimit: {
@@ -172,7 +168,7 @@ describe('Authentication Integration Tests', () => {
 
   describe('Usage Tracking', () => {
     it('should track API usage', async () => {
-      const trackingKey = apiKeyService.generateApiKey({
+      const trackingKey = await apiKeyService.generateApiKey({
         name: 'Tracking Test Key',
         permissions: ['ugc:generate', 'analytics:read']
       });
@@ -198,7 +194,7 @@ describe('Authentication Integration Tests', () => {
     });
 
     it('should track errors separately', async () => {
-      const errorTrackingKey = apiKeyService.generateApiKey({
+      const errorTrackingKey = await apiKeyService.generateApiKey({
         name: 'Error Tracking Key',
         permissions: ['analytics:read']
       });
@@ -243,7 +239,7 @@ describe('Authentication Integration Tests', () => {
     });
 
     it('should deactivate and reactivate API keys', async () => {
-      const managementKey = apiKeyService.generateApiKey({
+      const managementKey = await apiKeyService.generateApiKey({
         name: 'Management Test Key',
         permissions: ['analytics:read']
       });
@@ -277,7 +273,7 @@ describe('Authentication Integration Tests', () => {
         .get('/api/v1/auth/me')
         .set('X-API-Key', managementKey.key);
 
-      expect(useReactivatedResponse.status).toBe(404); // Key not found in stats, but auth should work
+      expect(useReactivatedResponse.status).toBe(200);
     });
   });
 
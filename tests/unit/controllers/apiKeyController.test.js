@@ -10,6 +10,8 @@ jest.mock('../../../src/services/apiKeyService', () => ({
   getUsageStats: jest.fn(),
   deactivateApiKey: jest.fn(),
   reactivateApiKey: jest.fn(),
+  rotateApiKey: jest.fn(),
+  getMaxGracePeriodMs: jest.fn(() => 30 * 24 * 60 * 60 * 1000),
   getAnalytics: jest.fn()
 }));
 
@@ -26,6 +28,7 @@ describe('ApiKeyController', () => {
     app.get('/api/v1/auth/keys/:keyId', apiKeyController.getApiKeyDetails.bind(apiKeyController));
     app.post('/api/v1/auth/keys/:keyId/deactivate', apiKeyController.deactivateApiKey.bind(apiKeyController));
     app.post('/api/v1/auth/keys/:keyId/reactivate', apiKeyController.reactivateApiKey.bind(apiKeyController));
+    app.post('/api/v1/auth/keys/:keyId/rotate', apiKeyController.rotateApiKey.bind(apiKeyController));
     app.get('/api/v1/auth/analytics', apiKeyController.getAnalytics.bind(apiKeyController));
     app.get('/api/v1/auth/me', (req, res, next) => {
       req.apiKey = { id: 'test-key-id' };
@@ -110,6 +113,41 @@ describe('ApiKeyController', () => {
       expect(response.body.error.message).toContain('invalid:permission');
     });
 
+    it('should pass expiry and IP allowlist to the service', async () => {
+      const expiresAt = new Date(Date.now() + 86400000).toISOString();
+      apiKeyService.generateApiKey.mockResolvedValue({ id: 'key-id', key: 'ugc_test_key', expiresAt, allowedIps: ['10.0.0.0/8'] });
+
+      const response = await request(app)
+        .post('/api/v1/auth/keys')
+        .send({ name: 'Test Key', expiresAt, allowedIps: ['10.0.0.0/8'] });
+
+      expect(response.status).toBe(201);
+      expect(apiKeyService.generateApiKey).toHaveBeenCalledWith(expect.objectContaining({
+        expiresAt: new Date(expiresAt),
+        allowedIps: ['10.0.0.0/8']
+      }));
+      expect(response.body.data.allowedIps).toEqual(['10.0.0.0/8']);
+    });
+
+    it('should reject an expiry in the past', async () => {
+      const response = await request(app)
+        .post('/api/v1/auth/keys')
+        .send({ name: 'Test Key', expiresAt: '2020-01-01T00:00:00Z' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error.code).toBe('INVALID_EXPIRES_AT');
+    });
+
+    it('should reject invalid CIDR ranges', async () => {
+      const response = await request(app)
+        .post('/api/v1/auth/keys')
+        .send({ name: 'Test Key', allowedIps: ['10.0.0.0/8', '300.1.1.1/24'] });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error.code).toBe('INVALID_ALLOWED_IPS');
+      expect(response.body.error.message).toContain('300.1.1.1/24');
+    });
+
     it('should handle service errors', async () => {
       apiKeyService.generateApiKey.mockImplementation(() => {
         throw new Error('Service error');
@@ -303,6 +341,59 @@ describe('ApiKeyController', () => {
     });
   });
 
+  describe('POST /api/v1/auth/keys/:keyId/rotate', () => {
+    it('should return the successor key', async () => {
+      apiKeyService.rotateApiKey.mockResolvedValue({
+        id: 'new-key-id',
+        key: 'ugc_new_key',
+        name: 'Test Key',
+        isActive: true,
+        rotatedFrom: { id: 'key-id', graceExpiresAt: new Date() }
+      });
+
+      const response = await request(app)
+        .post('/api/v1/auth/keys/key-id/rotate')
+        .send({ gracePeriodMs: 3600000 });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.key).toBe('ugc_new_key');
+      expect(response.body.data.rotatedFrom.id).toBe('key-id');
+      expect(apiKeyService.rotateApiKey).toHaveBeenCalledWith('key-id', {
+        gracePeriodMs: 3600000,
+        expiresAt: null,
+        allowedIps: undefined
+      });
+    });
+
+    it('should reject an invalid grace period', async () => {
+      const response = await request(app)
+        .post('/api/v1/auth/keys/key-id/rotate')
+        .send({ gracePeriodMs: -5 });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error.code).toBe('INVALID_GRACE_PERIOD');
+      expect(apiKeyService.rotateApiKey).not.toHaveBeenCalled();
+    });
+
+    it('should return 404 for unknown keys', async () => {
+      apiKeyService.rotateApiKey.mockResolvedValue(null);
+
+      const response = await request(app).post('/api/v1/auth/keys/missing/rotate').send({});
+
+      expect(response.status).toBe(404);
+      expect(response.body.error.code).toBe('KEY_NOT_FOUND');
+    });
+
+    it('should return 409 when the key was already rotated', async () => {
+      apiKeyService.rotateApiKey.mockRejectedValue(new Error('API key has already been rotated'));
+
+      const response = await request(app).post('/api/v1/auth/keys/key-id/rotate').send({});
+
+      expect(response.status).toBe(409);
+      expect(response.body.error.code).toBe('KEY_ALREADY_ROTATED');
+    });
+  });
+
   describe('GET /api/v1/auth/analytics', () => {
     it('should return analytics data', async () => {
       const mockAnalytics = {
@@ -2,9 +2,32 @@ const request = require('supertest');
 const express = require('express');
 const batchController = require('../../../src/controllers/batchController');
 const batchService = require('../../../src/services/batchService');
+const planService = require('../../../src/services/planService');
+const quotaService = require('../../../src/services/quotaService');
+const creditService = require('../../../src/services/creditService');
+const spendCapService = require('../../../src/services/spendCapService');
+const quoteService = require('../../../src/services/quoteService');
 
 // Mock dependencies
 jest.mock('../../../src/services/batchService');
+jest.mock('../../../src/services/planService', () => ({
+  resolvePlan: jest.fn()
+}));
+jest.mock('../../../src/services/quoteService', () => ({
+  quoteBatch: jest.fn()
+}));
+
+const basicPlan = {
+  name: 'basic',
+  displayName: 'Basic',
+  dailyLimit: 100,
+  monthlyLimit: 1000,
+  concurrentLimit: 5,
+  queuePriority: 3,
+  maxSegments: 4,
+  maxBatchSize: 25,
+  watermarkRequired: false
+};
 
 const app = express();
 app.use(express.json());
@@ -18,6 +41,7 @@ app.use((req, res, next) => {
 
 // Add routes
 app.post('/batch/generate', batchController.createBatch.bind(batchController));
+app.post('/batch/quote', batchController.quoteBatch.bind(batchController));
 app.get('/batch/:batchId/status', batchController.getBatchStatus.bind(batchController));
 app.get('/batch/:batchId/results', batchController.getBatchResults.bind(batchController));
 app.post('/batch/:batchId/cancel', batchController.cancelBatch.bind(batchController));
@@ -27,6 +51,7 @@ app.get('/batch/analytics', batchController.getBatchAnalytics.bind(batchControll
 describe('BatchController', () => {
   beforeEach(() => {
     jest.clearAllMocks();
+    planService.resolvePlan.mockResolvedValue(basicPlan);
   });
 
   describe('POST /batch/generate', () => {
@@ -77,9 +102,28 @@ describe('BatchController', () => {
           requests: batchData.requests,
           userId: 'user-123',
           apiKeyId: 'key-123',
+          plan: basicPlan,
           priority: 5
         })
       );
+      expect(planService.resolvePlan).toHaveBeenCalledWith({ userId: 'user-123', organizationId: null });
+    });
+
+    it('should return 403 when the batch exceeds the plan batch size', async () => {
+      const batchData = {
+        name: 'Test Batch',
+        requests: new Array(26).fill({ creativeBrief: 'Brief' })
+      };
+
+      const response = await request(app)
+        .post('/batch/generate')
+        .send(batchData)
+        .expect(403);
+
+      expect(response.body.success).toBe(false);
+      expect(response.body.code).toBe('BATCH_SIZE_EXCEEDED');
+      expect(response.body.plan).toBe('basic');
+      expect(batchService.createBatch).not.toHaveBeenCalled();
     });
 
     it('should return 400 for missing name', async () => {
@@ -160,6 +204,135 @@ describe('BatchController', () => {
       expect(response.body.code).toBe('PAST_SCHEDULED_DATE');
     });
 
+    it('should return 429 when the quota cannot cover the batch', async () => {
+      const quotaStatus = { daily: { used: 98, limit: 100, remaining: 2, exceeded: false } };
+      batchService.createBatch.mockRejectedValue(
+        new quotaService.QuotaExceededError('Daily quota exceeded', 'DAILY_QUOTA_EXCEEDED', quotaStatus, 3)
+      );
+
+      const response = await request(app)
+        .post('/batch/generate')
+        .send({
+          name: 'Test Batch',
+          requests: [{ creativeBrief: 'Brief 1' }, { creativeBrief: 'Brief 2' }, { creativeBrief: 'Brief 3' }]
+        })
+        .expect(429);
+
+      expect(response.body).toEqual({
+        success: false,
+        error: 'Daily quota exceeded',
+        code: 'DAILY_QUOTA_EXCEEDED',
+        requested: 3,
+        quotaStatus
+      });
+    });
+
+    it('should return 402 when credits cannot cover the batch', async () => {
+      batchService.createBatch.mockRejectedValue(new creditService.InsufficientCreditsError(40, 10));
+
+      const response = await request(app)
+        .post('/batch/generate')
+        .send({
+          name: 'Test Batch',
+          requests: [{ creativeBrief: 'Brief 1' }, { creativeBrief: 'Brief 2' }]
+        })
+        .expect(402);
+
+      expect(response.body.code).toBe('INSUFFICIENT_CREDITS');
+      expect(response.body.required).toBe(40);
+      expect(response.body.available).toBe(10);
+    });
+
+    it('should return 402 when the batch would exceed a spend cap', async () => {
+      const cap = { ownerType: 'organization', ownerId: 'org-1', period: 'monthly', spent: 95, limit: 100, remaining: 5 };
+      batchService.createBatch.mockRejectedValue(new spendCapService.SpendCapExceededError(cap, 24.0248));
+
+      const response = await request(app)
+        .post('/batch/generate')
+        .send({
+          name: 'Test Batch',
+          requests: [{ creativeBrief: 'Brief 1' }, { creativeBrief: 'Brief 2' }]
+        })
+        .expect(402);
+
+      expect(response.body.code).toBe('MONTHLY_SPEND_CAP_EXCEEDED');
+      expect(response.body.estimatedCost).toBe(24.0248);
+      expect(response.body.spendCap).toEqual(cap);
+    });
+
+    it('should pass maxCost to the service and reject invalid values', async () => {
+      batchService.createBatch.mockRejectedValue(new spendCapService.MaxCostExceededError(24.0248, 20));
+
+      const response = await request(app)
+        .post('/batch/generate')
+        .send({
+          name: 'Test Batch',
+          requests: [{ creativeBrief: 'Brief 1' }, { creativeBrief: 'Brief 2' }],
+          maxCost: 20
+        })
+        .expect(402);
+
+      expect(batchService.createBatch).toHaveBeenCalledWith(expect.objectContaining({ maxCost: 20 }));
+      expect(response.body.code).toBe('MAX_COST_EXCEEDED');
+      expect(response.body.maxCost).toBe(20);
+
+      const invalid = await request(app)
+        .post('/batch/generate')
+        .send({ name: 'Test Batch', requests: [{ creativeBrief: 'Brief 1' }], maxCost: 0 })
+        .expect(400);
+
+      expect(invalid.body.code).toBe('INVALID_MAX_COST');
+    });
+
+    it('should create a batch from a variant matrix', async () => {
+      const matrix = {
+        briefTemplate: 'Open with {{hook}}',
+        dimensions: { hook: ['a question', 'a statistic'] }
+      };
+      batchService.validateMatrix.mockReturnValueOnce(null);
+      batchService.expandMatrix.mockReturnValueOnce([
+        { creativeBrief: 'Open with a question', tags: { hook: 'a question' } },
+        { creativeBrief: 'Open with a statistic', tags: { hook: 'a statistic' } }
+      ]);
+      batchService.createBatch.mockResolvedValue({
+        batch: {
+          batchId: 'batch_123_abc',
+          name: 'Matrix Batch',
+          status: 'pending',
+          priority: 5,
+          metadata: { estimatedDuration: 600, matrix: { briefTemplate: matrix.briefTemplate, dimensions: matrix.dimensions } }
+        },
+        operations: [
+          { operationId: 'op1', metadata: { batchIndex: 0, tags: { hook: 'a question' } } },
+          { operationId: 'op2', metadata: { batchIndex: 1, tags: { hook: 'a statistic' } } }
+        ],
+        totalRequests: 2
+      });
+
+      const response = await request(app)
+        .post('/batch/generate')
+        .send({ name: 'Matrix Batch', matrix })
+        .expect(201);
+
+      expect(batchService.createBatch).toHaveBeenCalledWith(expect.objectContaining({ matrix }));
+      expect(batchService.createBatch.mock.calls[0][0].requests).toBeUndefined();
+      expect(response.body.data.matrix.dimensions).toEqual(matrix.dimensions);
+      expect(response.body.data.operations[1]).toEqual({ operationId: 'op2', batchIndex: 1, tags: { hook: 'a statistic' } });
+    });
+
+    it('should return 400 for an invalid variant matrix', async () => {
+      batchService.validateMatrix.mockReturnValueOnce('matrix.briefTemplate is required');
+
+      const response = await request(app)
+        .post('/batch/generate')
+        .send({ name: 'Matrix Batch', matrix: { dimensions: { hook: ['a question'] } } })
+        .expect(400);
+
+      expect(response.body.code).toBe('INVALID_MATRIX');
+      expect(response.body.error).toBe('matrix.briefTemplate is required');
+      expect(batchService.createBatch).not.toHaveBeenCalled();
+    });
+
     it('should handle service errors', async () => {
       batchService.createBatch.mockRejectedValue(new Error('Service error'));
 
@@ -178,6 +351,42 @@ describe('BatchController', () => {
     });
   });
 
+  describe('POST /batch/quote', () => {
+    it('should quote the batch for the caller', async () => {
+      quoteService.quoteBatch.mockResolvedValue({ totalRequests: 2, estimatedCost: { total: 18.0248, currency: 'USD' } });
+
+      const requests = [{ creativeBrief: 'Brief 1', imageCount: 2 }, { creativeBrief: 'Brief 2', imageCount: 1 }];
+      const response = await request(app)
+        .post('/batch/quote')
+        .send({ requests, maxCost: 25 })
+        .expect(200);
+
+      expect(quoteService.quoteBatch).toHaveBeenCalledWith(
+        { requests, maxCost: 25 },
+        { userId: 'user-123', apiKeyId: 'key-123', organizationId: null }
+      );
+      expect(response.body.data.estimatedCost.total).toBe(18.0248);
+    });
+
+    it('should reject invalid quote requests', async () => {
+      const cases = [
+        [{ requests: [] }, 'NO_REQUESTS_PROVIDED'],
+        [{ requests: [{ creativeBrief: 'Brief 1' }, {}] }, 'INVALID_CREATIVE_BRIEF'],
+        [{ requests: [{ creativeBrief: 'Brief 1', options: { maxCost: -2 } }] }, 'INVALID_MAX_COST']
+      ];
+
+      for (const [body, code] of cases) {
+        const response = await request(app)
+          .post('/batch/quote')
+          .send(body)
+          .expect(400);
+
+        expect(response.body.code).toBe(code);
+      }
+      expect(quoteService.quoteBatch).not.toHaveBeenCalled();
+    });
+  });
+
   describe('GET /batch/:batchId/status', () => {
     it('should return batch status', async () => {
       const mockStatus = {
@@ -253,6 +462,28 @@ describe('BatchController', () => {
 
       expect(response.body.success).toBe(true);
       expect(response.body.data).toEqual(mockResults);
+      expect(batchService.getBatchResults).toHaveBeenCalledWith('batch_123_abc', { pivot: null });
+    });
+
+    it('should pivot results by the requested dimensions', async () => {
+      batchService.getBatchResults.mockResolvedValue({ batchId: 'batch_123_abc', pivot: { dimensions: ['hook', 'cta'], groups: [] } });
+
+      await request(app)
+        .get('/batch/batch_123_abc/results?pivot=hook, cta')
+        .expect(200);
+
+      expect(batchService.getBatchResults).toHaveBeenCalledWith('batch_123_abc', { pivot: ['hook', 'cta'] });
+    });
+
+    it('should return 400 for an unknown pivot dimension', async () => {
+      batchService.getBatchResults.mockRejectedValue(new Error('Unknown pivot dimension: tone'));
+
+      const response = await request(app)
+        .get('/batch/batch_123_abc/results?pivot=tone')
+        .expect(400);
+
+      expect(response.body.code).toBe('INVALID_PIVOT');
+      expect(response.body.error).toBe('Unknown pivot dimension: tone');
     });
 
     it('should return 404 for non-existent batch', async () => {
@@ -0,0 +1,101 @@
+const request = require('supertest');
+const express = require('express');
+const costController = require('../../../src/controllers/costController');
+const providerCostService = require('../../../src/services/providerCostService');
+
+jest.mock('../../../src/services/providerCostService', () => ({
+  getSpendReport: jest.fn(),
+  getOperationCosts: jest.fn(),
+  roundCost: jest.fn(cost => Math.round(cost * 1e6) / 1e6)
+}));
+
+describe('CostController', () => {
+  let app;
+
+  beforeEach(() => {
+    app = express();
+    app.use(express.json());
+
+    app.get('/api/v1/costs/spend', costController.getSpendReport.bind(costController));
+    app.get('/api/v1/costs/operations/:operationId', costController.getOperationCosts.bind(costController));
+
+    jest.clearAllMocks();
+  });
+
+  it('should return a spend report with its total', async () => {
+    providerCostService.getSpendReport.mockResolvedValue([
+      { org: 'org-1', totalCost: 12.5, calls: 10, cacheHits: 2, operations: 2, byProvider: { veo: 12.5 } },
+      { org: 'org-2', totalCost: 0.25, calls: 4, cacheHits: 0, operations: 1, byProvider: { openai: 0.25 } }
+    ]);
+
+    const response = await request(app)
+      .get('/api/v1/costs/spend?groupBy=org&startDate=2025-09-01&endDate=2025-09-30&provider=veo')
+      .expect(200);
+
+    expect(providerCostService.getSpendReport).toHaveBeenCalledWith({
+      groupBy: 'org',
+      startDate: new Date('2025-09-01'),
+      endDate: new Date('2025-09-30'),
+      provider: 'veo'
+    });
+    expect(response.body.data.totalCost).toBe(12.75);
+    expect(response.body.data.currency).toBe('USD');
+    expect(response.body.data.groups).toHaveLength(2);
+  });
+
+  it('should group by day by default', async () => {
+    providerCostService.getSpendReport.mockResolvedValue([]);
+
+    const response = await request(app)
+      .get('/api/v1/costs/spend')
+      .expect(200);
+
+    expect(providerCostService.getSpendReport).toHaveBeenCalledWith(expect.objectContaining({ groupBy: 'day' }));
+    expect(response.body.data.totalCost).toBe(0);
+  });
+
+  it('should reject invalid report parameters', async () => {
+    const cases = [
+      ['groupBy=model', 'INVALID_GROUP_BY'],
+      ['provider=anthropic', 'INVALID_PROVIDER'],
+      ['startDate=yesterday', 'INVALID_DATE_RANGE']
+    ];
+
+    for (const [query, code] of cases) {
+      const response = await request(app)
+        .get(`/api/v1/costs/spend?${query}`)
+        .expect(400);
+
+      expect(response.body.error.code).toBe(code);
+    }
+    expect(providerCostService.getSpendReport).not.toHaveBeenCalled();
+  });
+
+  it('should return an operation\'s provider calls', async () => {
+    providerCostService.getOperationCosts.mockResolvedValue({
+      operationId: 'ugc_1',
+      totalCost: 6.0071,
+      callCount: 3,
+      calls: []
+    });
+
+    const response = await request(app)
+      .get('/api/v1/costs/operations/ugc_1')
+      .expect(200);
+
+    expect(providerCostService.getOperationCosts).toHaveBeenCalledWith('ugc_1');
+    expect(response.body.data.totalCost).toBe(6.0071);
+  });
+
+  it('should handle service errors', async () => {
+    providerCostService.getOperationCosts.mockRejectedValue(new Error('Database unavailable'));
+    const consoleSpy = jest.spyOn(console, 'error').mockImplementation();
+
+    const response = await request(app)
+      .get('/api/v1/costs/operations/ugc_1')
+      .expect(500);
+
+    expect(response.body.error.code).toBe('OPERATION_COSTS_ERROR');
+    consoleSpy.mockRestore();
+  });
+});
@@ -0,0 +1,129 @@
+const request = require('supertest');
+const express = require('express');
+const creditController = require('../../../src/controllers/creditController');
+const creditService = require('../../../src/services/creditService');
+
+jest.mock('../../../src/services/creditService', () => ({
+  getOwner: jest.fn(),
+  getBalance: jest.fn(),
+  getLedger: jest.fn(),
+  topUp: jest.fn()
+}));
+jest.mock('../../../src/services/quotaService', () => ({
+  getPrincipal: jest.fn(req => ({
+    userId: req.user?.id || null,
+    apiKeyId: null,
+    organizationId: null
+  }))
+}));
+
+describe('CreditController', () => {
+  let app;
+
+  beforeEach(() => {
+    app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.user = { id: 'user-1' };
+      next();
+    });
+
+    app.get('/api/v1/credits/balance', creditController.getBalance.bind(creditController));
+    app.get('/api/v1/credits/ledger', creditController.getLedger.bind(creditController));
+    app.post('/api/v1/oauth/users/:userId/credits', creditController.topUpUser.bind(creditController));
+    app.post('/api/v1/orgs/:orgId/credits', creditController.topUpOrganization.bind(creditController));
+    app.post('/api/v1/auth/keys/:keyId/credits', creditController.topUpApiKey.bind(creditController));
+
+    jest.clearAllMocks();
+    creditService.getOwner.mockReturnValue({ ownerType: 'user', ownerId: 'user-1' });
+  });
+
+  it('should return the caller\'s balance', async () => {
+    creditService.getBalance.mockResolvedValue({ ownerType: 'user', ownerId: 'user-1', balance: 80, held: 20 });
+
+    const response = await request(app)
+      .get('/api/v1/credits/balance')
+      .expect(200);
+
+    expect(creditService.getBalance).toHaveBeenCalledWith({ userId: 'user-1', apiKeyId: null, organizationId: null });
+    expect(response.body.data.balance).toBe(80);
+  });
+
+  it('should require a principal with an account', async () => {
+    creditService.getOwner.mockReturnValue(null);
+
+    const response = await request(app)
+      .get('/api/v1/credits/balance')
+      .expect(401);
+
+    expect(response.body.error.code).toBe('AUTHENTICATION_REQUIRED');
+  });
+
+  it('should return a page of the ledger', async () => {
+    creditService.getLedger.mockResolvedValue({ entries: [], pagination: { page: 2, limit: 10, total: 12, totalPages: 2 } });
+
+    const response = await request(app)
+      .get('/api/v1/credits/ledger?page=2&limit=10')
+      .expect(200);
+
+    expect(creditService.getLedger).toHaveBeenCalledWith(expect.any(Object), { page: 2, limit: 10 });
+    expect(response.body.data.pagination.totalPages).toBe(2);
+  });
+
+  it('should reject invalid pagination', async () => {
+    const response = await request(app)
+      .get('/api/v1/credits/ledger?page=0')
+      .expect(400);
+
+    expect(response.body.error.code).toBe('INVALID_PAGINATION');
+    expect(creditService.getLedger).not.toHaveBeenCalled();
+  });
+
+  it('should top up a user', async () => {
+    creditService.topUp.mockResolvedValue({ entry: { type: 'top_up', amount: 500 }, account: { balance: 500 } });
+
+    const response = await request(app)
+      .post('/api/v1/oauth/users/user-2/credits')
+      .send({ amount: 500, description: 'Invoice 42' })
+      .expect(201);
+
+    expect(creditService.topUp).toHaveBeenCalledWith('user', 'user-2', 500, {
+      description: 'Invoice 42',
+      createdBy: 'user-1'
+    });
+    expect(response.body.data.account.balance).toBe(500);
+  });
+
+  it('should top up organizations and API keys', async () => {
+    creditService.topUp.mockResolvedValue({});
+
+    await request(app).post('/api/v1/orgs/org-1/credits').send({ amount: 100 }).expect(201);
+    await request(app).post('/api/v1/auth/keys/key-1/credits').send({ amount: 100 }).expect(201);
+
+    expect(creditService.topUp).toHaveBeenCalledWith('organization', 'org-1', 100, expect.any(Object));
+    expect(creditService.topUp).toHaveBeenCalledWith('api_key', 'key-1', 100, expect.any(Object));
+  });
+
+  it('should reject amounts that are not positive whole numbers', async () => {
+    for (const amount of [0, -5, 2.5, '100']) {
+      const response = await request(app)
+        .post('/api/v1/orgs/org-1/credits')
+        .send({ amount })
+        .expect(400);
+
+      expect(response.body.error.code).toBe('INVALID_AMOUNT');
+    }
+    expect(creditService.topUp).not.toHaveBeenCalled();
+  });
+
+  it('should return 404 for unknown owners', async () => {
+    creditService.topUp.mockRejectedValue(new Error('Organization not found'));
+
+    const response = await request(app)
+      .post('/api/v1/orgs/org-9/credits')
+      .send({ amount: 100 })
+      .expect(404);
+
+    expect(response.body.error.code).toBe('ORGANIZATION_NOT_FOUND');
+  });
+});
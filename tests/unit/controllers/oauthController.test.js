@@ -18,6 +18,8 @@ jest.mock('../../../src/services/oauthService', () => ({
   updateUserRole: jest.fn(),
   deactivateUser: jest.fn(),
   getAuthStats: jest.fn(),
+  listSessions: jest.fn(),
+  revokeSession: jest.fn(),
   jwtExpiresIn: '1h'
 }));
 
@@ -36,6 +38,14 @@ describe('OAuthController', () => {
       req.user = { id: 'test-user-id' };
       next();
     }, oauthController.getProfile.bind(oauthController));
+    app.get('/api/v1/oauth/sessions', (req, res, next) => {
+      req.user = { id: 'test-user-id' };
+      next();
+    }, oauthController.listSessions.bind(oauthController));
+    app.delete('/api/v1/oauth/sessions/:sessionId', (req, res, next) => {
+      req.user = { id: 'test-user-id' };
+      next();
+    }, oauthController.revokeSession.bind(oauthController));
     app.get('/api/v1/oauth/users', oauthController.listUsers.bind(oauthController));
     app.put('/api/v1/oauth/users/:userId/role', oauthController.updateUserRole.bind(oauthController));
     app.post('/api/v1/oauth/users/:userId/deactivate', oauthController.deactivateUser.bind(oauthController));
@@ -313,6 +323,50 @@ describe('OAuthController', () => {
     });
   });
 
+  describe('GET /api/v1/oauth/sessions', () => {
+    it('should list the current user sessions', async () => {
+      const mockSessions = [{
+        id: '6f1c2a9e-3b4d-4e5f-8a7b-9c0d1e2f3a4b',
+        device: 'Work laptop',
+        ipAddress: '10.0.0.1',
+        lastUsedAt: new Date().toISOString()
+      }];
+      oauthService.listSessions.mockResolvedValue(mockSessions);
+
+      const response = await request(app)
+        .get('/api/v1/oauth/sessions');
+
+      expect(response.status).toBe(200);
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.sessions).toEqual(mockSessions);
+      expect(response.body.data.total).toBe(1);
+      expect(oauthService.listSessions).toHaveBeenCalledWith('test-user-id');
+    });
+  });
+
+  describe('DELETE /api/v1/oauth/sessions/:sessionId', () => {
+    it('should revoke a session', async () => {
+      oauthService.revokeSession.mockResolvedValue(true);
+
+      const response = await request(app)
+        .delete('/api/v1/oauth/sessions/session-id');
+
+      expect(response.status).toBe(200);
+      expect(response.body.success).toBe(true);
+      expect(oauthService.revokeSession).toHaveBeenCalledWith('test-user-id', 'session-id');
+    });
+
+    it('should return 404 for unknown session', async () => {
+      oauthService.revokeSession.mockResolvedValue(false);
+
+      const response = await request(app)
+        .delete('/api/v1/oauth/sessions/unknown');
+
+      expect(response.status).toBe(404);
+      expect(response.body.error.code).toBe('SESSION_NOT_FOUND');
+    });
+  });
+
   describe('GET /api/v1/oauth/users', () => {
     it('should list all users', async () => {
       const mockUsers = [
@@ -0,0 +1,170 @@
+const request = require('supertest');
+const express = require('express');
+const organizationController = require('../../../src/controllers/organizationController');
+const organizationService = require('../../../src/services/organizationService');
+const apiKeyService = require('../../../src/services/apiKeyService');
+
+jest.mock('../../../src/services/organizationService', () => ({
+  roles: ['viewer', 'editor', 'admin', 'owner'],
+  createOrganization: jest.fn(),
+  listUserOrganizations: jest.fn(),
+  getOrganization: jest.fn(),
+  setActiveOrganization: jest.fn(),
+  addMember: jest.fn(),
+  updateMemberRole: jest.fn(),
+  removeMember: jest.fn(),
+  requireMembership: jest.fn()
+}));
+jest.mock('../../../src/services/apiKeyService', () => ({
+  generateApiKey: jest.fn()
+}));
+
+describe('OrganizationController', () => {
+  let app;
+
+  beforeEach(() => {
+    app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.user = { id: 'user-1' };
+      req.organization = null;
+      next();
+    });
+
+    app.post('/api/v1/orgs', organizationController.createOrganization.bind(organizationController));
+    app.get('/api/v1/orgs', organizationController.listOrganizations.bind(organizationController));
+    app.post('/api/v1/orgs/personal/activate', organizationController.activatePersonalWorkspace.bind(organizationController));
+    app.post('/api/v1/orgs/:orgId/activate', organizationController.activateOrganization.bind(organizationController));
+    app.post('/api/v1/orgs/:orgId/members', organizationController.addMember.bind(organizationController));
+    app.patch('/api/v1/orgs/:orgId/members/:userId', organizationController.updateMember.bind(organizationController));
+    app.post('/api/v1/orgs/:orgId/keys', organizationController.createOrganizationKey.bind(organizationController));
+
+    jest.clearAllMocks();
+  });
+
+  describe('POST /api/v1/orgs', () => {
+    it('should create an organization', async () => {
+      organizationService.createOrganization.mockResolvedValue({ id: 'org-1', name: 'Acme', slug: 'acme', role: 'owner' });
+
+      const response = await request(app)
+        .post('/api/v1/orgs')
+        .send({ name: ' Acme ' })
+        .expect(201);
+
+      expect(organizationService.createOrganization).toHaveBeenCalledWith({ name: 'Acme', slug: undefined }, 'user-1');
+      expect(response.body.data.role).toBe('owner');
+    });
+
+    it('should reject an invalid slug', async () => {
+      const response = await request(app)
+        .post('/api/v1/orgs')
+        .send({ name: 'Acme', slug: 'Not A Slug' })
+        .expect(400);
+
+      expect(response.body.error.code).toBe('INVALID_SLUG');
+      expect(organizationService.createOrganization).not.toHaveBeenCalled();
+    });
+
+    it('should return 409 when the slug is taken', async () => {
+      organizationService.createOrganization.mockRejectedValue(new Error('Organization slug is already taken'));
+
+      const response = await request(app)
+        .post('/api/v1/orgs')
+        .send({ name: 'Acme' })
+        .expect(409);
+
+      expect(response.body.error.code).toBe('SLUG_TAKEN');
+    });
+  });
+
+  describe('POST /api/v1/orgs/:orgId/activate', () => {
+    it('should switch the active organization', async () => {
+      organizationService.setActiveOrganization.mockResolvedValue({ id: 'org-1', role: 'editor' });
+
+      await request(app)
+        .post('/api/v1/orgs/org-1/activate')
+        .expect(200);
+
+      expect(organizationService.setActiveOrganization).toHaveBeenCalledWith('user-1', 'org-1');
+    });
+
+    it('should switch back to the personal workspace', async () => {
+      await request(app)
+        .post('/api/v1/orgs/personal/activate')
+        .expect(200);
+
+      expect(organizationService.setActiveOrganization).toHaveBeenCalledWith('user-1', null);
+    });
+  });
+
+  describe('members', () => {
+    it('should require an email to add a member', async () => {
+      const response = await request(app)
+        .post('/api/v1/orgs/org-1/members')
+        .send({ role: 'editor' })
+        .expect(400);
+
+      expect(response.body.error.code).toBe('MISSING_EMAIL');
+    });
+
+    it('should return 403 when the caller lacks the required role', async () => {
+      organizationService.addMember.mockRejectedValue(new Error('Organization role admin or higher is required'));
+
+      const response = await request(app)
+        .post('/api/v1/orgs/org-1/members')
+        .send({ email: 'new@example.com' })
+        .expect(403);
+
+      expect(response.body.error.code).toBe('INSUFFICIENT_ORGANIZATION_ROLE');
+    });
+
+    it('should return 400 for an unknown role', async () => {
+      organizationService.updateMemberRole.mockRejectedValue(new Error('Invalid organization role: superuser'));
+
+      const response = await request(app)
+        .patch('/api/v1/orgs/org-1/members/user-2')
+        .send({ role: 'superuser' })
+        .expect(400);
+
+      expect(response.body.error.code).toBe('INVALID_ROLE');
+    });
+  });
+
+  describe('POST /api/v1/orgs/:orgId/keys', () => {
+    it('should create a key owned by the organization', async () => {
+      organizationService.requireMembership.mockResolvedValue({ role: 'admin' });
+      apiKeyService.generateApiKey.mockResolvedValue({
+        id: 'key-1',
+        key: 'ugc_key',
+        name: 'Team Key',
+        permissions: ['ugc:generate'],
+        organizationId: 'org-1',
+        isActive: true
+      });
+
+      const response = await request(app)
+        .post('/api/v1/orgs/org-1/keys')
+        .send({ name: 'Team Key', permissions: ['ugc:generate'] })
+        .expect(201);
+
+      expect(organizationService.requireMembership).toHaveBeenCalledWith('org-1', 'user-1', 'admin');
+      expect(apiKeyService.generateApiKey).toHaveBeenCalledWith(expect.objectContaining({
+        name: 'Team Key',
+        organizationId: 'org-1',
+        createdBy: 'user-1'
+      }));
+      expect(response.body.data.organizationId).toBe('org-1');
+    });
+
+    it('should return 404 for organizations the caller is not in', async () => {
+      organizationService.requireMembership.mockRejectedValue(new Error('Organization not found'));
+
+      await request(app)
+        .post('/api/v1/orgs/org-1/keys')
+        .send({ name: 'Team Key' })
+        .expect(404);
+
+      expect(apiKeyService.generateApiKey).not.toHaveBeenCalled();
+    });
+  });
+});
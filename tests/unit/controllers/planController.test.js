@@ -0,0 +1,79 @@
+const request = require('supertest');
+const express = require('express');
+const planController = require('../../../src/controllers/planController');
+const planService = require('../../../src/services/planService');
+
+jest.mock('../../../src/services/planService', () => ({
+  defaultPlanName: 'basic',
+  listPlans: jest.fn(),
+  assignPlan: jest.fn()
+}));
+
+describe('PlanController', () => {
+  let app;
+
+  beforeEach(() => {
+    app = express();
+    app.use(express.json());
+
+    app.get('/api/v1/plans', planController.listPlans.bind(planController));
+    app.put('/api/v1/oauth/users/:userId/plan', planController.assignUserPlan.bind(planController));
+    app.put('/api/v1/orgs/:orgId/plan', planController.assignOrganizationPlan.bind(planController));
+
+    jest.clearAllMocks();
+  });
+
+  it('should list plans with the default plan', async () => {
+    planService.listPlans.mockResolvedValue([{ name: 'basic' }, { name: 'pro' }]);
+
+    const response = await request(app)
+      .get('/api/v1/plans')
+      .expect(200);
+
+    expect(response.body.data.plans).toHaveLength(2);
+    expect(response.body.data.defaultPlan).toBe('basic');
+  });
+
+  it('should assign a plan to a user', async () => {
+    planService.assignPlan.mockResolvedValue({ name: 'pro' });
+
+    const response = await request(app)
+      .put('/api/v1/oauth/users/user-1/plan')
+      .send({ plan: 'pro' })
+      .expect(200);
+
+    expect(planService.assignPlan).toHaveBeenCalledWith('user', 'user-1', 'pro');
+    expect(response.body.data.name).toBe('pro');
+  });
+
+  it('should assign a plan to an organization', async () => {
+    planService.assignPlan.mockResolvedValue({ name: 'premium' });
+
+    await request(app)
+      .put('/api/v1/orgs/org-1/plan')
+      .send({ plan: 'premium' })
+      .expect(200);
+
+    expect(planService.assignPlan).toHaveBeenCalledWith('organization', 'org-1', 'premium');
+  });
+
+  it('should require a plan name', async () => {
+    const response = await request(app)
+      .put('/api/v1/orgs/org-1/plan')
+      .send({})
+      .expect(400);
+
+    expect(response.body.error.code).toBe('MISSING_PLAN');
+  });
+
+  it('should return 404 for unknown plans', async () => {
+    planService.assignPlan.mockRejectedValue(new Error('Plan not found'));
+
+    const response = await request(app)
+      .put('/api/v1/oauth/users/user-1/plan')
+      .send({ plan: 'gold' })
+      .expect(404);
+
+    expect(response.body.error.code).toBe('PLAN_NOT_FOUND');
+  });
+});
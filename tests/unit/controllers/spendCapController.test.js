@@ -0,0 +1,127 @@
+const request = require('supertest');
+const express = require('express');
+const spendCapController = require('../../../src/controllers/spendCapController');
+const spendCapService = require('../../../src/services/spendCapService');
+const organizationService = require('../../../src/services/organizationService');
+
+jest.mock('../../../src/services/spendCapService', () => ({
+  getOwnerStatus: jest.fn(),
+  setCaps: jest.fn(),
+  assertOwnerExists: jest.fn(),
+  isValidAmount: jest.fn(amount => amount === undefined || amount === null || (typeof amount === 'number' && amount > 0))
+}));
+jest.mock('../../../src/services/organizationService', () => ({
+  requireMembership: jest.fn()
+}));
+
+describe('SpendCapController', () => {
+  let app;
+
+  const status = {
+    ownerType: 'organization',
+    ownerId: 'org-1',
+    currency: 'USD',
+    daily: { spent: 4, limit: 10, remaining: 6, resetTime: '2025-09-13T00:00:00.000Z' },
+    monthly: { spent: 30, limit: null, remaining: null, resetTime: '2025-10-01T00:00:00.000Z' }
+  };
+
+  beforeEach(() => {
+    app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.user = { id: 'user-1' };
+      next();
+    });
+
+    app.get('/api/v1/orgs/:orgId/spend-caps', spendCapController.getOrganizationCaps.bind(spendCapController));
+    app.put('/api/v1/orgs/:orgId/spend-caps', spendCapController.setOrganizationCaps.bind(spendCapController));
+    app.get('/api/v1/auth/keys/:keyId/spend-caps', spendCapController.getApiKeyCaps.bind(spendCapController));
+    app.put('/api/v1/auth/keys/:keyId/spend-caps', spendCapController.setApiKeyCaps.bind(spendCapController));
+
+    jest.clearAllMocks();
+    organizationService.requireMembership.mockResolvedValue({ role: 'admin' });
+    spendCapService.getOwnerStatus.mockResolvedValue(status);
+    spendCapService.setCaps.mockResolvedValue(status);
+  });
+
+  it('should return an organization\'s caps to its members', async () => {
+    const response = await request(app)
+      .get('/api/v1/orgs/org-1/spend-caps')
+      .expect(200);
+
+    expect(organizationService.requireMembership).toHaveBeenCalledWith('org-1', 'user-1', 'viewer');
+    expect(spendCapService.getOwnerStatus).toHaveBeenCalledWith('organization', 'org-1');
+    expect(response.body.data.daily.remaining).toBe(6);
+  });
+
+  it('should let organization admins set caps', async () => {
+    await request(app)
+      .put('/api/v1/orgs/org-1/spend-caps')
+      .send({ dailyLimit: 10, monthlyLimit: null })
+      .expect(200);
+
+    expect(organizationService.requireMembership).toHaveBeenCalledWith('org-1', 'user-1', 'admin');
+    expect(spendCapService.setCaps).toHaveBeenCalledWith('organization', 'org-1', { dailyLimit: 10, monthlyLimit: null }, 'user-1');
+  });
+
+  it('should refuse members without the admin role', async () => {
+    organizationService.requireMembership.mockRejectedValue(new Error('Organization role admin or higher is required'));
+
+    const response = await request(app)
+      .put('/api/v1/orgs/org-1/spend-caps')
+      .send({ dailyLimit: 10 })
+      .expect(403);
+
+    expect(response.body.error.code).toBe('INSUFFICIENT_ORGANIZATION_ROLE');
+    expect(spendCapService.setCaps).not.toHaveBeenCalled();
+  });
+
+  it('should set an API key\'s caps', async () => {
+    await request(app)
+      .put('/api/v1/auth/keys/key-1/spend-caps')
+      .send({ monthlyLimit: 250 })
+      .expect(200);
+
+    expect(spendCapService.setCaps).toHaveBeenCalledWith('api_key', 'key-1', { dailyLimit: undefined, monthlyLimit: 250 }, 'user-1');
+  });
+
+  it('should reject missing or invalid caps', async () => {
+    const cases = [
+      [{}, 'NO_CAPS_PROVIDED'],
+      [{ dailyLimit: -1 }, 'INVALID_SPEND_CAP'],
+      [{ monthlyLimit: '100' }, 'INVALID_SPEND_CAP']
+    ];
+
+    for (const [body, code] of cases) {
+      const response = await request(app)
+        .put('/api/v1/auth/keys/key-1/spend-caps')
+        .send(body)
+        .expect(400);
+
+      expect(response.body.error.code).toBe(code);
+    }
+    expect(spendCapService.setCaps).not.toHaveBeenCalled();
+  });
+
+  it('should return 404 for unknown API keys', async () => {
+    spendCapService.assertOwnerExists.mockRejectedValue(new Error('API key not found'));
+
+    const response = await request(app)
+      .get('/api/v1/auth/keys/key-x/spend-caps')
+      .expect(404);
+
+    expect(response.body.error.code).toBe('API_KEY_NOT_FOUND');
+  });
+
+  it('should handle service errors', async () => {
+    spendCapService.getOwnerStatus.mockRejectedValue(new Error('Database unavailable'));
+    const consoleSpy = jest.spyOn(console, 'error').mockImplementation();
+
+    const response = await request(app)
+      .get('/api/v1/orgs/org-1/spend-caps')
+      .expect(500);
+
+    expect(response.body.error.code).toBe('GET_SPEND_CAPS_ERROR');
+    consoleSpy.mockRestore();
+  });
+});
@@ -6,12 +6,246 @@ const imageAnalysisService = require('../../../src/services/imageAnalysisService
 const scriptGenerationService = require('../../../src/services/scriptGenerationService');
 const videoGenerationService = require('../../../src/services/videoGenerationService');
 const config = require('../../../src/utils/config');
+const planService = require('../../../src/services/planService');
+const quotaService = require('../../../src/services/quotaService');
+const creditService = require('../../../src/services/creditService');
+const spendCapService = require('../../../src/services/spendCapService');
+const quoteService = require('../../../src/services/quoteService');
+const operationService = require('../../../src/services/operationService');
+const jobManager = require('../../../src/jobs/jobManager');
+const postProductionService = require('../../../src/services/postProductionService');
+const variantService = require('../../../src/services/variantService');
+const segmentVersionService = require('../../../src/services/segmentVersionService');
+const scriptEditingService = require('../../../src/services/scriptEditingService');
+const approvalService = require('../../../src/services/approvalService');
+const remixService = require('../../../src/services/remixService');
+const briefService = require('../../../src/services/briefService');
+const RateLimitMiddleware = require('../../../src/middleware/rateLimitMiddleware');
 
 // Mock the services
 jest.mock('../../../src/services/imageAnalysisService');
 jest.mock('../../../src/services/scriptGenerationService');
 jest.mock('../../../src/services/videoGenerationService');
 jest.mock('../../../src/utils/config');
+jest.mock('../../../src/services/planService', () => ({
+  resolvePlan: jest.fn()
+}));
+jest.mock('../../../src/services/quotaService', () => {
+  class QuotaExceededError extends Error {
+    constructor(message, code, quotaStatus, requested) {
+      super(message);
+      this.code = code;
+      this.quotaStatus = quotaStatus;
+      this.requested = requested;
+    }
+  }
+  return {
+    QuotaExceededError,
+    reserve: jest.fn(),
+    getPrincipal: jest.fn(() => ({ userId: null, apiKeyId: 'key-1', organizationId: null }))
+  };
+});
+jest.mock('../../../src/services/creditService', () => {
+  class InsufficientCreditsError extends Error {
+    constructor(required, available) {
+      super(`Insufficient credits: ${required} required, ${available} available`);
+      this.code = 'INSUFFICIENT_CREDITS';
+      this.required = required;
+      this.available = available;
+    }
+  }
+  return {
+    InsufficientCreditsError,
+    hold: jest.fn(),
+    refund: jest.fn(),
+    estimateCost: jest.fn()
+  };
+});
+jest.mock('../../../src/services/providerCostService', () => ({
+  estimateGenerationCost: jest.fn(() => ({ totalCost: 12.0124 })),
+  getOperationContext: jest.fn(operation => ({
+    operationId: operation.operationId,
+    batchId: null,
+    apiKeyId: null,
+    userId: null,
+    organizationId: null
+  }))
+}));
+jest.mock('../../../src/services/spendCapService', () => {
+  class SpendCapExceededError extends Error {
+    constructor(cap, estimatedCost) {
+      super('Daily spend cap of $10 for this API key would be exceeded');
+      this.code = 'DAILY_SPEND_CAP_EXCEEDED';
+      this.cap = cap;
+      this.estimatedCost = estimatedCost;
+    }
+  }
+  class MaxCostExceededError extends Error {
+    constructor(estimatedCost, maxCost) {
+      super(`Estimated cost of $${estimatedCost} is more than the maxCost of $${maxCost}`);
+      this.code = 'MAX_COST_EXCEEDED';
+      this.estimatedCost = estimatedCost;
+      this.maxCost = maxCost;
+    }
+  }
+  return {
+    SpendCapExceededError,
+    MaxCostExceededError,
+    enforce: jest.fn(),
+    assertWithinMaxCost: jest.fn((estimatedCost, maxCost) => {
+      if (maxCost !== undefined && estimatedCost > maxCost) {
+        throw new MaxCostExceededError(estimatedCost, maxCost);
+      }
+    }),
+    isValidAmount: jest.fn(amount => amount === undefined || amount === null || (typeof amount === 'number' && amount > 0))
+  };
+});
+jest.mock('../../../src/services/quoteService', () => ({
+  quoteGeneration: jest.fn()
+}));
+jest.mock('../../../src/services/operationService', () => {
+  class OperationStateError extends Error {
+    constructor(message, statusCode, code) {
+      super(message);
+      this.statusCode = statusCode;
+      this.code = code;
+    }
+  }
+  return {
+    OperationStateError,
+    createOperation: jest.fn(),
+    updateOperationStatus: jest.fn(),
+    getOperation: jest.fn(),
+    restartOperation: jest.fn(),
+    getInputImages: jest.fn(),
+    getVariantOperations: jest.fn(),
+    getLineage: jest.fn(() => null)
+  };
+});
+jest.mock('../../../src/services/postProductionService', () => ({
+  validateOptions: jest.fn(() => null)
+}));
+jest.mock('../../../src/services/variantService', () => {
+  class VariantSelectionError extends Error {
+    constructor(message, statusCode, code) {
+      super(message);
+      this.statusCode = statusCode;
+      this.code = code;
+    }
+  }
+  return {
+    VariantSelectionError,
+    validateOptions: jest.fn(() => null),
+    getVariants: jest.fn(operation => operation.scriptContent?.variants || null),
+    getVariantOptions: jest.fn(({ variants, ...options } = {}) => options),
+    queueVariants: jest.fn()
+  };
+});
+jest.mock('../../../src/services/segmentVersionService', () => {
+  class SegmentVersionError extends Error {
+    constructor(message, statusCode, code) {
+      super(message);
+      this.statusCode = statusCode;
+      this.code = code;
+    }
+  }
+  return {
+    SegmentVersionError,
+    validateRegeneration: jest.fn(({ prompt }) => (prompt === '' ? 'prompt must be a non-empty string of up to 2000 characters' : null)),
+    getSegments: jest.fn(),
+    queueRegeneration: jest.fn(),
+    queueRollback: jest.fn()
+  };
+});
+jest.mock('../../../src/services/scriptEditingService', () => {
+  class ScriptEditError extends Error {
+    constructor(message, statusCode, code) {
+      super(message);
+      this.statusCode = statusCode;
+      this.code = code;
+    }
+  }
+  return {
+    ScriptEditError,
+    validateSegmentEdit: jest.fn(({ text, locked }) => (text === undefined && locked === undefined ? 'Provide text, locked or both' : null)),
+    validateRewrite: jest.fn(({ instructions }) => (instructions === '' ? 'instructions must be a non-empty string of up to 1000 characters' : null)),
+    getScript: jest.fn(),
+    getRevisions: jest.fn(),
+    editSegment: jest.fn(),
+    rewriteUnlocked: jest.fn()
+  };
+});
+jest.mock('../../../src/services/approvalService', () => {
+  class ApprovalError extends Error {
+    constructor(message, statusCode, code) {
+      super(message);
+      this.statusCode = statusCode;
+      this.code = code;
+    }
+  }
+  return {
+    ApprovalError,
+    validateOptions: jest.fn(() => null),
+    validateApproval: jest.fn(({ segments }) => (Array.isArray(segments) ? 'segments must be an object of segment texts by segment key' : null)),
+    validateRejection: jest.fn(({ reason }) => (reason ? null : 'reason must be a non-empty string of up to 1000 characters')),
+    approve: jest.fn(),
+    reject: jest.fn()
+  };
+});
+jest.mock('../../../src/services/remixService', () => {
+  class RemixError extends Error {
+    constructor(message, statusCode, code) {
+      super(message);
+      this.statusCode = statusCode;
+      this.code = code;
+    }
+  }
+  return {
+    RemixError,
+    validateOverrides: jest.fn(({ aspectRatio }) => (aspectRatio === '4:3' ? 'aspectRatio must be one of: 16:9, 9:16, 1:1' : null)),
+    remix: jest.fn()
+  };
+});
+jest.mock('../../../src/services/briefService', () => {
+  class BriefError extends Error {
+    constructor(message, statusCode, code) {
+      super(message);
+      this.statusCode = statusCode;
+      this.code = code;
+    }
+  }
+  return {
+    BriefError,
+    validateBrief: jest.fn(brief => (brief?.product ? null : 'brief.product is required')),
+    validateText: jest.fn(({ text }) => (text ? null : 'text must be a non-empty string of up to 5000 characters')),
+    applyBrief: jest.fn(({ creativeBrief, brief = null, options = {} }) => ({
+      creativeBrief: creativeBrief || `Product: ${brief.product}`,
+      options: brief ? { ...options, brief } : options
+    })),
+    structure: jest.fn()
+  };
+});
+jest.mock('../../../src/config/queue', () => ({
+  WORKFLOW_STAGES: [
+    { name: 'image_analysis' },
+    { name: 'script_generation' },
+    { name: 'video_generation' },
+    { name: 'post_processing' }
+  ]
+}));
+jest.mock('../../../src/middleware/rateLimitMiddleware', () => ({
+  chargeOperationSegments: jest.fn(async () => true)
+}));
+jest.mock('../../../src/jobs/jobManager', () => ({
+  addGenerationFlow: jest.fn(),
+  getLastStage: jest.fn(options => (options?.variants ? 'script_generation' : null)),
+  getWorkflowJobs: jest.fn(operationId => ({
+    image_analysis: { queue: 'imageAnalysis', jobId: `${operationId}-image_analysis` },
+    script_generation: { queue: 'scriptGeneration', jobId: `${operationId}-script_generation` },
+    video_generation: { queue: 'videoGeneration', jobId: `${operationId}-video_generation` },
+    post_processing: { queue: 'videoProcessing', jobId: `${operationId}-post_processing` }
+  }))
+}));
 
 describe('UGCController', () => {
   let app;
@@ -27,14 +261,93 @@ describe('UGCController', () => {
     
     // Set up routes
     app.post('/api/v1/ugc/generate', upload.array('images'), ugcController.generateUGCAd.bind(ugcController));
+    app.post('/api/v1/ugc/quote', upload.array('images'), ugcController.quoteUGCAd.bind(ugcController));
     app.post('/api/v1/ugc/download', ugcController.downloadVideos.bind(ugcController));
     app.get('/api/v1/ugc/status/:operationId', ugcController.getGenerationStatus.bind(ugcController));
+    app.post('/api/v1/ugc/operations/:operationId/resume', (req, res, next) => {
+      req.apiKey = { id: 'key-1' };
+      next();
+    }, ugcController.resumeOperation.bind(ugcController));
+    app.get('/api/v1/ugc/operations/:operationId/video', (req, res, next) => {
+      req.apiKey = { id: 'key-1' };
+      next();
+    }, ugcController.downloadFinalVideo.bind(ugcController));
+    app.get('/api/v1/ugc/operations/:operationId/variants', (req, res, next) => {
+      req.apiKey = { id: 'key-1' };
+      next();
+    }, ugcController.getVariants.bind(ugcController));
+    app.post('/api/v1/ugc/operations/:operationId/variants', (req, res, next) => {
+      req.apiKey = { id: 'key-1' };
+      next();
+    }, ugcController.selectVariants.bind(ugcController));
+    app.get('/api/v1/ugc/operations/:operationId/segments', (req, res, next) => {
+      req.apiKey = { id: 'key-1' };
+      next();
+    }, ugcController.getSegments.bind(ugcController));
+    app.post('/api/v1/ugc/operations/:operationId/segments/:segmentKey/regenerate', (req, res, next) => {
+      req.apiKey = { id: 'key-1' };
+      next();
+    }, upload.single('seedImage'), ugcController.regenerateSegment.bind(ugcController));
+    app.post('/api/v1/ugc/operations/:operationId/segments/:segmentKey/rollback', (req, res, next) => {
+      req.apiKey = { id: 'key-1' };
+      next();
+    }, ugcController.rollbackSegment.bind(ugcController));
+    app.get('/api/v1/ugc/operations/:operationId/script', (req, res, next) => {
+      req.apiKey = { id: 'key-1' };
+      next();
+    }, ugcController.getScript.bind(ugcController));
+    app.patch('/api/v1/ugc/operations/:operationId/script/segments/:segmentKey', (req, res, next) => {
+      req.apiKey = { id: 'key-1' };
+      next();
+    }, ugcController.editScriptSegment.bind(ugcController));
+    app.post('/api/v1/ugc/operations/:operationId/script/rewrite', (req, res, next) => {
+      req.apiKey = { id: 'key-1' };
+      next();
+    }, ugcController.rewriteScript.bind(ugcController));
+    app.get('/api/v1/ugc/operations/:operationId/script/revisions', (req, res, next) => {
+      req.apiKey = { id: 'key-1' };
+      next();
+    }, ugcController.getScriptRevisions.bind(ugcController));
+    app.post('/api/v1/ugc/operations/:operationId/approve', (req, res, next) => {
+      req.apiKey = { id: 'key-1' };
+      next();
+    }, ugcController.approveOperation.bind(ugcController));
+    app.post('/api/v1/ugc/operations/:operationId/reject', (req, res, next) => {
+      req.apiKey = { id: 'key-1' };
+      next();
+    }, ugcController.rejectOperation.bind(ugcController));
+    app.post('/api/v1/ugc/briefs/structure', (req, res, next) => {
+      req.apiKey = { id: 'key-1' };
+      next();
+    }, ugcController.structureBrief.bind(ugcController));
+    app.post('/api/v1/ugc/operations/:operationId/remix', (req, res, next) => {
+      req.apiKey = { id: 'key-1' };
+      next();
+    }, ugcController.remixOperation.bind(ugcController));
 
     // Mock config
     config.maxImages = 5;
 
     // Clear all mocks
     jest.clearAllMocks();
+    planService.resolvePlan.mockResolvedValue({
+      name: 'free',
+      displayName: 'Free',
+      dailyLimit: 5,
+      monthlyLimit: 50,
+      concurrentLimit: 1,
+      queuePriority: 5,
+      maxSegments: 2,
+      maxBatchSize: 5,
+      watermarkRequired: true
+    });
+    quotaService.reserve.mockImplementation((principal, count, create) => create(null));
+    creditService.hold.mockResolvedValue(null);
+    creditService.estimateCost.mockReturnValue(20);
+    spendCapService.enforce.mockResolvedValue();
+    operationService.createOperation.mockResolvedValue({ operationId: 'ugc_1' });
+    operationService.updateOperationStatus.mockResolvedValue({});
+    jobManager.addGenerationFlow.mockResolvedValue({});
   });
 
   describe('generateUGCAd', () => {
@@ -82,39 +395,75 @@ describe('UGCController', () => {
       videoGenerationService.generateVideoSegments.mockResolvedValue(mockVideoSegments);
     });
 
-    it('should successfully generate UGC ad with valid inputs', async () => {
+    it('should queue the generation workflow and return without waiting for it', async () => {
       const response = await request(app)
         .post('/api/v1/ugc/generate')
         .field('creativeBrief', 'Test creative brief for product advertisement')
+        .field('options', JSON.stringify({ aspectRatio: '9:16' }))
         .attach('images', Buffer.from('fake-image-data'), 'test1.jpg')
-        .expect(200);
+        .expect(202);
 
       expect(response.body.success).toBe(true);
-      expect(response.body.data).toBeDefined();
-      expect(response.body.data.creativeBrief).toBe('Test creative brief for product advertisement');
-      expect(response.body.data.imageAnalysis).toEqual(mockImageAnalysis);
-      expect(response.body.data.script.segments).toEqual({
-        'segment-1': mockScriptResult['segment-1'],
-        'segment-2': mockScriptResult['segment-2']
+      expect(response.body.data).toEqual(expect.objectContaining({
+        operationId: 'ugc_1',
+        status: 'queued',
+        stages: ['image_analysis', 'script_generation', 'video_generation', 'post_processing'],
+        estimatedCost: 12.0124
+      }));
+      expect(response.body.statusEndpoint).toBe('/api/v1/ugc/status/ugc_1');
+
+      expect(jobManager.addGenerationFlow).toHaveBeenCalledWith(
+        expect.objectContaining({
+          operationId: 'ugc_1',
+          creativeBrief: 'Test creative brief for product advertisement',
+          script: null,
+          images: [{
+            data: Buffer.from('fake-image-data').toString('base64'),
+            mimeType: 'image/jpeg',
+            originalName: 'test1.jpg'
+          }],
+          options: { aspectRatio: '9:16', segments: 2, segmentDurations: [8, 8] },
+          plan: 'free',
+          queuePriority: 5,
+          watermark: true
+        }),
+        expect.objectContaining({ source: 'api', isRetry: false })
+      );
+
+      // Uploaded images are kept on the operation to resume from
+      expect(operationService.createOperation).toHaveBeenCalledWith(expect.objectContaining({
+        inputImages: [expect.objectContaining({ mimeType: 'image/jpeg', originalName: 'test1.jpg' })]
+      }));
+
+      // Where each stage reports progress is recorded before the flow is queued
+      expect(operationService.updateOperationStatus).toHaveBeenCalledWith('ugc_1', 'pending', {
+        metadata: expect.objectContaining({
+          stage: 'queued',
+          workflowJobs: expect.objectContaining({
+            video_generation: { queue: 'videoGeneration', jobId: 'ugc_1-video_generation' }
+          })
+        })
       });
-      expect(response.body.data.videoSegments).toHaveLength(2);
-      expect(response.body.message).toBe('UGC advertisement generated successfully');
+      expect(operationService.updateOperationStatus.mock.invocationCallOrder[0])
+        .toBeLessThan(jobManager.addGenerationFlow.mock.invocationCallOrder[0]);
+
+      // Image analysis and script generation run in the queue, not in the request
+      expect(imageAnalysisService.analyzeImages).not.toHaveBeenCalled();
+      expect(scriptGenerationService.generateScript).not.toHaveBeenCalled();
     });
 
-    it('should handle optional script refinement', async () => {
-      const response = await request(app)
+    it('should queue a provided script for refinement', async () => {
+      await request(app)
         .post('/api/v1/ugc/generate')
         .field('creativeBrief', 'Test creative brief')
         .field('script', 'User provided script to refine')
         .attach('images', Buffer.from('fake-image-data'), 'test1.jpg')
-        .expect(200);
+        .expect(202);
 
-      expect(scriptGenerationService.generateScript).toHaveBeenCalledWith(
-        'Test creative brief',
-        mockImageAnalysis,
-        'User provided script to refine'
+      expect(jobManager.addGenerationFlow).toHaveBeenCalledWith(
+        expect.objectContaining({ script: 'User provided script to refine' }),
+        expect.any(Object)
       );
-      expect(response.body.success).toBe(true);
     });
 
     it('should return 400 when creative brief is missing', async () => {
@@ -168,36 +517,264 @@ describe('UGCController', () => {
       expect(response.body.code).toBe('TOO_MANY_IMAGES');
     });
 
-    it('should handle image analysis service errors', async () => {
-      imageAnalysisService.analyzeImages.mockRejectedValue(new Error('Image analysis failed'));
+    it('should return 400 when options are not valid JSON', async () => {
+      const response = await request(app)
+        .post('/api/v1/ugc/generate')
+        .field('creativeBrief', 'Test creative brief')
+        .field('options', '{not json')
+        .attach('images', Buffer.from('fake-image-data'), 'test1.jpg')
+        .expect(400);
+
+      expect(response.body.code).toBe('INVALID_OPTIONS');
+    });
+
+    it('should split a target duration into segments the plan allows', async () => {
+      planService.resolvePlan.mockResolvedValue({ name: 'pro', displayName: 'Pro', maxSegments: 8, queuePriority: 2 });
+
+      await request(app)
+        .post('/api/v1/ugc/generate')
+        .field('creativeBrief', 'Test creative brief')
+        .field('options', JSON.stringify({ targetDuration: 30 }))
+        .attach('images', Buffer.from('fake-image-data'), 'test1.jpg')
+        .expect(202);
+
+      expect(jobManager.addGenerationFlow).toHaveBeenCalledWith(
+        expect.objectContaining({ options: { targetDuration: 30, segments: 4, segmentDurations: [8, 8, 7, 7] } }),
+        expect.any(Object)
+      );
+    });
 
+    it('should return 403 when a target duration needs more segments than the plan allows', async () => {
       const response = await request(app)
         .post('/api/v1/ugc/generate')
         .field('creativeBrief', 'Test creative brief')
+        .field('options', JSON.stringify({ targetDuration: 45 }))
         .attach('images', Buffer.from('fake-image-data'), 'test1.jpg')
-        .expect(500);
+        .expect(403);
 
-      expect(response.body.success).toBe(false);
-      expect(response.body.error).toContain('Image analysis failed');
-      expect(response.body.code).toBe('UGC_GENERATION_ERROR');
+      expect(response.body.code).toBe('SEGMENT_LIMIT_EXCEEDED');
     });
 
-    it('should handle script generation service errors', async () => {
-      scriptGenerationService.generateScript.mockRejectedValue(new Error('Script generation failed'));
+    it('should return 400 for segment options that cannot be generated', async () => {
+      const response = await request(app)
+        .post('/api/v1/ugc/generate')
+        .field('creativeBrief', 'Test creative brief')
+        .field('options', JSON.stringify({ targetDuration: 30, segments: 2 }))
+        .attach('images', Buffer.from('fake-image-data'), 'test1.jpg')
+        .expect(400);
+
+      expect(response.body.code).toBe('INVALID_SEGMENT_OPTIONS');
+      expect(response.body.error).toBe('A 30 second ad cannot be split into 2 segments of 4-8 seconds');
+      expect(planService.resolvePlan).not.toHaveBeenCalled();
+    });
 
+    it('should return 403 when more segments are requested than the plan allows', async () => {
       const response = await request(app)
         .post('/api/v1/ugc/generate')
         .field('creativeBrief', 'Test creative brief')
+        .field('options', JSON.stringify({ segments: 3 }))
         .attach('images', Buffer.from('fake-image-data'), 'test1.jpg')
-        .expect(500);
+        .expect(403);
 
       expect(response.body.success).toBe(false);
-      expect(response.body.error).toContain('Script generation failed');
-      expect(response.body.code).toBe('UGC_GENERATION_ERROR');
+      expect(response.body.code).toBe('SEGMENT_LIMIT_EXCEEDED');
+      expect(response.body.plan).toBe('free');
+      expect(planService.resolvePlan).toHaveBeenCalledWith({ userId: null, organizationId: null });
+    });
+
+    it('should return 429 when the plan quota is used up', async () => {
+      const quotaStatus = { monthly: { used: 50, limit: 50, remaining: 0, exceeded: true } };
+      quotaService.reserve.mockRejectedValue(
+        new quotaService.QuotaExceededError('Monthly quota exceeded', 'MONTHLY_QUOTA_EXCEEDED', quotaStatus, 1)
+      );
+
+      const response = await request(app)
+        .post('/api/v1/ugc/generate')
+        .field('creativeBrief', 'Test creative brief')
+        .attach('images', Buffer.from('fake-image-data'), 'test1.jpg')
+        .expect(429);
+
+      expect(quotaService.reserve).toHaveBeenCalledWith(
+        { userId: null, apiKeyId: null, organizationId: null },
+        1,
+        expect.any(Function),
+        { plan: expect.objectContaining({ name: 'free' }) }
+      );
+      expect(response.body.code).toBe('MONTHLY_QUOTA_EXCEEDED');
+      expect(response.body.quotaStatus).toEqual(quotaStatus);
+    });
+
+    it('should return 402 when the credit balance cannot cover the generation', async () => {
+      quotaService.reserve.mockRejectedValue(new creditService.InsufficientCreditsError(20, 5));
+
+      const response = await request(app)
+        .post('/api/v1/ugc/generate')
+        .field('creativeBrief', 'Test creative brief')
+        .attach('images', Buffer.from('fake-image-data'), 'test1.jpg')
+        .expect(402);
+
+      expect(response.body).toEqual({
+        success: false,
+        error: 'Insufficient credits: 20 required, 5 available',
+        code: 'INSUFFICIENT_CREDITS',
+        required: 20,
+        available: 5
+      });
+    });
+
+    it('should return 402 when the generation would exceed a spend cap', async () => {
+      const cap = { ownerType: 'api_key', ownerId: 'key-1', period: 'daily', spent: 8, limit: 10, remaining: 2 };
+      spendCapService.enforce.mockRejectedValue(new spendCapService.SpendCapExceededError(cap, 12.0124));
+
+      const response = await request(app)
+        .post('/api/v1/ugc/generate')
+        .field('creativeBrief', 'Test creative brief')
+        .attach('images', Buffer.from('fake-image-data'), 'test1.jpg')
+        .expect(402);
+
+      expect(spendCapService.enforce).toHaveBeenCalledWith(
+        { userId: null, apiKeyId: null, organizationId: null },
+        12.0124,
+        { transaction: null }
+      );
+      expect(response.body.code).toBe('DAILY_SPEND_CAP_EXCEEDED');
+      expect(response.body.estimatedCost).toBe(12.0124);
+      expect(response.body.spendCap).toEqual(cap);
+    });
+
+    it('should return 402 when the estimate is over maxCost', async () => {
+      const response = await request(app)
+        .post('/api/v1/ugc/generate')
+        .field('creativeBrief', 'Test creative brief')
+        .field('options', JSON.stringify({ maxCost: 5 }))
+        .attach('images', Buffer.from('fake-image-data'), 'test1.jpg')
+        .expect(402);
+
+      expect(response.body.code).toBe('MAX_COST_EXCEEDED');
+      expect(response.body.maxCost).toBe(5);
+      expect(quotaService.reserve).not.toHaveBeenCalled();
+    });
+
+    it('should return 400 when maxCost is not a positive number', async () => {
+      const response = await request(app)
+        .post('/api/v1/ugc/generate')
+        .field('creativeBrief', 'Test creative brief')
+        .field('options', JSON.stringify({ maxCost: -1 }))
+        .attach('images', Buffer.from('fake-image-data'), 'test1.jpg')
+        .expect(400);
+
+      expect(response.body.code).toBe('INVALID_MAX_COST');
+    });
+
+    it('should return 400 for invalid post-production options', async () => {
+      postProductionService.validateOptions.mockReturnValueOnce('transition must be one of: cut, fade, dissolve, slide, wipe');
+
+      const response = await request(app)
+        .post('/api/v1/ugc/generate')
+        .field('creativeBrief', 'Test creative brief')
+        .field('options', JSON.stringify({ transition: 'spin' }))
+        .attach('images', Buffer.from('fake-image-data'), 'test1.jpg')
+        .expect(400);
+
+      expect(response.body.code).toBe('INVALID_POST_PRODUCTION_OPTIONS');
+      expect(postProductionService.validateOptions).toHaveBeenCalledWith(expect.objectContaining({ transition: 'spin' }));
+      expect(quotaService.reserve).not.toHaveBeenCalled();
+    });
+
+    it('should reject an invalid variant count', async () => {
+      variantService.validateOptions.mockReturnValueOnce('variants must be a whole number from 2 to 5');
+
+      const response = await request(app)
+        .post('/api/v1/ugc/generate')
+        .field('creativeBrief', 'Test creative brief')
+        .field('options', JSON.stringify({ variants: 9 }))
+        .attach('images', Buffer.from('fake-image-data'), 'test1.jpg')
+        .expect(400);
+
+      expect(response.body.code).toBe('INVALID_VARIANT_OPTIONS');
+      expect(quotaService.reserve).not.toHaveBeenCalled();
+    });
+
+    it('should reject invalid approval options', async () => {
+      approvalService.validateOptions.mockReturnValueOnce('requireApproval must be a boolean');
+
+      const response = await request(app)
+        .post('/api/v1/ugc/generate')
+        .field('creativeBrief', 'Test creative brief')
+        .field('options', JSON.stringify({ requireApproval: 'yes' }))
+        .attach('images', Buffer.from('fake-image-data'), 'test1.jpg')
+        .expect(400);
+
+      expect(response.body.code).toBe('INVALID_APPROVAL_OPTIONS');
+      expect(approvalService.validateOptions).toHaveBeenCalledWith(expect.objectContaining({ requireApproval: 'yes' }));
+      expect(quotaService.reserve).not.toHaveBeenCalled();
+    });
+
+    it('should generate from a structured brief without a creative brief', async () => {
+      const brief = { product: 'GlowUp serum', forbiddenWords: ['cure'] };
+
+      await request(app)
+        .post('/api/v1/ugc/generate')
+        .field('brief', JSON.stringify(brief))
+        .attach('images', Buffer.from('fake-image-data'), 'test1.jpg')
+        .expect(202);
+
+      expect(briefService.applyBrief).toHaveBeenCalledWith({ creativeBrief: undefined, brief, options: {} });
+      expect(operationService.createOperation).toHaveBeenCalledWith(expect.objectContaining({
+        creativeBrief: 'Product: GlowUp serum',
+        metadata: expect.objectContaining({ options: expect.objectContaining({ brief }) })
+      }));
+      expect(jobManager.addGenerationFlow).toHaveBeenCalledWith(
+        expect.objectContaining({ creativeBrief: 'Product: GlowUp serum', options: expect.objectContaining({ brief }) }),
+        expect.any(Object)
+      );
+    });
+
+    it('should reject an invalid structured brief', async () => {
+      const response = await request(app)
+        .post('/api/v1/ugc/generate')
+        .field('creativeBrief', 'Test creative brief')
+        .field('brief', JSON.stringify({ audience: 'Busy moms' }))
+        .attach('images', Buffer.from('fake-image-data'), 'test1.jpg')
+        .expect(400);
+
+      expect(response.body.code).toBe('INVALID_BRIEF');
+      expect(response.body.error).toBe('brief.product is required');
+      expect(quotaService.reserve).not.toHaveBeenCalled();
+    });
+
+    it('should reject invalid script options', async () => {
+      scriptGenerationService.validateOptions.mockReturnValueOnce('persona must be a non-empty string of up to 300 characters');
+
+      const response = await request(app)
+        .post('/api/v1/ugc/generate')
+        .field('creativeBrief', 'Test creative brief')
+        .field('options', JSON.stringify({ persona: '' }))
+        .attach('images', Buffer.from('fake-image-data'), 'test1.jpg')
+        .expect(400);
+
+      expect(response.body.code).toBe('INVALID_SCRIPT_OPTIONS');
+      expect(quotaService.reserve).not.toHaveBeenCalled();
+    });
+
+    it('should stop a variant generation after script generation', async () => {
+      await request(app)
+        .post('/api/v1/ugc/generate')
+        .field('creativeBrief', 'Test creative brief')
+        .field('options', JSON.stringify({ variants: 3 }))
+        .attach('images', Buffer.from('fake-image-data'), 'test1.jpg')
+        .expect(202);
+
+      expect(jobManager.getWorkflowJobs).toHaveBeenCalledWith('ugc_1', { toStage: 'script_generation' });
+      expect(jobManager.addGenerationFlow).toHaveBeenCalledWith(
+        expect.objectContaining({ options: expect.objectContaining({ variants: 3 }) }),
+        expect.any(Object)
+      );
     });
 
-    it('should handle video generation service errors', async () => {
-      videoGenerationService.generateVideoSegments.mockRejectedValue(new Error('Video generation failed'));
+    it('should fail the operation and refund its hold when the workflow cannot be queued', async () => {
+      jobManager.addGenerationFlow.mockRejectedValue(new Error('Redis connection refused'));
+      const consoleSpy = jest.spyOn(console, 'error').mockImplementation();
 
       const response = await request(app)
         .post('/api/v1/ugc/generate')
@@ -206,8 +783,63 @@ describe('UGCController', () => {
         .expect(500);
 
       expect(response.body.success).toBe(false);
-      expect(response.body.error).toContain('Video generation failed');
       expect(response.body.code).toBe('UGC_GENERATION_ERROR');
+      expect(response.body.operationId).toBe('ugc_1');
+      expect(operationService.updateOperationStatus).toHaveBeenCalledWith('ugc_1', 'failed', expect.objectContaining({
+        errorMessage: 'Redis connection refused'
+      }));
+      expect(creditService.refund).toHaveBeenCalledWith('ugc_1', 'failed');
+      consoleSpy.mockRestore();
+    });
+  });
+
+  describe('quoteUGCAd', () => {
+    it('should quote a generation from an image count', async () => {
+      quoteService.quoteGeneration.mockResolvedValue({ estimatedCost: { total: 12.0124, currency: 'USD' } });
+
+      const response = await request(app)
+        .post('/api/v1/ugc/quote')
+        .send({ creativeBrief: 'Test creative brief', imageCount: 2, options: { segments: 2 } })
+        .expect(200);
+
+      expect(quoteService.quoteGeneration).toHaveBeenCalledWith(
+        { creativeBrief: 'Test creative brief', imageCount: 2, options: { segments: 2 } },
+        { userId: null, apiKeyId: 'key-1', organizationId: null }
+      );
+      expect(response.body.data.estimatedCost.total).toBe(12.0124);
+    });
+
+    it('should count uploaded images', async () => {
+      quoteService.quoteGeneration.mockResolvedValue({});
+
+      await request(app)
+        .post('/api/v1/ugc/quote')
+        .field('creativeBrief', 'Test creative brief')
+        .attach('images', Buffer.from('fake-image-data'), 'test1.jpg')
+        .attach('images', Buffer.from('fake-image-data'), 'test2.jpg')
+        .expect(200);
+
+      expect(quoteService.quoteGeneration).toHaveBeenCalledWith(
+        expect.objectContaining({ imageCount: 2 }),
+        expect.any(Object)
+      );
+    });
+
+    it('should reject quotes without images or with an invalid maxCost', async () => {
+      const cases = [
+        [{ creativeBrief: 'Test creative brief' }, 'NO_IMAGES_PROVIDED'],
+        [{ creativeBrief: 'Test creative brief', imageCount: 1, options: { maxCost: 'ten' } }, 'INVALID_MAX_COST']
+      ];
+
+      for (const [body, code] of cases) {
+        const response = await request(app)
+          .post('/api/v1/ugc/quote')
+          .send(body)
+          .expect(400);
+
+        expect(response.body.code).toBe(code);
+      }
+      expect(quoteService.quoteGeneration).not.toHaveBeenCalled();
     });
   });
 
@@ -339,53 +971,1136 @@ describe('UGCController', () => {
     });
   });
 
-  describe('validateOptions', () => {
-    it('should validate aspect ratio options', () => {
-      const validOptions = { aspectRatio: '16:9' };
-      const result = ugcController.validateOptions(validOptions);
-      expect(result.aspectRatio).toBe('16:9');
+  describe('resumeOperation', () => {
+    const images = [{ data: 'aW1hZ2U=', mimeType: 'image/jpeg', originalName: 'a.jpg' }];
+
+    const mockOperation = (overrides = {}) => ({
+      operationId: 'ugc_1',
+      status: 'failed',
+      userId: null,
+      apiKeyId: 'key-1',
+      organizationId: null,
+      creativeBrief: 'Brief',
+      checkpoints: {
+        image_analysis: { imageAnalysis: [], completedAt: '2025-09-14T00:00:00.000Z' },
+        script_generation: { script: { segments: {} }, completedAt: '2025-09-14T00:01:00.000Z' },
+        video_generation: { videoSegments: [{ segmentKey: 'segment-1' }] }
+      },
+      metadata: { options: { aspectRatio: '9:16' }, providedScript: null },
+      ...overrides
     });
 
-    it('should throw error for invalid aspect ratio', () => {
-      const invalidOptions = { aspectRatio: '4:3' };
-      expect(() => ugcController.validateOptions(invalidOptions))
-        .toThrow('Invalid aspect ratio. Must be one of: 16:9, 9:16, 1:1');
+    beforeEach(() => {
+      operationService.getOperation.mockResolvedValue(mockOperation());
+      operationService.restartOperation.mockImplementation(async (operationId, restart, onRestart) => onRestart('transaction'));
+      operationService.getInputImages.mockResolvedValue(images);
+      jobManager.getWorkflowJobs.mockImplementationOnce((operationId, { run, fromStage }) => ({
+        [fromStage]: { queue: 'videoGeneration', jobId: `${operationId}-run${run}-${fromStage}` }
+      }));
     });
 
-    it('should validate person generation options', () => {
-      const validOptions = { personGeneration: 'allow_adult' };
-      const result = ugcController.validateOptions(validOptions);
-      expect(result.personGeneration).toBe('allow_adult');
+    it('should resume from the first incomplete stage, keeping its saved segments', async () => {
+      const response = await request(app)
+        .post('/api/v1/ugc/operations/ugc_1/resume')
+        .send({})
+        .expect(202);
+
+      expect(response.body.data).toEqual(expect.objectContaining({
+        operationId: 'ugc_1',
+        status: 'queued',
+        resumedFrom: 'video_generation',
+        workflowRun: 2
+      }));
+      expect(creditService.hold).toHaveBeenCalledWith(
+        { userId: null, apiKeyId: 'key-1', organizationId: null },
+        [{ operationId: 'ugc_1', amount: 20 }],
+        { transaction: 'transaction' }
+      );
+      expect(operationService.restartOperation).toHaveBeenCalledWith('ugc_1', {
+        fromStatuses: ['failed', 'cancelled'],
+        checkpoints: mockOperation().checkpoints,
+        metadata: expect.objectContaining({ workflowRun: 2, stage: 'queued', resumedFrom: 'video_generation' })
+      }, expect.any(Function));
+      expect(jobManager.addGenerationFlow).toHaveBeenCalledWith(
+        expect.objectContaining({ operationId: 'ugc_1', images, options: { aspectRatio: '9:16' } }),
+        expect.objectContaining({ run: 2, fromStage: 'video_generation', isRetry: true })
+      );
     });
 
-    it('should throw error for invalid person generation', () => {
-      const invalidOptions = { personGeneration: 'invalid_option' };
-      expect(() => ugcController.validateOptions(invalidOptions))
-        .toThrow('Invalid person generation setting. Must be one of: allow_all, allow_adult, dont_allow');
+    it('should not restart the operation once the rate limit for its segments is exceeded', async () => {
+      RateLimitMiddleware.chargeOperationSegments.mockImplementationOnce(async (req, res) => {
+        res.status(429).json({ success: false, code: 'RATE_LIMIT_EXCEEDED' });
+        return false;
+      });
+
+      await request(app)
+        .post('/api/v1/ugc/operations/ugc_1/resume')
+        .send({})
+        .expect(429);
+
+      expect(RateLimitMiddleware.chargeOperationSegments).toHaveBeenCalledWith(expect.anything(), expect.anything(), 2);
+      expect(operationService.restartOperation).not.toHaveBeenCalled();
+      expect(jobManager.addGenerationFlow).not.toHaveBeenCalled();
     });
 
-    it('should validate segment count', () => {
-      const validOptions = { segmentCount: 2 };
-      const result = ugcController.validateOptions(validOptions);
-      expect(result.segmentCount).toBe(2);
+    it('should generate the videos from script edits made since the run stopped', async () => {
+      operationService.getOperation.mockResolvedValue(mockOperation({
+        scriptContent: { segments: { 'segment-1': 'Edited opening' }, lockedSegments: ['segment-1'], revision: 2 }
+      }));
+
+      await request(app)
+        .post('/api/v1/ugc/operations/ugc_1/resume')
+        .send({})
+        .expect(202);
+
+      const [, { checkpoints }] = operationService.restartOperation.mock.calls[0];
+      expect(checkpoints.script_generation).toEqual({
+        script: { segments: { 'segment-1': 'Edited opening' } },
+        completedAt: '2025-09-14T00:01:00.000Z'
+      });
+      expect(checkpoints.video_generation).toEqual(mockOperation().checkpoints.video_generation);
     });
 
-    it('should throw error for invalid segment count', () => {
-      const invalidOptions = { segmentCount: 5 };
-      expect(() => ugcController.validateOptions(invalidOptions))
-        .toThrow('Segment count must be between 1 and 4');
+    it('should clear the checkpoints of a forced stage and the stages after it', async () => {
+      const response = await request(app)
+        .post('/api/v1/ugc/operations/ugc_1/resume')
+        .send({ rerunStage: 'script_generation' })
+        .expect(202);
+
+      expect(response.body.data.resumedFrom).toBe('script_generation');
+      expect(operationService.restartOperation).toHaveBeenCalledWith('ugc_1', expect.objectContaining({
+        checkpoints: { image_analysis: mockOperation().checkpoints.image_analysis }
+      }), expect.any(Function));
     });
 
-    it('should validate segment duration', () => {
-      const validOptions = { segmentDuration: 7 };
-      const result = ugcController.validateOptions(validOptions);
-      expect(result.segmentDuration).toBe(7);
+    it('should start from the earlier incomplete stage when a later stage is forced', async () => {
+      await request(app)
+        .post('/api/v1/ugc/operations/ugc_1/resume')
+        .send({ rerunStage: 'post_processing' })
+        .expect(202);
+
+      expect(jobManager.addGenerationFlow).toHaveBeenCalledWith(
+        expect.any(Object),
+        expect.objectContaining({ fromStage: 'video_generation' })
+      );
     });
 
-    it('should throw error for invalid segment duration', () => {
-      const invalidOptions = { segmentDuration: 10 };
-      expect(() => ugcController.validateOptions(invalidOptions))
-        .toThrow('Segment duration must be between 5 and 8 seconds');
+    it('should only resume failed or cancelled operations', async () => {
+      operationService.getOperation.mockResolvedValue(mockOperation({ status: 'processing' }));
+
+      const response = await request(app)
+        .post('/api/v1/ugc/operations/ugc_1/resume')
+        .send({})
+        .expect(409);
+
+      expect(response.body.code).toBe('OPERATION_NOT_RESUMABLE');
+      expect(jobManager.addGenerationFlow).not.toHaveBeenCalled();
+    });
+
+    it('should not resume operations whose script was rejected or expired', async () => {
+      operationService.getOperation.mockResolvedValue(mockOperation({
+        status: 'cancelled',
+        metadata: { options: { requireApproval: true }, approval: { status: 'rejected', reason: 'Off brand' } }
+      }));
+
+      const response = await request(app)
+        .post('/api/v1/ugc/operations/ugc_1/resume')
+        .send({})
+        .expect(409);
+
+      expect(response.body.code).toBe('OPERATION_NOT_RESUMABLE');
+      expect(jobManager.addGenerationFlow).not.toHaveBeenCalled();
+    });
+
+    it('should ask for approval again when the script is written again', async () => {
+      operationService.getOperation.mockResolvedValue(mockOperation({
+        metadata: {
+          options: { requireApproval: true, scriptApproved: true },
+          approval: { status: 'approved' }
+        }
+      }));
+
+      await request(app)
+        .post('/api/v1/ugc/operations/ugc_1/resume')
+        .send({ rerunStage: 'script_generation' })
+        .expect(202);
+
+      const options = { requireApproval: true, scriptApproved: false };
+      expect(operationService.restartOperation.mock.calls[0][1].metadata).toEqual(expect.objectContaining({ options, approval: null }));
+      expect(jobManager.addGenerationFlow).toHaveBeenCalledWith(expect.objectContaining({ options }), expect.any(Object));
+    });
+
+    it('should keep an approval when only the video is generated again', async () => {
+      const options = { requireApproval: true, scriptApproved: true };
+      operationService.getOperation.mockResolvedValue(mockOperation({
+        metadata: { options, approval: { status: 'approved' } }
+      }));
+
+      await request(app)
+        .post('/api/v1/ugc/operations/ugc_1/resume')
+        .send({})
+        .expect(202);
+
+      expect(operationService.restartOperation.mock.calls[0][1].metadata).not.toHaveProperty('approval');
+      expect(jobManager.addGenerationFlow).toHaveBeenCalledWith(expect.objectContaining({ options }), expect.any(Object));
+    });
+
+    it('should reject an unknown stage', async () => {
+      const response = await request(app)
+        .post('/api/v1/ugc/operations/ugc_1/resume')
+        .send({ rerunStage: 'upload' })
+        .expect(400);
+
+      expect(response.body.code).toBe('INVALID_STAGE');
+    });
+
+    it('should not resume another API key\'s operation', async () => {
+      operationService.getOperation.mockResolvedValue(mockOperation({ apiKeyId: 'key-2' }));
+
+      const response = await request(app)
+        .post('/api/v1/ugc/operations/ugc_1/resume')
+        .send({})
+        .expect(403);
+
+      expect(response.body.code).toBe('ACCESS_DENIED');
+    });
+
+    it('should return 402 when the credits cannot be held again', async () => {
+      creditService.hold.mockRejectedValue(new creditService.InsufficientCreditsError(20, 5));
+
+      const response = await request(app)
+        .post('/api/v1/ugc/operations/ugc_1/resume')
+        .send({})
+        .expect(402);
+
+      expect(response.body.code).toBe('INSUFFICIENT_CREDITS');
+      expect(jobManager.addGenerationFlow).not.toHaveBeenCalled();
+      expect(operationService.updateOperationStatus).not.toHaveBeenCalled();
+    });
+
+    it('should return 409 without queueing or refunding when another request resumed it first', async () => {
+      operationService.restartOperation.mockRejectedValue(new operationService.OperationStateError(
+        'Only failed or cancelled operations can be restarted; this operation may already have been restarted by another request',
+        409,
+        'OPERATION_STATE_CHANGED'
+      ));
+
+      const response = await request(app)
+        .post('/api/v1/ugc/operations/ugc_1/resume')
+        .send({})
+        .expect(409);
+
+      expect(response.body.code).toBe('OPERATION_STATE_CHANGED');
+      expect(jobManager.addGenerationFlow).not.toHaveBeenCalled();
+      expect(creditService.refund).not.toHaveBeenCalled();
+      expect(operationService.updateOperationStatus).not.toHaveBeenCalled();
+    });
+
+    it('should refund the new hold and fail the operation if it cannot be queued', async () => {
+      jobManager.addGenerationFlow.mockRejectedValue(new Error('Redis unavailable'));
+      const consoleSpy = jest.spyOn(console, 'error').mockImplementation();
+
+      const response = await request(app)
+        .post('/api/v1/ugc/operations/ugc_1/resume')
+        .send({})
+        .expect(500);
+
+      expect(response.body.code).toBe('RESUME_FAILED');
+      expect(creditService.refund).toHaveBeenCalledWith('ugc_1', 'failed');
+      expect(operationService.updateOperationStatus).toHaveBeenCalledWith('ugc_1', 'failed', expect.objectContaining({
+        errorMessage: 'Redis unavailable'
+      }));
+      consoleSpy.mockRestore();
+    });
+  });
+
+  describe('downloadFinalVideo', () => {
+    it('should return 404 until the finished video is assembled', async () => {
+      operationService.getOperation.mockResolvedValue({
+        operationId: 'ugc_1',
+        status: 'processing',
+        apiKeyId: 'key-1',
+        metadata: {}
+      });
+
+      const response = await request(app)
+        .get('/api/v1/ugc/operations/ugc_1/video')
+        .expect(404);
+
+      expect(response.body.code).toBe('VIDEO_NOT_READY');
+      expect(response.body.status).toBe('processing');
+    });
+
+    it('should deny access to another principal\'s operation', async () => {
+      operationService.getOperation.mockResolvedValue({
+        operationId: 'ugc_1',
+        status: 'completed',
+        apiKeyId: 'key-2',
+        metadata: { finalVideo: { path: '/downloads/ads/ugc_1.mp4' } }
+      });
+
+      const response = await request(app)
+        .get('/api/v1/ugc/operations/ugc_1/video')
+        .expect(403);
+
+      expect(response.body.code).toBe('ACCESS_DENIED');
+    });
+
+    it('should return 404 when the finished video file is missing', async () => {
+      const consoleSpy = jest.spyOn(console, 'error').mockImplementation();
+      operationService.getOperation.mockResolvedValue({
+        operationId: 'ugc_1',
+        status: 'completed',
+        apiKeyId: 'key-1',
+        metadata: { finalVideo: { path: '/nonexistent/ugc_1.mp4' } }
+      });
+
+      const response = await request(app)
+        .get('/api/v1/ugc/operations/ugc_1/video')
+        .expect(404);
+
+      expect(response.body.code).toBe('VIDEO_FILE_MISSING');
+      consoleSpy.mockRestore();
+    });
+  });
+
+  describe('getVariants', () => {
+    const variantOperation = {
+      operationId: 'ugc_1_variant_2',
+      status: 'processing',
+      videoUrls: [],
+      metadata: { variant: { variantId: 'variant-2', angle: 'social proof' } }
+    };
+
+    it('should list each variant with the operation generating it', async () => {
+      operationService.getOperation.mockResolvedValue({
+        id: 'uuid-1',
+        operationId: 'ugc_1',
+        status: 'completed',
+        apiKeyId: 'key-1',
+        metadata: { options: { variants: 2 } },
+        scriptContent: {
+          segmentDurations: [8, 8],
+          variants: [
+            { variantId: 'variant-1', angle: 'problem-solution', segments: {} },
+            { variantId: 'variant-2', angle: 'social proof', segments: {} }
+          ]
+        }
+      });
+      operationService.getVariantOperations.mockResolvedValue([variantOperation]);
+
+      const response = await request(app)
+        .get('/api/v1/ugc/operations/ugc_1/variants')
+        .expect(200);
+
+      expect(operationService.getVariantOperations).toHaveBeenCalledWith('uuid-1');
+      expect(response.body.data.variants).toEqual([
+        expect.objectContaining({ variantId: 'variant-1', operation: null }),
+        expect.objectContaining({
+          variantId: 'variant-2',
+          operation: { operationId: 'ugc_1_variant_2', status: 'processing', videoUrls: [] }
+        })
+      ]);
+    });
+
+    it('should return 404 for an operation without variants', async () => {
+      operationService.getOperation.mockResolvedValue({ operationId: 'ugc_1', apiKeyId: 'key-1', metadata: { options: {} } });
+
+      const response = await request(app)
+        .get('/api/v1/ugc/operations/ugc_1/variants')
+        .expect(404);
+
+      expect(response.body.code).toBe('NO_VARIANTS');
+    });
+  });
+
+  describe('selectVariants', () => {
+    const parent = { id: 'uuid-1', operationId: 'ugc_1', status: 'completed', apiKeyId: 'key-1', metadata: {} };
+
+    it('should queue the chosen variants as sibling operations', async () => {
+      operationService.getOperation.mockResolvedValue(parent);
+      variantService.queueVariants.mockResolvedValue({
+        operations: [{ operationId: 'ugc_1_variant_1', variantId: 'variant-1', angle: 'problem-solution', status: 'queued' }],
+        credits: null,
+        estimatedCost: 6
+      });
+
+      const response = await request(app)
+        .post('/api/v1/ugc/operations/ugc_1/variants')
+        .send({ variants: ['variant-1'] })
+        .expect(202);
+
+      expect(variantService.queueVariants).toHaveBeenCalledWith({
+        parent,
+        selection: ['variant-1'],
+        plan: expect.objectContaining({ name: 'free' })
+      });
+      expect(response.body.data.operations).toEqual([expect.objectContaining({
+        operationId: 'ugc_1_variant_1',
+        statusEndpoint: '/api/v1/ugc/status/ugc_1_variant_1'
+      })]);
+    });
+
+    it('should queue every variant by default', async () => {
+      operationService.getOperation.mockResolvedValue(parent);
+      variantService.queueVariants.mockResolvedValue({ operations: [], credits: null, estimatedCost: 0 });
+
+      await request(app)
+        .post('/api/v1/ugc/operations/ugc_1/variants')
+        .send({})
+        .expect(202);
+
+      expect(variantService.queueVariants).toHaveBeenCalledWith(expect.objectContaining({ selection: 'all' }));
+    });
+
+    it('should charge the rate limit for every segment of each chosen variant', async () => {
+      operationService.getOperation.mockResolvedValue({ ...parent, metadata: { options: { segments: 3, variants: 3 } } });
+      variantService.queueVariants.mockResolvedValue({ operations: [], credits: null, estimatedCost: 0 });
+
+      await request(app)
+        .post('/api/v1/ugc/operations/ugc_1/variants')
+        .send({ variants: ['variant-1', 'variant-2'] })
+        .expect(202);
+
+      expect(RateLimitMiddleware.chargeOperationSegments).toHaveBeenCalledWith(expect.anything(), expect.anything(), 6);
+    });
+
+    it('should not queue variants once the rate limit is exceeded', async () => {
+      operationService.getOperation.mockResolvedValue(parent);
+      RateLimitMiddleware.chargeOperationSegments.mockImplementationOnce(async (req, res) => {
+        res.status(429).json({ success: false, code: 'RATE_LIMIT_EXCEEDED' });
+        return false;
+      });
+
+      await request(app)
+        .post('/api/v1/ugc/operations/ugc_1/variants')
+        .send({ variants: ['variant-1'] })
+        .expect(429);
+
+      expect(variantService.queueVariants).not.toHaveBeenCalled();
+    });
+
+    it('should return selection errors with their status', async () => {
+      operationService.getOperation.mockResolvedValue(parent);
+      variantService.queueVariants.mockRejectedValue(
+        new variantService.VariantSelectionError('Variants already queued for video generation: variant-1', 409, 'VARIANT_ALREADY_QUEUED')
+      );
+
+      const response = await request(app)
+        .post('/api/v1/ugc/operations/ugc_1/variants')
+        .send({ variants: ['variant-1'] })
+        .expect(409);
+
+      expect(response.body.code).toBe('VARIANT_ALREADY_QUEUED');
+    });
+
+    it('should not queue another API key\'s variants', async () => {
+      operationService.getOperation.mockResolvedValue({ ...parent, apiKeyId: 'key-2' });
+
+      await request(app)
+        .post('/api/v1/ugc/operations/ugc_1/variants')
+        .send({ variants: 'all' })
+        .expect(403);
+
+      expect(variantService.queueVariants).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getSegments', () => {
+    it('should list the segments of the operation with their takes', async () => {
+      const operation = { operationId: 'ugc_1', status: 'completed', apiKeyId: 'key-1' };
+      const segments = [{ segmentKey: 'segment-1', currentVersion: 1, versions: [{ version: 1, current: true }] }];
+      operationService.getOperation.mockResolvedValue(operation);
+      segmentVersionService.getSegments.mockReturnValue(segments);
+
+      const response = await request(app)
+        .get('/api/v1/ugc/operations/ugc_1/segments')
+        .expect(200);
+
+      expect(segmentVersionService.getSegments).toHaveBeenCalledWith(operation);
+      expect(response.body.data).toEqual({ operationId: 'ugc_1', status: 'completed', segments });
+    });
+
+    it('should return 404 for an operation without segments', async () => {
+      operationService.getOperation.mockResolvedValue({ operationId: 'ugc_1', apiKeyId: 'key-1' });
+      segmentVersionService.getSegments.mockReturnValue(null);
+
+      const response = await request(app)
+        .get('/api/v1/ugc/operations/ugc_1/segments')
+        .expect(404);
+
+      expect(response.body.code).toBe('NO_SEGMENTS');
+    });
+  });
+
+  describe('regenerateSegment', () => {
+    const operation = { operationId: 'ugc_1', status: 'completed', apiKeyId: 'key-1', userId: null, organizationId: null };
+
+    beforeEach(() => {
+      segmentVersionService.queueRegeneration.mockResolvedValue({
+        segmentKey: 'segment-2',
+        version: 2,
+        workflowJobs: { video_generation: {}, post_processing: {} },
+        workflowRun: 2,
+        credits: { held: 10, balance: 90 }
+      });
+    });
+
+    it('should queue a new take of the segment with its edited prompt and seed image', async () => {
+      operationService.getOperation.mockResolvedValue(operation);
+
+      const response = await request(app)
+        .post('/api/v1/ugc/operations/ugc_1/segments/segment-2/regenerate')
+        .field('prompt', 'Close with a smile')
+        .attach('seedImage', Buffer.from('seed'), { filename: 'seed.png', contentType: 'image/png' })
+        .expect(202);
+
+      expect(segmentVersionService.queueRegeneration).toHaveBeenCalledWith({
+        operation,
+        segmentKey: 'segment-2',
+        prompt: 'Close with a smile',
+        seedImage: { data: Buffer.from('seed').toString('base64'), mimeType: 'image/png', originalName: 'seed.png' },
+        plan: expect.objectContaining({ name: 'free' })
+      });
+      expect(response.body.data).toEqual({
+        operationId: 'ugc_1',
+        segmentKey: 'segment-2',
+        version: 2,
+        status: 'queued',
+        stages: ['video_generation', 'post_processing'],
+        workflowRun: 2,
+        credits: { held: 10, balance: 90 }
+      });
+    });
+
+    it('should regenerate from the stored prompt when none is given', async () => {
+      operationService.getOperation.mockResolvedValue(operation);
+
+      await request(app)
+        .post('/api/v1/ugc/operations/ugc_1/segments/segment-2/regenerate')
+        .send({})
+        .expect(202);
+
+      expect(segmentVersionService.queueRegeneration).toHaveBeenCalledWith(expect.objectContaining({ prompt: null, seedImage: null }));
+    });
+
+    it('should reject an invalid prompt', async () => {
+      operationService.getOperation.mockResolvedValue(operation);
+
+      const response = await request(app)
+        .post('/api/v1/ugc/operations/ugc_1/segments/segment-2/regenerate')
+        .send({ prompt: '' })
+        .expect(400);
+
+      expect(response.body.code).toBe('INVALID_SEGMENT_PROMPT');
+      expect(segmentVersionService.queueRegeneration).not.toHaveBeenCalled();
+    });
+
+    it('should return segment errors with their status', async () => {
+      operationService.getOperation.mockResolvedValue(operation);
+      segmentVersionService.queueRegeneration.mockRejectedValue(
+        new segmentVersionService.SegmentVersionError('Segment not found: segment-9', 404, 'SEGMENT_NOT_FOUND')
+      );
+
+      const response = await request(app)
+        .post('/api/v1/ugc/operations/ugc_1/segments/segment-9/regenerate')
+        .send({})
+        .expect(404);
+
+      expect(response.body.code).toBe('SEGMENT_NOT_FOUND');
+    });
+
+    it('should return 402 when credits cannot cover the segment', async () => {
+      operationService.getOperation.mockResolvedValue(operation);
+      segmentVersionService.queueRegeneration.mockRejectedValue(new creditService.InsufficientCreditsError(10, 4));
+
+      const response = await request(app)
+        .post('/api/v1/ugc/operations/ugc_1/segments/segment-2/regenerate')
+        .send({})
+        .expect(402);
+
+      expect(response.body.code).toBe('INSUFFICIENT_CREDITS');
+    });
+
+    it('should not regenerate another API key\'s segments', async () => {
+      operationService.getOperation.mockResolvedValue({ ...operation, apiKeyId: 'key-2' });
+
+      await request(app)
+        .post('/api/v1/ugc/operations/ugc_1/segments/segment-2/regenerate')
+        .send({})
+        .expect(403);
+
+      expect(segmentVersionService.queueRegeneration).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('rollbackSegment', () => {
+    const operation = { operationId: 'ugc_1', status: 'completed', apiKeyId: 'key-1', userId: null, organizationId: null };
+
+    it('should queue reassembly with the earlier take', async () => {
+      operationService.getOperation.mockResolvedValue(operation);
+      segmentVersionService.queueRollback.mockResolvedValue({
+        segmentKey: 'segment-2',
+        version: 1,
+        workflowJobs: { post_processing: {} },
+        workflowRun: 3
+      });
+
+      const response = await request(app)
+        .post('/api/v1/ugc/operations/ugc_1/segments/segment-2/rollback')
+        .send({ version: 1 })
+        .expect(202);
+
+      expect(segmentVersionService.queueRollback).toHaveBeenCalledWith({
+        operation,
+        segmentKey: 'segment-2',
+        version: 1,
+        plan: expect.objectContaining({ name: 'free' })
+      });
+      expect(response.body.data.stages).toEqual(['post_processing']);
+    });
+
+    it('should reject invalid versions', async () => {
+      operationService.getOperation.mockResolvedValue(operation);
+
+      for (const version of [undefined, 0, 1.5, '1']) {
+        const response = await request(app)
+          .post('/api/v1/ugc/operations/ugc_1/segments/segment-2/rollback')
+          .send({ version })
+          .expect(400);
+
+        expect(response.body.code).toBe('INVALID_SEGMENT_VERSION');
+      }
+      expect(segmentVersionService.queueRollback).not.toHaveBeenCalled();
+    });
+
+    it('should return segment errors with their status', async () => {
+      operationService.getOperation.mockResolvedValue(operation);
+      segmentVersionService.queueRollback.mockRejectedValue(
+        new segmentVersionService.SegmentVersionError('Version 2 is already the current take of segment-2', 409, 'SEGMENT_VERSION_CURRENT')
+      );
+
+      const response = await request(app)
+        .post('/api/v1/ugc/operations/ugc_1/segments/segment-2/rollback')
+        .send({ version: 2 })
+        .expect(409);
+
+      expect(response.body.code).toBe('SEGMENT_VERSION_CURRENT');
+    });
+  });
+
+  describe('getScript', () => {
+    it('should show the script segment by segment', async () => {
+      const script = { revision: 2, segments: [{ segmentKey: 'segment-1', text: 'Open', duration: 8, locked: true, stale: false }] };
+      operationService.getOperation.mockResolvedValue({ operationId: 'ugc_1', status: 'completed', apiKeyId: 'key-1' });
+      scriptEditingService.getScript.mockReturnValue(script);
+
+      const response = await request(app)
+        .get('/api/v1/ugc/operations/ugc_1/script')
+        .expect(200);
+
+      expect(response.body.data).toEqual({ operationId: 'ugc_1', status: 'completed', ...script });
+    });
+
+    it('should return 404 for an operation without a script', async () => {
+      operationService.getOperation.mockResolvedValue({ operationId: 'ugc_1', apiKeyId: 'key-1' });
+      scriptEditingService.getScript.mockReturnValue(null);
+
+      const response = await request(app)
+        .get('/api/v1/ugc/operations/ugc_1/script')
+        .expect(404);
+
+      expect(response.body.code).toBe('NO_SCRIPT');
+    });
+  });
+
+  describe('editScriptSegment', () => {
+    const operation = { operationId: 'ugc_1', status: 'completed', apiKeyId: 'key-1', userId: null };
+
+    it('should save the edit and return the new revision with its changes', async () => {
+      const changes = [{ segmentKey: 'segment-2', field: 'locked', before: false, after: true }];
+      operationService.getOperation.mockResolvedValue(operation);
+      scriptEditingService.editSegment.mockResolvedValue({ revision: 2, changes, script: { revision: 2, segments: [] } });
+
+      const response = await request(app)
+        .patch('/api/v1/ugc/operations/ugc_1/script/segments/segment-2')
+        .send({ locked: true })
+        .expect(200);
+
+      expect(scriptEditingService.editSegment).toHaveBeenCalledWith({
+        operation,
+        segmentKey: 'segment-2',
+        text: undefined,
+        locked: true,
+        editedBy: { userId: null, apiKeyId: 'key-1' }
+      });
+      expect(response.body.data).toEqual({ operationId: 'ugc_1', revision: 2, changes, segments: [] });
+      expect(response.body.message).toBe('Script revision 2 saved');
+    });
+
+    it('should reject an empty edit', async () => {
+      operationService.getOperation.mockResolvedValue(operation);
+
+      const response = await request(app)
+        .patch('/api/v1/ugc/operations/ugc_1/script/segments/segment-2')
+        .send({})
+        .expect(400);
+
+      expect(response.body.code).toBe('INVALID_SCRIPT_EDIT');
+      expect(scriptEditingService.editSegment).not.toHaveBeenCalled();
+    });
+
+    it('should return script errors with their status', async () => {
+      operationService.getOperation.mockResolvedValue(operation);
+      scriptEditingService.editSegment.mockRejectedValue(
+        new scriptEditingService.ScriptEditError('The script cannot be edited while the operation is processing', 409, 'SCRIPT_NOT_EDITABLE')
+      );
+
+      const response = await request(app)
+        .patch('/api/v1/ugc/operations/ugc_1/script/segments/segment-2')
+        .send({ locked: true })
+        .expect(409);
+
+      expect(response.body.code).toBe('SCRIPT_NOT_EDITABLE');
+    });
+
+    it('should not edit another API key\'s script', async () => {
+      operationService.getOperation.mockResolvedValue({ ...operation, apiKeyId: 'key-2' });
+
+      await request(app)
+        .patch('/api/v1/ugc/operations/ugc_1/script/segments/segment-2')
+        .send({ locked: true })
+        .expect(403);
+
+      expect(scriptEditingService.editSegment).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('rewriteScript', () => {
+    const operation = { operationId: 'ugc_1', status: 'completed', apiKeyId: 'key-1', userId: null };
+
+    it('should rewrite the unlocked segments with the instructions', async () => {
+      operationService.getOperation.mockResolvedValue(operation);
+      scriptEditingService.rewriteUnlocked.mockResolvedValue({ revision: 3, changes: [{ segmentKey: 'segment-2', field: 'text' }], script: { revision: 3, segments: [] } });
+
+      const response = await request(app)
+        .post('/api/v1/ugc/operations/ugc_1/script/rewrite')
+        .send({ instructions: 'Make it funnier' })
+        .expect(200);
+
+      expect(scriptEditingService.rewriteUnlocked).toHaveBeenCalledWith({
+        operation,
+        instructions: 'Make it funnier',
+        editedBy: { userId: null, apiKeyId: 'key-1' }
+      });
+      expect(response.body.data.revision).toBe(3);
+    });
+
+    it('should reject invalid instructions', async () => {
+      operationService.getOperation.mockResolvedValue(operation);
+
+      const response = await request(app)
+        .post('/api/v1/ugc/operations/ugc_1/script/rewrite')
+        .send({ instructions: '' })
+        .expect(400);
+
+      expect(response.body.code).toBe('INVALID_REWRITE');
+    });
+
+    it('should return script errors with their status', async () => {
+      operationService.getOperation.mockResolvedValue(operation);
+      scriptEditingService.rewriteUnlocked.mockRejectedValue(
+        new scriptEditingService.ScriptEditError('Every segment is locked; unlock one to rewrite it', 409, 'NO_UNLOCKED_SEGMENTS')
+      );
+
+      const response = await request(app)
+        .post('/api/v1/ugc/operations/ugc_1/script/rewrite')
+        .send({})
+        .expect(409);
+
+      expect(response.body.code).toBe('NO_UNLOCKED_SEGMENTS');
+    });
+  });
+
+  describe('getScriptRevisions', () => {
+    it('should list the revisions of the script', async () => {
+      const revisions = [{ revision: 1, source: 'generated', changes: [] }, { revision: 2, source: 'edit', changes: [] }];
+      operationService.getOperation.mockResolvedValue({ operationId: 'ugc_1', apiKeyId: 'key-1', scriptContent: { revision: 2 } });
+      scriptEditingService.getRevisions.mockReturnValue(revisions);
+
+      const response = await request(app)
+        .get('/api/v1/ugc/operations/ugc_1/script/revisions')
+        .expect(200);
+
+      expect(response.body.data).toEqual({ operationId: 'ugc_1', currentRevision: 2, revisions });
+    });
+
+    it('should return 404 for an operation without a script', async () => {
+      operationService.getOperation.mockResolvedValue({ operationId: 'ugc_1', apiKeyId: 'key-1' });
+      scriptEditingService.getRevisions.mockReturnValue(null);
+
+      const response = await request(app)
+        .get('/api/v1/ugc/operations/ugc_1/script/revisions')
+        .expect(404);
+
+      expect(response.body.code).toBe('NO_SCRIPT');
+    });
+  });
+
+  describe('approveOperation', () => {
+    const operation = { operationId: 'ugc_1', status: 'awaiting_approval', apiKeyId: 'key-1', userId: null, organizationId: null };
+    const segments = { 'segment-2': 'Person pours a glass and toasts with friends on the terrace' };
+
+    it('should approve the script with its edits and queue the video', async () => {
+      const changes = [{ segmentKey: 'segment-2', field: 'text', before: 'Close', after: segments['segment-2'] }];
+      operationService.getOperation.mockResolvedValue(operation);
+      approvalService.approve.mockResolvedValue({
+        revision: 2,
+        changes,
+        workflowJobs: { video_generation: {}, post_processing: {} },
+        workflowRun: 2
+      });
+
+      const response = await request(app)
+        .post('/api/v1/ugc/operations/ugc_1/approve')
+        .send({ segments })
+        .expect(202);
+
+      expect(approvalService.approve).toHaveBeenCalledWith({
+        operation,
+        segments,
+        approvedBy: { userId: null, apiKeyId: 'key-1' },
+        plan: expect.objectContaining({ name: expect.any(String) })
+      });
+      expect(response.body.data).toEqual({
+        operationId: 'ugc_1',
+        status: 'queued',
+        revision: 2,
+        changes,
+        stages: ['video_generation', 'post_processing'],
+        workflowRun: 2
+      });
+    });
+
+    it('should charge the rate limit for every segment the approved script generates', async () => {
+      operationService.getOperation.mockResolvedValue({ ...operation, metadata: { options: { segments: 4 } } });
+      approvalService.approve.mockResolvedValue({ revision: 1, changes: [], workflowJobs: {}, workflowRun: 2 });
+
+      await request(app)
+        .post('/api/v1/ugc/operations/ugc_1/approve')
+        .send({})
+        .expect(202);
+
+      expect(RateLimitMiddleware.chargeOperationSegments).toHaveBeenCalledWith(expect.anything(), expect.anything(), 4);
+    });
+
+    it('should reject invalid edits', async () => {
+      operationService.getOperation.mockResolvedValue(operation);
+
+      const response = await request(app)
+        .post('/api/v1/ugc/operations/ugc_1/approve')
+        .send({ segments: ['Edited'] })
+        .expect(400);
+
+      expect(response.body.code).toBe('INVALID_APPROVAL');
+      expect(approvalService.approve).not.toHaveBeenCalled();
+    });
+
+    it('should return approval and script errors with their status', async () => {
+      operationService.getOperation.mockResolvedValue(operation);
+      approvalService.approve.mockRejectedValueOnce(
+        new approvalService.ApprovalError('Only operations awaiting approval can be approved or rejected', 409, 'NOT_AWAITING_APPROVAL')
+      );
+      approvalService.approve.mockRejectedValueOnce(
+        new scriptEditingService.ScriptEditError('Segment not found: segment-9', 404, 'SEGMENT_NOT_FOUND')
+      );
+
+      const notWaiting = await request(app).post('/api/v1/ugc/operations/ugc_1/approve').send({}).expect(409);
+      const unknownSegment = await request(app).post('/api/v1/ugc/operations/ugc_1/approve').send({ segments }).expect(404);
+
+      expect(notWaiting.body.code).toBe('NOT_AWAITING_APPROVAL');
+      expect(unknownSegment.body.code).toBe('SEGMENT_NOT_FOUND');
+    });
+
+    it('should not approve another API key\'s operation', async () => {
+      operationService.getOperation.mockResolvedValue({ ...operation, apiKeyId: 'key-2' });
+
+      await request(app)
+        .post('/api/v1/ugc/operations/ugc_1/approve')
+        .send({})
+        .expect(403);
+
+      expect(approvalService.approve).not.toHaveBeenCalled();
+    });
+
+    it('should let an editor of the organization approve a teammate\'s operation', async () => {
+      const teamApp = express();
+      teamApp.use(express.json());
+      teamApp.post('/api/v1/ugc/operations/:operationId/approve', (req, res, next) => {
+        req.user = { id: 'user-2' };
+        req.organization = { id: 'org-1', role: 'editor' };
+        next();
+      }, ugcController.approveOperation.bind(ugcController));
+      const teamOperation = { ...operation, apiKeyId: null, userId: 'user-1', organizationId: 'org-1' };
+      operationService.getOperation.mockResolvedValue(teamOperation);
+      approvalService.approve.mockResolvedValue({ revision: 1, changes: [], workflowJobs: {}, workflowRun: 2 });
+
+      await request(teamApp)
+        .post('/api/v1/ugc/operations/ugc_1/approve')
+        .send({})
+        .expect(202);
+
+      expect(approvalService.approve).toHaveBeenCalledWith(expect.objectContaining({
+        operation: teamOperation,
+        approvedBy: { userId: 'user-2', apiKeyId: null }
+      }));
+    });
+  });
+
+  describe('rejectOperation', () => {
+    const operation = { operationId: 'ugc_1', status: 'awaiting_approval', apiKeyId: 'key-1', userId: null };
+
+    it('should reject the script and cancel the operation', async () => {
+      const approval = { status: 'rejected', reason: 'Off brand', rejectedAt: '2025-01-01T00:00:00.000Z' };
+      operationService.getOperation.mockResolvedValue(operation);
+      approvalService.reject.mockResolvedValue(approval);
+
+      const response = await request(app)
+        .post('/api/v1/ugc/operations/ugc_1/reject')
+        .send({ reason: 'Off brand' })
+        .expect(200);
+
+      expect(approvalService.reject).toHaveBeenCalledWith({
+        operation,
+        reason: 'Off brand',
+        rejectedBy: { userId: null, apiKeyId: 'key-1' }
+      });
+      expect(response.body.data).toEqual({ operationId: 'ugc_1', status: 'cancelled', approval });
+    });
+
+    it('should require a reason', async () => {
+      operationService.getOperation.mockResolvedValue(operation);
+
+      const response = await request(app)
+        .post('/api/v1/ugc/operations/ugc_1/reject')
+        .send({})
+        .expect(400);
+
+      expect(response.body.code).toBe('INVALID_REJECTION');
+      expect(approvalService.reject).not.toHaveBeenCalled();
+    });
+
+    it('should refuse operations that are not awaiting approval', async () => {
+      operationService.getOperation.mockResolvedValue({ ...operation, status: 'completed' });
+      approvalService.reject.mockRejectedValue(
+        new approvalService.ApprovalError('Only operations awaiting approval can be approved or rejected', 409, 'NOT_AWAITING_APPROVAL')
+      );
+
+      const response = await request(app)
+        .post('/api/v1/ugc/operations/ugc_1/reject')
+        .send({ reason: 'Off brand' })
+        .expect(409);
+
+      expect(response.body.code).toBe('NOT_AWAITING_APPROVAL');
+    });
+  });
+
+  describe('remixOperation', () => {
+    const parent = { id: 'uuid-1', operationId: 'ugc_1', status: 'completed', apiKeyId: 'key-1', userId: null, organizationId: null };
+
+    it('should queue a remix owned by the caller', async () => {
+      operationService.getOperation.mockResolvedValue(parent);
+      remixService.remix.mockResolvedValue({
+        operation: { operationId: 'ugc_2' },
+        fromStage: 'video_generation',
+        workflowJobs: { video_generation: {}, post_processing: {} },
+        credits: null,
+        estimatedCost: 6
+      });
+
+      const response = await request(app)
+        .post('/api/v1/ugc/operations/ugc_1/remix')
+        .send({ aspectRatio: '9:16' })
+        .expect(202);
+
+      expect(remixService.remix).toHaveBeenCalledWith({
+        parent,
+        overrides: { creativeBrief: undefined, script: undefined, aspectRatio: '9:16', persona: undefined },
+        principal: { userId: null, apiKeyId: 'key-1', organizationId: null },
+        plan: expect.objectContaining({ name: 'free' })
+      });
+      expect(response.body.data).toEqual({
+        operationId: 'ugc_2',
+        parentOperationId: 'ugc_1',
+        status: 'queued',
+        startsFrom: 'video_generation',
+        stages: ['video_generation', 'post_processing'],
+        estimatedCost: 6
+      });
+      expect(response.body.statusEndpoint).toBe('/api/v1/ugc/status/ugc_2');
+    });
+
+    it('should not queue a remix once the rate limit is exceeded', async () => {
+      operationService.getOperation.mockResolvedValue({ ...parent, metadata: { options: { segments: 5 } } });
+      RateLimitMiddleware.chargeOperationSegments.mockImplementationOnce(async (req, res) => {
+        res.status(429).json({ success: false, code: 'RATE_LIMIT_EXCEEDED' });
+        return false;
+      });
+
+      await request(app)
+        .post('/api/v1/ugc/operations/ugc_1/remix')
+        .send({ aspectRatio: '9:16' })
+        .expect(429);
+
+      expect(RateLimitMiddleware.chargeOperationSegments).toHaveBeenCalledWith(expect.anything(), expect.anything(), 5);
+      expect(remixService.remix).not.toHaveBeenCalled();
+    });
+
+    it('should reject invalid overrides', async () => {
+      operationService.getOperation.mockResolvedValue(parent);
+
+      const response = await request(app)
+        .post('/api/v1/ugc/operations/ugc_1/remix')
+        .send({ aspectRatio: '4:3' })
+        .expect(400);
+
+      expect(response.body.code).toBe('INVALID_REMIX');
+      expect(remixService.remix).not.toHaveBeenCalled();
+    });
+
+    it('should return remix errors with their status', async () => {
+      operationService.getOperation.mockResolvedValue(parent);
+      remixService.remix.mockRejectedValue(
+        new remixService.RemixError('The images of this operation were not kept, so it cannot be remixed', 409, 'NO_INPUT_IMAGES')
+      );
+
+      const response = await request(app)
+        .post('/api/v1/ugc/operations/ugc_1/remix')
+        .send({})
+        .expect(409);
+
+      expect(response.body.code).toBe('NO_INPUT_IMAGES');
+    });
+
+    it('should not remix another API key\'s operation', async () => {
+      operationService.getOperation.mockResolvedValue({ ...parent, apiKeyId: 'key-2' });
+
+      await request(app)
+        .post('/api/v1/ugc/operations/ugc_1/remix')
+        .send({})
+        .expect(403);
+
+      expect(remixService.remix).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('structureBrief', () => {
+    it('should draft a structured brief for the caller', async () => {
+      const brief = { product: 'GlowUp serum', tone: 'Playful' };
+      briefService.structure.mockResolvedValue({ brief, missing: ['audience'] });
+
+      const response = await request(app)
+        .post('/api/v1/ugc/briefs/structure')
+        .send({ text: 'Playful ad for GlowUp serum' })
+        .expect(200);
+
+      expect(briefService.structure).toHaveBeenCalledWith('Playful ad for GlowUp serum', {
+        userId: null,
+        apiKeyId: 'key-1',
+        organizationId: null
+      });
+      expect(response.body.data).toEqual({ brief, missing: ['audience'] });
+    });
+
+    it('should reject a missing text', async () => {
+      const response = await request(app)
+        .post('/api/v1/ugc/briefs/structure')
+        .send({})
+        .expect(400);
+
+      expect(response.body.code).toBe('INVALID_BRIEF_TEXT');
+      expect(briefService.structure).not.toHaveBeenCalled();
+    });
+
+    it('should return briefs that cannot be structured with their status', async () => {
+      briefService.structure.mockRejectedValue(
+        new briefService.BriefError('The brief could not be structured: brief.product is required', 422, 'BRIEF_NOT_STRUCTURED')
+      );
+
+      const response = await request(app)
+        .post('/api/v1/ugc/briefs/structure')
+        .send({ text: 'Something for busy moms' })
+        .expect(422);
+
+      expect(response.body.code).toBe('BRIEF_NOT_STRUCTURED');
+    });
+  });
+
+  describe('validateOptions', () => {
+    it('should validate aspect ratio options', () => {
+      const validOptions = { aspectRatio: '16:9' };
+      const result = ugcController.validateOptions(validOptions);
+      expect(result.aspectRatio).toBe('16:9');
+    });
+
+    it('should throw error for invalid aspect ratio', () => {
+      const invalidOptions = { aspectRatio: '4:3' };
+      expect(() => ugcController.validateOptions(invalidOptions))
+        .toThrow('Invalid aspect ratio. Must be one of: 16:9, 9:16, 1:1');
+    });
+
+    it('should validate person generation options', () => {
+      const validOptions = { personGeneration: 'allow_adult' };
+      const result = ugcController.validateOptions(validOptions);
+      expect(result.personGeneration).toBe('allow_adult');
+    });
+
+    it('should throw error for invalid person generation', () => {
+      const invalidOptions = { personGeneration: 'invalid_option' };
+      expect(() => ugcController.validateOptions(invalidOptions))
+        .toThrow('Invalid person generation setting. Must be one of: allow_all, allow_adult, dont_allow');
+    });
+
+    it('should validate segment count', () => {
+      const validOptions = { segmentCount: 2 };
+      const result = ugcController.validateOptions(validOptions);
+      expect(result.segmentCount).toBe(2);
+    });
+
+    it('should throw error for invalid segment count', () => {
+      const invalidOptions = { segmentCount: 5 };
+      expect(() => ugcController.validateOptions(invalidOptions))
+        .toThrow('Segment count must be between 1 and 4');
+    });
+
+    it('should validate segment duration', () => {
+      const validOptions = { segmentDuration: 7 };
+      const result = ugcController.validateOptions(validOptions);
+      expect(result.segmentDuration).toBe(7);
+    });
+
+    it('should throw error for invalid segment duration', () => {
+      const invalidOptions = { segmentDuration: 10 };
+      expect(() => ugcController.validateOptions(invalidOptions))
+        .toThrow('Segment duration must be between 5 and 8 seconds');
+    });
+  });
+
+  describe('canAccessOperation', () => {
+    const operation = { operationId: 'ugc_1', userId: 'user-1', apiKeyId: null, organizationId: 'org-1' };
+
+    it('should let the creator access their operation', () => {
+      expect(ugcController.canAccessOperation({ user: { id: 'user-1' }, organization: null }, operation)).toBe(true);
+    });
+
+    it('should share an organization\'s operations with its other members and keys', () => {
+      expect(ugcController.canAccessOperation({ user: { id: 'user-2' }, organization: { id: 'org-1', role: 'viewer' } }, operation)).toBe(true);
+      expect(ugcController.canAccessOperation({ apiKey: { id: 'key-1' }, organization: { id: 'org-1', role: null } }, operation)).toBe(true);
+    });
+
+    it('should refuse callers outside the operation\'s organization', () => {
+      expect(ugcController.canAccessOperation({ user: { id: 'user-2' }, organization: { id: 'org-2', role: 'owner' } }, operation)).toBe(false);
+      expect(ugcController.canAccessOperation({ user: { id: 'user-2' }, organization: null }, { ...operation, organizationId: null })).toBe(false);
     });
   });
 
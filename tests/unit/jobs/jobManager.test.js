@@ -1,8 +1,17 @@
 const jobManager = require('../../../src/jobs/jobManager');
-const { queues } = require('../../../src/config/queue');
+const { queues, flowProducer } = require('../../../src/config/queue');
 
 // Mock the queue configuration
 jest.mock('../../../src/config/queue', () => ({
+  WORKFLOW_STAGES: [
+    { name: 'image_analysis', queue: 'imageAnalysis', queueName: 'image-analysis', jobName: 'analyze-images', attempts: 3, weight: 10 },
+    { name: 'script_generation', queue: 'scriptGeneration', queueName: 'script-generation', jobName: 'generate-script', attempts: 3, weight: 10 },
+    { name: 'video_generation', queue: 'videoGeneration', queueName: 'video-generation', jobName: 'generate-video', attempts: 3, weight: 70 },
+    { name: 'post_processing', queue: 'videoProcessing', queueName: 'video-processing', jobName: 'post-process', attempts: 2, weight: 10 }
+  ],
+  flowProducer: {
+    add: jest.fn(),
+  },
   queues: {
     videoGeneration: {
       add: jest.fn(),
@@ -33,6 +42,8 @@ jest.mock('../../../src/config/queue', () => ({
     },
   },
   events: {
+    imageAnalysis: { on: jest.fn() },
+    scriptGeneration: { on: jest.fn() },
     videoGeneration: { on: jest.fn() },
     videoProcessing: { on: jest.fn() },
     cleanup: { on: jest.fn() },
@@ -40,6 +51,18 @@ jest.mock('../../../src/config/queue', () => ({
 }));
 
 // Mock processors
+jest.mock('../../../src/jobs/processors/imageAnalysisProcessor', () => ({
+  start: jest.fn(),
+  stop: jest.fn(),
+  isRunning: false,
+}));
+
+jest.mock('../../../src/jobs/processors/scriptGenerationProcessor', () => ({
+  start: jest.fn(),
+  stop: jest.fn(),
+  isRunning: false,
+}));
+
 jest.mock('../../../src/jobs/processors/videoGenerationProcessor', () => ({
   start: jest.fn(),
   stop: jest.fn(),
@@ -115,6 +138,137 @@ describe('JobManager', () => {
     });
   });
 
+  describe('addGenerationFlow', () => {
+    const jobData = {
+      operationId: 'ugc_1',
+      creativeBrief: 'Test brief',
+      script: null,
+      images: [{ data: 'aW1hZ2U=', mimeType: 'image/jpeg', originalName: 'a.jpg' }],
+      options: { aspectRatio: '9:16' },
+      userId: 'user-1',
+      plan: 'pro',
+      queuePriority: 3,
+      watermark: false,
+    };
+
+    /**
+     * Walk the queued flow from the last stage down to the first
+     */
+    const flattenFlow = (node) => (node ? [node, ...flattenFlow(node.children?.[0])] : []);
+
+    it('should queue the stages as a chain of parent and child jobs', async () => {
+      flowProducer.add.mockResolvedValue({});
+
+      const jobs = await jobManager.addGenerationFlow(jobData, { source: 'api' });
+
+      const [postProcessing, videoGeneration, scriptGeneration, imageAnalysis] = flattenFlow(flowProducer.add.mock.calls[0][0]);
+      expect([postProcessing, videoGeneration, scriptGeneration, imageAnalysis].map(node => node.queueName)).toEqual([
+        'video-processing', 'video-generation', 'script-generation', 'image-analysis'
+      ]);
+      expect(imageAnalysis.children).toBeUndefined();
+      expect(imageAnalysis.data.images).toEqual(jobData.images);
+      expect(scriptGeneration.data).toEqual(expect.objectContaining({ creativeBrief: 'Test brief', providedScript: null }));
+      expect(videoGeneration.data.referenceImage).toEqual(jobData.images[0]);
+      expect(postProcessing.data).toEqual(expect.objectContaining({ type: 'post_process', plan: 'pro' }));
+
+      expect(imageAnalysis.opts).toEqual(expect.objectContaining({
+        jobId: 'ugc_1-image_analysis',
+        priority: 2,
+        attempts: 3,
+        failParentOnFailure: true,
+      }));
+      expect(postProcessing.opts.attempts).toBe(2);
+      expect(jobs).toEqual(jobManager.getWorkflowJobs('ugc_1'));
+    });
+
+    it('should delay only the first stage of a scheduled workflow', async () => {
+      flowProducer.add.mockResolvedValue({});
+      const scheduledFor = new Date(Date.now() + 60000).toISOString();
+
+      await jobManager.addGenerationFlow(jobData, { scheduledFor });
+
+      const [postProcessing, , , imageAnalysis] = flattenFlow(flowProducer.add.mock.calls[0][0]);
+      expect(imageAnalysis.opts.delay).toBeGreaterThan(0);
+      expect(postProcessing.opts.delay).toBe(0);
+    });
+
+    it('should queue a resumed run from its first incomplete stage', async () => {
+      flowProducer.add.mockResolvedValue({});
+
+      const jobs = await jobManager.addGenerationFlow(jobData, { isRetry: true, run: 2, fromStage: 'video_generation' });
+
+      const stages = flattenFlow(flowProducer.add.mock.calls[0][0]);
+      expect(stages.map(node => node.queueName)).toEqual(['video-processing', 'video-generation']);
+      expect(stages[1].children).toBeUndefined();
+      expect(stages[1].opts.jobId).toBe('ugc_1-run2-video_generation');
+      expect(Object.keys(jobs)).toEqual(['video_generation', 'post_processing']);
+    });
+
+    it('should stop a variant generation once its scripts are written', async () => {
+      flowProducer.add.mockResolvedValue({});
+
+      const jobs = await jobManager.addGenerationFlow({ ...jobData, options: { variants: 3 } });
+
+      const stages = flattenFlow(flowProducer.add.mock.calls[0][0]);
+      expect(stages.map(node => node.queueName)).toEqual(['script-generation', 'image-analysis']);
+      expect(stages[0].data.options).toEqual({ variants: 3 });
+      expect(Object.keys(jobs)).toEqual(['image_analysis', 'script_generation']);
+    });
+
+    it('should stop at the script until it is approved', async () => {
+      flowProducer.add.mockResolvedValue({});
+
+      const pending = await jobManager.addGenerationFlow({ ...jobData, options: { requireApproval: true } });
+      const approved = await jobManager.addGenerationFlow(
+        { ...jobData, options: { requireApproval: true, scriptApproved: true } },
+        { run: 2, fromStage: 'video_generation' }
+      );
+
+      expect(Object.keys(pending)).toEqual(['image_analysis', 'script_generation']);
+      expect(Object.keys(approved)).toEqual(['video_generation', 'post_processing']);
+    });
+  });
+
+  describe('getWorkflowJobs', () => {
+    it('should name each stage job after the operation without colons', () => {
+      expect(jobManager.getWorkflowJobs('ugc_1')).toEqual({
+        image_analysis: { queue: 'imageAnalysis', jobId: 'ugc_1-image_analysis' },
+        script_generation: { queue: 'scriptGeneration', jobId: 'ugc_1-script_generation' },
+        video_generation: { queue: 'videoGeneration', jobId: 'ugc_1-video_generation' },
+        post_processing: { queue: 'videoProcessing', jobId: 'ugc_1-post_processing' },
+      });
+    });
+
+    it('should give resumed runs new job IDs for the stages they run', () => {
+      expect(jobManager.getWorkflowJobs('ugc_1', { run: 3, fromStage: 'post_processing' })).toEqual({
+        post_processing: { queue: 'videoProcessing', jobId: 'ugc_1-run3-post_processing' },
+      });
+    });
+
+    it('should end at the last stage requested', () => {
+      expect(Object.keys(jobManager.getWorkflowJobs('ugc_1', { toStage: 'script_generation' }))).toEqual([
+        'image_analysis', 'script_generation'
+      ]);
+    });
+  });
+
+  describe('calculateJobPriority', () => {
+    it('should start from the plan queue priority', () => {
+      expect(jobManager.calculateJobPriority({ queuePriority: 2 }, {})).toBe(2);
+      expect(jobManager.calculateJobPriority({ queuePriority: 5 }, {})).toBe(5);
+    });
+
+    it('should use the default priority without a plan', () => {
+      expect(jobManager.calculateJobPriority({}, {})).toBe(5);
+    });
+
+    it('should raise API requests and lower retries relative to the plan', () => {
+      expect(jobManager.calculateJobPriority({ queuePriority: 3 }, { source: 'api' })).toBe(2);
+      expect(jobManager.calculateJobPriority({ queuePriority: 3 }, { isRetry: true })).toBe(5);
+      expect(jobManager.calculateJobPriority({ queuePriority: 5 }, { urgent: true })).toBe(1);
+    });
+  });
+
   describe('addVideoProcessingJob', () => {
     it('should add a video processing job with default options', async () => {
       const jobData = {
@@ -174,6 +328,22 @@ describe('JobManager', () => {
     });
   });
 
+  describe('scheduleApprovalExpiry', () => {
+    it('should queue one expiry job per approval request, delayed until it expires', async () => {
+      queues.cleanup.add.mockResolvedValue({ id: 'expiry' });
+      const requestedAt = new Date().toISOString();
+      const expiresAt = new Date(Date.now() + 3600000).toISOString();
+
+      await jobManager.scheduleApprovalExpiry('ugc_1', { requestedAt, expiresAt });
+
+      const [, jobData, options] = queues.cleanup.add.mock.calls[0];
+      expect(jobData).toEqual({ type: 'approval_expiry', data: { operationId: 'ugc_1', requestedAt } });
+      expect(options.jobId).toBe(`ugc_1-approval-${Date.parse(requestedAt)}`);
+      expect(options.delay).toBeGreaterThan(3500000);
+      expect(options.delay).toBeLessThanOrEqual(3600000);
+    });
+  });
+
   describe('getJobStatus', () => {
     it('should return job status for existing job', async () => {
       const mockJob = {
@@ -309,6 +479,8 @@ describe('JobManager', () => {
         status: 'healthy',
         isRunning: false, // Not started in tests
         processors: {
+          imageAnalysis: false,
+          scriptGeneration: false,
           videoGeneration: false,
           videoProcessing: false,
           cleanup: false,
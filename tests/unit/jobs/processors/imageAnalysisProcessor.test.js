@@ -0,0 +1,67 @@
+const imageAnalysisProcessor = require('../../../../src/jobs/processors/imageAnalysisProcessor');
+const imageAnalysisService = require('../../../../src/services/imageAnalysisService');
+const workflowTracker = require('../../../../src/jobs/workflowTracker');
+
+jest.mock('../../../../src/config/queue', () => ({
+  connection: {},
+  QUEUE_NAMES: { IMAGE_ANALYSIS: 'image-analysis' }
+}));
+jest.mock('../../../../src/services/imageAnalysisService', () => ({
+  analyzeImages: jest.fn()
+}));
+jest.mock('../../../../src/jobs/workflowTracker', () => ({
+  startStage: jest.fn(),
+  completeStage: jest.fn(),
+  saveCheckpoint: jest.fn(),
+  failStage: jest.fn(),
+  getUsageContext: jest.fn(),
+  decodeImage: jest.fn(image => ({ buffer: Buffer.from(image.data, 'base64'), mimeType: image.mimeType, filename: image.originalName }))
+}));
+
+describe('ImageAnalysisProcessor', () => {
+  const usageContext = { operationId: 'ugc_1', batchId: null, apiKeyId: 'key-1', userId: null, organizationId: null };
+  let job;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    job = {
+      id: 'ugc_1-image_analysis',
+      data: {
+        operationId: 'ugc_1',
+        images: [{ data: Buffer.from('image').toString('base64'), mimeType: 'image/jpeg', originalName: 'a.jpg' }]
+      },
+      updateProgress: jest.fn()
+    };
+    workflowTracker.getUsageContext.mockResolvedValue(usageContext);
+  });
+
+  it('should analyze the queued images and pass the analysis on', async () => {
+    const analysis = [{ imageIndex: 0, objects: ['bottle'] }];
+    imageAnalysisService.analyzeImages.mockResolvedValue(analysis);
+
+    const result = await imageAnalysisProcessor.processImageAnalysis(job);
+
+    const [images, options] = imageAnalysisService.analyzeImages.mock.calls[0];
+    expect(images[0].buffer.toString()).toBe('image');
+    expect(images[0]).toEqual(expect.objectContaining({ mimeType: 'image/jpeg', filename: 'a.jpg' }));
+    expect(options).toEqual(expect.objectContaining({ ugcContext: true, usageContext }));
+    expect(result).toEqual({ imageAnalysis: analysis });
+    expect(workflowTracker.startStage).toHaveBeenCalledWith(job, 'image_analysis');
+    expect(workflowTracker.saveCheckpoint).toHaveBeenCalledWith(job, 'image_analysis', { imageAnalysis: result.imageAnalysis });
+    expect(workflowTracker.completeStage).toHaveBeenCalledWith(job, 'image_analysis', { analyzedImages: 1 });
+    expect(job.updateProgress).toHaveBeenLastCalledWith(100);
+  });
+
+  it('should record the failure and rethrow so the job is retried', async () => {
+    imageAnalysisService.analyzeImages.mockRejectedValue(new Error('Vision API unavailable'));
+    const consoleSpy = jest.spyOn(console, 'error').mockImplementation();
+
+    await expect(imageAnalysisProcessor.processImageAnalysis(job)).rejects.toThrow('Vision API unavailable');
+
+    expect(workflowTracker.failStage).toHaveBeenCalledWith(job, 'image_analysis', expect.objectContaining({
+      message: 'Image analysis failed: Vision API unavailable'
+    }));
+    expect(workflowTracker.completeStage).not.toHaveBeenCalled();
+    consoleSpy.mockRestore();
+  });
+});
@@ -0,0 +1,173 @@
+const scriptGenerationProcessor = require('../../../../src/jobs/processors/scriptGenerationProcessor');
+const scriptGenerationService = require('../../../../src/services/scriptGenerationService');
+const operationService = require('../../../../src/services/operationService');
+const workflowTracker = require('../../../../src/jobs/workflowTracker');
+
+jest.mock('../../../../src/config/queue', () => ({
+  connection: {},
+  QUEUE_NAMES: { SCRIPT_GENERATION: 'script-generation' }
+}));
+jest.mock('../../../../src/services/scriptGenerationService', () => ({
+  generateScript: jest.fn(),
+  generateScriptVariants: jest.fn(),
+  applyPersona: jest.fn((creativeBrief, persona) => (persona ? `${creativeBrief} / ${persona}` : creativeBrief))
+}));
+jest.mock('../../../../src/services/operationService', () => ({
+  updateOperationStatus: jest.fn()
+}));
+jest.mock('../../../../src/jobs/workflowTracker', () => ({
+  startStage: jest.fn(),
+  completeStage: jest.fn(),
+  saveCheckpoint: jest.fn(),
+  completeOperation: jest.fn(),
+  awaitApproval: jest.fn(),
+  failStage: jest.fn(),
+  getUsageContext: jest.fn(),
+  getPreviousResult: jest.fn()
+}));
+
+describe('ScriptGenerationProcessor', () => {
+  const usageContext = { operationId: 'ugc_1', batchId: null, apiKeyId: 'key-1', userId: null, organizationId: null };
+  const imageAnalysis = [{ imageIndex: 0, objects: ['bottle'] }];
+  let job;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    job = {
+      id: 'ugc_1-script_generation',
+      data: { operationId: 'ugc_1', creativeBrief: 'Brief', providedScript: null },
+      updateProgress: jest.fn()
+    };
+    workflowTracker.getUsageContext.mockResolvedValue(usageContext);
+    workflowTracker.getPreviousResult.mockResolvedValue({ imageAnalysis });
+    scriptGenerationService.generateScript.mockResolvedValue({
+      'segment-1': 'Opening',
+      'segment-2': 'Closing',
+      model: 'gpt-4'
+    });
+  });
+
+  it('should write the script from the image analysis of the previous stage', async () => {
+    const result = await scriptGenerationProcessor.processScriptGeneration(job);
+
+    expect(scriptGenerationService.generateScript).toHaveBeenCalledWith('Brief', imageAnalysis, null, usageContext, [8, 8], null);
+    expect(result.imageAnalysis).toBe(imageAnalysis);
+    expect(result.script).toEqual(expect.objectContaining({
+      segments: { 'segment-1': 'Opening', 'segment-2': 'Closing' },
+      segmentDurations: [8, 8],
+      wasRefined: false
+    }));
+    expect(operationService.updateOperationStatus).toHaveBeenCalledWith('ugc_1', 'processing', expect.objectContaining({
+      scriptContent: result.script
+    }));
+    expect(workflowTracker.getPreviousResult).toHaveBeenCalledWith(job, 'script_generation');
+    expect(workflowTracker.saveCheckpoint).toHaveBeenCalledWith(job, 'script_generation', { script: result.script });
+    expect(workflowTracker.completeStage).toHaveBeenCalledWith(job, 'script_generation', { segments: 2 });
+    expect(workflowTracker.awaitApproval).not.toHaveBeenCalled();
+  });
+
+  it('should write the script for the requested presenter', async () => {
+    job.data.options = { persona: 'Surfer in her twenties' };
+
+    await scriptGenerationProcessor.processScriptGeneration(job);
+
+    expect(scriptGenerationService.applyPersona).toHaveBeenCalledWith('Brief', 'Surfer in her twenties');
+    expect(scriptGenerationService.generateScript.mock.calls[0][0]).toBe('Brief / Surfer in her twenties');
+  });
+
+  it('should write the script from the structured brief', async () => {
+    const brief = { product: 'GlowUp serum', forbiddenWords: ['cure'] };
+    job.data.options = { brief };
+
+    await scriptGenerationProcessor.processScriptGeneration(job);
+
+    expect(scriptGenerationService.generateScript).toHaveBeenCalledWith('Brief', imageAnalysis, null, usageContext, [8, 8], brief);
+  });
+
+  it('should wait for the script to be approved when approval is required', async () => {
+    job.data.options = { requireApproval: true };
+
+    const result = await scriptGenerationProcessor.processScriptGeneration(job);
+
+    expect(workflowTracker.awaitApproval).toHaveBeenCalledWith('ugc_1', result.script);
+  });
+
+  it('should not wait again once the script has been approved', async () => {
+    job.data.options = { requireApproval: true, scriptApproved: true };
+
+    await scriptGenerationProcessor.processScriptGeneration(job);
+
+    expect(workflowTracker.awaitApproval).not.toHaveBeenCalled();
+  });
+
+  it('should refine a provided script', async () => {
+    job.data.providedScript = 'User script';
+
+    const result = await scriptGenerationProcessor.processScriptGeneration(job);
+
+    expect(scriptGenerationService.generateScript).toHaveBeenCalledWith('Brief', imageAnalysis, 'User script', usageContext, [8, 8], null);
+    expect(result.script.wasRefined).toBe(true);
+  });
+
+  it('should write the planned number of segments', async () => {
+    job.data.options = { segments: 4, segmentDurations: [8, 8, 7, 7] };
+    scriptGenerationService.generateScript.mockResolvedValue({
+      'segment-1': 'Opening',
+      'segment-2': 'Demo',
+      'segment-3': 'Result',
+      'segment-4': 'Call to action'
+    });
+
+    const result = await scriptGenerationProcessor.processScriptGeneration(job);
+
+    expect(scriptGenerationService.generateScript).toHaveBeenCalledWith('Brief', imageAnalysis, null, usageContext, [8, 8, 7, 7], null);
+    expect(Object.keys(result.script.segments)).toEqual(['segment-1', 'segment-2', 'segment-3', 'segment-4']);
+    expect(result.script.segmentDurations).toEqual([8, 8, 7, 7]);
+    expect(workflowTracker.completeStage).toHaveBeenCalledWith(job, 'script_generation', { segments: 4 });
+  });
+
+  it('should write labelled script variants and complete the operation without video', async () => {
+    job.data.options = { variants: 2, segments: 2, segmentDurations: [8, 8] };
+    scriptGenerationService.generateScriptVariants.mockResolvedValue({
+      variants: [
+        { variantId: 'variant-1', angle: 'problem-solution', hook: 'Tired?', tone: 'empathetic', cta: 'Try it', 'segment-1': 'Open A', 'segment-2': 'Close A' },
+        { variantId: 'variant-2', angle: 'social proof', hook: 'Everyone', tone: 'upbeat', cta: 'Join', 'segment-1': 'Open B', 'segment-2': 'Close B' }
+      ],
+      model: 'gpt-5'
+    });
+
+    const result = await scriptGenerationProcessor.processScriptGeneration(job);
+
+    expect(scriptGenerationService.generateScript).not.toHaveBeenCalled();
+    expect(scriptGenerationService.generateScriptVariants).toHaveBeenCalledWith('Brief', imageAnalysis, null, usageContext, [8, 8], 2);
+    expect(result.script.variants).toEqual([
+      {
+        variantId: 'variant-1',
+        angle: 'problem-solution',
+        hook: 'Tired?',
+        tone: 'empathetic',
+        cta: 'Try it',
+        segments: { 'segment-1': 'Open A', 'segment-2': 'Close A' }
+      },
+      expect.objectContaining({ variantId: 'variant-2', angle: 'social proof' })
+    ]);
+    expect(workflowTracker.saveCheckpoint).toHaveBeenCalledWith(job, 'script_generation', { script: result.script });
+    expect(workflowTracker.completeStage).toHaveBeenCalledWith(job, 'script_generation', { variants: 2 });
+    expect(workflowTracker.completeOperation).toHaveBeenCalledWith('ugc_1', expect.objectContaining({
+      videoUrls: [],
+      segmentCount: 0
+    }));
+  });
+
+  it('should record the failure and rethrow so the job is retried', async () => {
+    scriptGenerationService.generateScript.mockRejectedValue(new Error('Rate limited'));
+    const consoleSpy = jest.spyOn(console, 'error').mockImplementation();
+
+    await expect(scriptGenerationProcessor.processScriptGeneration(job)).rejects.toThrow('Rate limited');
+
+    expect(workflowTracker.failStage).toHaveBeenCalledWith(job, 'script_generation', expect.objectContaining({
+      message: 'Script generation failed: Rate limited'
+    }));
+    consoleSpy.mockRestore();
+  });
+});
@@ -0,0 +1,290 @@
+const fs = require('fs');
+const videoGenerationProcessor = require('../../../../src/jobs/processors/videoGenerationProcessor');
+const videoGenerationService = require('../../../../src/services/videoGenerationService');
+const scriptGenerationService = require('../../../../src/services/scriptGenerationService');
+const videoEditingService = require('../../../../src/services/videoEditingService');
+const workflowTracker = require('../../../../src/jobs/workflowTracker');
+
+jest.mock('../../../../src/config/queue', () => ({
+  connection: {},
+  QUEUE_NAMES: { VIDEO_GENERATION: 'video-generation' }
+}));
+jest.mock('../../../../src/services/videoGenerationService', () => ({
+  createUGCPrompts: jest.fn(),
+  generateVideo: jest.fn(),
+  downloadVideo: jest.fn()
+}));
+jest.mock('../../../../src/services/scriptGenerationService', () => ({
+  applyPersona: jest.fn((creativeBrief, persona) => (persona ? `${creativeBrief} / ${persona}` : creativeBrief))
+}));
+jest.mock('../../../../src/services/videoEditingService', () => ({
+  extractLastFrame: jest.fn()
+}));
+jest.mock('../../../../src/jobs/workflowTracker', () => ({
+  startStage: jest.fn(),
+  completeStage: jest.fn(),
+  saveCheckpoint: jest.fn(),
+  saveSegmentCheckpoint: jest.fn(),
+  getCheckpoint: jest.fn(),
+  failStage: jest.fn(),
+  completeOperation: jest.fn(),
+  getUsageContext: jest.fn(),
+  getPreviousResult: jest.fn(),
+  decodeImage: jest.fn(image => ({ buffer: Buffer.from(image.data, 'base64'), mimeType: image.mimeType, filename: image.originalName }))
+}));
+
+describe('VideoGenerationProcessor', () => {
+  const usageContext = { operationId: 'ugc_1', batchId: null, apiKeyId: 'key-1', userId: null, organizationId: null };
+  const imageAnalysis = [{ imageIndex: 0, objects: ['bottle'] }];
+  const script = { segments: { 'segment-1': 'Opening', 'segment-2': 'Closing' }, segmentDurations: [8, 6] };
+  let job;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    job = {
+      id: 'ugc_1-video_generation',
+      parentKey: 'bull:video-processing:ugc_1-post_processing',
+      data: {
+        operationId: 'ugc_1',
+        creativeBrief: 'Brief',
+        options: { aspectRatio: '9:16' },
+        referenceImage: { data: Buffer.from('image').toString('base64'), mimeType: 'image/png', originalName: 'a.png' }
+      },
+      updateProgress: jest.fn()
+    };
+    workflowTracker.getUsageContext.mockResolvedValue(usageContext);
+    workflowTracker.getPreviousResult.mockResolvedValue({ imageAnalysis, script });
+    workflowTracker.getCheckpoint.mockResolvedValue(null);
+    videoGenerationService.createUGCPrompts.mockReturnValue([
+      { segmentKey: 'segment-1', prompt: 'Prompt 1', options: { aspectRatio: '16:9', negativePrompt: 'blurry' } },
+      { segmentKey: 'segment-2', prompt: 'Prompt 2', options: { aspectRatio: '16:9', negativePrompt: 'blurry' } }
+    ]);
+    videoGenerationService.downloadVideo.mockImplementation(async (videoFile, downloadPath) => downloadPath);
+    videoEditingService.extractLastFrame.mockImplementation(async (videoPath, framePath) => framePath);
+    videoGenerationService.generateVideo.mockImplementation(async prompt => ({
+      videoFile: { uri: `https://example.com/${prompt.replace(' ', '-')}.mp4` },
+      duration: 8,
+      model: 'veo-3.0-generate-preview',
+      generatedAt: '2025-09-13T00:00:00.000Z'
+    }));
+  });
+
+  it('should generate a video per script segment from the previous stage', async () => {
+    const result = await videoGenerationProcessor.processVideoGeneration(job);
+
+    expect(videoGenerationService.createUGCPrompts).toHaveBeenCalledWith('Brief', imageAnalysis, script.segments, [8, 6]);
+    expect(videoGenerationService.generateVideo).toHaveBeenCalledTimes(2);
+
+    const [prompt, options] = videoGenerationService.generateVideo.mock.calls[0];
+    expect(prompt).toBe('Prompt 1');
+    expect(options).toEqual(expect.objectContaining({ aspectRatio: '9:16', negativePrompt: 'blurry', usageContext, imageMimeType: 'image/png' }));
+    expect(options.imageBuffer.toString()).toBe('image');
+    expect(videoGenerationService.generateVideo.mock.calls[1][1].imageBuffer).toBeUndefined();
+
+    expect(result.videoSegments.map(segment => [segment.segmentKey, segment.videoUrl])).toEqual([
+      ['segment-1', 'https://example.com/Prompt-1.mp4'],
+      ['segment-2', 'https://example.com/Prompt-2.mp4']
+    ]);
+    expect(result.videoSegments.map(segment => segment.seedFrame)).toEqual([
+      { source: 'reference_image', image: 'a.png' },
+      null
+    ]);
+    expect(videoEditingService.extractLastFrame).not.toHaveBeenCalled();
+    expect(job.updateProgress).toHaveBeenCalledWith(50);
+    expect(workflowTracker.getPreviousResult).toHaveBeenCalledWith(job, 'video_generation');
+    expect(workflowTracker.saveSegmentCheckpoint).toHaveBeenCalledTimes(2);
+    expect(workflowTracker.saveCheckpoint).toHaveBeenCalledWith(job, 'video_generation', { videoSegments: result.videoSegments });
+    expect(workflowTracker.completeStage).toHaveBeenCalledWith(job, 'video_generation', { segments: 2 });
+
+    // Post-processing completes operations queued as a workflow
+    expect(workflowTracker.completeOperation).not.toHaveBeenCalled();
+  });
+
+  it('should write the requested presenter into the video prompts', async () => {
+    job.data.options = { persona: 'Surfer in her twenties' };
+
+    await videoGenerationProcessor.processVideoGeneration(job);
+
+    expect(scriptGenerationService.applyPersona).toHaveBeenCalledWith('Brief', 'Surfer in her twenties');
+    expect(videoGenerationService.createUGCPrompts).toHaveBeenCalledWith('Brief / Surfer in her twenties', imageAnalysis, script.segments, [8, 6]);
+  });
+
+  it('should complete a standalone job\'s operation itself', async () => {
+    delete job.parentKey;
+    workflowTracker.getPreviousResult.mockResolvedValue({});
+    job.data.script = script.segments;
+    job.data.imageAnalysis = imageAnalysis;
+
+    await videoGenerationProcessor.processVideoGeneration(job);
+
+    expect(videoGenerationService.createUGCPrompts).toHaveBeenCalledWith('Brief', imageAnalysis, script.segments, undefined);
+    expect(workflowTracker.completeOperation).toHaveBeenCalledWith('ugc_1', {
+      videoUrls: ['https://example.com/Prompt-1.mp4', 'https://example.com/Prompt-2.mp4'],
+      segmentCount: 2,
+      options: { aspectRatio: '9:16' }
+    });
+  });
+
+  it('should reuse segments checkpointed for the same prompt', async () => {
+    const saved = { segmentIndex: 0, segmentKey: 'segment-1', prompt: 'Prompt 1', videoUrl: 'https://example.com/saved.mp4' };
+    workflowTracker.getCheckpoint.mockResolvedValue({ videoSegments: [saved] });
+
+    const result = await videoGenerationProcessor.processVideoGeneration(job);
+
+    expect(workflowTracker.getCheckpoint).toHaveBeenCalledWith('ugc_1', 'video_generation');
+    expect(videoGenerationService.generateVideo).toHaveBeenCalledTimes(1);
+    expect(videoGenerationService.generateVideo.mock.calls[0][0]).toBe('Prompt 2');
+    expect(workflowTracker.saveSegmentCheckpoint).toHaveBeenCalledTimes(1);
+    expect(workflowTracker.saveSegmentCheckpoint).toHaveBeenCalledWith(job, expect.objectContaining({ segmentKey: 'segment-2' }));
+    expect(result.videoSegments.map(segment => segment.videoUrl)).toEqual([
+      'https://example.com/saved.mp4',
+      'https://example.com/Prompt-2.mp4'
+    ]);
+  });
+
+  it('should regenerate a checkpointed segment whose prompt changed', async () => {
+    workflowTracker.getCheckpoint.mockResolvedValue({
+      videoSegments: [{ segmentIndex: 0, segmentKey: 'segment-1', prompt: 'Old prompt', videoUrl: 'https://example.com/old.mp4' }]
+    });
+
+    await videoGenerationProcessor.processVideoGeneration(job);
+
+    expect(videoGenerationService.generateVideo).toHaveBeenCalledTimes(2);
+  });
+
+  describe('with continuity', () => {
+    let readFileSpy;
+    let rmSpy;
+
+    beforeEach(() => {
+      job.data.options = { aspectRatio: '9:16', continuity: true };
+      readFileSpy = jest.spyOn(fs.promises, 'readFile').mockResolvedValue(Buffer.from('last-frame'));
+      rmSpy = jest.spyOn(fs.promises, 'rm').mockResolvedValue();
+    });
+
+    afterEach(() => {
+      readFileSpy.mockRestore();
+      rmSpy.mockRestore();
+    });
+
+    it('should seed each segment with the last frame of the one before it', async () => {
+      const result = await videoGenerationProcessor.processVideoGeneration(job);
+
+      expect(videoGenerationService.downloadVideo).toHaveBeenCalledWith(
+        { uri: 'https://example.com/Prompt-1.mp4' },
+        expect.stringMatching(/continuity[\\/]ugc_1[\\/]segment-1\.mp4$/)
+      );
+      expect(videoEditingService.extractLastFrame).toHaveBeenCalledWith(
+        expect.stringMatching(/segment-1\.mp4$/),
+        expect.stringMatching(/segment-1-last\.png$/)
+      );
+
+      const [, options] = videoGenerationService.generateVideo.mock.calls[1];
+      expect(options.imageBuffer.toString()).toBe('last-frame');
+      expect(options.imageMimeType).toBe('image/png');
+
+      expect(result.videoSegments[1].seedFrame).toEqual({
+        source: 'previous_segment',
+        segmentKey: 'segment-1',
+        videoUrl: 'https://example.com/Prompt-1.mp4',
+        frame: 'last'
+      });
+      expect(workflowTracker.saveSegmentCheckpoint).toHaveBeenCalledWith(job, expect.objectContaining({
+        segmentKey: 'segment-2',
+        seedFrame: expect.objectContaining({ segmentKey: 'segment-1' })
+      }));
+      expect(rmSpy).toHaveBeenCalledWith(expect.stringMatching(/continuity[\\/]ugc_1$/), { recursive: true, force: true });
+    });
+
+    it('should regenerate saved segments seeded from a segment that was regenerated', async () => {
+      workflowTracker.getCheckpoint.mockResolvedValue({
+        videoSegments: [
+          { segmentIndex: 0, segmentKey: 'segment-1', prompt: 'Old prompt', videoUrl: 'https://example.com/old.mp4' },
+          {
+            segmentIndex: 1,
+            segmentKey: 'segment-2',
+            prompt: 'Prompt 2',
+            videoUrl: 'https://example.com/saved-2.mp4',
+            seedFrame: { source: 'previous_segment', segmentKey: 'segment-1', frame: 'last' }
+          }
+        ]
+      });
+
+      await videoGenerationProcessor.processVideoGeneration(job);
+
+      expect(videoGenerationService.generateVideo).toHaveBeenCalledTimes(2);
+    });
+
+    it('should reuse a saved segment whose seed is unchanged', async () => {
+      const savedFirst = {
+        segmentIndex: 0,
+        segmentKey: 'segment-1',
+        prompt: 'Prompt 1',
+        videoFile: { uri: 'https://example.com/saved-1.mp4' },
+        videoUrl: 'https://example.com/saved-1.mp4',
+        seedFrame: { source: 'reference_image', image: 'a.png' }
+      };
+      workflowTracker.getCheckpoint.mockResolvedValue({ videoSegments: [savedFirst] });
+
+      await videoGenerationProcessor.processVideoGeneration(job);
+
+      expect(videoGenerationService.generateVideo).toHaveBeenCalledTimes(1);
+      expect(videoGenerationService.downloadVideo).toHaveBeenCalledWith(savedFirst.videoFile, expect.any(String));
+    });
+
+    it('should keep the later takes when a single segment is regenerated', async () => {
+      job.data.regeneration = { segmentKey: 'segment-1', version: 2, seedImage: null };
+      workflowTracker.getCheckpoint.mockResolvedValue({
+        videoSegments: [{
+          segmentIndex: 1,
+          segmentKey: 'segment-2',
+          prompt: 'Prompt 2',
+          videoUrl: 'https://example.com/saved-2.mp4',
+          seedFrame: { source: 'previous_segment', segmentKey: 'segment-1', frame: 'last' }
+        }]
+      });
+
+      const result = await videoGenerationProcessor.processVideoGeneration(job);
+
+      expect(videoGenerationService.generateVideo).toHaveBeenCalledTimes(1);
+      expect(result.videoSegments.map(segment => [segment.videoUrl, segment.version])).toEqual([
+        ['https://example.com/Prompt-1.mp4', 2],
+        ['https://example.com/saved-2.mp4', undefined]
+      ]);
+    });
+  });
+
+  it('should regenerate a segment from an uploaded seed image as a new version', async () => {
+    const seedImage = { data: Buffer.from('new-seed').toString('base64'), mimeType: 'image/jpeg', originalName: 'seed.jpg' };
+    job.data.regeneration = { segmentKey: 'segment-2', version: 3, seedImage };
+    workflowTracker.getCheckpoint.mockResolvedValue({
+      videoSegments: [{ segmentIndex: 0, segmentKey: 'segment-1', prompt: 'Prompt 1', videoUrl: 'https://example.com/saved-1.mp4' }]
+    });
+
+    const result = await videoGenerationProcessor.processVideoGeneration(job);
+
+    expect(videoGenerationService.generateVideo).toHaveBeenCalledTimes(1);
+    const [prompt, options] = videoGenerationService.generateVideo.mock.calls[0];
+    expect(prompt).toBe('Prompt 2');
+    expect(options.imageBuffer.toString()).toBe('new-seed');
+    expect(options.imageMimeType).toBe('image/jpeg');
+    expect(workflowTracker.saveSegmentCheckpoint).toHaveBeenCalledWith(job, expect.objectContaining({
+      segmentKey: 'segment-2',
+      version: 3,
+      seedFrame: { source: 'uploaded_image', image: 'seed.jpg' }
+    }));
+    expect(result.videoSegments[0].videoUrl).toBe('https://example.com/saved-1.mp4');
+  });
+
+  it('should record the failed segment and rethrow so the job is retried', async () => {
+    videoGenerationService.generateVideo.mockRejectedValueOnce(new Error('Quota exceeded'));
+    const consoleSpy = jest.spyOn(console, 'error').mockImplementation();
+
+    await expect(videoGenerationProcessor.processVideoGeneration(job)).rejects.toThrow('Failed to generate segment 1: Quota exceeded');
+
+    expect(workflowTracker.failStage).toHaveBeenCalledWith(job, 'video_generation', expect.objectContaining({
+      message: 'Video generation failed: Failed to generate segment 1: Quota exceeded'
+    }));
+    consoleSpy.mockRestore();
+  });
+});
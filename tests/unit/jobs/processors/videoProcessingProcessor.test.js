@@ -0,0 +1,114 @@
+const videoProcessingProcessor = require('../../../../src/jobs/processors/videoProcessingProcessor');
+const workflowTracker = require('../../../../src/jobs/workflowTracker');
+const postProductionService = require('../../../../src/services/postProductionService');
+
+jest.mock('../../../../src/config/queue', () => ({
+  connection: {},
+  QUEUE_NAMES: { VIDEO_PROCESSING: 'video-processing' }
+}));
+jest.mock('../../../../src/services/postProductionService', () => ({
+  assemble: jest.fn(),
+  getVideoUrl: jest.fn(operationId => `/api/v1/ugc/operations/${operationId}/video`)
+}));
+jest.mock('../../../../src/jobs/workflowTracker', () => ({
+  startStage: jest.fn(),
+  completeStage: jest.fn(),
+  saveCheckpoint: jest.fn(),
+  failStage: jest.fn(),
+  completeOperation: jest.fn(),
+  getPreviousResult: jest.fn()
+}));
+
+describe('VideoProcessingProcessor', () => {
+  let job;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    job = {
+      id: 'ugc_1-post_processing',
+      data: { type: 'post_process', operationId: 'ugc_1', options: { useFastModel: true, transition: 'fade' }, watermark: true },
+      updateProgress: jest.fn()
+    };
+    workflowTracker.getPreviousResult.mockResolvedValue({
+      videoSegments: [
+        { segmentKey: 'segment-1', videoUrl: 'https://example.com/1.mp4', duration: 8, videoFile: { uri: 'https://example.com/1.mp4' } },
+        { segmentKey: 'segment-2', videoUrl: 'https://example.com/2.mp4', duration: 8, videoFile: { uri: 'https://example.com/2.mp4' } }
+      ]
+    });
+    postProductionService.assemble.mockResolvedValue({
+      path: '/downloads/ads/ugc_1.mp4',
+      duration: 15.5,
+      transition: 'fade',
+      watermark: true
+    });
+  });
+
+  describe('post_process', () => {
+    it('should complete the operation with the assembled ad as its output', async () => {
+      const result = await videoProcessingProcessor.processVideoProcessing(job);
+
+      expect(workflowTracker.startStage).toHaveBeenCalledWith(job, 'post_processing');
+      expect(postProductionService.assemble).toHaveBeenCalledWith({
+        operationId: 'ugc_1',
+        videoSegments: expect.arrayContaining([expect.objectContaining({ segmentKey: 'segment-1' })]),
+        options: { useFastModel: true, transition: 'fade' },
+        watermark: true
+      });
+      expect(workflowTracker.completeOperation).toHaveBeenCalledWith('ugc_1', expect.objectContaining({
+        videoUrls: ['/api/v1/ugc/operations/ugc_1/video'],
+        segmentCount: 2,
+        options: { useFastModel: true, transition: 'fade' },
+        metadata: {
+          finalVideo: expect.objectContaining({ path: '/downloads/ads/ugc_1.mp4' }),
+          videoSegments: [
+            expect.objectContaining({ segmentKey: 'segment-1', videoUrl: 'https://example.com/1.mp4', duration: 8 }),
+            expect.objectContaining({ segmentKey: 'segment-2', videoUrl: 'https://example.com/2.mp4', duration: 8 })
+          ]
+        }
+      }));
+      expect(result.videoUrls).toEqual(['/api/v1/ugc/operations/ugc_1/video']);
+      expect(workflowTracker.saveCheckpoint).toHaveBeenCalledWith(job, 'post_processing', {
+        videoUrls: result.videoUrls,
+        finalVideo: result.finalVideo
+      });
+      expect(workflowTracker.completeStage).toHaveBeenCalledWith(job, 'post_processing', {
+        duration: 15.5,
+        transition: 'fade',
+        watermark: true
+      });
+    });
+
+    it('should fail the stage when the ad cannot be assembled', async () => {
+      postProductionService.assemble.mockRejectedValue(new Error('Failed to add transitions: ffmpeg exited with code 1'));
+      const consoleSpy = jest.spyOn(console, 'error').mockImplementation();
+
+      await expect(videoProcessingProcessor.processVideoProcessing(job)).rejects.toThrow('Failed to add transitions');
+
+      expect(workflowTracker.completeOperation).not.toHaveBeenCalled();
+      expect(workflowTracker.failStage).toHaveBeenCalledWith(job, 'post_processing', expect.objectContaining({
+        message: 'Post-processing failed: Failed to add transitions: ffmpeg exited with code 1'
+      }));
+      consoleSpy.mockRestore();
+    });
+
+    it('should record the failure and rethrow so the job is retried', async () => {
+      workflowTracker.completeOperation.mockRejectedValue(new Error('Database unavailable'));
+      const consoleSpy = jest.spyOn(console, 'error').mockImplementation();
+
+      await expect(videoProcessingProcessor.processVideoProcessing(job)).rejects.toThrow('Database unavailable');
+
+      expect(workflowTracker.failStage).toHaveBeenCalledWith(job, 'post_processing', expect.objectContaining({
+        message: 'Post-processing failed: Database unavailable'
+      }));
+      consoleSpy.mockRestore();
+    });
+  });
+
+  it('should reject unknown processing types', async () => {
+    const consoleSpy = jest.spyOn(console, 'error').mockImplementation();
+
+    await expect(videoProcessingProcessor.processVideoProcessing({ id: 'job-1', data: { type: 'unknown' } }))
+      .rejects.toThrow('Unknown video processing type: unknown');
+    consoleSpy.mockRestore();
+  });
+});
@@ -0,0 +1,233 @@
+const workflowTracker = require('../../../src/jobs/workflowTracker');
+const operationService = require('../../../src/services/operationService');
+const creditService = require('../../../src/services/creditService');
+const jobStatusService = require('../../../src/services/jobStatusService');
+const jobManager = require('../../../src/jobs/jobManager');
+
+jest.mock('../../../src/config/queue', () => ({
+  WORKFLOW_STAGES: [
+    { name: 'image_analysis' },
+    { name: 'script_generation' },
+    { name: 'video_generation' },
+    { name: 'post_processing' }
+  ]
+}));
+jest.mock('../../../src/services/operationService', () => ({
+  updateOperationStatus: jest.fn(),
+  addWorkflowStep: jest.fn(),
+  saveCheckpoint: jest.fn(),
+  saveSegmentCheckpoint: jest.fn(),
+  getOperation: jest.fn()
+}));
+jest.mock('../../../src/services/creditService', () => ({
+  settle: jest.fn(),
+  refund: jest.fn(),
+  calculateCost: jest.fn(() => 16)
+}));
+jest.mock('../../../src/services/providerCostService', () => ({
+  getOperationContext: jest.fn(operation => ({ operationId: operation.operationId, apiKeyId: 'key-1' }))
+}));
+jest.mock('../../../src/services/jobStatusService', () => ({
+  sendWebhookNotification: jest.fn()
+}));
+jest.mock('../../../src/jobs/jobManager', () => ({
+  scheduleApprovalExpiry: jest.fn()
+}));
+jest.mock('../../../src/utils/config', () => ({
+  getConfig: () => ({ getInt: () => 3600 })
+}));
+
+describe('WorkflowTracker', () => {
+  const job = (overrides = {}) => ({
+    id: 'ugc_1-script_generation',
+    data: { operationId: 'ugc_1', userId: 'user-1' },
+    attemptsMade: 0,
+    opts: { attempts: 3 },
+    getChildrenValues: jest.fn(),
+    ...overrides
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('startStage and completeStage', () => {
+    it('should record the stage on the operation', async () => {
+      await workflowTracker.startStage(job(), 'script_generation');
+      await workflowTracker.completeStage(job(), 'script_generation', { segments: 2 });
+
+      expect(operationService.updateOperationStatus).toHaveBeenCalledWith('ugc_1', 'processing', {
+        metadata: { stage: 'script_generation' }
+      });
+      expect(operationService.addWorkflowStep).toHaveBeenCalledWith('ugc_1', expect.objectContaining({
+        step: 'script_generation', status: 'started', attempt: 1
+      }));
+      expect(operationService.addWorkflowStep).toHaveBeenCalledWith('ugc_1', expect.objectContaining({
+        step: 'script_generation', status: 'completed', result: { segments: 2 }
+      }));
+    });
+  });
+
+  describe('failStage', () => {
+    it('should only record a retry while attempts are left', async () => {
+      await workflowTracker.failStage(job(), 'script_generation', new Error('Rate limited'));
+
+      expect(operationService.addWorkflowStep).toHaveBeenCalledWith('ugc_1', expect.objectContaining({
+        status: 'retrying', error: 'Rate limited'
+      }));
+      expect(operationService.updateOperationStatus).not.toHaveBeenCalled();
+      expect(creditService.refund).not.toHaveBeenCalled();
+    });
+
+    it('should fail the operation, refund its hold and notify on the last attempt', async () => {
+      await workflowTracker.failStage(job({ attemptsMade: 2 }), 'script_generation', new Error('Rate limited'));
+
+      expect(operationService.updateOperationStatus).toHaveBeenCalledWith('ugc_1', 'failed', expect.objectContaining({
+        errorMessage: 'Rate limited',
+        metadata: expect.objectContaining({ failedStage: 'script_generation' })
+      }));
+      expect(creditService.refund).toHaveBeenCalledWith('ugc_1', 'failed');
+      expect(jobStatusService.sendWebhookNotification).toHaveBeenCalledWith('ugc_1', 'failed', expect.objectContaining({
+        stage: 'script_generation'
+      }));
+    });
+
+    it('should still refund when the operation cannot be updated', async () => {
+      operationService.updateOperationStatus.mockRejectedValueOnce(new Error('Database unavailable'));
+      const consoleSpy = jest.spyOn(console, 'error').mockImplementation();
+
+      await workflowTracker.failStage(job({ attemptsMade: 2 }), 'script_generation', new Error('Rate limited'));
+
+      expect(creditService.refund).toHaveBeenCalledWith('ugc_1', 'failed');
+      consoleSpy.mockRestore();
+    });
+  });
+
+  describe('completeOperation', () => {
+    it('should complete the operation and charge for the segments generated', async () => {
+      await workflowTracker.completeOperation('ugc_1', {
+        videoUrls: ['https://example.com/1.mp4', 'https://example.com/2.mp4'],
+        segmentCount: 2,
+        options: { useFastModel: true }
+      });
+
+      expect(operationService.updateOperationStatus).toHaveBeenCalledWith('ugc_1', 'completed', expect.objectContaining({
+        videoUrls: ['https://example.com/1.mp4', 'https://example.com/2.mp4'],
+        metadata: expect.objectContaining({ stage: 'completed' })
+      }));
+      expect(creditService.calculateCost).toHaveBeenCalledWith(2, { useFastModel: true });
+      expect(creditService.settle).toHaveBeenCalledWith('ugc_1', 16);
+      expect(jobStatusService.sendWebhookNotification).toHaveBeenCalledWith('ugc_1', 'completed', expect.any(Object));
+    });
+  });
+
+  describe('awaitApproval', () => {
+    const script = { segments: { 'segment-1': 'Person holds up the bottle' } };
+
+    it('should pause the operation, schedule its expiry and notify the webhook', async () => {
+      await workflowTracker.awaitApproval('ugc_1', script);
+
+      const [, status, { metadata }] = operationService.updateOperationStatus.mock.calls[0];
+      expect(status).toBe('awaiting_approval');
+      expect(metadata.stage).toBe('awaiting_approval');
+      expect(metadata.approval).toEqual({ status: 'pending', requestedAt: expect.any(String), expiresAt: expect.any(String) });
+      expect(Date.parse(metadata.approval.expiresAt) - Date.parse(metadata.approval.requestedAt)).toBe(3600000);
+      expect(jobManager.scheduleApprovalExpiry).toHaveBeenCalledWith('ugc_1', metadata.approval);
+      expect(jobStatusService.sendWebhookNotification).toHaveBeenCalledWith('ugc_1', 'awaiting_approval', expect.objectContaining({
+        script,
+        approveEndpoint: '/api/v1/ugc/operations/ugc_1/approve',
+        rejectEndpoint: '/api/v1/ugc/operations/ugc_1/reject'
+      }));
+    });
+
+    it('should still notify the webhook if the expiry cannot be scheduled', async () => {
+      jobManager.scheduleApprovalExpiry.mockRejectedValueOnce(new Error('Redis down'));
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      await workflowTracker.awaitApproval('ugc_1', script);
+
+      expect(jobStatusService.sendWebhookNotification).toHaveBeenCalledWith('ugc_1', 'awaiting_approval', expect.any(Object));
+      console.error.mockRestore();
+    });
+  });
+
+  describe('getPreviousResult', () => {
+    it('should return the result of the job\'s child stage', async () => {
+      const stageJob = job();
+      stageJob.getChildrenValues.mockResolvedValue({ 'bull:image-analysis:ugc_1-image_analysis': { imageAnalysis: [1] } });
+
+      expect(await workflowTracker.getPreviousResult(stageJob, 'script_generation')).toEqual({ imageAnalysis: [1] });
+      expect(operationService.getOperation).not.toHaveBeenCalled();
+    });
+
+    it('should return an empty result for a job without children', async () => {
+      const stageJob = job();
+      stageJob.getChildrenValues.mockResolvedValue({});
+      operationService.getOperation.mockResolvedValueOnce({ checkpoints: {} });
+
+      expect(await workflowTracker.getPreviousResult(stageJob, 'image_analysis')).toEqual({});
+    });
+
+    it('should start a resumed workflow from the checkpoints of earlier stages', async () => {
+      const stageJob = job();
+      stageJob.getChildrenValues.mockResolvedValue({});
+      operationService.getOperation.mockResolvedValueOnce({
+        checkpoints: {
+          image_analysis: { imageAnalysis: [1], completedAt: '2025-09-14T00:00:00.000Z' },
+          script_generation: { script: { segments: {} }, completedAt: '2025-09-14T00:01:00.000Z' },
+          video_generation: { videoSegments: [{ segmentKey: 'segment-1' }] }
+        }
+      });
+
+      expect(await workflowTracker.getPreviousResult(stageJob, 'video_generation')).toEqual({
+        imageAnalysis: [1],
+        script: { segments: {} }
+      });
+    });
+  });
+
+  describe('checkpoints', () => {
+    it('should save stage output on the job\'s operation', async () => {
+      await workflowTracker.saveCheckpoint(job(), 'script_generation', { script: { segments: {} } });
+      await workflowTracker.saveSegmentCheckpoint(job(), { segmentKey: 'segment-1' });
+
+      expect(operationService.saveCheckpoint).toHaveBeenCalledWith('ugc_1', 'script_generation', { script: { segments: {} } });
+      expect(operationService.saveSegmentCheckpoint).toHaveBeenCalledWith('ugc_1', { segmentKey: 'segment-1' });
+    });
+
+    it('should return a stage checkpoint, or null', async () => {
+      operationService.getOperation.mockResolvedValueOnce({ checkpoints: { video_generation: { videoSegments: [] } } });
+      operationService.getOperation.mockResolvedValueOnce(null);
+
+      expect(await workflowTracker.getCheckpoint('ugc_1', 'video_generation')).toEqual({ videoSegments: [] });
+      expect(await workflowTracker.getCheckpoint('ugc_1', 'video_generation')).toBeNull();
+    });
+  });
+
+  describe('getUsageContext', () => {
+    it('should cost provider calls against the operation', async () => {
+      operationService.getOperation.mockResolvedValue({ operationId: 'ugc_1' });
+
+      expect(await workflowTracker.getUsageContext('ugc_1', {})).toEqual({ operationId: 'ugc_1', apiKeyId: 'key-1' });
+    });
+
+    it('should fall back to the job data when the operation cannot be loaded', async () => {
+      operationService.getOperation.mockRejectedValue(new Error('Database unavailable'));
+      const consoleSpy = jest.spyOn(console, 'error').mockImplementation();
+
+      const context = await workflowTracker.getUsageContext('ugc_1', { userId: 'user-1', batchId: 'batch_1' });
+
+      expect(context).toEqual(expect.objectContaining({ operationId: 'ugc_1', userId: 'user-1', batchId: 'batch_1' }));
+      consoleSpy.mockRestore();
+    });
+  });
+
+  describe('decodeImage', () => {
+    it('should rebuild a queued image', () => {
+      const image = workflowTracker.decodeImage({ data: Buffer.from('image').toString('base64'), mimeType: 'image/png', originalName: 'a.png' });
+
+      expect(image.buffer.toString()).toBe('image');
+      expect(image).toEqual(expect.objectContaining({ mimeType: 'image/png', filename: 'a.png' }));
+    });
+  });
+});
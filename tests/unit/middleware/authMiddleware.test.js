@@ -1,3 +1,5 @@
+const request = require('supertest');
+const express = require('express');
 const AuthMiddleware = require('../../../src/middleware/authMiddleware');
 const apiKeyService = require('../../../src/services/apiKeyService');
 
@@ -50,6 +52,7 @@ describe('AuthMiddleware', () => {
 
       apiKeyService.checkRateLimit.mockReturnValue({
         allowed: true,
+        cost: 1,
         limit: 100,
         remaining: 99,
         dailyLimit: 1000,
@@ -62,21 +65,25 @@ describe('AuthMiddleware', () => {
       await middleware(req, res, next);
 
       expect(apiKeyService.validateApiKey).toHaveBeenCalledWith('valid-api-key');
-      expect(apiKeyService.checkRateLimit).toHaveBeenCalledWith('key-id');
+      expect(apiKeyService.checkRateLimit).toHaveBeenCalledWith('key-id', 1);
       expect(apiKeyService.hasPermission).toHaveBeenCalledWith('key-id', 'ugc:generate');
       expect(res.set).toHaveBeenCalledWith({
         'X-RateLimit-Limit': 100,
         'X-RateLimit-Remaining': 99,
         'X-RateLimit-Reset': expect.any(Number),
         'X-RateLimit-Daily-Limit': 1000,
-        'X-RateLimit-Daily-Remaining': 999
+        'X-RateLimit-Daily-Remaining': 999,
+        'X-RateLimit-Cost': 1
       });
+      expect(req.rateLimit.charged).toBe(1);
       expect(req.apiKey).toEqual({
         id: 'key-id',
         name: 'Test Key',
         permissions: ['ugc:generate'],
-        metadata: {}
+        metadata: {},
+        organizationId: null
       });
+      expect(req.organization).toBeNull();
       expect(next).toHaveBeenCalled();
     });
 
@@ -148,6 +155,135 @@ describe('AuthMiddleware', () => {
       expect(next).not.toHaveBeenCalled();
     });
 
+    it('should reject expired API key', async () => {
+      const middleware = AuthMiddleware.validateApiKey();
+      const expiresAt = new Date(Date.now() - 1000);
+
+      req.headers['x-api-key'] = 'expired-api-key';
+      apiKeyService.validateApiKey.mockResolvedValue({
+        id: 'key-id',
+        isActive: true,
+        isExpired: true,
+        expiresAt
+      });
+
+      await middleware(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(res.json.mock.calls[0][0].error).toEqual({
+        code: 'API_KEY_EXPIRED',
+        message: 'API key has expired.',
+        details: { expiresAt }
+      });
+      expect(apiKeyService.checkRateLimit).not.toHaveBeenCalled();
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    it('should reject rotated API key after its grace period', async () => {
+      const middleware = AuthMiddleware.validateApiKey();
+
+      req.headers['x-api-key'] = 'rotated-api-key';
+      apiKeyService.validateApiKey.mockResolvedValue({
+        id: 'key-id',
+        isActive: true,
+        isRotatedOut: true,
+        replacedById: 'successor-id',
+        graceExpiresAt: new Date(Date.now() - 1000)
+      });
+
+      await middleware(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(res.json.mock.calls[0][0].error.code).toBe('API_KEY_ROTATED');
+      expect(res.json.mock.calls[0][0].error.details.replacedById).toBe('successor-id');
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    it('should flag rotated API keys still inside their grace period', async () => {
+      const middleware = AuthMiddleware.validateApiKey();
+      const graceExpiresAt = new Date(Date.now() + 60000);
+
+      req.headers['x-api-key'] = 'rotated-api-key';
+      apiKeyService.validateApiKey.mockResolvedValue({
+        id: 'key-id',
+        isActive: true,
+        isRotatedOut: false,
+        replacedById: 'successor-id',
+        graceExpiresAt
+      });
+      apiKeyService.checkRateLimit.mockResolvedValue({ allowed: true, cost: 1 });
+
+      await middleware(req, res, next);
+
+      expect(res.set).toHaveBeenCalledWith({
+        'Sunset': graceExpiresAt.toUTCString(),
+        'X-API-Key-Replaced-By': 'successor-id'
+      });
+      expect(next).toHaveBeenCalled();
+    });
+
+    it('should reject requests from outside the IP allowlist', async () => {
+      const middleware = AuthMiddleware.validateApiKey();
+
+      req.ip = '198.51.100.7';
+      req.headers['x-api-key'] = 'restricted-api-key';
+      apiKeyService.validateApiKey.mockResolvedValue({
+        id: 'key-id',
+        isActive: true,
+        allowedIps: ['10.0.0.0/8', '203.0.113.0/24']
+      });
+
+      await middleware(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.json.mock.calls[0][0].error.code).toBe('IP_NOT_ALLOWED');
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    it('should accept requests from inside the IP allowlist', async () => {
+      const middleware = AuthMiddleware.validateApiKey();
+
+      req.ip = '::ffff:203.0.113.20';
+      req.headers['x-api-key'] = 'restricted-api-key';
+      apiKeyService.validateApiKey.mockResolvedValue({
+        id: 'key-id',
+        isActive: true,
+        allowedIps: ['10.0.0.0/8', '203.0.113.0/24']
+      });
+      apiKeyService.checkRateLimit.mockResolvedValue({ allowed: true, cost: 1 });
+
+      await middleware(req, res, next);
+
+      expect(next).toHaveBeenCalled();
+    });
+
+    it('should check the forwarded client address against the IP allowlist behind a trusted proxy', async () => {
+      const app = express();
+      app.set('trust proxy', 'loopback');
+      app.get('/api/v1/test', AuthMiddleware.validateApiKey(), (req, res) => res.json({ success: true, ip: req.ip }));
+
+      apiKeyService.validateApiKey.mockResolvedValue({
+        id: 'key-id',
+        isActive: true,
+        allowedIps: ['203.0.113.0/24']
+      });
+      apiKeyService.checkRateLimit.mockResolvedValue({ allowed: true, cost: 1 });
+
+      const allowed = await request(app)
+        .get('/api/v1/test')
+        .set('X-API-Key', 'restricted-api-key')
+        .set('X-Forwarded-For', '203.0.113.20');
+      const rejected = await request(app)
+        .get('/api/v1/test')
+        .set('X-API-Key', 'restricted-api-key')
+        .set('X-Forwarded-For', '198.51.100.7');
+
+      expect(allowed.status).toBe(200);
+      expect(allowed.body.ip).toBe('203.0.113.20');
+      expect(rejected.status).toBe(403);
+      expect(rejected.body.error).toEqual({ code: 'IP_NOT_ALLOWED', message: 'API key cannot be used from 198.51.100.7.' });
+    });
+
     it('should reject request exceeding rate limit', async () => {
       const middleware = AuthMiddleware.validateApiKey();
 
@@ -162,9 +298,11 @@ describe('AuthMiddleware', () => {
       apiKeyService.checkRateLimit.mockReturnValue({
         allowed: false,
         reason: 'Rate limit exceeded',
+        cost: 1,
         limit: 100,
         remaining: 0,
-        resetTime: Date.now() + 900000
+        resetTime: Date.now() + 900000,
+        retryAfter: 900
       });
 
       await middleware(req, res, next);
@@ -173,8 +311,10 @@ describe('AuthMiddleware', () => {
       expect(res.set).toHaveBeenCalledWith({
         'X-RateLimit-Limit': 100,
         'X-RateLimit-Remaining': 0,
-        'X-RateLimit-Reset': expect.any(Number)
+        'X-RateLimit-Reset': expect.any(Number),
+        'X-RateLimit-Cost': 1
       });
+      expect(res.set).toHaveBeenCalledWith('Retry-After', '900');
       expect(res.json).toHaveBeenCalledWith({
         success: false,
         error: {
@@ -183,6 +323,7 @@ describe('AuthMiddleware', () => {
           details: {
             limit: 100,
             remaining: 0,
+            cost: 1,
             resetTime: expect.any(Number)
           }
         }
@@ -190,7 +331,7 @@ describe('AuthMiddleware', () => {
       expect(next).not.toHaveBeenCalled();
     });
 
-    it('should reject request with insufficient permissions', async () => {
+    it('should reject request with insufficient permissions without charging it', async () => {
       const middleware = AuthMiddleware.validateApiKey({
         requiredPermissions: ['admin:write']
       });
@@ -225,6 +366,7 @@ describe('AuthMiddleware', () => {
           }
         }
       });
+      expect(apiKeyService.checkRateLimit).not.toHaveBeenCalled();
       expect(next).not.toHaveBeenCalled();
     });
 
@@ -316,6 +458,50 @@ describe('AuthMiddleware', () => {
       });
     });
 
+    it('should act in the organization that owns the key', async () => {
+      const middleware = AuthMiddleware.validateApiKey();
+
+      req.headers['x-api-key'] = 'valid-api-key';
+      req.headers['x-organization-id'] = 'org-1';
+      apiKeyService.validateApiKey.mockResolvedValue({
+        id: 'key-id',
+        name: 'Org Key',
+        permissions: ['ugc:generate'],
+        isActive: true,
+        organizationId: 'org-1'
+      });
+      apiKeyService.checkRateLimit.mockReturnValue({ allowed: true, limit: 100, remaining: 99 });
+
+      await middleware(req, res, next);
+
+      expect(req.apiKey.organizationId).toBe('org-1');
+      expect(req.organization).toEqual({ id: 'org-1', role: null });
+      expect(next).toHaveBeenCalled();
+    });
+
+    it('should reject keys used for another organization', async () => {
+      const middleware = AuthMiddleware.validateApiKey();
+
+      req.headers['x-api-key'] = 'valid-api-key';
+      req.headers['x-organization-id'] = 'org-2';
+      apiKeyService.validateApiKey.mockResolvedValue({
+        id: 'key-id',
+        name: 'Org Key',
+        permissions: ['ugc:generate'],
+        isActive: true,
+        organizationId: 'org-1'
+      });
+
+      await middleware(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+        error: expect.objectContaining({ code: 'ORGANIZATION_ACCESS_DENIED' })
+      }));
+      expect(apiKeyService.checkRateLimit).not.toHaveBeenCalled();
+      expect(next).not.toHaveBeenCalled();
+    });
+
     it('should handle authentication errors gracefully', async () => {
       const middleware = AuthMiddleware.validateApiKey();
 
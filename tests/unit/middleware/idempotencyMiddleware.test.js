@@ -0,0 +1,153 @@
+const IdempotencyMiddleware = require('../../../src/middleware/idempotencyMiddleware');
+const idempotencyService = require('../../../src/services/idempotencyService');
+
+jest.mock('../../../src/services/idempotencyService', () => {
+  class IdempotencyConflictError extends Error {
+    constructor(message, code) {
+      super(message);
+      this.code = code;
+    }
+  }
+  return {
+    IdempotencyConflictError,
+    isValidKey: jest.fn(() => true),
+    getScope: jest.fn(() => 'api_key:key-1'),
+    fingerprint: jest.fn(() => 'abc'),
+    begin: jest.fn(),
+    complete: jest.fn(),
+    release: jest.fn()
+  };
+});
+jest.mock('../../../src/services/quotaService', () => ({
+  getPrincipal: jest.fn(() => ({ userId: null, apiKeyId: 'key-1', organizationId: null }))
+}));
+
+describe('IdempotencyMiddleware', () => {
+  let req, res, next, send;
+
+  /**
+   * Wait for the stored response to be sent
+   */
+  const flush = () => new Promise(resolve => setImmediate(resolve));
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    req = {
+      body: { creativeBrief: 'Brief' },
+      get: jest.fn(header => (header === 'Idempotency-Key' ? 'retry-1' : undefined))
+    };
+    send = jest.fn();
+    res = {
+      statusCode: 200,
+      status: jest.fn(function (code) {
+        this.statusCode = code;
+        return this;
+      }),
+      json: send,
+      set: jest.fn().mockReturnThis()
+    };
+    next = jest.fn();
+    idempotencyService.complete.mockResolvedValue();
+    idempotencyService.release.mockResolvedValue();
+  });
+
+  it('should pass through requests without a key', async () => {
+    req.get.mockReturnValue(undefined);
+
+    await IdempotencyMiddleware.handle('ugc.generate')(req, res, next);
+
+    expect(idempotencyService.begin).not.toHaveBeenCalled();
+    expect(next).toHaveBeenCalled();
+  });
+
+  it('should reject invalid keys', async () => {
+    idempotencyService.isValidKey.mockReturnValueOnce(false);
+
+    await IdempotencyMiddleware.handle('ugc.generate')(req, res, next);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(send).toHaveBeenCalledWith(expect.objectContaining({
+      error: expect.objectContaining({ code: 'INVALID_IDEMPOTENCY_KEY' })
+    }));
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  it('should store a successful response for replay', async () => {
+    const record = { id: 'idem-1' };
+    idempotencyService.begin.mockResolvedValue({ replay: false, record });
+
+    await IdempotencyMiddleware.handle('ugc.generate')(req, res, next);
+
+    expect(idempotencyService.begin).toHaveBeenCalledWith({
+      scope: 'api_key:key-1',
+      endpoint: 'ugc.generate',
+      key: 'retry-1',
+      fingerprint: 'abc'
+    });
+    expect(next).toHaveBeenCalled();
+
+    const body = { success: true, data: { operationId: 'ugc_1' } };
+    res.status(202).json(body);
+    await flush();
+
+    expect(idempotencyService.complete).toHaveBeenCalledWith(record, 202, body);
+    expect(send).toHaveBeenCalledWith(body);
+  });
+
+  it('should release the key when the request fails', async () => {
+    const record = { id: 'idem-1' };
+    idempotencyService.begin.mockResolvedValue({ replay: false, record });
+
+    await IdempotencyMiddleware.handle('ugc.generate')(req, res, next);
+    res.status(429).json({ success: false, code: 'DAILY_QUOTA_EXCEEDED' });
+    await flush();
+
+    expect(idempotencyService.release).toHaveBeenCalledWith(record);
+    expect(idempotencyService.complete).not.toHaveBeenCalled();
+    expect(send).toHaveBeenCalled();
+  });
+
+  it('should replay the original response for a retry', async () => {
+    const responseBody = { success: true, data: { operationId: 'ugc_1' } };
+    idempotencyService.begin.mockResolvedValue({
+      replay: true,
+      record: { responseStatus: 202, responseBody }
+    });
+
+    await IdempotencyMiddleware.handle('ugc.generate')(req, res, next);
+
+    expect(res.set).toHaveBeenCalledWith('Idempotent-Replayed', 'true');
+    expect(res.status).toHaveBeenCalledWith(202);
+    expect(send).toHaveBeenCalledWith(responseBody);
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  it('should return 409 when the key was used with a different request', async () => {
+    idempotencyService.begin.mockRejectedValue(
+      new idempotencyService.IdempotencyConflictError('This Idempotency-Key was already used with a different request', 'IDEMPOTENCY_KEY_MISMATCH')
+    );
+
+    await IdempotencyMiddleware.handle('ugc.generate')(req, res, next);
+
+    expect(res.status).toHaveBeenCalledWith(409);
+    expect(send).toHaveBeenCalledWith({
+      success: false,
+      error: {
+        code: 'IDEMPOTENCY_KEY_MISMATCH',
+        message: 'This Idempotency-Key was already used with a different request'
+      }
+    });
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  it('should not start work when the key cannot be checked', async () => {
+    idempotencyService.begin.mockRejectedValue(new Error('Database unavailable'));
+    const consoleSpy = jest.spyOn(console, 'error').mockImplementation();
+
+    await IdempotencyMiddleware.handle('ugc.generate')(req, res, next);
+
+    expect(res.status).toHaveBeenCalledWith(500);
+    expect(next).not.toHaveBeenCalled();
+    consoleSpy.mockRestore();
+  });
+});
@@ -1,5 +1,7 @@
 const OAuthMiddleware = require('../../../src/middleware/oauthMiddleware');
 const oauthService = require('../../../src/services/oauthService');
+const rateLimitService = require('../../../src/services/rateLimitService');
+const organizationService = require('../../../src/services/organizationService');
 
 // Mock the oauthService
 jest.mock('../../../src/services/oauthService', () => ({
@@ -7,6 +9,14 @@ jest.mock('../../../src/services/oauthService', () => ({
   findUserById: jest.fn(),
   hasPermission: jest.fn()
 }));
+jest.mock('../../../src/services/rateLimitService', () => ({
+  consume: jest.fn(),
+  getRequestCost: jest.fn()
+}));
+jest.mock('../../../src/services/organizationService', () => ({
+  resolveActiveOrganization: jest.fn(),
+  hasRole: jest.fn()
+}));
 
 describe('OAuthMiddleware', () => {
   let req, res, next;
@@ -19,12 +29,24 @@ describe('OAuthMiddleware', () => {
     };
     res = {
       status: jest.fn().mockReturnThis(),
-      json: jest.fn().mockReturnThis()
+      json: jest.fn().mockReturnThis(),
+      set: jest.fn().mockReturnThis()
     };
     next = jest.fn();
 
     // Reset all mocks
     jest.clearAllMocks();
+    rateLimitService.getRequestCost.mockReturnValue(1);
+    rateLimitService.consume.mockResolvedValue({
+      allowed: true,
+      cost: 1,
+      limit: 100,
+      remaining: 99,
+      resetTime: Date.now() + 900000,
+      dailyLimit: 1000,
+      dailyRemaining: 999
+    });
+    organizationService.resolveActiveOrganization.mockResolvedValue(null);
   });
 
   describe('validateJWT', () => {
@@ -70,6 +92,73 @@ describe('OAuthMiddleware', () => {
       expect(next).toHaveBeenCalled();
     });
 
+    it('should rate limit JWT users with the shared limiter', async () => {
+      const middleware = OAuthMiddleware.validateJWT();
+
+      req.headers.authorization = 'Bearer valid-jwt-token';
+      oauthService.verifyAccessToken.mockReturnValue({ sub: 'user-id', permissions: [] });
+      oauthService.findUserById.mockReturnValue({
+        id: 'user-id',
+        isActive: true,
+        metadata: { rateLimit: { maxRequests: 10 } }
+      });
+
+      await middleware(req, res, next);
+
+      expect(rateLimitService.getRequestCost).toHaveBeenCalledWith(req);
+      expect(rateLimitService.consume).toHaveBeenCalledWith('user:user-id', { maxRequests: 10 }, 1);
+      expect(res.set).toHaveBeenCalledWith({
+        'X-RateLimit-Limit': 100,
+        'X-RateLimit-Remaining': 99,
+        'X-RateLimit-Reset': expect.any(Number),
+        'X-RateLimit-Daily-Limit': 1000,
+        'X-RateLimit-Daily-Remaining': 999,
+        'X-RateLimit-Cost': 1
+      });
+      expect(next).toHaveBeenCalled();
+    });
+
+    it('should charge the route cost and track it for later top-ups', async () => {
+      const middleware = OAuthMiddleware.validateJWT();
+
+      req.headers.authorization = 'Bearer valid-jwt-token';
+      oauthService.verifyAccessToken.mockReturnValue({ sub: 'user-id', permissions: [] });
+      oauthService.findUserById.mockReturnValue({ id: 'user-id', isActive: true });
+      rateLimitService.getRequestCost.mockReturnValue(4);
+      rateLimitService.consume.mockResolvedValue({ allowed: true, cost: 4, limit: 100, remaining: 96 });
+
+      await middleware(req, res, next);
+
+      expect(rateLimitService.consume).toHaveBeenCalledWith('user:user-id', undefined, 4);
+      expect(req.rateLimit.charged).toBe(4);
+
+      await req.rateLimit.consume(2);
+      expect(rateLimitService.consume).toHaveBeenLastCalledWith('user:user-id', undefined, 2);
+    });
+
+    it('should reject JWT users exceeding the rate limit with Retry-After', async () => {
+      const middleware = OAuthMiddleware.validateJWT();
+
+      req.headers.authorization = 'Bearer valid-jwt-token';
+      oauthService.verifyAccessToken.mockReturnValue({ sub: 'user-id', permissions: [] });
+      oauthService.findUserById.mockReturnValue({ id: 'user-id', isActive: true });
+      rateLimitService.consume.mockResolvedValue({
+        allowed: false,
+        reason: 'Rate limit exceeded',
+        limit: 100,
+        remaining: 0,
+        resetTime: Date.now() + 30000,
+        retryAfter: 30
+      });
+
+      await middleware(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(429);
+      expect(res.set).toHaveBeenCalledWith('Retry-After', '30');
+      expect(res.json.mock.calls[0][0].error.code).toBe('RATE_LIMIT_EXCEEDED');
+      expect(next).not.toHaveBeenCalled();
+    });
+
     it('should reject request without JWT token', async () => {
       const middleware = OAuthMiddleware.validateJWT();
 
@@ -150,7 +239,7 @@ describe('OAuthMiddleware', () => {
       expect(next).not.toHaveBeenCalled();
     });
 
-    it('should reject request with insufficient permissions', async () => {
+    it('should reject request with insufficient permissions without charging it', async () => {
       const middleware = OAuthMiddleware.validateJWT({
         requiredPermissions: ['admin:write']
       });
@@ -190,6 +279,67 @@ describe('OAuthMiddleware', () => {
           }
         }
       });
+      expect(rateLimitService.consume).not.toHaveBeenCalled();
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    it('should resolve the organization the request acts in', async () => {
+      const middleware = OAuthMiddleware.validateJWT({ organizationRole: 'editor' });
+      const user = { id: 'user-id', isActive: true, activeOrganizationId: 'org-1' };
+
+      req.headers.authorization = 'Bearer valid-jwt-token';
+      req.headers['x-organization-id'] = 'org-2';
+      oauthService.verifyAccessToken.mockReturnValue({ sub: 'user-id', permissions: [] });
+      oauthService.findUserById.mockReturnValue(user);
+      organizationService.resolveActiveOrganization.mockResolvedValue({ id: 'org-2', role: 'admin' });
+      organizationService.hasRole.mockReturnValue(true);
+
+      await middleware(req, res, next);
+
+      expect(organizationService.resolveActiveOrganization).toHaveBeenCalledWith(user, 'org-2');
+      expect(organizationService.hasRole).toHaveBeenCalledWith('admin', 'editor');
+      expect(req.organization).toEqual({ id: 'org-2', role: 'admin' });
+      expect(next).toHaveBeenCalled();
+    });
+
+    it('should reject an organization the user does not belong to', async () => {
+      const middleware = OAuthMiddleware.validateJWT();
+
+      req.headers.authorization = 'Bearer valid-jwt-token';
+      req.headers['x-organization-id'] = 'other-org';
+      oauthService.verifyAccessToken.mockReturnValue({ sub: 'user-id', permissions: [] });
+      oauthService.findUserById.mockReturnValue({ id: 'user-id', isActive: true });
+      organizationService.resolveActiveOrganization.mockRejectedValue(new Error('Organization not found'));
+
+      await middleware(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+        error: expect.objectContaining({ code: 'ORGANIZATION_ACCESS_DENIED' })
+      }));
+      expect(rateLimitService.consume).not.toHaveBeenCalled();
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    it('should reject members below the required organization role', async () => {
+      const middleware = OAuthMiddleware.validateJWT({ organizationRole: 'editor' });
+
+      req.headers.authorization = 'Bearer valid-jwt-token';
+      oauthService.verifyAccessToken.mockReturnValue({ sub: 'user-id', permissions: [] });
+      oauthService.findUserById.mockReturnValue({ id: 'user-id', isActive: true, activeOrganizationId: 'org-1' });
+      organizationService.resolveActiveOrganization.mockResolvedValue({ id: 'org-1', role: 'viewer' });
+      organizationService.hasRole.mockReturnValue(false);
+
+      await middleware(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+        error: expect.objectContaining({
+          code: 'INSUFFICIENT_ORGANIZATION_ROLE',
+          details: { required: 'editor', current: 'viewer' }
+        })
+      }));
+      expect(rateLimitService.consume).not.toHaveBeenCalled();
       expect(next).not.toHaveBeenCalled();
     });
 
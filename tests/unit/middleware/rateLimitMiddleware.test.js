@@ -0,0 +1,122 @@
+const RateLimitMiddleware = require('../../../src/middleware/rateLimitMiddleware');
+const rateLimitService = require('../../../src/services/rateLimitService');
+
+jest.mock('../../../src/services/rateLimitService', () => ({
+  getRequestCost: jest.fn()
+}));
+
+describe('RateLimitMiddleware', () => {
+  let req, res, next;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    req = { method: 'POST', body: {} };
+    res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn().mockReturnThis(),
+      set: jest.fn().mockReturnThis()
+    };
+    next = jest.fn();
+  });
+
+  describe('chargeParsedBody', () => {
+    it('should skip requests without a tracked charge', async () => {
+      await RateLimitMiddleware.chargeParsedBody()(req, res, next);
+
+      expect(rateLimitService.getRequestCost).not.toHaveBeenCalled();
+      expect(next).toHaveBeenCalled();
+    });
+
+    it('should not charge again when the full cost was already paid', async () => {
+      const consume = jest.fn();
+      RateLimitMiddleware.trackCharge(req, { cost: 2 }, consume);
+      rateLimitService.getRequestCost.mockReturnValue(2);
+
+      await RateLimitMiddleware.chargeParsedBody()(req, res, next);
+
+      expect(consume).not.toHaveBeenCalled();
+      expect(next).toHaveBeenCalled();
+    });
+
+    it('should charge the remaining cost once the body is parsed', async () => {
+      const consume = jest.fn().mockResolvedValue({
+        allowed: true,
+        cost: 4,
+        limit: 100,
+        remaining: 95,
+        resetTime: Date.now() + 60000,
+        dailyLimit: 1000,
+        dailyRemaining: 995
+      });
+      RateLimitMiddleware.trackCharge(req, { cost: 1 }, consume);
+      rateLimitService.getRequestCost.mockReturnValue(5);
+
+      await RateLimitMiddleware.chargeParsedBody()(req, res, next);
+
+      expect(consume).toHaveBeenCalledWith(4);
+      expect(req.rateLimit.charged).toBe(5);
+      expect(res.set).toHaveBeenCalledWith(expect.objectContaining({
+        'X-RateLimit-Remaining': 95,
+        'X-RateLimit-Cost': 5
+      }));
+      expect(next).toHaveBeenCalled();
+    });
+
+    it('should reject when the remaining cost exceeds the budget', async () => {
+      const consume = jest.fn().mockResolvedValue({
+        allowed: false,
+        reason: 'Rate limit exceeded',
+        cost: 49,
+        limit: 50,
+        remaining: 49,
+        resetTime: Date.now() + 60000,
+        retryAfter: 60
+      });
+      RateLimitMiddleware.trackCharge(req, { cost: 1 }, consume);
+      rateLimitService.getRequestCost.mockReturnValue(50);
+
+      await RateLimitMiddleware.chargeParsedBody()(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(429);
+      expect(res.set).toHaveBeenCalledWith('Retry-After', '60');
+      expect(next).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('chargeOperationSegments', () => {
+    it('should allow requests without a tracked charge', async () => {
+      await expect(RateLimitMiddleware.chargeOperationSegments(req, res, 4)).resolves.toBe(true);
+
+      expect(rateLimitService.getRequestCost).not.toHaveBeenCalled();
+    });
+
+    it('should charge the remaining cost of the operation segments', async () => {
+      const consume = jest.fn().mockResolvedValue({ allowed: true, limit: 100, remaining: 96, resetTime: Date.now() + 60000 });
+      RateLimitMiddleware.trackCharge(req, { cost: 1 }, consume);
+      rateLimitService.getRequestCost.mockReturnValue(4);
+
+      await expect(RateLimitMiddleware.chargeOperationSegments(req, res, 4)).resolves.toBe(true);
+
+      expect(rateLimitService.getRequestCost).toHaveBeenCalledWith(req, { segments: 4 });
+      expect(consume).toHaveBeenCalledWith(3);
+      expect(req.rateLimit.charged).toBe(4);
+    });
+
+    it('should send a 429 response when the segments exceed the budget', async () => {
+      const consume = jest.fn().mockResolvedValue({
+        allowed: false,
+        reason: 'Rate limit exceeded',
+        limit: 50,
+        remaining: 1,
+        resetTime: Date.now() + 60000,
+        retryAfter: 60
+      });
+      RateLimitMiddleware.trackCharge(req, { cost: 1 }, consume);
+      rateLimitService.getRequestCost.mockReturnValue(12);
+
+      await expect(RateLimitMiddleware.chargeOperationSegments(req, res, 12)).resolves.toBe(false);
+
+      expect(res.status).toHaveBeenCalledWith(429);
+    });
+  });
+});
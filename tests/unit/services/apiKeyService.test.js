@@ -1,16 +1,79 @@
+const bcrypt = require('bcryptjs');
 const apiKeyService = require('../../../src/services/apiKeyService');
+const models = require('../../../src/models');
+const rateLimitService = require('../../../src/services/rateLimitService');
+
+jest.mock('../../../src/models', () => ({
+  sequelize: {
+    fn: jest.fn(() => 'COUNT(*)'),
+    transaction: jest.fn(callback => callback({ id: 'transaction' }))
+  },
+  ApiKey: {
+    create: jest.fn(),
+    findByPk: jest.fn(),
+    findAll: jest.fn(),
+    update: jest.fn()
+  },
+  ApiUsage: {
+    logRequest: jest.fn(),
+    count: jest.fn(),
+    findAll: jest.fn()
+  }
+}));
+jest.mock('../../../src/services/rateLimitService', () => ({
+  consume: jest.fn(),
+  getStatus: jest.fn(),
+  getRouteCosts: jest.fn(() => ({ 'GET /api/v1/ugc/status/:operationId': 0.1 }))
+}));
+
+/**
+ * Build a fake ApiKey record with the instance methods the service relies on
+ */
+const buildKeyRecord = (overrides = {}) => {
+  const record = {
+    id: '0f8fad5b-d9cb-469f-a165-70867728950e',
+    keyHash: 'hash',
+    name: 'Test Key',
+    description: '',
+    permissions: ['ugc:generate'],
+    rateLimit: {
+      windowMs: 60000,
+      maxRequests: 5,
+      maxDailyRequests: 10
+    },
+    metadata: {},
+    allowedIps: [],
+    expiresAt: null,
+    replacedById: null,
+    graceExpiresAt: null,
+    isActive: true,
+    lastUsed: null,
+    created_at: new Date(),
+    ...overrides
+  };
+  record.isExpired = jest.fn(() => Boolean(record.expiresAt) && record.expiresAt <= new Date());
+  record.isRotatedOut = jest.fn(() => Boolean(record.replacedById) &&
+    (!record.graceExpiresAt || record.graceExpiresAt <= new Date()));
+  record.hasPermission = jest.fn(permission =>
+    record.permissions.includes(permission) || record.permissions.includes('*'));
+  record.updateLastUsed = jest.fn(() => {
+    record.lastUsed = new Date();
+    return Promise.resolve(record);
+  });
+  record.changed = jest.fn();
+  record.save = jest.fn().mockResolvedValue(record);
+  return record;
+};
 
 describe('ApiKeyService', () => {
   beforeEach(() => {
-    // Clear all keys and stats before each test
-    apiKeyService.apiKeys.clear();
-    apiKeyService.usageStats.clear();
-    apiKeyService.rateLimits.clear();
+    jest.clearAllMocks();
+    models.ApiKey.create.mockImplementation(async (data) => buildKeyRecord(data));
   });
 
   describe('generateApiKey', () => {
-    it('should generate a valid API key with default options', () => {
-      const keyData = apiKeyService.generateApiKey({
+    it('should generate a valid API key with default options', async () => {
+      const keyData = await apiKeyService.generateApiKey({
         name: 'Test Key',
         description: 'Test description'
       });
@@ -25,8 +88,26 @@ describe('ApiKeyService', () => {
       expect(keyData.createdAt).toBeInstanceOf(Date);
     });
 
-    it('should generate API key with custom permissions', () => {
-      const keyData = apiKeyService.generateApiKey({
+    it('should persist the key with its ID embedded in the key prefix', async () => {
+      const keyData = await apiKeyService.generateApiKey({ name: 'Test Key' });
+
+      const created = models.ApiKey.create.mock.calls[0][0];
+      expect(created.id).toBe(keyData.id);
+      expect(keyData.key.split('_')[1]).toBe(keyData.id.replace(/-/g, ''));
+      expect(apiKeyService.parseKeyId(keyData.key)).toBe(keyData.id);
+    });
+
+    it('should store only a hash of the key', async () => {
+      const keyData = await apiKeyService.generateApiKey({ name: 'Test Key' });
+
+      const created = models.ApiKey.create.mock.calls[0][0];
+      expect(created).not.toHaveProperty('key');
+      expect(created.keyHash).not.toBe(keyData.key);
+      expect(await bcrypt.compare(keyData.key, created.keyHash)).toBe(true);
+    });
+
+    it('should generate API key with custom permissions', async () => {
+      const keyData = await apiKeyService.generateApiKey({
         name: 'Admin Key',
         permissions: ['*']
       });
@@ -34,52 +115,37 @@ describe('ApiKeyService', () => {
       expect(keyData.permissions).toEqual(['*']);
     });
 
-    it('should generate API key with custom rate limits', () => {
+    it('should generate API key with custom rate limits', async () => {
       const customRateLimit = {
         windowMs: 60000,
         maxRequests: 50,
         maxDailyRequests: 500
       };
 
-      const keyData = apiKeyService.generateApiKey({
+      const keyData = await apiKeyService.generateApiKey({
         name: 'Limited Key',
         rateLimit: customRateLimit
       });
 
       expect(keyData.rateLimit).toEqual(customRateLimit);
     });
-
-    it('should initialize usage stats and rate limits', () => {
-      const keyData = apiKeyService.generateApiKey({
-        name: 'Test Key'
-      });
-
-      const usageStats = apiKeyService.usageStats.get(keyData.id);
-      const rateLimits = apiKeyService.rateLimits.get(keyData.id);
-
-      expect(usageStats).toBeDefined();
-      expect(usageStats.totalRequests).toBe(0);
-      expect(usageStats.dailyRequests).toBe(0);
-      expect(usageStats.errors).toBe(0);
-
-      expect(rateLimits).toBeDefined();
-      expect(rateLimits.requestCount).toBe(0);
-      expect(rateLimits.dailyCount).toBe(0);
-    });
   });
 
   describe('validateApiKey', () => {
     let testKey;
+    let record;
 
-    beforeEach(() => {
-      testKey = apiKeyService.generateApiKey({
-        name: 'Test Key'
-      });
+    beforeEach(async () => {
+      testKey = await apiKeyService.generateApiKey({ name: 'Test Key' });
+      const created = models.ApiKey.create.mock.calls[0][0];
+      record = buildKeyRecord({ id: testKey.id, keyHash: created.keyHash });
+      models.ApiKey.findByPk.mockResolvedValue(record);
     });
 
     it('should validate a correct API key', async () => {
       const result = await apiKeyService.validateApiKey(testKey.key);
 
+      expect(models.ApiKey.findByPk).toHaveBeenCalledWith(testKey.id);
       expect(result).toBeDefined();
       expect(result.id).toBe(testKey.id);
       expect(result.name).toBe('Test Key');
@@ -88,98 +154,192 @@ describe('ApiKeyService', () => {
 
     it('should reject invalid API key format', async () => {
       const result = await apiKeyService.validateApiKey('invalid_key');
+
       expect(result).toBeNull();
+      expect(models.ApiKey.findByPk).not.toHaveBeenCalled();
     });
 
     it('should reject non-existent API key', async () => {
-      const result = await apiKeyService.validateApiKey('ugc_nonexistent_key');
+      models.ApiKey.findByPk.mockResolvedValue(null);
+
+      const result = await apiKeyService.validateApiKey(testKey.key);
       expect(result).toBeNull();
     });
 
-    it('should reject inactive API key', async () => {
-      apiKeyService.deactivateApiKey(testKey.id);
-      const result = await apiKeyService.validateApiKey(testKey.key);
+    it('should reject a key whose secret does not match', async () => {
+      const [prefix, keyId] = testKey.key.split('_');
+      const forged = `${prefix}_${keyId}_${'0'.repeat(64)}`;
+
+      const result = await apiKeyService.validateApiKey(forged);
       expect(result).toBeNull();
     });
 
+    it('should return inactive keys without updating lastUsed', async () => {
+      record.isActive = false;
+
+      const result = await apiKeyService.validateApiKey(testKey.key);
+
+      expect(result.isActive).toBe(false);
+      expect(record.updateLastUsed).not.toHaveBeenCalled();
+    });
+
+    it('should flag expired keys without updating lastUsed', async () => {
+      record.expiresAt = new Date(Date.now() - 1000);
+
+      const result = await apiKeyService.validateApiKey(testKey.key);
+
+      expect(result.isExpired).toBe(true);
+      expect(result.isRotatedOut).toBe(false);
+      expect(record.updateLastUsed).not.toHaveBeenCalled();
+    });
+
+    it('should accept rotated keys inside their grace period', async () => {
+      record.replacedById = 'successor-id';
+      record.graceExpiresAt = new Date(Date.now() + 60000);
+
+      const result = await apiKeyService.validateApiKey(testKey.key);
+
+      expect(result.isRotatedOut).toBe(false);
+      expect(result.replacedById).toBe('successor-id');
+      expect(record.updateLastUsed).toHaveBeenCalled();
+    });
+
+    it('should flag rotated keys once the grace period has ended', async () => {
+      record.replacedById = 'successor-id';
+      record.graceExpiresAt = new Date(Date.now() - 1000);
+
+      const result = await apiKeyService.validateApiKey(testKey.key);
+
+      expect(result.isRotatedOut).toBe(true);
+      expect(record.updateLastUsed).not.toHaveBeenCalled();
+    });
+
     it('should update lastUsed timestamp on validation', async () => {
-      const beforeValidation = new Date();
       await apiKeyService.validateApiKey(testKey.key);
-      
-      const keyData = apiKeyService.apiKeys.get(testKey.id);
-      expect(keyData.lastUsed).toBeInstanceOf(Date);
-      expect(keyData.lastUsed.getTime()).toBeGreaterThanOrEqual(beforeValidation.getTime());
+
+      expect(record.updateLastUsed).toHaveBeenCalled();
+      expect(record.lastUsed).toBeInstanceOf(Date);
+    });
+
+    it('should return null when the lookup fails', async () => {
+      models.ApiKey.findByPk.mockRejectedValue(new Error('connection refused'));
+
+      const result = await apiKeyService.validateApiKey(testKey.key);
+      expect(result).toBeNull();
     });
   });
 
-  describe('checkRateLimit', () => {
-    let testKey;
+  describe('rotateApiKey', () => {
+    let record;
 
     beforeEach(() => {
-      testKey = apiKeyService.generateApiKey({
-        name: 'Test Key',
-        rateLimit: {
-          windowMs: 60000, // 1 minute
-          maxRequests: 5,
-          maxDailyRequests: 10
-        }
+      record = buildKeyRecord({
+        permissions: ['ugc:generate', 'analytics:read'],
+        allowedIps: ['10.0.0.0/8']
       });
+      models.ApiKey.findByPk.mockResolvedValue(record);
+      models.ApiKey.update.mockResolvedValue([1]);
     });
 
-    it('should allow requests within rate limit', () => {
-      const result = apiKeyService.checkRateLimit(testKey.id);
+    it('should issue a successor and start the grace period on the old key', async () => {
+      const before = Date.now();
 
-      expect(result.allowed).toBe(true);
-      expect(result.limit).toBe(5);
-      expect(result.remaining).toBe(5);
-      expect(result.dailyLimit).toBe(10);
-      expect(result.dailyRemaining).toBe(10);
+      const successor = await apiKeyService.rotateApiKey(record.id, { gracePeriodMs: 60000 });
+
+      const created = models.ApiKey.create.mock.calls[0][0];
+      expect(created.name).toBe('Test Key');
+      expect(created.permissions).toEqual(['ugc:generate', 'analytics:read']);
+      expect(created.allowedIps).toEqual(['10.0.0.0/8']);
+      expect(models.ApiKey.create.mock.calls[0][1]).toEqual({ transaction: { id: 'transaction' } });
+
+      const [changes, options] = models.ApiKey.update.mock.calls[0];
+      expect(changes.replacedById).toBe(successor.id);
+      expect(changes.graceExpiresAt.getTime()).toBeGreaterThanOrEqual(before + 60000);
+      expect(options.where).toEqual({ id: record.id, replacedById: null });
+
+      expect(successor.key).toMatch(/^ugc_/);
+      expect(successor.id).not.toBe(record.id);
+      expect(successor.rotatedFrom.id).toBe(record.id);
     });
 
-    it('should reject requests exceeding window rate limit', () => {
-      const rateLimitData = apiKeyService.rateLimits.get(testKey.id);
-      rateLimitData.requestCount = 5; // At limit
-      
-      const result = apiKeyService.checkRateLimit(testKey.id);
+    it('should use the configured grace period by default', async () => {
+      const before = Date.now();
 
-      expect(result.allowed).toBe(false);
-      expect(result.reason).toBe('Rate limit exceeded');
-      expect(result.remaining).toBe(0);
+      await apiKeyService.rotateApiKey(record.id);
+
+      const [changes] = models.ApiKey.update.mock.calls[0];
+      expect(changes.graceExpiresAt.getTime()).toBeGreaterThanOrEqual(before + apiKeyService.getDefaultGracePeriodMs());
     });
 
-    it('should reject requests exceeding daily rate limit', () => {
-      const rateLimitData = apiKeyService.rateLimits.get(testKey.id);
-      rateLimitData.dailyCount = 10; // At daily limit
-      
-      const result = apiKeyService.checkRateLimit(testKey.id);
+    it('should return null for unknown keys', async () => {
+      models.ApiKey.findByPk.mockResolvedValue(null);
 
-      expect(result.allowed).toBe(false);
-      expect(result.reason).toBe('Daily rate limit exceeded');
+      expect(await apiKeyService.rotateApiKey('missing')).toBeNull();
     });
 
-    it('should reset window counter after window expires', () => {
-      const rateLimitData = apiKeyService.rateLimits.get(testKey.id);
-      rateLimitData.requestCount = 5;
-      rateLimitData.windowStart = Date.now() - 61000; // 61 seconds ago
-      
-      const result = apiKeyService.checkRateLimit(testKey.id);
+    it('should refuse to rotate a key twice', async () => {
+      record.replacedById = 'successor-id';
 
-      expect(result.allowed).toBe(true);
-      expect(result.remaining).toBe(5); // Reset to full limit
+      await expect(apiKeyService.rotateApiKey(record.id)).rejects.toThrow('API key has already been rotated');
+      expect(models.ApiKey.create).not.toHaveBeenCalled();
+    });
+
+    it('should fail when a concurrent rotation wins', async () => {
+      models.ApiKey.update.mockResolvedValue([0]);
+
+      await expect(apiKeyService.rotateApiKey(record.id)).rejects.toThrow('API key has already been rotated');
+    });
+
+    it('should refuse to rotate expired keys', async () => {
+      record.expiresAt = new Date(Date.now() - 1000);
+
+      await expect(apiKeyService.rotateApiKey(record.id)).rejects.toThrow('Only active, unexpired API keys can be rotated');
     });
   });
 
-  describe('recordUsage', () => {
-    let testKey;
+  describe('checkRateLimit', () => {
+    it('should consume from the shared limiter with the key limits', async () => {
+      models.ApiKey.findByPk.mockResolvedValue(buildKeyRecord());
+      rateLimitService.consume.mockResolvedValue({ allowed: true, limit: 5, remaining: 4 });
 
-    beforeEach(() => {
-      testKey = apiKeyService.generateApiKey({
-        name: 'Test Key'
-      });
+      const result = await apiKeyService.checkRateLimit('key-id', 3);
+
+      expect(rateLimitService.consume).toHaveBeenCalledWith('apikey:key-id', {
+        windowMs: 60000,
+        maxRequests: 5,
+        maxDailyRequests: 10
+      }, 3);
+      expect(result.allowed).toBe(true);
+      expect(result.remaining).toBe(4);
+    });
+
+    it('should fall back to default limits for missing settings', async () => {
+      models.ApiKey.findByPk.mockResolvedValue(buildKeyRecord({ rateLimit: { maxRequests: 5 } }));
+      rateLimitService.consume.mockResolvedValue({ allowed: true });
+
+      await apiKeyService.checkRateLimit('key-id', 1);
+
+      expect(rateLimitService.consume).toHaveBeenCalledWith('apikey:key-id', {
+        windowMs: 15 * 60 * 1000,
+        maxRequests: 5,
+        maxDailyRequests: 1000
+      }, 1);
     });
 
-    it('should record usage statistics', () => {
-      apiKeyService.recordUsage(testKey.id, {
+    it('should reject unknown keys', async () => {
+      models.ApiKey.findByPk.mockResolvedValue(null);
+
+      const result = await apiKeyService.checkRateLimit('non-existent');
+
+      expect(result.allowed).toBe(false);
+      expect(result.reason).toBe('Invalid API key');
+      expect(rateLimitService.consume).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('recordUsage', () => {
+    it('should log the request', async () => {
+      await apiKeyService.recordUsage('key-id', {
         endpoint: '/api/v1/ugc/generate',
         method: 'POST',
         statusCode: 200,
@@ -187,199 +347,195 @@ describe('ApiKeyService', () => {
         userAgent: 'test-agent'
       });
 
-      const usageData = apiKeyService.usageStats.get(testKey.id);
-      const rateLimitData = apiKeyService.rateLimits.get(testKey.id);
-
-      expect(usageData.totalRequests).toBe(1);
-      expect(usageData.dailyRequests).toBe(1);
-      expect(usageData.requestHistory).toHaveLength(1);
-      expect(usageData.requestHistory[0]).toMatchObject({
+      expect(models.ApiUsage.logRequest).toHaveBeenCalledWith(expect.objectContaining({
+        apiKeyId: 'key-id',
         endpoint: '/api/v1/ugc/generate',
         method: 'POST',
         statusCode: 200,
         responseTime: 1500,
         userAgent: 'test-agent'
-      });
-
-      expect(rateLimitData.requestCount).toBe(1);
-      expect(rateLimitData.dailyCount).toBe(1);
+      }));
     });
 
-    it('should limit request history to 100 entries', () => {
-      // Record 150 requests
-      for (let i = 0; i < 150; i++) {
-        apiKeyService.recordUsage(testKey.id, {
-          endpoint: `/api/test/${i}`,
-          method: 'GET'
-        });
-      }
+    it('should not throw when logging fails', async () => {
+      models.ApiUsage.logRequest.mockRejectedValue(new Error('DB down'));
 
-      const usageData = apiKeyService.usageStats.get(testKey.id);
-      expect(usageData.requestHistory).toHaveLength(100);
-      expect(usageData.totalRequests).toBe(150);
+      await expect(apiKeyService.recordUsage('key-id', { endpoint: '/test' })).resolves.toBeUndefined();
     });
   });
 
   describe('recordError', () => {
-    let testKey;
+    it('should record error information on the key', async () => {
+      const record = buildKeyRecord();
+      models.ApiKey.findByPk.mockResolvedValue(record);
 
-    beforeEach(() => {
-      testKey = apiKeyService.generateApiKey({
-        name: 'Test Key'
-      });
-    });
-
-    it('should record error information', () => {
-      apiKeyService.recordError(testKey.id, {
+      await apiKeyService.recordError('key-id', {
         message: 'Test error',
         endpoint: '/api/v1/ugc/generate',
         statusCode: 500
       });
 
-      const usageData = apiKeyService.usageStats.get(testKey.id);
-      expect(usageData.errors).toBe(1);
-      expect(usageData.lastError).toMatchObject({
+      expect(record.metadata.lastError).toMatchObject({
         message: 'Test error',
         endpoint: '/api/v1/ugc/generate',
         statusCode: 500
       });
-      expect(usageData.lastError.timestamp).toBeInstanceOf(Date);
+      expect(record.metadata.lastError.timestamp).toBeInstanceOf(Date);
+      expect(record.save).toHaveBeenCalled();
     });
   });
 
   describe('hasPermission', () => {
-    let testKey, adminKey;
-
-    beforeEach(() => {
-      testKey = apiKeyService.generateApiKey({
-        name: 'Test Key',
-        permissions: ['ugc:generate', 'cache:read']
-      });
+    it('should return true for granted permissions', async () => {
+      models.ApiKey.findByPk.mockResolvedValue(buildKeyRecord({ permissions: ['ugc:generate', 'cache:read'] }));
 
-      adminKey = apiKeyService.generateApiKey({
-        name: 'Admin Key',
-        permissions: ['*']
-      });
+      expect(await apiKeyService.hasPermission('key-id', 'ugc:generate')).toBe(true);
+      expect(await apiKeyService.hasPermission('key-id', 'cache:read')).toBe(true);
     });
 
-    it('should return true for granted permissions', () => {
-      expect(apiKeyService.hasPermission(testKey.id, 'ugc:generate')).toBe(true);
-      expect(apiKeyService.hasPermission(testKey.id, 'cache:read')).toBe(true);
-    });
+    it('should return false for denied permissions', async () => {
+      models.ApiKey.findByPk.mockResolvedValue(buildKeyRecord({ permissions: ['ugc:generate', 'cache:read'] }));
 
-    it('should return false for denied permissions', () => {
-      expect(apiKeyService.hasPermission(testKey.id, 'cache:write')).toBe(false);
-      expect(apiKeyService.hasPermission(testKey.id, 'analytics:read')).toBe(false);
+      expect(await apiKeyService.hasPermission('key-id', 'cache:write')).toBe(false);
+      expect(await apiKeyService.hasPermission('key-id', 'analytics:read')).toBe(false);
     });
 
-    it('should return true for admin key with wildcard permission', () => {
-      expect(apiKeyService.hasPermission(adminKey.id, 'ugc:generate')).toBe(true);
-      expect(apiKeyService.hasPermission(adminKey.id, 'cache:write')).toBe(true);
-      expect(apiKeyService.hasPermission(adminKey.id, 'analytics:read')).toBe(true);
-    });
+    it('should return true for admin key with wildcard permission', async () => {
+      models.ApiKey.findByPk.mockResolvedValue(buildKeyRecord({ permissions: ['*'] }));
 
-    it('should return false for inactive key', () => {
-      apiKeyService.deactivateApiKey(testKey.id);
-      expect(apiKeyService.hasPermission(testKey.id, 'ugc:generate')).toBe(false);
+      expect(await apiKeyService.hasPermission('key-id', 'ugc:generate')).toBe(true);
+      expect(await apiKeyService.hasPermission('key-id', 'analytics:read')).toBe(true);
     });
-  });
 
-  describe('getUsageStats', () => {
-    let testKey;
+    it('should return false for inactive key', async () => {
+      models.ApiKey.findByPk.mockResolvedValue(buildKeyRecord({ isActive: false }));
 
-    beforeEach(() => {
-      testKey = apiKeyService.generateApiKey({
-        name: 'Test Key'
-      });
+      expect(await apiKeyService.hasPermission('key-id', 'ugc:generate')).toBe(false);
     });
+  });
 
-    it('should return usage statistics', () => {
-      apiKeyService.recordUsage(testKey.id, {
-        endpoint: '/api/v1/ugc/generate',
-        method: 'POST'
+  describe('getUsageStats', () => {
+    it('should return usage statistics', async () => {
+      models.ApiKey.findByPk.mockResolvedValue(buildKeyRecord());
+      models.ApiUsage.count.mockResolvedValue(1);
+      models.ApiUsage.findAll.mockResolvedValue([
+        { endpoint: '/api/v1/ugc/generate', method: 'POST', statusCode: 200, created_at: new Date() }
+      ]);
+      rateLimitService.getStatus.mockResolvedValue({
+        limit: 5,
+        remaining: 4,
+        dailyLimit: 10,
+        dailyRemaining: 9
       });
 
-      const stats = apiKeyService.getUsageStats(testKey.id);
+      const stats = await apiKeyService.getUsageStats('key-id');
 
       expect(stats).toBeDefined();
-      expect(stats.keyInfo.id).toBe(testKey.id);
       expect(stats.keyInfo.name).toBe('Test Key');
       expect(stats.usage.totalRequests).toBe(1);
       expect(stats.usage.dailyRequests).toBe(1);
-      expect(stats.rateLimit.limit).toBeDefined();
-      expect(stats.rateLimit.remaining).toBeDefined();
+      expect(stats.usage.recentRequests).toHaveLength(1);
+      expect(stats.usage.recentRequests[0].endpoint).toBe('/api/v1/ugc/generate');
+      expect(stats.rateLimit.limit).toBe(5);
+      expect(stats.rateLimit.remaining).toBe(4);
+      expect(stats.rateLimit.unit).toBe('units');
+      expect(stats.rateLimit.windowMs).toBe(60000);
+      expect(stats.rateLimit.routeCosts).toEqual({ 'GET /api/v1/ugc/status/:operationId': 0.1 });
+      expect(rateLimitService.getStatus).toHaveBeenCalledWith('apikey:key-id', expect.any(Object));
     });
 
-    it('should return null for non-existent key', () => {
-      const stats = apiKeyService.getUsageStats('non-existent');
+    it('should return null for non-existent key', async () => {
+      models.ApiKey.findByPk.mockResolvedValue(null);
+
+      const stats = await apiKeyService.getUsageStats('non-existent');
       expect(stats).toBeNull();
     });
   });
 
   describe('listApiKeys', () => {
-    it('should return list of API keys without sensitive data', () => {
-      const key1 = apiKeyService.generateApiKey({ name: 'Key 1' });
-      const key2 = apiKeyService.generateApiKey({ name: 'Key 2' });
+    it('should return list of API keys without sensitive data', async () => {
+      models.ApiKey.findAll.mockResolvedValue([
+        buildKeyRecord({ id: 'key-1', name: 'Key 1' }),
+        buildKeyRecord({ id: 'key-2', name: 'Key 2' })
+      ]);
+      models.ApiUsage.findAll.mockResolvedValue([{ apiKeyId: 'key-1', count: '3' }]);
 
-      const keys = apiKeyService.listApiKeys();
+      const keys = await apiKeyService.listApiKeys();
 
       expect(keys).toHaveLength(2);
       expect(keys[0]).toHaveProperty('id');
       expect(keys[0]).toHaveProperty('name');
       expect(keys[0]).not.toHaveProperty('key');
-      expect(keys[0]).not.toHaveProperty('hashedKey');
+      expect(keys[0]).not.toHaveProperty('keyHash');
+      expect(keys[0].totalRequests).toBe(3);
+      expect(keys[1].totalRequests).toBe(0);
+      expect(models.ApiKey.findAll).toHaveBeenCalledWith(expect.objectContaining({
+        where: { organizationId: null }
+      }));
+    });
+
+    it('should list the keys owned by an organization', async () => {
+      models.ApiKey.findAll.mockResolvedValue([
+        buildKeyRecord({ id: 'key-1', name: 'Org Key', organizationId: 'org-1' })
+      ]);
+      models.ApiUsage.findAll.mockResolvedValue([]);
+
+      const keys = await apiKeyService.listApiKeys({ organizationId: 'org-1' });
+
+      expect(models.ApiKey.findAll).toHaveBeenCalledWith(expect.objectContaining({
+        where: { organizationId: 'org-1' }
+      }));
+      expect(keys[0].organizationId).toBe('org-1');
     });
   });
 
   describe('deactivateApiKey and reactivateApiKey', () => {
-    let testKey;
+    it('should deactivate API key', async () => {
+      models.ApiKey.update.mockResolvedValue([1]);
 
-    beforeEach(() => {
-      testKey = apiKeyService.generateApiKey({
-        name: 'Test Key'
-      });
-    });
+      const result = await apiKeyService.deactivateApiKey('key-id');
 
-    it('should deactivate API key', () => {
-      const result = apiKeyService.deactivateApiKey(testKey.id);
       expect(result).toBe(true);
-
-      const keyData = apiKeyService.apiKeys.get(testKey.id);
-      expect(keyData.isActive).toBe(false);
+      expect(models.ApiKey.update).toHaveBeenCalledWith({ isActive: false }, { where: { id: 'key-id' } });
     });
 
-    it('should reactivate API key', () => {
-      apiKeyService.deactivateApiKey(testKey.id);
-      const result = apiKeyService.reactivateApiKey(testKey.id);
-      expect(result).toBe(true);
+    it('should reactivate API key', async () => {
+      models.ApiKey.update.mockResolvedValue([1]);
 
-      const keyData = apiKeyService.apiKeys.get(testKey.id);
-      expect(keyData.isActive).toBe(true);
+      const result = await apiKeyService.reactivateApiKey('key-id');
+
+      expect(result).toBe(true);
+      expect(models.ApiKey.update).toHaveBeenCalledWith({ isActive: true }, { where: { id: 'key-id' } });
     });
 
-    it('should return false for non-existent key', () => {
-      expect(apiKeyService.deactivateApiKey('non-existent')).toBe(false);
-      expect(apiKeyService.reactivateApiKey('non-existent')).toBe(false);
+    it('should return false for non-existent key', async () => {
+      models.ApiKey.update.mockResolvedValue([0]);
+
+      expect(await apiKeyService.deactivateApiKey('non-existent')).toBe(false);
+      expect(await apiKeyService.reactivateApiKey('non-existent')).toBe(false);
     });
   });
 
   describe('getAnalytics', () => {
-    it('should return analytics summary', () => {
-      const key1 = apiKeyService.generateApiKey({ name: 'Key 1' });
-      const key2 = apiKeyService.generateApiKey({ name: 'Key 2' });
-
-      apiKeyService.recordUsage(key1.id, { endpoint: '/test' });
-      apiKeyService.recordUsage(key1.id, { endpoint: '/test' });
-      apiKeyService.recordUsage(key2.id, { endpoint: '/test' });
-
-      const analytics = apiKeyService.getAnalytics();
+    it('should return analytics summary', async () => {
+      models.ApiKey.findAll.mockResolvedValue([
+        buildKeyRecord({ id: 'key-1', name: 'Key 1' }),
+        buildKeyRecord({ id: 'key-2', name: 'Key 2' })
+      ]);
+      models.ApiUsage.count.mockResolvedValue(0);
+      models.ApiUsage.findAll
+        .mockResolvedValueOnce([{ apiKeyId: 'key-1', count: '2' }, { apiKeyId: 'key-2', count: '1' }])
+        .mockResolvedValueOnce([{ apiKeyId: 'key-1', count: '2' }, { apiKeyId: 'key-2', count: '1' }])
+        .mockResolvedValueOnce([]);
+
+      const analytics = await apiKeyService.getAnalytics();
 
       expect(analytics.totalKeys).toBe(2);
       expect(analytics.activeKeys).toBe(2);
       expect(analytics.totalRequests).toBe(3);
       expect(analytics.dailyRequests).toBe(3);
       expect(analytics.topKeys).toHaveLength(2);
-      expect(analytics.topKeys[0].totalRequests).toBe(2); // key1 should be first
+      expect(analytics.topKeys[0].totalRequests).toBe(2); // key-1 should be first
     });
   });
-});
\ No newline at end of file
+});
@@ -0,0 +1,189 @@
+const approvalService = require('../../../src/services/approvalService');
+const operationService = require('../../../src/services/operationService');
+const creditService = require('../../../src/services/creditService');
+const scriptEditingService = require('../../../src/services/scriptEditingService');
+const segmentVersionService = require('../../../src/services/segmentVersionService');
+const jobStatusService = require('../../../src/services/jobStatusService');
+
+jest.mock('../../../src/services/operationService', () => ({
+  getOperation: jest.fn(),
+  updateOperationStatus: jest.fn()
+}));
+jest.mock('../../../src/services/creditService', () => ({
+  refund: jest.fn()
+}));
+jest.mock('../../../src/services/scriptEditingService', () => ({
+  validateSegmentEdit: jest.fn(({ text }) => (typeof text === 'string' && text.length >= 20 ? null : 'text must be a string of 20 to 500 characters')),
+  editSegments: jest.fn()
+}));
+jest.mock('../../../src/services/segmentVersionService', () => ({
+  restartWorkflow: jest.fn()
+}));
+jest.mock('../../../src/services/jobStatusService', () => ({
+  sendWebhookNotification: jest.fn()
+}));
+
+describe('ApprovalService', () => {
+  const opening = 'Person unboxes the bottle and peels off the seal carefully';
+  const closing = 'Person pours a glass and raises it to the camera with a smile';
+  const editor = { userId: null, apiKeyId: 'key-1' };
+  const plan = { name: 'pro', queuePriority: 3 };
+  const approval = { status: 'pending', requestedAt: '2025-01-01T00:00:00.000Z', expiresAt: '2025-01-04T00:00:00.000Z' };
+  let operation;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    const script = { segments: { 'segment-1': opening, 'segment-2': closing }, segmentDurations: [8, 6] };
+    operation = {
+      operationId: 'op_1',
+      status: 'awaiting_approval',
+      metadata: { options: { requireApproval: true }, approval },
+      scriptContent: script,
+      checkpoints: {
+        image_analysis: { imageAnalysis: [{ objects: ['bottle'] }] },
+        script_generation: { script, completedAt: '2025-01-01T00:00:00.000Z' }
+      }
+    };
+    segmentVersionService.restartWorkflow.mockResolvedValue({
+      workflowJobs: { video_generation: {}, post_processing: {} },
+      workflowRun: 2
+    });
+  });
+
+  describe('validateOptions', () => {
+    it('should accept a boolean requireApproval on its own', () => {
+      expect(approvalService.validateOptions({})).toBeNull();
+      expect(approvalService.validateOptions({ requireApproval: true })).toBeNull();
+      expect(approvalService.validateOptions({ requireApproval: false, variants: 3 })).toBeNull();
+    });
+
+    it('should reject non-boolean values, variants and a preset approval', () => {
+      expect(approvalService.validateOptions({ requireApproval: 'yes' })).toBe('requireApproval must be a boolean');
+      expect(approvalService.validateOptions({ requireApproval: true, variants: 3 })).toMatch(/cannot be combined with variants/);
+      expect(approvalService.validateOptions({ scriptApproved: true })).toBe('scriptApproved is set by approving the script');
+    });
+  });
+
+  describe('validateApproval and validateRejection', () => {
+    it('should check the edited segments', () => {
+      expect(approvalService.validateApproval({})).toBeNull();
+      expect(approvalService.validateApproval({ segments: { 'segment-2': closing } })).toBeNull();
+      expect(approvalService.validateApproval({ segments: [] })).toBe('segments must be an object of segment texts by segment key');
+      expect(approvalService.validateApproval({ segments: { 'segment-2': 'Short' } })).toBe('segment-2: text must be a string of 20 to 500 characters');
+    });
+
+    it('should require a reason', () => {
+      expect(approvalService.validateRejection({ reason: 'Off brand' })).toBeNull();
+      expect(approvalService.validateRejection({})).toBe('reason must be a non-empty string of up to 1000 characters');
+      expect(approvalService.validateRejection({ reason: ' ' })).toBe('reason must be a non-empty string of up to 1000 characters');
+    });
+  });
+
+  describe('approve', () => {
+    it('should generate the video from the script as it is', async () => {
+      const result = await approvalService.approve({ operation, approvedBy: editor, plan });
+
+      expect(scriptEditingService.editSegments).not.toHaveBeenCalled();
+      const [restarted, params] = segmentVersionService.restartWorkflow.mock.calls[0];
+      expect(restarted).toBe(operation);
+      expect(params).toEqual(expect.objectContaining({ fromStage: 'video_generation', plan, refund: true, scriptContent: null }));
+      expect(params.checkpoints.script_generation.script.segments).toEqual({ 'segment-1': opening, 'segment-2': closing });
+      expect(params.checkpoints.video_generation).toBeUndefined();
+      expect(params.metadata.options).toEqual({ requireApproval: true, scriptApproved: true });
+      expect(params.metadata.approval).toEqual(expect.objectContaining({
+        ...approval,
+        status: 'approved',
+        revision: 1,
+        edited: false,
+        approvedBy: editor,
+        approvedAt: expect.any(String)
+      }));
+      expect(result).toEqual(expect.objectContaining({ revision: 1, changes: [], workflowRun: 2 }));
+    });
+
+    it('should save edits as one revision and generate the video from them', async () => {
+      const edited = 'Person pours a glass and toasts with friends on the terrace';
+      const changes = [{ segmentKey: 'segment-2', field: 'text', before: closing, after: edited }];
+      scriptEditingService.editSegments.mockResolvedValue({
+        revision: 2,
+        changes,
+        scriptContent: { ...operation.scriptContent, segments: { 'segment-1': opening, 'segment-2': edited }, revision: 2 }
+      });
+
+      const result = await approvalService.approve({ operation, segments: { 'segment-2': edited }, approvedBy: editor, plan });
+
+      expect(scriptEditingService.editSegments).toHaveBeenCalledWith({
+        operation,
+        segments: { 'segment-2': edited },
+        editedBy: editor,
+        source: 'approval'
+      });
+      const [, params] = segmentVersionService.restartWorkflow.mock.calls[0];
+      expect(params.checkpoints.script_generation.script).toEqual({ segments: { 'segment-1': opening, 'segment-2': edited }, segmentDurations: [8, 6] });
+      expect(params.metadata.approval).toEqual(expect.objectContaining({ revision: 2, edited: true }));
+      expect(result.changes).toEqual(changes);
+    });
+
+    it('should refuse operations that are not awaiting approval', async () => {
+      await expect(approvalService.approve({ operation: { ...operation, status: 'completed' }, plan }))
+        .rejects.toMatchObject({ statusCode: 409, code: 'NOT_AWAITING_APPROVAL' });
+      expect(segmentVersionService.restartWorkflow).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('reject', () => {
+    it('should cancel the operation, refund its hold and notify the webhook', async () => {
+      const result = await approvalService.reject({ operation, reason: ' Off brand ', rejectedBy: editor });
+
+      expect(operationService.updateOperationStatus).toHaveBeenCalledWith('op_1', 'cancelled', {
+        errorMessage: 'Script rejected: Off brand',
+        metadata: { stage: 'rejected', approval: result }
+      });
+      expect(result).toEqual(expect.objectContaining({ ...approval, status: 'rejected', reason: 'Off brand', rejectedBy: editor }));
+      expect(creditService.refund).toHaveBeenCalledWith('op_1', 'cancelled');
+      expect(jobStatusService.sendWebhookNotification).toHaveBeenCalledWith('op_1', 'rejected', {
+        reason: 'Off brand',
+        rejectedAt: result.rejectedAt
+      });
+    });
+
+    it('should refuse operations that are not awaiting approval', async () => {
+      await expect(approvalService.reject({ operation: { ...operation, status: 'cancelled' }, reason: 'Off brand' }))
+        .rejects.toMatchObject({ statusCode: 409, code: 'NOT_AWAITING_APPROVAL' });
+      expect(operationService.updateOperationStatus).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('expire', () => {
+    it('should cancel an operation still waiting on the same approval request', async () => {
+      operationService.getOperation.mockResolvedValue(operation);
+
+      const expired = await approvalService.expire('op_1', approval.requestedAt);
+
+      expect(expired).toBe(true);
+      expect(operationService.updateOperationStatus).toHaveBeenCalledWith('op_1', 'cancelled', {
+        errorMessage: `Script approval expired at ${approval.expiresAt}`,
+        metadata: { stage: 'expired', approval: expect.objectContaining({ status: 'expired', expiredAt: expect.any(String) }) }
+      });
+      expect(creditService.refund).toHaveBeenCalledWith('op_1', 'cancelled');
+      expect(jobStatusService.sendWebhookNotification).toHaveBeenCalledWith('op_1', 'expired', expect.objectContaining({
+        requestedAt: approval.requestedAt
+      }));
+    });
+
+    it('should leave operations approved, rejected or asked again since alone', async () => {
+      operationService.getOperation.mockResolvedValueOnce({ ...operation, status: 'processing' });
+      operationService.getOperation.mockResolvedValueOnce({
+        ...operation,
+        metadata: { approval: { ...approval, requestedAt: '2025-01-02T00:00:00.000Z' } }
+      });
+      operationService.getOperation.mockResolvedValueOnce(null);
+
+      expect(await approvalService.expire('op_1', approval.requestedAt)).toBe(false);
+      expect(await approvalService.expire('op_1', approval.requestedAt)).toBe(false);
+      expect(await approvalService.expire('op_1', approval.requestedAt)).toBe(false);
+      expect(operationService.updateOperationStatus).not.toHaveBeenCalled();
+      expect(creditService.refund).not.toHaveBeenCalled();
+    });
+  });
+});
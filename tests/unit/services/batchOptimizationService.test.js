@@ -1,8 +1,13 @@
 const batchOptimizationService = require('../../../src/services/batchOptimizationService');
 const { BatchOperation, UgcOperation } = require('../../../src/models');
+const providerCostService = require('../../../src/services/providerCostService');
 
 // Mock dependencies
 jest.mock('../../../src/models');
+jest.mock('../../../src/services/providerCostService', () => ({
+  getBatchCosts: jest.fn(),
+  roundCost: jest.fn(cost => Math.round(cost * 1e6) / 1e6)
+}));
 
 describe('BatchOptimizationService', () => {
   beforeEach(() => {
@@ -445,9 +450,28 @@ describe('BatchOptimizationService', () => {
 
       BatchOperation.findByBatchId.mockResolvedValue(mockBatch);
       UgcOperation.findAll.mockResolvedValue(mockOperations);
+      providerCostService.getBatchCosts.mockResolvedValue({
+        totalCost: 13.5,
+        callCount: 8,
+        cacheHits: 2,
+        cacheHitRate: 25,
+        byService: { image_analysis: 0.01, script_generation: 0.02, video_generation: 13.47 },
+        byProvider: { gemini: 0.01, openai: 0.02, veo: 13.47 }
+      });
 
       const analytics = await batchOptimizationService.generateBatchAnalytics('batch_123_abc');
 
+      expect(providerCostService.getBatchCosts).toHaveBeenCalledWith('batch_123_abc');
+      expect(analytics.costAnalysis).toEqual(expect.objectContaining({
+        totalCost: 13.5,
+        costPerOperation: 4.5,
+        costBreakdown: { imageAnalysis: 0.01, scriptGeneration: 0.02, videoGeneration: 13.47 },
+        providerCalls: 8,
+        currency: 'USD'
+      }));
+      expect(analytics.efficiency.cacheHitRate).toBe(25);
+      expect(analytics.recommendations).toContainEqual(expect.objectContaining({ type: 'cost' }));
+
       expect(analytics).toEqual(
         expect.objectContaining({
           batchId: 'batch_123_abc',
@@ -475,6 +499,50 @@ describe('BatchOptimizationService', () => {
       );
     });
 
+    it('should break analytics down by the pivot dimensions', async () => {
+      BatchOperation.findByBatchId.mockResolvedValue({
+        id: 'batch-uuid',
+        batchId: 'batch_123_abc',
+        getDuration: jest.fn().mockReturnValue(300000),
+        metadata: { matrix: { dimensions: { hook: ['question', 'statistic'], cta: ['Shop now', 'Learn more'] } } },
+        options: {},
+        priority: 3
+      });
+      UgcOperation.findAll.mockResolvedValue([
+        { operationId: 'op1', status: 'completed', metadata: { tags: { hook: 'question', cta: 'Shop now' } } },
+        { operationId: 'op2', status: 'completed', metadata: { tags: { hook: 'question', cta: 'Learn more' } } },
+        { operationId: 'op3', status: 'failed', metadata: { tags: { hook: 'statistic', cta: 'Shop now' } } }
+      ]);
+      providerCostService.getBatchCosts.mockResolvedValue({
+        totalCost: 7,
+        callCount: 6,
+        cacheHits: 0,
+        cacheHitRate: 0,
+        byService: {},
+        byProvider: {},
+        byOperation: { op1: 3.2, op2: 3.4, op3: 0.4 }
+      });
+
+      const analytics = await batchOptimizationService.generateBatchAnalytics('batch_123_abc', { pivot: ['hook'] });
+
+      expect(analytics.pivot).toEqual({
+        dimensions: ['hook'],
+        groups: [
+          expect.objectContaining({ tags: { hook: 'question' }, total: 2, completed: 2, successRate: 100, totalCost: 6.6, costPerOperation: 3.3 }),
+          expect.objectContaining({ tags: { hook: 'statistic' }, total: 1, failed: 1, successRate: 0, totalCost: 0.4 })
+        ]
+      });
+    });
+
+    it('should refuse to pivot by a dimension the batch does not have', async () => {
+      BatchOperation.findByBatchId.mockResolvedValue({ id: 'batch-uuid', batchId: 'batch_123_abc', metadata: {} });
+      UgcOperation.findAll.mockResolvedValue([{ operationId: 'op1', status: 'completed', metadata: {} }]);
+
+      await expect(batchOptimizationService.generateBatchAnalytics('batch_123_abc', { pivot: ['hook', 'cta'] }))
+        .rejects.toThrow('Unknown pivot dimension: hook, cta');
+      expect(providerCostService.getBatchCosts).not.toHaveBeenCalled();
+    });
+
     it('should throw error for non-existent batch', async () => {
       BatchOperation.findByBatchId.mockResolvedValue(null);
 
@@ -484,6 +552,35 @@ describe('BatchOptimizationService', () => {
     });
   });
 
+  describe('pivotOperations', () => {
+    it('should group operations by every combination of the dimensions in batch order', () => {
+      const created = new Date('2025-01-01T00:00:00Z');
+      const operations = [
+        { operationId: 'op1', status: 'completed', created_at: created, completedAt: new Date('2025-01-01T00:02:00Z'), metadata: { tags: { hook: 'question', cta: 'Shop now' } } },
+        { operationId: 'op2', status: 'completed', created_at: created, completedAt: new Date('2025-01-01T00:04:00Z'), metadata: { tags: { hook: 'statistic', cta: 'Shop now' } } },
+        { operationId: 'op3', status: 'completed', created_at: created, completedAt: new Date('2025-01-01T00:04:00Z'), metadata: { tags: { hook: 'question', cta: 'Shop now' } } },
+        { operationId: 'op4', status: 'processing', created_at: created, metadata: {} }
+      ];
+
+      const groups = batchOptimizationService.pivotOperations(operations, ['hook', 'cta']);
+
+      expect(groups).toEqual([
+        {
+          tags: { hook: 'question', cta: 'Shop now' },
+          total: 2,
+          completed: 2,
+          failed: 0,
+          successRate: 100,
+          averageDurationSeconds: 180,
+          operationIds: ['op1', 'op3']
+        },
+        expect.objectContaining({ tags: { hook: 'statistic', cta: 'Shop now' }, operationIds: ['op2'] }),
+        expect.objectContaining({ tags: { hook: null, cta: null }, completed: 0, averageDurationSeconds: null, operationIds: ['op4'] })
+      ]);
+      expect(groups[0].totalCost).toBeUndefined();
+    });
+  });
+
   describe('findOptimalProcessingTime', () => {
     it('should return immediate time for high priority requests', () => {
       const now = new Date();
@@ -2,15 +2,47 @@ const batchService = require('../../../src/services/batchService');
 const { BatchOperation, UgcOperation } = require('../../../src/models');
 const operationService = require('../../../src/services/operationService');
 const jobManager = require('../../../src/jobs/jobManager');
+const quotaService = require('../../../src/services/quotaService');
+const planService = require('../../../src/services/planService');
+const creditService = require('../../../src/services/creditService');
+const spendCapService = require('../../../src/services/spendCapService');
 
 // Mock dependencies
 jest.mock('../../../src/models');
 jest.mock('../../../src/services/operationService');
 jest.mock('../../../src/jobs/jobManager');
+jest.mock('../../../src/services/quotaService', () => ({
+  reserve: jest.fn()
+}));
+jest.mock('../../../src/services/planService', () => ({
+  resolvePlan: jest.fn()
+}));
+jest.mock('../../../src/services/creditService', () => ({
+  hold: jest.fn(),
+  refund: jest.fn(),
+  estimateCost: jest.fn(options => (options?.segments || 2) * 10)
+}));
+jest.mock('../../../src/services/providerCostService', () => ({
+  estimateGenerationCost: jest.fn(({ options }) => ({ totalCost: (options?.segments || 2) * 6 })),
+  roundCost: jest.fn(cost => Math.round(cost * 1e6) / 1e6)
+}));
+jest.mock('../../../src/services/spendCapService', () => ({
+  enforce: jest.fn(),
+  assertWithinMaxCost: jest.fn((estimatedCost, maxCost) => {
+    if (maxCost !== undefined && estimatedCost > maxCost) {
+      throw new Error(`Estimated cost of $${estimatedCost} is more than the maxCost of $${maxCost}`);
+    }
+  }),
+  isValidAmount: jest.fn(amount => amount === undefined || amount === null || (typeof amount === 'number' && amount > 0))
+}));
 
 describe('BatchService', () => {
   beforeEach(() => {
     jest.clearAllMocks();
+    quotaService.reserve.mockImplementation((principal, count, create) => create({ id: 'transaction' }));
+    planService.resolvePlan.mockResolvedValue({ name: 'basic', queuePriority: 3, watermarkRequired: false });
+    creditService.hold.mockResolvedValue(null);
+    spendCapService.enforce.mockResolvedValue();
   });
 
   describe('createBatch', () => {
@@ -65,7 +97,8 @@ describe('BatchService', () => {
           totalOperations: 2,
           priority: 5,
           userId: 'user-123'
-        })
+        }),
+        { transaction: { id: 'transaction' } }
       );
 
       expect(operationService.createOperation).toHaveBeenCalledTimes(2);
@@ -74,6 +107,139 @@ describe('BatchService', () => {
       expect(result.totalRequests).toBe(2);
     });
 
+    it('should reserve quota for every item in one transaction', async () => {
+      BatchOperation.create.mockResolvedValue({ id: 'batch-uuid', batchId: 'batch_123_abc', priority: 5 });
+      operationService.createOperation.mockResolvedValue({ operationId: 'op', metadata: {} });
+
+      await batchService.createBatch({
+        name: 'Test Batch',
+        requests: [{ creativeBrief: 'Brief 1' }, { creativeBrief: 'Brief 2' }, { creativeBrief: 'Brief 3' }],
+        apiKeyId: 'key-123'
+      });
+
+      expect(quotaService.reserve).toHaveBeenCalledWith(
+        { userId: undefined, apiKeyId: 'key-123', organizationId: null },
+        3,
+        expect.any(Function),
+        { plan: expect.objectContaining({ name: 'basic' }) }
+      );
+      expect(BatchOperation.create).toHaveBeenCalledWith(
+        expect.objectContaining({
+          metadata: expect.objectContaining({ plan: { name: 'basic', queuePriority: 3, watermarkRequired: false } })
+        }),
+        { transaction: { id: 'transaction' } }
+      );
+      expect(operationService.createOperation).toHaveBeenCalledWith(expect.objectContaining({
+        operationId: expect.stringMatching(/^batch_\d+_[0-9a-f]+_op_1$/),
+        batchId: 'batch-uuid',
+        transaction: { id: 'transaction' }
+      }));
+    });
+
+    it('should write the text brief of requests given only a structured brief', async () => {
+      BatchOperation.create.mockResolvedValue({ id: 'batch-uuid', batchId: 'batch_123_abc', priority: 5 });
+      operationService.createOperation.mockResolvedValue({ operationId: 'op', metadata: {} });
+
+      await batchService.createBatch({
+        name: 'Test Batch',
+        requests: [{ brief: { product: ' GlowUp serum ', tone: 'Playful' }, options: { segments: 2 } }],
+        apiKeyId: 'key-123'
+      });
+
+      expect(operationService.createOperation).toHaveBeenCalledWith(expect.objectContaining({
+        creativeBrief: 'Product: GlowUp serum\nTone: Playful',
+        metadata: expect.objectContaining({
+          options: { segments: 2, brief: { product: 'GlowUp serum', tone: 'Playful' } }
+        })
+      }));
+    });
+
+    it('should not create anything when the quota cannot cover the batch', async () => {
+      quotaService.reserve.mockRejectedValue(new Error('Daily quota exceeded'));
+
+      await expect(batchService.createBatch({
+        name: 'Test Batch',
+        requests: [{ creativeBrief: 'Brief 1' }],
+        userId: 'user-123'
+      })).rejects.toThrow('Daily quota exceeded');
+
+      expect(BatchOperation.create).not.toHaveBeenCalled();
+    });
+
+    it('should hold credits for every item in the reservation transaction', async () => {
+      BatchOperation.create.mockResolvedValue({ id: 'batch-uuid', batchId: 'batch_123_abc', priority: 5 });
+      operationService.createOperation
+        .mockResolvedValueOnce({ operationId: 'op1', metadata: {} })
+        .mockResolvedValueOnce({ operationId: 'op2', metadata: {} });
+      creditService.hold.mockResolvedValue({ held: 60, balance: 40 });
+
+      const result = await batchService.createBatch({
+        name: 'Test Batch',
+        requests: [{ creativeBrief: 'Brief 1' }, { creativeBrief: 'Brief 2', options: { segments: 4 } }],
+        organizationId: 'org-1'
+      });
+
+      expect(creditService.hold).toHaveBeenCalledWith(
+        { userId: undefined, apiKeyId: undefined, organizationId: 'org-1' },
+        [{ operationId: 'op1', amount: 20 }, { operationId: 'op2', amount: 40 }],
+        { transaction: { id: 'transaction' } }
+      );
+      expect(result.credits).toEqual({ held: 60, balance: 40 });
+    });
+
+    it('should reject the batch when credits cannot cover it', async () => {
+      BatchOperation.create.mockResolvedValue({ id: 'batch-uuid', batchId: 'batch_123_abc', priority: 5 });
+      operationService.createOperation.mockResolvedValue({ operationId: 'op', metadata: {} });
+      creditService.hold.mockRejectedValue(new Error('Insufficient credits: 20 required, 5 available'));
+
+      await expect(batchService.createBatch({
+        name: 'Test Batch',
+        requests: [{ creativeBrief: 'Brief 1' }],
+        userId: 'user-123'
+      })).rejects.toThrow('Insufficient credits');
+    });
+
+    it('should check the batch estimate against spend caps in the reservation transaction', async () => {
+      BatchOperation.create.mockResolvedValue({ id: 'batch-uuid', batchId: 'batch_123_abc', priority: 5 });
+      operationService.createOperation.mockResolvedValue({ operationId: 'op', metadata: {} });
+
+      await batchService.createBatch({
+        name: 'Test Batch',
+        requests: [{ creativeBrief: 'Brief 1' }, { creativeBrief: 'Brief 2', options: { segments: 3 } }],
+        apiKeyId: 'key-123'
+      });
+
+      expect(spendCapService.enforce).toHaveBeenCalledWith(
+        { userId: undefined, apiKeyId: 'key-123', organizationId: null },
+        30,
+        { transaction: { id: 'transaction' } }
+      );
+      expect(BatchOperation.create).toHaveBeenCalledWith(
+        expect.objectContaining({ metadata: expect.objectContaining({ estimatedCost: 30 }) }),
+        expect.any(Object)
+      );
+      expect(operationService.createOperation).toHaveBeenLastCalledWith(expect.objectContaining({
+        metadata: expect.objectContaining({ estimatedCost: 18 })
+      }));
+    });
+
+    it('should refuse batches estimated over their maxCost before reserving', async () => {
+      await expect(batchService.createBatch({
+        name: 'Test Batch',
+        requests: [{ creativeBrief: 'Brief 1' }, { creativeBrief: 'Brief 2' }],
+        userId: 'user-123',
+        maxCost: 20
+      })).rejects.toThrow('Estimated cost of $24 is more than the maxCost of $20');
+
+      await expect(batchService.createBatch({
+        name: 'Test Batch',
+        requests: [{ creativeBrief: 'Brief 1', options: { segments: 3, maxCost: 15 } }],
+        userId: 'user-123'
+      })).rejects.toThrow('maxCost of $15');
+
+      expect(quotaService.reserve).not.toHaveBeenCalled();
+    });
+
     it('should throw error for empty requests', async () => {
       const batchData = {
         name: 'Test Batch',
@@ -98,6 +264,48 @@ describe('BatchService', () => {
       );
     });
 
+    it('should create one tagged operation per combination of a variant matrix', async () => {
+      BatchOperation.create.mockImplementation(async (data) => ({ id: 'batch-uuid', batchId: data.batchId, priority: 5, metadata: data.metadata }));
+      operationService.createOperation.mockImplementation(async ({ operationId, metadata }) => ({ operationId, metadata }));
+
+      const result = await batchService.createBatch({
+        name: 'Matrix Batch',
+        matrix: {
+          briefTemplate: 'Open with {{hook}} for {{audience}}',
+          dimensions: {
+            hook: ['a question', 'a statistic'],
+            audience: [{ label: 'parents', value: 'busy parents' }]
+          },
+          options: { segments: 2 }
+        },
+        userId: 'user-123'
+      });
+
+      expect(BatchOperation.create.mock.calls[0][0].metadata.matrix).toEqual({
+        briefTemplate: 'Open with {{hook}} for {{audience}}',
+        dimensions: { hook: ['a question', 'a statistic'], audience: ['parents'] }
+      });
+      expect(operationService.createOperation).toHaveBeenCalledTimes(2);
+      expect(operationService.createOperation.mock.calls[1][0]).toEqual(expect.objectContaining({
+        creativeBrief: 'Open with a statistic for busy parents',
+        metadata: expect.objectContaining({
+          batchIndex: 1,
+          options: { segments: 2 },
+          tags: { hook: 'a statistic', audience: 'parents' }
+        })
+      }));
+      expect(result.totalRequests).toBe(2);
+    });
+
+    it('should reject an invalid variant matrix', async () => {
+      await expect(batchService.createBatch({
+        name: 'Matrix Batch',
+        matrix: { briefTemplate: 'Open with {{hook}}', dimensions: { hook: [] } },
+        userId: 'user-123'
+      })).rejects.toThrow('Dimension hook must have at least one value');
+      expect(quotaService.reserve).not.toHaveBeenCalled();
+    });
+
     it('should validate individual requests', async () => {
       const batchData = {
         name: 'Test Batch',
@@ -261,6 +469,8 @@ describe('BatchService', () => {
           cancelReason: 'Batch cancelled by user'
         })
       );
+      expect(creditService.refund).toHaveBeenCalledWith('op1', 'cancelled');
+      expect(creditService.refund).toHaveBeenCalledWith('op2', 'cancelled');
       expect(mockBatch.status).toBe('cancelled');
       expect(result.cancelledOperations).toBe(2);
     });
@@ -278,6 +488,50 @@ describe('BatchService', () => {
     });
   });
 
+  describe('getBatchResults', () => {
+    const mockBatch = {
+      id: 'batch-uuid',
+      batchId: 'batch_123_abc',
+      name: 'Matrix Batch',
+      status: 'completed',
+      metadata: { matrix: { briefTemplate: '{{hook}} {{cta}}', dimensions: { hook: ['question', 'statistic'], cta: ['Shop now'] } } },
+      isCompleted: jest.fn().mockReturnValue(true),
+      getProgress: jest.fn().mockReturnValue({ completed: 2, failed: 1, total: 3, percentage: 100 })
+    };
+    const operations = [
+      { operationId: 'op1', status: 'completed', metadata: { batchIndex: 0, tags: { hook: 'question', cta: 'Shop now' } } },
+      { operationId: 'op2', status: 'failed', metadata: { batchIndex: 1, tags: { hook: 'statistic', cta: 'Shop now' } } },
+      { operationId: 'op3', status: 'completed', metadata: { batchIndex: 2, tags: { hook: 'question', cta: 'Shop now' } } }
+    ];
+
+    beforeEach(() => {
+      BatchOperation.findByBatchId.mockResolvedValue(mockBatch);
+      UgcOperation.findAll.mockResolvedValue(operations);
+    });
+
+    it('should tag each result with its dimension values', async () => {
+      const results = await batchService.getBatchResults('batch_123_abc');
+
+      expect(results.results.successful[0].tags).toEqual({ hook: 'question', cta: 'Shop now' });
+      expect(results.pivot).toBeUndefined();
+    });
+
+    it('should group results by the pivot dimensions', async () => {
+      const results = await batchService.getBatchResults('batch_123_abc', { pivot: ['hook'] });
+
+      expect(results.pivot.dimensions).toEqual(['hook']);
+      expect(results.pivot.groups).toEqual([
+        expect.objectContaining({ tags: { hook: 'question' }, total: 2, completed: 2, operationIds: ['op1', 'op3'] }),
+        expect.objectContaining({ tags: { hook: 'statistic' }, total: 1, failed: 1, operationIds: ['op2'] })
+      ]);
+    });
+
+    it('should refuse to pivot by a dimension the batch does not have', async () => {
+      await expect(batchService.getBatchResults('batch_123_abc', { pivot: ['tone'] }))
+        .rejects.toThrow('Unknown pivot dimension: tone');
+    });
+  });
+
   describe('getBatchHistory', () => {
     it('should return batch history with filters', async () => {
       const mockBatches = [
@@ -391,6 +645,20 @@ describe('BatchService', () => {
         }).toThrow('Request 1: Creative brief too long (max 5000 characters)');
       });
 
+      it('should accept a structured brief instead of a creative brief', () => {
+        expect(() => {
+          batchService.validateBatchRequest({ brief: { product: 'GlowUp serum' } }, 0);
+        }).not.toThrow();
+
+        expect(() => {
+          batchService.validateBatchRequest({ brief: { audience: 'Busy moms' } }, 0);
+        }).toThrow('Request 1: brief.product is required');
+
+        expect(() => {
+          batchService.validateBatchRequest({ brief: { product: 'GlowUp serum' }, creativeBrief: '' }, 0);
+        }).toThrow('Request 1: Creative brief is required');
+      });
+
       it('should validate images', () => {
         expect(() => {
           batchService.validateBatchRequest({ 
@@ -406,6 +674,87 @@ describe('BatchService', () => {
           }, 0);
         }).toThrow('Request 1: Too many images (max 10)');
       });
+
+      it('should validate maxCost', () => {
+        expect(() => {
+          batchService.validateBatchRequest({ creativeBrief: 'Valid brief', options: { maxCost: 0 } }, 1);
+        }).toThrow('Request 2: maxCost must be a positive number');
+      });
+
+      it('should validate tags', () => {
+        expect(() => {
+          batchService.validateBatchRequest({ creativeBrief: 'Valid brief', tags: { hook: 'question' } }, 0);
+        }).not.toThrow();
+        expect(() => {
+          batchService.validateBatchRequest({ creativeBrief: 'Valid brief', tags: { hook: 3 } }, 0);
+        }).toThrow('Request 1: tags must map dimension names to string values');
+      });
+    });
+
+    describe('validateMatrix', () => {
+      const matrix = {
+        briefTemplate: 'Open with {{hook}} and end on {{ cta }}',
+        dimensions: { hook: ['a question', 'a statistic'], cta: ['Shop now'] }
+      };
+
+      it('should accept a matrix whose template uses every dimension', () => {
+        expect(batchService.validateMatrix(matrix)).toBeNull();
+      });
+
+      it('should reject malformed matrices', () => {
+        expect(batchService.validateMatrix([])).toBe('matrix must be an object');
+        expect(batchService.validateMatrix({ ...matrix, briefTemplate: ' ' })).toBe('matrix.briefTemplate is required');
+        expect(batchService.validateMatrix({ ...matrix, dimensions: {} })).toBe('matrix.dimensions must name at least one dimension');
+        expect(batchService.validateMatrix({ ...matrix, dimensions: { ...matrix.dimensions, 'bad-name': ['x'] } }))
+          .toBe('Invalid dimension name: bad-name');
+        expect(batchService.validateMatrix({ ...matrix, dimensions: { ...matrix.dimensions, cta: [{ label: 'shop' }] } }))
+          .toBe('Values of dimension cta must be non-empty strings or { label, value }');
+        expect(batchService.validateMatrix({ ...matrix, dimensions: { ...matrix.dimensions, cta: ['Buy', { label: 'Buy', value: 'Buy today' }] } }))
+          .toBe('Values of dimension cta must have different labels');
+      });
+
+      it('should reject templates that do not match the dimensions', () => {
+        expect(batchService.validateMatrix({ ...matrix, briefTemplate: 'Open with {{hook}} for {{audience}}' }))
+          .toBe('matrix.briefTemplate uses undefined dimensions: audience');
+        expect(batchService.validateMatrix({ ...matrix, briefTemplate: 'Open with {{hook}}' }))
+          .toBe('matrix.briefTemplate does not use dimensions: cta');
+      });
+
+      it('should reject matrices with more combinations than a batch holds', () => {
+        const values = Array.from({ length: 11 }, (_, i) => `value ${i}`);
+        expect(batchService.validateMatrix({ briefTemplate: '{{a}} {{b}}', dimensions: { a: values, b: values } }))
+          .toBe('The matrix makes 121 combinations; batches are limited to 100 requests');
+      });
+    });
+
+    describe('expandMatrix', () => {
+      it('should make one tagged request per combination, the last dimension varying fastest', () => {
+        const requests = batchService.expandMatrix({
+          briefTemplate: 'Open with {{hook}} and end on {{cta}}',
+          dimensions: {
+            hook: ['a question', 'a statistic', { label: 'testimonial', value: 'a customer quote' }],
+            cta: ['Shop now', 'Learn more']
+          },
+          images: [{ data: 'aW1hZ2U=' }],
+          options: { segments: 2 }
+        });
+
+        expect(requests).toHaveLength(6);
+        expect(requests.map(request => request.tags)).toEqual([
+          { hook: 'a question', cta: 'Shop now' },
+          { hook: 'a question', cta: 'Learn more' },
+          { hook: 'a statistic', cta: 'Shop now' },
+          { hook: 'a statistic', cta: 'Learn more' },
+          { hook: 'testimonial', cta: 'Shop now' },
+          { hook: 'testimonial', cta: 'Learn more' }
+        ]);
+        expect(requests[5]).toEqual({
+          creativeBrief: 'Open with a customer quote and end on Learn more',
+          images: [{ data: 'aW1hZ2U=' }],
+          options: { segments: 2 },
+          tags: { hook: 'testimonial', cta: 'Learn more' }
+        });
+      });
     });
 
     describe('estimateBatchDuration', () => {
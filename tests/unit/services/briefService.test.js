@@ -0,0 +1,114 @@
+const briefService = require('../../../src/services/briefService');
+const scriptGenerationService = require('../../../src/services/scriptGenerationService');
+
+jest.mock('../../../src/services/scriptGenerationService', () => ({
+  model: 'gpt-5',
+  maxTokens: 800,
+  temperature: 0.7,
+  makeTrackedApiCall: jest.fn(),
+  describeBrief: jest.fn(brief => Object.entries(brief).map(([field, value]) => `${field}: ${value}`))
+}));
+
+describe('BriefService', () => {
+  const brief = {
+    product: 'GlowUp serum',
+    audience: 'Busy moms with dry skin',
+    keyBenefits: ['Absorbs fast'],
+    mandatoryClaims: ['Dermatologist tested'],
+    forbiddenWords: ['cure'],
+    locale: 'en-US'
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('validateBrief', () => {
+    it('should accept a brief with a product and valid optional fields', () => {
+      expect(briefService.validateBrief({ product: 'GlowUp serum' })).toBeNull();
+      expect(briefService.validateBrief(brief)).toBeNull();
+      expect(briefService.validateBrief({ product: 'GlowUp serum', locale: 'es-419', tone: null })).toBeNull();
+    });
+
+    it('should reject briefs that do not fit the schema', () => {
+      expect(briefService.validateBrief('GlowUp serum')).toBe('brief must be an object');
+      expect(briefService.validateBrief({})).toBe('brief.product is required');
+      expect(briefService.validateBrief({ product: 'GlowUp serum', colour: 'red' })).toBe('Unknown brief fields: colour');
+      expect(briefService.validateBrief({ product: ' ' })).toBe('brief.product must be a non-empty string of up to 200 characters');
+      expect(briefService.validateBrief({ product: 'GlowUp serum', keyBenefits: 'Absorbs fast' }))
+        .toBe('brief.keyBenefits must be a list of 1 to 5 non-empty strings of up to 200 characters');
+      expect(briefService.validateBrief({ product: 'GlowUp serum', forbiddenWords: Array(21).fill('cure') }))
+        .toBe('brief.forbiddenWords must be a list of 1 to 20 non-empty strings of up to 50 characters');
+      expect(briefService.validateBrief({ product: 'GlowUp serum', locale: 'English' }))
+        .toBe('brief.locale must be a language tag such as en or en-US');
+    });
+  });
+
+  describe('validateText', () => {
+    it('should require a non-empty text of up to 5000 characters', () => {
+      expect(briefService.validateText({ text: 'Ad for GlowUp serum' })).toBeNull();
+      expect(briefService.validateText({})).toBe('text must be a non-empty string of up to 5000 characters');
+      expect(briefService.validateText({ text: 'a'.repeat(5001) })).toBe('text must be a non-empty string of up to 5000 characters');
+    });
+  });
+
+  describe('applyBrief', () => {
+    it('should carry the trimmed brief in the options and keep the text brief', () => {
+      const result = briefService.applyBrief({
+        creativeBrief: 'Summer promo',
+        brief: { product: ' GlowUp serum ', forbiddenWords: [' cure '], tone: null },
+        options: { aspectRatio: '9:16' }
+      });
+
+      expect(result).toEqual({
+        creativeBrief: 'Summer promo',
+        options: { aspectRatio: '9:16', brief: { product: 'GlowUp serum', forbiddenWords: ['cure'] } }
+      });
+    });
+
+    it('should write the text brief from the structured one when none is given', () => {
+      const result = briefService.applyBrief({ brief: { product: 'GlowUp serum', tone: 'Playful' }, options: {} });
+
+      expect(result.creativeBrief).toBe('product: GlowUp serum\ntone: Playful');
+      expect(scriptGenerationService.describeBrief).toHaveBeenCalledWith({ product: 'GlowUp serum', tone: 'Playful' });
+    });
+
+    it('should only carry a brief given with the request', () => {
+      const result = briefService.applyBrief({ creativeBrief: 'Summer promo', options: { brief: { product: 'Unchecked' }, segments: 2 } });
+
+      expect(result).toEqual({ creativeBrief: 'Summer promo', options: { segments: 2 } });
+    });
+  });
+
+  describe('structure', () => {
+    const respond = content => scriptGenerationService.makeTrackedApiCall.mockResolvedValue({
+      data: { choices: [{ message: { content: JSON.stringify(content) } }] }
+    });
+
+    it('should draft a brief from free text and list the fields it does not cover', async () => {
+      respond({ ...brief, painPoint: '', tone: null, cta: [], notes: 'ignored' });
+      const usageContext = { userId: null, apiKeyId: 'key-1', organizationId: null };
+
+      const result = await briefService.structure('Ad for GlowUp serum aimed at busy moms', usageContext);
+
+      expect(result).toEqual({ brief, missing: ['painPoint', 'tone', 'cta'] });
+      const [payload, context] = scriptGenerationService.makeTrackedApiCall.mock.calls[0];
+      expect(context).toBe(usageContext);
+      expect(payload).toEqual(expect.objectContaining({ model: 'gpt-5', response_format: { type: 'json_object' } }));
+      expect(payload.messages[1].content).toContain('Ad for GlowUp serum aimed at busy moms');
+    });
+
+    it('should refuse a drafted brief that does not fit the schema', async () => {
+      respond({ audience: 'Busy moms' });
+
+      await expect(briefService.structure('Something for busy moms'))
+        .rejects.toMatchObject({ statusCode: 422, code: 'BRIEF_NOT_STRUCTURED', message: 'The brief could not be structured: brief.product is required' });
+    });
+
+    it('should fail on a response that is not JSON', async () => {
+      scriptGenerationService.makeTrackedApiCall.mockResolvedValue({ data: { choices: [{ message: { content: 'Sure!' } }] } });
+
+      await expect(briefService.structure('Ad for GlowUp serum')).rejects.toThrow('Failed to parse structured brief');
+    });
+  });
+});
@@ -111,6 +111,30 @@ describe('CacheService', () => {
       
       expect(key1).not.toBe(key2);
     });
+
+    it('should generate different keys for different segment durations', () => {
+      const creativeBrief = 'Test brief';
+      const imageAnalysis = [{ description: 'test' }];
+      
+      const key1 = cacheService.generateScriptKey(creativeBrief, imageAnalysis, null, [8, 8]);
+      const key2 = cacheService.generateScriptKey(creativeBrief, imageAnalysis, null, [8, 8, 7, 7]);
+      
+      expect(key1).not.toBe(key2);
+      expect(key2).toMatch(/:8-8-7-7$/);
+    });
+
+    it('should generate different keys for different structured briefs', () => {
+      const creativeBrief = 'Test brief';
+      const imageAnalysis = [{ description: 'test' }];
+
+      const plain = cacheService.generateScriptKey(creativeBrief, imageAnalysis, null, [8, 8]);
+      const key1 = cacheService.generateScriptKey(creativeBrief, imageAnalysis, null, [8, 8], { product: 'Serum', tone: 'Playful' });
+      const key2 = cacheService.generateScriptKey(creativeBrief, imageAnalysis, null, [8, 8], { product: 'Serum', tone: 'Calm' });
+
+      expect(new Set([plain, key1, key2]).size).toBe(3);
+      expect(plain).toBe(cacheService.generateScriptKey(creativeBrief, imageAnalysis, null, [8, 8], null));
+      expect(key1).toMatch(/:8-8$/);
+    });
   });
 
   describe('getCachedImageAnalysis', () => {
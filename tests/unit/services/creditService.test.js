@@ -0,0 +1,291 @@
+const { Op } = require('sequelize');
+const creditService = require('../../../src/services/creditService');
+const models = require('../../../src/models');
+
+jest.mock('../../../src/models', () => ({
+  sequelize: {
+    transaction: jest.fn(callback => callback({ id: 'transaction' })),
+    query: jest.fn()
+  },
+  CreditAccount: {
+    findOrCreate: jest.fn(),
+    findOne: jest.fn()
+  },
+  CreditTransaction: {
+    create: jest.fn(),
+    findOne: jest.fn(),
+    findAndCountAll: jest.fn()
+  },
+  Organization: { findByPk: jest.fn() },
+  User: { findByPk: jest.fn() },
+  ApiKey: { findByPk: jest.fn() }
+}));
+
+/**
+ * Make the locked account lookup return an account with a balance
+ */
+const mockAccount = (balance, heldBalance = 0) => {
+  const account = {
+    id: 'account-1',
+    ownerType: 'organization',
+    ownerId: 'org-1',
+    balance,
+    heldBalance,
+    save: jest.fn()
+  };
+  models.CreditAccount.findOrCreate.mockResolvedValue([account, false]);
+  return account;
+};
+
+/**
+ * Make the operation's hold lookups return an open (or closed) hold
+ */
+const mockHold = (amount, closed = null) => {
+  models.CreditTransaction.findOne
+    .mockResolvedValueOnce({
+      operationId: 'op-1',
+      type: 'hold',
+      amount: -amount,
+      account: { ownerType: 'organization', ownerId: 'org-1' }
+    })
+    .mockResolvedValueOnce(closed);
+};
+
+describe('CreditService', () => {
+  const principal = { userId: 'user-1', apiKeyId: null, organizationId: 'org-1' };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env.CREDITS_ENABLED = 'true';
+    models.CreditTransaction.create.mockImplementation(async data => ({ id: 'entry-1', ...data }));
+  });
+
+  afterAll(() => {
+    delete process.env.CREDITS_ENABLED;
+  });
+
+  describe('getOwner', () => {
+    it('should bill the organization when acting in one', () => {
+      expect(creditService.getOwner(principal)).toEqual({ ownerType: 'organization', ownerId: 'org-1' });
+    });
+
+    it('should bill the user, then the API key', () => {
+      expect(creditService.getOwner({ userId: 'user-1', apiKeyId: 'key-1' }))
+        .toEqual({ ownerType: 'user', ownerId: 'user-1' });
+      expect(creditService.getOwner({ apiKeyId: 'key-1' }))
+        .toEqual({ ownerType: 'api_key', ownerId: 'key-1' });
+    });
+
+    it('should return null for anonymous callers', () => {
+      expect(creditService.getOwner({})).toBeNull();
+    });
+  });
+
+  describe('estimateCost', () => {
+    it('should price the default segment count', () => {
+      expect(creditService.estimateCost({})).toBe(20);
+    });
+
+    it('should price requested segments and option surcharges', () => {
+      expect(creditService.estimateCost({ segments: 4, urgent: true })).toBe(45);
+    });
+
+    it('should price the segments a target duration needs', () => {
+      expect(creditService.estimateCost({ targetDuration: 30 })).toBe(creditService.estimateCost({ segments: 4 }));
+    });
+
+    it('should not price a generation of script variants', () => {
+      expect(creditService.estimateCost({ variants: 3, segments: 2 })).toBe(0);
+    });
+  });
+
+  describe('hold', () => {
+    it('should hold credits for every operation under the account lock', async () => {
+      const account = mockAccount(100);
+
+      const result = await creditService.hold(principal, [
+        { operationId: 'op-1', amount: 20 },
+        { operationId: 'op-2', amount: 30 }
+      ], { transaction: { id: 'outer' } });
+
+      expect(models.sequelize.query).toHaveBeenCalledWith(expect.stringContaining('pg_advisory_xact_lock'), {
+        replacements: { key: 'credits:organization:org-1' },
+        transaction: { id: 'outer' }
+      });
+      expect(models.CreditTransaction.create).toHaveBeenCalledWith(expect.objectContaining({
+        type: 'hold', amount: -20, balanceAfter: 80, operationId: 'op-1'
+      }), { transaction: { id: 'outer' } });
+      expect(models.CreditTransaction.create).toHaveBeenCalledWith(expect.objectContaining({
+        type: 'hold', amount: -30, balanceAfter: 50, operationId: 'op-2'
+      }), { transaction: { id: 'outer' } });
+      expect(account.balance).toBe(50);
+      expect(account.heldBalance).toBe(50);
+      expect(result).toEqual({ held: 50, balance: 50 });
+    });
+
+    it('should reject holds the balance cannot cover', async () => {
+      const account = mockAccount(30);
+
+      await expect(creditService.hold(principal, [
+        { operationId: 'op-1', amount: 20 },
+        { operationId: 'op-2', amount: 20 }
+      ])).rejects.toMatchObject({
+        statusCode: 402,
+        code: 'INSUFFICIENT_CREDITS',
+        required: 40,
+        available: 30
+      });
+
+      expect(models.CreditTransaction.create).not.toHaveBeenCalled();
+      expect(account.save).not.toHaveBeenCalled();
+    });
+
+    it('should not hold anything when billing is disabled', async () => {
+      process.env.CREDITS_ENABLED = 'false';
+
+      const result = await creditService.hold(principal, [{ operationId: 'op-1', amount: 20 }]);
+
+      expect(result).toBeNull();
+      expect(models.CreditAccount.findOrCreate).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('settle', () => {
+    it('should release the hold and charge the actual price', async () => {
+      const account = mockAccount(80, 40);
+      mockHold(40);
+
+      const result = await creditService.settle('op-1', 25);
+
+      expect(models.CreditTransaction.create).toHaveBeenCalledWith(expect.objectContaining({
+        type: 'release', amount: 40, balanceAfter: 120
+      }), { transaction: { id: 'transaction' } });
+      expect(models.CreditTransaction.create).toHaveBeenCalledWith(expect.objectContaining({
+        type: 'charge', amount: -25, balanceAfter: 95
+      }), { transaction: { id: 'transaction' } });
+      expect(account.balance).toBe(95);
+      expect(account.heldBalance).toBe(0);
+      expect(result).toEqual({ charged: 25, released: 15, balance: 95 });
+    });
+
+    it('should never charge more than was held', async () => {
+      mockAccount(0, 20);
+      mockHold(20);
+
+      const result = await creditService.settle('op-1', 50);
+
+      expect(result.charged).toBe(20);
+    });
+
+    it('should charge the full hold when no price is given', async () => {
+      mockAccount(0, 20);
+      mockHold(20);
+
+      const result = await creditService.settle('op-1');
+
+      expect(result).toEqual({ charged: 20, released: 0, balance: 0 });
+    });
+
+    it('should do nothing for operations without a hold', async () => {
+      models.CreditTransaction.findOne.mockResolvedValueOnce(null);
+
+      expect(await creditService.settle('op-1', 20)).toBeNull();
+      expect(models.CreditTransaction.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('refund', () => {
+    it('should return the hold to the balance', async () => {
+      const account = mockAccount(60, 40);
+      mockHold(40);
+
+      const result = await creditService.refund('op-1', 'cancelled');
+
+      expect(models.CreditTransaction.create).toHaveBeenCalledWith(expect.objectContaining({
+        type: 'refund', amount: 40, balanceAfter: 100, metadata: { reason: 'cancelled' }
+      }), { transaction: { id: 'transaction' } });
+      expect(account.heldBalance).toBe(0);
+      expect(result).toEqual({ refunded: 40, balance: 100 });
+    });
+
+    it('should not refund a hold that was already closed', async () => {
+      mockAccount(60, 0);
+      mockHold(40, { type: 'release' });
+
+      expect(await creditService.refund('op-1')).toBeNull();
+      expect(models.CreditTransaction.create).not.toHaveBeenCalled();
+    });
+
+    it('should close the latest hold of a resumed operation', async () => {
+      mockAccount(60, 40);
+      const heldAt = new Date('2025-09-14T12:00:00.000Z');
+      models.CreditTransaction.findOne
+        .mockResolvedValueOnce({
+          operationId: 'op-1',
+          type: 'hold',
+          amount: -40,
+          created_at: heldAt,
+          account: { ownerType: 'organization', ownerId: 'org-1' }
+        })
+        .mockResolvedValueOnce(null);
+
+      const result = await creditService.refund('op-1');
+
+      const [holdQuery, closedQuery] = models.CreditTransaction.findOne.mock.calls.map(call => call[0]);
+      expect(holdQuery.order).toEqual([['created_at', 'DESC']]);
+      // Only a release or refund after this hold closes it; the first run's refund does not
+      expect(closedQuery.where.created_at[Op.gte]).toBe(heldAt);
+      expect(result).toEqual({ refunded: 40, balance: 100 });
+    });
+  });
+
+  describe('topUp', () => {
+    it('should add credits and record them in the ledger', async () => {
+      models.Organization.findByPk.mockResolvedValue({ id: 'org-1' });
+      const account = mockAccount(10);
+
+      const result = await creditService.topUp('organization', 'org-1', 500, { createdBy: 'admin-1' });
+
+      expect(account.balance).toBe(510);
+      expect(models.CreditTransaction.create).toHaveBeenCalledWith(expect.objectContaining({
+        type: 'top_up', amount: 500, balanceAfter: 510, createdBy: 'admin-1'
+      }), { transaction: { id: 'transaction' } });
+      expect(result.account.balance).toBe(510);
+    });
+
+    it('should reject unknown owners', async () => {
+      models.User.findByPk.mockResolvedValue(null);
+
+      await expect(creditService.topUp('user', 'user-9', 100)).rejects.toThrow('User not found');
+    });
+  });
+
+  describe('getLedger', () => {
+    it('should page through the account ledger', async () => {
+      models.CreditAccount.findOne.mockResolvedValue({ id: 'account-1' });
+      models.CreditTransaction.findAndCountAll.mockResolvedValue({
+        rows: [{ id: 'entry-1', type: 'top_up', amount: 100 }],
+        count: 45
+      });
+
+      const ledger = await creditService.getLedger(principal, { page: 3, limit: 20 });
+
+      expect(models.CreditTransaction.findAndCountAll).toHaveBeenCalledWith(expect.objectContaining({
+        where: { accountId: 'account-1' },
+        limit: 20,
+        offset: 40
+      }));
+      expect(ledger.entries).toHaveLength(1);
+      expect(ledger.pagination).toEqual({ page: 3, limit: 20, total: 45, totalPages: 3 });
+    });
+
+    it('should return an empty ledger for principals without an account', async () => {
+      models.CreditAccount.findOne.mockResolvedValue(null);
+
+      const ledger = await creditService.getLedger(principal);
+
+      expect(ledger.entries).toEqual([]);
+      expect(ledger.pagination.total).toBe(0);
+    });
+  });
+});
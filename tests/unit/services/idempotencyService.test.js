@@ -0,0 +1,174 @@
+const { UniqueConstraintError } = require('sequelize');
+const idempotencyService = require('../../../src/services/idempotencyService');
+const models = require('../../../src/models');
+
+jest.mock('../../../src/models', () => ({
+  IdempotencyKey: {
+    create: jest.fn(),
+    findOne: jest.fn(),
+    findByPk: jest.fn(),
+    update: jest.fn()
+  }
+}));
+jest.mock('../../../src/utils/config', () => {
+  const config = { getInt: jest.fn(() => 86400) };
+  return { getConfig: () => config };
+});
+
+describe('IdempotencyService', () => {
+  const request = { scope: 'api_key:key-1', endpoint: 'ugc.generate', key: 'retry-1', fingerprint: 'abc' };
+
+  /**
+   * Make the insert fail because the key is already stored
+   */
+  const mockExisting = (record) => {
+    models.IdempotencyKey.create.mockRejectedValueOnce(new UniqueConstraintError({}));
+    models.IdempotencyKey.findOne.mockResolvedValueOnce({
+      id: 'idem-1',
+      fingerprint: 'abc',
+      status: 'completed',
+      responseStatus: 202,
+      responseBody: { success: true, data: { operationId: 'ugc_1' } },
+      expiresAt: new Date(Date.now() + 60000),
+      updatedAt: new Date(),
+      ...record
+    });
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    models.IdempotencyKey.create.mockImplementation(async data => ({ id: 'idem-new', ...data }));
+  });
+
+  describe('begin', () => {
+    it('should claim a new key for processing', async () => {
+      const result = await idempotencyService.begin(request);
+
+      expect(result.replay).toBe(false);
+      expect(models.IdempotencyKey.create).toHaveBeenCalledWith(expect.objectContaining({
+        scope: 'api_key:key-1',
+        endpoint: 'ugc.generate',
+        key: 'retry-1',
+        fingerprint: 'abc',
+        status: 'processing',
+        expiresAt: expect.any(Date)
+      }));
+      expect(result.record.expiresAt.getTime()).toBeGreaterThan(Date.now() + 86000 * 1000);
+    });
+
+    it('should replay the response for a retry of the same request', async () => {
+      mockExisting();
+
+      const result = await idempotencyService.begin(request);
+
+      expect(result.replay).toBe(true);
+      expect(result.record.responseStatus).toBe(202);
+      expect(result.record.responseBody.data.operationId).toBe('ugc_1');
+    });
+
+    it('should reject a key reused with a different request', async () => {
+      mockExisting({ fingerprint: 'different' });
+
+      const error = await idempotencyService.begin(request).catch(e => e);
+
+      expect(error).toBeInstanceOf(idempotencyService.IdempotencyConflictError);
+      expect(error.statusCode).toBe(409);
+      expect(error.code).toBe('IDEMPOTENCY_KEY_MISMATCH');
+    });
+
+    it('should reject a retry while the original request is processing', async () => {
+      mockExisting({ status: 'processing' });
+
+      await expect(idempotencyService.begin(request)).rejects.toMatchObject({
+        code: 'IDEMPOTENCY_REQUEST_IN_PROGRESS'
+      });
+    });
+
+    it('should take over an expired key, whatever the request', async () => {
+      mockExisting({ fingerprint: 'different', expiresAt: new Date(Date.now() - 1000) });
+      models.IdempotencyKey.update.mockResolvedValue([1]);
+      models.IdempotencyKey.findByPk.mockResolvedValue({ id: 'idem-1', status: 'processing' });
+
+      const result = await idempotencyService.begin(request);
+
+      expect(result).toEqual({ replay: false, record: { id: 'idem-1', status: 'processing' } });
+      expect(models.IdempotencyKey.update).toHaveBeenCalledWith(
+        expect.objectContaining({ fingerprint: 'abc', status: 'processing', responseBody: null }),
+        { where: expect.objectContaining({ id: 'idem-1' }) }
+      );
+    });
+
+    it('should take over a key whose request was abandoned', async () => {
+      mockExisting({ status: 'processing', updatedAt: new Date(Date.now() - 60 * 60 * 1000) });
+      models.IdempotencyKey.update.mockResolvedValue([1]);
+      models.IdempotencyKey.findByPk.mockResolvedValue({ id: 'idem-1' });
+
+      const result = await idempotencyService.begin(request);
+
+      expect(result.replay).toBe(false);
+      expect(models.IdempotencyKey.update.mock.calls[0][1].where.status).toBe('processing');
+    });
+
+    it('should not swallow other database errors', async () => {
+      models.IdempotencyKey.create.mockRejectedValue(new Error('Database unavailable'));
+
+      await expect(idempotencyService.begin(request)).rejects.toThrow('Database unavailable');
+    });
+  });
+
+  describe('complete and release', () => {
+    it('should store the response to replay', async () => {
+      const record = { update: jest.fn() };
+
+      await idempotencyService.complete(record, 202, { success: true });
+
+      expect(record.update).toHaveBeenCalledWith({
+        status: 'completed',
+        responseStatus: 202,
+        responseBody: { success: true }
+      });
+    });
+
+    it('should delete the key of a failed request', async () => {
+      const record = { destroy: jest.fn() };
+
+      await idempotencyService.release(record);
+
+      expect(record.destroy).toHaveBeenCalled();
+    });
+  });
+
+  describe('fingerprint', () => {
+    const req = (body, files = []) => ({ body, files });
+
+    it('should ignore the order of body fields', () => {
+      expect(idempotencyService.fingerprint(req({ creativeBrief: 'Brief', options: { a: 1, b: 2 } })))
+        .toBe(idempotencyService.fingerprint(req({ options: { b: 2, a: 1 }, creativeBrief: 'Brief' })));
+    });
+
+    it('should change with the body or the uploaded files', () => {
+      const image = { fieldname: 'images', originalname: 'a.jpg', mimetype: 'image/jpeg', buffer: Buffer.from('one') };
+      const base = idempotencyService.fingerprint(req({ creativeBrief: 'Brief' }, [image]));
+
+      expect(idempotencyService.fingerprint(req({ creativeBrief: 'Other' }, [image]))).not.toBe(base);
+      expect(idempotencyService.fingerprint(req({ creativeBrief: 'Brief' }, [{ ...image, buffer: Buffer.from('two') }])))
+        .not.toBe(base);
+    });
+  });
+
+  describe('getScope', () => {
+    it('should scope keys to the organization, user or API key', () => {
+      expect(idempotencyService.getScope({ userId: 'user-1', organizationId: 'org-1' })).toBe('org:org-1');
+      expect(idempotencyService.getScope({ userId: 'user-1', apiKeyId: 'key-1' })).toBe('user:user-1');
+      expect(idempotencyService.getScope({ apiKeyId: 'key-1' })).toBe('api_key:key-1');
+    });
+  });
+
+  describe('isValidKey', () => {
+    it('should accept keys of 1 to 255 characters', () => {
+      expect(idempotencyService.isValidKey('8e03978e-40d5-43e8-bc93-6894a57f9324')).toBe(true);
+      expect(idempotencyService.isValidKey('')).toBe(false);
+      expect(idempotencyService.isValidKey('a'.repeat(256))).toBe(false);
+    });
+  });
+});
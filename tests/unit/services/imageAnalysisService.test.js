@@ -1,9 +1,13 @@
 const nock = require('nock');
 const imageAnalysisService = require('../../../src/services/imageAnalysisService');
 const config = require('../../../src/utils/config');
+const providerCostService = require('../../../src/services/providerCostService');
 
 // Mock the config
 jest.mock('../../../src/utils/config');
+jest.mock('../../../src/services/providerCostService', () => ({
+  recordCall: jest.fn().mockResolvedValue(null)
+}));
 
 describe('ImageAnalysisService', () => {
   const mockApiUrl = 'https://generativelanguage.googleapis.com';
@@ -61,6 +65,26 @@ MOOD: productive, focused, professional`
       expect(result.timestamp).toBeDefined();
     });
 
+    it('should record the token usage of the Gemini call against the operation', async () => {
+      const usageContext = { operationId: 'ugc_1', batchId: 'batch_1', apiKeyId: null, userId: 'user-1', organizationId: null };
+
+      nock(mockApiUrl)
+        .post('/v1beta/models/gemini-2.5-flash-image-preview:generateContent')
+        .query({ key: mockApiKey })
+        .reply(200, { ...mockSuccessResponse, usageMetadata: { promptTokenCount: 1290, candidatesTokenCount: 85 } });
+
+      await imageAnalysisService.analyzeImage(mockImageBuffer, mockMimeType, { usageContext });
+
+      expect(providerCostService.recordCall).toHaveBeenCalledWith(expect.objectContaining({
+        context: usageContext,
+        provider: 'gemini',
+        service: 'image_analysis',
+        model: 'gemini-2.5-flash-image-preview',
+        inputUnits: 1290,
+        outputUnits: 85
+      }));
+    });
+
     it('should handle custom analysis options', async () => {
       nock(mockApiUrl)
         .post('/v1beta/models/gemini-2.5-flash-image-preview:generateContent')
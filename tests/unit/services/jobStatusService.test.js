@@ -46,7 +46,7 @@ describe('JobStatusService', () => {
       jobStatusService.registerWebhook(operationId, webhookUrl);
 
       const webhook = jobStatusService.webhookEndpoints.get(operationId);
-      expect(webhook.events).toEqual(['completed', 'failed']);
+      expect(webhook.events).toEqual(['completed', 'failed', 'awaiting_approval', 'rejected', 'expired']);
       expect(webhook.retries).toBe(3);
       expect(webhook.timeout).toBe(10000);
     });
@@ -132,6 +132,121 @@ describe('JobStatusService', () => {
     });
   });
 
+  describe('getJobStatus for generation workflows', () => {
+    const workflowJobs = {
+      image_analysis: { queue: 'imageAnalysis', jobId: 'ugc_1-image_analysis' },
+      script_generation: { queue: 'scriptGeneration', jobId: 'ugc_1-script_generation' },
+      video_generation: { queue: 'videoGeneration', jobId: 'ugc_1-video_generation' },
+      post_processing: { queue: 'videoProcessing', jobId: 'ugc_1-post_processing' }
+    };
+
+    const mockOperation = (overrides = {}) => ({
+      operationId: 'ugc_1',
+      status: 'processing',
+      metadata: {
+        workflowJobs,
+        workflow: { steps: [] }
+      },
+      created_at: new Date(),
+      updated_at: new Date(),
+      ...overrides
+    });
+
+    it('should report the status and progress of each stage', async () => {
+      const now = Date.now();
+      operationService.getOperation.mockResolvedValue(mockOperation());
+      jobManager.getJobStatus.mockImplementation(async (queue) => ({
+        imageAnalysis: { progress: 100, processedOn: now - 60000, finishedOn: now - 50000, returnvalue: {} },
+        scriptGeneration: { progress: 100, processedOn: now - 50000, finishedOn: now - 40000, returnvalue: {} },
+        videoGeneration: { progress: 50, processedOn: now - 30000, finishedOn: null },
+        videoProcessing: { progress: 0, processedOn: null, finishedOn: null }
+      })[queue]);
+
+      const result = await jobStatusService.getJobStatus('ugc_1');
+
+      expect(jobManager.getJobStatus).toHaveBeenCalledWith('videoGeneration', 'ugc_1-video_generation');
+      expect(result.stages.map(stage => [stage.stage, stage.status, stage.progress])).toEqual([
+        ['image_analysis', 'completed', 100],
+        ['script_generation', 'completed', 100],
+        ['video_generation', 'processing', 50],
+        ['post_processing', 'queued', 0]
+      ]);
+      expect(result.stage).toBe('video_generation');
+      expect(result.progress).toBe(55); // 10 + 10 + half of 70
+      expect(result.jobDetails.jobId).toBe('ugc_1-video_generation');
+    });
+
+    it('should fall back to the workflow steps for jobs removed from the queue', async () => {
+      operationService.getOperation.mockResolvedValue(mockOperation({
+        metadata: {
+          workflowJobs,
+          workflow: {
+            steps: [
+              { step: 'image_analysis', status: 'started' },
+              { step: 'image_analysis', status: 'completed' },
+              { step: 'script_generation', status: 'started' }
+            ]
+          }
+        }
+      }));
+      jobManager.getJobStatus.mockResolvedValue(null);
+
+      const result = await jobStatusService.getJobStatus('ugc_1');
+
+      expect(result.stages.map(stage => stage.status)).toEqual(['completed', 'processing', 'pending', 'pending']);
+      expect(result.stage).toBe('script_generation');
+      expect(result.progress).toBe(10);
+    });
+
+    it('should report the stage a failed workflow stopped at', async () => {
+      const now = Date.now();
+      operationService.getOperation.mockResolvedValue(mockOperation({ status: 'failed' }));
+      jobManager.getJobStatus.mockImplementation(async (queue) => ({
+        imageAnalysis: { processedOn: now - 60000, finishedOn: now - 30000, failedReason: 'Vision API unavailable' }
+      })[queue] || null);
+
+      const result = await jobStatusService.getJobStatus('ugc_1');
+
+      expect(result.stage).toBe('image_analysis');
+      expect(result.stages[0]).toEqual(expect.objectContaining({ status: 'failed', error: 'Vision API unavailable' }));
+    });
+
+    it('should show the stages a resumed run skipped as completed from their checkpoints', async () => {
+      const now = Date.now();
+      operationService.getOperation.mockResolvedValue(mockOperation({
+        checkpoints: {
+          image_analysis: { imageAnalysis: [], completedAt: '2025-09-14T00:00:00.000Z' },
+          script_generation: { script: {}, completedAt: '2025-09-14T00:01:00.000Z' }
+        },
+        metadata: {
+          workflowRun: 2,
+          workflowJobs: {
+            video_generation: { queue: 'videoGeneration', jobId: 'ugc_1-run2-video_generation' },
+            post_processing: { queue: 'videoProcessing', jobId: 'ugc_1-run2-post_processing' }
+          },
+          workflow: { steps: [] }
+        }
+      }));
+      jobManager.getJobStatus.mockImplementation(async (queue) => ({
+        videoGeneration: { progress: 20, processedOn: now - 1000, finishedOn: null },
+        videoProcessing: { progress: 0, processedOn: null, finishedOn: null }
+      })[queue] || null);
+
+      const result = await jobStatusService.getJobStatus('ugc_1');
+
+      expect(jobManager.getJobStatus).not.toHaveBeenCalledWith('imageAnalysis', expect.anything());
+      expect(result.stages.map(stage => stage.status)).toEqual(['completed', 'completed', 'processing', 'queued']);
+      expect(result.stages[1].completedAt).toEqual(new Date('2025-09-14T00:01:00.000Z'));
+      expect(result.stage).toBe('video_generation');
+    });
+
+    it('should show a stage being retried', () => {
+      expect(jobStatusService.getStageStatus({ processedOn: Date.now(), failedReason: 'Timeout' })).toBe('retrying');
+      expect(jobStatusService.getStageStatus(null, { status: 'retrying' })).toBe('retrying');
+      expect(jobStatusService.getStageStatus(null, undefined)).toBe('pending');
+    });
+  });
+
   describe('calculateOverallProgress', () => {
     it('should return 100 for completed operations', () => {
       const operation = { status: 'completed' };
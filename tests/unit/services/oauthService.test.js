@@ -1,105 +1,193 @@
 const oauthService = require('../../../src/services/oauthService');
+const models = require('../../../src/models');
 const jwt = require('jsonwebtoken');
+const bcrypt = require('bcrypt');
+
+jest.mock('../../../src/models', () => ({
+  sequelize: {
+    fn: jest.fn(() => 'COUNT(*)')
+  },
+  User: {
+    create: jest.fn(),
+    findOne: jest.fn(),
+    findByPk: jest.fn(),
+    findAll: jest.fn(),
+    update: jest.fn(),
+    count: jest.fn()
+  },
+  RefreshToken: {
+    create: jest.fn(),
+    findOne: jest.fn(),
+    update: jest.fn(),
+    count: jest.fn(),
+    destroy: jest.fn(),
+    findActiveSessions: jest.fn(),
+    revokeFamily: jest.fn()
+  }
+}));
+
+/**
+ * Build a fake User record
+ */
+const buildUser = (overrides = {}) => ({
+  id: 'user-id',
+  email: 'test@example.com',
+  name: 'Test User',
+  provider: 'google',
+  providerId: 'google123',
+  role: 'user',
+  permissions: ['ugc:generate', 'cache:read'],
+  passwordHash: null,
+  isActive: true,
+  lastLogin: null,
+  created_at: new Date(),
+  ...overrides
+});
+
+/**
+ * Build a fake RefreshToken record
+ */
+const buildRefreshToken = (overrides = {}) => {
+  const record = {
+    id: 'token-id',
+    tokenHash: 'hash',
+    userId: 'user-id',
+    familyId: '6f1c2a9e-3b4d-4e5f-8a7b-9c0d1e2f3a4b',
+    sessionStartedAt: new Date(Date.now() - 60000),
+    deviceName: 'Work laptop',
+    userAgent: 'test-agent',
+    ipAddress: '10.0.0.1',
+    expiresAt: new Date(Date.now() + 60000),
+    isActive: true,
+    revokedReason: null,
+    ...overrides
+  };
+  record.isExpired = () => new Date() > record.expiresAt;
+  record.destroy = jest.fn().mockResolvedValue();
+  return record;
+};
 
 describe('OAuthService', () => {
   beforeEach(() => {
-    // Clear all users and tokens before each test
-    oauthService.users.clear();
-    oauthService.refreshTokens.clear();
-    oauthService.initializeDefaultUsers();
+    jest.clearAllMocks();
+    models.User.create.mockImplementation(async (data) => buildUser(data));
   });
 
   describe('createUser', () => {
-    it('should create a new user with default values', () => {
-      const userData = {
+    it('should create a new user with default values', async () => {
+      const user = await oauthService.createUser({
         email: 'test@example.com',
         name: 'Test User',
         provider: 'google',
         providerId: 'google123'
-      };
-
-      const user = oauthService.createUser(userData);
+      });
 
-      expect(user).toHaveProperty('id');
-      expect(user.email).toBe('test@example.com');
-      expect(user.name).toBe('Test User');
-      expect(user.provider).toBe('google');
-      expect(user.providerId).toBe('google123');
+      expect(models.User.create).toHaveBeenCalledWith(expect.objectContaining({
+        email: 'test@example.com',
+        name: 'Test User',
+        provider: 'google',
+        providerId: 'google123',
+        role: 'user',
+        permissions: ['ugc:generate', 'cache:read'],
+        passwordHash: null,
+        isActive: true
+      }));
       expect(user.role).toBe('user');
       expect(user.permissions).toEqual(['ugc:generate', 'cache:read']);
-      expect(user.isActive).toBe(true);
-      expect(user.createdAt).toBeInstanceOf(Date);
     });
 
-    it('should create user with custom role and permissions', () => {
-      const userData = {
+    it('should create user with custom role and permissions', async () => {
+      const user = await oauthService.createUser({
         email: 'admin@example.com',
         name: 'Admin User',
         provider: 'local',
         providerId: 'admin123',
         role: 'admin'
-      };
-
-      const user = oauthService.createUser(userData);
+      });
 
       expect(user.role).toBe('admin');
       expect(user.permissions).toEqual(['*']);
     });
+
+    it('should store a bcrypt hash of the password', async () => {
+      const user = await oauthService.createUser({
+        email: 'local@example.com',
+        name: 'Local User',
+        password: 'secret123'
+      });
+
+      expect(user.passwordHash).toBeDefined();
+      expect(user.passwordHash).not.toBe('secret123');
+      expect(await bcrypt.compare('secret123', user.passwordHash)).toBe(true);
+    });
   });
 
   describe('findUserByProvider', () => {
-    it('should find user by provider and provider ID', () => {
-      const userData = {
-        email: 'test@example.com',
-        name: 'Test User',
-        provider: 'google',
-        providerId: 'google123'
-      };
+    it('should find user by provider and provider ID', async () => {
+      models.User.findOne.mockResolvedValue(buildUser());
 
-      const createdUser = oauthService.createUser(userData);
-      const foundUser = oauthService.findUserByProvider('google', 'google123');
+      const foundUser = await oauthService.findUserByProvider('google', 'google123');
 
-      expect(foundUser).toBeDefined();
-      expect(foundUser.id).toBe(createdUser.id);
-      expect(foundUser.email).toBe('test@example.com');
+      expect(models.User.findOne).toHaveBeenCalledWith({
+        where: { provider: 'google', providerId: 'google123' }
+      });
+      expect(foundUser.id).toBe('user-id');
     });
 
-    it('should return null for non-existent user', () => {
-      const foundUser = oauthService.findUserByProvider('google', 'nonexistent');
+    it('should return null for non-existent user', async () => {
+      models.User.findOne.mockResolvedValue(null);
+
+      const foundUser = await oauthService.findUserByProvider('google', 'nonexistent');
       expect(foundUser).toBeNull();
     });
   });
 
   describe('findUserByEmail', () => {
-    it('should find user by email', () => {
-      const userData = {
-        email: 'test@example.com',
-        name: 'Test User',
-        provider: 'google',
-        providerId: 'google123'
-      };
+    it('should find user by email', async () => {
+      models.User.findOne.mockResolvedValue(buildUser());
 
-      const createdUser = oauthService.createUser(userData);
-      const foundUser = oauthService.findUserByEmail('test@example.com');
+      const foundUser = await oauthService.findUserByEmail('test@example.com');
 
-      expect(foundUser).toBeDefined();
-      expect(foundUser.id).toBe(createdUser.id);
+      expect(models.User.findOne).toHaveBeenCalledWith({ where: { email: 'test@example.com' } });
+      expect(foundUser.id).toBe('user-id');
     });
 
-    it('should return null for non-existent email', () => {
-      const foundUser = oauthService.findUserByEmail('nonexistent@example.com');
+    it('should return null for non-existent email', async () => {
+      models.User.findOne.mockResolvedValue(null);
+
+      const foundUser = await oauthService.findUserByEmail('nonexistent@example.com');
       expect(foundUser).toBeNull();
     });
   });
 
+  describe('verifyUserCredentials', () => {
+    it('should return the user for a matching password', async () => {
+      const passwordHash = await bcrypt.hash('secret123', 4);
+      models.User.findOne.mockResolvedValue(buildUser({ passwordHash }));
+
+      const user = await oauthService.verifyUserCredentials('test@example.com', 'secret123');
+      expect(user.id).toBe('user-id');
+    });
+
+    it('should reject a wrong password', async () => {
+      const passwordHash = await bcrypt.hash('secret123', 4);
+      models.User.findOne.mockResolvedValue(buildUser({ passwordHash }));
+
+      const user = await oauthService.verifyUserCredentials('test@example.com', 'wrong');
+      expect(user).toBeNull();
+    });
+
+    it('should reject users without a password', async () => {
+      models.User.findOne.mockResolvedValue(buildUser());
+
+      const user = await oauthService.verifyUserCredentials('test@example.com', 'secret123');
+      expect(user).toBeNull();
+    });
+  });
+
   describe('generateAccessToken', () => {
     it('should generate valid JWT access token', () => {
-      const user = oauthService.createUser({
-        email: 'test@example.com',
-        name: 'Test User',
-        provider: 'google',
-        providerId: 'google123'
-      });
+      const user = buildUser();
 
       const token = oauthService.generateAccessToken(user);
 
@@ -118,159 +206,253 @@ describe('OAuthService', () => {
   });
 
   describe('generateRefreshToken', () => {
-    it('should generate refresh token and store it', () => {
-      const user = oauthService.createUser({
-        email: 'test@example.com',
-        name: 'Test User',
-        provider: 'google',
-        providerId: 'google123'
-      });
-
-      const refreshToken = oauthService.generateRefreshToken(user);
+    it('should generate refresh token and store its hash', async () => {
+      const refreshToken = await oauthService.generateRefreshToken(buildUser());
 
-      expect(refreshToken).toBeDefined();
       expect(typeof refreshToken).toBe('string');
 
-      // Check if token is stored
-      const tokenData = oauthService.refreshTokens.get(refreshToken);
-      expect(tokenData).toBeDefined();
-      expect(tokenData.userId).toBe(user.id);
-      expect(tokenData.isActive).toBe(true);
+      const stored = models.RefreshToken.create.mock.calls[0][0];
+      expect(stored.userId).toBe('user-id');
+      expect(stored.isActive).toBe(true);
+      expect(stored.tokenHash).toBe(oauthService.hashRefreshToken(refreshToken));
+      expect(stored.tokenHash).not.toBe(refreshToken);
+      expect(stored.expiresAt.getTime()).toBeGreaterThan(Date.now());
+    });
+
+    it('should start a new session family with client details', async () => {
+      await oauthService.generateRefreshToken(buildUser(), {
+        deviceName: 'Phone',
+        userAgent: 'test-agent',
+        ipAddress: '10.0.0.2'
+      });
+
+      const stored = models.RefreshToken.create.mock.calls[0][0];
+      expect(stored.familyId).toBeDefined();
+      expect(stored.deviceName).toBe('Phone');
+      expect(stored.userAgent).toBe('test-agent');
+      expect(stored.ipAddress).toBe('10.0.0.2');
+      expect(stored.sessionStartedAt).toBeInstanceOf(Date);
+      expect(stored.lastUsedAt).toBeInstanceOf(Date);
     });
   });
 
   describe('verifyAccessToken', () => {
-    it('should verify valid access token', () => {
-      const user = oauthService.createUser({
-        email: 'test@example.com',
-        name: 'Test User',
-        provider: 'google',
-        providerId: 'google123'
-      });
+    it('should verify valid access token', async () => {
+      const user = buildUser();
+      models.User.findByPk.mockResolvedValue(user);
 
       const token = oauthService.generateAccessToken(user);
-      const decoded = oauthService.verifyAccessToken(token);
+      const decoded = await oauthService.verifyAccessToken(token);
 
       expect(decoded).toBeDefined();
       expect(decoded.sub).toBe(user.id);
       expect(decoded.email).toBe(user.email);
     });
 
-    it('should reject invalid token', () => {
-      const decoded = oauthService.verifyAccessToken('invalid-token');
+    it('should reject invalid token', async () => {
+      const decoded = await oauthService.verifyAccessToken('invalid-token');
       expect(decoded).toBeNull();
     });
 
-    it('should reject token for inactive user', () => {
-      const user = oauthService.createUser({
-        email: 'test@example.com',
-        name: 'Test User',
-        provider: 'google',
-        providerId: 'google123'
-      });
-
+    it('should reject token for inactive user', async () => {
+      const user = buildUser();
       const token = oauthService.generateAccessToken(user);
-      
-      // Deactivate user
-      oauthService.deactivateUser(user.id);
-      
-      const decoded = oauthService.verifyAccessToken(token);
+      models.User.findByPk.mockResolvedValue({ ...user, isActive: false });
+
+      const decoded = await oauthService.verifyAccessToken(token);
       expect(decoded).toBeNull();
     });
   });
 
   describe('refreshAccessToken', () => {
-    it('should generate new tokens with valid refresh token', () => {
-      const user = oauthService.createUser({
-        email: 'test@example.com',
-        name: 'Test User',
-        provider: 'google',
-        providerId: 'google123'
-      });
+    it('should generate new tokens with valid refresh token', async () => {
+      models.RefreshToken.findOne.mockResolvedValue(buildRefreshToken());
+      models.RefreshToken.update.mockResolvedValue([1]);
+      models.User.findByPk.mockResolvedValue(buildUser());
 
-      const refreshToken = oauthService.generateRefreshToken(user);
-      const newTokens = oauthService.refreshAccessToken(refreshToken);
+      const newTokens = await oauthService.refreshAccessToken('refresh-token');
 
+      expect(models.RefreshToken.findOne).toHaveBeenCalledWith({
+        where: { tokenHash: oauthService.hashRefreshToken('refresh-token') }
+      });
       expect(newTokens).toBeDefined();
       expect(newTokens.accessToken).toBeDefined();
       expect(newTokens.refreshToken).toBeDefined();
       expect(newTokens.tokenType).toBe('Bearer');
       expect(newTokens.expiresIn).toBeGreaterThan(0);
 
-      // Old refresh token should be inactive
-      const oldTokenData = oauthService.refreshTokens.get(refreshToken);
-      expect(oldTokenData.isActive).toBe(false);
+      // Old refresh token should be rotated out
+      const [changes, options] = models.RefreshToken.update.mock.calls[0];
+      expect(options).toEqual({ where: { id: 'token-id', isActive: true } });
+      expect(changes.isActive).toBe(false);
+      expect(changes.revokedReason).toBe('rotated');
+
+      // New token joins the same family and replaces the old one
+      const stored = models.RefreshToken.create.mock.calls[0][0];
+      expect(stored.id).toBe(changes.replacedById);
+      expect(stored.familyId).toBe('6f1c2a9e-3b4d-4e5f-8a7b-9c0d1e2f3a4b');
+      expect(stored.deviceName).toBe('Work laptop');
+      expect(stored.tokenHash).toBe(oauthService.hashRefreshToken(newTokens.refreshToken));
     });
 
-    it('should reject invalid refresh token', () => {
-      const newTokens = oauthService.refreshAccessToken('invalid-token');
+    it('should record the latest client details on rotation', async () => {
+      models.RefreshToken.findOne.mockResolvedValue(buildRefreshToken());
+      models.RefreshToken.update.mockResolvedValue([1]);
+      models.User.findByPk.mockResolvedValue(buildUser());
+
+      await oauthService.refreshAccessToken('refresh-token', { userAgent: 'new-agent', ipAddress: '10.0.0.9' });
+
+      const stored = models.RefreshToken.create.mock.calls[0][0];
+      expect(stored.userAgent).toBe('new-agent');
+      expect(stored.ipAddress).toBe('10.0.0.9');
+    });
+
+    it('should revoke the whole family when a rotated token is reused', async () => {
+      models.RefreshToken.findOne.mockResolvedValue(buildRefreshToken({
+        isActive: false,
+        revokedReason: 'rotated'
+      }));
+
+      const newTokens = await oauthService.refreshAccessToken('refresh-token');
+
       expect(newTokens).toBeNull();
+      expect(models.RefreshToken.revokeFamily).toHaveBeenCalledWith(
+        '6f1c2a9e-3b4d-4e5f-8a7b-9c0d1e2f3a4b',
+        'reuse_detected'
+      );
     });
 
-    it('should reject expired refresh token', () => {
-      const user = oauthService.createUser({
-        email: 'test@example.com',
-        name: 'Test User',
-        provider: 'google',
-        providerId: 'google123'
-      });
+    it('should not revoke the family for a logged-out token', async () => {
+      models.RefreshToken.findOne.mockResolvedValue(buildRefreshToken({
+        isActive: false,
+        revokedReason: 'logout'
+      }));
+
+      const newTokens = await oauthService.refreshAccessToken('refresh-token');
 
-      const refreshToken = oauthService.generateRefreshToken(user);
-      
-      // Manually expire the token
-      const tokenData = oauthService.refreshTokens.get(refreshToken);
-      tokenData.expiresAt = new Date(Date.now() - 1000); // 1 second ago
-      
-      const newTokens = oauthService.refreshAccessToken(refreshToken);
       expect(newTokens).toBeNull();
-      
+      expect(models.RefreshToken.revokeFamily).not.toHaveBeenCalled();
+    });
+
+    it('should reject invalid refresh token', async () => {
+      models.RefreshToken.findOne.mockResolvedValue(null);
+
+      const newTokens = await oauthService.refreshAccessToken('invalid-token');
+      expect(newTokens).toBeNull();
+    });
+
+    it('should reject expired refresh token', async () => {
+      const tokenData = buildRefreshToken({ expiresAt: new Date(Date.now() - 1000) });
+      models.RefreshToken.findOne.mockResolvedValue(tokenData);
+
+      const newTokens = await oauthService.refreshAccessToken('refresh-token');
+      expect(newTokens).toBeNull();
+
       // Token should be removed
-      expect(oauthService.refreshTokens.has(refreshToken)).toBe(false);
+      expect(tokenData.destroy).toHaveBeenCalled();
+    });
+
+    it('should reject a token consumed by a concurrent refresh', async () => {
+      models.RefreshToken.findOne.mockResolvedValue(buildRefreshToken());
+      models.RefreshToken.update.mockResolvedValue([0]);
+      models.User.findByPk.mockResolvedValue(buildUser());
+
+      const newTokens = await oauthService.refreshAccessToken('refresh-token');
+
+      expect(newTokens).toBeNull();
+      expect(models.RefreshToken.create).not.toHaveBeenCalled();
+      expect(models.RefreshToken.revokeFamily).toHaveBeenCalledWith(
+        '6f1c2a9e-3b4d-4e5f-8a7b-9c0d1e2f3a4b',
+        'reuse_detected'
+      );
     });
   });
 
   describe('revokeRefreshToken', () => {
-    it('should revoke valid refresh token', () => {
-      const user = oauthService.createUser({
-        email: 'test@example.com',
-        name: 'Test User',
-        provider: 'google',
-        providerId: 'google123'
-      });
+    it('should revoke valid refresh token', async () => {
+      models.RefreshToken.update.mockResolvedValue([1]);
 
-      const refreshToken = oauthService.generateRefreshToken(user);
-      const success = oauthService.revokeRefreshToken(refreshToken);
+      const success = await oauthService.revokeRefreshToken('refresh-token');
 
       expect(success).toBe(true);
-
-      const tokenData = oauthService.refreshTokens.get(refreshToken);
-      expect(tokenData.isActive).toBe(false);
+      const [changes, options] = models.RefreshToken.update.mock.calls[0];
+      expect(changes.revokedReason).toBe('logout');
+      expect(options).toEqual({
+        where: { tokenHash: oauthService.hashRefreshToken('refresh-token'), isActive: true }
+      });
     });
 
-    it('should return false for non-existent token', () => {
-      const success = oauthService.revokeRefreshToken('non-existent-token');
+    it('should return false for non-existent token', async () => {
+      models.RefreshToken.update.mockResolvedValue([0]);
+
+      const success = await oauthService.revokeRefreshToken('non-existent-token');
       expect(success).toBe(false);
     });
   });
 
+  describe('listSessions', () => {
+    it('should return one entry per active token family', async () => {
+      models.RefreshToken.findActiveSessions.mockResolvedValue([
+        buildRefreshToken({ lastUsedAt: new Date() }),
+        buildRefreshToken({ familyId: 'other-family', deviceName: null })
+      ]);
+
+      const sessions = await oauthService.listSessions('user-id');
+
+      expect(models.RefreshToken.findActiveSessions).toHaveBeenCalledWith('user-id');
+      expect(sessions).toHaveLength(2);
+      expect(sessions[0]).toMatchObject({
+        id: '6f1c2a9e-3b4d-4e5f-8a7b-9c0d1e2f3a4b',
+        device: 'Work laptop',
+        ipAddress: '10.0.0.1'
+      });
+      expect(sessions[0].lastUsedAt).toBeInstanceOf(Date);
+      expect(sessions[1].device).toBe('test-agent');
+      expect(sessions[0]).not.toHaveProperty('tokenHash');
+    });
+  });
+
+  describe('revokeSession', () => {
+    it('should revoke the session for its owner', async () => {
+      models.RefreshToken.update.mockResolvedValue([1]);
+
+      const success = await oauthService.revokeSession('user-id', '6f1c2a9e-3b4d-4e5f-8a7b-9c0d1e2f3a4b');
+
+      expect(success).toBe(true);
+      const [changes, options] = models.RefreshToken.update.mock.calls[0];
+      expect(changes.revokedReason).toBe('session_revoked');
+      expect(options).toEqual({
+        where: { userId: 'user-id', familyId: '6f1c2a9e-3b4d-4e5f-8a7b-9c0d1e2f3a4b', isActive: true }
+      });
+    });
+
+    it('should return false for unknown sessions', async () => {
+      models.RefreshToken.update.mockResolvedValue([0]);
+
+      expect(await oauthService.revokeSession('user-id', '6f1c2a9e-3b4d-4e5f-8a7b-9c0d1e2f3a4b')).toBe(false);
+      expect(await oauthService.revokeSession('user-id', 'not-a-uuid')).toBe(false);
+      expect(models.RefreshToken.update).toHaveBeenCalledTimes(1);
+    });
+  });
+
   describe('hasPermission', () => {
     it('should return true for granted permissions', () => {
       const user = { permissions: ['ugc:generate', 'cache:read'] };
-      
+
       expect(oauthService.hasPermission(user, 'ugc:generate')).toBe(true);
       expect(oauthService.hasPermission(user, 'cache:read')).toBe(true);
     });
 
     it('should return false for denied permissions', () => {
       const user = { permissions: ['ugc:generate'] };
-      
+
       expect(oauthService.hasPermission(user, 'cache:write')).toBe(false);
       expect(oauthService.hasPermission(user, 'analytics:read')).toBe(false);
     });
 
     it('should return true for admin user with wildcard permission', () => {
       const user = { permissions: ['*'] };
-      
+
       expect(oauthService.hasPermission(user, 'ugc:generate')).toBe(true);
       expect(oauthService.hasPermission(user, 'cache:write')).toBe(true);
       expect(oauthService.hasPermission(user, 'analytics:read')).toBe(true);
@@ -283,95 +465,91 @@ describe('OAuthService', () => {
   });
 
   describe('updateUserRole', () => {
-    it('should update user role and permissions', () => {
-      const user = oauthService.createUser({
-        email: 'test@example.com',
-        name: 'Test User',
-        provider: 'google',
-        providerId: 'google123',
-        role: 'user'
-      });
+    it('should update user role and permissions', async () => {
+      models.User.update.mockResolvedValue([1]);
 
-      const success = oauthService.updateUserRole(user.id, 'admin');
-      expect(success).toBe(true);
+      const success = await oauthService.updateUserRole('user-id', 'admin');
 
-      const updatedUser = oauthService.findUserById(user.id);
-      expect(updatedUser.role).toBe('admin');
-      expect(updatedUser.permissions).toEqual(['*']);
+      expect(success).toBe(true);
+      expect(models.User.update).toHaveBeenCalledWith(
+        { role: 'admin', permissions: ['*'] },
+        { where: { id: 'user-id' } }
+      );
     });
 
-    it('should return false for invalid role', () => {
-      const user = oauthService.createUser({
-        email: 'test@example.com',
-        name: 'Test User',
-        provider: 'google',
-        providerId: 'google123'
-      });
+    it('should return false for invalid role', async () => {
+      const success = await oauthService.updateUserRole('user-id', 'invalid-role');
 
-      const success = oauthService.updateUserRole(user.id, 'invalid-role');
       expect(success).toBe(false);
+      expect(models.User.update).not.toHaveBeenCalled();
     });
 
-    it('should return false for non-existent user', () => {
-      const success = oauthService.updateUserRole('non-existent-id', 'admin');
+    it('should return false for non-existent user', async () => {
+      models.User.update.mockResolvedValue([0]);
+
+      const success = await oauthService.updateUserRole('non-existent-id', 'admin');
       expect(success).toBe(false);
     });
   });
 
   describe('deactivateUser', () => {
-    it('should deactivate user and revoke refresh tokens', () => {
-      const user = oauthService.createUser({
-        email: 'test@example.com',
-        name: 'Test User',
-        provider: 'google',
-        providerId: 'google123'
-      });
+    it('should deactivate user and revoke refresh tokens', async () => {
+      models.User.update.mockResolvedValue([1]);
+      models.RefreshToken.update.mockResolvedValue([2]);
 
-      const refreshToken = oauthService.generateRefreshToken(user);
-      const success = oauthService.deactivateUser(user.id);
+      const success = await oauthService.deactivateUser('user-id');
 
       expect(success).toBe(true);
+      expect(models.User.update).toHaveBeenCalledWith(
+        { isActive: false },
+        { where: { id: 'user-id' } }
+      );
+      const [changes, options] = models.RefreshToken.update.mock.calls[0];
+      expect(changes.isActive).toBe(false);
+      expect(options).toEqual({ where: { userId: 'user-id', isActive: true } });
+    });
 
-      const updatedUser = oauthService.findUserById(user.id);
-      expect(updatedUser.isActive).toBe(false);
+    it('should return false for non-existent user', async () => {
+      models.User.update.mockResolvedValue([0]);
 
-      // Refresh token should be inactive
-      const tokenData = oauthService.refreshTokens.get(refreshToken);
-      expect(tokenData.isActive).toBe(false);
-    });
+      const success = await oauthService.deactivateUser('non-existent-id');
 
-    it('should return false for non-existent user', () => {
-      const success = oauthService.deactivateUser('non-existent-id');
       expect(success).toBe(false);
+      expect(models.RefreshToken.update).not.toHaveBeenCalled();
     });
   });
 
-  describe('getAuthStats', () => {
-    it('should return authentication statistics', () => {
-      // Create some test users
-      oauthService.createUser({
-        email: 'user1@example.com',
-        name: 'User 1',
-        provider: 'google',
-        providerId: 'google1',
-        role: 'user'
-      });
+  describe('getAllUsers', () => {
+    it('should return user profiles without password hashes', async () => {
+      models.User.findAll.mockResolvedValue([buildUser({ passwordHash: 'hash' })]);
 
-      oauthService.createUser({
-        email: 'admin1@example.com',
-        name: 'Admin 1',
-        provider: 'local',
-        providerId: 'admin1',
-        role: 'admin'
-      });
+      const users = await oauthService.getAllUsers();
 
-      const stats = oauthService.getAuthStats();
+      expect(users).toHaveLength(1);
+      expect(users[0].email).toBe('test@example.com');
+      expect(users[0]).not.toHaveProperty('passwordHash');
+    });
+  });
 
-      expect(stats.totalUsers).toBeGreaterThan(0);
-      expect(stats.activeUsers).toBeGreaterThan(0);
-      expect(stats.roleStats).toBeDefined();
-      expect(stats.providerStats).toBeDefined();
-      expect(stats.recentLogins).toBeDefined();
+  describe('getAuthStats', () => {
+    it('should return authentication statistics', async () => {
+      models.User.count
+        .mockResolvedValueOnce(2)
+        .mockResolvedValueOnce(2);
+      models.RefreshToken.count.mockResolvedValue(3);
+      models.User.findAll
+        .mockResolvedValueOnce([{ role: 'user', count: '1' }, { role: 'admin', count: '1' }])
+        .mockResolvedValueOnce([{ provider: 'google', count: '1' }, { provider: 'local', count: '1' }])
+        .mockResolvedValueOnce([buildUser({ lastLogin: new Date() })]);
+
+      const stats = await oauthService.getAuthStats();
+
+      expect(stats.totalUsers).toBe(2);
+      expect(stats.activeUsers).toBe(2);
+      expect(stats.activeTokens).toBe(3);
+      expect(stats.roleStats).toEqual({ user: 1, admin: 1 });
+      expect(stats.providerStats).toEqual({ google: 1, local: 1 });
+      expect(stats.recentLogins).toHaveLength(1);
     });
   });
 
@@ -387,4 +565,4 @@ describe('OAuthService', () => {
       expect(oauthService.parseTimeToMs('invalid')).toBe(60 * 60 * 1000); // 1 hour
     });
   });
-});
\ No newline at end of file
+});
@@ -174,6 +174,23 @@ describe('Operation Service', () => {
     });
   });
 
+  describe('getLineage', () => {
+    test('should describe variants and remixes by the operation they came from', () => {
+      expect(operationService.getLineage({ metadata: {} })).toBeNull();
+      expect(operationService.getLineage({ metadata: { parentOperationId: 'op_1' } })).toEqual({
+        parentOperationId: 'op_1',
+        rootOperationId: 'op_1',
+        relation: 'variant'
+      });
+      expect(operationService.getLineage({
+        metadata: {
+          parentOperationId: 'op_2',
+          remix: { parentOperationId: 'op_2', rootOperationId: 'op_1', overrides: { aspectRatio: '1:1' } }
+        }
+      })).toEqual({ parentOperationId: 'op_2', rootOperationId: 'op_1', relation: 'remix', overrides: ['aspectRatio'] });
+    });
+  });
+
   describe('getUserOperations', () => {
     let user;
 
@@ -353,6 +370,104 @@ describe('Operation Service', () => {
     });
   });
 
+  describe('checkpoints', () => {
+    let operation;
+
+    beforeEach(async () => {
+      const user = await models.User.create({
+        email: 'test@example.com',
+        name: 'Test User',
+        provider: 'local',
+        providerId: 'test-123'
+      });
+
+      operation = await operationService.createOperation({
+        creativeBrief: 'Test creative brief',
+        userId: user.id,
+        inputImages: [{ data: 'aW1hZ2U=', mimeType: 'image/jpeg', originalName: 'a.jpg' }]
+      });
+    });
+
+    test('should save stage output as a completed checkpoint', async () => {
+      await operationService.saveCheckpoint(operation.operationId, 'image_analysis', { imageAnalysis: [{ imageIndex: 0 }] });
+
+      const updated = await operationService.getOperation(operation.operationId);
+
+      expect(updated.checkpoints.image_analysis.imageAnalysis).toEqual([{ imageIndex: 0 }]);
+      expect(updated.checkpoints.image_analysis.completedAt).toBeDefined();
+    });
+
+    test('should save video segments one at a time without completing the stage', async () => {
+      await operationService.saveSegmentCheckpoint(operation.operationId, { segmentIndex: 1, segmentKey: 'segment-2' });
+      await operationService.saveSegmentCheckpoint(operation.operationId, { segmentIndex: 0, segmentKey: 'segment-1' });
+
+      const updated = await operationService.getOperation(operation.operationId);
+
+      expect(updated.checkpoints.video_generation.videoSegments.map(segment => segment.segmentKey))
+        .toEqual(['segment-1', 'segment-2']);
+      expect(updated.checkpoints.video_generation.completedAt).toBeUndefined();
+    });
+
+    test('should only load the uploaded images when asked for them', async () => {
+      const loaded = await operationService.getOperation(operation.operationId);
+
+      expect(loaded.inputImages).toBeUndefined();
+      expect(await operationService.getInputImages(operation.operationId)).toEqual([
+        { data: 'aW1hZ2U=', mimeType: 'image/jpeg', originalName: 'a.jpg' }
+      ]);
+    });
+
+    test('should put a failed operation back in the queue', async () => {
+      await operationService.saveCheckpoint(operation.operationId, 'image_analysis', { imageAnalysis: [] });
+      await operationService.updateOperationStatus(operation.operationId, 'failed', { errorMessage: 'Veo unavailable' });
+
+      await operationService.restartOperation(operation.operationId, {
+        fromStatuses: ['failed', 'cancelled'],
+        checkpoints: {},
+        metadata: { workflowRun: 2 }
+      });
+
+      const updated = await operationService.getOperation(operation.operationId);
+
+      expect(updated.status).toBe('pending');
+      expect(updated.errorMessage).toBeNull();
+      expect(updated.completedAt).toBeNull();
+      expect(updated.checkpoints).toEqual({});
+      expect(updated.metadata.workflowRun).toBe(2);
+    });
+
+    test('should restart an operation once when restarted twice at the same time', async () => {
+      await operationService.updateOperationStatus(operation.operationId, 'completed');
+      const onRestart = jest.fn(async () => ({ held: 10 }));
+      const restart = () => operationService.restartOperation(operation.operationId, {
+        fromStatuses: ['completed'],
+        checkpoints: {},
+        metadata: { workflowRun: 2 }
+      }, onRestart);
+
+      const results = await Promise.allSettled([restart(), restart()]);
+
+      expect(results.filter(result => result.status === 'fulfilled').map(result => result.value)).toEqual([{ held: 10 }]);
+      expect(results.find(result => result.status === 'rejected').reason).toMatchObject({ statusCode: 409, code: 'OPERATION_STATE_CHANGED' });
+      expect(onRestart).toHaveBeenCalledTimes(1);
+    });
+
+    test('should replace the script without changing the status', async () => {
+      await operationService.updateOperationStatus(operation.operationId, 'completed');
+
+      await operationService.updateScript(operation.operationId, {
+        scriptContent: { segments: { 'segment-1': 'Edited' }, revision: 2 },
+        metadata: { scriptRevisions: [{ revision: 2 }] }
+      });
+
+      const updated = await operationService.getOperation(operation.operationId);
+
+      expect(updated.status).toBe('completed');
+      expect(updated.scriptContent.revision).toBe(2);
+      expect(updated.metadata.scriptRevisions).toEqual([{ revision: 2 }]);
+    });
+  });
+
   describe('getOperationStats', () => {
     let user;
 
@@ -0,0 +1,219 @@
+const organizationService = require('../../../src/services/organizationService');
+const models = require('../../../src/models');
+
+jest.mock('../../../src/models', () => ({
+  sequelize: {
+    transaction: jest.fn(callback => callback({ id: 'transaction' }))
+  },
+  Organization: {
+    create: jest.fn(),
+    findOne: jest.fn()
+  },
+  OrganizationMembership: {
+    ROLES: ['viewer', 'editor', 'admin', 'owner'],
+    create: jest.fn(),
+    findOne: jest.fn(),
+    findAll: jest.fn(),
+    findMembership: jest.fn(),
+    count: jest.fn()
+  },
+  User: {
+    findOne: jest.fn(),
+    update: jest.fn()
+  }
+}));
+
+/**
+ * Build a fake membership record with its organization
+ */
+const buildMembership = (overrides = {}) => ({
+  organizationId: 'org-1',
+  userId: 'user-1',
+  role: 'owner',
+  organization: { id: 'org-1', name: 'Acme', slug: 'acme', created_at: new Date() },
+  save: jest.fn(),
+  destroy: jest.fn(),
+  ...overrides
+});
+
+describe('OrganizationService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('hasRole', () => {
+    it('should rank roles from viewer to owner', () => {
+      expect(organizationService.hasRole('owner', 'admin')).toBe(true);
+      expect(organizationService.hasRole('editor', 'editor')).toBe(true);
+      expect(organizationService.hasRole('viewer', 'editor')).toBe(false);
+      expect(organizationService.hasRole('unknown', 'viewer')).toBe(false);
+    });
+  });
+
+  describe('slugify', () => {
+    it('should build a URL-safe slug from a name', () => {
+      expect(organizationService.slugify('  Acme Marketing, Inc. ')).toBe('acme-marketing-inc');
+    });
+  });
+
+  describe('createOrganization', () => {
+    it('should create the organization with the creator as owner', async () => {
+      models.Organization.findOne.mockResolvedValue(null);
+      models.Organization.create.mockResolvedValue({ id: 'org-1', name: 'Acme', slug: 'acme', created_at: new Date() });
+
+      const organization = await organizationService.createOrganization({ name: 'Acme' }, 'user-1');
+
+      expect(models.Organization.create).toHaveBeenCalledWith(
+        { name: 'Acme', slug: 'acme', createdBy: 'user-1' },
+        { transaction: { id: 'transaction' } }
+      );
+      expect(models.OrganizationMembership.create).toHaveBeenCalledWith(
+        { organizationId: 'org-1', userId: 'user-1', role: 'owner' },
+        { transaction: { id: 'transaction' } }
+      );
+      expect(models.User.update).toHaveBeenCalledWith(
+        { activeOrganizationId: 'org-1' },
+        { where: { id: 'user-1', activeOrganizationId: null }, transaction: { id: 'transaction' } }
+      );
+      expect(organization).toEqual(expect.objectContaining({ id: 'org-1', slug: 'acme', role: 'owner' }));
+    });
+
+    it('should reject a slug that is already taken', async () => {
+      models.Organization.findOne.mockResolvedValue({ id: 'org-2' });
+
+      await expect(organizationService.createOrganization({ name: 'Acme' }, 'user-1'))
+        .rejects.toThrow('Organization slug is already taken');
+      expect(models.Organization.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('requireMembership', () => {
+    it('should reject non-members as if the organization did not exist', async () => {
+      models.OrganizationMembership.findOne.mockResolvedValue(null);
+
+      await expect(organizationService.requireMembership('org-1', 'user-1'))
+        .rejects.toThrow('Organization not found');
+    });
+
+    it('should reject members below the minimum role', async () => {
+      models.OrganizationMembership.findOne.mockResolvedValue(buildMembership({ role: 'editor' }));
+
+      await expect(organizationService.requireMembership('org-1', 'user-1', 'admin'))
+        .rejects.toThrow('Organization role admin or higher is required');
+    });
+  });
+
+  describe('addMember', () => {
+    it('should add an existing user with the requested role', async () => {
+      models.OrganizationMembership.findOne.mockResolvedValue(buildMembership({ role: 'admin' }));
+      models.User.findOne.mockResolvedValue({ id: 'user-2', name: 'New', email: 'new@example.com' });
+      models.OrganizationMembership.findMembership.mockResolvedValue(null);
+      models.OrganizationMembership.create.mockResolvedValue({ userId: 'user-2', role: 'editor' });
+
+      const member = await organizationService.addMember('org-1', { email: 'new@example.com', role: 'editor' }, 'user-1');
+
+      expect(models.OrganizationMembership.create).toHaveBeenCalledWith({
+        organizationId: 'org-1',
+        userId: 'user-2',
+        role: 'editor',
+        invitedBy: 'user-1'
+      });
+      expect(member).toEqual(expect.objectContaining({ userId: 'user-2', email: 'new@example.com', role: 'editor' }));
+    });
+
+    it('should only let owners add owners', async () => {
+      models.OrganizationMembership.findOne.mockResolvedValue(buildMembership({ role: 'admin' }));
+
+      await expect(organizationService.addMember('org-1', { email: 'new@example.com', role: 'owner' }, 'user-1'))
+        .rejects.toThrow('Organization role owner or higher is required');
+    });
+
+    it('should reject unknown roles', async () => {
+      models.OrganizationMembership.findOne.mockResolvedValue(buildMembership());
+
+      await expect(organizationService.addMember('org-1', { email: 'new@example.com', role: 'superuser' }, 'user-1'))
+        .rejects.toThrow('Invalid organization role: superuser');
+    });
+
+    it('should reject existing members', async () => {
+      models.OrganizationMembership.findOne.mockResolvedValue(buildMembership());
+      models.User.findOne.mockResolvedValue({ id: 'user-2' });
+      models.OrganizationMembership.findMembership.mockResolvedValue(buildMembership({ userId: 'user-2' }));
+
+      await expect(organizationService.addMember('org-1', { email: 'new@example.com' }, 'user-1'))
+        .rejects.toThrow('User is already a member of this organization');
+    });
+  });
+
+  describe('updateMemberRole', () => {
+    it('should not demote the last owner', async () => {
+      models.OrganizationMembership.findOne.mockResolvedValue(buildMembership());
+      models.OrganizationMembership.findMembership.mockResolvedValue(buildMembership());
+      models.OrganizationMembership.count.mockResolvedValue(1);
+
+      await expect(organizationService.updateMemberRole('org-1', 'user-1', 'admin', 'user-1'))
+        .rejects.toThrow('An organization must keep at least one owner');
+    });
+  });
+
+  describe('removeMember', () => {
+    it('should let members leave and reset their active organization', async () => {
+      const membership = buildMembership({ userId: 'user-2', role: 'viewer' });
+      models.OrganizationMembership.findOne.mockResolvedValue(membership);
+      models.OrganizationMembership.findMembership.mockResolvedValue(membership);
+
+      await organizationService.removeMember('org-1', 'user-2', 'user-2');
+
+      expect(membership.destroy).toHaveBeenCalled();
+      expect(models.User.update).toHaveBeenCalledWith(
+        { activeOrganizationId: null },
+        { where: { id: 'user-2', activeOrganizationId: 'org-1' } }
+      );
+    });
+
+    it('should require admin to remove someone else', async () => {
+      models.OrganizationMembership.findOne.mockResolvedValue(buildMembership({ role: 'editor' }));
+
+      await expect(organizationService.removeMember('org-1', 'user-2', 'user-1'))
+        .rejects.toThrow('Organization role admin or higher is required');
+    });
+  });
+
+  describe('resolveActiveOrganization', () => {
+    it('should use the personal workspace when no organization is active', async () => {
+      const organization = await organizationService.resolveActiveOrganization({ id: 'user-1', activeOrganizationId: null });
+
+      expect(organization).toBeNull();
+      expect(models.OrganizationMembership.findOne).not.toHaveBeenCalled();
+    });
+
+    it('should prefer the requested organization over the active one', async () => {
+      models.OrganizationMembership.findOne.mockResolvedValue(buildMembership({ organizationId: 'org-2', role: 'editor' }));
+
+      const organization = await organizationService.resolveActiveOrganization(
+        { id: 'user-1', activeOrganizationId: 'org-1' },
+        'org-2'
+      );
+
+      expect(models.OrganizationMembership.findOne).toHaveBeenCalledWith(expect.objectContaining({
+        where: { organizationId: 'org-2', userId: 'user-1' }
+      }));
+      expect(organization).toEqual({ id: 'org-2', role: 'editor' });
+    });
+
+    it('should reject a requested organization the user does not belong to', async () => {
+      models.OrganizationMembership.findOne.mockResolvedValue(null);
+
+      await expect(organizationService.resolveActiveOrganization({ id: 'user-1' }, 'org-2'))
+        .rejects.toThrow('Organization not found');
+    });
+
+    it('should fall back to the personal workspace after leaving the active organization', async () => {
+      models.OrganizationMembership.findOne.mockResolvedValue(null);
+
+      const organization = await organizationService.resolveActiveOrganization({ id: 'user-1', activeOrganizationId: 'org-1' });
+
+      expect(organization).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,133 @@
+const planService = require('../../../src/services/planService');
+const models = require('../../../src/models');
+
+jest.mock('../../../src/models', () => ({
+  Plan: {
+    findByName: jest.fn(),
+    findAll: jest.fn()
+  },
+  User: {
+    findByPk: jest.fn(),
+    update: jest.fn()
+  },
+  Organization: {
+    findByPk: jest.fn(),
+    update: jest.fn()
+  }
+}));
+
+const proPlan = {
+  id: 'plan-pro',
+  name: 'pro',
+  displayName: 'Pro',
+  dailyLimit: 500,
+  monthlyLimit: 10000,
+  concurrentLimit: 15,
+  queuePriority: 2,
+  maxSegments: 8,
+  maxBatchSize: 100,
+  watermarkRequired: false,
+  isActive: true
+};
+
+describe('PlanService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    models.Plan.findByName.mockResolvedValue(null);
+  });
+
+  describe('getPlan', () => {
+    it('should return the stored plan', async () => {
+      models.Plan.findByName.mockResolvedValue(proPlan);
+
+      const plan = await planService.getPlan('pro');
+
+      expect(plan).toEqual(expect.objectContaining({ id: 'plan-pro', name: 'pro', queuePriority: 2 }));
+      expect(plan).not.toHaveProperty('isActive');
+    });
+
+    it('should fall back to the built-in catalogue when plans are not seeded', async () => {
+      const plan = await planService.getDefaultPlan();
+
+      expect(plan).toEqual(expect.objectContaining({
+        id: null,
+        name: 'basic',
+        dailyLimit: 100,
+        monthlyLimit: 1000,
+        concurrentLimit: 5
+      }));
+    });
+
+    it('should return null for unknown plans', async () => {
+      expect(await planService.getPlan('unknown')).toBeNull();
+    });
+  });
+
+  describe('resolvePlan', () => {
+    it('should use the organization plan when acting in an organization', async () => {
+      models.Organization.findByPk.mockResolvedValue({ id: 'org-1', plan: proPlan });
+
+      const plan = await planService.resolvePlan({ userId: 'user-1', organizationId: 'org-1' });
+
+      expect(models.Organization.findByPk).toHaveBeenCalledWith('org-1', expect.any(Object));
+      expect(models.User.findByPk).not.toHaveBeenCalled();
+      expect(plan.name).toBe('pro');
+    });
+
+    it('should use the user plan in the personal workspace', async () => {
+      models.User.findByPk.mockResolvedValue({ id: 'user-1', plan: proPlan });
+
+      const plan = await planService.resolvePlan({ userId: 'user-1' });
+
+      expect(models.User.findByPk).toHaveBeenCalledWith('user-1', expect.any(Object));
+      expect(plan.name).toBe('pro');
+    });
+
+    it('should fall back to the default plan without an assigned plan', async () => {
+      models.User.findByPk.mockResolvedValue({ id: 'user-1', plan: null });
+
+      const plan = await planService.resolvePlan({ userId: 'user-1' });
+
+      expect(plan.name).toBe('basic');
+    });
+
+    it('should ignore deactivated plans', async () => {
+      models.User.findByPk.mockResolvedValue({ id: 'user-1', plan: { ...proPlan, isActive: false } });
+
+      const plan = await planService.resolvePlan({ userId: 'user-1' });
+
+      expect(plan.name).toBe('basic');
+    });
+
+    it('should use the default plan for requests without a user or organization', async () => {
+      const plan = await planService.resolvePlan({});
+
+      expect(models.User.findByPk).not.toHaveBeenCalled();
+      expect(models.Organization.findByPk).not.toHaveBeenCalled();
+      expect(plan.name).toBe('basic');
+    });
+  });
+
+  describe('assignPlan', () => {
+    it('should assign a plan to an organization', async () => {
+      models.Plan.findByName.mockResolvedValue(proPlan);
+      models.Organization.update.mockResolvedValue([1]);
+
+      const plan = await planService.assignPlan('organization', 'org-1', 'pro');
+
+      expect(models.Organization.update).toHaveBeenCalledWith({ planId: 'plan-pro' }, { where: { id: 'org-1' } });
+      expect(plan.name).toBe('pro');
+    });
+
+    it('should reject unknown plans', async () => {
+      await expect(planService.assignPlan('user', 'user-1', 'unknown')).rejects.toThrow('Plan not found');
+    });
+
+    it('should reject unknown users', async () => {
+      models.Plan.findByName.mockResolvedValue(proPlan);
+      models.User.update.mockResolvedValue([0]);
+
+      await expect(planService.assignPlan('user', 'user-1', 'pro')).rejects.toThrow('User not found');
+    });
+  });
+});
@@ -0,0 +1,207 @@
+const path = require('path');
+const fs = require('fs');
+const postProductionService = require('../../../src/services/postProductionService');
+const videoEditingService = require('../../../src/services/videoEditingService');
+const videoGenerationService = require('../../../src/services/videoGenerationService');
+
+jest.mock('fs', () => ({
+  existsSync: jest.fn(),
+  promises: {
+    mkdir: jest.fn(),
+    copyFile: jest.fn(),
+    rm: jest.fn()
+  }
+}));
+jest.mock('../../../src/services/videoEditingService', () => ({
+  getVideoInfo: jest.fn(),
+  mergeVideos: jest.fn(),
+  addTransitions: jest.fn(),
+  addCaptions: jest.fn(),
+  addBranding: jest.fn(),
+  addBackgroundMusic: jest.fn(),
+  addWatermark: jest.fn(),
+  escapeDrawText: jest.fn(text => text.replace(/:/g, '\\:'))
+}));
+jest.mock('../../../src/services/videoGenerationService', () => ({
+  downloadVideo: jest.fn()
+}));
+jest.mock('../../../src/utils/config', () => {
+  const values = { MUSIC_LIBRARY_DIR: '/music', WATERMARK_PATH: '', WATERMARK_TEXT: 'Made with UGC Ad Creator' };
+  const config = { get: jest.fn(key => values[key]) };
+  return { getConfig: () => config, values };
+});
+
+describe('PostProductionService', () => {
+  const { values } = require('../../../src/utils/config');
+  const videoSegments = [
+    { segmentKey: 'segment-1', videoFile: { uri: 'files/1' } },
+    { segmentKey: 'segment-2', videoFile: { uri: 'files/2' } }
+  ];
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    values.WATERMARK_PATH = '';
+    fs.existsSync.mockImplementation(trackPath => trackPath === path.resolve('/music', 'upbeat.mp3'));
+    fs.promises.rm.mockResolvedValue();
+    videoGenerationService.downloadVideo.mockImplementation(async (videoFile, downloadPath) => downloadPath);
+    videoEditingService.getVideoInfo.mockResolvedValue({ duration: 8, size: 1000, video: { width: 720, height: 1280 }, audio: { codec: 'aac' } });
+    videoEditingService.mergeVideos.mockImplementation(async (paths, outputPath) => outputPath);
+    videoEditingService.addTransitions.mockImplementation(async (paths, options, outputPath) => outputPath);
+    videoEditingService.addCaptions.mockImplementation(async (inputPath, captions, options, outputPath) => outputPath);
+    videoEditingService.addBranding.mockImplementation(async (inputPath, branding, outputPath) => outputPath);
+    videoEditingService.addBackgroundMusic.mockImplementation(async (inputPath, musicPath, options, outputPath) => outputPath);
+    videoEditingService.addWatermark.mockImplementation(async (inputPath, watermarkPath, options, outputPath) => outputPath);
+  });
+
+  describe('assemble', () => {
+    it('should join the segments with a plain cut by default', async () => {
+      const result = await postProductionService.assemble({ operationId: 'ugc_1', videoSegments });
+
+      expect(videoGenerationService.downloadVideo).toHaveBeenCalledWith({ uri: 'files/1' }, expect.stringMatching(/ugc_1[\\/]segment-1\.mp4$/));
+      expect(videoEditingService.mergeVideos).toHaveBeenCalledWith(
+        [expect.stringMatching(/segment-1\.mp4$/), expect.stringMatching(/segment-2\.mp4$/)],
+        expect.stringMatching(/joined\.mp4$/)
+      );
+      expect(videoEditingService.addTransitions).not.toHaveBeenCalled();
+      expect(fs.promises.copyFile).toHaveBeenCalledWith(expect.stringMatching(/joined\.mp4$/), expect.stringMatching(/ads[\\/]ugc_1\.mp4$/));
+      expect(result).toEqual(expect.objectContaining({
+        path: expect.stringMatching(/ugc_1\.mp4$/),
+        duration: 8,
+        width: 720,
+        segmentCount: 2,
+        transition: 'cut',
+        watermark: false
+      }));
+      expect(fs.promises.rm).toHaveBeenCalledWith(expect.stringMatching(/post-production[\\/]ugc_1$/), { recursive: true, force: true });
+    });
+
+    it('should apply the transition, captions, branding, music and watermark in order', async () => {
+      const result = await postProductionService.assemble({
+        operationId: 'ugc_1',
+        videoSegments,
+        watermark: true,
+        options: {
+          transition: { type: 'dissolve', duration: 1 },
+          captions: ['Meet your new routine', 'Download today'],
+          branding: { brandText: 'FitApp: Move', brandColor: '#FF0000' },
+          music: { track: 'upbeat', volume: 0.2 }
+        }
+      });
+
+      expect(videoEditingService.addTransitions).toHaveBeenCalledWith(expect.any(Array), {
+        type: 'dissolve',
+        duration: 1,
+        segmentDurations: [8, 8],
+        audio: true
+      }, expect.stringMatching(/joined\.mp4$/));
+      expect(videoEditingService.addCaptions).toHaveBeenCalledWith(expect.stringMatching(/joined\.mp4$/), [
+        { text: 'Meet your new routine', startTime: 0, duration: 7, position: 'bottom' },
+        { text: 'Download today', startTime: 7, duration: 7, position: 'bottom' }
+      ], {}, expect.stringMatching(/captioned\.mp4$/));
+      expect(videoEditingService.addBranding).toHaveBeenCalledWith(expect.stringMatching(/captioned\.mp4$/), {
+        brandText: 'FitApp\\: Move',
+        brandColor: '#FF0000'
+      }, expect.stringMatching(/branded\.mp4$/));
+      expect(videoEditingService.addBackgroundMusic).toHaveBeenCalledWith(
+        expect.stringMatching(/branded\.mp4$/),
+        path.resolve('/music', 'upbeat.mp3'),
+        { musicVolume: 0.2, fadeIn: true },
+        expect.stringMatching(/music\.mp4$/)
+      );
+
+      // Without a watermark image the watermark text is drawn
+      expect(videoEditingService.addCaptions).toHaveBeenLastCalledWith(
+        expect.stringMatching(/music\.mp4$/),
+        [{ text: 'Made with UGC Ad Creator', position: 'top' }],
+        expect.any(Object),
+        expect.stringMatching(/watermarked\.mp4$/)
+      );
+      expect(fs.promises.copyFile).toHaveBeenCalledWith(expect.stringMatching(/watermarked\.mp4$/), expect.any(String));
+      expect(result).toEqual(expect.objectContaining({
+        transition: 'dissolve',
+        captions: 2,
+        branding: true,
+        music: 'upbeat',
+        watermark: true
+      }));
+    });
+
+    it('should use the configured watermark image', async () => {
+      values.WATERMARK_PATH = '/assets/watermark.png';
+
+      await postProductionService.assemble({ operationId: 'ugc_1', videoSegments, watermark: true });
+
+      expect(videoEditingService.addWatermark).toHaveBeenCalledWith(
+        expect.stringMatching(/joined\.mp4$/),
+        '/assets/watermark.png',
+        expect.objectContaining({ position: 'top-right' }),
+        expect.stringMatching(/watermarked\.mp4$/)
+      );
+      expect(videoEditingService.addCaptions).not.toHaveBeenCalled();
+    });
+
+    it('should only crossfade audio when every segment has it', async () => {
+      videoEditingService.getVideoInfo.mockResolvedValueOnce({ duration: 8, audio: null });
+
+      await postProductionService.assemble({ operationId: 'ugc_1', videoSegments, options: { transition: 'fade' } });
+
+      expect(videoEditingService.addTransitions.mock.calls[0][1]).toEqual(expect.objectContaining({ type: 'fade', duration: 0.5, audio: false }));
+    });
+
+    it('should clean up and rethrow when an edit fails', async () => {
+      videoEditingService.mergeVideos.mockRejectedValue(new Error('Failed to merge videos: ffmpeg exited with code 1'));
+
+      await expect(postProductionService.assemble({ operationId: 'ugc_1', videoSegments }))
+        .rejects.toThrow('Failed to merge videos');
+
+      expect(fs.promises.rm).toHaveBeenCalled();
+      expect(fs.promises.copyFile).not.toHaveBeenCalled();
+    });
+
+    it('should reject segments without a video file', async () => {
+      await expect(postProductionService.assemble({ operationId: 'ugc_1', videoSegments: [{ segmentKey: 'segment-1' }] }))
+        .rejects.toThrow('Video file missing for segment-1');
+      await expect(postProductionService.assemble({ operationId: 'ugc_1', videoSegments: [] }))
+        .rejects.toThrow('No video segments to assemble');
+    });
+  });
+
+  describe('validateOptions', () => {
+    it('should accept valid post-production options', () => {
+      expect(postProductionService.validateOptions({})).toBeNull();
+      expect(postProductionService.validateOptions({
+        transition: 'fade',
+        captions: ['One', { text: 'Two', startTime: 3, position: 'top' }],
+        branding: { brandText: 'FitApp', brandColor: '#FFFFFF' },
+        music: 'upbeat'
+      })).toBeNull();
+    });
+
+    it('should reject invalid options', () => {
+      expect(postProductionService.validateOptions({ transition: 'spin' })).toMatch(/transition must be one of/);
+      expect(postProductionService.validateOptions({ transition: { type: 'fade', duration: 5 } })).toMatch(/between 0.2 and 2/);
+      expect(postProductionService.validateOptions({ captions: [] })).toMatch(/non-empty array/);
+      expect(postProductionService.validateOptions({ captions: [{ text: 'x', position: 'left' }] })).toMatch(/Each caption/);
+      expect(postProductionService.validateOptions({ branding: { brandColor: '#FFFFFF' } })).toMatch(/brandText is required/);
+      expect(postProductionService.validateOptions({ music: { track: 'missing' } })).toBe('Unknown music track: missing');
+    });
+  });
+
+  describe('resolveMusicTrack', () => {
+    it('should only resolve track names inside the music library', () => {
+      expect(postProductionService.resolveMusicTrack('upbeat')).toBe(path.resolve('/music', 'upbeat.mp3'));
+      expect(postProductionService.resolveMusicTrack('../upbeat')).toBeNull();
+      expect(postProductionService.resolveMusicTrack('/etc/passwd')).toBeNull();
+      expect(fs.existsSync).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('buildCaptions', () => {
+    it('should ignore captions beyond the last segment', () => {
+      expect(postProductionService.buildCaptions(['One', 'Two', 'Three'], [8, 8], null)).toEqual([
+        { text: 'One', startTime: 0, duration: 8, position: 'bottom' },
+        { text: 'Two', startTime: 8, duration: 8, position: 'bottom' }
+      ]);
+    });
+  });
+});
@@ -0,0 +1,311 @@
+const providerCostService = require('../../../src/services/providerCostService');
+const models = require('../../../src/models');
+const { getConfig } = require('../../../src/utils/config');
+
+jest.mock('../../../src/models', () => ({
+  sequelize: {
+    fn: jest.fn((name, ...args) => ({ fn: name, args })),
+    col: jest.fn(name => ({ col: name })),
+    literal: jest.fn(value => ({ literal: value }))
+  },
+  ProviderCall: {
+    create: jest.fn(),
+    findAll: jest.fn()
+  }
+}));
+jest.mock('../../../src/utils/config', () => {
+  const config = { getProviderPrices: jest.fn(() => ({})) };
+  return { getConfig: () => config };
+});
+
+describe('ProviderCostService', () => {
+  const context = {
+    operationId: 'ugc_1',
+    batchId: 'batch_1',
+    apiKeyId: 'key-1',
+    userId: 'user-1',
+    organizationId: 'org-1'
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    getConfig().getProviderPrices.mockReturnValue({});
+    models.ProviderCall.create.mockImplementation(async data => data);
+  });
+
+  describe('calculateCost', () => {
+    it('should price token usage per million tokens', () => {
+      expect(providerCostService.calculateCost('gpt-5', 1000, 500)).toEqual({
+        unit: 'token',
+        cost: 0.00625 // 1000 * 1.25 / 1M + 500 * 10 / 1M
+      });
+    });
+
+    it('should price Veo video per second', () => {
+      expect(providerCostService.calculateCost('veo-3.0-generate-preview', 0, 8)).toEqual({
+        unit: 'second',
+        cost: 6
+      });
+    });
+
+    it('should apply configured price overrides', () => {
+      getConfig().getProviderPrices.mockReturnValue({
+        'veo-3.0-generate-preview': { unit: 'second', per: 1, input: 0, output: 0.5 }
+      });
+
+      expect(providerCostService.calculateCost('veo-3.0-generate-preview', 0, 8).cost).toBe(4);
+    });
+
+    it('should return a null cost for models without a price', () => {
+      expect(providerCostService.calculateCost('unknown-model', 100, 100)).toEqual({ unit: null, cost: null });
+    });
+  });
+
+  describe('recordCall', () => {
+    it('should record a priced call against the operation context', async () => {
+      await providerCostService.recordCall({
+        context,
+        provider: 'openai',
+        service: 'script_generation',
+        model: 'gpt-5',
+        inputUnits: 2000,
+        outputUnits: 400,
+        latencyMs: 1500
+      });
+
+      expect(models.ProviderCall.create).toHaveBeenCalledWith(expect.objectContaining({
+        operationId: 'ugc_1',
+        batchId: 'batch_1',
+        apiKeyId: 'key-1',
+        userId: 'user-1',
+        organizationId: 'org-1',
+        provider: 'openai',
+        unit: 'token',
+        inputUnits: 2000,
+        outputUnits: 400,
+        latencyMs: 1500,
+        cacheHit: false,
+        status: 'success',
+        cost: 0.0065
+      }));
+    });
+
+    it('should record cache hits at no cost', async () => {
+      await providerCostService.recordCall({
+        context,
+        provider: 'gemini',
+        service: 'image_analysis',
+        model: 'gemini-2.5-flash-image-preview',
+        cacheHit: true
+      });
+
+      expect(models.ProviderCall.create).toHaveBeenCalledWith(expect.objectContaining({
+        cacheHit: true,
+        unit: 'token',
+        cost: 0
+      }));
+    });
+
+    it('should record failed calls with their error', async () => {
+      await providerCostService.recordCall({
+        context: null,
+        provider: 'veo',
+        service: 'video_generation',
+        model: 'veo-3.0-generate-preview',
+        error: new Error('Quota exceeded')
+      });
+
+      expect(models.ProviderCall.create).toHaveBeenCalledWith(expect.objectContaining({
+        operationId: null,
+        status: 'error',
+        errorMessage: 'Quota exceeded',
+        cost: 0
+      }));
+    });
+
+    it('should not throw when recording fails', async () => {
+      models.ProviderCall.create.mockRejectedValue(new Error('Database unavailable'));
+      const consoleSpy = jest.spyOn(console, 'error').mockImplementation();
+
+      const result = await providerCostService.recordCall({
+        context,
+        provider: 'openai',
+        service: 'script_generation',
+        model: 'gpt-5'
+      });
+
+      expect(result).toBeNull();
+      consoleSpy.mockRestore();
+    });
+  });
+
+  describe('estimateGenerationCost', () => {
+    it('should estimate each stage from the brief, images and segments', () => {
+      const estimate = providerCostService.estimateGenerationCost({
+        creativeBrief: 'a'.repeat(400),
+        imageCount: 2,
+        options: { segments: 2 }
+      });
+
+      expect(estimate.segments).toBe(2);
+      expect(estimate.videoSeconds).toBe(16);
+      expect(estimate.breakdown.videoGeneration).toBe(12);
+      expect(estimate.breakdown.imageAnalysis).toBeGreaterThan(0);
+      expect(estimate.breakdown.scriptGeneration).toBeGreaterThan(0);
+      expect(estimate.totalCost).toBe(providerCostService.roundCost(
+        estimate.breakdown.imageAnalysis + estimate.breakdown.scriptGeneration + 12
+      ));
+    });
+
+    it('should price video with the fast model when asked', () => {
+      const estimate = providerCostService.estimateGenerationCost({
+        creativeBrief: 'Brief',
+        imageCount: 1,
+        options: { segments: 1, useFastModel: true }
+      });
+
+      expect(estimate.breakdown.videoGeneration).toBeLessThan(6);
+    });
+
+    it('should price the seconds of a target duration', () => {
+      const estimate = providerCostService.estimateGenerationCost({
+        creativeBrief: 'Brief',
+        imageCount: 1,
+        options: { targetDuration: 30 }
+      });
+
+      expect(estimate.segments).toBe(4);
+      expect(estimate.videoSeconds).toBe(30);
+    });
+
+    it('should price script variants without video', () => {
+      const single = providerCostService.estimateGenerationCost({ creativeBrief: 'Brief', imageCount: 1, options: {} });
+      const estimate = providerCostService.estimateGenerationCost({
+        creativeBrief: 'Brief',
+        imageCount: 1,
+        options: { variants: 3 }
+      });
+
+      expect(estimate.breakdown.videoGeneration).toBe(0);
+      expect(estimate.breakdown.scriptGeneration).toBeGreaterThan(single.breakdown.scriptGeneration);
+    });
+  });
+
+  describe('getOperationContext', () => {
+    it('should build the context from an operation', () => {
+      expect(providerCostService.getOperationContext({
+        operationId: 'batch_1_op_1',
+        apiKeyId: 'key-1',
+        userId: null,
+        organizationId: 'org-1',
+        metadata: { batchId: 'batch_1' }
+      })).toEqual({
+        operationId: 'batch_1_op_1',
+        batchId: 'batch_1',
+        apiKeyId: 'key-1',
+        userId: null,
+        organizationId: 'org-1'
+      });
+    });
+  });
+
+  describe('summarizeCalls', () => {
+    it('should total costs by service and provider', () => {
+      const summary = providerCostService.summarizeCalls([
+        { provider: 'gemini', service: 'image_analysis', cost: '0.000600', cacheHit: false, status: 'success' },
+        { provider: 'gemini', service: 'image_analysis', cost: '0.000000', cacheHit: true, status: 'success' },
+        { provider: 'openai', service: 'script_generation', cost: '0.006500', cacheHit: false, status: 'success' },
+        { provider: 'veo', service: 'video_generation', cost: '12.000000', cacheHit: false, status: 'success' },
+        { provider: 'veo', service: 'video_generation', cost: null, cacheHit: false, status: 'error' }
+      ]);
+
+      expect(summary).toEqual({
+        totalCost: 12.0071,
+        callCount: 5,
+        cacheHits: 1,
+        failedCalls: 1,
+        unpricedCalls: 1,
+        byService: { image_analysis: 0.0006, script_generation: 0.0065, video_generation: 12 },
+        byProvider: { gemini: 0.0006, openai: 0.0065, veo: 12 },
+        cacheHitRate: 20
+      });
+    });
+
+    it('should handle no calls', () => {
+      expect(providerCostService.summarizeCalls([])).toEqual(expect.objectContaining({
+        totalCost: 0,
+        callCount: 0,
+        cacheHitRate: 0
+      }));
+    });
+  });
+
+  describe('getOperationCosts', () => {
+    it('should return the operation\'s calls with a summary', async () => {
+      models.ProviderCall.findAll.mockResolvedValue([
+        { provider: 'openai', service: 'script_generation', model: 'gpt-5', cost: '0.006500', cacheHit: false, status: 'success' }
+      ]);
+
+      const costs = await providerCostService.getOperationCosts('ugc_1');
+
+      expect(models.ProviderCall.findAll).toHaveBeenCalledWith(expect.objectContaining({ where: { operationId: 'ugc_1' } }));
+      expect(costs.totalCost).toBe(0.0065);
+      expect(costs.calls).toHaveLength(1);
+      expect(costs.calls[0]).toEqual(expect.objectContaining({ provider: 'openai', cost: 0.0065 }));
+    });
+  });
+
+  describe('getBatchCosts', () => {
+    it('should summarize the batch\'s calls with the cost of each operation', async () => {
+      models.ProviderCall.findAll.mockResolvedValue([
+        { operationId: 'op1', provider: 'openai', service: 'script_generation', cost: '0.006500', cacheHit: false, status: 'success' },
+        { operationId: 'op1', provider: 'veo', service: 'video_generation', cost: '3.200000', cacheHit: false, status: 'success' },
+        { operationId: 'op2', provider: 'veo', service: 'video_generation', cost: null, cacheHit: false, status: 'failed' }
+      ]);
+
+      const costs = await providerCostService.getBatchCosts('batch_1');
+
+      expect(models.ProviderCall.findAll).toHaveBeenCalledWith(expect.objectContaining({ where: { batchId: 'batch_1' } }));
+      expect(costs.totalCost).toBe(3.2065);
+      expect(costs.byOperation).toEqual({ op1: 3.2065 });
+    });
+  });
+
+  describe('getSpendReport', () => {
+    it('should group spend and break it down by provider', async () => {
+      models.ProviderCall.findAll
+        .mockResolvedValueOnce([
+          { group: 'key-1', cost: '2.500000', calls: '6', cacheHits: '1', operations: '2' },
+          { group: 'key-2', cost: '8.000000', calls: '3', cacheHits: '0', operations: '1' }
+        ])
+        .mockResolvedValueOnce([
+          { group: 'key-1', provider: 'openai', cost: '0.500000' },
+          { group: 'key-1', provider: 'veo', cost: '2.000000' },
+          { group: 'key-2', provider: 'veo', cost: '8.000000' }
+        ]);
+
+      const report = await providerCostService.getSpendReport({ groupBy: 'key', provider: 'veo' });
+
+      expect(models.ProviderCall.findAll.mock.calls[0][0].where).toEqual({ provider: 'veo' });
+      expect(report).toEqual([
+        { key: 'key-2', totalCost: 8, calls: 3, cacheHits: 0, operations: 1, byProvider: { veo: 8 } },
+        { key: 'key-1', totalCost: 2.5, calls: 6, cacheHits: 1, operations: 2, byProvider: { openai: 0.5, veo: 2 } }
+      ]);
+    });
+
+    it('should key daily groups by date', async () => {
+      models.ProviderCall.findAll
+        .mockResolvedValueOnce([{ group: new Date('2025-09-10T00:00:00Z'), cost: '1.000000', calls: '2', cacheHits: '0', operations: '1' }])
+        .mockResolvedValueOnce([]);
+
+      const report = await providerCostService.getSpendReport({ groupBy: 'day' });
+
+      expect(report[0].day).toBe('2025-09-10');
+    });
+
+    it('should reject unknown groupings', async () => {
+      await expect(providerCostService.getSpendReport({ groupBy: 'model' }))
+        .rejects.toThrow('Invalid spend grouping: model');
+    });
+  });
+});
@@ -0,0 +1,142 @@
+const quotaService = require('../../../src/services/quotaService');
+const models = require('../../../src/models');
+const planService = require('../../../src/services/planService');
+
+jest.mock('../../../src/models', () => ({
+  sequelize: {
+    transaction: jest.fn(callback => callback({ id: 'transaction' })),
+    query: jest.fn()
+  },
+  UgcOperation: {
+    count: jest.fn()
+  }
+}));
+jest.mock('../../../src/services/planService', () => ({
+  resolvePlan: jest.fn()
+}));
+
+const plan = {
+  name: 'basic',
+  dailyLimit: 10,
+  monthlyLimit: 100,
+  concurrentLimit: 2
+};
+
+/**
+ * Make UgcOperation.count return daily, monthly and concurrent usage in order
+ */
+const mockUsage = (daily, monthly, concurrent) => {
+  models.UgcOperation.count
+    .mockResolvedValueOnce(daily)
+    .mockResolvedValueOnce(monthly)
+    .mockResolvedValueOnce(concurrent);
+};
+
+describe('QuotaService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    planService.resolvePlan.mockResolvedValue(plan);
+  });
+
+  describe('getScope', () => {
+    it('should charge the organization when acting in one', () => {
+      expect(quotaService.getScope({ userId: 'user-1', apiKeyId: null, organizationId: 'org-1' }))
+        .toEqual({ key: 'org:org-1', where: { organizationId: 'org-1' } });
+    });
+
+    it('should charge the user in their personal workspace', () => {
+      expect(quotaService.getScope({ userId: 'user-1', apiKeyId: null, organizationId: null }))
+        .toEqual({ key: 'user:user-1', where: { userId: 'user-1', organizationId: null } });
+    });
+
+    it('should charge the API key for key-only callers', () => {
+      expect(quotaService.getScope({ userId: null, apiKeyId: 'key-1', organizationId: null }))
+        .toEqual({ key: 'apikey:key-1', where: { apiKeyId: 'key-1' } });
+    });
+
+    it('should return null for anonymous callers', () => {
+      expect(quotaService.getScope({})).toBeNull();
+    });
+  });
+
+  describe('getQuotaStatus', () => {
+    it('should report usage against the plan limits', async () => {
+      mockUsage(4, 40, 1);
+
+      const status = await quotaService.getQuotaStatus({ apiKeyId: 'key-1' });
+
+      expect(planService.resolvePlan).toHaveBeenCalledWith({ apiKeyId: 'key-1' });
+      expect(models.UgcOperation.count).toHaveBeenCalledWith(expect.objectContaining({
+        where: expect.objectContaining({ apiKeyId: 'key-1' })
+      }));
+      expect(status.daily).toEqual(expect.objectContaining({ used: 4, limit: 10, remaining: 6, exceeded: false }));
+      expect(status.monthly).toEqual(expect.objectContaining({ used: 40, limit: 100, remaining: 60 }));
+      expect(status.concurrent).toEqual({ used: 1, limit: 2, remaining: 1, exceeded: false });
+      expect(status.daily.resetTime).toEqual(expect.any(String));
+    });
+  });
+
+  describe('findViolation', () => {
+    const status = (daily, monthly, concurrent) => ({
+      daily: quotaService.buildUsage(daily, 10),
+      monthly: quotaService.buildUsage(monthly, 100),
+      concurrent: quotaService.buildUsage(concurrent, 2)
+    });
+
+    it('should allow requests that fit', () => {
+      expect(quotaService.findViolation(status(4, 40, 1), 6)).toBeNull();
+    });
+
+    it('should reject requests that would exceed the daily quota', () => {
+      expect(quotaService.findViolation(status(4, 40, 1), 7).code).toBe('DAILY_QUOTA_EXCEEDED');
+    });
+
+    it('should reject requests that would exceed the monthly quota', () => {
+      expect(quotaService.findViolation(status(0, 99, 0), 2).code).toBe('MONTHLY_QUOTA_EXCEEDED');
+    });
+
+    it('should reject requests when no concurrent slot is free', () => {
+      expect(quotaService.findViolation(status(0, 0, 2), 1).code).toBe('CONCURRENT_LIMIT_EXCEEDED');
+    });
+  });
+
+  describe('reserve', () => {
+    it('should lock the principal and create inside the transaction', async () => {
+      mockUsage(0, 0, 0);
+      const create = jest.fn().mockResolvedValue('created');
+
+      const result = await quotaService.reserve({ userId: 'user-1' }, 3, create, { plan });
+
+      expect(models.sequelize.query).toHaveBeenCalledWith(
+        'SELECT pg_advisory_xact_lock(hashtext(:key))',
+        { replacements: { key: 'quota:user:user-1' }, transaction: { id: 'transaction' } }
+      );
+      expect(create).toHaveBeenCalledWith({ id: 'transaction' });
+      expect(result).toBe('created');
+    });
+
+    it('should reject a batch that does not fit and create nothing', async () => {
+      mockUsage(8, 8, 0);
+      const create = jest.fn();
+
+      const error = await quotaService.reserve({ apiKeyId: 'key-1' }, 3, create, { plan }).catch(err => err);
+
+      expect(error).toBeInstanceOf(quotaService.QuotaExceededError);
+      expect(error.statusCode).toBe(429);
+      expect(error.code).toBe('DAILY_QUOTA_EXCEEDED');
+      expect(error.requested).toBe(3);
+      expect(error.quotaStatus.daily.remaining).toBe(2);
+      expect(create).not.toHaveBeenCalled();
+    });
+
+    it('should not check quotas for anonymous requests', async () => {
+      const create = jest.fn().mockResolvedValue('created');
+
+      await quotaService.reserve({}, 1, create);
+
+      expect(models.sequelize.query).not.toHaveBeenCalled();
+      expect(models.UgcOperation.count).not.toHaveBeenCalled();
+      expect(create).toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,118 @@
+const quoteService = require('../../../src/services/quoteService');
+const providerCostService = require('../../../src/services/providerCostService');
+const creditService = require('../../../src/services/creditService');
+const spendCapService = require('../../../src/services/spendCapService');
+const batchService = require('../../../src/services/batchService');
+
+jest.mock('../../../src/services/providerCostService', () => ({
+  estimateGenerationCost: jest.fn(),
+  roundCost: jest.fn(cost => Math.round(cost * 1e6) / 1e6)
+}));
+jest.mock('../../../src/services/creditService', () => ({
+  estimateCost: jest.fn(() => 5)
+}));
+jest.mock('../../../src/services/spendCapService', () => ({
+  getSpendStatus: jest.fn(),
+  findViolation: jest.fn()
+}));
+jest.mock('../../../src/services/batchService', () => ({
+  estimateBatchDuration: jest.fn(() => 600)
+}));
+
+describe('QuoteService', () => {
+  const principal = { userId: null, apiKeyId: 'key-1', organizationId: null };
+  const spendStatus = [{
+    ownerType: 'api_key',
+    ownerId: 'key-1',
+    daily: { spent: 2, limit: 10, remaining: 8 },
+    monthly: { spent: 2, limit: null, remaining: null }
+  }];
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    spendCapService.getSpendStatus.mockResolvedValue(spendStatus);
+    spendCapService.findViolation.mockReturnValue(null);
+    providerCostService.estimateGenerationCost.mockReturnValue({
+      totalCost: 6.0124,
+      breakdown: { imageAnalysis: 0.0038, scriptGeneration: 0.0086, videoGeneration: 6 },
+      segments: 1,
+      videoSeconds: 8
+    });
+  });
+
+  describe('quoteGeneration', () => {
+    it('should quote cost, credits and duration', async () => {
+      const quote = await quoteService.quoteGeneration({
+        creativeBrief: 'Brief',
+        imageCount: 2,
+        options: { segments: 1 }
+      }, principal);
+
+      expect(providerCostService.estimateGenerationCost).toHaveBeenCalledWith({
+        creativeBrief: 'Brief',
+        imageCount: 2,
+        options: { segments: 1 }
+      });
+      expect(spendCapService.getSpendStatus).toHaveBeenCalledWith(principal);
+      expect(quote).toEqual({
+        estimatedCost: {
+          total: 6.0124,
+          currency: 'USD',
+          breakdown: { imageAnalysis: 0.0038, scriptGeneration: 0.0086, videoGeneration: 6 }
+        },
+        credits: 5,
+        estimatedDuration: 155,
+        segments: 1,
+        videoSeconds: 8,
+        maxCost: null,
+        withinMaxCost: true,
+        spendCaps: spendStatus,
+        withinSpendCaps: true
+      });
+    });
+
+    it('should flag quotes over maxCost or a spend cap', async () => {
+      spendCapService.findViolation.mockReturnValue({ period: 'daily' });
+
+      const quote = await quoteService.quoteGeneration({
+        creativeBrief: 'Brief',
+        imageCount: 2,
+        options: { maxCost: 5 }
+      }, principal);
+
+      expect(quote.maxCost).toBe(5);
+      expect(quote.withinMaxCost).toBe(false);
+      expect(quote.withinSpendCaps).toBe(false);
+    });
+  });
+
+  describe('quoteBatch', () => {
+    it('should quote each request and the batch total', async () => {
+      providerCostService.estimateGenerationCost
+        .mockReturnValueOnce({ totalCost: 6.0124, segments: 1 })
+        .mockReturnValueOnce({ totalCost: 12.0124, segments: 2 });
+
+      const requests = [
+        { creativeBrief: 'One', images: ['a.jpg', 'b.jpg'] },
+        { creativeBrief: 'Two', imageCount: '3', options: { segments: 2, maxCost: 10 } }
+      ];
+      const quote = await quoteService.quoteBatch({ requests, maxCost: 20 }, principal);
+
+      expect(providerCostService.estimateGenerationCost).toHaveBeenNthCalledWith(1, expect.objectContaining({ imageCount: 2 }));
+      expect(providerCostService.estimateGenerationCost).toHaveBeenNthCalledWith(2, expect.objectContaining({ imageCount: 3 }));
+      expect(spendCapService.findViolation).toHaveBeenCalledWith(spendStatus, 18.0248);
+      expect(batchService.estimateBatchDuration).toHaveBeenCalledWith(requests);
+      expect(quote).toEqual(expect.objectContaining({
+        totalRequests: 2,
+        estimatedCost: { total: 18.0248, currency: 'USD' },
+        credits: 10,
+        estimatedDuration: 600,
+        maxCost: 20,
+        withinSpendCaps: true
+      }));
+      expect(quote.requests[1]).toEqual(expect.objectContaining({ index: 1, maxCost: 10, withinMaxCost: false }));
+      // The batch total fits its maxCost but the second request does not fit its own
+      expect(quote.withinMaxCost).toBe(false);
+    });
+  });
+});
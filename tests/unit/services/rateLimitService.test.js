@@ -0,0 +1,204 @@
+const rateLimitService = require('../../../src/services/rateLimitService');
+const cacheService = require('../../../src/services/cacheService');
+
+jest.mock('../../../src/services/cacheService', () => ({
+  config: { keyPrefix: 'ugc-api:' },
+  isConnected: true,
+  client: {
+    eval: jest.fn(),
+    get: jest.fn(),
+    zRangeByScoreWithScores: jest.fn()
+  }
+}));
+
+describe('RateLimitService', () => {
+  const limits = {
+    windowMs: 60000,
+    maxRequests: 5,
+    maxDailyRequests: 10
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    cacheService.isConnected = true;
+  });
+
+  describe('consume', () => {
+    it('should run the sliding window script against the principal keys', async () => {
+      const now = Date.now();
+      cacheService.client.eval.mockResolvedValue([1, 1000, 1000, now]);
+
+      const result = await rateLimitService.consume('apikey:key-id', limits);
+
+      const [script, options] = cacheService.client.eval.mock.calls[0];
+      expect(script).toContain('ZREMRANGEBYSCORE');
+      expect(options.keys[0]).toBe('ugc-api:ratelimit:apikey:key-id:window-units');
+      expect(options.keys[1]).toMatch(/^ugc-api:ratelimit:apikey:key-id:daily-units:/);
+      expect(options.arguments.slice(1, 4)).toEqual(['60000', '5000', '10000']);
+      expect(options.arguments[5]).toMatch(/:1000$/);
+      expect(options.arguments[6]).toBe('1000');
+      options.arguments.forEach(arg => expect(typeof arg).toBe('string'));
+
+      expect(result.allowed).toBe(true);
+      expect(result.cost).toBe(1);
+      expect(result.limit).toBe(5);
+      expect(result.remaining).toBe(4);
+      expect(result.dailyLimit).toBe(10);
+      expect(result.dailyRemaining).toBe(9);
+      expect(result.resetTime).toBe(now + 60000);
+    });
+
+    it('should charge fractional costs in milliunits', async () => {
+      cacheService.client.eval.mockResolvedValue([1, 1100, 1100, Date.now()]);
+
+      const result = await rateLimitService.consume('user:user-id', limits, 0.1);
+
+      const [, options] = cacheService.client.eval.mock.calls[0];
+      expect(options.arguments[6]).toBe('100');
+      expect(result.cost).toBe(0.1);
+      expect(result.remaining).toBe(3.9);
+      expect(result.dailyRemaining).toBe(8.9);
+    });
+
+    it('should reject requests costing more than the whole budget', async () => {
+      cacheService.client.eval.mockResolvedValue([0, 0, 0, Date.now()]);
+
+      const result = await rateLimitService.consume('user:user-id', limits, 6);
+
+      expect(result.allowed).toBe(false);
+      expect(result.reason).toBe('Request cost of 6 units exceeds the rate limit budget');
+    });
+
+    it('should reject when the window is full', async () => {
+      const oldest = Date.now() - 30000;
+      cacheService.client.eval.mockResolvedValue([0, 5000, 5000, oldest]);
+
+      const result = await rateLimitService.consume('user:user-id', limits);
+
+      expect(result.allowed).toBe(false);
+      expect(result.reason).toBe('Rate limit exceeded');
+      expect(result.remaining).toBe(0);
+      expect(result.resetTime).toBe(oldest + 60000);
+      expect(result.retryAfter).toBeGreaterThanOrEqual(29);
+      expect(result.retryAfter).toBeLessThanOrEqual(30);
+    });
+
+    it('should reject until midnight when the daily limit is reached', async () => {
+      cacheService.client.eval.mockResolvedValue([0, 0, 10000, Date.now()]);
+
+      const result = await rateLimitService.consume('user:user-id', limits);
+
+      expect(result.allowed).toBe(false);
+      expect(result.reason).toBe('Daily rate limit exceeded');
+      expect(result.dailyRemaining).toBe(0);
+      expect(result.resetTime).toBe(rateLimitService.getNextMidnight());
+    });
+
+    it('should apply default limits for missing settings', async () => {
+      cacheService.client.eval.mockResolvedValue([1, 1000, 1000, Date.now()]);
+
+      const result = await rateLimitService.consume('user:user-id', { maxRequests: 3 });
+
+      expect(result.limit).toBe(3);
+      expect(result.dailyLimit).toBe(rateLimitService.getDefaultLimits().maxDailyRequests);
+    });
+
+    it('should allow requests when Redis is unavailable', async () => {
+      cacheService.isConnected = false;
+
+      const result = await rateLimitService.consume('user:user-id', limits);
+
+      expect(result.allowed).toBe(true);
+      expect(result.degraded).toBe(true);
+      expect(cacheService.client.eval).not.toHaveBeenCalled();
+    });
+
+    it('should allow requests when the script fails', async () => {
+      cacheService.client.eval.mockRejectedValue(new Error('NOSCRIPT'));
+
+      const result = await rateLimitService.consume('user:user-id', limits);
+
+      expect(result.allowed).toBe(true);
+      expect(result.degraded).toBe(true);
+    });
+  });
+
+  describe('getStatus', () => {
+    it('should sum window units without recording a request', async () => {
+      const oldest = Date.now() - 10000;
+      cacheService.client.get.mockResolvedValue('4500');
+      cacheService.client.zRangeByScoreWithScores.mockResolvedValue([
+        { value: `${oldest}:abc:2000`, score: oldest },
+        { value: `${oldest + 1}:def:500`, score: oldest + 1 }
+      ]);
+
+      const result = await rateLimitService.getStatus('apikey:key-id', limits);
+
+      expect(cacheService.client.eval).not.toHaveBeenCalled();
+      expect(result.allowed).toBe(true);
+      expect(result.remaining).toBe(2.5);
+      expect(result.dailyRemaining).toBe(5.5);
+      expect(result.resetTime).toBe(oldest + 60000);
+    });
+  });
+
+  describe('getRequestCost', () => {
+    const buildRequest = (method, path, body = {}) => ({
+      method,
+      baseUrl: '',
+      route: { path },
+      body
+    });
+
+    it('should charge unlisted routes the default cost', () => {
+      expect(rateLimitService.getRequestCost(buildRequest('GET', '/api/v1/ugc/history'))).toBe(1);
+    });
+
+    it('should charge status polls a fraction of a unit', () => {
+      expect(rateLimitService.getRequestCost(buildRequest('GET', '/api/v1/ugc/status/:operationId'))).toBe(0.1);
+    });
+
+    it('should charge video generation per segment', () => {
+      expect(rateLimitService.getRequestCost(buildRequest('POST', '/api/v1/ugc/generate'))).toBe(2);
+      expect(rateLimitService.getRequestCost(buildRequest('POST', '/api/v1/ugc/generate', {
+        options: JSON.stringify({ segments: 4 })
+      }))).toBe(4);
+      expect(rateLimitService.getRequestCost(buildRequest('POST', '/api/v1/ugc/generate', {
+        options: JSON.stringify({ targetDuration: 45 })
+      }))).toBe(6);
+      expect(rateLimitService.getRequestCost(buildRequest('POST', '/api/v1/ugc/generate', {
+        options: JSON.stringify({ segments: '50000000' })
+      }))).toBe(12);
+    });
+
+    it('should charge batches per item, including multipart batch data', () => {
+      const requests = [{}, {}, {}];
+      expect(rateLimitService.getRequestCost(buildRequest('POST', '/api/v1/batch/generate', { requests }))).toBe(3);
+      expect(rateLimitService.getRequestCost(buildRequest('POST', '/api/v1/batch/generate-with-files', {
+        batchData: JSON.stringify({ requests })
+      }))).toBe(3);
+      expect(rateLimitService.getRequestCost(buildRequest('POST', '/api/v1/batch/generate-with-files'))).toBe(1);
+    });
+
+    it('should charge variant matrix batches per combination, up to the largest batch', () => {
+      const matrix = dimensions => ({ briefTemplate: 'Ad for {{audience}} in {{tone}}', dimensions });
+      expect(rateLimitService.getRequestCost(buildRequest('POST', '/api/v1/batch/generate', {
+        matrix: matrix({ audience: ['Moms', 'Students', 'Runners'], tone: ['Playful', 'Calm'] })
+      }))).toBe(6);
+      expect(rateLimitService.getRequestCost(buildRequest('POST', '/api/v1/batch/generate', {
+        matrix: matrix({ audience: Array(20).fill('Moms'), tone: Array(20).fill('Calm') })
+      }))).toBe(100);
+      expect(rateLimitService.getRequestCost(buildRequest('POST', '/api/v1/batch/generate', { matrix: { dimensions: 'none' } }))).toBe(1);
+    });
+
+    it('should charge generation from a stored operation one segment until its segments are known', () => {
+      const selectVariants = buildRequest('POST', '/api/v1/ugc/operations/:operationId/variants');
+      expect(rateLimitService.getRequestCost(selectVariants)).toBe(1);
+      expect(rateLimitService.getRequestCost(selectVariants, { segments: 6 })).toBe(6);
+      expect(rateLimitService.getRequestCost(
+        buildRequest('POST', '/api/v1/ugc/operations/:operationId/segments/:segmentKey/regenerate'),
+        { segments: 6 }
+      )).toBe(1);
+    });
+  });
+});
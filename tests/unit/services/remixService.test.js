@@ -0,0 +1,204 @@
+const remixService = require('../../../src/services/remixService');
+const operationService = require('../../../src/services/operationService');
+const quotaService = require('../../../src/services/quotaService');
+const creditService = require('../../../src/services/creditService');
+const providerCostService = require('../../../src/services/providerCostService');
+const spendCapService = require('../../../src/services/spendCapService');
+const jobManager = require('../../../src/jobs/jobManager');
+
+jest.mock('../../../src/services/operationService', () => ({
+  createOperation: jest.fn(),
+  updateOperationStatus: jest.fn(),
+  getInputImages: jest.fn(),
+  getLineage: jest.fn()
+}));
+jest.mock('../../../src/services/quotaService', () => ({
+  reserve: jest.fn()
+}));
+jest.mock('../../../src/services/creditService', () => ({
+  hold: jest.fn(),
+  refund: jest.fn(),
+  estimateCost: jest.fn(() => 20)
+}));
+jest.mock('../../../src/services/providerCostService', () => ({
+  estimateGenerationCost: jest.fn(),
+  roundCost: jest.fn(cost => Math.round(cost * 1e6) / 1e6)
+}));
+jest.mock('../../../src/services/spendCapService', () => ({
+  enforce: jest.fn(),
+  assertWithinMaxCost: jest.fn()
+}));
+jest.mock('../../../src/services/scriptGenerationService', () => ({
+  validateOptions: jest.fn(({ persona }) => (persona === '' ? 'persona must be a non-empty string of up to 300 characters' : null))
+}));
+jest.mock('../../../src/jobs/jobManager', () => ({
+  addGenerationFlow: jest.fn(),
+  getLastStage: jest.fn(() => null),
+  getWorkflowJobs: jest.fn((operationId, { fromStage }) => {
+    const stages = ['image_analysis', 'script_generation', 'video_generation', 'post_processing'];
+    return Object.fromEntries(stages.slice(stages.indexOf(fromStage)).map(stage => [stage, { jobId: `${operationId}-${stage}` }]));
+  })
+}));
+
+describe('RemixService', () => {
+  const plan = { name: 'pro', queuePriority: 2, watermarkRequired: false };
+  const images = [{ data: 'aW1hZ2U=', mimeType: 'image/jpeg', originalName: 'a.jpg' }];
+  const principal = { userId: null, apiKeyId: 'key-1', organizationId: null };
+  const imageAnalysis = { imageAnalysis: [{ objects: ['bottle'] }], completedAt: '2025-01-01T00:00:00.000Z' };
+  let parent;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    const script = { segments: { 'segment-1': 'Open', 'segment-2': 'Close' }, segmentDurations: [8, 8], model: 'gpt-5' };
+    parent = {
+      id: 'uuid-1',
+      operationId: 'op_1',
+      status: 'completed',
+      creativeBrief: 'Brief',
+      metadata: { options: { aspectRatio: '16:9', segments: 2, maxCost: 10 }, providedScript: null },
+      scriptContent: { ...script, segments: { 'segment-1': 'Edited open', 'segment-2': 'Close' }, lockedSegments: ['segment-1'], revision: 2 },
+      checkpoints: {
+        image_analysis: imageAnalysis,
+        script_generation: { script, completedAt: '2025-01-01T00:00:00.000Z' },
+        video_generation: { videoSegments: [], completedAt: '2025-01-01T00:00:00.000Z' }
+      }
+    };
+    operationService.getInputImages.mockResolvedValue(images);
+    operationService.getLineage.mockReturnValue(null);
+    operationService.createOperation.mockImplementation(async params => ({ ...params, operationId: 'op_2' }));
+    providerCostService.estimateGenerationCost.mockReturnValue({
+      breakdown: { imageAnalysis: 0.01, scriptGeneration: 0.02, videoGeneration: 6 }
+    });
+    quotaService.reserve.mockImplementation(async (owner, count, create) => create('transaction'));
+    creditService.hold.mockResolvedValue({ held: 20, balance: 80 });
+  });
+
+  describe('validateOverrides', () => {
+    it('should accept no overrides or valid ones', () => {
+      expect(remixService.validateOverrides({})).toBeNull();
+      expect(remixService.validateOverrides({ creativeBrief: 'Summer promo', aspectRatio: '9:16', persona: 'Surfer' })).toBeNull();
+    });
+
+    it('should reject empty briefs and scripts, unknown aspect ratios and invalid personas', () => {
+      expect(remixService.validateOverrides({ creativeBrief: ' ' })).toBe('creativeBrief must be a non-empty string');
+      expect(remixService.validateOverrides({ script: '' })).toBe('script must be a non-empty string of up to 5000 characters');
+      expect(remixService.validateOverrides({ aspectRatio: '4:3' })).toBe('aspectRatio must be one of: 16:9, 9:16, 1:1');
+      expect(remixService.validateOverrides({ persona: '' })).toBe('persona must be a non-empty string of up to 300 characters');
+    });
+  });
+
+  describe('remix', () => {
+    it('should only generate the video again when just the aspect ratio changes', async () => {
+      const result = await remixService.remix({ parent, overrides: { aspectRatio: '9:16', persona: undefined }, principal, plan });
+
+      const created = operationService.createOperation.mock.calls[0][0];
+      const script = { segments: { 'segment-1': 'Edited open', 'segment-2': 'Close' }, segmentDurations: [8, 8], model: 'gpt-5' };
+      expect(created).toEqual(expect.objectContaining({
+        creativeBrief: 'Brief',
+        apiKeyId: 'key-1',
+        parentOperationId: 'uuid-1',
+        inputImages: images,
+        scriptContent: script,
+        transaction: 'transaction'
+      }));
+      expect(created.checkpoints).toEqual({
+        image_analysis: imageAnalysis,
+        script_generation: { script, completedAt: expect.any(String) }
+      });
+      expect(created.metadata).toEqual(expect.objectContaining({
+        parentOperationId: 'op_1',
+        remix: { parentOperationId: 'op_1', rootOperationId: 'op_1', overrides: { aspectRatio: '9:16' }, reused: ['image_analysis', 'script_generation'] },
+        options: { aspectRatio: '9:16', segments: 2, maxCost: 10 },
+        estimatedCost: 6
+      }));
+      expect(spendCapService.assertWithinMaxCost).toHaveBeenCalledWith(6, 10);
+      expect(creditService.hold).toHaveBeenCalledWith(principal, [{ operationId: 'op_2', amount: 20 }], { transaction: 'transaction' });
+      expect(jobManager.addGenerationFlow).toHaveBeenCalledWith(
+        expect.objectContaining({ operationId: 'op_2', images, options: created.metadata.options, script: null }),
+        { source: 'api', fromStage: 'video_generation' }
+      );
+      expect(result).toEqual(expect.objectContaining({
+        fromStage: 'video_generation',
+        workflowJobs: { video_generation: expect.any(Object), post_processing: expect.any(Object) },
+        credits: { held: 20, balance: 80 },
+        estimatedCost: 6
+      }));
+    });
+
+    it('should write a new script from the cached analysis when the brief or persona changes', async () => {
+      const result = await remixService.remix({
+        parent,
+        overrides: { creativeBrief: 'Summer promo', persona: ' Surfer in her twenties ' },
+        principal,
+        plan
+      });
+
+      const created = operationService.createOperation.mock.calls[0][0];
+      expect(created.creativeBrief).toBe('Summer promo');
+      expect(created.scriptContent).toBeNull();
+      expect(created.checkpoints).toEqual({ image_analysis: imageAnalysis });
+      expect(created.metadata.options.persona).toBe('Surfer in her twenties');
+      expect(created.metadata.estimatedCost).toBe(6.02);
+      expect(result.fromStage).toBe('script_generation');
+    });
+
+    it('should keep the structured brief unless the creative brief is replaced', async () => {
+      parent.metadata.options.brief = { product: 'GlowUp serum' };
+
+      await remixService.remix({ parent, overrides: { aspectRatio: '1:1' }, principal, plan });
+      await remixService.remix({ parent, overrides: { creativeBrief: 'Summer promo' }, principal, plan });
+
+      expect(operationService.createOperation.mock.calls[0][0].metadata.options.brief).toEqual({ product: 'GlowUp serum' });
+      expect(operationService.createOperation.mock.calls[1][0].metadata.options).not.toHaveProperty('brief');
+    });
+
+    it('should start from the images when the parent has no analysis', async () => {
+      parent.checkpoints = {};
+
+      const result = await remixService.remix({ parent, overrides: { script: 'Person opens the box' }, principal, plan });
+
+      const created = operationService.createOperation.mock.calls[0][0];
+      expect(created.checkpoints).toEqual({});
+      expect(created.metadata).toEqual(expect.objectContaining({ providedScript: 'Person opens the box', hasProvidedScript: true }));
+      expect(result.fromStage).toBe('image_analysis');
+    });
+
+    it('should write the script again for a parent whose script was never approved', async () => {
+      parent.metadata.options = { requireApproval: true };
+
+      const result = await remixService.remix({ parent, overrides: {}, principal, plan });
+
+      expect(result.fromStage).toBe('script_generation');
+      expect(operationService.createOperation.mock.calls[0][0].metadata.options).toEqual({ requireApproval: true });
+    });
+
+    it('should keep the original operation of a chain of remixes', async () => {
+      operationService.getLineage.mockReturnValue({ parentOperationId: 'op_0', rootOperationId: 'op_root', relation: 'remix' });
+
+      await remixService.remix({ parent, overrides: {}, principal, plan });
+
+      expect(operationService.createOperation.mock.calls[0][0].metadata.remix.rootOperationId).toBe('op_root');
+    });
+
+    it('should refuse operations whose images were not kept', async () => {
+      operationService.getInputImages.mockResolvedValue(null);
+
+      await expect(remixService.remix({ parent, overrides: {}, principal, plan }))
+        .rejects.toMatchObject({ statusCode: 409, code: 'NO_INPUT_IMAGES' });
+      expect(quotaService.reserve).not.toHaveBeenCalled();
+    });
+
+    it('should fail the remix and refund its hold when it cannot be queued', async () => {
+      jobManager.addGenerationFlow.mockRejectedValue(new Error('Redis connection refused'));
+      const consoleSpy = jest.spyOn(console, 'error').mockImplementation();
+
+      await expect(remixService.remix({ parent, overrides: {}, principal, plan })).rejects.toThrow('Redis connection refused');
+
+      expect(operationService.updateOperationStatus).toHaveBeenCalledWith('op_2', 'failed', expect.objectContaining({
+        errorMessage: 'Redis connection refused'
+      }));
+      expect(creditService.refund).toHaveBeenCalledWith('op_2', 'failed');
+      consoleSpy.mockRestore();
+    });
+  });
+});
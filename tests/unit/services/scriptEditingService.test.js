@@ -0,0 +1,236 @@
+const scriptEditingService = require('../../../src/services/scriptEditingService');
+const operationService = require('../../../src/services/operationService');
+const scriptGenerationService = require('../../../src/services/scriptGenerationService');
+
+jest.mock('../../../src/services/operationService', () => ({
+  updateScript: jest.fn()
+}));
+jest.mock('../../../src/services/scriptGenerationService', () => ({
+  rewriteSegments: jest.fn(),
+  applyPersona: jest.fn((creativeBrief, persona) => (persona ? `${creativeBrief} / ${persona}` : creativeBrief))
+}));
+jest.mock('../../../src/services/providerCostService', () => ({
+  getOperationContext: jest.fn(operation => ({ operationId: operation.operationId }))
+}));
+
+describe('ScriptEditingService', () => {
+  const opening = 'Person unboxes the bottle and peels off the seal carefully';
+  const closing = 'Person pours a glass and raises it to the camera with a smile';
+  const editor = { userId: null, apiKeyId: 'key-1' };
+  let operation;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    operation = {
+      operationId: 'op_1',
+      status: 'completed',
+      creativeBrief: 'Brief',
+      metadata: {},
+      scriptContent: {
+        segments: { 'segment-1': opening, 'segment-2': closing },
+        segmentDurations: [8, 6],
+        timestamp: '2025-01-01T00:00:00.000Z'
+      },
+      checkpoints: {
+        image_analysis: { imageAnalysis: [{ objects: ['bottle'] }] },
+        script_generation: { script: { segments: { 'segment-1': opening, 'segment-2': closing }, segmentDurations: [8, 6] } },
+        video_generation: { videoSegments: [{ segmentKey: 'segment-1' }, { segmentKey: 'segment-2' }] }
+      }
+    };
+    // The stored operation is what the service reads back after saving
+    operationService.updateScript.mockImplementation(async (operationId, { scriptContent, metadata }) => ({
+      ...operation,
+      scriptContent,
+      metadata: { ...operation.metadata, ...metadata }
+    }));
+  });
+
+  describe('validateSegmentEdit', () => {
+    it('should accept text, a lock or both', () => {
+      expect(scriptEditingService.validateSegmentEdit({ text: opening })).toBeNull();
+      expect(scriptEditingService.validateSegmentEdit({ locked: true })).toBeNull();
+      expect(scriptEditingService.validateSegmentEdit({ text: opening, locked: false })).toBeNull();
+    });
+
+    it('should reject empty edits, unrealistic text and non-boolean locks', () => {
+      expect(scriptEditingService.validateSegmentEdit({})).toBe('Provide text, locked or both');
+      expect(scriptEditingService.validateSegmentEdit({ text: 'Too short' })).toBe('text must be a string of 20 to 500 characters');
+      expect(scriptEditingService.validateSegmentEdit({ text: 'x'.repeat(501) })).toBe('text must be a string of 20 to 500 characters');
+      expect(scriptEditingService.validateSegmentEdit({ locked: 'yes' })).toBe('locked must be a boolean');
+    });
+  });
+
+  describe('validateRewrite', () => {
+    it('should accept no instructions or non-empty instructions', () => {
+      expect(scriptEditingService.validateRewrite({})).toBeNull();
+      expect(scriptEditingService.validateRewrite({ instructions: 'Make it funnier' })).toBeNull();
+      expect(scriptEditingService.validateRewrite({ instructions: ' ' })).toBe('instructions must be a non-empty string of up to 1000 characters');
+    });
+  });
+
+  describe('getScript', () => {
+    it('should list each segment with its duration, lock and whether its video is stale', () => {
+      operation.scriptContent.segments['segment-2'] = 'Person pours a glass and toasts with friends on the terrace';
+      operation.scriptContent.lockedSegments = ['segment-1'];
+      operation.scriptContent.revision = 2;
+
+      expect(scriptEditingService.getScript(operation)).toEqual({
+        revision: 2,
+        segments: [
+          { segmentKey: 'segment-1', text: opening, duration: 8, locked: true, stale: false },
+          { segmentKey: 'segment-2', text: 'Person pours a glass and toasts with friends on the terrace', duration: 6, locked: false, stale: true }
+        ]
+      });
+    });
+
+    it('should return null for operations without a single script', () => {
+      expect(scriptEditingService.getScript({ scriptContent: null })).toBeNull();
+      expect(scriptEditingService.getScript({ scriptContent: { variants: [] } })).toBeNull();
+    });
+  });
+
+  describe('editSegment', () => {
+    it('should save the edit as a new revision with its diff', async () => {
+      const edited = 'Person pours a glass and toasts with friends on the terrace';
+
+      const result = await scriptEditingService.editSegment({
+        operation,
+        segmentKey: 'segment-2',
+        text: ` ${edited} `,
+        locked: true,
+        editedBy: editor
+      });
+
+      const changes = [
+        { segmentKey: 'segment-2', field: 'text', before: closing, after: edited },
+        { segmentKey: 'segment-2', field: 'locked', before: false, after: true }
+      ];
+      const [operationId, { scriptContent, metadata }] = operationService.updateScript.mock.calls[0];
+      expect(operationId).toBe('op_1');
+      expect(scriptContent).toEqual(expect.objectContaining({
+        segments: { 'segment-1': opening, 'segment-2': edited },
+        segmentDurations: [8, 6],
+        lockedSegments: ['segment-2'],
+        revision: 2
+      }));
+      expect(metadata.scriptRevisions).toEqual([
+        expect.objectContaining({ revision: 1, source: 'generated', segments: { 'segment-1': opening, 'segment-2': closing }, changes: [] }),
+        expect.objectContaining({ revision: 2, source: 'edit', changes, editedBy: editor, createdAt: expect.any(String) })
+      ]);
+      expect(result.revision).toBe(2);
+      expect(result.changes).toEqual(changes);
+      expect(result.script.segments[1]).toEqual(expect.objectContaining({ text: edited, locked: true, stale: true }));
+    });
+
+    it('should number revisions after the recorded ones', async () => {
+      operation.scriptContent.revision = 2;
+      operation.metadata.scriptRevisions = [{ revision: 1 }, { revision: 2 }];
+
+      const result = await scriptEditingService.editSegment({ operation, segmentKey: 'segment-1', locked: true, editedBy: editor });
+
+      expect(result.revision).toBe(3);
+      expect(result.changes).toEqual([{ segmentKey: 'segment-1', field: 'locked', before: false, after: true }]);
+      expect(operationService.updateScript.mock.calls[0][1].metadata.scriptRevisions).toHaveLength(3);
+    });
+
+    it('should record nothing for an edit that changes nothing', async () => {
+      const result = await scriptEditingService.editSegment({ operation, segmentKey: 'segment-1', text: opening, locked: false });
+
+      expect(operationService.updateScript).not.toHaveBeenCalled();
+      expect(result).toEqual(expect.objectContaining({ revision: 1, changes: [] }));
+    });
+
+    it('should refuse running operations, missing scripts and unknown segments', async () => {
+      await expect(scriptEditingService.editSegment({ operation: { ...operation, status: 'processing' }, segmentKey: 'segment-1', locked: true }))
+        .rejects.toMatchObject({ statusCode: 409, code: 'SCRIPT_NOT_EDITABLE' });
+      await expect(scriptEditingService.editSegment({ operation: { ...operation, scriptContent: { variants: [] } }, segmentKey: 'segment-1', locked: true }))
+        .rejects.toMatchObject({ statusCode: 404, code: 'NO_SCRIPT' });
+      await expect(scriptEditingService.editSegment({ operation, segmentKey: 'segment-9', locked: true }))
+        .rejects.toMatchObject({ statusCode: 404, code: 'SEGMENT_NOT_FOUND' });
+    });
+  });
+
+  describe('editSegments', () => {
+    it('should save several edits as one revision', async () => {
+      const edited = 'Person pours a glass and toasts with friends on the terrace';
+
+      const result = await scriptEditingService.editSegments({
+        operation,
+        segments: { 'segment-1': opening, 'segment-2': edited },
+        editedBy: editor,
+        source: 'approval'
+      });
+
+      const { metadata } = operationService.updateScript.mock.calls[0][1];
+      expect(metadata.scriptRevisions[1]).toEqual(expect.objectContaining({
+        revision: 2,
+        source: 'approval',
+        changes: [{ segmentKey: 'segment-2', field: 'text', before: closing, after: edited }]
+      }));
+      expect(result.scriptContent.segments).toEqual({ 'segment-1': opening, 'segment-2': edited });
+    });
+
+    it('should refuse unknown segments', async () => {
+      await expect(scriptEditingService.editSegments({ operation, segments: { 'segment-9': opening } }))
+        .rejects.toMatchObject({ statusCode: 404, code: 'SEGMENT_NOT_FOUND' });
+      expect(operationService.updateScript).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('rewriteUnlocked', () => {
+    const rewritten = 'Person swirls the glass, sniffs it and nods approvingly at the camera';
+
+    beforeEach(() => {
+      operation.scriptContent.lockedSegments = ['segment-1'];
+      scriptGenerationService.rewriteSegments.mockResolvedValue({
+        segments: { 'segment-1': opening, 'segment-2': rewritten },
+        model: 'gpt-5'
+      });
+    });
+
+    it('should rewrite the unlocked segments around the locked ones as a new revision', async () => {
+      const result = await scriptEditingService.rewriteUnlocked({ operation, instructions: 'More sensory', editedBy: editor });
+
+      expect(scriptGenerationService.rewriteSegments).toHaveBeenCalledWith(
+        'Brief',
+        [{ objects: ['bottle'] }],
+        operation.scriptContent,
+        ['segment-1'],
+        { operationId: 'op_1' },
+        'More sensory'
+      );
+      const { metadata } = operationService.updateScript.mock.calls[0][1];
+      expect(metadata.scriptRevisions[1]).toEqual(expect.objectContaining({
+        revision: 2,
+        source: 'rewrite',
+        instructions: 'More sensory',
+        model: 'gpt-5',
+        changes: [{ segmentKey: 'segment-2', field: 'text', before: closing, after: rewritten }]
+      }));
+      expect(result.revision).toBe(2);
+    });
+
+    it('should refuse scripts with every segment locked', async () => {
+      operation.scriptContent.lockedSegments = ['segment-1', 'segment-2'];
+
+      await expect(scriptEditingService.rewriteUnlocked({ operation }))
+        .rejects.toMatchObject({ statusCode: 409, code: 'NO_UNLOCKED_SEGMENTS' });
+      expect(scriptGenerationService.rewriteSegments).not.toHaveBeenCalled();
+    });
+
+    it('should refuse operations without image analysis', async () => {
+      delete operation.checkpoints.image_analysis;
+
+      await expect(scriptEditingService.rewriteUnlocked({ operation }))
+        .rejects.toMatchObject({ statusCode: 409, code: 'NO_IMAGE_ANALYSIS' });
+    });
+  });
+
+  describe('getRevisions', () => {
+    it('should start from the script as it was generated', () => {
+      expect(scriptEditingService.getRevisions(operation)).toEqual([
+        expect.objectContaining({ revision: 1, source: 'generated', createdAt: '2025-01-01T00:00:00.000Z' })
+      ]);
+    });
+  });
+});
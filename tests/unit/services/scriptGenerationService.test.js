@@ -1,14 +1,20 @@
 const nock = require('nock');
 const scriptGenerationService = require('../../../src/services/scriptGenerationService');
+const providerCostService = require('../../../src/services/providerCostService');
 
 // Mock config
 jest.mock('../../../src/utils/config', () => ({
   openaiApiKey: 'test-openai-key'
 }));
 
+jest.mock('../../../src/services/providerCostService', () => ({
+  recordCall: jest.fn().mockResolvedValue(null)
+}));
+
 describe('ScriptGenerationService', () => {
   beforeEach(() => {
     nock.cleanAll();
+    providerCostService.recordCall.mockClear();
   });
 
   afterEach(() => {
@@ -67,6 +73,51 @@ describe('ScriptGenerationService', () => {
       expect(result).toHaveProperty('model', 'gpt-5');
     });
 
+    it('should record the token usage of the OpenAI call against the operation', async () => {
+      const usageContext = { operationId: 'ugc_1', batchId: null, apiKeyId: 'key-1', userId: null, organizationId: null };
+
+      nock('https://api.openai.com')
+        .post('/v1/chat/completions')
+        .reply(200, { ...mockOpenAIResponse, usage: { prompt_tokens: 400, completion_tokens: 120 } });
+
+      await scriptGenerationService.generateScript(mockCreativeBrief, mockImageAnalysis, null, usageContext);
+
+      expect(providerCostService.recordCall).toHaveBeenCalledWith(expect.objectContaining({
+        context: usageContext,
+        provider: 'openai',
+        service: 'script_generation',
+        model: 'gpt-5',
+        inputUnits: 400,
+        outputUnits: 120,
+        latencyMs: expect.any(Number)
+      }));
+    });
+
+    it('should write one segment per requested duration', async () => {
+      const segments = {
+        'segment-1': 'Person unboxes the sleek smartphone outdoors, turning it over in the sunlight',
+        'segment-2': 'Person frames a shot of the park with the camera app open on the large screen',
+        'segment-3': 'Close-up of the captured photo, zooming into the crisp detail of the leaves',
+        'segment-4': 'Person smiles at the camera and holds the phone up next to their face'
+      };
+      let requestBody;
+
+      nock('https://api.openai.com')
+        .post('/v1/chat/completions', body => {
+          requestBody = body;
+          return true;
+        })
+        .reply(200, { ...mockOpenAIResponse, choices: [{ message: { content: JSON.stringify(segments) } }] });
+
+      const result = await scriptGenerationService.generateScript(mockCreativeBrief, mockImageAnalysis, null, null, [8, 8, 7, 7]);
+
+      expect(result).toEqual(expect.objectContaining({ ...segments, segmentDurations: [8, 8, 7, 7] }));
+      const prompt = requestBody.messages[1].content;
+      expect(prompt).toContain('Create a 4-segment video script for a 30 second UGC advertisement');
+      expect(prompt).toContain('- segment-4: 7 seconds');
+      expect(prompt).toContain('"segment-4"');
+    });
+
     it('should handle script refinement when optional script is provided', async () => {
       const optionalScript = 'Show the phone, then take a picture';
       
@@ -112,6 +163,12 @@ describe('ScriptGenerationService', () => {
       await expect(
         scriptGenerationService.generateScript(mockCreativeBrief, mockImageAnalysis)
       ).rejects.toThrow('Failed to generate script after 2 attempts');
+
+      expect(providerCostService.recordCall).toHaveBeenCalledTimes(2);
+      expect(providerCostService.recordCall).toHaveBeenCalledWith(expect.objectContaining({
+        provider: 'openai',
+        error: expect.any(Error)
+      }));
     });
 
     it('should handle network errors', async () => {
@@ -141,6 +198,168 @@ describe('ScriptGenerationService', () => {
     });
   });
 
+  describe('generateScriptVariants', () => {
+    const mockImageAnalysis = [{ imageIndex: 0, description: 'A person holding a smartphone', objects: ['smartphone'] }];
+    const variant = (angle, opening) => ({
+      angle,
+      hook: `${angle} hook`,
+      tone: 'casual',
+      cta: 'Shop now',
+      'segment-1': opening,
+      'segment-2': 'Person shows a photo taken with the phone camera and smiles at the sharp result on screen'
+    });
+    const reply = variants => ({
+      choices: [{ message: { content: JSON.stringify({ variants }) } }],
+      model: 'gpt-5',
+      usage: { total_tokens: 400 }
+    });
+
+    it('should write labelled variants with different angles in one call', async () => {
+      let payload;
+      nock('https://api.openai.com')
+        .post('/v1/chat/completions', body => {
+          payload = body;
+          return true;
+        })
+        .reply(200, reply([
+          variant('problem-solution', 'Person squints at a blurry photo on an old phone, then picks up the new smartphone'),
+          variant('social proof', 'Person scrolls through friends praising photos taken with the same smartphone model')
+        ]));
+
+      const result = await scriptGenerationService.generateScriptVariants('Brief', mockImageAnalysis, null, null, [8, 8], 2);
+
+      expect(payload.max_tokens).toBe(scriptGenerationService.maxTokens * 2);
+      expect(payload.messages[1].content).toContain('Write 2 distinct variants');
+      expect(result.variants.map(({ variantId, angle }) => ({ variantId, angle }))).toEqual([
+        { variantId: 'variant-1', angle: 'problem-solution' },
+        { variantId: 'variant-2', angle: 'social proof' }
+      ]);
+      expect(result.variants[0]).toEqual(expect.objectContaining({ hook: 'problem-solution hook', cta: 'Shop now' }));
+      expect(result.segmentDurations).toEqual([8, 8]);
+      expect(providerCostService.recordCall).toHaveBeenCalledTimes(1);
+    });
+
+    it('should retry when variants repeat an angle', async () => {
+      const sleepSpy = jest.spyOn(scriptGenerationService, 'sleep').mockResolvedValue();
+      nock('https://api.openai.com')
+        .post('/v1/chat/completions')
+        .times(2)
+        .reply(200, reply([
+          variant('Humor', 'Person pretends the smartphone is a fancy professional camera and poses dramatically'),
+          variant('humor', 'Person laughs while taking a goofy selfie with the smartphone outdoors in the park')
+        ]));
+
+      await expect(scriptGenerationService.generateScriptVariants('Brief', mockImageAnalysis, null, null, [8, 8], 2))
+        .rejects.toThrow('Failed to generate script variants after 2 attempts: Script variants must each take a different angle');
+      sleepSpy.mockRestore();
+    });
+  });
+
+  describe('rewriteSegments', () => {
+    const mockImageAnalysis = [{ imageIndex: 0, description: 'A person holding a smartphone', objects: ['smartphone'] }];
+    const script = {
+      segments: {
+        'segment-1': 'Person unboxes the smartphone and peels off the screen protector carefully',
+        'segment-2': 'Person takes a photo of the sunset and shows the vivid result to the camera',
+        'segment-3': 'Person holds the phone up to the camera and says it is their favourite yet'
+      },
+      segmentDurations: [8, 8, 8]
+    };
+    const reply = segments => ({
+      choices: [{ message: { content: JSON.stringify(segments) } }],
+      model: 'gpt-5',
+      usage: { total_tokens: 300 }
+    });
+
+    it('should rewrite only the unlocked segments around the locked ones', async () => {
+      let payload;
+      nock('https://api.openai.com')
+        .post('/v1/chat/completions', body => {
+          payload = body;
+          return true;
+        })
+        .reply(200, reply({
+          'segment-1': 'The model rewrote a locked segment although it was told to keep it as it is',
+          'segment-2': 'Person snaps a close-up of a flower, zooming in to show the crisp detail on screen'
+        }));
+
+      const result = await scriptGenerationService.rewriteSegments(
+        'Brief', mockImageAnalysis, script, ['segment-1', 'segment-3'], { operationId: 'ugc_1' }, 'Show more detail'
+      );
+
+      const prompt = payload.messages[1].content;
+      expect(prompt).toContain('TASK: Rewrite segment-2 of this 24 second UGC advertisement');
+      expect(prompt).toContain(`- segment-1 (8 seconds, LOCKED): ${script.segments['segment-1']}`);
+      expect(prompt).toContain('REVISION INSTRUCTIONS:\nShow more detail');
+      expect(result.segments).toEqual({
+        'segment-1': script.segments['segment-1'],
+        'segment-2': 'Person snaps a close-up of a flower, zooming in to show the crisp detail on screen',
+        'segment-3': script.segments['segment-3']
+      });
+      expect(result.model).toBe('gpt-5');
+      expect(providerCostService.recordCall).toHaveBeenCalledWith(expect.objectContaining({ context: { operationId: 'ugc_1' } }));
+    });
+
+    it('should retry when a rewritten segment is missing', async () => {
+      const sleepSpy = jest.spyOn(scriptGenerationService, 'sleep').mockResolvedValue();
+      nock('https://api.openai.com')
+        .post('/v1/chat/completions')
+        .times(2)
+        .reply(200, reply({ 'segment-1': 'Person waves at the camera holding the smartphone in the park' }));
+
+      await expect(scriptGenerationService.rewriteSegments('Brief', mockImageAnalysis, script, ['segment-1']))
+        .rejects.toThrow('Failed to rewrite script after 2 attempts: segment-2 is required and must be a string');
+      sleepSpy.mockRestore();
+    });
+
+    it('should refuse a script with every segment locked', async () => {
+      await expect(scriptGenerationService.rewriteSegments('Brief', mockImageAnalysis, script, Object.keys(script.segments)))
+        .rejects.toThrow('At least one segment must be unlocked to rewrite');
+    });
+  });
+
+  describe('validateVariantOutput', () => {
+    const segments = {
+      'segment-1': 'Person unboxes the smartphone and peels off the screen protector carefully',
+      'segment-2': 'Person takes a photo of the sunset and shows the vivid result to the camera'
+    };
+
+    it('should require the requested number of labelled variants', () => {
+      const variants = [{ variantId: 'variant-1', angle: 'unboxing', ...segments }];
+
+      expect(() => scriptGenerationService.validateVariantOutput({ variants }, [8, 8], 2))
+        .toThrow('Expected 2 script variants but received 1');
+      expect(() => scriptGenerationService.validateVariantOutput({ variants: [{ ...variants[0], angle: null }] }, [8, 8], 1))
+        .toThrow('variant-1 must be labelled with its angle');
+      expect(() => scriptGenerationService.validateVariantOutput({ variants: [{ ...variants[0], 'segment-2': undefined }] }, [8, 8], 1))
+        .toThrow('variant-1: segment-2 is required and must be a string');
+    });
+
+    it('should require each variant to open differently', () => {
+      const variants = [
+        { variantId: 'variant-1', angle: 'unboxing', ...segments },
+        { variantId: 'variant-2', angle: 'lifestyle', ...segments }
+      ];
+
+      expect(() => scriptGenerationService.validateVariantOutput({ variants }, [8, 8], 2))
+        .toThrow('Script variants must open differently from each other');
+    });
+  });
+
+  describe('validateOptions and applyPersona', () => {
+    it('should accept no persona or a non-empty persona', () => {
+      expect(scriptGenerationService.validateOptions({})).toBeNull();
+      expect(scriptGenerationService.validateOptions({ persona: 'Surfer in her twenties' })).toBeNull();
+      expect(scriptGenerationService.validateOptions({ persona: ' ' })).toBe('persona must be a non-empty string of up to 300 characters');
+      expect(scriptGenerationService.validateOptions({ persona: 'x'.repeat(301) })).toBe('persona must be a non-empty string of up to 300 characters');
+    });
+
+    it('should write the persona into the brief', () => {
+      expect(scriptGenerationService.applyPersona('Brief', null)).toBe('Brief');
+      expect(scriptGenerationService.applyPersona('Brief', ' Surfer in her twenties ')).toBe('Brief\n\nPRESENTER PERSONA:\nSurfer in her twenties');
+    });
+  });
+
   describe('buildPrompt', () => {
     const mockCreativeBrief = 'Test creative brief';
     const mockImageAnalysis = [
@@ -180,6 +399,46 @@ describe('ScriptGenerationService', () => {
       expect(prompt).toContain(optionalScript);
       expect(prompt).toContain('Apply your AI agent optimization now:');
     });
+
+    it('should write the structured brief and its rules into the prompt', () => {
+      const brief = {
+        product: 'GlowUp serum',
+        audience: 'Busy moms',
+        keyBenefits: ['Absorbs fast', 'Lasts all day'],
+        tone: 'playful',
+        cta: 'Shop now',
+        mandatoryClaims: ['Dermatologist tested'],
+        forbiddenWords: ['cure', 'miracle'],
+        locale: 'en-GB'
+      };
+
+      const prompt = scriptGenerationService.buildPrompt(mockCreativeBrief, mockImageAnalysis, null, [8, 8], brief);
+
+      expect(prompt).toContain(`CREATIVE BRIEF:\n${mockCreativeBrief}\n\nSTRUCTURED BRIEF:\n- Product: GlowUp serum\n- Audience: Busy moms\n- Key benefits: Absorbs fast; Lasts all day`);
+      expect(prompt).toContain('- Include each of these claims word for word: "Dermatologist tested"');
+      expect(prompt).toContain('- Never use these words: cure, miracle');
+      expect(prompt).toContain('- Keep a playful tone throughout');
+      expect(prompt).toContain('- End the last segment on the call to action: Shop now');
+      expect(prompt).toContain('- Write any spoken or on-screen words for the en-GB locale');
+      expect(prompt).not.toContain('- Mandatory claims:');
+      expect(prompt).toContain('Generate the script now:');
+    });
+
+    it('should leave the prompt as it was without a structured brief', () => {
+      const prompt = scriptGenerationService.buildPrompt(mockCreativeBrief, mockImageAnalysis, null, [8, 8]);
+
+      expect(prompt).toContain(`CREATIVE BRIEF:\n${mockCreativeBrief}\n\nAVAILABLE VISUAL ELEMENTS`);
+      expect(prompt).not.toContain('STRUCTURED BRIEF');
+    });
+  });
+
+  describe('describeBrief', () => {
+    it('should list the fields a brief has, one per line', () => {
+      expect(scriptGenerationService.describeBrief({ product: 'GlowUp serum', forbiddenWords: ['cure', 'miracle'] })).toEqual([
+        'Product: GlowUp serum',
+        'Forbidden words: cure, miracle'
+      ]);
+    });
   });
 
   describe('formatImageAnalysisForPrompt', () => {
@@ -269,7 +528,22 @@ describe('ScriptGenerationService', () => {
 
       expect(() => {
         scriptGenerationService.validateScriptOutput(invalidScript);
-      }).toThrow('segment-1 length is unrealistic for 7-8 second video content');
+      }).toThrow('segment-1 length is unrealistic for 8 second video content');
+    });
+
+    it('should require every planned segment', () => {
+      const script = {
+        'segment-1': 'This is a valid first segment description that is long enough',
+        'segment-2': 'This is a valid second segment description that is also long enough',
+        'segment-3': 'This is a valid third segment description that is also long enough'
+      };
+
+      expect(() => {
+        scriptGenerationService.validateScriptOutput(script, [5, 5, 5]);
+      }).not.toThrow();
+      expect(() => {
+        scriptGenerationService.validateScriptOutput(script, [8, 8, 8, 6]);
+      }).toThrow('segment-4 is required and must be a string');
     });
 
     it('should throw error for identical segments', () => {
@@ -342,6 +616,32 @@ describe('ScriptGenerationService', () => {
       expect(result).toHaveProperty('segment-2', 'Second segment content');
     });
 
+    it('should parse as many segments as are planned', () => {
+      const mockResponse = {
+        choices: [
+          {
+            message: {
+              content: JSON.stringify({
+                'segment-1': 'First segment content',
+                segment2: 'Second segment content',
+                segment_3: 'Third segment content'
+              })
+            }
+          }
+        ],
+        model: 'gpt-5'
+      };
+
+      const result = scriptGenerationService.parseScriptResponse(mockResponse, [5, 5, 5]);
+
+      expect(result).toEqual(expect.objectContaining({
+        'segment-1': 'First segment content',
+        'segment-2': 'Second segment content',
+        'segment-3': 'Third segment content',
+        segmentDurations: [5, 5, 5]
+      }));
+    });
+
     it('should throw error for invalid JSON', () => {
       const mockResponse = {
         choices: [
@@ -0,0 +1,90 @@
+const segmentPlanService = require('../../../src/services/segmentPlanService');
+
+describe('SegmentPlanService', () => {
+  describe('planSegments', () => {
+    it('should default to two 8 second segments', () => {
+      expect(segmentPlanService.planSegments({})).toEqual({ count: 2, durations: [8, 8], totalDuration: 16 });
+      expect(segmentPlanService.planSegments()).toEqual({ count: 2, durations: [8, 8], totalDuration: 16 });
+    });
+
+    it('should use the requested segment count and length', () => {
+      expect(segmentPlanService.planSegments({ segments: 3 })).toEqual({ count: 3, durations: [8, 8, 8], totalDuration: 24 });
+      expect(segmentPlanService.planSegments({ segments: '3', segmentDuration: 6 }).durations).toEqual([6, 6, 6]);
+    });
+
+    it('should split a target duration into as few segments as possible', () => {
+      expect(segmentPlanService.planSegments({ targetDuration: 15 })).toEqual({ count: 2, durations: [8, 7], totalDuration: 15 });
+      expect(segmentPlanService.planSegments({ targetDuration: 30 })).toEqual({ count: 4, durations: [8, 8, 7, 7], totalDuration: 30 });
+      expect(segmentPlanService.planSegments({ targetDuration: 45 })).toEqual({
+        count: 6,
+        durations: [8, 8, 8, 7, 7, 7],
+        totalDuration: 45
+      });
+    });
+
+    it('should split a target duration across a requested segment count', () => {
+      expect(segmentPlanService.planSegments({ targetDuration: 30, segments: 5 }).durations).toEqual([6, 6, 6, 6, 6]);
+    });
+
+    it('should fall back to defaults for invalid options', () => {
+      expect(segmentPlanService.planSegments({ segments: 'many', segmentDuration: 20 })).toEqual({
+        count: 2,
+        durations: [8, 8],
+        totalDuration: 16
+      });
+    });
+
+    it('should cap the segment count at the most any plan allows', () => {
+      expect(segmentPlanService.planSegments({ segments: '50000000' })).toEqual({
+        count: 12,
+        durations: Array(12).fill(8),
+        totalDuration: 96
+      });
+      expect(segmentPlanService.planSegments({ segments: 2 ** 32 }).count).toBe(12);
+      expect(segmentPlanService.planSegments({ targetDuration: 1e9 }).durations).toEqual(Array(12).fill(8));
+    });
+  });
+
+  describe('validateOptions', () => {
+    it('should accept valid segment options', () => {
+      expect(segmentPlanService.validateOptions({})).toBeNull();
+      expect(segmentPlanService.validateOptions({ segments: 4 })).toBeNull();
+      expect(segmentPlanService.validateOptions({ targetDuration: 45 })).toBeNull();
+      expect(segmentPlanService.validateOptions({ targetDuration: 30, segments: 5 })).toBeNull();
+      expect(segmentPlanService.validateOptions({ segments: 2, segmentDuration: 5 })).toBeNull();
+    });
+
+    it('should reject segment options that cannot be generated', () => {
+      expect(segmentPlanService.validateOptions({ segments: 0 })).toMatch(/segments must be a whole number/);
+      expect(segmentPlanService.validateOptions({ segments: 2.5 })).toMatch(/segments must be a whole number/);
+      expect(segmentPlanService.validateOptions({ segments: '50000000' })).toBe('segments must be a whole number from 1 to 12');
+      expect(segmentPlanService.validateOptions({ targetDuration: 100 })).toBe('targetDuration must be at most 96 seconds');
+      expect(segmentPlanService.validateOptions({ segmentDuration: 12 })).toBe('segmentDuration must be between 4 and 8 seconds');
+      expect(segmentPlanService.validateOptions({ targetDuration: 2 })).toBe('targetDuration must be at least 4 seconds');
+      expect(segmentPlanService.validateOptions({ targetDuration: 'long' })).toBe('targetDuration must be at least 4 seconds');
+      expect(segmentPlanService.validateOptions({ targetDuration: 15, segments: 5 }))
+        .toBe('A 15 second ad cannot be split into 5 segments of 4-8 seconds');
+      expect(segmentPlanService.validateOptions({ targetDuration: 15, segmentDuration: 5 }))
+        .toBe('Set either targetDuration or segmentDuration, not both');
+    });
+  });
+
+  describe('applyPlan', () => {
+    it('should record the segment count and durations in the options', () => {
+      expect(segmentPlanService.applyPlan({ targetDuration: 15, aspectRatio: '9:16' })).toEqual({
+        targetDuration: 15,
+        aspectRatio: '9:16',
+        segments: 2,
+        segmentDurations: [8, 7]
+      });
+    });
+  });
+
+  describe('getDurations', () => {
+    it('should prefer the durations recorded in the options', () => {
+      expect(segmentPlanService.getDurations({ segments: 3, segmentDurations: [5, 6, 7] })).toEqual([5, 6, 7]);
+      expect(segmentPlanService.getDurations({ segments: 3 })).toEqual([8, 8, 8]);
+      expect(segmentPlanService.getDurations({ segmentDurations: [30] })).toEqual([8, 8]);
+    });
+  });
+});
@@ -0,0 +1,320 @@
+const segmentVersionService = require('../../../src/services/segmentVersionService');
+const operationService = require('../../../src/services/operationService');
+const creditService = require('../../../src/services/creditService');
+const jobManager = require('../../../src/jobs/jobManager');
+
+jest.mock('../../../src/services/operationService', () => {
+  class OperationStateError extends Error {
+    constructor(message, statusCode, code) {
+      super(message);
+      this.statusCode = statusCode;
+      this.code = code;
+    }
+  }
+  return {
+    OperationStateError,
+    restartOperation: jest.fn(),
+    updateOperationStatus: jest.fn(),
+    getInputImages: jest.fn()
+  };
+});
+jest.mock('../../../src/services/creditService', () => ({
+  hold: jest.fn(),
+  refund: jest.fn(),
+  calculateCost: jest.fn(segmentCount => segmentCount * 10)
+}));
+jest.mock('../../../src/jobs/jobManager', () => ({
+  addGenerationFlow: jest.fn(),
+  getWorkflowJobs: jest.fn((operationId, { run, fromStage }) => (fromStage === 'post_processing'
+    ? { post_processing: { queue: 'videoProcessing', jobId: `${operationId}-run${run}-post_processing` } }
+    : {
+      video_generation: { queue: 'videoGeneration', jobId: `${operationId}-run${run}-video_generation` },
+      post_processing: { queue: 'videoProcessing', jobId: `${operationId}-run${run}-post_processing` }
+    }))
+}));
+
+describe('SegmentVersionService', () => {
+  const plan = { name: 'pro', queuePriority: 2, watermarkRequired: false };
+  const images = [{ data: 'aW1hZ2U=', mimeType: 'image/jpeg', originalName: 'a.jpg' }];
+  const take = (segmentKey, segmentIndex, extra = {}) => ({
+    segmentIndex,
+    segmentKey,
+    prompt: `Veo prompt ${segmentIndex + 1}`,
+    videoFile: { uri: `https://example.com/${segmentKey}.mp4` },
+    videoUrl: `https://example.com/${segmentKey}.mp4`,
+    duration: 8,
+    model: 'veo-3.0-generate-preview',
+    generatedAt: '2025-01-01T00:00:00.000Z',
+    seedFrame: null,
+    ...extra
+  });
+  let operation;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    operation = {
+      id: 'uuid-1',
+      operationId: 'op_1',
+      status: 'completed',
+      creativeBrief: 'Brief',
+      userId: 'user-1',
+      apiKeyId: null,
+      organizationId: null,
+      metadata: { options: { segments: 2 }, workflowRun: 1 },
+      scriptContent: { segments: { 'segment-1': 'Open', 'segment-2': 'Close' } },
+      checkpoints: {
+        image_analysis: { imageAnalysis: [{ objects: ['bottle'] }], completedAt: '2025-01-01T00:00:00.000Z' },
+        script_generation: {
+          script: { segments: { 'segment-1': 'Open', 'segment-2': 'Close' }, segmentDurations: [8, 8] },
+          completedAt: '2025-01-01T00:00:00.000Z'
+        },
+        video_generation: {
+          videoSegments: [take('segment-1', 0), take('segment-2', 1)],
+          completedAt: '2025-01-01T00:00:00.000Z'
+        },
+        post_processing: { videoUrls: ['/api/v1/ugc/operations/op_1/video'], completedAt: '2025-01-01T00:00:00.000Z' }
+      }
+    };
+    operationService.getInputImages.mockResolvedValue(images);
+    operationService.restartOperation.mockImplementation(async (operationId, restart, onRestart) => (onRestart ? onRestart('transaction') : null));
+    creditService.hold.mockResolvedValue({ held: 10, balance: 90 });
+    jobManager.addGenerationFlow.mockResolvedValue({});
+  });
+
+  describe('validateRegeneration', () => {
+    it('should accept no prompt or a non-empty prompt', () => {
+      expect(segmentVersionService.validateRegeneration({})).toBeNull();
+      expect(segmentVersionService.validateRegeneration({ prompt: 'Show the bottle up close' })).toBeNull();
+    });
+
+    it('should reject empty or overlong prompts', () => {
+      expect(segmentVersionService.validateRegeneration({ prompt: ' ' })).toBe('prompt must be a non-empty string of up to 2000 characters');
+      expect(segmentVersionService.validateRegeneration({ prompt: 'a'.repeat(2001) })).toMatch(/up to 2000 characters/);
+      expect(segmentVersionService.validateRegeneration({ prompt: 5 })).toMatch(/non-empty string/);
+    });
+  });
+
+  describe('getSegments', () => {
+    it('should list each segment with its current and earlier takes', () => {
+      operation.metadata.segmentVersions = {
+        'segment-2': [{ ...take('segment-2', 1, { videoUrl: 'https://example.com/first.mp4' }), version: 1, script: 'Old close' }]
+      };
+      operation.checkpoints.video_generation.videoSegments[1] = take('segment-2', 1, { version: 2 });
+
+      const segments = segmentVersionService.getSegments(operation);
+
+      expect(segments.map(segment => [segment.segmentKey, segment.currentVersion])).toEqual([['segment-1', 1], ['segment-2', 2]]);
+      expect(segments[1].prompt).toBe('Close');
+      expect(segments[1].versions).toEqual([
+        expect.objectContaining({ version: 1, current: false, prompt: 'Old close', videoUrl: 'https://example.com/first.mp4' }),
+        expect.objectContaining({ version: 2, current: true, prompt: 'Close', videoUrl: 'https://example.com/segment-2.mp4' })
+      ]);
+      expect(segments[1].versions[0].videoFile).toBeUndefined();
+    });
+
+    it('should return null for operations without video segments', () => {
+      expect(segmentVersionService.getSegments({ ...operation, checkpoints: {} })).toBeNull();
+    });
+  });
+
+  describe('queueRegeneration', () => {
+    it('should generate only the segment, from its edited prompt, as a new version', async () => {
+      const result = await segmentVersionService.queueRegeneration({
+        operation,
+        segmentKey: 'segment-2',
+        prompt: 'Close with a smile',
+        plan
+      });
+
+      expect(creditService.hold).toHaveBeenCalledWith(
+        { userId: 'user-1', apiKeyId: null, organizationId: null },
+        [{ operationId: 'op_1', amount: 10 }],
+        { transaction: 'transaction' }
+      );
+
+      const [operationId, restart] = operationService.restartOperation.mock.calls[0];
+      expect(operationId).toBe('op_1');
+      expect(restart.fromStatuses).toEqual(['completed']);
+      expect(restart.checkpoints.image_analysis).toBe(operation.checkpoints.image_analysis);
+      expect(restart.checkpoints.script_generation.script.segments).toEqual({ 'segment-1': 'Open', 'segment-2': 'Close with a smile' });
+      expect(restart.checkpoints.video_generation).toEqual({ videoSegments: [operation.checkpoints.video_generation.videoSegments[0]] });
+      expect(restart.checkpoints.post_processing).toBeUndefined();
+      expect(restart.scriptContent.segments['segment-2']).toBe('Close with a smile');
+      expect(restart.metadata.segmentVersions['segment-2']).toEqual([
+        expect.objectContaining({ version: 1, script: 'Close', videoFile: { uri: 'https://example.com/segment-2.mp4' } })
+      ]);
+      expect(restart.metadata.workflowRun).toBe(2);
+
+      expect(jobManager.addGenerationFlow).toHaveBeenCalledWith(
+        expect.objectContaining({
+          operationId: 'op_1',
+          images,
+          options: { segments: 2 },
+          queuePriority: 2,
+          regeneration: { segmentKey: 'segment-2', version: 2, seedImage: null }
+        }),
+        { source: 'api', run: 2, fromStage: 'video_generation' }
+      );
+      expect(result).toEqual(expect.objectContaining({ segmentKey: 'segment-2', version: 2, workflowRun: 2, credits: { held: 10, balance: 90 } }));
+    });
+
+    it('should number a take after every earlier version of the segment', async () => {
+      operation.metadata.segmentVersions = { 'segment-1': [{ ...take('segment-1', 0), version: 1, script: 'Open' }] };
+      operation.checkpoints.video_generation.videoSegments[0] = take('segment-1', 0, { version: 2 });
+      const seedImage = { data: 'c2VlZA==', mimeType: 'image/png', originalName: 'seed.png' };
+
+      const result = await segmentVersionService.queueRegeneration({ operation, segmentKey: 'segment-1', seedImage, plan });
+
+      expect(result.version).toBe(3);
+      const [, restart] = operationService.restartOperation.mock.calls[0];
+      expect(restart.scriptContent).toBeNull();
+      expect(restart.metadata.segmentVersions['segment-1'].map(archived => archived.version)).toEqual([1, 2]);
+      expect(jobManager.addGenerationFlow.mock.calls[0][0].regeneration).toEqual({ segmentKey: 'segment-1', version: 3, seedImage });
+    });
+
+    it('should generate the segment from the edited script and keep the other edits', async () => {
+      operation.scriptContent = {
+        segments: { 'segment-1': 'Open on the label', 'segment-2': 'Close on a toast' },
+        lockedSegments: ['segment-1'],
+        revision: 3
+      };
+
+      await segmentVersionService.queueRegeneration({ operation, segmentKey: 'segment-2', plan });
+
+      let [, restart] = operationService.restartOperation.mock.calls[0];
+      expect(restart.checkpoints.script_generation.script.segments).toEqual({ 'segment-1': 'Open', 'segment-2': 'Close on a toast' });
+      expect(restart.scriptContent).toBeNull();
+      expect(restart.metadata.segmentRegeneration.promptEdited).toBe(true);
+
+      await segmentVersionService.queueRegeneration({ operation, segmentKey: 'segment-2', prompt: 'Close with a smile', plan });
+
+      [, restart] = operationService.restartOperation.mock.calls[1];
+      expect(restart.scriptContent).toEqual({
+        segments: { 'segment-1': 'Open on the label', 'segment-2': 'Close with a smile' },
+        lockedSegments: ['segment-1'],
+        revision: 3
+      });
+    });
+
+    it('should refuse operations that have not completed', async () => {
+      operation.status = 'processing';
+
+      await expect(segmentVersionService.queueRegeneration({ operation, segmentKey: 'segment-1', plan }))
+        .rejects.toMatchObject({ statusCode: 409, code: 'SEGMENTS_NOT_READY' });
+      expect(creditService.hold).not.toHaveBeenCalled();
+    });
+
+    it('should refuse unknown segments', async () => {
+      await expect(segmentVersionService.queueRegeneration({ operation, segmentKey: 'segment-9', plan }))
+        .rejects.toMatchObject({ statusCode: 404, code: 'SEGMENT_NOT_FOUND' });
+    });
+
+    it('should fail the operation and refund the hold when the workflow cannot be queued', async () => {
+      jobManager.addGenerationFlow.mockRejectedValue(new Error('Redis connection refused'));
+      const consoleSpy = jest.spyOn(console, 'error').mockImplementation();
+
+      await expect(segmentVersionService.queueRegeneration({ operation, segmentKey: 'segment-1', plan }))
+        .rejects.toThrow('Redis connection refused');
+
+      expect(creditService.refund).toHaveBeenCalledWith('op_1', 'failed');
+      expect(operationService.updateOperationStatus).toHaveBeenCalledWith('op_1', 'failed', expect.objectContaining({
+        errorMessage: 'Redis connection refused'
+      }));
+      consoleSpy.mockRestore();
+    });
+
+    it('should leave the operation to a concurrent regeneration that restarted it first', async () => {
+      operationService.restartOperation.mockRejectedValue(new operationService.OperationStateError(
+        'Only completed operations can be restarted; this operation may already have been restarted by another request',
+        409,
+        'OPERATION_STATE_CHANGED'
+      ));
+
+      await expect(segmentVersionService.queueRegeneration({ operation, segmentKey: 'segment-1', plan }))
+        .rejects.toMatchObject({ statusCode: 409, code: 'OPERATION_STATE_CHANGED' });
+
+      expect(creditService.hold).not.toHaveBeenCalled();
+      expect(creditService.refund).not.toHaveBeenCalled();
+      expect(operationService.updateOperationStatus).not.toHaveBeenCalled();
+      expect(jobManager.addGenerationFlow).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('queueRollback', () => {
+    beforeEach(() => {
+      operation.metadata.segmentVersions = {
+        'segment-2': [{ ...take('segment-2', 1, { videoUrl: 'https://example.com/first.mp4' }), version: 1, script: 'Old close', archivedAt: '2025-01-02T00:00:00.000Z' }]
+      };
+      operation.checkpoints.video_generation.videoSegments[1] = take('segment-2', 1, { version: 2 });
+    });
+
+    it('should reassemble the ad with the earlier take and its script', async () => {
+      const result = await segmentVersionService.queueRollback({ operation, segmentKey: 'segment-2', version: 1, plan });
+
+      expect(creditService.hold).not.toHaveBeenCalled();
+      const [, restart] = operationService.restartOperation.mock.calls[0];
+      const videoSegments = restart.checkpoints.video_generation.videoSegments;
+      expect(videoSegments.map(segment => [segment.segmentKey, segment.videoUrl])).toEqual([
+        ['segment-1', 'https://example.com/segment-1.mp4'],
+        ['segment-2', 'https://example.com/first.mp4']
+      ]);
+      expect(videoSegments[1].script).toBeUndefined();
+      expect(videoSegments[1].archivedAt).toBeUndefined();
+      expect(restart.checkpoints.video_generation.completedAt).toEqual(expect.any(String));
+      expect(restart.scriptContent.segments['segment-2']).toBe('Old close');
+      expect(restart.metadata.segmentVersions['segment-2'].map(archived => archived.version)).toEqual([1, 2]);
+
+      expect(jobManager.addGenerationFlow).toHaveBeenCalledWith(
+        expect.not.objectContaining({ regeneration: expect.anything() }),
+        { source: 'api', run: 2, fromStage: 'post_processing' }
+      );
+      expect(result).toEqual(expect.objectContaining({ segmentKey: 'segment-2', version: 1, workflowRun: 2 }));
+    });
+
+    it('should restore a segment whose regeneration failed', async () => {
+      operation.status = 'failed';
+      operation.checkpoints.video_generation = { videoSegments: [take('segment-1', 0)] };
+
+      await segmentVersionService.queueRollback({ operation, segmentKey: 'segment-2', version: 1, plan });
+
+      const [, restart] = operationService.restartOperation.mock.calls[0];
+      expect(restart.checkpoints.video_generation.videoSegments.map(segment => segment.segmentKey)).toEqual(['segment-1', 'segment-2']);
+    });
+
+    it('should refuse unknown versions and the current version', async () => {
+      await expect(segmentVersionService.queueRollback({ operation, segmentKey: 'segment-2', version: 5, plan }))
+        .rejects.toMatchObject({ statusCode: 404, code: 'SEGMENT_VERSION_NOT_FOUND' });
+      await expect(segmentVersionService.queueRollback({ operation, segmentKey: 'segment-2', version: 2, plan }))
+        .rejects.toMatchObject({ statusCode: 409, code: 'SEGMENT_VERSION_CURRENT' });
+      await expect(segmentVersionService.queueRollback({ operation, segmentKey: 'segment-7', version: 1, plan }))
+        .rejects.toMatchObject({ statusCode: 404, code: 'SEGMENT_NOT_FOUND' });
+    });
+
+    it('should refuse operations missing other segments', async () => {
+      operation.status = 'failed';
+      operation.checkpoints.video_generation = { videoSegments: [] };
+
+      await expect(segmentVersionService.queueRollback({ operation, segmentKey: 'segment-2', version: 1, plan }))
+        .rejects.toMatchObject({ statusCode: 409, code: 'SEGMENTS_INCOMPLETE' });
+    });
+  });
+
+  describe('restartWorkflow', () => {
+    it('should queue the workflow with options stored in the metadata', async () => {
+      const options = { segments: 2, requireApproval: true, scriptApproved: true };
+
+      await segmentVersionService.restartWorkflow(operation, {
+        fromStage: 'video_generation',
+        checkpoints: operation.checkpoints,
+        scriptContent: null,
+        metadata: { options },
+        regeneration: null,
+        plan,
+        holdAmount: 10
+      });
+
+      expect(operationService.restartOperation.mock.calls[0][1].metadata.options).toEqual(options);
+      expect(jobManager.addGenerationFlow.mock.calls[0][0].options).toEqual(options);
+    });
+  });
+});
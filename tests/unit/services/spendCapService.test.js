@@ -0,0 +1,197 @@
+const spendCapService = require('../../../src/services/spendCapService');
+const models = require('../../../src/models');
+
+jest.mock('../../../src/models', () => ({
+  sequelize: {
+    query: jest.fn()
+  },
+  SpendCap: {
+    findOne: jest.fn(),
+    findOrCreate: jest.fn()
+  },
+  ProviderCall: {
+    sum: jest.fn()
+  },
+  UgcOperation: {
+    findAll: jest.fn()
+  },
+  Organization: { findByPk: jest.fn() },
+  ApiKey: { findByPk: jest.fn() }
+}));
+
+describe('SpendCapService', () => {
+  const principal = { userId: 'user-1', apiKeyId: 'key-1', organizationId: 'org-1' };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    models.SpendCap.findOne.mockResolvedValue(null);
+    models.ProviderCall.sum.mockResolvedValue(null);
+    models.UgcOperation.findAll.mockResolvedValue([]);
+  });
+
+  describe('getOwners', () => {
+    it('should apply both the organization and API key caps', () => {
+      expect(spendCapService.getOwners(principal)).toEqual([
+        { ownerType: 'organization', ownerId: 'org-1' },
+        { ownerType: 'api_key', ownerId: 'key-1' }
+      ]);
+    });
+
+    it('should apply no caps to users acting alone', () => {
+      expect(spendCapService.getOwners({ userId: 'user-1' })).toEqual([]);
+    });
+  });
+
+  describe('getSpend', () => {
+    it('should count in-progress generations at their estimate instead of their calls so far', async () => {
+      models.UgcOperation.findAll.mockResolvedValue([
+        { operationId: 'ugc_1', metadata: { estimatedCost: 6.0124 } },
+        { operationId: 'ugc_2', metadata: {} }
+      ]);
+      models.ProviderCall.sum.mockResolvedValue('2.500000');
+
+      const since = new Date('2025-09-12T00:00:00Z');
+      const spend = await spendCapService.getSpend('organization', 'org-1', since);
+
+      expect(spend).toBe(8.5124);
+      const { where } = models.ProviderCall.sum.mock.calls[0][1];
+      expect(where.organizationId).toBe('org-1');
+      expect(where.created_at).toBeDefined();
+      expect(Object.getOwnPropertySymbols(where)).toHaveLength(1);
+    });
+
+    it('should sum recorded calls only when nothing is in progress', async () => {
+      models.ProviderCall.sum.mockResolvedValue('1.250000');
+
+      const spend = await spendCapService.getSpend('api_key', 'key-1', new Date());
+
+      expect(spend).toBe(1.25);
+      const { where } = models.ProviderCall.sum.mock.calls[0][1];
+      expect(where.apiKeyId).toBe('key-1');
+      expect(Object.getOwnPropertySymbols(where)).toHaveLength(0);
+    });
+  });
+
+  describe('getOwnerStatus', () => {
+    it('should report spend against each cap', async () => {
+      models.SpendCap.findOne.mockResolvedValue({ dailyLimit: '10.00', monthlyLimit: null });
+      models.ProviderCall.sum.mockResolvedValueOnce('4.000000').mockResolvedValueOnce('30.000000');
+
+      const status = await spendCapService.getOwnerStatus('organization', 'org-1');
+
+      expect(status).toEqual(expect.objectContaining({
+        ownerType: 'organization',
+        ownerId: 'org-1',
+        currency: 'USD',
+        daily: expect.objectContaining({ spent: 4, limit: 10, remaining: 6 }),
+        monthly: expect.objectContaining({ spent: 30, limit: null, remaining: null })
+      }));
+    });
+  });
+
+  describe('findViolation', () => {
+    const status = [{
+      ownerType: 'api_key',
+      ownerId: 'key-1',
+      daily: { spent: 8, limit: 10, remaining: 2 },
+      monthly: { spent: 8, limit: null, remaining: null }
+    }];
+
+    it('should find the cap a cost would exceed', () => {
+      expect(spendCapService.findViolation(status, 3)).toEqual(expect.objectContaining({
+        ownerType: 'api_key',
+        period: 'daily',
+        limit: 10
+      }));
+    });
+
+    it('should allow costs that fit', () => {
+      expect(spendCapService.findViolation(status, 2)).toBeNull();
+    });
+  });
+
+  describe('enforce', () => {
+    it('should lock each owner\'s spend and refuse work over a cap', async () => {
+      models.SpendCap.findOne.mockImplementation(async ({ where }) => (
+        where.ownerType === 'organization' ? { dailyLimit: null, monthlyLimit: '100.00' } : null
+      ));
+      models.ProviderCall.sum.mockResolvedValue('95.000000');
+
+      const error = await spendCapService.enforce(principal, 6, { transaction: 'transaction' }).catch(e => e);
+
+      expect(models.sequelize.query).toHaveBeenCalledWith(expect.stringContaining('pg_advisory_xact_lock'), expect.objectContaining({
+        replacements: { key: 'spend:organization:org-1' },
+        transaction: 'transaction'
+      }));
+      expect(models.sequelize.query).toHaveBeenCalledWith(expect.any(String), expect.objectContaining({
+        replacements: { key: 'spend:api_key:key-1' }
+      }));
+      expect(error).toBeInstanceOf(spendCapService.SpendCapExceededError);
+      expect(error.statusCode).toBe(402);
+      expect(error.code).toBe('MONTHLY_SPEND_CAP_EXCEEDED');
+      expect(error.cap).toEqual(expect.objectContaining({ ownerType: 'organization', limit: 100, spent: 95 }));
+    });
+
+    it('should allow work within the caps', async () => {
+      models.SpendCap.findOne.mockResolvedValue({ dailyLimit: '10.00', monthlyLimit: null });
+      models.ProviderCall.sum.mockResolvedValue('1.000000');
+
+      await expect(spendCapService.enforce(principal, 6)).resolves.toBeUndefined();
+    });
+
+    it('should skip callers without caps', async () => {
+      await spendCapService.enforce({ userId: 'user-1' }, 100);
+
+      expect(models.sequelize.query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('assertWithinMaxCost', () => {
+    it('should refuse estimates over maxCost', () => {
+      expect(() => spendCapService.assertWithinMaxCost(12.01, 10))
+        .toThrow(spendCapService.MaxCostExceededError);
+    });
+
+    it('should allow estimates within maxCost or without one', () => {
+      expect(() => spendCapService.assertWithinMaxCost(9, 10)).not.toThrow();
+      expect(() => spendCapService.assertWithinMaxCost(100, undefined)).not.toThrow();
+    });
+  });
+
+  describe('isValidAmount', () => {
+    it('should accept positive numbers, null and omitted values', () => {
+      expect(spendCapService.isValidAmount(25)).toBe(true);
+      expect(spendCapService.isValidAmount(null)).toBe(true);
+      expect(spendCapService.isValidAmount(undefined)).toBe(true);
+    });
+
+    it('should reject anything else', () => {
+      expect(spendCapService.isValidAmount(0)).toBe(false);
+      expect(spendCapService.isValidAmount(-5)).toBe(false);
+      expect(spendCapService.isValidAmount('25')).toBe(false);
+      expect(spendCapService.isValidAmount(Infinity)).toBe(false);
+    });
+  });
+
+  describe('setCaps', () => {
+    it('should change only the caps provided', async () => {
+      const cap = { dailyLimit: '5.00', monthlyLimit: '50.00', save: jest.fn() };
+      models.ApiKey.findByPk.mockResolvedValue({ id: 'key-1' });
+      models.SpendCap.findOrCreate.mockResolvedValue([cap, false]);
+
+      await spendCapService.setCaps('api_key', 'key-1', { monthlyLimit: null }, 'user-1');
+
+      expect(cap.dailyLimit).toBe('5.00');
+      expect(cap.monthlyLimit).toBeNull();
+      expect(cap.updatedBy).toBe('user-1');
+      expect(cap.save).toHaveBeenCalled();
+    });
+
+    it('should reject unknown owners', async () => {
+      models.Organization.findByPk.mockResolvedValue(null);
+
+      await expect(spendCapService.setCaps('organization', 'org-x', { dailyLimit: 5 }))
+        .rejects.toThrow('Organization not found');
+    });
+  });
+});
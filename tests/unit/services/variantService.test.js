@@ -0,0 +1,201 @@
+const variantService = require('../../../src/services/variantService');
+const operationService = require('../../../src/services/operationService');
+const quotaService = require('../../../src/services/quotaService');
+const creditService = require('../../../src/services/creditService');
+const providerCostService = require('../../../src/services/providerCostService');
+const spendCapService = require('../../../src/services/spendCapService');
+const jobManager = require('../../../src/jobs/jobManager');
+
+jest.mock('../../../src/services/operationService', () => ({
+  createOperation: jest.fn(),
+  updateOperationStatus: jest.fn(),
+  getVariantOperations: jest.fn(),
+  getInputImages: jest.fn()
+}));
+jest.mock('../../../src/services/quotaService', () => ({
+  reserve: jest.fn()
+}));
+jest.mock('../../../src/services/creditService', () => ({
+  hold: jest.fn(),
+  refund: jest.fn(),
+  estimateCost: jest.fn()
+}));
+jest.mock('../../../src/services/providerCostService', () => ({
+  estimateGenerationCost: jest.fn(),
+  roundCost: jest.fn(cost => Math.round(cost * 1e6) / 1e6)
+}));
+jest.mock('../../../src/services/spendCapService', () => ({
+  enforce: jest.fn(),
+  assertWithinMaxCost: jest.fn()
+}));
+jest.mock('../../../src/jobs/jobManager', () => ({
+  addGenerationFlow: jest.fn(),
+  getWorkflowJobs: jest.fn(operationId => ({
+    video_generation: { queue: 'videoGeneration', jobId: `${operationId}-video_generation` },
+    post_processing: { queue: 'videoProcessing', jobId: `${operationId}-post_processing` }
+  }))
+}));
+
+describe('VariantService', () => {
+  const plan = { name: 'pro', queuePriority: 2, watermarkRequired: false };
+  const images = [{ data: 'aW1hZ2U=', mimeType: 'image/jpeg', originalName: 'a.jpg' }];
+  let parent;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    parent = {
+      id: 'uuid-1',
+      operationId: 'op_1',
+      status: 'completed',
+      creativeBrief: 'Brief',
+      userId: 'user-1',
+      apiKeyId: null,
+      organizationId: null,
+      metadata: { imageCount: 1, options: { variants: 3, segments: 2, segmentDurations: [8, 8], maxCost: 10 } },
+      checkpoints: { image_analysis: { imageAnalysis: [{ objects: ['bottle'] }], completedAt: '2025-01-01T00:00:00.000Z' } },
+      scriptContent: {
+        segmentDurations: [8, 8],
+        model: 'gpt-5',
+        timestamp: '2025-01-01T00:00:00.000Z',
+        wasRefined: false,
+        variants: ['problem-solution', 'social proof', 'humor'].map((angle, index) => ({
+          variantId: `variant-${index + 1}`,
+          angle,
+          hook: null,
+          tone: null,
+          cta: null,
+          segments: { 'segment-1': `Open ${index + 1}`, 'segment-2': `Close ${index + 1}` }
+        }))
+      }
+    };
+    operationService.getVariantOperations.mockResolvedValue([]);
+    operationService.getInputImages.mockResolvedValue(images);
+    operationService.createOperation.mockImplementation(async ({ operationId, metadata }) => ({
+      operationId,
+      creativeBrief: 'Brief',
+      userId: 'user-1',
+      metadata
+    }));
+    quotaService.reserve.mockImplementation((principal, count, create) => create('tx'));
+    creditService.hold.mockResolvedValue({ held: 40, balance: 60 });
+    creditService.estimateCost.mockReturnValue(20);
+    providerCostService.estimateGenerationCost.mockReturnValue({ breakdown: { videoGeneration: 6.4 } });
+    jobManager.addGenerationFlow.mockResolvedValue({});
+  });
+
+  describe('validateOptions', () => {
+    it('should accept 2 to 5 variants', () => {
+      expect(variantService.validateOptions({})).toBeNull();
+      expect(variantService.validateOptions({ variants: 2 })).toBeNull();
+      expect(variantService.validateOptions({ variants: '5' })).toBeNull();
+    });
+
+    it('should reject other variant counts', () => {
+      expect(variantService.validateOptions({ variants: 1 })).toBe('variants must be a whole number from 2 to 5');
+      expect(variantService.validateOptions({ variants: 6 })).toBe('variants must be a whole number from 2 to 5');
+      expect(variantService.validateOptions({ variants: 2.5 })).toBe('variants must be a whole number from 2 to 5');
+    });
+  });
+
+  describe('validateSelection', () => {
+    it('should accept all or known variant IDs', () => {
+      const { variants } = parent.scriptContent;
+      expect(variantService.validateSelection(variants, 'all')).toBeNull();
+      expect(variantService.validateSelection(variants, ['variant-1', 'variant-3'])).toBeNull();
+      expect(variantService.validateSelection(variants, [])).toMatch(/non-empty array/);
+      expect(variantService.validateSelection(variants, ['variant-9'])).toBe('Unknown variants: variant-9');
+    });
+  });
+
+  describe('queueVariants', () => {
+    it('should create and queue a sibling operation for each chosen variant', async () => {
+      const result = await variantService.queueVariants({ parent, selection: ['variant-1', 'variant-3'], plan });
+
+      expect(quotaService.reserve).toHaveBeenCalledWith(
+        { userId: 'user-1', apiKeyId: null, organizationId: null },
+        2,
+        expect.any(Function),
+        { plan }
+      );
+      expect(spendCapService.assertWithinMaxCost).toHaveBeenCalledWith(6.4, 10);
+      expect(spendCapService.enforce).toHaveBeenCalledWith(expect.any(Object), 12.8, { transaction: 'tx' });
+
+      expect(operationService.createOperation).toHaveBeenCalledTimes(2);
+      const created = operationService.createOperation.mock.calls[1][0];
+      expect(created).toEqual(expect.objectContaining({
+        operationId: 'op_1_variant_3',
+        parentOperationId: 'uuid-1',
+        inputImages: images,
+        transaction: 'tx'
+      }));
+      expect(created.scriptContent).toEqual(expect.objectContaining({
+        segments: { 'segment-1': 'Open 3', 'segment-2': 'Close 3' },
+        segmentDurations: [8, 8],
+        variant: { variantId: 'variant-3', angle: 'humor', hook: null, tone: null, cta: null }
+      }));
+      expect(created.checkpoints.image_analysis).toBe(parent.checkpoints.image_analysis);
+      expect(created.checkpoints.script_generation).toEqual(expect.objectContaining({ script: created.scriptContent }));
+      expect(created.metadata.options).toEqual({ segments: 2, segmentDurations: [8, 8], maxCost: 10 });
+
+      expect(creditService.hold).toHaveBeenCalledWith(expect.any(Object), [
+        { operationId: 'op_1_variant_1', amount: 20 },
+        { operationId: 'op_1_variant_3', amount: 20 }
+      ], { transaction: 'tx' });
+
+      expect(jobManager.addGenerationFlow).toHaveBeenCalledWith(
+        expect.objectContaining({ operationId: 'op_1_variant_3', images, plan: 'pro', queuePriority: 2 }),
+        { source: 'api', fromStage: 'video_generation' }
+      );
+      expect(result.operations).toEqual([
+        { operationId: 'op_1_variant_1', variantId: 'variant-1', angle: 'problem-solution', status: 'queued' },
+        { operationId: 'op_1_variant_3', variantId: 'variant-3', angle: 'humor', status: 'queued' }
+      ]);
+      expect(result.credits).toEqual({ held: 40, balance: 60 });
+    });
+
+    it('should queue every variant not yet generated when all are chosen', async () => {
+      operationService.getVariantOperations.mockResolvedValue([{ metadata: { variant: { variantId: 'variant-2' } } }]);
+
+      const result = await variantService.queueVariants({ parent, selection: 'all', plan });
+
+      expect(result.operations.map(operation => operation.variantId)).toEqual(['variant-1', 'variant-3']);
+    });
+
+    it('should refuse variants that are already queued', async () => {
+      operationService.getVariantOperations.mockResolvedValue([{ metadata: { variant: { variantId: 'variant-1' } } }]);
+
+      await expect(variantService.queueVariants({ parent, selection: ['variant-1'], plan }))
+        .rejects.toMatchObject({ statusCode: 409, code: 'VARIANT_ALREADY_QUEUED' });
+      expect(quotaService.reserve).not.toHaveBeenCalled();
+    });
+
+    it('should refuse operations whose variants are not ready', async () => {
+      parent.status = 'processing';
+
+      await expect(variantService.queueVariants({ parent, selection: 'all', plan }))
+        .rejects.toMatchObject({ statusCode: 409, code: 'VARIANTS_NOT_READY' });
+      await expect(variantService.queueVariants({ parent: { ...parent, status: 'completed', scriptContent: {} }, selection: 'all', plan }))
+        .rejects.toMatchObject({ code: 'VARIANTS_NOT_READY' });
+    });
+
+    it('should refuse unknown variants', async () => {
+      await expect(variantService.queueVariants({ parent, selection: ['variant-7'], plan }))
+        .rejects.toMatchObject({ statusCode: 400, code: 'INVALID_VARIANT_SELECTION' });
+    });
+
+    it('should fail and refund a variant that cannot be queued', async () => {
+      jobManager.addGenerationFlow.mockRejectedValueOnce(new Error('Redis connection refused'));
+      const consoleSpy = jest.spyOn(console, 'error').mockImplementation();
+
+      const result = await variantService.queueVariants({ parent, selection: ['variant-1', 'variant-2'], plan });
+
+      expect(result.operations[0]).toEqual(expect.objectContaining({ status: 'failed', error: 'Redis connection refused' }));
+      expect(result.operations[1].status).toBe('queued');
+      expect(operationService.updateOperationStatus).toHaveBeenCalledWith('op_1_variant_1', 'failed', expect.objectContaining({
+        errorMessage: 'Redis connection refused'
+      }));
+      expect(creditService.refund).toHaveBeenCalledWith('op_1_variant_1', 'failed');
+      consoleSpy.mockRestore();
+    });
+  });
+});
@@ -95,6 +95,31 @@ describe('VideoEditingService', () => {
     });
   });
 
+  describe('extractLastFrame', () => {
+    it('should extract the final frame as an image', async () => {
+      const ffmpeg = require('fluent-ffmpeg');
+      const mockCommand = ffmpeg();
+      
+      mockCommand.on.mockImplementation((event, callback) => {
+        if (event === 'end') {
+          setTimeout(() => callback(), 0);
+        }
+        return mockCommand;
+      });
+
+      const result = await videoEditingService.extractLastFrame('/input/video.mp4', '/output/last.png');
+      
+      expect(mockCommand.inputOptions).toHaveBeenCalledWith(['-sseof', '-0.5']);
+      expect(mockCommand.addOption).toHaveBeenCalledWith('-update', '1');
+      expect(mockCommand.output).toHaveBeenCalledWith('/output/last.png');
+      expect(result).toBe('/output/last.png');
+    });
+
+    it('should throw error for missing input', async () => {
+      await expect(videoEditingService.extractLastFrame()).rejects.toThrow('Input video path is required');
+    });
+  });
+
   describe('mergeVideos', () => {
     beforeEach(() => {
       fs.writeFile.mockResolvedValue();
@@ -451,6 +476,44 @@ describe('VideoEditingService', () => {
     });
   });
 
+  describe('addCaptions', () => {
+    it('should burn in every caption in a single pass', async () => {
+      const ffmpeg = require('fluent-ffmpeg');
+      const mockCommand = ffmpeg();
+      
+      mockCommand.on.mockImplementation((event, callback) => {
+        if (event === 'end') {
+          setTimeout(() => callback(), 0);
+        }
+        return mockCommand;
+      });
+
+      const result = await videoEditingService.addCaptions('/input/video.mp4', [
+        { text: 'Meet your new routine', startTime: 0, duration: 8 },
+        { text: 'Download today', startTime: 8, duration: 8, position: 'top' }
+      ]);
+      
+      const filters = mockCommand.videoFilters.mock.calls[0][0];
+      expect(filters).toContain("drawtext=text='Meet your new routine'");
+      expect(filters).toContain("enable='between(t,0,8)'");
+      expect(filters).toContain("enable='between(t,8,16)'");
+      expect(filters).toContain('y=h*0.08');
+      expect(filters).toContain('box=1');
+      expect(result).toMatch(/captioned_.*\.mp4$/);
+    });
+
+    it('should throw error for missing inputs', async () => {
+      await expect(videoEditingService.addCaptions()).rejects.toThrow('Input video path is required');
+      await expect(videoEditingService.addCaptions('/video.mp4', [])).rejects.toThrow('At least one caption is required');
+    });
+  });
+
+  describe('escapeDrawText', () => {
+    it('should escape text for drawtext', () => {
+      expect(videoEditingService.escapeDrawText("It's 50% off: today\\")).toBe('It\u2019s 50% off\\: today');
+    });
+  });
+
   describe('addSubtitles', () => {
     it('should add subtitles from SRT file', async () => {
       const ffmpeg = require('fluent-ffmpeg');
@@ -501,6 +564,32 @@ describe('VideoEditingService', () => {
       expect(result).toMatch(/transitions_.*\.mp4$/);
     });
 
+    it('should crossfade the audio when requested', async () => {
+      const ffmpeg = require('fluent-ffmpeg');
+      const mockCommand = ffmpeg();
+      
+      mockCommand.on.mockImplementation((event, callback) => {
+        if (event === 'end') {
+          setTimeout(() => callback(), 0);
+        }
+        return mockCommand;
+      });
+
+      await videoEditingService.addTransitions(['/video1.mp4', '/video2.mp4'], {
+        type: 'fade',
+        duration: 0.5,
+        segmentDurations: [8, 8],
+        audio: true
+      }, '/output/joined.mp4');
+      
+      expect(mockCommand.complexFilter).toHaveBeenCalledWith([
+        '[0:v][1:v]xfade=transition=fade:duration=0.5:offset=7.5[final]',
+        '[0:a][1:a]acrossfade=d=0.5[finalaudio]'
+      ]);
+      expect(mockCommand.map).toHaveBeenCalledWith('[final]');
+      expect(mockCommand.map).toHaveBeenCalledWith('[finalaudio]');
+    });
+
     it('should throw error for insufficient videos', async () => {
       await expect(videoEditingService.addTransitions([])).rejects.toThrow('At least 2 video paths are required for transitions');
       await expect(videoEditingService.addTransitions(['/video1.mp4'])).rejects.toThrow('At least 2 video paths are required for transitions');
@@ -602,6 +691,12 @@ describe('VideoEditingService', () => {
       expect(slideFilters[0]).toContain('transition=slideleft');
       expect(wipeFilters[0]).toContain('transition=wiperight');
     });
+    it('should time each transition at the end of the joined videos', () => {
+      const filters = videoEditingService.buildTransitionFilter(3, 'fade', 1, [8, 6, 8]);
+      
+      expect(filters[0]).toBe('[0:v][1:v]xfade=transition=fade:duration=1:offset=7[v1]');
+      expect(filters[1]).toBe('[v1][2:v]xfade=transition=fade:duration=1:offset=12[final]');
+    });
   });
 
   describe('cleanupFiles', () => {
@@ -1,11 +1,15 @@
 const videoGenerationService = require('../../../src/services/videoGenerationService');
 const { GoogleGenAI } = require('@google/genai');
+const providerCostService = require('../../../src/services/providerCostService');
 
 // Mock the GoogleGenAI module
 jest.mock('@google/genai');
 jest.mock('../../../src/utils/config', () => ({
   googleAiApiKey: 'test_google_ai_key'
 }));
+jest.mock('../../../src/services/providerCostService', () => ({
+  recordCall: jest.fn().mockResolvedValue(null)
+}));
 
 describe('VideoGenerationService', () => {
   let mockAi;
@@ -139,6 +143,22 @@ describe('VideoGenerationService', () => {
       });
     });
 
+    it('should record the seconds of video generated against the operation', async () => {
+      const usageContext = { operationId: 'ugc_1', batchId: null, apiKeyId: 'key-1', userId: null, organizationId: null };
+
+      await videoGenerationService.generateVideo(validPrompt, { useFastModel: true, usageContext });
+
+      expect(providerCostService.recordCall).toHaveBeenCalledWith(expect.objectContaining({
+        context: usageContext,
+        provider: 'veo',
+        service: 'video_generation',
+        model: 'veo-3.0-fast-generate-preview',
+        outputUnits: 8,
+        latencyMs: expect.any(Number)
+      }));
+      expect(mockModels.generateVideos.mock.calls[0][0]).not.toHaveProperty('usageContext');
+    });
+
     it('should include negative prompt and person generation settings', async () => {
       const options = {
         negativePrompt: 'low quality, blurry',
@@ -200,6 +220,10 @@ describe('VideoGenerationService', () => {
       await expect(videoGenerationService.generateVideo(validPrompt)).rejects.toThrow(
         'Failed to generate video after 3 attempts: Failed to start video generation: API Error'
       );
+      expect(providerCostService.recordCall).toHaveBeenCalledWith(expect.objectContaining({
+        provider: 'veo',
+        error: expect.any(Error)
+      }));
     });
 
     it('should handle safety filter errors', async () => {
@@ -234,21 +258,20 @@ describe('VideoGenerationService', () => {
       mockModels.generateVideos.mockResolvedValue(pendingOperation);
       mockOperations.getVideosOperation.mockResolvedValue(pendingOperation);
 
-      // Mock Date.now to simulate timeout
-      const originalDateNow = Date.now;
-      let callCount = 0;
-      Date.now = jest.fn(() => {
-        callCount++;
-        return callCount > 1 ? originalDateNow() + 400000 : originalDateNow(); // Simulate 400 seconds passed
+      // Each sleep moves a simulated clock forward, so polling runs into the deadline
+      let now = Date.now();
+      const dateNowSpy = jest.spyOn(Date, 'now').mockImplementation(() => now);
+      jest.spyOn(videoGenerationService, 'sleep').mockImplementation(async ms => {
+        now += ms;
       });
 
-      jest.spyOn(videoGenerationService, 'sleep').mockResolvedValue();
-
-      await expect(videoGenerationService.generateVideo(validPrompt)).rejects.toThrow(
-        'Video generation timed out after 6 minutes'
-      );
-
-      Date.now = originalDateNow;
+      try {
+        await expect(videoGenerationService.generateVideo(validPrompt)).rejects.toThrow(
+          'Video generation timed out after 6 minutes'
+        );
+      } finally {
+        dateNowSpy.mockRestore();
+      }
     });
 
     it('should handle operation errors', async () => {
@@ -510,6 +533,20 @@ describe('VideoGenerationService', () => {
 
       expect(prompts[0].prompt.length).toBeLessThanOrEqual(1000);
     });
+
+    it('should order any number of written segments and request their durations', () => {
+      const writtenSegments = {};
+      for (let number = 1; number <= 10; number++) {
+        writtenSegments[`segment-${number}`] = `Scene ${number} of the ad.`;
+      }
+      const segmentDurations = [8, 8, 8, 8, 8, 7, 7, 7, 7, 7];
+
+      const prompts = videoGenerationService.createUGCPrompts(creativeBrief, imageAnalysis, writtenSegments, segmentDurations);
+
+      expect(prompts.map(prompt => prompt.segmentKey)).toEqual(Object.keys(writtenSegments));
+      expect(prompts[9].prompt).toContain('Scene 10 of the ad. ');
+      expect(prompts.map(prompt => prompt.options.durationSeconds)).toEqual(segmentDurations);
+    });
   });
 
   describe('downloadVideo', () => {
@@ -120,6 +120,17 @@ describe('Configuration Service', () => {
       expect(serverConfig).toHaveProperty('maxImages');
       expect(serverConfig.port).toBe(3000);
       expect(serverConfig.nodeEnv).toBe('test');
+      expect(serverConfig.trustProxy).toBe(false);
+    });
+
+    test('should read the trust proxy setting as a flag, hop count or address list', () => {
+      process.env.TRUST_PROXY = 'true';
+      expect(config.getTrustProxy()).toBe(true);
+      process.env.TRUST_PROXY = '1';
+      expect(config.getTrustProxy()).toBe(1);
+      process.env.TRUST_PROXY = 'loopback, 172.16.0.0/12';
+      expect(config.getTrustProxy()).toBe('loopback, 172.16.0.0/12');
+      delete process.env.TRUST_PROXY;
     });
   });
 });
\ No newline at end of file